@@ -0,0 +1,637 @@
+/**
+ * Backup Manager
+ *
+ * Exports configuration, categories, users and databases as a single versioned
+ * archive (gzipped JSON with SQLite snapshots) and restores them.
+ *
+ * Restores are staged: the archive is validated and written to data/restore-pending/,
+ * then swapped in by applyPendingRestore() on the next startup, before any database
+ * is opened. The swap is all-or-nothing (renames rolled back on failure) and the
+ * replaced files are kept in data/pre-restore-<timestamp>/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const Database = require('better-sqlite3');
+const BaseModule = require('./BaseModule');
+const config = require('../modules/config');
+const versionManager = require('./versionManager');
+const notificationManager = require('./NotificationManager');
+
+const FORMAT = 'amutorrent-backup';
+const FORMAT_VERSION = 1;
+
+// Placeholder for redacted secrets (same as the masked values sent to the UI)
+const MASK = '********';
+
+const PENDING_DIR = 'restore-pending';
+const MANIFEST_FILE = 'manifest.json';
+const SQLITE_SIDECARS = ['-wal', '-shm', '-journal'];
+
+/**
+ * Everything a backup can contain. `secret` components are left out of redacted backups.
+ */
+const COMPONENTS = [
+  { key: 'config', label: 'Configuration', kind: 'json', getPath: () => config.configFilePath || path.join(config.dataDir, 'config.json') },
+  { key: 'categories', label: 'Categories', kind: 'json', getPath: () => path.join(config.getDataDir(), 'categories.json') },
+  { key: 'notifications', label: 'Notification services', kind: 'json', getPath: () => path.join(config.getDataDir(), 'notifications.json') },
+  { key: 'arrState', label: 'Sonarr/Radarr search state', kind: 'json', getPath: () => path.join(config.getDataDir(), 'arr-state.json') },
+  { key: 'users', label: 'Users and download ownership', kind: 'sqlite', getPath: () => config.getUserDbPath() },
+  { key: 'sessions', label: 'Login sessions', kind: 'sqlite', secret: true, getPath: () => path.join(config.getDataDir(), 'sessions.db') },
+  { key: 'history', label: 'Download history', kind: 'sqlite', getPath: () => config.getHistoryDbPath() },
+  { key: 'metrics', label: 'Metrics', kind: 'sqlite', getPath: () => config.getMetricsDbPath() },
+  { key: 'moveOps', label: 'Move operations', kind: 'sqlite', getPath: () => config.getMoveOpsDbPath() },
+  { key: 'rss', label: 'RSS feeds', kind: 'sqlite', getPath: () => config.getRssDbPath() },
+  { key: 'savedSearches', label: 'Saved searches', kind: 'sqlite', getPath: () => config.getSavedSearchDbPath() },
+  { key: 'hashes', label: 'qBittorrent API hash store', kind: 'sqlite', getPath: () => config.getHashDbPath() }
+];
+
+const COMPONENT_KEYS = COMPONENTS.map(c => c.key);
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function readJsonFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Put masked secrets back from the current configuration.
+ * Array entries with an `id` are matched by id, others by position.
+ * @param {*} value - Value from the backup
+ * @param {*} current - Value at the same place in the current file
+ * @returns {*} Value with MASK replaced (by '' when there is nothing to restore)
+ */
+function restoreMasked(value, current) {
+  if (value === MASK) {
+    return typeof current === 'string' && current !== MASK ? current : '';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => {
+      if (!Array.isArray(current)) return restoreMasked(item, undefined);
+      const counterpart = isPlainObject(item) && item.id !== undefined
+        ? current.find(c => c?.id === item.id)
+        : current[index];
+      return restoreMasked(item, counterpart);
+    });
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = restoreMasked(child, isPlainObject(current) ? current[key] : undefined);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Switch a serialized database to rollback-journal mode in its header.
+ * In-memory databases can't be opened from a WAL-mode image, and every module
+ * re-enables WAL when it opens its database.
+ * @param {Buffer} buffer - Serialized database
+ * @returns {Buffer} Same buffer
+ */
+function toRollbackJournal(buffer) {
+  if (buffer.length >= 20 && buffer[18] === 2 && buffer[19] === 2) {
+    buffer[18] = 1;
+    buffer[19] = 1;
+  }
+  return buffer;
+}
+
+/**
+ * Open a serialized database in memory
+ * @param {Buffer} buffer - Serialized database
+ * @returns {Database}
+ */
+function openSnapshot(buffer) {
+  return new Database(toRollbackJournal(buffer));
+}
+
+/**
+ * Check if a database has a table
+ * @param {Database} db
+ * @param {string} name - Table name
+ * @returns {boolean}
+ */
+function hasTable(db, name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+
+/**
+ * Read the schema_version table used by the history and user databases
+ * @param {Database} db
+ * @returns {number|null} Version, or null for databases without versioning
+ */
+function readSchemaVersion(db) {
+  if (!hasTable(db, 'schema_version')) return null;
+  return db.prepare('SELECT version FROM schema_version WHERE id = 1').get()?.version ?? null;
+}
+
+/**
+ * Count rows across all tables
+ * @param {Database} db
+ * @returns {number}
+ */
+function countRows(db) {
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_version'").all();
+  let total = 0;
+  for (const { name } of tables) {
+    total += db.prepare(`SELECT COUNT(*) AS n FROM "${name.replace(/"/g, '""')}"`).get().n;
+  }
+  return total;
+}
+
+function listUsernames(db) {
+  return db.prepare('SELECT username FROM users').all().map(r => r.username);
+}
+
+/**
+ * Describe added/removed/changed names between two sets
+ * @returns {string[]} Human-readable change lines
+ */
+function describeNameChanges(noun, backupNames, currentNames, changedNames = []) {
+  const current = new Set(currentNames);
+  const backup = new Set(backupNames);
+  const added = backupNames.filter(n => !current.has(n));
+  const removed = currentNames.filter(n => !backup.has(n));
+  const lines = [];
+  if (added.length > 0) lines.push(`${noun} added: ${added.join(', ')}`);
+  if (removed.length > 0) lines.push(`${noun} removed: ${removed.join(', ')}`);
+  if (changedNames.length > 0) lines.push(`${noun} changed: ${changedNames.join(', ')}`);
+  return lines;
+}
+
+class BackupManager extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Components that can be part of a backup
+   * @returns {Array<{key: string, label: string, secret: boolean}>}
+   */
+  getComponents() {
+    return COMPONENTS.map(({ key, label, secret }) => ({ key, label, secret: !!secret }));
+  }
+
+  // ==========================================================================
+  // EXPORT
+  // ==========================================================================
+
+  /**
+   * Create a backup archive
+   * @param {Object} options
+   * @param {boolean} [options.redact=false] - Mask passwords, API keys and tokens, leave out sessions
+   * @param {string[]} [options.exclude=[]] - Component keys to leave out
+   * @returns {Buffer} Gzipped archive
+   */
+  createBackup({ redact = false, exclude = [] } = {}) {
+    const entries = {};
+
+    for (const component of COMPONENTS) {
+      if (exclude.includes(component.key)) continue;
+      if (redact && component.secret) continue;
+
+      const filePath = component.getPath();
+      if (!fs.existsSync(filePath)) continue;
+
+      entries[component.key] = component.kind === 'json'
+        ? { kind: 'json', data: this._redactJson(component.key, readJsonFile(filePath), redact) }
+        : this._snapshotDatabase(component.key, filePath, redact);
+    }
+
+    const archive = {
+      format: FORMAT,
+      formatVersion: FORMAT_VERSION,
+      appVersion: versionManager.getVersion(),
+      createdAt: new Date().toISOString(),
+      redacted: redact,
+      entries
+    };
+
+    this.log(`💾 Backup created (${Object.keys(entries).join(', ')}${redact ? ', secrets redacted' : ''})`);
+    return zlib.gzipSync(Buffer.from(JSON.stringify(archive), 'utf8'));
+  }
+
+  /**
+   * Mask the secrets of a JSON component
+   * @private
+   */
+  _redactJson(key, data, redact) {
+    if (!redact) return data;
+    if (key === 'config') {
+      const masked = config.maskSensitiveFields(data);
+      if (masked.server?.auth?.sessionSecret) masked.server.auth.sessionSecret = MASK;
+      return masked;
+    }
+    if (key === 'notifications') return notificationManager.maskConfig(data);
+    return data;
+  }
+
+  /**
+   * Take a consistent snapshot of a database file
+   * @private
+   */
+  _snapshotDatabase(key, filePath, redact) {
+    const db = new Database(filePath, { readonly: true, fileMustExist: true });
+    let buffer, schemaVersion;
+    try {
+      buffer = toRollbackJournal(db.serialize());
+      schemaVersion = readSchemaVersion(db);
+    } finally {
+      db.close();
+    }
+
+    if (redact && key === 'users') {
+      const copy = openSnapshot(buffer);
+      try {
+        copy.prepare('UPDATE users SET password_hash = NULL, api_key = NULL').run();
+        if (hasTable(copy, 'user_notifications')) {
+          const update = copy.prepare('UPDATE user_notifications SET services = ? WHERE user_id = ?');
+          for (const row of copy.prepare('SELECT user_id, services FROM user_notifications').all()) {
+            const { services } = notificationManager.maskConfig({ services: JSON.parse(row.services) });
+            update.run(JSON.stringify(services), row.user_id);
+          }
+        }
+        buffer = copy.serialize();
+      } finally {
+        copy.close();
+      }
+    }
+
+    return { kind: 'sqlite', schemaVersion, data: buffer.toString('base64') };
+  }
+
+  // ==========================================================================
+  // IMPORT
+  // ==========================================================================
+
+  /**
+   * Decode and validate the envelope of an archive
+   * @param {Buffer} buffer - Uploaded archive
+   * @returns {Object} Archive
+   * @throws {Error} If the archive is unreadable or from a newer format
+   */
+  readArchive(buffer) {
+    let archive;
+    try {
+      archive = JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+    } catch (err) {
+      throw new Error('Not a valid backup archive');
+    }
+
+    if (archive?.format !== FORMAT) {
+      throw new Error('Not an aMuTorrent backup archive');
+    }
+    if (!Number.isInteger(archive.formatVersion) || archive.formatVersion > FORMAT_VERSION) {
+      throw new Error(`Backup format v${archive.formatVersion} is newer than this version supports (v${FORMAT_VERSION}) — upgrade aMuTorrent first`);
+    }
+    if (!isPlainObject(archive.entries)) {
+      throw new Error('Backup archive has no entries');
+    }
+    return archive;
+  }
+
+  /**
+   * Validate every component and describe what restoring it would change
+   * @param {Buffer} buffer - Uploaded archive
+   * @returns {Object} { appVersion, createdAt, redacted, components: [{ key, label, error, changes, schemaVersion, currentSchemaVersion }], ignored }
+   */
+  previewRestore(buffer) {
+    const archive = this.readArchive(buffer);
+    return this._preview(archive);
+  }
+
+  /** @private */
+  _preview(archive) {
+    const components = [];
+    for (const component of COMPONENTS) {
+      const entry = archive.entries[component.key];
+      if (!entry) continue;
+
+      let result;
+      try {
+        result = component.kind === 'json'
+          ? this._inspectJson(component, entry)
+          : this._inspectDatabase(component, entry);
+      } catch (err) {
+        result = { error: err.message, changes: [] };
+      }
+      components.push({ key: component.key, label: component.label, error: null, ...result });
+    }
+
+    return {
+      appVersion: archive.appVersion || null,
+      createdAt: archive.createdAt || null,
+      redacted: archive.redacted === true,
+      components,
+      // Entries written by a newer version that this one doesn't know about
+      ignored: Object.keys(archive.entries).filter(key => !COMPONENT_KEYS.includes(key))
+    };
+  }
+
+  /** @private */
+  _inspectJson(component, entry) {
+    if (entry.kind !== 'json' || !isPlainObject(entry.data)) {
+      throw new Error('Invalid entry');
+    }
+
+    const filePath = component.getPath();
+    const current = fs.existsSync(filePath) ? readJsonFile(filePath) : null;
+    const backup = entry.data;
+
+    if (!current) return { changes: ['Created (no current file)'] };
+
+    let changes = [];
+    if (component.key === 'config') {
+      // Compare masked copies so secrets never show up in the preview
+      const a = config.maskSensitiveFields(backup);
+      const b = config.maskSensitiveFields(current);
+      const sections = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(key => key !== 'clients' && JSON.stringify(a[key]) !== JSON.stringify(b[key]));
+      if (sections.length > 0) changes.push(`Settings changed: ${sections.join(', ')}`);
+      const clientIds = (cfg) => (Array.isArray(cfg.clients) ? cfg.clients.map(c => c.id || c.name) : []);
+      const changedClients = (a.clients || [])
+        .filter(c => (b.clients || []).some(o => o.id === c.id && JSON.stringify(o) !== JSON.stringify(c)))
+        .map(c => c.id || c.name);
+      changes.push(...describeNameChanges('Clients', clientIds(a), clientIds(b), changedClients));
+    } else if (component.key === 'categories') {
+      const a = backup.categories || {};
+      const b = current.categories || {};
+      const changed = Object.keys(a).filter(name => b[name] && JSON.stringify(a[name]) !== JSON.stringify(b[name]));
+      changes = describeNameChanges('Categories', Object.keys(a), Object.keys(b), changed);
+    } else if (component.key === 'notifications') {
+      const names = (cfg) => (cfg.services || []).map(s => s.name || s.id);
+      changes = describeNameChanges('Services', names(backup), names(current));
+      if (changes.length === 0 && JSON.stringify(backup) !== JSON.stringify(current)) changes.push('Settings changed');
+    } else if (JSON.stringify(backup) !== JSON.stringify(current)) {
+      changes.push('Replaced');
+    }
+
+    return { changes: changes.length > 0 ? changes : ['No changes'] };
+  }
+
+  /** @private */
+  _inspectDatabase(component, entry) {
+    if (entry.kind !== 'sqlite' || typeof entry.data !== 'string') {
+      throw new Error('Invalid entry');
+    }
+
+    const db = openSnapshot(Buffer.from(entry.data, 'base64'));
+    try {
+      const check = db.pragma('quick_check', { simple: true });
+      if (check !== 'ok') throw new Error(`Database is damaged (${check})`);
+
+      const schemaVersion = readSchemaVersion(db);
+      const backupRows = countRows(db);
+
+      const filePath = component.getPath();
+      if (!fs.existsSync(filePath)) {
+        return { schemaVersion, currentSchemaVersion: null, changes: [`Created with ${backupRows} rows`] };
+      }
+
+      const current = new Database(filePath, { readonly: true, fileMustExist: true });
+      try {
+        const currentSchemaVersion = readSchemaVersion(current);
+        if (schemaVersion !== null && currentSchemaVersion !== null && schemaVersion > currentSchemaVersion) {
+          throw new Error(`Created by a newer version (schema v${schemaVersion}, this install has v${currentSchemaVersion}) — upgrade aMuTorrent first`);
+        }
+
+        const changes = [`${backupRows} rows (currently ${countRows(current)})`];
+        if (component.key === 'users') {
+          changes.push(...describeNameChanges('Users', listUsernames(db), listUsernames(current)));
+        }
+        return { schemaVersion, currentSchemaVersion, changes };
+      } finally {
+        current.close();
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Validate an archive and stage the selected components for the next startup
+   * @param {Buffer} buffer - Uploaded archive
+   * @param {string[]|null} keys - Components to restore (null = everything in the archive)
+   * @returns {Object} Pending restore (see getPendingRestore)
+   * @throws {Error} If a selected component is missing or invalid
+   */
+  stageRestore(buffer, keys = null) {
+    const archive = this.readArchive(buffer);
+    const preview = this._preview(archive);
+    const selected = keys ? preview.components.filter(c => keys.includes(c.key)) : preview.components;
+
+    const missing = (keys || []).filter(key => !preview.components.some(c => c.key === key));
+    if (missing.length > 0) throw new Error(`Not in this backup: ${missing.join(', ')}`);
+    if (selected.length === 0) throw new Error('Nothing to restore');
+    const invalid = selected.filter(c => c.error);
+    if (invalid.length > 0) throw new Error(invalid.map(c => `${c.label}: ${c.error}`).join('; '));
+
+    // Write into a temporary directory first so a half-written stage is never applied
+    const pendingDir = this._pendingDir();
+    const tmpDir = `${pendingDir}.tmp`;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.mkdirSync(tmpDir, { recursive: true });
+
+    const files = [];
+    for (const { key, label } of selected) {
+      const component = COMPONENTS.find(c => c.key === key);
+      const entry = archive.entries[key];
+      const target = component.getPath();
+      const fileName = path.basename(target);
+
+      if (component.kind === 'json') {
+        let data = entry.data;
+        if (archive.redacted && fs.existsSync(target)) data = restoreMasked(data, readJsonFile(target));
+        fs.writeFileSync(path.join(tmpDir, fileName), JSON.stringify(data, null, 2));
+      } else {
+        let dbBuffer = Buffer.from(entry.data, 'base64');
+        if (archive.redacted && key === 'users') dbBuffer = this._restoreUserSecrets(dbBuffer);
+        fs.writeFileSync(path.join(tmpDir, fileName), toRollbackJournal(dbBuffer));
+      }
+      files.push({ key, label, file: fileName, target });
+    }
+
+    const manifest = {
+      stagedAt: new Date().toISOString(),
+      backupCreatedAt: archive.createdAt || null,
+      backupAppVersion: archive.appVersion || null,
+      files
+    };
+    fs.writeFileSync(path.join(tmpDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    fs.rmSync(pendingDir, { recursive: true, force: true });
+    fs.renameSync(tmpDir, pendingDir);
+
+    this.log(`💾 Restore staged (${files.map(f => f.key).join(', ')}) — applied on next restart`);
+    return this._describePending(manifest);
+  }
+
+  /**
+   * Keep the current password hashes and API keys of users in a redacted backup
+   * (matched by username; users that don't exist here are left without a password)
+   * @private
+   */
+  _restoreUserSecrets(buffer) {
+    const db = openSnapshot(buffer);
+    try {
+      const currentPath = config.getUserDbPath();
+      if (fs.existsSync(currentPath)) {
+        const current = new Database(currentPath, { readonly: true, fileMustExist: true });
+        try {
+          const update = db.prepare('UPDATE users SET password_hash = ?, api_key = ? WHERE username = ?');
+          for (const row of current.prepare('SELECT username, password_hash, api_key FROM users').all()) {
+            update.run(row.password_hash, row.api_key, row.username);
+          }
+          if (hasTable(db, 'user_notifications') && hasTable(current, 'user_notifications')) {
+            this._restoreUserServiceSecrets(db, current);
+          }
+        } finally {
+          current.close();
+        }
+      }
+      return db.serialize();
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Fill masked secrets of personal notification services from the current database
+   * (matched by username and service ID)
+   * @private
+   */
+  _restoreUserServiceSecrets(db, current) {
+    const currentServices = new Map(current.prepare(`
+      SELECT u.username, n.services FROM user_notifications n JOIN users u ON u.id = n.user_id
+    `).all().map(row => [row.username.toLowerCase(), JSON.parse(row.services)]));
+
+    const update = db.prepare('UPDATE user_notifications SET services = ? WHERE user_id = ?');
+    for (const row of db.prepare(`
+      SELECT n.user_id, u.username, n.services FROM user_notifications n JOIN users u ON u.id = n.user_id
+    `).all()) {
+      const services = restoreMasked(JSON.parse(row.services), currentServices.get(row.username.toLowerCase()));
+      update.run(JSON.stringify(services), row.user_id);
+    }
+  }
+
+  // ==========================================================================
+  // PENDING RESTORE
+  // ==========================================================================
+
+  /** @private */
+  _pendingDir() {
+    return path.join(config.dataDir, PENDING_DIR);
+  }
+
+  /** @private */
+  _readManifest() {
+    const manifestPath = path.join(this._pendingDir(), MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return null;
+    return readJsonFile(manifestPath);
+  }
+
+  /** @private */
+  _describePending(manifest) {
+    return {
+      stagedAt: manifest.stagedAt,
+      backupCreatedAt: manifest.backupCreatedAt,
+      backupAppVersion: manifest.backupAppVersion,
+      components: manifest.files.map(({ key, label }) => ({ key, label }))
+    };
+  }
+
+  /**
+   * Get the restore waiting for the next startup
+   * @returns {Object|null} { stagedAt, backupCreatedAt, backupAppVersion, components } or null
+   */
+  getPendingRestore() {
+    try {
+      const manifest = this._readManifest();
+      return manifest ? this._describePending(manifest) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Discard the staged restore
+   * @returns {boolean} True if there was one
+   */
+  cancelPendingRestore() {
+    const pendingDir = this._pendingDir();
+    if (!fs.existsSync(pendingDir)) return false;
+    fs.rmSync(pendingDir, { recursive: true, force: true });
+    this.log('💾 Pending restore cancelled');
+    return true;
+  }
+
+  /**
+   * Swap staged files into place. Must run at startup before any database is opened.
+   * On failure every rename is undone and the staged files are kept in restore-failed-<timestamp>/.
+   * @returns {boolean} True if a restore was applied
+   */
+  applyPendingRestore() {
+    const pendingDir = this._pendingDir();
+    let manifest;
+    try {
+      manifest = this._readManifest();
+    } catch (err) {
+      this.log(`⚠️ Ignoring unreadable pending restore: ${err.message}`);
+      return false;
+    }
+    if (!manifest) return false;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const previousDir = path.join(config.dataDir, `pre-restore-${stamp}`);
+    const renames = []; // { from, to } in the order they happened
+
+    try {
+      fs.mkdirSync(previousDir, { recursive: true });
+      for (const { file, target } of manifest.files) {
+        for (const suffix of ['', ...SQLITE_SIDECARS]) {
+          const existing = target + suffix;
+          if (!fs.existsSync(existing)) continue;
+          const kept = path.join(previousDir, path.basename(existing));
+          fs.renameSync(existing, kept);
+          renames.push({ from: existing, to: kept });
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        const staged = path.join(pendingDir, file);
+        fs.renameSync(staged, target);
+        renames.push({ from: staged, to: target });
+      }
+    } catch (err) {
+      this.log(`❌ Restore failed, keeping current data: ${err.message}`);
+      for (const { from, to } of renames.reverse()) {
+        try {
+          fs.renameSync(to, from);
+        } catch (undoErr) {
+          this.log(`⚠️ Could not undo ${to} → ${from}: ${undoErr.message}`);
+        }
+      }
+      try {
+        fs.renameSync(pendingDir, path.join(config.dataDir, `restore-failed-${stamp}`));
+      } catch (moveErr) {
+        this.log(`⚠️ Could not set aside the failed restore: ${moveErr.message}`);
+      }
+      return false;
+    }
+
+    fs.rmSync(pendingDir, { recursive: true, force: true });
+    this.log(`♻️  Restored ${manifest.files.map(f => f.key).join(', ')} from backup of ${manifest.backupCreatedAt || 'unknown date'} (previous files kept in ${previousDir})`);
+    return true;
+  }
+}
+
+module.exports = new BackupManager();
+module.exports.COMPONENT_KEYS = COMPONENT_KEYS;
@@ -9,8 +9,10 @@
  * Only download client managers (AmuleManager, RtorrentManager, QbittorrentManager)
  * should extend this class. All other modules extend BaseModule directly.
  */
+const fs = require('fs').promises;
 const BaseModule = require('./BaseModule');
 const logger = require('./logger');
+const { parseTorrentBuffer } = require('./torrentUtils');
 
 class BaseClientManager extends BaseModule {
   constructor() {
@@ -233,6 +235,27 @@ class BaseClientManager extends BaseModule {
     }
   }
 
+  /**
+   * Refresh the tracker cache for a single item (e.g. right after editing its trackers).
+   * Failures are logged and leave the previous cache entry in place.
+   * @param {string} hash - Item hash
+   */
+  async refreshItemTrackers(hash) {
+    if (!this.client || !hash) {
+      return;
+    }
+
+    try {
+      const { trackersByHash } = await this._fetchTrackersAndPeers([{ hash }]);
+      const trackerData = trackersByHash.get(hash.toLowerCase());
+      if (trackerData) {
+        this._trackerCache.set(hash.toLowerCase(), { ...trackerData, lastUpdated: Date.now() });
+      }
+    } catch (err) {
+      this.log(`❌ Error refreshing trackers for ${hash}:`, logger.errorDetail(err));
+    }
+  }
+
   /**
    * Merge cached tracker/peer data into item objects.
    * Sets trackersDetailed, peersDetailed (role-stamped), and optionally trackers (simple URL array).
@@ -349,6 +372,211 @@ class BaseClientManager extends BaseModule {
     throw new Error(`setCategoryOrLabel() not implemented for ${this.clientType}`);
   }
 
+  // ============================================================================
+  // SPEED LIMITS (options-object pattern)
+  // All limits are in bytes/s, 0 = unlimited.
+  // ============================================================================
+
+  /**
+   * Get speed limits, either global (no hash) or for a single item.
+   * Override in managers with the speedLimits / itemSpeedLimits capability.
+   * @param {Object} _opts - { hash } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit }
+   */
+  async getSpeedLimits(_opts) {
+    throw new Error(`getSpeedLimits() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Set speed limits, either global (no hash) or for a single item.
+   * Fields left undefined are not changed.
+   * Override in managers with the speedLimits / itemSpeedLimits capability.
+   * @param {Object} _opts - { hash, downloadLimit, uploadLimit } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } as applied
+   */
+  async setSpeedLimits(_opts) {
+    throw new Error(`setSpeedLimits() not implemented for ${this.clientType}`);
+  }
+
+  // ============================================================================
+  // TORRENT MAINTENANCE
+  // Gated by the recheck / reannounce / sequentialDownload /
+  // firstLastPiecePriority capabilities in clientMeta.
+  // ============================================================================
+
+  /**
+   * Verify downloaded data against piece hashes.
+   * @param {string} _hash - Item hash
+   * @returns {Promise<void>}
+   */
+  async recheck(_hash) {
+    throw new Error(`recheck() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Announce to all trackers immediately.
+   * @param {string} _hash - Item hash
+   * @returns {Promise<void>}
+   */
+  async reannounce(_hash) {
+    throw new Error(`reannounce() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Enable or disable downloading pieces in order.
+   * @param {string} _hash - Item hash
+   * @param {boolean} _enabled - Desired state
+   * @returns {Promise<void>}
+   */
+  async setSequentialDownload(_hash, _enabled) {
+    throw new Error(`setSequentialDownload() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Enable or disable downloading the first and last pieces first.
+   * @param {string} _hash - Item hash
+   * @param {boolean} _enabled - Desired state
+   * @returns {Promise<void>}
+   */
+  async setFirstLastPiecePriority(_hash, _enabled) {
+    throw new Error(`setFirstLastPiecePriority() not implemented for ${this.clientType}`);
+  }
+
+  // ============================================================================
+  // FILE SELECTION
+  // Gated by the filePriority capability in clientMeta.
+  // Priorities use the normalized files API scale: 0 = skip, 1 = normal, 2 = high.
+  // ============================================================================
+
+  /**
+   * Set the priority of individual files in a multi-file torrent.
+   * @param {string} _hash - Item hash
+   * @param {number[]} _fileIndexes - File indexes as returned by getFiles()
+   * @param {number} _priority - 0 (skip), 1 (normal) or 2 (high)
+   * @returns {Promise<void>}
+   */
+  async setFilePriority(_hash, _fileIndexes, _priority) {
+    throw new Error(`setFilePriority() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Skip files on a torrent that was just added stopped, then start it if requested.
+   * Used by clients whose add call can't deselect files up front.
+   * @param {string} hash - Torrent hash
+   * @param {number[]} skipFiles - File indexes to skip
+   * @param {boolean} start - Whether to start the torrent afterwards
+   */
+  async _applyAddFileSelection(hash, skipFiles, start) {
+    try {
+      await this.setFilePriority(hash, skipFiles, 0);
+    } catch (err) {
+      this.log(`⚠️  Failed to skip ${skipFiles.length} file(s) on ${hash}: ${logger.errorDetail(err)}`);
+    }
+    if (start) {
+      await this.resume(hash);
+    }
+  }
+
+  /**
+   * Get the .torrent file of a torrent, for handing it to another client.
+   * Override in managers whose client can export metadata; transfers and
+   * cross-seeding are refused when this returns null.
+   * @param {string} _hash - Item hash
+   * @returns {Promise<Buffer|null>} Raw .torrent file contents, or null if not supported
+   */
+  async exportTorrent(_hash) {
+    return null;
+  }
+
+  /**
+   * Read a .torrent file the client reports a path for (session or loaded file).
+   * Tries the path as-is, then translated through the category path mappings,
+   * and only returns data whose info hash matches.
+   * @param {string} filePath - Path as seen by the client
+   * @param {string} hash - Expected info hash
+   * @returns {Promise<Buffer|null>} Raw .torrent file contents, or null if unreadable
+   */
+  async _readTorrentFile(filePath, hash) {
+    if (!filePath) return null;
+    // Lazy require to avoid circular dependency
+    const categoryManager = require('./CategoryManager');
+    const candidates = [...new Set([filePath, categoryManager.translatePath(filePath, this.clientType, this.instanceId)])];
+
+    for (const candidate of candidates) {
+      try {
+        const data = await fs.readFile(candidate);
+        if (parseTorrentBuffer(data).hash === hash.toLowerCase()) return data;
+      } catch (err) {
+        // Not reachable from here, try the next path
+      }
+    }
+    this.log(`⚠️  Could not read .torrent for ${hash} at ${filePath}`);
+    return null;
+  }
+
+  // ============================================================================
+  // TRACKERS
+  // Gated by the trackerEdit capability in clientMeta.
+  // ============================================================================
+
+  /**
+   * Get the announce URLs currently configured on a torrent.
+   * @param {string} _hash - Item hash
+   * @returns {Promise<string[]>}
+   */
+  async getTrackerUrls(_hash) {
+    throw new Error(`getTrackerUrls() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Add announce URLs to a torrent (URLs already present are ignored).
+   * @param {string} _hash - Item hash
+   * @param {string[]} _urls - Announce URLs
+   * @returns {Promise<void>}
+   */
+  async addTrackers(_hash, _urls) {
+    throw new Error(`addTrackers() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Remove announce URLs from a torrent.
+   * @param {string} _hash - Item hash
+   * @param {string[]} _urls - Announce URLs
+   * @returns {Promise<void>}
+   */
+  async removeTrackers(_hash, _urls) {
+    throw new Error(`removeTrackers() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Replace one announce URL with another on a torrent.
+   * @param {string} _hash - Item hash
+   * @param {string} _oldUrl - Current announce URL
+   * @param {string} _newUrl - New announce URL
+   * @returns {Promise<void>}
+   */
+  async replaceTracker(_hash, _oldUrl, _newUrl) {
+    throw new Error(`replaceTracker() not implemented for ${this.clientType}`);
+  }
+
+  /**
+   * Find cached torrents with a tracker URL containing the given text.
+   * Reads the tracker cache, so results are at most one refresh interval old.
+   * @param {string} fragment - Case-sensitive substring of the announce URL
+   * @returns {Array<{ hash: string, urls: string[] }>} Matching hashes with their matching URLs
+   */
+  findItemsWithTracker(fragment) {
+    const matches = [];
+    for (const [hash, entry] of this._trackerCache) {
+      const urls = entry.trackers || (entry.trackersDetailed || []).map(t => t.url || t.announce);
+      const matching = urls.filter(url => typeof url === 'string' && url.includes(fragment));
+      if (matching.length > 0) {
+        matches.push({ hash, urls: matching });
+      }
+    }
+    return matches;
+  }
+
   // ============================================================================
   // CATEGORY CRUD (options-object pattern)
   // ============================================================================
@@ -88,6 +88,59 @@ function getRandomColor(usedColors = new Set()) {
   return COLOR_PALETTE[Math.floor(Math.random() * COLOR_PALETTE.length)];
 }
 
+// ============================================================================
+// SEEDING RULES
+// ============================================================================
+
+// Actions a seeding rule can take once its threshold is reached
+const SEEDING_RULE_ACTIONS = ['pause', 'remove', 'removeData', 'move'];
+
+/**
+ * Validate and normalize a category's seeding rules.
+ * A rule fires when ANY of its thresholds is reached (ratio OR seeding time).
+ * @param {Array|null} rules - [{ enabled, minRatio, minSeedingHours, action, destPath }]
+ * @returns {Array} Normalized rules (empty array when none)
+ * @throws {Error} If a rule is invalid
+ */
+function normalizeSeedingRules(rules) {
+  if (rules == null) return [];
+  if (!Array.isArray(rules)) throw new Error('Seeding rules must be an array');
+
+  return rules.map((rule, i) => {
+    const label = `Seeding rule ${i + 1}`;
+    const toThreshold = (value) => {
+      if (value === null || value === undefined || value === '') return null;
+      const n = Number(value);
+      if (!Number.isFinite(n) || n <= 0) throw new Error(`${label}: thresholds must be positive numbers`);
+      return n;
+    };
+
+    const minRatio = toThreshold(rule?.minRatio);
+    const minSeedingHours = toThreshold(rule?.minSeedingHours);
+    if (minRatio === null && minSeedingHours === null) {
+      throw new Error(`${label}: set a ratio or a seeding time`);
+    }
+
+    const action = rule?.action;
+    if (!SEEDING_RULE_ACTIONS.includes(action)) {
+      throw new Error(`${label}: unknown action "${action}"`);
+    }
+
+    const destPath = typeof rule.destPath === 'string' ? rule.destPath.trim() : '';
+    if (action === 'move' && !destPath) {
+      throw new Error(`${label}: a destination path is required for the move action`);
+    }
+
+    return {
+      enabled: rule.enabled !== false,
+      minRatio,
+      minSeedingHours,
+      action,
+      destPath: action === 'move' ? destPath : null
+    };
+  });
+}
+
 // ============================================================================
 // CATEGORY MANAGER CLASS
 // ============================================================================
@@ -397,6 +450,8 @@ class CategoryManager extends BaseModule {
             pathMappings: cat.pathMappings || null,
             comment: cat.comment || '',
             priority: cat.priority ?? 0,
+            seedingRules: Array.isArray(cat.seedingRules) ? cat.seedingRules : [],
+            pinnedInstanceId: cat.pinnedInstanceId || null,
             amuleIds,
             createdAt: cat.createdAt || new Date().toISOString(),
             updatedAt: cat.updatedAt || new Date().toISOString()
@@ -446,6 +501,8 @@ class CategoryManager extends BaseModule {
           pathMappings: cat.pathMappings,
           comment: cat.comment,
           priority: cat.priority,
+          seedingRules: cat.seedingRules || [],
+          pinnedInstanceId: cat.pinnedInstanceId || null,
           amuleIds: cat.amuleIds || {},
           createdAt: cat.createdAt,
           updatedAt: cat.updatedAt
@@ -479,6 +536,8 @@ class CategoryManager extends BaseModule {
         pathMappings: null,
         comment: '',
         priority: 0,
+        seedingRules: [],
+        pinnedInstanceId: null,
         amuleIds: {},
         createdAt: now,
         updatedAt: now
@@ -502,6 +561,8 @@ class CategoryManager extends BaseModule {
       pathMappings: cat.pathMappings || null,
       comment: cat.comment || '',
       priority: cat.priority ?? 0,
+      seedingRules: cat.seedingRules || [],
+      pinnedInstanceId: cat.pinnedInstanceId || null,
       // Additional unified fields
       name: cat.name,
       hexColor: cat.color,
@@ -581,6 +642,8 @@ class CategoryManager extends BaseModule {
       pathMappings: null,
       comment: comment || '',
       priority: priority ?? 0,
+      seedingRules: [],
+      pinnedInstanceId: null,
       amuleIds: amuleIds || {},
       createdAt: now,
       updatedAt: now
@@ -690,10 +753,12 @@ class CategoryManager extends BaseModule {
    * @param {Object|null} options.pathMappings - Per-client path mappings { amule: '/path', rtorrent: '/path' }
    * @param {string} options.comment - Comment
    * @param {number} options.priority - Priority (0=Normal, 1=High, 2=Low, 3=Auto)
+   * @param {Array} options.seedingRules - Ratio/seeding-time rules (see normalizeSeedingRules)
+   * @param {string|null} options.pinnedInstanceId - Instance "auto" adds go to under the 'category' target policy
    * @param {boolean} options.skipClients - Skip creating in clients (used during sync)
    * @returns {Promise<Object>} Created category
    */
-  async create(name, { color = null, path = null, pathMappings = null, comment = '', priority = 0, skipClients = false } = {}) {
+  async create(name, { color = null, path = null, pathMappings = null, comment = '', priority = 0, seedingRules = null, pinnedInstanceId = null, skipClients = false } = {}) {
     if (!name || typeof name !== 'string') {
       throw new Error('Category name is required');
     }
@@ -702,6 +767,8 @@ class CategoryManager extends BaseModule {
       throw new Error(`Category "${name}" already exists`);
     }
 
+    const normalizedRules = normalizeSeedingRules(seedingRules);
+
     // Get used colors for random selection
     const usedColors = new Set(Array.from(this.categories.values()).map(c => c.color));
 
@@ -717,6 +784,8 @@ class CategoryManager extends BaseModule {
       pathMappings: normalizedMappings,
       comment: comment || '',
       priority: priority ?? 0,
+      seedingRules: normalizedRules,
+      pinnedInstanceId: pinnedInstanceId || null,
       amuleIds: {},
       createdAt: now,
       updatedAt: now
@@ -758,15 +827,20 @@ class CategoryManager extends BaseModule {
    * @param {Object} [updates.pathMappings] - Per-client path mappings
    * @param {string} [updates.comment] - Category comment
    * @param {number} [updates.priority] - Category priority
+   * @param {Array} [updates.seedingRules] - Ratio/seeding-time rules
+   * @param {string|null} [updates.pinnedInstanceId] - Instance for "auto" adds (null = none)
    * @param {boolean} [updates.skipClients] - Skip updating in clients (used during sync)
    * @returns {Promise<{category: Object, clientVerification: Object|null}>} Updated category and verification result
    */
-  async update(name, { color, path, pathMappings, comment, priority, skipClients = false } = {}) {
+  async update(name, { color, path, pathMappings, comment, priority, seedingRules, pinnedInstanceId, skipClients = false } = {}) {
     const category = this.categories.get(name);
     if (!category) {
       throw new Error(`Category "${name}" not found`);
     }
 
+    // Validate before mutating so a bad rule doesn't leave a half-applied update
+    const normalizedRules = seedingRules !== undefined ? normalizeSeedingRules(seedingRules) : undefined;
+
     // Update fields that are provided
     if (color !== undefined) category.color = color;
     if (path !== undefined) category.path = path;
@@ -776,6 +850,8 @@ class CategoryManager extends BaseModule {
     }
     if (comment !== undefined) category.comment = comment;
     if (priority !== undefined) category.priority = priority;
+    if (normalizedRules !== undefined) category.seedingRules = normalizedRules;
+    if (pinnedInstanceId !== undefined) category.pinnedInstanceId = pinnedInstanceId || null;
     category.updatedAt = new Date().toISOString();
 
     // Update in all connected clients with category support
@@ -988,6 +1064,58 @@ class CategoryManager extends BaseModule {
     return clientPath;
   }
 
+  /**
+   * Translate an app path to the path a client sees (inverse of translatePath)
+   * Used when handing a download to another instance with different path mappings.
+   * @param {string} appPath - Path as aMuTorrent sees it
+   * @param {string} clientType - Client type of the target instance
+   * @param {string} instanceId - Target instance ID for per-instance path mapping lookup
+   * @returns {string} Client path, or original if no mapping found
+   */
+  toClientPath(appPath, clientType, instanceId) {
+    if (!appPath || !clientType) return appPath;
+
+    const normalizedAppPath = appPath.replace(/\/+$/, '');
+    const isUnder = (base) => normalizedAppPath === base || normalizedAppPath.startsWith(base + '/');
+
+    // Find matching category by mapped app path prefix (longest match wins)
+    let bestMatch = null;
+    let bestMatchLength = 0;
+
+    for (const category of this.categories.values()) {
+      if (category.name === 'Default') continue;
+      if (!category.path) continue;
+
+      const mappedPath = (instanceId && category.pathMappings?.[instanceId]) || category.pathMappings?.[clientType] || category.path;
+      const normalizedMappedPath = mappedPath.replace(/\/+$/, '');
+
+      if (isUnder(normalizedMappedPath) && normalizedMappedPath.length > bestMatchLength) {
+        bestMatch = {
+          appPath: normalizedMappedPath,
+          clientPath: category.path.replace(/\/+$/, '')
+        };
+        bestMatchLength = normalizedMappedPath.length;
+      }
+    }
+
+    if (bestMatch) {
+      return bestMatch.clientPath + normalizedAppPath.substring(bestMatch.appPath.length);
+    }
+
+    // Fallback: Default category's mapping against the client's default directory
+    const defaultCategory = this.categories.get('Default');
+    const defaultAppPath = (instanceId && defaultCategory?.pathMappings?.[instanceId]) || defaultCategory?.pathMappings?.[clientType];
+    const clientDefaultPath = defaultCategory?.path || (instanceId ? this.clientDefaultPaths[instanceId] : null);
+    if (defaultAppPath && clientDefaultPath) {
+      const normalizedDefaultAppPath = defaultAppPath.replace(/\/+$/, '');
+      if (isUnder(normalizedDefaultAppPath)) {
+        return clientDefaultPath.replace(/\/+$/, '') + normalizedAppPath.substring(normalizedDefaultAppPath.length);
+      }
+    }
+
+    return appPath;
+  }
+
   // ==========================================================================
   // STATIC COLOR UTILITIES (exported for frontend compatibility)
   // ==========================================================================
@@ -1005,3 +1133,5 @@ module.exports.CategoryManager = CategoryManager;
 module.exports.amuleColorToHex = amuleColorToHex;
 module.exports.hexColorToAmule = hexColorToAmule;
 module.exports.getRandomColor = getRandomColor;
+module.exports.normalizeSeedingRules = normalizeSeedingRules;
+module.exports.SEEDING_RULE_ACTIONS = SEEDING_RULE_ACTIONS;
@@ -12,6 +12,7 @@ const BaseModule = require('./BaseModule');
 const { assembleUnifiedItems } = require('./unifiedItemBuilder');
 const { itemKey } = require('./itemKey');
 const moveOperationManager = require('./MoveOperationManager');
+const transferOperationManager = require('./TransferOperationManager');
 const config = require('../modules/config');
 const clientMeta = require('./clientMeta');
 
@@ -93,9 +94,11 @@ class DataFetchService extends BaseModule {
   }
 
   /**
-   * Enrich items with addedAt timestamp from download history database
+   * Enrich items with addedAt/completedAt timestamps from download history database
    * For items without addedAt (aMule, or rtorrent with null creationDate),
-   * look up the started_at timestamp from our history database
+   * look up the started_at timestamp from our history database.
+   * Completed BitTorrent items whose client didn't report a finish time
+   * fall back to completed_at (used for seeding-time rules).
    * @param {Array} items - Array of unified items
    */
   _enrichWithTimestamps(items) {
@@ -104,16 +107,21 @@ class DataFetchService extends BaseModule {
     }
 
     for (const item of items) {
+      const needsCompletedAt = item.complete && item.completedAt === null;
+
       // Skip if item already has addedAt (rtorrent with valid creationDate)
-      if (item.addedAt) {
+      if (item.addedAt && !needsCompletedAt) {
         continue;
       }
 
       // Look up from history database
       const historyEntry = this.downloadHistoryDB.getByHash(item.hash, item.instanceId);
-      if (historyEntry && historyEntry.started_at) {
+      if (!item.addedAt && historyEntry && historyEntry.started_at) {
         item.addedAt = new Date(historyEntry.started_at);
       }
+      if (needsCompletedAt && historyEntry && historyEntry.completed_at) {
+        item.completedAt = new Date(historyEntry.completed_at);
+      }
     }
   }
 
@@ -179,6 +187,27 @@ class DataFetchService extends BaseModule {
     }
   }
 
+  /**
+   * Mark items that are being transferred to another instance
+   * Adds transferStatus ('pending', 'adding', 'checking', 'removing') and
+   * transferTarget (target instance ID) to the source item
+   * @param {Array} items - Array of unified items
+   */
+  _injectTransferStatus(items) {
+    const transfers = transferOperationManager.getActiveTransfers();
+    if (!transfers || transfers.size === 0) {
+      return;
+    }
+
+    for (const item of items) {
+      const transfer = transfers.get(itemKey(item.instanceId, item.hash));
+      if (transfer) {
+        item.transferStatus = transfer.status;
+        item.transferTarget = transfer.targetInstanceId;
+      }
+    }
+  }
+
   // ============================================================================
   // PUBLIC API
   // ============================================================================
@@ -288,6 +317,7 @@ class DataFetchService extends BaseModule {
 
     // Inject move operation status into items
     this._injectMoveStatus(items);
+    this._injectTransferStatus(items);
 
     // Separate shared files for history: only from clients with separate completion tracking
     // (aMule reports completion via shared files list; torrent clients use progress field)
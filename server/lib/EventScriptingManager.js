@@ -2,12 +2,14 @@
  * EventScriptingManager - Execute user-defined scripts on specific events
  *
  * Supports events: downloadAdded, downloadFinished, categoryChanged, fileMoved, fileDeleted,
- *                  clientUnavailable, clientAvailable
+ *                  clientUnavailable, clientAvailable, speedProfileChanged, seedingRuleApplied,
+ *                  downloadStalled, noSeeds, lowDiskSpace, ratioReached, moveFailed,
+ *                  loginFailed, updateAvailable, savedSearchResults
  *
  * Script invocation:
  * - Event type as first argument
  * - Environment variables: EVENT_TYPE, EVENT_HASH, EVENT_FILENAME, EVENT_CLIENT_TYPE,
- *   EVENT_INSTANCE_ID, EVENT_INSTANCE_NAME, EVENT_OWNER, EVENT_TRIGGERED_BY
+ *   EVENT_INSTANCE_ID, EVENT_INSTANCE_NAME, EVENT_OWNER, EVENT_TRIGGERED_BY, EVENT_PROFILE
  * - Full JSON event data via stdin
  *
  * Execution is fire-and-forget (non-blocking), errors are logged only.
@@ -50,7 +52,7 @@ class EventScriptingManager extends BaseModule {
   }
 
   /**
-   * Emit an event - fire-and-forget script execution and Apprise notifications
+   * Emit an event - fire-and-forget script execution and notifications
    * @param {string} eventType - Event type (downloadAdded, downloadFinished, etc.)
    * @param {Object} eventData - Event data object
    */
@@ -64,7 +66,7 @@ class EventScriptingManager extends BaseModule {
     // Enrich with owner/triggeredBy from userManager
     this._enrichWithUserInfo(eventData);
 
-    // Send Apprise notification (if enabled for this event)
+    // Send notification (if enabled for this event)
     // Client health events use flood prevention to avoid notification spam
     if (eventType === 'clientAvailable' || eventType === 'clientUnavailable') {
       const floodKey = `${eventData.instanceId || 'global'}:${eventType}`;
@@ -179,7 +181,26 @@ class EventScriptingManager extends BaseModule {
       EVENT_STATUS: eventData.status || '',
       EVENT_PREVIOUS_STATUS: eventData.previousStatus || '',
       EVENT_ERROR: eventData.error || '',
-      EVENT_DOWNTIME_DURATION: eventData.downtimeDuration != null ? String(eventData.downtimeDuration) : ''
+      EVENT_DOWNTIME_DURATION: eventData.downtimeDuration != null ? String(eventData.downtimeDuration) : '',
+      // Speed profile event fields
+      EVENT_PROFILE: eventData.profile || '',
+      EVENT_PREVIOUS_PROFILE: eventData.previousProfile || '',
+      // Seeding rule event fields
+      EVENT_CATEGORY: eventData.category || '',
+      EVENT_ACTION: eventData.action || '',
+      EVENT_REASON: eventData.reason || '',
+      // Monitoring event fields
+      EVENT_PROGRESS: eventData.progress != null ? String(eventData.progress) : '',
+      EVENT_RATIO: eventData.ratio != null ? String(eventData.ratio) : '',
+      EVENT_FREE_SPACE: eventData.free != null ? String(eventData.free) : '',
+      EVENT_IP: eventData.ip || '',
+      EVENT_USERNAME: eventData.username || '',
+      EVENT_ATTEMPTS: eventData.attempts != null ? String(eventData.attempts) : '',
+      EVENT_LATEST_VERSION: eventData.latestVersion || '',
+      // Saved search event fields
+      EVENT_SEARCH_NAME: eventData.searchName || '',
+      EVENT_QUERY: eventData.query || '',
+      EVENT_NEW_COUNT: eventData.newCount != null ? String(eventData.newCount) : ''
     };
 
     return new Promise((resolve) => {
@@ -65,6 +65,21 @@ class HealthTracker {
     return null;
   }
 
+  /**
+   * Get the current health state of an instance.
+   * @param {string} instanceId
+   * @returns {{ status: 'unknown'|'available'|'unavailable', consecutiveFailures: number, lastTransitionTime: number }|null}
+   */
+  getState(instanceId) {
+    const state = this.instances.get(instanceId);
+    if (!state) return null;
+    return {
+      status: state.status,
+      consecutiveFailures: state.consecutiveFailures,
+      lastTransitionTime: state.lastTransitionTime
+    };
+  }
+
   /**
    * Remove tracking for an instance (when removed from config).
    */
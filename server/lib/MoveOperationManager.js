@@ -55,6 +55,7 @@ class MoveOperationManager extends BaseModule {
     // Start cleanup interval (every 30 minutes)
     this.cleanupInterval = setInterval(() => {
       this.db.cleanup();
+      this.db.cleanupTransfers();
     }, 30 * 60 * 1000);
 
     this.log('📦 Move operation manager database initialized');
@@ -221,6 +222,18 @@ class MoveOperationManager extends BaseModule {
         await this.cleanupPartialDest(operation);
       }
 
+      // Emit moveFailed event
+      eventScriptingManager.emit('moveFailed', {
+        hash: hash.toLowerCase(),
+        instanceId: instanceId || null,
+        filename: name,
+        clientType: clientType || 'unknown',
+        category: categoryName || null,
+        sourcePath: remoteSourcePath || sourcePath,
+        destPath: clientDestPath,
+        error: err.message
+      });
+
       // Notify error
       this.broadcastError(`Failed to move "${name}": ${err.message}`);
 
@@ -4,6 +4,9 @@
  * Tracks move operations for download client files when changing categories.
  * Supports both rtorrent and aMule clients.
  * Stores progress, status, and error information for recovery on restart.
+ *
+ * Also holds transfer operations (torrents handed from one BitTorrent
+ * instance to another, see TransferOperationManager).
  */
 
 const Database = require('better-sqlite3');
@@ -17,6 +20,13 @@ const logger = require('./logger');
 // - verifying: copy complete, verifying sizes
 // - completed: move finished successfully
 // - failed: move failed with error
+//
+// Transfer status values:
+// - pending: queued, source not touched yet
+// - adding: source stopped, adding to the target instance
+// - checking: added to the target, waiting for metadata and the recheck
+// - removing: verified on the target, removing from the source
+// - completed / failed
 
 class MoveOperationsDB {
   constructor(dbPath) {
@@ -98,6 +108,30 @@ class MoveOperationsDB {
       CREATE INDEX IF NOT EXISTS idx_move_ops_status ON move_operations(status);
       CREATE INDEX IF NOT EXISTS idx_move_ops_instance ON move_operations(instance_id);
     `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS transfer_operations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        source_instance_id TEXT NOT NULL,
+        target_instance_id TEXT NOT NULL,
+        source_path TEXT,
+        target_path TEXT,
+        category_name TEXT,
+        source_progress REAL DEFAULT 0,
+        source_was_active INTEGER DEFAULT 0,
+        torrent_data TEXT,
+        status TEXT DEFAULT 'pending',
+        error_message TEXT,
+        phase_started_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE(hash, source_instance_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_transfer_ops_status ON transfer_operations(status);
+    `);
   }
 
   /**
@@ -345,6 +379,146 @@ class MoveOperationsDB {
     return result.changes;
   }
 
+  // ==========================================================================
+  // TRANSFER OPERATIONS
+  // ==========================================================================
+
+  /**
+   * Add a new transfer operation (replaces a finished one for the same hash+source)
+   * @param {Object} transfer - Transfer details
+   * @param {string} transfer.hash - Torrent hash
+   * @param {string} transfer.name - Torrent name
+   * @param {string} transfer.sourceInstanceId - Instance the torrent is moving away from
+   * @param {string} transfer.targetInstanceId - Instance the torrent is moving to
+   * @param {string} transfer.sourcePath - Save path as the source client sees it
+   * @param {string} transfer.targetPath - Save path as the target client sees it
+   * @param {string} transfer.categoryName - Category name (null = Default)
+   * @param {number} transfer.sourceProgress - Source progress (0-100) the target must reach
+   * @param {boolean} transfer.sourceWasActive - Whether to start the torrent on the target
+   * @param {Buffer} transfer.torrentData - Raw .torrent file contents
+   * @returns {Object} Created transfer record
+   */
+  addTransfer({ hash, name, sourceInstanceId, targetInstanceId, sourcePath, targetPath, categoryName = null, sourceProgress = 0, sourceWasActive = false, torrentData }) {
+    const now = new Date().toISOString();
+    const lowerHash = hash.toLowerCase();
+
+    this.db.prepare('DELETE FROM transfer_operations WHERE hash = ? AND source_instance_id = ?').run(lowerHash, sourceInstanceId);
+
+    this.db.prepare(`
+      INSERT INTO transfer_operations (
+        hash, name, source_instance_id, target_instance_id, source_path, target_path, category_name,
+        source_progress, source_was_active, torrent_data, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      lowerHash,
+      name,
+      sourceInstanceId,
+      targetInstanceId,
+      sourcePath,
+      targetPath,
+      categoryName,
+      sourceProgress,
+      sourceWasActive ? 1 : 0,
+      torrentData.toString('base64'),
+      now,
+      now
+    );
+
+    logger.log(`📦 Transfer operation queued: ${name} (${sourceInstanceId} -> ${targetInstanceId})`);
+
+    return this.getTransfer(lowerHash, sourceInstanceId);
+  }
+
+  /**
+   * Set the status of a transfer (starts a new phase)
+   * @param {string} hash - Torrent hash
+   * @param {string} sourceInstanceId - Source instance ID
+   * @param {string} status - New status
+   * @param {string} [errorMessage] - Error message (for failed status)
+   */
+  updateTransferStatus(hash, sourceInstanceId, status, errorMessage = null) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      UPDATE transfer_operations
+      SET status = ?, error_message = ?, phase_started_at = ?, updated_at = ?
+      WHERE hash = ? AND source_instance_id = ?
+    `).run(status, errorMessage, now, now, hash.toLowerCase(), sourceInstanceId);
+
+    if (status === 'completed') {
+      logger.log(`📦 Transfer operation completed: ${hash}`);
+    }
+  }
+
+  /**
+   * Get a transfer by hash and source instance ID
+   * @param {string} hash - Torrent hash
+   * @param {string} sourceInstanceId - Source instance ID
+   * @returns {Object|null} Transfer record or null
+   */
+  getTransfer(hash, sourceInstanceId) {
+    const row = this.db.prepare('SELECT * FROM transfer_operations WHERE hash = ? AND source_instance_id = ?')
+      .get(hash.toLowerCase(), sourceInstanceId);
+    return row ? this._transferRowToObject(row) : null;
+  }
+
+  /**
+   * Get all transfers that haven't finished
+   * @returns {Array} Array of transfer records, oldest first
+   */
+  getActiveTransfers() {
+    return this.db.prepare(`
+      SELECT * FROM transfer_operations
+      WHERE status IN ('pending', 'adding', 'checking', 'removing')
+      ORDER BY created_at ASC
+    `).all().map(row => this._transferRowToObject(row));
+  }
+
+  /**
+   * Remove completed transfers older than specified duration
+   * @param {number} maxAgeMs - Maximum age in milliseconds (default: 1 hour)
+   * @returns {number} Number of records cleaned up
+   */
+  cleanupTransfers(maxAgeMs = 60 * 60 * 1000) {
+    const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+    const result = this.db.prepare(`
+      DELETE FROM transfer_operations
+      WHERE status = 'completed' AND updated_at < ?
+    `).run(cutoff);
+
+    if (result.changes > 0) {
+      logger.log(`📦 Cleaned up ${result.changes} completed transfer operations`);
+    }
+
+    return result.changes;
+  }
+
+  /**
+   * Convert transfer row to camelCase object
+   * @param {Object} row - Database row
+   * @returns {Object} Converted object
+   * @private
+   */
+  _transferRowToObject(row) {
+    return {
+      id: row.id,
+      hash: row.hash,
+      name: row.name,
+      sourceInstanceId: row.source_instance_id,
+      targetInstanceId: row.target_instance_id,
+      sourcePath: row.source_path,
+      targetPath: row.target_path,
+      categoryName: row.category_name || null,
+      sourceProgress: row.source_progress,
+      sourceWasActive: row.source_was_active === 1,
+      torrentData: row.torrent_data ? Buffer.from(row.torrent_data, 'base64') : null,
+      status: row.status,
+      errorMessage: row.error_message,
+      phaseStartedAt: row.phase_started_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
   /**
    * Convert database row to camelCase object
    * @param {Object} row - Database row
@@ -1,18 +1,38 @@
 /**
- * NotificationManager - Manage Apprise notification services
+ * NotificationManager - Manage notification services
  *
  * Handles CRUD operations for notification services and sends notifications
- * via the Apprise CLI.
+ * either natively over HTTP (webhook, ntfy, Gotify, Discord, Slack) or via the
+ * Apprise CLI.
  */
 
 const crypto = require('crypto');
+const dns = require('dns').promises;
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { spawn, execSync } = require('child_process');
+const ipaddr = require('ipaddr.js');
 const BaseModule = require('./BaseModule');
 const config = require('../modules/config');
-const { formatDuration } = require('./timeRange');
+const { NATIVE_TYPES, deliver } = require('./notificationDelivery');
+const {
+  DEFAULT_TEMPLATES, PLACEHOLDERS, getSampleData,
+  buildValues, render, getDefaultTemplate, normalizeTemplates
+} = require('./notificationTemplates');
+
+// Delivery attempts kept per service for the UI
+const DELIVERY_LOG_SIZE = 25;
+
+// Events about a single download or saved search, which users can subscribe to for the ones they own
+const OWNER_EVENT_TYPES = [
+  'downloadAdded', 'downloadFinished', 'categoryChanged', 'fileMoved', 'fileDeleted',
+  'seedingRuleApplied', 'downloadStalled', 'noSeeds', 'ratioReached', 'moveFailed',
+  'savedSearchResults'
+];
+
+// Shown to users instead of the error of a failed personal delivery, which can leak what the server reached
+const PERSONAL_FAILURE_MESSAGE = 'Could not deliver the notification. Check the service settings or ask the administrator to look at the server log.';
 
 // Common paths where pipx/pip install apprise
 const APPRISE_SEARCH_PATHS = [
@@ -38,6 +58,7 @@ class NotificationManager extends BaseModule {
     this.notificationConfig = null;
     this.appriseAvailable = null; // cached result
     this.apprisePath = null; // full path to apprise binary
+    this.deliveryLog = new Map(); // serviceId -> recent delivery results (newest first)
   }
 
   /**
@@ -142,7 +163,17 @@ class NotificationManager extends BaseModule {
             fileMoved: true,
             fileDeleted: true,
             clientUnavailable: true,
-            clientAvailable: true
+            clientAvailable: true,
+            speedProfileChanged: false,
+            seedingRuleApplied: true,
+            downloadStalled: false,
+            noSeeds: false,
+            lowDiskSpace: true,
+            ratioReached: false,
+            moveFailed: true,
+            loginFailed: true,
+            updateAvailable: true,
+            savedSearchResults: false
           },
           services: []
         };
@@ -305,7 +336,6 @@ class NotificationManager extends BaseModule {
    */
   isEventEnabled(eventType) {
     if (!this.isEnabled()) return false;
-    if (!this.appriseAvailable?.available) return false;
     return this.notificationConfig?.events?.[eventType] === true;
   }
 
@@ -316,7 +346,8 @@ class NotificationManager extends BaseModule {
   getConfig() {
     return {
       enabled: this.notificationConfig?.enabled || false,
-      events: this.notificationConfig?.events || {}
+      events: this.notificationConfig?.events || {},
+      allowUserServices: this.notificationConfig?.allowUserServices === true
     };
   }
 
@@ -329,6 +360,9 @@ class NotificationManager extends BaseModule {
     if (cfg.events) {
       this.notificationConfig.events = { ...cfg.events };
     }
+    if (cfg.allowUserServices !== undefined) {
+      this.notificationConfig.allowUserServices = cfg.allowUserServices === true;
+    }
     this._saveConfig();
     this.log('[NotificationManager] Configuration updated');
   }
@@ -344,6 +378,21 @@ class NotificationManager extends BaseModule {
     }));
   }
 
+  /**
+   * Get a copy of a notification configuration with service secrets masked
+   * @param {Object} notificationConfig - Contents of notifications.json
+   * @returns {Object} Masked copy
+   */
+  maskConfig(notificationConfig) {
+    return {
+      ...notificationConfig,
+      services: (notificationConfig?.services || []).map(service => ({
+        ...service,
+        config: this._maskServiceConfig(service.type, service.config)
+      }))
+    };
+  }
+
   /**
    * Mask sensitive fields in service config
    * @param {string} type - Service type
@@ -360,8 +409,10 @@ class NotificationManager extends BaseModule {
       telegram: ['bot_token'],
       slack: ['token_a', 'token_b', 'token_c'],
       pushover: ['api_token'],
+      ntfy: ['token'],
       gotify: ['token'],
       email: ['smtp_password'],
+      webhook: ['headers'],
       custom: []
     };
 
@@ -375,28 +426,29 @@ class NotificationManager extends BaseModule {
     return masked;
   }
 
+  /**
+   * Get how a service is delivered
+   * @param {Object} service - Service configuration
+   * @returns {'native'|'apprise'} Native by default for types that support it
+   */
+  getDeliveryMode(service) {
+    if (!NATIVE_TYPES.includes(service.type)) return 'apprise';
+    return service.delivery === 'apprise' ? 'apprise' : 'native';
+  }
+
   /**
    * Add a new notification service
-   * @param {Object} serviceData - Service data (name, type, enabled, config)
+   * @param {Object} serviceData - Service data (name, type, enabled, delivery, config, templates)
    * @returns {Object} Created service
    */
   addService(serviceData) {
-    const service = {
-      id: this._generateId(),
-      name: serviceData.name,
-      type: serviceData.type,
-      enabled: serviceData.enabled !== false,
-      config: serviceData.config || {}
-    };
+    const service = this._buildService(serviceData);
 
     this.notificationConfig.services.push(service);
     this._saveConfig();
     this.log(`[NotificationManager] Added service: ${service.name} (${service.type})`);
 
-    return {
-      ...service,
-      config: this._maskServiceConfig(service.type, service.config)
-    };
+    return this._maskService(service);
   }
 
   /**
@@ -409,8 +461,39 @@ class NotificationManager extends BaseModule {
     const index = this.notificationConfig.services.findIndex(s => s.id === id);
     if (index === -1) return null;
 
-    const existing = this.notificationConfig.services[index];
+    const updated = this._mergeService(this.notificationConfig.services[index], updates);
+
+    this.notificationConfig.services[index] = updated;
+    this._saveConfig();
+    this.log(`[NotificationManager] Updated service: ${updated.name}`);
 
+    return this._maskService(updated);
+  }
+
+  /**
+   * Build a new service record
+   * @param {Object} serviceData - Service data (name, type, enabled, delivery, config, templates)
+   * @returns {Object} Service
+   */
+  _buildService(serviceData) {
+    return {
+      id: this._generateId(),
+      name: serviceData.name,
+      type: serviceData.type,
+      enabled: serviceData.enabled !== false,
+      delivery: serviceData.delivery === 'apprise' ? 'apprise' : 'native',
+      config: serviceData.config || {},
+      templates: normalizeTemplates(serviceData.templates || {})
+    };
+  }
+
+  /**
+   * Apply updates to a service record
+   * @param {Object} existing - Current service
+   * @param {Object} updates - Updates to apply (masked config values are kept as they are)
+   * @returns {Object} Updated service
+   */
+  _mergeService(existing, updates) {
     // Merge config, preserving existing passwords if masked
     let newConfig = { ...existing.config };
     if (updates.config) {
@@ -422,20 +505,25 @@ class NotificationManager extends BaseModule {
       });
     }
 
-    const updated = {
+    return {
       ...existing,
       name: updates.name !== undefined ? updates.name : existing.name,
       enabled: updates.enabled !== undefined ? updates.enabled : existing.enabled,
+      delivery: updates.delivery !== undefined ? updates.delivery : existing.delivery,
+      templates: updates.templates !== undefined ? normalizeTemplates(updates.templates) : existing.templates,
       config: newConfig
     };
+  }
 
-    this.notificationConfig.services[index] = updated;
-    this._saveConfig();
-    this.log(`[NotificationManager] Updated service: ${updated.name}`);
-
+  /**
+   * Copy of a service with its secrets masked
+   * @param {Object} service - Service configuration
+   * @returns {Object}
+   */
+  _maskService(service) {
     return {
-      ...updated,
-      config: this._maskServiceConfig(updated.type, updated.config)
+      ...service,
+      config: this._maskServiceConfig(service.type, service.config)
     };
   }
 
@@ -450,6 +538,7 @@ class NotificationManager extends BaseModule {
 
     const service = this.notificationConfig.services[index];
     this.notificationConfig.services.splice(index, 1);
+    this.deliveryLog.delete(id);
     this._saveConfig();
     this.log(`[NotificationManager] Deleted service: ${service.name}`);
     return true;
@@ -461,11 +550,6 @@ class NotificationManager extends BaseModule {
    * @returns {Promise<Object>} Test results
    */
   async testServices(serviceId = null) {
-    // Check if Apprise is available
-    if (!this.appriseAvailable?.available) {
-      return { success: false, message: 'Apprise CLI is not installed' };
-    }
-
     const services = serviceId
       ? this.notificationConfig.services.filter(s => s.id === serviceId)
       : this.notificationConfig.services.filter(s => s.enabled);
@@ -474,20 +558,32 @@ class NotificationManager extends BaseModule {
       return { success: false, message: 'No services to test' };
     }
 
-    const urls = services.map(s => this._buildAppriseUrl(s)).filter(u => u);
-    if (urls.length === 0) {
-      return { success: false, message: 'No valid service configurations' };
-    }
-
     const testTitle = 'aMuTorrent Test Notification';
     const testBody = 'This is a test notification from aMuTorrent Web Controller.';
 
-    try {
-      const result = await this._sendApprise(testTitle, testBody, urls);
-      return result;
-    } catch (err) {
-      return { success: false, message: err.message };
+    const results = await this._deliverAll(services, 'test', () => ({ title: testTitle, body: testBody }));
+    return this._summarizeResults(results);
+  }
+
+  /**
+   * Combine delivery results into one success flag and message
+   * @param {Array} results - Results of _deliverAll()
+   * @returns {{success: boolean, message: string}}
+   */
+  _summarizeResults(results) {
+    const failed = results.filter(r => !r.success);
+
+    if (results.length === 1) {
+      return { success: results[0].success, message: results[0].message };
+    }
+    if (failed.length === 0) {
+      return { success: true, message: `Notification sent to ${results.length} services` };
     }
+    return {
+      success: false,
+      message: `Sent to ${results.length - failed.length} of ${results.length} services. ` +
+        failed.map(r => `${r.serviceName}: ${r.message}`).join('; ')
+    };
   }
 
   /**
@@ -496,29 +592,41 @@ class NotificationManager extends BaseModule {
    * @param {Object} eventData - Event data
    */
   async notify(eventType, eventData) {
-    if (!this.isEventEnabled(eventType)) {
-      return;
-    }
+    const messageFor = (service) => this.renderMessage(eventType, eventData, service);
+    const deliveries = [];
 
-    const enabledServices = this.notificationConfig.services.filter(s => s.enabled);
-    if (enabledServices.length === 0) {
-      return;
+    if (this.isEventEnabled(eventType)) {
+      const enabledServices = this.notificationConfig.services.filter(s => s.enabled);
+      if (enabledServices.length > 0) {
+        deliveries.push(this._deliverAll(enabledServices, eventType, messageFor));
+      }
     }
 
-    const urls = enabledServices.map(s => this._buildAppriseUrl(s)).filter(u => u);
-    if (urls.length === 0) {
-      return;
+    // Fan out to the download owner's personal services
+    const ownerServices = this._getOwnerServices(eventType, eventData);
+    if (ownerServices.length > 0) {
+      deliveries.push(this._deliverAll(ownerServices, eventType, messageFor, { personal: true }));
     }
 
-    const title = this._buildNotificationTitle(eventType, eventData);
-    const body = this._buildNotificationBody(eventType, eventData);
+    await Promise.all(deliveries);
+  }
 
-    try {
-      await this._sendApprise(title, body, urls);
-      this.log(`[NotificationManager] Notification sent for ${eventType}`);
-    } catch (err) {
-      this.log(`[NotificationManager] Failed to send notification: ${err.message}`);
-    }
+  /**
+   * Get the enabled personal services of a download's owner subscribed to an event
+   * @param {string} eventType - Event type
+   * @param {Object} eventData - Event data (owner is the owner's username)
+   * @returns {Array} Services
+   */
+  _getOwnerServices(eventType, eventData) {
+    if (!this.isEnabled() || !this.isUserServicesAllowed() || !OWNER_EVENT_TYPES.includes(eventType)) return [];
+    if (!eventData.owner || !this.userManager) return [];
+
+    const user = this.userManager.getUserByUsername(eventData.owner);
+    if (!user || user.disabled) return [];
+
+    const { events, services } = this.userManager.getNotificationSettings(user.id);
+    if (events[eventType] !== true) return [];
+    return services.filter(s => s.enabled);
   }
 
   /**
@@ -534,113 +642,357 @@ class NotificationManager extends BaseModule {
     const enabledServices = this.notificationConfig.services.filter(s => s.enabled);
     if (enabledServices.length === 0) return;
 
-    const urls = enabledServices.map(s => this._buildAppriseUrl(s)).filter(u => u);
-    if (urls.length === 0) return;
+    await this._deliverAll(enabledServices, eventType, (service) => {
+      const message = this.renderMessage(eventType, eventData, service);
+      if (isFinalWarning) {
+        message.body += '\n\n⚠️ Further notifications for this client will be suppressed for 1 hour.';
+      }
+      return message;
+    });
+  }
+
+  // ==========================================================================
+  // PERSONAL SERVICES
+  // ==========================================================================
+
+  /**
+   * Check if users may add their own services
+   * @returns {boolean}
+   */
+  isUserServicesAllowed() {
+    return this.notificationConfig?.allowUserServices === true;
+  }
+
+  /**
+   * Get a user's event subscriptions and personal services
+   * @param {number} userId - User ID
+   * @returns {{allowed: boolean, appriseAvailable: boolean, eventTypes: Array<string>, events: Object, services: Array}} Services masked
+   */
+  getUserNotifications(userId) {
+    const { events, services } = this.userManager.getNotificationSettings(userId);
+    return {
+      allowed: this.isUserServicesAllowed(),
+      appriseAvailable: this.getAppriseStatus().available === true,
+      eventTypes: OWNER_EVENT_TYPES,
+      events,
+      services: services.map(service => this._maskService(service))
+    };
+  }
+
+  /**
+   * Replace a user's event subscriptions (only download events are kept)
+   * @param {number} userId - User ID
+   * @param {Object} events - { eventType: boolean }
+   */
+  saveUserEvents(userId, events) {
+    const settings = this.userManager.getNotificationSettings(userId);
+    settings.events = Object.fromEntries(
+      OWNER_EVENT_TYPES.filter(type => events?.[type] === true).map(type => [type, true])
+    );
+    this.userManager.setNotificationSettings(userId, settings);
+  }
+
+  /**
+   * Add a personal service
+   * @param {number} userId - User ID
+   * @param {Object} serviceData - Service data (name, type, enabled, delivery, config)
+   * @returns {Object} Created service (masked)
+   */
+  addUserService(userId, serviceData) {
+    const settings = this.userManager.getNotificationSettings(userId);
+    const service = this._buildService({ ...serviceData, templates: {} });
+    settings.services.push(service);
+    this.userManager.setNotificationSettings(userId, settings);
+    this.log(`[NotificationManager] User id=${userId} added service: ${service.name} (${service.type})`);
+    return this._maskService(service);
+  }
+
+  /**
+   * Update a personal service
+   * @param {number} userId - User ID
+   * @param {string} id - Service ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Object|null} Updated service (masked) or null if not found
+   */
+  updateUserService(userId, id, updates) {
+    const settings = this.userManager.getNotificationSettings(userId);
+    const index = settings.services.findIndex(s => s.id === id);
+    if (index === -1) return null;
+
+    const updated = this._mergeService(settings.services[index], { ...updates, templates: undefined });
+    settings.services[index] = updated;
+    this.userManager.setNotificationSettings(userId, settings);
+    return this._maskService(updated);
+  }
 
-    const title = this._buildNotificationTitle(eventType, eventData);
-    let body = this._buildNotificationBody(eventType, eventData);
+  /**
+   * Check the host a personal service sends to. Users can't use raw Apprise
+   * URLs, and hosts must resolve to public addresses so a personal service
+   * can't be used to reach the server's own network.
+   * @param {Object} service - Service { type, config }
+   * @returns {Promise<string|null>} Error message, or null when allowed
+   */
+  async checkUserServiceTarget(service) {
+    if (service.type === 'custom') {
+      return 'Custom Apprise URLs can only be added by an administrator';
+    }
 
-    if (isFinalWarning) {
-      body += '\n\n⚠️ Further notifications for this client will be suppressed for 1 hour.';
+    const cfg = service.config || {};
+    let host;
+    try {
+      host = this._getServiceHost(service.type, cfg);
+    } catch {
+      return 'Invalid service host';
     }
+    if (!host) return null;
 
+    let addresses;
     try {
-      await this._sendApprise(title, body, urls);
-      this.log(`[NotificationManager] Notification sent for ${eventType}: ${eventData.instanceName || eventData.instanceId}`);
-    } catch (err) {
-      this.log(`[NotificationManager] Failed to send ${eventType} notification: ${err.message}`);
+      addresses = ipaddr.isValid(host) ? [host] : (await dns.lookup(host, { all: true })).map(a => a.address);
+    } catch {
+      return `Could not resolve ${host}`;
+    }
+    if (addresses.some(address => ipaddr.process(address).range() !== 'unicast')) {
+      return `${host} is a private or local address`;
     }
+    return null;
   }
 
   /**
-   * Build notification title based on event type
-   * @param {string} eventType - Event type
-   * @param {Object} eventData - Event data
-   * @returns {string} Title
-   */
-  _buildNotificationTitle(eventType, eventData) {
-    const client = eventData.instanceName || eventData.clientType || null;
-    let label;
-    switch (eventType) {
-      case 'downloadAdded':      label = '⬇️ New Download'; break;
-      case 'downloadFinished':   label = '✅ Download Complete'; break;
-      case 'categoryChanged':    label = '🏷️ Category Changed'; break;
-      case 'fileMoved':          label = '📦 File Moved'; break;
-      case 'fileDeleted':        label = '🗑️ File Deleted'; break;
-      case 'clientUnavailable':  label = '🔴 Client Offline'; break;
-      case 'clientAvailable':    label = '🟢 Client Online'; break;
-      default:                   label = 'aMuTorrent Event'; break;
+   * Check a personal service update the way it would be saved
+   * @param {number} userId - User ID
+   * @param {string} id - Service ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<string|null>} Error message, or null when allowed (or the service doesn't exist)
+   */
+  async checkUserServiceUpdate(userId, id, updates) {
+    const existing = this.userManager.getNotificationSettings(userId).services.find(s => s.id === id);
+    if (!existing) return null;
+    return this.checkUserServiceTarget(this._mergeService(existing, updates));
+  }
+
+  /**
+   * Get the user-configurable host a service sends to
+   * @param {string} type - Service type
+   * @param {Object} cfg - Service config
+   * @returns {string|null} Hostname, or null for services with a fixed host
+   * @throws {TypeError} On malformed URLs
+   */
+  _getServiceHost(type, cfg) {
+    const hostOf = (value) => {
+      const text = String(value).trim();
+      const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+      return url.hostname.replace(/^\[|\]$/g, '');
+    };
+
+    switch (type) {
+      case 'webhook': return cfg.url ? hostOf(cfg.url) : null;
+      case 'ntfy': return hostOf(cfg.host || 'ntfy.sh');
+      case 'gotify': return cfg.host ? hostOf(cfg.host) : null;
+      case 'email': return cfg.smtp_host ? hostOf(cfg.smtp_host) : null;
+      default: return null;
     }
-    return client ? `${label} · ${client}` : label;
   }
 
   /**
-   * Build notification body based on event type
+   * Delete a personal service
+   * @param {number} userId - User ID
+   * @param {string} id - Service ID
+   * @returns {boolean} True if deleted
+   */
+  deleteUserService(userId, id) {
+    const settings = this.userManager.getNotificationSettings(userId);
+    const index = settings.services.findIndex(s => s.id === id);
+    if (index === -1) return false;
+
+    settings.services.splice(index, 1);
+    this.userManager.setNotificationSettings(userId, settings);
+    this.deliveryLog.delete(id);
+    return true;
+  }
+
+  /**
+   * Send a test notification to a personal service
+   * @param {number} userId - User ID
+   * @param {string} id - Service ID
+   * @returns {Promise<{success: boolean, message: string}|null>} Null if the service doesn't exist
+   */
+  async testUserService(userId, id) {
+    const service = this.userManager.getNotificationSettings(userId).services.find(s => s.id === id);
+    if (!service) return null;
+
+    const blocked = await this.checkUserServiceTarget(service);
+    if (blocked) return { success: false, message: blocked };
+
+    const results = await this._deliverAll([service], 'test', () => ({
+      title: 'aMuTorrent Test Notification',
+      body: 'This is a test of your personal notification service.'
+    }), { personal: true });
+    return this._summarizeResults(results.map(r => this._toPersonalResult(r)));
+  }
+
+  /**
+   * Replace the error of a failed personal delivery with the HTTP status or a
+   * generic message (the full error is still logged)
+   * @param {Object} result - Result of _deliverAll()
+   * @returns {Object} Result
+   */
+  _toPersonalResult(result) {
+    if (result.success) return result;
+    const status = /^HTTP (\d{3})/.exec(result.message || '');
+    return {
+      ...result,
+      message: status ? `The service responded with HTTP ${status[1]}` : PERSONAL_FAILURE_MESSAGE
+    };
+  }
+
+  // ==========================================================================
+  // TEMPLATES
+  // ==========================================================================
+
+  /**
+   * Get the effective template of an event: the service's own template, then
+   * the global one, then the default (title and body resolved separately)
+   * @param {string} eventType - Event type
+   * @param {Object|null} service - Service configuration
+   * @returns {{title: string, body: string}}
+   */
+  getTemplate(eventType, service = null) {
+    const defaults = getDefaultTemplate(eventType);
+    const global = this.notificationConfig?.templates?.[eventType] || {};
+    const own = service?.templates?.[eventType] || {};
+    return {
+      title: own.title || global.title || defaults.title,
+      body: own.body || global.body || defaults.body
+    };
+  }
+
+  /**
+   * Render the title and body of an event for a service
    * @param {string} eventType - Event type
    * @param {Object} eventData - Event data
-   * @returns {string} Body
-   */
-  _buildNotificationBody(eventType, eventData) {
-    const filename = eventData.filename || eventData.name || 'Unknown file';
-    const userCatLine = this._buildUserCategoryLine(eventData);
-    const userCatSuffix = userCatLine ? `\n${userCatLine}` : '';
-
-    switch (eventType) {
-      case 'downloadAdded':
-        return `${filename}${userCatSuffix}`;
-      case 'downloadFinished':
-        return `${filename}${userCatSuffix}`;
-      case 'categoryChanged':
-        const oldCat = eventData.oldCategory || 'None';
-        const newCat = eventData.newCategory || eventData.category || 'None';
-        const catUserLine = this._buildUserCategoryLine({ ...eventData, category: '' });
-        return `${filename}\n🏷️ ${oldCat} → ${newCat}${catUserLine ? `\n${catUserLine}` : ''}`;
-      case 'fileMoved':
-        const dest = eventData.destPath || 'Unknown';
-        return `${filename}\n📂 ${dest}${userCatSuffix}`;
-      case 'fileDeleted':
-        return `${filename}${userCatSuffix}`;
-      case 'clientUnavailable': {
-        let msg = `${eventData.instanceName || eventData.instanceId} is unreachable`;
-        if (eventData.error) msg += `\nError: ${eventData.error}`;
-        return msg;
-      }
-      case 'clientAvailable': {
-        const dur = eventData.downtimeDuration ? formatDuration(eventData.downtimeDuration) : 'unknown';
-        return `${eventData.instanceName || eventData.instanceId} is back online (was offline for ${dur})`;
-      }
-      default:
-        return filename;
-    }
+   * @param {Object|null} service - Service configuration
+   * @returns {{title: string, body: string}}
+   */
+  renderMessage(eventType, eventData, service = null) {
+    const template = this.getTemplate(eventType, service);
+    const values = buildValues(eventType, eventData);
+    return {
+      title: render(template.title, values),
+      body: render(template.body, values)
+    };
+  }
+
+  /**
+   * Get global template overrides with the defaults and available placeholders
+   * @returns {{templates: Object, defaults: Object, placeholders: Array}}
+   */
+  getTemplates() {
+    return {
+      templates: this.notificationConfig?.templates || {},
+      defaults: DEFAULT_TEMPLATES,
+      placeholders: PLACEHOLDERS
+    };
+  }
+
+  /**
+   * Save global template overrides (events without an override use the default)
+   * @param {Object} templates - { eventType: { title?, body? } }
+   * @throws {Error} On invalid templates
+   */
+  saveTemplates(templates) {
+    this.notificationConfig.templates = normalizeTemplates(templates);
+    this._saveConfig();
+    this.log('[NotificationManager] Templates updated');
+  }
+
+  /**
+   * Render a template with sample event data
+   * @param {string} eventType - Event type
+   * @param {{title?: string, body?: string}} template - Template to preview (missing fields use the default)
+   * @returns {{title: string, body: string}}
+   */
+  previewTemplate(eventType, template = {}) {
+    const defaults = getDefaultTemplate(eventType);
+    const values = buildValues(eventType, getSampleData(eventType));
+    return {
+      title: render(template.title || defaults.title, values),
+      body: render(template.body || defaults.body, values)
+    };
   }
 
   /**
-   * Build the combined user + category line for notification body
-   * @param {Object} eventData - Event data with owner, triggeredBy, category
-   * @returns {string} Combined line or empty string
+   * Get recent delivery results per service
+   * @returns {Object} serviceId -> [{ time, eventType, via, success, attempts, message }] (newest first)
    */
-  _buildUserCategoryLine(eventData) {
-    const owner = eventData.owner || '';
-    const triggeredBy = eventData.triggeredBy || '';
-    const category = eventData.category || '';
+  getDeliveryLog() {
+    return Object.fromEntries(this.deliveryLog);
+  }
 
-    const parts = [];
+  /**
+   * Deliver a notification to each service (in parallel) and record the results
+   * @param {Array} services - Services to deliver to
+   * @param {string} eventType - Event type ('test' for test notifications)
+   * @param {function(Object): {title: string, body: string}} messageFor - Builds the message for a service
+   * @param {Object} options - { personal: true for users' services (host checked, redirects refused) }
+   * @returns {Promise<Array>} [{ serviceId, serviceName, success, attempts, message }]
+   */
+  async _deliverAll(services, eventType, messageFor, options = {}) {
+    return Promise.all(services.map(async (service) => {
+      const via = this.getDeliveryMode(service);
+      let result;
+      try {
+        const blocked = options.personal ? await this.checkUserServiceTarget(service) : null;
+        const { title, body } = messageFor(service);
+        if (blocked) {
+          result = { success: false, attempts: 0, message: blocked };
+        } else {
+          result = via === 'native'
+            ? await deliver(service, { title, body, eventType }, { redirect: options.personal ? 'error' : 'follow' })
+            : await this._deliverApprise(service, title, body);
+        }
+      } catch (err) {
+        result = { success: false, attempts: 1, message: err.message };
+      }
 
-    // Build user part: "👤 owner" or "👤 owner (by triggerer)"
-    if (owner) {
-      let userPart = `👤 ${owner}`;
-      if (triggeredBy && triggeredBy !== owner) {
-        userPart += ` (by ${triggeredBy})`;
+      this._recordDelivery(service.id, { eventType, via, ...result });
+      if (result.success) {
+        this.log(`[NotificationManager] ${eventType} notification sent via ${service.name}`);
+      } else {
+        this.log(`[NotificationManager] Failed to send ${eventType} notification via ${service.name}: ${result.message}`);
       }
-      parts.push(userPart);
-    }
+      return { serviceId: service.id, serviceName: service.name, ...result };
+    }));
+  }
 
-    // Build category part
-    if (category) {
-      parts.push(`🏷️ ${category}`);
+  /**
+   * Deliver a notification to one service through the Apprise CLI
+   * @param {Object} service - Service configuration
+   * @param {string} title - Notification title
+   * @param {string} body - Notification body
+   * @returns {Promise<{success: boolean, attempts: number, message: string}>}
+   */
+  async _deliverApprise(service, title, body) {
+    if (!this.appriseAvailable?.available) {
+      return { success: false, attempts: 0, message: 'Apprise CLI is not installed' };
+    }
+    const url = this._buildAppriseUrl(service);
+    if (!url) {
+      return { success: false, attempts: 0, message: 'Invalid service configuration' };
     }
+    const result = await this._sendApprise(title, body, [url]);
+    return { ...result, attempts: 1 };
+  }
 
-    return parts.join(' · ');
+  /**
+   * Add a delivery result to a service's log
+   * @param {string} serviceId - Service ID
+   * @param {Object} entry - { eventType, via, success, attempts, message }
+   */
+  _recordDelivery(serviceId, entry) {
+    const log = this.deliveryLog.get(serviceId) || [];
+    log.unshift({ time: new Date().toISOString(), ...entry });
+    this.deliveryLog.set(serviceId, log.slice(0, DELIVERY_LOG_SIZE));
   }
 
   /**
@@ -686,6 +1038,7 @@ class NotificationManager extends BaseModule {
       });
 
       child.on('close', (code) => {
+        clearTimeout(timer);
         if (code === 0) {
           resolve({ success: true, message: 'Notification sent successfully' });
         } else {
@@ -695,7 +1048,7 @@ class NotificationManager extends BaseModule {
       });
 
       // Set a timeout
-      setTimeout(() => {
+      const timer = setTimeout(() => {
         child.kill('SIGTERM');
         reject(new Error('Notification timed out after 30 seconds'));
       }, 30000);
@@ -0,0 +1,332 @@
+/**
+ * SavedSearchDB - SQLite database for saved searches and the results they found
+ *
+ * A saved search holds its query, filters, schedule and what to do with new
+ * results (notify, auto-add to a category). Every result a run returns is
+ * stored, so the next run can tell which results are new.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+
+// Result status values:
+// - null: seen, nothing done with it
+// - added: auto-added to the target client
+// - failed: auto-add failed
+
+class SavedSearchDB {
+  constructor(dbPath) {
+    try {
+      // Ensure database directory exists
+      const dbDir = path.dirname(dbPath);
+      if (!fs.existsSync(dbDir)) {
+        logger.log(`Creating database directory: ${dbDir}`);
+        fs.mkdirSync(dbDir, { recursive: true });
+      }
+
+      // Verify directory is writable
+      fs.accessSync(dbDir, fs.constants.W_OK);
+
+      // Create database
+      this.db = new Database(dbPath, { fileMustExist: false });
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+      this.initSchema();
+
+      logger.log(`📦 Saved searches database initialized: ${dbPath}`);
+    } catch (error) {
+      logger.error(`Failed to initialize saved searches database at ${dbPath}:`, error);
+      throw new Error(`Saved searches DB initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Initialize database schema
+   */
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        name TEXT NOT NULL,
+        query TEXT NOT NULL,
+        type TEXT NOT NULL,
+        extension TEXT,
+        indexer_ids TEXT,
+        min_size INTEGER,
+        max_size INTEGER,
+        interval_minutes INTEGER NOT NULL DEFAULT 0,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        notify INTEGER NOT NULL DEFAULT 1,
+        auto_add INTEGER NOT NULL DEFAULT 0,
+        category TEXT,
+        instance_id TEXT,
+        last_run_at TEXT,
+        last_error TEXT,
+        last_result_count INTEGER,
+        last_new_count INTEGER,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS saved_search_results (
+        search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+        result_key TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        file_size INTEGER,
+        source_count INTEGER,
+        indexer TEXT,
+        status TEXT,
+        error TEXT,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        PRIMARY KEY (search_id, result_key)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id);
+      CREATE INDEX IF NOT EXISTS idx_saved_search_results_seen ON saved_search_results(last_seen_at);
+    `);
+  }
+
+  // ==========================================================================
+  // SEARCHES
+  // ==========================================================================
+
+  /**
+   * Get saved searches
+   * @param {number|null} userId - Only this user's searches (undefined = all)
+   * @returns {Array} Searches (camelCase)
+   */
+  getSearches(userId = undefined) {
+    const rows = userId === undefined
+      ? this.db.prepare('SELECT * FROM saved_searches ORDER BY name COLLATE NOCASE').all()
+      : this.db.prepare('SELECT * FROM saved_searches WHERE user_id IS ? ORDER BY name COLLATE NOCASE').all(userId);
+    return rows.map(toSearch);
+  }
+
+  /**
+   * Get a saved search by id
+   * @param {number} id - Search id
+   * @returns {Object|null} Search or null
+   */
+  getSearch(id) {
+    const row = this.db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(id);
+    return row ? toSearch(row) : null;
+  }
+
+  /**
+   * Create a saved search
+   * @param {number|null} userId - Owner (null without user management)
+   * @param {Object} search - Normalized search fields
+   * @returns {Object} Created search
+   */
+  createSearch(userId, search) {
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      INSERT INTO saved_searches (
+        user_id, name, query, type, extension, indexer_ids, min_size, max_size,
+        interval_minutes, enabled, notify, auto_add, category, instance_id, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(userId, ...searchValues(search), now, now);
+    return this.getSearch(result.lastInsertRowid);
+  }
+
+  /**
+   * Update a saved search
+   * @param {number} id - Search id
+   * @param {Object} search - Normalized search fields
+   * @returns {Object|null} Updated search or null if not found
+   */
+  updateSearch(id, search) {
+    const result = this.db.prepare(`
+      UPDATE saved_searches SET
+        name = ?, query = ?, type = ?, extension = ?, indexer_ids = ?, min_size = ?, max_size = ?,
+        interval_minutes = ?, enabled = ?, notify = ?, auto_add = ?, category = ?, instance_id = ?, updated_at = ?
+      WHERE id = ?
+    `).run(...searchValues(search), new Date().toISOString(), id);
+    return result.changes > 0 ? this.getSearch(id) : null;
+  }
+
+  /**
+   * Delete a saved search and its results
+   * @param {number} id - Search id
+   * @returns {boolean} True if a search was deleted
+   */
+  deleteSearch(id) {
+    return this.db.prepare('DELETE FROM saved_searches WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Record a successful run
+   * @param {number} id - Search id
+   * @param {Object} outcome - { ranAt, resultCount, newCount }
+   */
+  markRun(id, { ranAt, resultCount, newCount }) {
+    this.db.prepare(`
+      UPDATE saved_searches SET last_run_at = ?, last_error = NULL, last_result_count = ?, last_new_count = ? WHERE id = ?
+    `).run(ranAt, resultCount, newCount, id);
+  }
+
+  /**
+   * Record a failed run (the counts of the last successful run are kept)
+   * @param {number} id - Search id
+   * @param {string} ranAt - Run timestamp (ISO)
+   * @param {string} error - Error message
+   */
+  markFailed(id, ranAt, error) {
+    this.db.prepare('UPDATE saved_searches SET last_run_at = ?, last_error = ? WHERE id = ?').run(ranAt, error, id);
+  }
+
+  /**
+   * Forget the results of a search (its next run records a new baseline)
+   * @param {number} id - Search id
+   */
+  resetResults(id) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM saved_search_results WHERE search_id = ?').run(id);
+      this.db.prepare('UPDATE saved_searches SET last_result_count = NULL, last_new_count = NULL WHERE id = ?').run(id);
+    })();
+  }
+
+  // ==========================================================================
+  // RESULTS
+  // ==========================================================================
+
+  /**
+   * Get the keys of all results a search has seen
+   * @param {number} searchId - Search id
+   * @returns {Set<string>}
+   */
+  getResultKeys(searchId) {
+    return new Set(this.db.prepare('SELECT result_key FROM saved_search_results WHERE search_id = ?')
+      .all(searchId).map(row => row.result_key));
+  }
+
+  /**
+   * Store the results of a run (new results are inserted, known ones get their last-seen time updated)
+   * @param {number} searchId - Search id
+   * @param {Array} results - [{ key, fileName, fileSize, sourceCount, indexer }]
+   * @param {string} seenAt - Run timestamp (ISO)
+   */
+  saveResults(searchId, results, seenAt) {
+    const upsert = this.db.prepare(`
+      INSERT INTO saved_search_results (search_id, result_key, file_name, file_size, source_count, indexer, first_seen_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(search_id, result_key) DO UPDATE SET
+        source_count = excluded.source_count, last_seen_at = excluded.last_seen_at
+    `);
+    this.db.transaction(() => {
+      for (const r of results) {
+        upsert.run(searchId, r.key, r.fileName, r.fileSize || null, r.sourceCount ?? null, r.indexer || null, seenAt, seenAt);
+      }
+    })();
+  }
+
+  /**
+   * Set the auto-add outcome of a result
+   * @param {number} searchId - Search id
+   * @param {string} key - Result key
+   * @param {string} status - 'added' or 'failed'
+   * @param {string|null} error - Error message for failed adds
+   */
+  setResultStatus(searchId, key, status, error = null) {
+    this.db.prepare('UPDATE saved_search_results SET status = ?, error = ? WHERE search_id = ? AND result_key = ?')
+      .run(status, error, searchId, key);
+  }
+
+  /**
+   * Get the stored results of a search, newest first
+   * @param {number} searchId - Search id
+   * @param {number} limit - Maximum number of results
+   * @returns {Array} Results (camelCase)
+   */
+  getResults(searchId, limit = 200) {
+    return this.db.prepare(`
+      SELECT * FROM saved_search_results WHERE search_id = ? ORDER BY first_seen_at DESC, file_name LIMIT ?
+    `).all(searchId, limit).map(row => ({
+      key: row.result_key,
+      fileName: row.file_name,
+      fileSize: row.file_size,
+      sourceCount: row.source_count,
+      indexer: row.indexer,
+      status: row.status,
+      error: row.error,
+      firstSeenAt: row.first_seen_at,
+      lastSeenAt: row.last_seen_at
+    }));
+  }
+
+  /**
+   * Delete results no run has returned for a long time. If such a result shows
+   * up again it counts as new, which is what a user watching a query expects.
+   * @param {number} maxAgeMs - Maximum age since last seen (default 90 days)
+   * @returns {number} Number of rows deleted
+   */
+  cleanup(maxAgeMs = 90 * 24 * 60 * 60 * 1000) {
+    const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+    const result = this.db.prepare('DELETE FROM saved_search_results WHERE last_seen_at < ?').run(cutoff);
+
+    if (result.changes > 0) {
+      logger.log(`📦 Cleaned up ${result.changes} old saved search results`);
+    }
+
+    return result.changes;
+  }
+}
+
+/**
+ * Column values of a normalized search, in INSERT/UPDATE order
+ */
+function searchValues(search) {
+  return [
+    search.name,
+    search.query,
+    search.type,
+    search.extension,
+    search.indexerIds.length > 0 ? JSON.stringify(search.indexerIds) : null,
+    search.minSize,
+    search.maxSize,
+    search.intervalMinutes,
+    search.enabled ? 1 : 0,
+    search.notify ? 1 : 0,
+    search.autoAdd ? 1 : 0,
+    search.category,
+    search.instanceId
+  ];
+}
+
+function toSearch(row) {
+  let indexerIds = [];
+  try {
+    indexerIds = row.indexer_ids ? JSON.parse(row.indexer_ids) : [];
+  } catch {
+    // Ignore malformed JSON
+  }
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    query: row.query,
+    type: row.type,
+    extension: row.extension,
+    indexerIds,
+    minSize: row.min_size,
+    maxSize: row.max_size,
+    intervalMinutes: row.interval_minutes,
+    enabled: row.enabled === 1,
+    notify: row.notify === 1,
+    autoAdd: row.auto_add === 1,
+    category: row.category,
+    instanceId: row.instance_id,
+    lastRunAt: row.last_run_at,
+    lastError: row.last_error,
+    lastResultCount: row.last_result_count,
+    lastNewCount: row.last_new_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = SavedSearchDB;
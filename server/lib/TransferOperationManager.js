@@ -0,0 +1,463 @@
+/**
+ * TransferOperationManager - Hands torrents from one BitTorrent instance to another
+ *
+ * Works across client types (e.g. rTorrent -> qBittorrent) and between
+ * instances of the same client. The data stays where it is; only the client
+ * that seeds it changes:
+ * 1. Export the .torrent from the source (refused if the client can't: a
+ *    magnet would have to run on the target to fetch metadata, writing into
+ *    the data before it is verified)
+ * 2. Stop the torrent on the source
+ * 3. Add it stopped to the target with the same save path, translated
+ *    through the category path mappings of both instances
+ * 4. Recheck on the target once it lists the torrent
+ * 5. Verify the target has at least the source's progress, then start it
+ *    if it was running on the source
+ * 6. Remove it from the source (files kept)
+ *
+ * Jobs live in MoveOperationsDB (transfer_operations) and are advanced by a
+ * poll loop, so a restart resumes them from the last persisted step. A failed
+ * job removes the target entry (files kept) and restarts the source.
+ */
+
+const path = require('path');
+const BaseModule = require('./BaseModule');
+const { itemKey } = require('./itemKey');
+const clientMeta = require('./clientMeta');
+const registry = require('./ClientRegistry');
+const categoryManager = require('./CategoryManager');
+const moveOperationManager = require('./MoveOperationManager');
+
+// Poll interval while transfers are running
+const POLL_INTERVAL = 5000;
+
+// Time the target gets to show the torrent
+const TORRENT_ADD_TIMEOUT = 2 * 60 * 1000;
+
+// Recheck considered finished if the target never reported a checking state within this window
+const RECHECK_GRACE = 30 * 1000;
+
+// Unified statuses of a torrent that is still verifying
+const CHECKING_STATUSES = new Set(['checking', 'hashing-queued']);
+
+// Unified statuses of a torrent that isn't running
+const INACTIVE_STATUSES = new Set(['paused', 'stopped', 'error']);
+
+class TransferOperationManager extends BaseModule {
+  constructor() {
+    super();
+    this.activeTransfers = new Map(); // source itemKey -> transfer (for status injection)
+    this.recheckState = new Map();    // source itemKey -> { requestedAt, sawChecking }
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.isShutdown = false;
+  }
+
+  /**
+   * Transfers share the move operations database
+   * @returns {MoveOperationsDB|null}
+   */
+  get db() {
+    return moveOperationManager.db;
+  }
+
+  /**
+   * Queue a transfer of a torrent to another instance
+   * @param {Object} item - Unified item (from the cached batch data)
+   * @param {Object} target - Target instance manager
+   * @returns {Promise<Object>} Created transfer
+   */
+  async queueTransfer(item, target) {
+    if (!this.db) {
+      throw new Error('Transfer operation manager not initialized');
+    }
+
+    const source = registry.get(item.instanceId);
+    if (!source || !source.isConnected()) {
+      throw new Error('Source client not connected');
+    }
+    if (!clientMeta.isBittorrent(source.clientType) || item.isTorrent === false) {
+      throw new Error('Only torrents can be transferred');
+    }
+    if (!clientMeta.hasCapability(source.clientType, 'exportTorrent')) {
+      throw new Error(`${source.displayName || source.instanceId} can't export .torrent files to transfer`);
+    }
+    if (!target || !target.isConnected()) {
+      throw new Error('Target client not connected');
+    }
+    if (target.instanceId === source.instanceId) {
+      throw new Error('Target is the same instance');
+    }
+    if (!clientMeta.isBittorrent(target.clientType) || !clientMeta.hasCapability(target.clientType, 'recheck')) {
+      throw new Error(`${target.displayName || target.instanceId} can't verify transferred torrents`);
+    }
+
+    const key = itemKey(item.instanceId, item.hash);
+    if (this.activeTransfers.has(key) || item.status === 'moving') {
+      throw new Error('Already being moved or transferred');
+    }
+    if (this._findItem(target.instanceId, item.hash)) {
+      throw new Error(`Already on ${target.displayName || target.instanceId}`);
+    }
+
+    // Multi-file items report their content directory on some clients; the add call needs the parent
+    const directory = item.directory || '';
+    const sourcePath = item.multiFile && path.basename(directory) === item.name ? path.dirname(directory) : directory;
+    if (!sourcePath) {
+      throw new Error('Save path unknown');
+    }
+    const appPath = categoryManager.translatePath(sourcePath, source.clientType, source.instanceId);
+    const targetPath = categoryManager.toClientPath(appPath, target.clientType, target.instanceId);
+
+    const torrentData = await source.exportTorrent(item.hash);
+    if (!torrentData) {
+      throw new Error(`Could not get the .torrent file of ${item.name} from ${source.displayName || source.instanceId}`);
+    }
+
+    const transfer = this.db.addTransfer({
+      hash: item.hash,
+      name: item.name,
+      sourceInstanceId: source.instanceId,
+      targetInstanceId: target.instanceId,
+      sourcePath,
+      targetPath,
+      categoryName: item.category && item.category !== 'Default' ? item.category : null,
+      sourceProgress: item.complete ? 100 : (item.progress || 0),
+      sourceWasActive: !INACTIVE_STATUSES.has(item.status),
+      torrentData
+    });
+
+    this.activeTransfers.set(key, transfer);
+    this.log(`🔀 Transfer queued: ${item.name} (${source.instanceId}:${sourcePath} -> ${target.instanceId}:${targetPath})`);
+
+    this.schedulePoll(0);
+    return transfer;
+  }
+
+  /**
+   * Get all active transfers (for status injection)
+   * @returns {Map} Map of source itemKey -> transfer
+   */
+  getActiveTransfers() {
+    return this.activeTransfers;
+  }
+
+  /**
+   * Schedule the next poll (no-op if one is already scheduled or after shutdown)
+   * @param {number} delay - Milliseconds until the poll
+   */
+  schedulePoll(delay = POLL_INTERVAL) {
+    if (this.pollTimer || this.isShutdown) return;
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.poll().catch(err => this.log('⚠️  Transfer poll failed:', err.message));
+    }, delay);
+  }
+
+  /**
+   * Advance every active transfer by one step
+   */
+  async poll() {
+    if (this.isPolling || !this.db) return;
+    this.isPolling = true;
+
+    try {
+      for (const transfer of this.db.getActiveTransfers()) {
+        try {
+          await this.advance(transfer);
+        } catch (err) {
+          await this.failTransfer(transfer, err.message);
+        }
+      }
+    } finally {
+      this.isPolling = false;
+      if (this.db && this.db.getActiveTransfers().length > 0) {
+        this.schedulePoll();
+      }
+    }
+  }
+
+  /**
+   * Run the next step of a transfer
+   * @param {Object} transfer - Transfer record from database
+   */
+  async advance(transfer) {
+    const { hash, name, sourceInstanceId, status } = transfer;
+    const source = this._getConnected(sourceInstanceId);
+    const target = this._getConnected(transfer.targetInstanceId);
+
+    // Wait for both clients while they reconnect, and for the first data fetch after a restart
+    if (!source || !target || !this._getCachedItems()) return;
+
+    switch (status) {
+      case 'pending':
+        await source.stop(hash);
+        this._setStatus(transfer, 'adding');
+        this.log(`🔀 Stopped ${name} on ${source.displayName || sourceInstanceId}, adding to ${target.displayName || target.instanceId}`);
+        return;
+
+      case 'adding':
+        await this._addToTarget(transfer, target);
+        this._setStatus(transfer, 'checking');
+        return;
+
+      case 'checking':
+        if (await this._checkTarget(transfer, target)) {
+          this._setStatus(transfer, 'removing');
+          await this._removeFromSource(transfer, source, target);
+        }
+        return;
+
+      case 'removing':
+        await this._removeFromSource(transfer, source, target);
+        return;
+    }
+  }
+
+  /**
+   * Add the torrent to the target instance (skipped if it's already there,
+   * e.g. after a restart between the add call and the status update)
+   * @param {Object} transfer - Transfer record
+   * @param {Object} target - Target manager
+   */
+  async _addToTarget(transfer, target) {
+    if (this._findItem(target.instanceId, transfer.hash)) return;
+
+    const category = categoryManager.getByName(transfer.categoryName || 'Default');
+    const options = {
+      categoryName: transfer.categoryName || '',
+      savePath: transfer.targetPath,
+      priority: category?.priority,
+      start: false
+    };
+
+    // Jobs queued with only a magnet link would have to start on the target before the recheck
+    if (!transfer.torrentData) {
+      throw new Error('No .torrent file to add');
+    }
+    await target.addTorrentRaw(transfer.torrentData, options);
+  }
+
+  /**
+   * Drive the recheck on the target
+   * @param {Object} transfer - Transfer record
+   * @param {Object} target - Target manager
+   * @returns {Promise<boolean>} True once the target has verified enough data
+   */
+  async _checkTarget(transfer, target) {
+    const key = itemKey(transfer.sourceInstanceId, transfer.hash);
+    const targetItem = this._findItem(target.instanceId, transfer.hash);
+    const elapsed = Date.now() - new Date(transfer.phaseStartedAt || transfer.updatedAt).getTime();
+
+    // Torrent not listed yet
+    if (!targetItem || !(targetItem.size > 0)) {
+      if (elapsed > TORRENT_ADD_TIMEOUT) {
+        throw new Error('Torrent did not appear on the target');
+      }
+      return false;
+    }
+
+    const state = this.recheckState.get(key);
+    if (!state) {
+      await target.stop(transfer.hash);
+      await target.recheck(transfer.hash);
+      this.recheckState.set(key, { requestedAt: Date.now(), sawChecking: false });
+      this.log(`🔀 Rechecking ${transfer.name} on ${target.displayName || target.instanceId}`);
+      return false;
+    }
+
+    if (CHECKING_STATUSES.has(targetItem.status)) {
+      state.sawChecking = true;
+      return false;
+    }
+    if (!state.sawChecking && Date.now() - state.requestedAt < RECHECK_GRACE) {
+      return false;
+    }
+
+    const targetProgress = targetItem.complete ? 100 : (targetItem.progress || 0);
+    if (targetProgress + 0.01 < transfer.sourceProgress) {
+      throw new Error(`Target verified ${targetProgress.toFixed(1)}%, source had ${transfer.sourceProgress.toFixed(1)}% - check the save path mappings`);
+    }
+
+    if (transfer.sourceWasActive) {
+      await target.resume(transfer.hash);
+    }
+    this.recheckState.delete(key);
+    return true;
+  }
+
+  /**
+   * Remove the verified torrent from the source and finish the transfer
+   * @param {Object} transfer - Transfer record
+   * @param {Object} source - Source manager
+   * @param {Object} target - Target manager
+   */
+  async _removeFromSource(transfer, source, target) {
+    const { hash, name, sourceInstanceId } = transfer;
+    const sourceKey = itemKey(sourceInstanceId, hash);
+
+    // Ownership follows the torrent to the target
+    if (this.userManager) {
+      const owner = this.userManager.getOwner(sourceKey);
+      if (owner !== null) {
+        this.userManager.recordOwnership(itemKey(target.instanceId, hash), owner);
+        this.userManager.removeOwnership(sourceKey);
+      }
+    }
+
+    try {
+      await source.deleteItem(hash, { deleteFiles: false });
+    } catch (err) {
+      // The target already seeds it, so no rollback; the source copy is stopped
+      this.db.updateTransferStatus(hash, sourceInstanceId, 'failed', `Transferred, but not removed from source: ${err.message}`);
+      this.activeTransfers.delete(sourceKey);
+      this.broadcastError(`"${name}" now runs on ${target.displayName || target.instanceId}, but could not be removed from ${source.displayName || sourceInstanceId}: ${err.message}`);
+      await moveOperationManager.triggerBatchUpdate();
+      return;
+    }
+
+    this.db.updateTransferStatus(hash, sourceInstanceId, 'completed');
+    this.activeTransfers.delete(sourceKey);
+    this.log(`✅ Transfer completed: ${name} -> ${target.displayName || target.instanceId}`);
+    this.broadcastSuccess(`Transferred "${name}" to ${target.displayName || target.instanceId}`);
+    await moveOperationManager.triggerBatchUpdate();
+  }
+
+  /**
+   * Mark a transfer failed and put the torrent back on the source
+   * @param {Object} transfer - Transfer record
+   * @param {string} message - Error message
+   */
+  async failTransfer(transfer, message) {
+    // Reload: the step that failed may have moved the transfer on
+    const current = this.db.getTransfer(transfer.hash, transfer.sourceInstanceId) || transfer;
+    const { hash, name, sourceInstanceId, targetInstanceId, status } = current;
+    const key = itemKey(sourceInstanceId, hash);
+    this.log(`❌ Transfer failed for ${name}: ${message}`);
+
+    // Only entries this transfer added are removed (files are never deleted)
+    const target = this._getConnected(targetInstanceId);
+    if (target && (status === 'adding' || status === 'checking') && this._findItem(targetInstanceId, hash)) {
+      try {
+        await target.deleteItem(hash, { deleteFiles: false });
+      } catch (err) {
+        this.log(`⚠️ Could not remove ${name} from target: ${err.message}`);
+      }
+    }
+
+    const source = this._getConnected(sourceInstanceId);
+    if (source && current.sourceWasActive && status !== 'pending') {
+      try {
+        await source.resume(hash);
+      } catch (err) {
+        this.log(`⚠️ Could not restart ${name} on source: ${err.message}`);
+      }
+    }
+
+    this.db.updateTransferStatus(hash, sourceInstanceId, 'failed', message);
+    this.activeTransfers.delete(key);
+    this.recheckState.delete(key);
+    this.broadcastError(`Failed to transfer "${name}": ${message}`);
+    await moveOperationManager.triggerBatchUpdate();
+  }
+
+  /**
+   * Resume unfinished transfers on startup
+   * Should be called after clients are connected (from initializeServices)
+   */
+  async recoverOperations() {
+    if (!this.db) return;
+    const active = this.db.getActiveTransfers();
+
+    if (active.length === 0) {
+      this.log('🔀 No interrupted transfers to recover');
+      return;
+    }
+
+    this.log(`🔀 Resuming ${active.length} interrupted transfer(s)`);
+    for (const transfer of active) {
+      // Restart the phase clock so the downtime doesn't count against the add/metadata timeouts
+      this._setStatus(transfer, transfer.status);
+    }
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Persist a status change and refresh the status injection cache
+   * @param {Object} transfer - Transfer record
+   * @param {string} status - New status
+   */
+  _setStatus(transfer, status) {
+    this.db.updateTransferStatus(transfer.hash, transfer.sourceInstanceId, status);
+    const updated = this.db.getTransfer(transfer.hash, transfer.sourceInstanceId);
+    if (updated) {
+      this.activeTransfers.set(itemKey(transfer.sourceInstanceId, transfer.hash), updated);
+    }
+  }
+
+  /**
+   * Connected manager for an instance
+   * @param {string} instanceId - Instance ID
+   * @returns {Object|null} Manager or null
+   */
+  _getConnected(instanceId) {
+    const manager = registry.get(instanceId);
+    return manager && manager.isConnected() ? manager : null;
+  }
+
+  /**
+   * Unified items from the cached batch data
+   * @returns {Array|null} Items, or null before the first fetch
+   */
+  _getCachedItems() {
+    // Lazy require to avoid circular dependency (DataFetchService imports this module)
+    const dataFetchService = require('./DataFetchService');
+    return dataFetchService.getCachedBatchData(60000)?.items || null;
+  }
+
+  /**
+   * Find an item in the cached batch data
+   * @param {string} instanceId - Instance ID
+   * @param {string} hash - Item hash
+   * @returns {Object|null} Unified item or null
+   */
+  _findItem(instanceId, hash) {
+    const items = this._getCachedItems() || [];
+    const h = hash.toLowerCase();
+    return items.find(i => i.instanceId === instanceId && i.hash?.toLowerCase() === h) || null;
+  }
+
+  /**
+   * Broadcast success message to all clients
+   * @param {string} message - Success message
+   */
+  broadcastSuccess(message) {
+    if (this.broadcast) {
+      this.broadcast({ type: 'success', message });
+    }
+  }
+
+  /**
+   * Broadcast error message to all clients
+   * @param {string} message - Error message
+   */
+  broadcastError(message) {
+    if (this.broadcast) {
+      this.broadcast({ type: 'error', message });
+    }
+  }
+
+  /**
+   * Shutdown the manager (call before the move operation manager closes the database)
+   */
+  shutdown() {
+    this.isShutdown = true;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.log('🔀 Transfer operation manager stopped');
+  }
+}
+
+module.exports = new TransferOperationManager();
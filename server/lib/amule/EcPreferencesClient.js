@@ -0,0 +1,337 @@
+/**
+ * EcPreferencesClient - Reads and writes aMule connection preferences over EC
+ *
+ * amule-ec-node has no preferences API, so this speaks the External
+ * Connections protocol directly on a short-lived socket of its own (aMule
+ * accepts several EC clients), keeping the shared client's queue untouched:
+ * 1. EC_OP_AUTH_REQ → EC_OP_AUTH_SALT
+ * 2. EC_OP_AUTH_PASSWD (MD5 of the password hash and the salt) → EC_OP_AUTH_OK
+ * 3. EC_OP_GET_PREFERENCES / EC_OP_SET_PREFERENCES on EC_TAG_PREFS_CONNECTIONS
+ *
+ * Packet format: uint32 flags, uint32 payload length, then opcode (uint8),
+ * tag count (uint16) and the tags. A tag is uint16 (name << 1 | has children),
+ * uint8 type, uint32 length of children and data, [uint16 child count,
+ * children], data. All numbers are big-endian; only EC_FLAG_BLANK is sent, so
+ * aMule answers without UTF-8 number encoding.
+ */
+
+const net = require('net');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const REQUEST_TIMEOUT = 10000;
+
+const EC_FLAG_BLANK = 0x20;
+const EC_FLAG_ZLIB = 0x01;
+const EC_FLAG_UTF8_NUMBERS = 0x02;
+const EC_PROTOCOL_VERSION = 0x0204;
+
+const OP = {
+  NOOP: 0x01,
+  AUTH_REQ: 0x02,
+  AUTH_FAIL: 0x03,
+  AUTH_OK: 0x04,
+  FAILED: 0x05,
+  GET_PREFERENCES: 0x3F,
+  SET_PREFERENCES: 0x40,
+  AUTH_SALT: 0x4F,
+  AUTH_PASSWD: 0x50
+};
+
+const TAG = {
+  STRING: 0x0000,
+  PASSWD_HASH: 0x0001,
+  PROTOCOL_VERSION: 0x0002,
+  PASSWD_SALT: 0x000B,
+  CLIENT_NAME: 0x0100,
+  CLIENT_VERSION: 0x0101,
+  SELECT_PREFS: 0x1000,
+  PREFS_CONNECTIONS: 0x1300,
+  CONN_MAX_DL: 0x1303,
+  CONN_MAX_UL: 0x1304
+};
+
+const TYPE = {
+  CUSTOM: 1,
+  UINT8: 2,
+  UINT16: 3,
+  UINT32: 4,
+  UINT64: 5,
+  STRING: 6,
+  HASH16: 9
+};
+
+// EC_TAG_SELECT_PREFS bit of the connection preferences
+const EC_PREFS_CONNECTIONS = 0x04;
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+const uint16Tag = (name, value) => {
+  const data = Buffer.alloc(2);
+  data.writeUInt16BE(value);
+  return { name, type: TYPE.UINT16, data };
+};
+
+const uint32Tag = (name, value) => {
+  const data = Buffer.alloc(4);
+  data.writeUInt32BE(value);
+  return { name, type: TYPE.UINT32, data };
+};
+
+const stringTag = (name, value) => ({ name, type: TYPE.STRING, data: Buffer.from(`${value}\0`, 'utf8') });
+
+/**
+ * Encode a tag and its children
+ * @param {Object} tag - { name, type, data?: Buffer, children?: Array }
+ * @returns {Buffer}
+ */
+function encodeTag({ name, type, data = Buffer.alloc(0), children = [] }) {
+  const encodedChildren = children.map(encodeTag);
+  const header = Buffer.alloc(7);
+  header.writeUInt16BE((name << 1) | (children.length > 0 ? 1 : 0), 0);
+  header.writeUInt8(type, 2);
+  header.writeUInt32BE(data.length + encodedChildren.reduce((sum, b) => sum + b.length, 0), 3);
+
+  const parts = [header];
+  if (children.length > 0) {
+    const count = Buffer.alloc(2);
+    count.writeUInt16BE(children.length);
+    parts.push(count, ...encodedChildren);
+  }
+  parts.push(data);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode a packet
+ * @param {number} opcode - EC opcode
+ * @param {Array} tags - Tags (see encodeTag)
+ * @returns {Buffer}
+ */
+function encodePacket(opcode, tags = []) {
+  const head = Buffer.alloc(3);
+  head.writeUInt8(opcode, 0);
+  head.writeUInt16BE(tags.length, 1);
+  const payload = Buffer.concat([head, ...tags.map(encodeTag)]);
+
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(EC_FLAG_BLANK, 0);
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Decode one tag
+ * @param {Buffer} buf - Payload
+ * @param {number} offset - Start of the tag
+ * @returns {{tag: Object, end: number}} Tag { name, type, data, children } and the offset after it
+ */
+function decodeTag(buf, offset) {
+  const nameField = buf.readUInt16BE(offset);
+  const type = buf.readUInt8(offset + 2);
+  const length = buf.readUInt32BE(offset + 3);
+  const hasChildren = (nameField & 1) === 1;
+
+  let pos = offset + 7;
+  const end = pos + length + (hasChildren ? 2 : 0);
+  if (end > buf.length) throw new Error('Truncated EC tag');
+
+  const children = [];
+  if (hasChildren) {
+    const count = buf.readUInt16BE(pos);
+    pos += 2;
+    for (let i = 0; i < count; i++) {
+      const child = decodeTag(buf, pos);
+      children.push(child.tag);
+      pos = child.end;
+    }
+  }
+  return { tag: { name: nameField >> 1, type, data: buf.subarray(pos, end), children }, end };
+}
+
+/**
+ * Decode a packet payload
+ * @param {number} flags - Packet flags
+ * @param {Buffer} payload - Payload after the 8-byte header
+ * @returns {{opcode: number, tags: Array}}
+ */
+function decodePacket(flags, payload) {
+  if (flags & EC_FLAG_UTF8_NUMBERS) throw new Error('Unexpected UTF-8 number encoding from aMule');
+  const buf = flags & EC_FLAG_ZLIB ? zlib.inflateSync(payload) : payload;
+
+  const opcode = buf.readUInt8(0);
+  const count = buf.readUInt16BE(1);
+  const tags = [];
+  let pos = 3;
+  for (let i = 0; i < count; i++) {
+    const { tag, end } = decodeTag(buf, pos);
+    tags.push(tag);
+    pos = end;
+  }
+  return { opcode, tags };
+}
+
+/**
+ * Read an integer tag of any width
+ * @param {Object|undefined} tag - Decoded tag
+ * @returns {bigint|null}
+ */
+function tagInt(tag) {
+  if (!tag) return null;
+  switch (tag.type) {
+    case TYPE.UINT8: return BigInt(tag.data.readUInt8(0));
+    case TYPE.UINT16: return BigInt(tag.data.readUInt16BE(0));
+    case TYPE.UINT32: return BigInt(tag.data.readUInt32BE(0));
+    case TYPE.UINT64: return tag.data.readBigUInt64BE(0);
+    default: return null;
+  }
+}
+
+const findTag = (tags, name) => tags.find(t => t.name === name);
+
+const md5Hex = (value) => crypto.createHash('md5').update(value, 'utf8').digest('hex');
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+class EcPreferencesClient {
+  /**
+   * @param {Object} options - { host, port, password }
+   */
+  constructor({ host, port, password }) {
+    this.host = host;
+    this.port = port;
+    this.password = password || '';
+  }
+
+  /**
+   * Get the max download/upload rates
+   * @returns {Promise<{maxDownload: number, maxUpload: number}>} kB/s (0 = unlimited)
+   */
+  async getConnectionLimits() {
+    const response = await this._request(encodePacket(OP.GET_PREFERENCES, [
+      uint32Tag(TAG.SELECT_PREFS, EC_PREFS_CONNECTIONS)
+    ]));
+    const conn = findTag(response.tags, TAG.PREFS_CONNECTIONS);
+    if (response.opcode !== OP.SET_PREFERENCES || !conn) {
+      throw new Error('aMule did not return its connection preferences');
+    }
+    return {
+      maxDownload: Number(tagInt(findTag(conn.children, TAG.CONN_MAX_DL)) ?? 0n),
+      maxUpload: Number(tagInt(findTag(conn.children, TAG.CONN_MAX_UL)) ?? 0n)
+    };
+  }
+
+  /**
+   * Set the max download/upload rates (undefined values are left unchanged)
+   * @param {Object} limits - { maxDownload, maxUpload } in kB/s (0 = unlimited)
+   */
+  async setConnectionLimits({ maxDownload, maxUpload }) {
+    const children = [];
+    if (maxDownload !== undefined) children.push(uint16Tag(TAG.CONN_MAX_DL, maxDownload));
+    if (maxUpload !== undefined) children.push(uint16Tag(TAG.CONN_MAX_UL, maxUpload));
+    if (children.length === 0) return;
+
+    const response = await this._request(encodePacket(OP.SET_PREFERENCES, [
+      { name: TAG.PREFS_CONNECTIONS, type: TYPE.CUSTOM, children }
+    ]));
+    if (response.opcode !== OP.NOOP) {
+      throw new Error(this._failureMessage(response, 'aMule rejected the preference update'));
+    }
+  }
+
+  /**
+   * Connect, authenticate, send one request and close
+   * @param {Buffer} request - Encoded request packet
+   * @returns {Promise<{opcode: number, tags: Array}>} Response
+   */
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      let buffer = Buffer.alloc(0);
+      let stage = 'auth';
+      let completed = false;
+
+      const finish = (err, result) => {
+        if (completed) return;
+        completed = true;
+        socket.destroy();
+        if (err) reject(err);
+        else resolve(result);
+      };
+
+      const handle = ({ opcode, tags }) => {
+        if (stage === 'auth') {
+          const salt = tagInt(findTag(tags, TAG.PASSWD_SALT));
+          if (opcode !== OP.AUTH_SALT || salt === null) {
+            throw new Error(this._failureMessage({ opcode, tags }, 'aMule did not send an authentication salt'));
+          }
+          // MD5(lowercase MD5 hex of the password + MD5 hex of the salt as uppercase hex)
+          const hash = crypto.createHash('md5')
+            .update(md5Hex(this.password) + md5Hex(salt.toString(16).toUpperCase()), 'utf8')
+            .digest();
+          stage = 'password';
+          socket.write(encodePacket(OP.AUTH_PASSWD, [{ name: TAG.PASSWD_HASH, type: TYPE.HASH16, data: hash }]));
+        } else if (stage === 'password') {
+          if (opcode !== OP.AUTH_OK) {
+            throw new Error(this._failureMessage({ opcode, tags }, 'aMule authentication failed'));
+          }
+          stage = 'request';
+          socket.write(request);
+        } else {
+          finish(null, { opcode, tags });
+        }
+      };
+
+      socket.setTimeout(REQUEST_TIMEOUT);
+
+      socket.on('connect', () => {
+        socket.write(encodePacket(OP.AUTH_REQ, [
+          stringTag(TAG.CLIENT_NAME, 'aMuTorrent'),
+          stringTag(TAG.CLIENT_VERSION, '1.0'),
+          uint16Tag(TAG.PROTOCOL_VERSION, EC_PROTOCOL_VERSION)
+        ]));
+      });
+
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        try {
+          while (!completed && buffer.length >= 8) {
+            const length = buffer.readUInt32BE(4);
+            if (buffer.length < 8 + length) break;
+            const flags = buffer.readUInt32BE(0);
+            const payload = buffer.subarray(8, 8 + length);
+            buffer = buffer.subarray(8 + length);
+            handle(decodePacket(flags, payload));
+          }
+        } catch (err) {
+          finish(err);
+        }
+      });
+
+      socket.on('timeout', () => finish(new Error('aMule EC request timed out')));
+      socket.on('error', (err) => finish(err));
+      socket.on('close', () => finish(new Error('aMule closed the EC connection')));
+    });
+  }
+
+  /**
+   * Error text of a failed response (EC_TAG_STRING of EC_OP_FAILED / EC_OP_AUTH_FAIL)
+   * @param {Object} response - { opcode, tags }
+   * @param {string} fallback - Message when aMule gave no reason
+   * @returns {string}
+   */
+  _failureMessage(response, fallback) {
+    const reason = findTag(response.tags, TAG.STRING);
+    return reason ? `${fallback}: ${reason.data.toString('utf8').replace(/\0+$/, '')}` : fallback;
+  }
+}
+
+module.exports = EcPreferencesClient;
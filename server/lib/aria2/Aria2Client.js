@@ -0,0 +1,484 @@
+/**
+ * Aria2Client - JSON-RPC client for aria2
+ *
+ * Communicates with aria2's JSON-RPC interface over HTTP POST or WebSocket
+ * (same endpoint path, default /jsonrpc). Auth is the RPC secret, passed as
+ * the first parameter of every call ("token:<secret>").
+ *
+ * aria2 returns all numbers and booleans as strings; status objects are
+ * converted to JS types here so managers and normalizers can use them directly.
+ */
+
+const WebSocket = require('ws');
+
+/**
+ * Default keys to request from tellActive / tellWaiting / tellStopped.
+ */
+const STATUS_KEYS = [
+  'gid', 'status', 'totalLength', 'completedLength', 'uploadLength',
+  'downloadSpeed', 'uploadSpeed', 'infoHash', 'numSeeders', 'seeder',
+  'connections', 'errorCode', 'errorMessage', 'followedBy', 'following',
+  'belongsTo', 'dir', 'files', 'bittorrent', 'numPieces', 'pieceLength',
+  'verifiedLength', 'verifyIntegrityPending'
+];
+
+/**
+ * Status fields aria2 sends as numeric strings
+ */
+const NUMERIC_KEYS = [
+  'totalLength', 'completedLength', 'uploadLength', 'downloadSpeed', 'uploadSpeed',
+  'numSeeders', 'connections', 'numPieces', 'pieceLength', 'verifiedLength'
+];
+
+/**
+ * Maximum number of waiting/stopped jobs fetched per list
+ */
+const MAX_LIST = 1000;
+
+/**
+ * Convert an aria2 status object to JS types (numbers, booleans)
+ * @param {Object} status - Raw status from tellStatus/tellActive/...
+ * @returns {Object} Status with numeric and boolean fields converted
+ */
+function parseStatus(status) {
+  const parsed = { ...status };
+  for (const key of NUMERIC_KEYS) {
+    if (parsed[key] !== undefined) parsed[key] = Number(parsed[key]) || 0;
+  }
+  if (parsed.seeder !== undefined) parsed.seeder = parsed.seeder === 'true';
+  if (parsed.verifyIntegrityPending !== undefined) parsed.verifyIntegrityPending = parsed.verifyIntegrityPending === 'true';
+  if (Array.isArray(parsed.files)) parsed.files = parsed.files.map(parseFile);
+  return parsed;
+}
+
+/**
+ * Convert an aria2 file entry to JS types
+ * @param {Object} file - { index, path, length, completedLength, selected, uris }
+ * @returns {Object}
+ */
+function parseFile(file) {
+  return {
+    ...file,
+    index: Number(file.index) || 0,
+    length: Number(file.length) || 0,
+    completedLength: Number(file.completedLength) || 0,
+    selected: file.selected !== 'false'
+  };
+}
+
+class Aria2Client {
+  constructor(options = {}) {
+    this.host = options.host || 'localhost';
+    this.port = options.port || 6800;
+    this.secret = options.password || '';
+    this.useSsl = options.useSsl || false;
+    this.path = options.path || '/jsonrpc';
+    this.mode = options.mode === 'websocket' ? 'websocket' : 'http';
+
+    this.baseUrl = `${this.useSsl ? 'https' : 'http'}://${this.host}:${this.port}`;
+    this.wsUrl = `${this.useSsl ? 'wss' : 'ws'}://${this.host}:${this.port}`;
+    this.connected = false;
+    this._version = null;
+    this._nextId = 1;
+
+    // WebSocket transport state
+    this._ws = null;
+    this._wsOpening = null;
+    this._pending = new Map(); // id → { resolve, reject, timer }
+  }
+
+  // ============================================================================
+  // RPC TRANSPORT
+  // ============================================================================
+
+  /**
+   * Build the JSON-RPC params list with the secret token prepended
+   * @param {Array} params - Method parameters
+   * @returns {Array}
+   */
+  _withToken(params) {
+    return this.secret ? [`token:${this.secret}`, ...params] : params;
+  }
+
+  /**
+   * Make an RPC call to aria2 over the configured transport.
+   * @param {string} method - RPC method name (e.g. 'aria2.tellActive')
+   * @param {Array} params - Method parameters (without the token)
+   * @param {Object} options - { timeout }
+   * @returns {Promise<*>} RPC result
+   */
+  async _call(method, params = [], { timeout = 30000 } = {}) {
+    const request = {
+      jsonrpc: '2.0',
+      id: String(this._nextId++),
+      method,
+      params: method === 'system.multicall' ? params : this._withToken(params)
+    };
+
+    const json = this.mode === 'websocket'
+      ? await this._sendWs(request, timeout)
+      : await this._sendHttp(request, timeout);
+
+    if (json.error) {
+      const message = json.error.message || `code ${json.error.code}`;
+      if (message === 'Unauthorized') {
+        throw new Error(`Authentication failed for ${this.host}:${this.port} (wrong RPC secret)`);
+      }
+      throw new Error(`RPC error in ${method}: ${message}`);
+    }
+
+    return json.result;
+  }
+
+  /**
+   * Send a JSON-RPC request via HTTP POST
+   * @param {Object} request - JSON-RPC request object
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<Object>} JSON-RPC response object
+   */
+  async _sendHttp(request, timeout) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${this.path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(request),
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (err) {
+      if (err.name === 'AbortError' || err.message.includes('timeout')) {
+        throw new Error(`Connection timeout to ${this.host}:${this.port}`);
+      }
+      throw err;
+    }
+
+    // aria2 answers RPC errors (including a wrong secret) with 400 and a JSON body
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error(`HTTP ${response.status}: ${text}`);
+    }
+  }
+
+  /**
+   * Open the WebSocket connection (reused for all calls)
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<WebSocket>}
+   */
+  async _openWs(timeout) {
+    if (this._ws && this._ws.readyState === WebSocket.OPEN) return this._ws;
+    if (this._wsOpening) return this._wsOpening;
+
+    this._wsOpening = new Promise((resolve, reject) => {
+      const ws = new WebSocket(`${this.wsUrl}${this.path}`, { handshakeTimeout: timeout });
+
+      ws.on('open', () => {
+        this._ws = ws;
+        resolve(ws);
+      });
+
+      ws.on('message', (data) => {
+        let json;
+        try {
+          json = JSON.parse(data.toString());
+        } catch {
+          return;
+        }
+        // Notifications (onDownloadStart, ...) have no id and are ignored
+        const pending = json.id !== undefined ? this._pending.get(String(json.id)) : null;
+        if (!pending) return;
+        this._pending.delete(String(json.id));
+        clearTimeout(pending.timer);
+        pending.resolve(json);
+      });
+
+      ws.on('error', (err) => {
+        if (this._ws !== ws) reject(err);
+      });
+
+      // The next call reopens the socket; pending calls fail and trigger the manager's reconnect
+      ws.on('close', () => {
+        if (this._ws === ws) this._ws = null;
+        this._rejectPending(new Error(`Connection to ${this.host}:${this.port} closed`));
+      });
+    }).finally(() => {
+      this._wsOpening = null;
+    });
+
+    return this._wsOpening;
+  }
+
+  /**
+   * Send a JSON-RPC request via WebSocket and wait for the matching response
+   * @param {Object} request - JSON-RPC request object
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<Object>} JSON-RPC response object
+   */
+  async _sendWs(request, timeout) {
+    const ws = await this._openWs(timeout);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(request.id);
+        reject(new Error(`Connection timeout to ${this.host}:${this.port}`));
+      }, timeout);
+      this._pending.set(request.id, { resolve, reject, timer });
+
+      ws.send(JSON.stringify(request), (err) => {
+        if (!err) return;
+        this._pending.delete(request.id);
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Reject all calls waiting for a WebSocket response
+   * @param {Error} err - Rejection reason
+   */
+  _rejectPending(err) {
+    for (const { reject, timer } of this._pending.values()) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    this._pending.clear();
+  }
+
+  /**
+   * Run several calls in one request (system.multicall).
+   * @param {Array<[string, Array]>} calls - [method, params] pairs
+   * @returns {Promise<Array>} Results in call order
+   */
+  async _multicall(calls) {
+    const results = await this._call('system.multicall', [
+      calls.map(([methodName, params = []]) => ({ methodName, params: this._withToken(params) }))
+    ]);
+
+    // Each entry is [result] on success or a fault object { code, message }
+    return results.map((entry, i) => {
+      if (Array.isArray(entry)) return entry[0];
+      throw new Error(`RPC error in ${calls[i][0]}: ${entry?.message || 'unknown error'}`);
+    });
+  }
+
+  // ============================================================================
+  // AUTHENTICATION
+  // ============================================================================
+
+  /**
+   * Login to aria2 — validates the secret and caches the version.
+   * @returns {Promise<boolean>} True if login successful
+   */
+  async login() {
+    try {
+      const info = await this._call('aria2.getVersion');
+      this._version = info?.version || 'unknown';
+      this.connected = true;
+      return true;
+    } catch (err) {
+      this.connected = false;
+      throw err;
+    }
+  }
+
+  /**
+   * Test connection to aria2.
+   * @returns {Promise<{success: boolean, version?: string, error?: string}>}
+   */
+  async testConnection() {
+    try {
+      await this.login();
+      return {
+        success: true,
+        version: this._version
+      };
+    } catch (err) {
+      this.connected = false;
+      return {
+        success: false,
+        error: err.cause ? `${err.message} (${err.cause.code || err.cause.message})` : (err.message || 'Connection failed')
+      };
+    }
+  }
+
+  /**
+   * Disconnect — close the WebSocket (if any) and clear local state.
+   */
+  async disconnect() {
+    if (this._ws) {
+      const ws = this._ws;
+      this._ws = null;
+      ws.close();
+    }
+    this._rejectPending(new Error('Client disconnected'));
+    this.connected = false;
+    this._version = null;
+  }
+
+  /**
+   * Check if connected.
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  // ============================================================================
+  // DATA RETRIEVAL
+  // ============================================================================
+
+  /**
+   * Get all jobs (active, waiting and stopped) in one multicall.
+   * @param {Array<string>} keys - Keys to request (defaults to STATUS_KEYS)
+   * @returns {Promise<Array>} Parsed status objects
+   */
+  async getAllStatuses(keys = STATUS_KEYS) {
+    const [active, waiting, stopped] = await this._multicall([
+      ['aria2.tellActive', [keys]],
+      ['aria2.tellWaiting', [0, MAX_LIST, keys]],
+      ['aria2.tellStopped', [0, MAX_LIST, keys]]
+    ]);
+    return [...(active || []), ...(waiting || []), ...(stopped || [])].map(parseStatus);
+  }
+
+  /**
+   * Get the status of one job.
+   * @param {string} gid - Job GID
+   * @param {Array<string>} keys - Keys to request (defaults to STATUS_KEYS)
+   * @returns {Promise<Object>} Parsed status object
+   */
+  async tellStatus(gid, keys = STATUS_KEYS) {
+    return parseStatus(await this._call('aria2.tellStatus', [gid, keys]));
+  }
+
+  /**
+   * Get the files of a job.
+   * @param {string} gid - Job GID
+   * @returns {Promise<Array>} Parsed file entries
+   */
+  async getFiles(gid) {
+    const files = await this._call('aria2.getFiles', [gid]);
+    return (files || []).map(parseFile);
+  }
+
+  /**
+   * Get the peers of a BitTorrent job.
+   * @param {string} gid - Job GID
+   * @returns {Promise<Array>} Raw peer entries
+   */
+  async getPeers(gid) {
+    return (await this._call('aria2.getPeers', [gid])) || [];
+  }
+
+  /**
+   * Get global statistics (speeds and job counts, as numbers).
+   * @returns {Promise<Object>} { downloadSpeed, uploadSpeed, numActive, numWaiting, numStopped }
+   */
+  async getGlobalStat() {
+    const stat = await this._call('aria2.getGlobalStat');
+    return Object.fromEntries(Object.entries(stat || {}).map(([key, value]) => [key, Number(value) || 0]));
+  }
+
+  /**
+   * Get global options (dir, listen-port, speed limits, ...).
+   * @returns {Promise<Object>} Options as strings
+   */
+  async getGlobalOption() {
+    return (await this._call('aria2.getGlobalOption')) || {};
+  }
+
+  /**
+   * Change global options.
+   * @param {Object} options - Options as strings
+   */
+  async changeGlobalOption(options) {
+    await this._call('aria2.changeGlobalOption', [options]);
+  }
+
+  /**
+   * Get the options of a job.
+   * @param {string} gid - Job GID
+   * @returns {Promise<Object>} Options as strings
+   */
+  async getOption(gid) {
+    return (await this._call('aria2.getOption', [gid])) || {};
+  }
+
+  /**
+   * Change the options of a job (dir only works while waiting or paused).
+   * @param {string} gid - Job GID
+   * @param {Object} options - Options as strings
+   */
+  async changeOption(gid, options) {
+    await this._call('aria2.changeOption', [gid, options]);
+  }
+
+  // ============================================================================
+  // JOB CONTROL
+  // ============================================================================
+
+  /**
+   * Pause a job without waiting for trackers to be contacted.
+   * @param {string} gid - Job GID
+   */
+  async pause(gid) {
+    await this._call('aria2.forcePause', [gid]);
+  }
+
+  /**
+   * Resume a paused job.
+   * @param {string} gid - Job GID
+   */
+  async unpause(gid) {
+    await this._call('aria2.unpause', [gid]);
+  }
+
+  /**
+   * Stop an active or waiting job (it moves to the stopped list as 'removed').
+   * @param {string} gid - Job GID
+   */
+  async forceRemove(gid) {
+    await this._call('aria2.forceRemove', [gid]);
+  }
+
+  /**
+   * Purge a stopped job from the stopped list.
+   * @param {string} gid - Job GID
+   */
+  async removeDownloadResult(gid) {
+    await this._call('aria2.removeDownloadResult', [gid]);
+  }
+
+  // ============================================================================
+  // ADD DOWNLOADS
+  // ============================================================================
+
+  /**
+   * Add a job from URIs (HTTP/FTP/SFTP URLs or a magnet link).
+   * @param {Array<string>} uris - URIs pointing to the same resource
+   * @param {Object} options - Job options (dir, pause, ...)
+   * @returns {Promise<string>} GID of the new job
+   */
+  async addUri(uris, options = {}) {
+    return await this._call('aria2.addUri', [uris, options]);
+  }
+
+  /**
+   * Add a job from .torrent contents.
+   * @param {string} torrentBase64 - Base64-encoded .torrent file
+   * @param {Object} options - Job options (dir, pause, ...)
+   * @returns {Promise<string>} GID of the new job
+   */
+  async addTorrent(torrentBase64, options = {}) {
+    return await this._call('aria2.addTorrent', [torrentBase64, [], options]);
+  }
+}
+
+// Export class and keys constant
+Aria2Client.STATUS_KEYS = STATUS_KEYS;
+module.exports = Aria2Client;
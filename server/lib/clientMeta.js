@@ -59,8 +59,18 @@ const CLIENT_TYPES = {
       refreshSharedAfterDelete: true, // needs refreshSharedFiles() after shared file deletion
       categories: true,            // supports named categories
       logs: true,                  // has fetchable log output
+      speedLimits: true,           // EC connection preferences (max DL/UL)
+      itemSpeedLimits: false,      // no per-file rate limit
+      recheck: false,              // no hash recheck via EC
+      skipHashCheck: false,        // no torrents
+      reannounce: false,           // ed2k has no trackers
+      sequentialDownload: false,   // aMule picks rarest chunks first
+      firstLastPiecePriority: false,
+      filePriority: false,         // single-file ED2K downloads
+      trackerEdit: false,          // ED2K has no trackers
       renameFile: true,            // can rename downloads and shared files
-      customSavePath: false        // ed2k uses category paths only
+      customSavePath: false,       // ed2k uses category paths only
+      exportTorrent: false         // no .torrent files
     }
   },
   rtorrent: {
@@ -114,7 +124,17 @@ const CLIENT_TYPES = {
       categories: false,           // uses labels, not named categories
       tracksPid: true,             // reports PID for restart detection
       logs: false,                 // no fetchable log API
-      customSavePath: true         // can set download directory per torrent
+      speedLimits: true,           // global throttle.global_down/up.max_rate
+      itemSpeedLimits: false,      // per-item throttles must be predefined in rtorrent.rc
+      recheck: true,               // d.check_hash
+      skipHashCheck: false,        // added torrents are always checked
+      reannounce: true,            // d.tracker_announce
+      sequentialDownload: false,   // no per-torrent piece order option
+      firstLastPiecePriority: false,
+      filePriority: true,          // f.priority.set + d.update_priorities
+      trackerEdit: true,           // d.tracker.insert; removal disables (no XML-RPC delete)
+      customSavePath: true,        // can set download directory per torrent
+      exportTorrent: true          // session/loaded .torrent file
     },
     seedingStatuses: ['seeding'],
     // Maps unified category priority → rTorrent priority
@@ -184,7 +204,17 @@ const CLIENT_TYPES = {
       refreshSharedAfterDelete: false,
       categories: true,            // supports named categories
       logs: true,                  // has fetchable log output
-      customSavePath: true         // can set download directory per torrent
+      speedLimits: true,           // transfer/setDownloadLimit, setUploadLimit
+      itemSpeedLimits: true,       // torrents/setDownloadLimit, setUploadLimit
+      recheck: true,               // torrents/recheck
+      skipHashCheck: true,         // torrents/add skip_checking
+      reannounce: true,            // torrents/reannounce
+      sequentialDownload: true,    // torrents/toggleSequentialDownload
+      firstLastPiecePriority: true, // torrents/toggleFirstLastPiecePrio
+      filePriority: true,          // torrents/filePrio
+      trackerEdit: true,           // torrents/addTrackers, removeTrackers, editTracker
+      customSavePath: true,        // can set download directory per torrent
+      exportTorrent: true          // torrents/export
     },
     seedingStatuses: ['uploading', 'stalledUP', 'queuedUP', 'forcedUP']
   },
@@ -236,7 +266,17 @@ const CLIENT_TYPES = {
       refreshSharedAfterDelete: false,
       categories: false,           // uses labels via Label plugin, not named categories
       logs: false,                 // no fetchable log API
-      customSavePath: true         // can set download directory per torrent
+      speedLimits: true,           // core.set_config max_download_speed/max_upload_speed
+      itemSpeedLimits: true,       // core.set_torrent_options
+      recheck: true,               // core.force_recheck
+      skipHashCheck: false,        // added torrents are always checked
+      reannounce: true,            // core.force_reannounce
+      sequentialDownload: true,    // set_torrent_options sequential_download
+      firstLastPiecePriority: true, // set_torrent_options prioritize_first_last_pieces
+      filePriority: true,          // set_torrent_options file_priorities
+      trackerEdit: true,           // core.set_torrent_trackers
+      customSavePath: true,        // can set download directory per torrent
+      exportTorrent: false         // no RPC returns the .torrent file
     },
     seedingStatuses: ['Seeding']
   },
@@ -288,9 +328,205 @@ const CLIENT_TYPES = {
       refreshSharedAfterDelete: false,
       categories: false,             // uses labels, not named categories
       logs: false,                   // no fetchable log API
-      customSavePath: true           // can set download directory per torrent
+      speedLimits: true,             // session-set speed-limit-down/up
+      itemSpeedLimits: true,         // torrent-set downloadLimit/uploadLimit
+      recheck: true,                 // torrent-verify
+      skipHashCheck: false,          // added torrents are always checked
+      reannounce: true,              // torrent-reannounce
+      sequentialDownload: false,     // not exposed over RPC
+      firstLastPiecePriority: false,
+      filePriority: true,            // torrent-set files-wanted / priority-*
+      trackerEdit: true,             // torrent-set trackerAdd/trackerRemove/trackerReplace
+      customSavePath: true,          // can set download directory per torrent
+      exportTorrent: true            // torrentFile path from torrent-get
     },
     seedingStatuses: ['Seeding', 'Seed Pending']
+  },
+  aria2: {
+    networkType: 'bittorrent',      // torrents plus plain HTTP/FTP downloads
+    displayName: 'aria2',
+    metricsPrefix: 'a2_',           // a2_upload_speed, a2_total_uploaded
+    hashLength: 40,                 // info hash (HTTP/FTP jobs use their 16-char GID)
+    statusField: 'statusText',       // resolveStatus reads string `statusText`
+    statusMap: {
+      'Downloading': 'active',
+      'Queued':      'active',
+      'Seeding':     'seeding',
+      'Paused':      'stopped',      // aria2 has no separate pause/stop
+      'Complete':    'stopped',
+      'Error':       'error'
+    },
+    connectionDefaults: {
+      mode: 'http', host: '', port: 6800, path: '/jsonrpc', password: '', useSsl: false
+    },
+    defaults: {
+      downloadPriority: null,
+      tracker: null,
+      trackers: [],
+      trackersDetailed: [],
+      message: null,
+      magnetLink: null,
+      directory: null,
+      multiFile: false,
+      addedAt: null
+    },
+    capabilities: {
+      nativeMove: false,             // no move API
+      categoryChangeAutoMoves: false,
+      stopReplacesPause: true,       // Only has pause/unpause
+      multiFile: true,               // torrents can be multi-file
+      sharedFiles: false,            // no separate shared file list
+      sharedMeansComplete: false,
+      removeSharedMustDeleteFiles: false,
+      moveSharedForCategoryChange: false,
+      refreshSharedAfterMove: false,
+      moveActiveDownloads: false,    // partial files and .aria2 control files stay put
+      pauseBeforeMove: true,         // dir can only be changed on paused jobs
+      trackers: true,                // announce list from the torrent metainfo
+      search: false,                 // no search API
+      cancelDeletesFiles: false,
+      apiDeletesFiles: false,        // no delete-with-files call
+      refreshSharedAfterDelete: false,
+      categories: false,             // category derived from the download directory
+      logs: false,                   // no fetchable log API
+      speedLimits: true,             // changeGlobalOption max-overall-*-limit
+      itemSpeedLimits: true,         // changeOption max-download-limit/max-upload-limit
+      recheck: false,                // check-integrity only applies when adding
+      skipHashCheck: false,          // added torrents are always checked
+      reannounce: false,
+      sequentialDownload: false,
+      firstLastPiecePriority: false,
+      filePriority: false,           // select-file only works on paused jobs
+      trackerEdit: false,
+      customSavePath: true,          // dir option per job
+      exportTorrent: false,          // no RPC returns the .torrent file
+      directUrls: true               // accepts HTTP/HTTPS/FTP URLs besides magnets
+    },
+    seedingStatuses: ['Seeding']
+  },
+  sabnzbd: {
+    networkType: 'usenet',
+    displayName: 'SABnzbd',
+    metricsPrefix: 'sab_',          // sab_upload_speed, sab_total_uploaded
+    hashLength: 20,                 // nzo_id (e.g. sabnzbd_nzo_p86tgx), lowercased
+    statusField: 'statusText',       // resolveStatus reads string `statusText`
+    statusMap: {
+      'Downloading':     'active',
+      'Queued':          'active',
+      'Paused':          'paused',
+      'Verifying':       'checking',
+      'Repairing':       'checking',
+      'Extracting':      'checking',
+      'Post-processing': 'checking',
+      'Completed':       'active',
+      'Failed':          'error'
+    },
+    connectionDefaults: {
+      host: '', port: 8080, path: '', apiKey: '', useSsl: false
+    },
+    defaults: {
+      downloadPriority: null,
+      message: null,
+      directory: null,
+      multiFile: true,
+      addedAt: null
+    },
+    capabilities: {
+      nativeMove: false,             // no move API
+      categoryChangeAutoMoves: false,
+      stopReplacesPause: false,      // Pause/resume only (no Stop for Usenet)
+      multiFile: true,               // jobs unpack to a folder
+      sharedFiles: false,            // nothing is uploaded
+      sharedMeansComplete: false,
+      removeSharedMustDeleteFiles: false,
+      moveSharedForCategoryChange: false,
+      refreshSharedAfterMove: false,
+      moveActiveDownloads: false,
+      pauseBeforeMove: false,
+      trackers: false,               // Usenet has no trackers
+      search: false,                 // no search API
+      cancelDeletesFiles: false,
+      apiDeletesFiles: true,         // del_files=1 removes job data
+      refreshSharedAfterDelete: false,
+      categories: true,              // categories section of the config
+      logs: false,
+      speedLimits: true,             // global download limit only
+      itemSpeedLimits: false,
+      recheck: false,
+      skipHashCheck: false,
+      reannounce: false,
+      sequentialDownload: false,
+      firstLastPiecePriority: false,
+      filePriority: false,
+      trackerEdit: false,
+      customSavePath: false,         // output folder comes from the category
+      exportTorrent: false,          // no torrents
+      directUrls: true,              // http(s) links are fetched as NZB files
+      nzbFiles: true                 // accepts .nzb uploads
+    },
+    seedingStatuses: []
+  },
+  nzbget: {
+    networkType: 'usenet',
+    displayName: 'NZBGet',
+    metricsPrefix: 'nzb_',          // nzb_upload_speed, nzb_total_uploaded
+    hashLength: 4,                  // numeric NZBID (length varies)
+    statusField: 'statusText',       // resolveStatus reads string `statusText`
+    statusMap: {
+      'Downloading':     'active',
+      'Queued':          'active',
+      'Paused':          'paused',
+      'Verifying':       'checking',
+      'Repairing':       'checking',
+      'Extracting':      'checking',
+      'Post-processing': 'checking',
+      'Completed':       'active',
+      'Failed':          'error'
+    },
+    connectionDefaults: {
+      host: '', port: 6789, username: 'nzbget', password: '', useSsl: false
+    },
+    defaults: {
+      downloadPriority: null,
+      message: null,
+      directory: null,
+      multiFile: true,
+      addedAt: null
+    },
+    capabilities: {
+      nativeMove: false,             // no move API
+      categoryChangeAutoMoves: false,
+      stopReplacesPause: false,      // Pause/resume only (no Stop for Usenet)
+      multiFile: true,               // jobs unpack to a folder
+      sharedFiles: false,            // nothing is uploaded
+      sharedMeansComplete: false,
+      removeSharedMustDeleteFiles: false,
+      moveSharedForCategoryChange: false,
+      refreshSharedAfterMove: false,
+      moveActiveDownloads: false,
+      pauseBeforeMove: false,
+      trackers: false,               // Usenet has no trackers
+      search: false,                 // no search API
+      cancelDeletesFiles: false,
+      apiDeletesFiles: true,         // GroupFinalDelete removes job data
+      refreshSharedAfterDelete: false,
+      categories: false,             // categories live in nzbget.conf, imported on connect
+      logs: false,
+      speedLimits: true,             // global download limit only
+      itemSpeedLimits: false,
+      recheck: false,
+      skipHashCheck: false,
+      reannounce: false,
+      sequentialDownload: false,
+      firstLastPiecePriority: false,
+      filePriority: false,
+      trackerEdit: false,
+      customSavePath: false,         // output folder comes from the category
+      exportTorrent: false,          // no torrents
+      directUrls: true,              // http(s) links are fetched as NZB files
+      nzbFiles: true                 // accepts .nzb uploads
+    },
+    seedingStatuses: []
   }
 };
 
@@ -315,7 +551,7 @@ function get(type) {
 /**
  * Get the network type for a client type.
  * @param {string} type - Client type key
- * @returns {'ed2k'|'bittorrent'}
+ * @returns {'ed2k'|'bittorrent'|'usenet'}
  */
 function getNetworkType(type) {
   return get(type).networkType;
@@ -339,9 +575,18 @@ function isEd2k(type) {
   return CLIENT_TYPES[type]?.networkType === 'ed2k';
 }
 
+/**
+ * Check if a client type is a Usenet client.
+ * @param {string} type - Client type key
+ * @returns {boolean}
+ */
+function isUsenet(type) {
+  return CLIENT_TYPES[type]?.networkType === 'usenet';
+}
+
 /**
  * Get all client type keys that belong to a given network type.
- * @param {string} networkType - 'ed2k' or 'bittorrent'
+ * @param {string} networkType - 'ed2k', 'bittorrent' or 'usenet'
  * @returns {string[]} Array of client type keys
  */
 function getByNetworkType(networkType) {
@@ -454,6 +699,7 @@ module.exports = {
   getNetworkType,
   isBittorrent,
   isEd2k,
+  isUsenet,
   getByNetworkType,
   getAllTypes,
   hasCapability,
@@ -10,6 +10,9 @@ const RtorrentHandler = require('./rtorrent/RtorrentHandler');
 const QBittorrentClient = require('./qbittorrent/QBittorrentClient');
 const DelugeClient = require('./deluge/DelugeClient');
 const TransmissionClient = require('./transmission/TransmissionClient');
+const Aria2Client = require('./aria2/Aria2Client');
+const SabnzbdClient = require('./sabnzbd/SabnzbdClient');
+const NzbgetClient = require('./nzbget/NzbgetClient');
 const ProwlarrHandler = require('./prowlarr/ProwlarrHandler');
 const { checkDirectoryAccess } = require('./pathUtils');
 const logger = require('./logger');
@@ -671,6 +674,209 @@ async function testTransmissionConnection(host, port, username, password, useSsl
   }
 }
 
+/**
+ * Test aria2 connection via JSON-RPC
+ * @param {string} host - aria2 RPC host
+ * @param {number} port - aria2 RPC port
+ * @param {string} secret - RPC secret (--rpc-secret)
+ * @param {boolean} useSsl - Whether to use HTTPS/WSS
+ * @param {string} rpcPath - RPC endpoint path (default: /jsonrpc)
+ * @param {string} mode - Transport: 'http' or 'websocket'
+ * @returns {Promise<{success: boolean, connected: boolean, version: string|null, error: string|null}>}
+ */
+async function testAria2Connection(host, port, secret, useSsl, rpcPath, mode) {
+  const result = {
+    success: false,
+    connected: false,
+    version: null,
+    error: null
+  };
+
+  if (!host) {
+    result.error = 'Host is required';
+    return result;
+  }
+
+  let client = null;
+
+  try {
+    client = new Aria2Client({
+      host,
+      port: port || 6800,
+      password: secret || '',
+      useSsl: useSsl || false,
+      path: rpcPath || '/jsonrpc',
+      mode: mode || 'http'
+    });
+
+    const testPromise = client.testConnection();
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Connection timeout after 10 seconds')), 10000);
+    });
+
+    const testResult = await Promise.race([testPromise, timeoutPromise]);
+
+    if (testResult.success) {
+      result.connected = true;
+      result.version = testResult.version;
+      result.success = true;
+      result.message = `Connected to aria2 ${testResult.version}`;
+    } else {
+      result.error = testResult.error || 'Connection failed';
+    }
+
+    await client.disconnect();
+
+    return result;
+  } catch (err) {
+    result.error = classifyNetworkError(err);
+
+    if (client) {
+      try {
+        await client.disconnect();
+      } catch (cleanupErr) {
+        // Ignore cleanup errors
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Test SABnzbd connection via its HTTP API
+ * @param {string} host - SABnzbd host
+ * @param {number} port - SABnzbd web port
+ * @param {string} apiKey - SABnzbd API key
+ * @param {boolean} useSsl - Whether to use HTTPS
+ * @param {string} urlBase - URL base (e.g. /sabnzbd, default: none)
+ * @returns {Promise<{success: boolean, connected: boolean, version: string|null, error: string|null}>}
+ */
+async function testSabnzbdConnection(host, port, apiKey, useSsl, urlBase) {
+  const result = {
+    success: false,
+    connected: false,
+    version: null,
+    error: null
+  };
+
+  if (!host) {
+    result.error = 'Host is required';
+    return result;
+  }
+
+  let client = null;
+
+  try {
+    client = new SabnzbdClient({
+      host,
+      port: port || 8080,
+      apiKey: apiKey || '',
+      useSsl: useSsl || false,
+      path: urlBase || ''
+    });
+
+    const testPromise = client.testConnection();
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Connection timeout after 10 seconds')), 10000);
+    });
+
+    const testResult = await Promise.race([testPromise, timeoutPromise]);
+
+    if (testResult.success) {
+      result.connected = true;
+      result.version = testResult.version;
+      result.success = true;
+      result.message = `Connected to SABnzbd ${testResult.version}`;
+    } else {
+      result.error = testResult.error || 'Connection failed';
+    }
+
+    await client.disconnect();
+
+    return result;
+  } catch (err) {
+    result.error = classifyNetworkError(err);
+
+    if (client) {
+      try {
+        await client.disconnect();
+      } catch (cleanupErr) {
+        // Ignore cleanup errors
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Test NZBGet connection via JSON-RPC
+ * @param {string} host - NZBGet host
+ * @param {number} port - NZBGet control port
+ * @param {string} username - ControlUsername
+ * @param {string} password - ControlPassword
+ * @param {boolean} useSsl - Whether to use HTTPS
+ * @returns {Promise<{success: boolean, connected: boolean, version: string|null, error: string|null}>}
+ */
+async function testNzbgetConnection(host, port, username, password, useSsl) {
+  const result = {
+    success: false,
+    connected: false,
+    version: null,
+    error: null
+  };
+
+  if (!host) {
+    result.error = 'Host is required';
+    return result;
+  }
+
+  let client = null;
+
+  try {
+    client = new NzbgetClient({
+      host,
+      port: port || 6789,
+      username: username || '',
+      password: password || '',
+      useSsl: useSsl || false
+    });
+
+    const testPromise = client.testConnection();
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Connection timeout after 10 seconds')), 10000);
+    });
+
+    const testResult = await Promise.race([testPromise, timeoutPromise]);
+
+    if (testResult.success) {
+      result.connected = true;
+      result.version = testResult.version;
+      result.success = true;
+      result.message = `Connected to NZBGet ${testResult.version}`;
+    } else {
+      result.error = testResult.error || 'Connection failed';
+    }
+
+    await client.disconnect();
+
+    return result;
+  } catch (err) {
+    result.error = classifyNetworkError(err);
+
+    if (client) {
+      try {
+        await client.disconnect();
+      } catch (cleanupErr) {
+        // Ignore cleanup errors
+      }
+    }
+
+    return result;
+  }
+}
+
 module.exports = {
   testDirectoryAccess,
   testGeoIPDatabase,
@@ -679,6 +885,9 @@ module.exports = {
   testQbittorrentConnection,
   testDelugeConnection,
   testTransmissionConnection,
+  testAria2Connection,
+  testSabnzbdConnection,
+  testNzbgetConnection,
   testSonarrAPI,
   testRadarrAPI,
   testProwlarrAPI
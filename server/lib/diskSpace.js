@@ -114,6 +114,19 @@ async function getDiskSpace() {
     }
 }
 
+/**
+ * Free space of the filesystem holding a path
+ * @returns {Promise<number|null>} Free bytes, or null if the path can't be read
+ */
+async function getFreeSpace(targetPath) {
+    try {
+        const stats = await statMount(targetPath);
+        return stats.free;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Format bytes to human-readable size
  */
@@ -128,5 +141,5 @@ function formatBytes(bytes) {
 }
 
 module.exports = {
-    getDiskSpace, formatBytes
+    getDiskSpace, getFreeSpace, formatBytes
 };
@@ -0,0 +1,117 @@
+/**
+ * Download Adder
+ *
+ * Adds magnets, .torrent data and ED2K links to a client outside of a
+ * WebSocket request (RSS feeds, watch folders). Uses the same manager methods,
+ * category path/priority lookup and ownership recording as a manual add.
+ */
+
+const registry = require('./ClientRegistry');
+const clientMeta = require('./clientMeta');
+const categoryManager = require('./CategoryManager');
+const { itemKey } = require('./itemKey');
+const { parseMagnetUri, parseTorrentBuffer, parseEd2kLink } = require('./torrentUtils');
+const { isAutoInstance, selectTarget } = require('./downloadTargets');
+
+/**
+ * Pick the client manager for a link
+ * @param {string|null} instanceId - Target instance (null or 'auto' = picked by the download target policy)
+ * @param {boolean} isEd2k - Link is an ED2K link (otherwise BitTorrent)
+ * @param {string|null} categoryName - Category of the download (used by the policy)
+ * @returns {Promise<Object>} Connected client manager
+ * @throws {Error} If no suitable connected client is available
+ */
+async function resolveTargetManager(instanceId, isEd2k, categoryName = null) {
+  const fits = (manager) => (isEd2k ? clientMeta.isEd2k(manager.clientType) : clientMeta.isBittorrent(manager.clientType));
+
+  if (instanceId && !isAutoInstance(instanceId)) {
+    const manager = registry.get(instanceId);
+    if (!manager) throw new Error(`Client instance "${instanceId}" not found`);
+    if (!fits(manager)) throw new Error(`${manager.displayName || instanceId} can't add ${isEd2k ? 'ED2K links' : 'torrents'}`);
+    if (!manager.isConnected()) throw new Error(`${manager.displayName || instanceId} is not connected`);
+    return manager;
+  }
+
+  const manager = await selectTarget({ networkType: isEd2k ? 'ed2k' : 'bittorrent', categoryName });
+  if (!manager) throw new Error(`No connected ${isEd2k ? 'ED2K' : 'BitTorrent'} client`);
+  return manager;
+}
+
+/**
+ * Build unified add options from a category name
+ * @param {string|null} categoryName - Category (path and priority are looked up)
+ * @param {string|null} username - Username for history tracking
+ * @returns {Object} { categoryName, savePath, priority, start, username }
+ */
+function buildAddOptions(categoryName, username) {
+  const category = categoryName ? categoryManager.getByName(categoryName) : null;
+  return {
+    categoryName: category?.name || '',
+    savePath: category?.path || null,
+    priority: category?.priority,
+    start: true,
+    username: username || null
+  };
+}
+
+/**
+ * Record ownership of an added item (no-op without a user)
+ */
+function recordOwnership(manager, hash, { userId, userManager } = {}) {
+  if (hash && userId && userManager) {
+    userManager.recordOwnership(itemKey(manager.instanceId, hash), userId);
+  }
+}
+
+/**
+ * Add a magnet link to a BitTorrent client
+ * @param {Object} manager - Client manager
+ * @param {string} magnetUri - Magnet URI
+ * @param {Object} options - { categoryName, username, userId, userManager }
+ * @returns {Promise<string|null>} Info hash
+ */
+async function addMagnet(manager, magnetUri, options = {}) {
+  await manager.addMagnet(magnetUri, buildAddOptions(options.categoryName, options.username));
+  const { hash } = parseMagnetUri(magnetUri);
+  recordOwnership(manager, hash, options);
+  return hash;
+}
+
+/**
+ * Add .torrent file contents to a BitTorrent client
+ * @param {Object} manager - Client manager
+ * @param {Buffer} torrentData - Raw .torrent file contents
+ * @param {Object} options - { categoryName, username, userId, userManager }
+ * @returns {Promise<string|null>} Info hash
+ */
+async function addTorrent(manager, torrentData, options = {}) {
+  const { hash } = parseTorrentBuffer(torrentData);
+  if (!hash) throw new Error('Not a valid .torrent file');
+  await manager.addTorrentRaw(torrentData, buildAddOptions(options.categoryName, options.username));
+  recordOwnership(manager, hash, options);
+  return hash;
+}
+
+/**
+ * Add an ED2K link to aMule (the category is created in aMule if needed)
+ * @param {Object} manager - aMule manager
+ * @param {string} link - ed2k:// link
+ * @param {Object} options - { categoryName, username, userId, userManager }
+ * @returns {Promise<string|null>} ED2K hash
+ */
+async function addEd2k(manager, link, options = {}) {
+  const categoryId = options.categoryName ? (await manager.ensureAmuleCategoryId(options.categoryName) ?? 0) : 0;
+  const success = await manager.addEd2kLink(link, categoryId, options.username || null);
+  if (!success) throw new Error('aMule rejected the ED2K link');
+  const { hash } = parseEd2kLink(link);
+  recordOwnership(manager, hash, options);
+  return hash;
+}
+
+module.exports = {
+  resolveTargetManager,
+  buildAddOptions,
+  addMagnet,
+  addTorrent,
+  addEd2k
+};
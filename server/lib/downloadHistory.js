@@ -279,6 +279,21 @@ class DownloadHistory {
 
           logger.log('📜 History: Migrated to compound PK (hash, instance_id)');
         }
+      },
+      {
+        // Version 5: Record the last seeding rule action applied to an entry
+        version: 5,
+        up: function() {
+          const columns = this.db.prepare("PRAGMA table_info(download_history)").all();
+
+          if (!columns.some(col => col.name === 'rule_action')) {
+            this.db.exec("ALTER TABLE download_history ADD COLUMN rule_action TEXT");
+          }
+
+          if (!columns.some(col => col.name === 'rule_action_at')) {
+            this.db.exec("ALTER TABLE download_history ADD COLUMN rule_action_at TEXT");
+          }
+        }
       }
     ];
   }
@@ -380,6 +395,25 @@ class DownloadHistory {
     }
   }
 
+  /**
+   * Record a seeding rule action on an entry
+   * @param {string} hash - File hash
+   * @param {string} instanceId - Client instance identifier
+   * @param {string} description - What the rule did (e.g. "Paused: ratio 2.05 ≥ 2")
+   */
+  recordRuleAction(hash, instanceId, description) {
+    const stmt = this.db.prepare(`
+      UPDATE download_history
+      SET rule_action = ?, rule_action_at = ?
+      WHERE hash = ? AND instance_id = ?
+    `);
+    const result = stmt.run(description, new Date().toISOString(), hash.toLowerCase(), instanceId);
+
+    if (result.changes > 0) {
+      logger.log(`📏 History: Rule action on ${hash} - ${description}`);
+    }
+  }
+
   /**
    * Batch update status for entries seen in current downloads.
    * Called by background task to keep history status in sync with live data.
@@ -604,6 +638,58 @@ class DownloadHistory {
     return this.db.prepare('SELECT * FROM download_history WHERE hash = ? AND instance_id = ?').get(h, instanceId);
   }
 
+  /**
+   * Find history entries of search results, by hash or by name and size.
+   * Torrents found via Prowlarr have no info hash yet, so they are matched by
+   * their name (case and punctuation ignored) and exact size.
+   * @param {Array} files - [{ hash, name, size }]
+   * @returns {Map<string, object>} Input hash -> most recent { status, completedAt, startedAt }
+   */
+  findKnownFiles(files) {
+    const normalize = (name) => (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const matches = new Map();
+    const keep = (hash, row) => {
+      const prev = matches.get(hash);
+      if (prev && prev.startedAt >= row.started_at) return;
+      matches.set(hash, { status: row.status, completedAt: row.completed_at, startedAt: row.started_at });
+    };
+
+    // SQLite limits the number of bound parameters, so look up in chunks
+    const CHUNK = 500;
+    const byHash = new Map(files.filter(f => f.hash).map(f => [String(f.hash).toLowerCase(), f.hash]));
+    const hashes = [...byHash.keys()];
+    for (let i = 0; i < hashes.length; i += CHUNK) {
+      const chunk = hashes.slice(i, i + CHUNK);
+      const rows = this.db.prepare(`
+        SELECT hash, status, started_at, completed_at FROM download_history WHERE hash IN (${chunk.map(() => '?').join(',')})
+      `).all(...chunk);
+      rows.forEach(row => keep(byHash.get(row.hash), row));
+    }
+
+    const bySize = new Map();
+    for (const f of files) {
+      if (!f.hash || !f.name || !(f.size > 0)) continue;
+      const list = bySize.get(f.size) || [];
+      list.push(f);
+      bySize.set(f.size, list);
+    }
+    const sizes = [...bySize.keys()];
+    for (let i = 0; i < sizes.length; i += CHUNK) {
+      const chunk = sizes.slice(i, i + CHUNK);
+      const rows = this.db.prepare(`
+        SELECT filename, size, status, started_at, completed_at FROM download_history WHERE size IN (${chunk.map(() => '?').join(',')})
+      `).all(...chunk);
+      for (const row of rows) {
+        const name = normalize(row.filename);
+        bySize.get(row.size)
+          .filter(f => normalize(f.name) === name)
+          .forEach(f => keep(f.hash, row));
+      }
+    }
+
+    return matches;
+  }
+
   /**
    * Get all known compound keys from the database
    * Used for detecting externally added downloads
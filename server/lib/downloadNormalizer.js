@@ -417,6 +417,8 @@ function normalizeQBittorrentDownload(torrent) {
     isActive: ['downloading', 'uploading', 'stalledDL', 'stalledUP', 'forcedDL', 'forcedUP'].includes(torrent.state),
     isMultiFile: multiFile,
     message: getQBittorrentMessage(torrent), // Error message or tracker status
+    sequentialDownload: torrent.seq_dl === true,
+    firstLastPiecePriority: torrent.f_l_piece_prio === true,
 
     // Peers
     peerCounts: {
@@ -435,6 +437,7 @@ function normalizeQBittorrentDownload(torrent) {
     creationDate: torrent.added_on ? new Date(torrent.added_on * 1000) : null,
     startedTime: torrent.added_on ? new Date(torrent.added_on * 1000) : null,
     finishedTime: torrent.completion_on > 0 ? new Date(torrent.completion_on * 1000) : null,
+    seedingTime: typeof torrent.seeding_time === 'number' ? torrent.seeding_time : null, // seconds (qBittorrent 4.2+)
 
     // Priority (qBittorrent doesn't have the same priority system, but we can use first/last piece prio)
     priority: 2, // Normal priority
@@ -493,6 +496,8 @@ function normalizeDelugeDownload(hash, torrent) {
     isActive: ['Downloading', 'Seeding'].includes(torrent.state),
     isMultiFile,
     message: torrent.state === 'Error' ? (torrent.message || 'Error') : '',
+    sequentialDownload: torrent.sequential_download === true,
+    firstLastPiecePriority: torrent.prioritize_first_last === true,
 
     // Peers
     peerCounts: {
@@ -511,6 +516,7 @@ function normalizeDelugeDownload(hash, torrent) {
     creationDate: torrent.time_added ? new Date(torrent.time_added * 1000) : null,
     startedTime: torrent.time_added ? new Date(torrent.time_added * 1000) : null,
     finishedTime: torrent.completed_time > 0 ? new Date(torrent.completed_time * 1000) : null,
+    seedingTime: typeof torrent.seeding_time === 'number' ? torrent.seeding_time : null, // seconds
 
     // Priority
     priority: 2, // Normal
@@ -603,6 +609,7 @@ function normalizeTransmissionDownload(torrent) {
     creationDate: torrent.addedDate > 0 ? new Date(torrent.addedDate * 1000) : null,
     startedTime: torrent.startDate > 0 ? new Date(torrent.startDate * 1000) : null,
     finishedTime: torrent.doneDate > 0 ? new Date(torrent.doneDate * 1000) : null,
+    seedingTime: typeof torrent.secondsSeeding === 'number' ? torrent.secondsSeeding : null, // seconds
 
     // Priority
     priority: mapTransmissionPriority(torrent.bandwidthPriority),
@@ -611,6 +618,344 @@ function normalizeTransmissionDownload(torrent) {
   };
 }
 
+// ============================================================================
+// ARIA2 NORMALIZERS
+// ============================================================================
+
+/**
+ * Human-readable status of an aria2 job
+ * aria2 statuses: active, waiting, paused, error, complete, removed
+ * @param {Object} job - Parsed aria2 status
+ * @returns {string}
+ */
+function getAria2StatusText(job) {
+  switch (job.status) {
+    case 'active': return job.seeder ? 'Seeding' : 'Downloading';
+    case 'waiting': return 'Queued';
+    case 'paused': return 'Paused';
+    case 'error': return 'Error';
+    case 'complete': return 'Complete';
+    default: return 'Unknown';
+  }
+}
+
+/**
+ * Display name of an aria2 job
+ * Torrents use the name from the metainfo; plain downloads the file name
+ * (or the URL's last segment until the server has sent a file name).
+ * @param {Object} job - Parsed aria2 status
+ * @returns {string}
+ */
+function getAria2Name(job) {
+  const infoName = job.bittorrent?.info?.name;
+  if (infoName) return infoName;
+
+  const file = (job.files || [])[0] || {};
+  if (file.path) return file.path.replace(/\\/g, '/').split('/').pop();
+
+  const uri = file.uris?.[0]?.uri || '';
+  const fromUri = decodeURIComponent(uri.split('?')[0].split('/').pop() || '');
+  if (fromUri) return fromUri;
+
+  return job.infoHash ? `[METADATA]${job.infoHash}` : job.gid;
+}
+
+/**
+ * Normalize an aria2 job to unified format
+ * BitTorrent jobs are identified by their info hash, plain HTTP/FTP jobs by their GID.
+ * @param {Object} job - Parsed aria2 status (from Aria2Client.getAllStatuses), with optional `label`
+ * @param {Array} categories - Unified categories (category is derived from the download directory)
+ * @returns {Object} Normalized download
+ */
+function normalizeAria2Download(job, categories = []) {
+  const isTorrent = !!job.infoHash;
+  const hash = (job.infoHash || job.gid || '').toLowerCase();
+  const size = job.totalLength || 0;
+  const completed = job.completedLength || 0;
+  const progress = size > 0 ? parseFloat((completed / size * 100).toFixed(2)) : 0;
+  const trackerUrls = (job.bittorrent?.announceList || []).flat().filter(Boolean);
+  const files = job.files || [];
+  // A category assigned in this app wins over the one matching the directory
+  const category = deriveCategoryFromPath(job.dir || '', categories);
+  const label = job.label !== undefined ? job.label : (category.id > 0 ? category.name : '');
+  const isComplete = job.status === 'complete' || (size > 0 && completed >= size);
+
+  return {
+    clientType: 'aria2',
+    hash,
+    gid: job.gid,
+    isTorrent,
+    name: getAria2Name(job),
+    size,
+    downloaded: completed,
+    progress,
+    speed: job.downloadSpeed || 0,
+    uploadSpeed: job.uploadSpeed || 0,
+    statusText: getAria2StatusText(job),
+
+    // BitTorrent fields
+    ratio: completed > 0 ? (job.uploadLength || 0) / completed : 0,
+    category: label,
+    label,
+    directory: job.dir || '',
+    uploadTotal: job.uploadLength || 0,
+    isComplete,
+    isActive: job.status === 'active',
+    isMultiFile: job.bittorrent?.mode === 'multi' || files.length > 1,
+    message: job.status === 'error' ? (job.errorMessage || `Error code ${job.errorCode}`) : '',
+
+    // Peers
+    peerCounts: {
+      total: job.connections || 0,
+      connected: job.connections || 0,
+      seeders: job.numSeeders || 0
+    },
+    peersDetailed: (job.peersDetailed || []).map(p => ({ ...p, role: 'peer' })),
+
+    // Trackers
+    trackers: trackerUrls,
+    trackersDetailed: job.trackersDetailed || [],
+    trackerDomain: extractTrackerDomain(trackerUrls),
+
+    // Timestamps (aria2 doesn't report when a job was added or finished)
+    creationDate: job.bittorrent?.creationDate > 0 ? new Date(job.bittorrent.creationDate * 1000) : null,
+    startedTime: null,
+    finishedTime: null,
+
+    // Priority (aria2 has no per-job priority)
+    priority: 2, // Normal
+
+    raw: { clientType: 'aria2', ...job }
+  };
+}
+
+// ============================================================================
+// USENET NORMALIZERS (SABnzbd, NZBGet)
+// Queue jobs and recent history entries are both downloads. History entries
+// are complete (or failed); nothing is ever uploaded.
+// ============================================================================
+
+const MB = 1024 * 1024;
+
+/**
+ * Unified download fields shared by all Usenet jobs
+ * @param {Object} fields - Job-specific values
+ * @returns {Object} Normalized download
+ */
+function buildUsenetDownload({ clientType, hash, id, name, size, downloaded, speed, statusText, category, directory, message, startedTime, finishedTime, priority, isHistory, raw }) {
+  const isComplete = statusText === 'Completed';
+  return {
+    clientType,
+    hash,
+    id,
+    name,
+    size,
+    downloaded: isComplete ? size : downloaded,
+    progress: isComplete ? 100 : (size > 0 ? Math.min(parseFloat((downloaded / size * 100).toFixed(2)), 99.99) : 0),
+    speed,
+    uploadSpeed: 0,
+    statusText,
+    category: category || '',
+    label: category || '',
+    directory: directory || '',
+    uploadTotal: 0,
+    ratio: 0,
+    isComplete,
+    isActive: statusText === 'Downloading',
+    isHistory,
+    isMultiFile: true,
+    message: message || '',
+    startedTime,
+    finishedTime,
+    priority,
+    raw: { clientType, ...raw }
+  };
+}
+
+/**
+ * Human-readable status of a SABnzbd history entry (post-processing steps are kept)
+ * @param {string} status - SABnzbd history status
+ * @returns {string}
+ */
+function getSabnzbdHistoryStatus(status) {
+  if (['Completed', 'Failed', 'Verifying', 'Repairing', 'Extracting'].includes(status)) return status;
+  return 'Post-processing';
+}
+
+/**
+ * Map a SABnzbd priority name to unified priority (1=Low, 2=Normal, 3=High)
+ */
+function mapSabnzbdPriority(priority) {
+  if (priority === 'Low') return 1;
+  if (priority === 'High' || priority === 'Force') return 3;
+  return 2;
+}
+
+/**
+ * Normalize a SABnzbd queue slot to unified format
+ * SABnzbd reports one overall speed; it is credited to the downloading job.
+ * @param {Object} slot - Queue slot (from SabnzbdClient.getQueue)
+ * @param {number} speed - Download speed of this job in bytes/s
+ * @returns {Object} Normalized download
+ */
+function normalizeSabnzbdQueueSlot(slot, speed = 0) {
+  const size = Math.round(parseFloat(slot.mb || 0) * MB);
+  const left = Math.round(parseFloat(slot.mbleft || 0) * MB);
+  const statusText = slot.status === 'Paused' ? 'Paused' : (slot.status === 'Downloading' ? 'Downloading' : 'Queued');
+
+  return buildUsenetDownload({
+    clientType: 'sabnzbd',
+    hash: (slot.nzo_id || '').toLowerCase(),
+    id: slot.nzo_id,
+    name: slot.filename || slot.nzo_id,
+    size,
+    downloaded: Math.max(0, size - left),
+    speed: statusText === 'Downloading' ? speed : 0,
+    statusText,
+    category: slot.cat === '*' ? '' : slot.cat,
+    directory: '',
+    message: '',
+    startedTime: null,
+    finishedTime: null,
+    priority: mapSabnzbdPriority(slot.priority),
+    isHistory: false,
+    raw: { clientType: 'sabnzbd', ...slot }
+  });
+}
+
+/**
+ * Normalize a SABnzbd history slot to unified format
+ * @param {Object} slot - History slot (from SabnzbdClient.getHistory)
+ * @returns {Object} Normalized download
+ */
+function normalizeSabnzbdHistorySlot(slot) {
+  const statusText = getSabnzbdHistoryStatus(slot.status);
+  const completed = slot.completed > 0 ? slot.completed : null;
+  const duration = (slot.download_time || 0) + (slot.postproc_time || 0);
+
+  return buildUsenetDownload({
+    clientType: 'sabnzbd',
+    hash: (slot.nzo_id || '').toLowerCase(),
+    id: slot.nzo_id,
+    name: slot.name || slot.nzb_name || slot.nzo_id,
+    size: slot.bytes || 0,
+    downloaded: slot.downloaded || 0,
+    speed: 0,
+    statusText,
+    category: slot.category === '*' ? '' : slot.category,
+    directory: statusText === 'Completed' ? (slot.storage || '') : '',
+    message: statusText === 'Failed' ? (slot.fail_message || 'Download failed') : '',
+    startedTime: completed ? new Date((completed - duration) * 1000) : null,
+    finishedTime: statusText === 'Completed' && completed ? new Date(completed * 1000) : null,
+    priority: 2,
+    isHistory: true,
+    raw: { clientType: 'sabnzbd', ...slot }
+  });
+}
+
+/**
+ * Human-readable status of an NZBGet queue group
+ * @param {string} status - NZBGet group status
+ * @returns {string}
+ */
+function getNzbgetGroupStatus(status) {
+  switch (status) {
+    case 'DOWNLOADING': return 'Downloading';
+    case 'PAUSED': return 'Paused';
+    case 'QUEUED':
+    case 'FETCHING': return 'Queued';
+    case 'LOADING_PARS':
+    case 'VERIFYING_SOURCES':
+    case 'VERIFYING_REPAIRED': return 'Verifying';
+    case 'REPAIRING': return 'Repairing';
+    case 'UNPACKING': return 'Extracting';
+    default: return 'Post-processing';
+  }
+}
+
+/**
+ * Map an NZBGet priority to unified priority (1=Low, 2=Normal, 3=High)
+ * NZBGet: -100 very low, -50 low, 0 normal, 50 high, 100 very high, 900 force
+ */
+function mapNzbgetPriority(priority) {
+  if (priority < 0) return 1;
+  if (priority > 0) return 3;
+  return 2;
+}
+
+/**
+ * Combine a 32-bit Lo/Hi size pair reported by NZBGet
+ */
+function joinNzbgetSize(obj, prefix) {
+  return ((obj?.[`${prefix}Hi`] || 0) * 4294967296) + ((obj?.[`${prefix}Lo`] || 0) >>> 0);
+}
+
+/**
+ * Normalize an NZBGet queue group to unified format
+ * @param {Object} group - Group (from NzbgetClient.listGroups)
+ * @param {number} speed - Download speed of this job in bytes/s (estimated by the manager)
+ * @returns {Object} Normalized download
+ */
+function normalizeNzbgetGroup(group, speed = 0) {
+  const fileSize = joinNzbgetSize(group, 'FileSize');
+  // Paused par files are only downloaded when a repair needs them
+  const size = Math.max(0, fileSize - joinNzbgetSize(group, 'PausedSize'));
+  const statusText = getNzbgetGroupStatus(group.Status);
+
+  return buildUsenetDownload({
+    clientType: 'nzbget',
+    hash: String(group.NZBID),
+    id: group.NZBID,
+    name: group.NZBName || String(group.NZBID),
+    size,
+    downloaded: Math.max(0, fileSize - joinNzbgetSize(group, 'RemainingSize')),
+    speed: statusText === 'Downloading' ? speed : 0,
+    statusText,
+    category: group.Category,
+    directory: '',
+    // Post-processing progress (PostInfoText) is not an error; the status covers it
+    message: '',
+    startedTime: null,
+    finishedTime: null,
+    priority: mapNzbgetPriority(group.MaxPriority || 0),
+    isHistory: false,
+    raw: { clientType: 'nzbget', ...group }
+  });
+}
+
+/**
+ * Normalize an NZBGet history item to unified format
+ * Status is "<STATUS>/<DETAIL>", e.g. SUCCESS/ALL, FAILURE/PAR, WARNING/SCRIPT.
+ * @param {Object} item - History item (from NzbgetClient.getHistory)
+ * @returns {Object} Normalized download
+ */
+function normalizeNzbgetHistoryItem(item) {
+  const [result, detail] = String(item.Status || '').split('/');
+  const failed = result === 'FAILURE' || result === 'DELETED';
+  const statusText = failed ? 'Failed' : 'Completed';
+  const size = joinNzbgetSize(item, 'FileSize');
+  const historyTime = item.HistoryTime > 0 ? item.HistoryTime : null;
+
+  return buildUsenetDownload({
+    clientType: 'nzbget',
+    hash: String(item.NZBID),
+    id: item.NZBID,
+    name: item.Name || item.NZBName || String(item.NZBID),
+    size,
+    downloaded: joinNzbgetSize(item, 'DownloadedSize'),
+    speed: 0,
+    statusText,
+    category: item.Category,
+    directory: statusText === 'Completed' ? (item.FinalDir || item.DestDir || '') : '',
+    message: failed ? `${result === 'DELETED' ? 'Deleted' : 'Failed'}${detail ? ` (${detail.toLowerCase()})` : ''}` : '',
+    startedTime: historyTime && item.DownloadTimeSec ? new Date((historyTime - item.DownloadTimeSec - (item.PostTotalTimeSec || 0)) * 1000) : null,
+    finishedTime: statusText === 'Completed' && historyTime ? new Date(historyTime * 1000) : null,
+    priority: mapNzbgetPriority(item.MaxPriority || 0),
+    isHistory: true,
+    raw: { clientType: 'nzbget', ...item }
+  });
+}
+
 module.exports = {
   normalizeAmuleDownload,
   normalizeAmuleSharedFile,
@@ -620,5 +965,11 @@ module.exports = {
   normalizeQBittorrentDownload,
   normalizeDelugeDownload,
   normalizeTransmissionDownload,
+  normalizeAria2Download,
+  normalizeSabnzbdQueueSlot,
+  normalizeSabnzbdHistorySlot,
+  normalizeNzbgetGroup,
+  normalizeNzbgetHistoryItem,
+  joinNzbgetSize,
   extractTrackerDomain
 };
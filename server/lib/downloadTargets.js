@@ -0,0 +1,171 @@
+/**
+ * Download Targets
+ *
+ * Picks the client instance a new download goes to when the caller asks for
+ * "auto" instead of a specific instance. Candidates are the connected
+ * instances of the download's network type (ClientRegistry.getConnected);
+ * the policy in config.json (downloadTargets.policy) decides between them:
+ * - first:        first connected instance
+ * - least-active: fewest active (incomplete, not paused) downloads
+ * - free-space:   most free disk space at the category path (lib/diskSpace.js)
+ * - round-robin:  rotate through the instances, per network type
+ * - category:     instance pinned on the category, else least-active
+ */
+
+'use strict';
+
+const registry = require('./ClientRegistry');
+const clientMeta = require('./clientMeta');
+const categoryManager = require('./CategoryManager');
+const logger = require('./logger');
+const config = require('../modules/config');
+const { getFreeSpace } = require('./diskSpace');
+const { resolveCategoryDestPaths } = require('./pathUtils');
+
+// Instance ID sent by callers that want the policy to choose
+const AUTO_INSTANCE = 'auto';
+
+// Unified statuses that don't count as active downloads
+const INACTIVE_STATUSES = new Set(['paused', 'stopped', 'error']);
+
+// Last picked position per network type (round-robin)
+const roundRobinPositions = new Map();
+
+/**
+ * Whether an instance ID asks for automatic selection
+ * @param {string|null} instanceId
+ * @returns {boolean}
+ */
+function isAutoInstance(instanceId) {
+  return instanceId === AUTO_INSTANCE;
+}
+
+/**
+ * Configured policy (unknown values fall back to 'first')
+ * @returns {string}
+ */
+function getPolicy() {
+  const policy = config.getConfig()?.downloadTargets?.policy;
+  return config.TARGET_POLICIES.includes(policy) ? policy : 'first';
+}
+
+/**
+ * Connected instances that can take the download, in registration order
+ * @param {string} networkType - 'ed2k', 'bittorrent' or 'usenet'
+ * @param {string|null} capability - Required clientMeta capability
+ * @returns {Object[]} Managers
+ */
+function getCandidates(networkType, capability) {
+  return registry.getConnected().filter(manager =>
+    clientMeta.getNetworkType(manager.clientType) === networkType &&
+    (!capability || clientMeta.hasCapability(manager.clientType, capability))
+  );
+}
+
+/**
+ * Candidate with the fewest active downloads (from the cached unified items)
+ * @param {Object[]} candidates - Managers
+ * @returns {Object} Manager
+ */
+function pickLeastActive(candidates) {
+  // Lazy require: DataFetchService pulls in the client managers
+  const dataFetchService = require('./DataFetchService');
+  const items = dataFetchService.getCachedBatchData(60000)?.items || [];
+
+  const counts = new Map(candidates.map(manager => [manager.instanceId, 0]));
+  for (const item of items) {
+    if (!counts.has(item.instanceId)) continue;
+    if (!item.downloading || item.complete || INACTIVE_STATUSES.has(item.status)) continue;
+    counts.set(item.instanceId, counts.get(item.instanceId) + 1);
+  }
+
+  // Ties keep registration order
+  return candidates.reduce((best, manager) =>
+    counts.get(manager.instanceId) < counts.get(best.instanceId) ? manager : best
+  );
+}
+
+/**
+ * Candidate with the most free space where the download would be saved
+ * Paths are checked as aMuTorrent sees them; unreadable paths rank last.
+ * @param {Object[]} candidates - Managers
+ * @param {string|null} categoryName - Category of the download
+ * @returns {Promise<Object>} Manager
+ */
+async function pickMostFreeSpace(candidates, categoryName) {
+  const category = (categoryName && categoryManager.getByName(categoryName)) || categoryManager.getByName('Default');
+
+  let best = null;
+  let bestFree = -1;
+  for (const manager of candidates) {
+    const { localPath } = resolveCategoryDestPaths(category, manager.clientType, manager.instanceId);
+    const free = localPath ? await getFreeSpace(localPath) : null;
+    if (free !== null && free > bestFree) {
+      best = manager;
+      bestFree = free;
+    }
+  }
+
+  if (!best) {
+    logger.log(`⚠️ [downloadTargets] No readable download path for category "${category?.name || 'Default'}", using first instance`);
+    return candidates[0];
+  }
+  return best;
+}
+
+/**
+ * Next candidate after the last one picked for this network type
+ * @param {Object[]} candidates - Managers
+ * @param {string} networkType - Network type (rotation key)
+ * @returns {Object} Manager
+ */
+function pickRoundRobin(candidates, networkType) {
+  const position = ((roundRobinPositions.get(networkType) ?? -1) + 1) % candidates.length;
+  roundRobinPositions.set(networkType, position);
+  return candidates[position];
+}
+
+/**
+ * Pick the instance for a new download
+ * @param {Object} options
+ * @param {string} options.networkType - 'ed2k', 'bittorrent' or 'usenet'
+ * @param {string|null} [options.categoryName] - Category of the download
+ * @param {string|null} [options.capability] - Required clientMeta capability (e.g. 'directUrls')
+ * @returns {Promise<Object|null>} Connected manager, or null if no instance fits
+ */
+async function selectTarget({ networkType, categoryName = null, capability = null }) {
+  const candidates = getCandidates(networkType, capability);
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  const policy = getPolicy();
+  let manager;
+  switch (policy) {
+    case 'least-active':
+      manager = pickLeastActive(candidates);
+      break;
+    case 'free-space':
+      manager = await pickMostFreeSpace(candidates, categoryName);
+      break;
+    case 'round-robin':
+      manager = pickRoundRobin(candidates, networkType);
+      break;
+    case 'category': {
+      // No category = Default (the BitTorrent label for Default is empty)
+      const pinnedId = categoryManager.getByName(categoryName || 'Default')?.pinnedInstanceId;
+      manager = candidates.find(m => m.instanceId === pinnedId) || pickLeastActive(candidates);
+      break;
+    }
+    default:
+      manager = candidates[0];
+  }
+
+  logger.log(`🎯 [downloadTargets] ${networkType}${categoryName ? ` (category: ${categoryName})` : ''} -> ${manager.displayName || manager.instanceId} [${policy}]`);
+  return manager;
+}
+
+module.exports = {
+  AUTO_INSTANCE,
+  isAutoInstance,
+  getPolicy,
+  selectTarget
+};
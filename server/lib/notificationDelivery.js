@@ -0,0 +1,240 @@
+/**
+ * Native Notification Delivery
+ *
+ * Sends notifications over HTTP from Node for the service types that do not
+ * need the Apprise CLI: generic JSON webhooks, ntfy, Gotify and Discord/Slack
+ * incoming webhooks. Transient failures (network errors, 429, 5xx) are retried.
+ */
+
+const REQUEST_TIMEOUT = 10000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAYS = [2000, 5000];
+const MAX_RETRY_AFTER = 30000;
+
+// Service types that can be delivered without Apprise
+const NATIVE_TYPES = ['webhook', 'ntfy', 'gotify', 'discord', 'slack'];
+
+const WEBHOOK_METHODS = ['POST', 'PUT', 'PATCH'];
+
+// Apprise's json:// payload, so existing webhook receivers keep working
+const DEFAULT_WEBHOOK_BODY = '{"version": "1.0", "title": "{{title}}", "message": "{{body}}", "type": "info", "event": "{{event}}"}';
+
+class DeliveryError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {boolean} retryable - Whether another attempt may succeed
+   * @param {number|null} retryAfter - Delay requested by the server (ms)
+   */
+  constructor(message, retryable = false, retryAfter = null) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Prefix a bare host with https:// and strip trailing slashes
+ * @param {string} host - 'ntfy.example.com' or 'http://10.0.0.2:8080'
+ * @returns {string} Base URL
+ */
+function toBaseUrl(host) {
+  const trimmed = String(host).trim().replace(/\/+$/, '');
+  const url = /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  new URL(url); // throws on malformed hosts
+  return url;
+}
+
+/**
+ * Parse webhook headers given as one "Name: value" per line
+ * @param {string} text - Header lines
+ * @returns {Object} Header name -> value
+ * @throws {DeliveryError} On malformed lines
+ */
+function parseHeaderLines(text) {
+  const headers = {};
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const colon = line.indexOf(':');
+    const name = colon > 0 ? line.slice(0, colon).trim() : '';
+    if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+      throw new DeliveryError(`Invalid header line: ${line.trim()}`);
+    }
+    headers[name] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Fill {{placeholders}} in a webhook body template. Values are JSON-escaped so
+ * they can sit inside string literals of a JSON template.
+ * @param {string} template - Body template
+ * @param {Object} values - Placeholder name -> value
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (!(key in values)) return match;
+    return JSON.stringify(String(values[key] ?? '')).slice(1, -1);
+  });
+}
+
+/**
+ * Build the HTTP request for a service
+ * @param {Object} service - Service { type, config }
+ * @param {Object} message - { title, body, eventType }
+ * @returns {{url: string, method: string, headers: Object, body: string}}
+ * @throws {DeliveryError} On incomplete configuration
+ */
+function buildRequest(service, message) {
+  const cfg = service.config || {};
+  const json = { 'Content-Type': 'application/json' };
+  const e = encodeURIComponent;
+
+  switch (service.type) {
+    case 'webhook': {
+      if (!/^https?:\/\/.+/i.test(cfg.url || '')) {
+        throw new DeliveryError('Webhook URL must start with http:// or https://');
+      }
+      const method = (cfg.method || 'POST').toUpperCase();
+      if (!WEBHOOK_METHODS.includes(method)) {
+        throw new DeliveryError(`Unsupported webhook method: ${method}`);
+      }
+      const body = renderTemplate(cfg.body_template || DEFAULT_WEBHOOK_BODY, {
+        title: message.title,
+        body: message.body,
+        event: message.eventType,
+        timestamp: new Date().toISOString()
+      });
+      return { url: cfg.url, method, headers: { ...json, ...parseHeaderLines(cfg.headers) }, body };
+    }
+
+    case 'ntfy': {
+      if (!cfg.topic) throw new DeliveryError('ntfy topic is required');
+      // JSON publishing keeps emoji titles out of HTTP headers
+      const headers = { ...json };
+      if (cfg.token) headers.Authorization = `Bearer ${cfg.token}`;
+      const payload = { topic: cfg.topic, title: message.title, message: message.body };
+      if (cfg.priority) payload.priority = parseInt(cfg.priority, 10);
+      return { url: `${toBaseUrl(cfg.host || 'ntfy.sh')}/`, method: 'POST', headers, body: JSON.stringify(payload) };
+    }
+
+    case 'gotify': {
+      if (!cfg.host || !cfg.token) throw new DeliveryError('Gotify host and token are required');
+      const payload = { title: message.title, message: message.body };
+      if (cfg.priority) payload.priority = parseInt(cfg.priority, 10);
+      return {
+        url: `${toBaseUrl(cfg.host)}/message`,
+        method: 'POST',
+        headers: { ...json, 'X-Gotify-Key': cfg.token },
+        body: JSON.stringify(payload)
+      };
+    }
+
+    case 'discord': {
+      if (!cfg.webhook_id || !cfg.webhook_token) throw new DeliveryError('Discord webhook ID and token are required');
+      return {
+        url: `https://discord.com/api/webhooks/${e(cfg.webhook_id)}/${e(cfg.webhook_token)}`,
+        method: 'POST',
+        headers: json,
+        body: JSON.stringify({
+          username: 'aMuTorrent',
+          embeds: [{ title: message.title.slice(0, 256), description: message.body.slice(0, 4096) }]
+        })
+      };
+    }
+
+    case 'slack': {
+      if (!cfg.token_a || !cfg.token_b || !cfg.token_c) throw new DeliveryError('Slack webhook tokens are required');
+      const payload = { text: `*${message.title}*\n${message.body}` };
+      if (cfg.channel) payload.channel = `#${cfg.channel.replace(/^#/, '')}`;
+      return {
+        url: `https://hooks.slack.com/services/${e(cfg.token_a)}/${e(cfg.token_b)}/${e(cfg.token_c)}`,
+        method: 'POST',
+        headers: json,
+        body: JSON.stringify(payload)
+      };
+    }
+
+    default:
+      throw new DeliveryError(`Service type "${service.type}" requires Apprise`);
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_RETRY_AFTER) : null;
+}
+
+/**
+ * Perform one HTTP request
+ * @param {Object} request - From buildRequest
+ * @throws {DeliveryError}
+ */
+async function sendOnce(request) {
+  let res;
+  try {
+    res = await fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      redirect: request.redirect || 'follow',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? 'Request timed out' : (err.cause?.code || err.cause?.message || err.message);
+    throw new DeliveryError(reason, true);
+  }
+
+  if (res.ok) return;
+
+  const text = (await res.text().catch(() => '')).trim().slice(0, 200);
+  const message = `HTTP ${res.status}${text ? `: ${text}` : ''}`;
+  const retryable = res.status === 429 || res.status >= 500;
+  throw new DeliveryError(message, retryable, parseRetryAfter(res.headers.get('retry-after')));
+}
+
+/**
+ * Deliver a notification to one service, retrying transient failures
+ * @param {Object} service - Service { type, config }
+ * @param {Object} message - { title, body, eventType }
+ * @param {Object} options - { redirect: fetch redirect mode, 'error' to refuse redirects }
+ * @returns {Promise<{success: boolean, attempts: number, message: string}>}
+ */
+async function deliver(service, message, options = {}) {
+  let request;
+  try {
+    request = { ...buildRequest(service, message), redirect: options.redirect };
+  } catch (err) {
+    return { success: false, attempts: 0, message: err.message };
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await sendOnce(request);
+      return { success: true, attempts: attempt, message: 'Notification sent successfully' };
+    } catch (err) {
+      if (!err.retryable || attempt >= MAX_ATTEMPTS) {
+        return { success: false, attempts: attempt, message: err.message };
+      }
+      await sleep(err.retryAfter ?? RETRY_DELAYS[attempt - 1]);
+    }
+  }
+}
+
+module.exports = {
+  NATIVE_TYPES,
+  WEBHOOK_METHODS,
+  DEFAULT_WEBHOOK_BODY,
+  deliver,
+  parseHeaderLines
+};
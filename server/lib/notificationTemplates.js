@@ -0,0 +1,379 @@
+/**
+ * Notification Templates
+ *
+ * Default title/body templates per event type, the placeholder values built
+ * from event data, and a small mustache-style renderer:
+ *   {{key}}                value (empty when missing)
+ *   {{#key}}...{{/key}}    section rendered only when key is non-empty
+ *   {{^key}}...{{/key}}    section rendered only when key is empty
+ */
+
+const { formatDuration } = require('./timeRange');
+const { formatBytes } = require('./diskSpace');
+
+const MAX_TEMPLATE_LENGTH = 2000;
+
+const CLIENT_SUFFIX = '{{#client}} · {{client}}{{/client}}';
+const USER_CATEGORY_SUFFIX = '{{#userCategoryLine}}\n{{userCategoryLine}}{{/userCategoryLine}}';
+
+// Fallback for event types without their own defaults
+const GENERIC_TEMPLATE = { title: `aMuTorrent Event${CLIENT_SUFFIX}`, body: '{{filename}}' };
+
+const DEFAULT_TEMPLATES = {
+  downloadAdded: {
+    title: `⬇️ New Download${CLIENT_SUFFIX}`,
+    body: `{{filename}}${USER_CATEGORY_SUFFIX}`
+  },
+  downloadFinished: {
+    title: `✅ Download Complete${CLIENT_SUFFIX}`,
+    body: `{{filename}}${USER_CATEGORY_SUFFIX}`
+  },
+  categoryChanged: {
+    title: `🏷️ Category Changed${CLIENT_SUFFIX}`,
+    body: '{{filename}}\n🏷️ {{oldCategory}} → {{newCategory}}{{#userLine}}\n{{userLine}}{{/userLine}}'
+  },
+  fileMoved: {
+    title: `📦 File Moved${CLIENT_SUFFIX}`,
+    body: `{{filename}}\n📂 {{destPath}}{{^destPath}}Unknown{{/destPath}}${USER_CATEGORY_SUFFIX}`
+  },
+  fileDeleted: {
+    title: `🗑️ File Deleted${CLIENT_SUFFIX}`,
+    body: `{{filename}}${USER_CATEGORY_SUFFIX}`
+  },
+  clientUnavailable: {
+    title: `🔴 Client Offline${CLIENT_SUFFIX}`,
+    body: '{{instanceName}} is unreachable{{#error}}\nError: {{error}}{{/error}}'
+  },
+  clientAvailable: {
+    title: `🟢 Client Online${CLIENT_SUFFIX}`,
+    body: '{{instanceName}} is back online (was offline for {{downtime}})'
+  },
+  speedProfileChanged: {
+    title: `⏱️ Speed Profile Changed${CLIENT_SUFFIX}`,
+    body: '{{#previousProfile}}{{previousProfile}} → {{/previousProfile}}{{profile}}\n↓ {{downloadLimit}} · ↑ {{uploadLimit}}'
+  },
+  seedingRuleApplied: {
+    title: `📏 Seeding Rule Applied${CLIENT_SUFFIX}`,
+    body: `{{filename}}\n📏 {{action}}{{#destPath}} to {{destPath}}{{/destPath}} ({{reason}})${USER_CATEGORY_SUFFIX}`
+  },
+  downloadStalled: {
+    title: `🐢 Download Stalled${CLIENT_SUFFIX}`,
+    body: `{{filename}}\n⏸️ No download activity for {{stalledMinutes}} min at {{progress}}%${USER_CATEGORY_SUFFIX}`
+  },
+  noSeeds: {
+    title: `🚫 No Seeds Available${CLIENT_SUFFIX}`,
+    body: `{{filename}}\n🌱 No seeds for {{noSeedsMinutes}} min at {{progress}}%${USER_CATEGORY_SUFFIX}`
+  },
+  lowDiskSpace: {
+    title: '💾 Low Disk Space',
+    body: '{{freeSpace}} free of {{totalSpace}} ({{percentUsed}}% used)\nThreshold: {{threshold}}'
+  },
+  ratioReached: {
+    title: `🎯 Ratio Target Reached${CLIENT_SUFFIX}`,
+    body: `{{filename}}\n📈 Ratio {{ratio}} ≥ {{ratioTarget}}{{#uploaded}} · ↑ {{uploaded}}{{/uploaded}}${USER_CATEGORY_SUFFIX}`
+  },
+  moveFailed: {
+    title: `⚠️ Move Failed${CLIENT_SUFFIX}`,
+    body: `{{filename}}\n📂 {{destPath}}\nError: {{error}}${USER_CATEGORY_SUFFIX}`
+  },
+  loginFailed: {
+    title: '🔐 Failed Login Attempts',
+    body: '{{attempts}} failed logins from {{ip}}{{#username}} (last username: {{username}}){{/username}}{{#blocked}}\nIP blocked for 15 minutes{{/blocked}}'
+  },
+  updateAvailable: {
+    title: '🆕 Update Available',
+    body: 'aMuTorrent {{latestVersion}} is available (running {{currentVersion}}){{#releaseUrl}}\n{{releaseUrl}}{{/releaseUrl}}'
+  },
+  savedSearchResults: {
+    title: '🔎 New Search Results',
+    body: '{{searchName}}: {{newCount}} new result(s){{#added}} · {{added}} added{{#category}} to {{category}}{{/category}}{{/added}}\n{{titles}}'
+  }
+};
+
+// Placeholders shown in the template editor (events: limited to these event types)
+const PLACEHOLDERS = [
+  { key: 'filename', description: 'File or torrent name' },
+  { key: 'size', description: 'Size, formatted (e.g. 1.4 GB)' },
+  { key: 'category', description: 'Category' },
+  { key: 'owner', description: 'Username owning the download' },
+  { key: 'triggeredBy', description: 'Username who triggered the action' },
+  { key: 'userLine', description: 'Owner and triggering user (👤 owner (by user))' },
+  { key: 'userCategoryLine', description: 'User line plus category (👤 owner · 🏷️ category)' },
+  { key: 'instanceName', description: 'Client instance name' },
+  { key: 'instanceId', description: 'Client instance ID' },
+  { key: 'clientType', description: 'Client type (amule, qbittorrent, ...)' },
+  { key: 'client', description: 'Instance name, or client type when there is none' },
+  { key: 'hash', description: 'Download hash' },
+  { key: 'event', description: 'Event type key' },
+  { key: 'path', description: 'Full path on the client', events: ['downloadFinished', 'fileDeleted', 'categoryChanged'] },
+  { key: 'progress', description: 'Download progress in percent', events: ['downloadStalled', 'noSeeds'] },
+  { key: 'ratio', description: 'Share ratio', events: ['downloadFinished', 'seedingRuleApplied', 'ratioReached'] },
+  { key: 'downloaded', description: 'Bytes downloaded, formatted', events: ['downloadFinished'] },
+  { key: 'uploaded', description: 'Bytes uploaded, formatted', events: ['downloadFinished', 'ratioReached'] },
+  { key: 'trackerDomain', description: 'Tracker domain', events: ['downloadFinished'] },
+  { key: 'oldCategory', description: 'Previous category', events: ['categoryChanged'] },
+  { key: 'newCategory', description: 'New category', events: ['categoryChanged'] },
+  { key: 'sourcePath', description: 'Path before the move', events: ['fileMoved', 'moveFailed'] },
+  { key: 'destPath', description: 'Destination path', events: ['fileMoved', 'seedingRuleApplied', 'moveFailed'] },
+  { key: 'error', description: 'Error message', events: ['clientUnavailable', 'moveFailed'] },
+  { key: 'downtime', description: 'How long the client was offline', events: ['clientAvailable'] },
+  { key: 'profile', description: 'New speed profile', events: ['speedProfileChanged'] },
+  { key: 'previousProfile', description: 'Previous speed profile', events: ['speedProfileChanged'] },
+  { key: 'downloadLimit', description: 'Download limit (e.g. 10 MB/s or unlimited)', events: ['speedProfileChanged'] },
+  { key: 'uploadLimit', description: 'Upload limit', events: ['speedProfileChanged'] },
+  { key: 'action', description: 'Action taken (Paused, Removed, Moved, ...)', events: ['seedingRuleApplied'] },
+  { key: 'reason', description: 'Why the rule matched', events: ['seedingRuleApplied'] },
+  { key: 'seedingHours', description: 'Hours spent seeding', events: ['seedingRuleApplied'] },
+  { key: 'stalledMinutes', description: 'Minutes without download activity', events: ['downloadStalled'] },
+  { key: 'noSeedsMinutes', description: 'Minutes without seeds', events: ['noSeeds'] },
+  { key: 'ratioTarget', description: 'Configured ratio target', events: ['ratioReached'] },
+  { key: 'freeSpace', description: 'Free disk space, formatted', events: ['lowDiskSpace'] },
+  { key: 'totalSpace', description: 'Total disk space, formatted', events: ['lowDiskSpace'] },
+  { key: 'percentUsed', description: 'Disk usage in percent', events: ['lowDiskSpace'] },
+  { key: 'threshold', description: 'Configured free space threshold', events: ['lowDiskSpace'] },
+  { key: 'ip', description: 'IP address of the failed logins', events: ['loginFailed'] },
+  { key: 'username', description: 'Last username tried', events: ['loginFailed'] },
+  { key: 'attempts', description: 'Number of failed logins', events: ['loginFailed'] },
+  { key: 'blocked', description: '"yes" when the IP is now blocked', events: ['loginFailed'] },
+  { key: 'currentVersion', description: 'Running version', events: ['updateAvailable'] },
+  { key: 'latestVersion', description: 'Newly released version', events: ['updateAvailable'] },
+  { key: 'releaseName', description: 'Release title', events: ['updateAvailable'] },
+  { key: 'releaseUrl', description: 'Release notes link', events: ['updateAvailable'] },
+  { key: 'searchName', description: 'Saved search name', events: ['savedSearchResults'] },
+  { key: 'query', description: 'Search query', events: ['savedSearchResults'] },
+  { key: 'searchType', description: 'Search type (global, local, kad, prowlarr)', events: ['savedSearchResults'] },
+  { key: 'newCount', description: 'Number of new results', events: ['savedSearchResults'] },
+  { key: 'added', description: 'Number of new results auto-added (empty when none)', events: ['savedSearchResults'] },
+  { key: 'titles', description: 'Names of the first new results, one per line', events: ['savedSearchResults'] }
+];
+
+// Event data used for template previews
+const SAMPLE_DATA = {
+  hash: '3b245504cf5f11bbdbe1201cea6a6bf45aee1bc0',
+  filename: 'ubuntu-24.04-desktop-amd64.iso',
+  size: 6114656256,
+  category: 'Linux',
+  owner: 'alice',
+  triggeredBy: 'admin',
+  instanceId: 'qbittorrent-1',
+  instanceName: 'qBittorrent',
+  clientType: 'qbittorrent',
+  path: '/downloads/linux/ubuntu-24.04-desktop-amd64.iso',
+  downloaded: 6114656256,
+  uploaded: 12536045568,
+  ratio: 2.05,
+  trackerDomain: 'torrent.ubuntu.com',
+  oldCategory: 'Inbox',
+  newCategory: 'Linux',
+  sourcePath: '/downloads/incomplete',
+  destPath: '/media/linux',
+  error: 'connect ECONNREFUSED 127.0.0.1:8080',
+  downtimeDuration: 754000,
+  profile: 'Night',
+  previousProfile: 'Day',
+  downloadLimit: 0,
+  uploadLimit: 1048576,
+  action: 'move',
+  reason: 'ratio 2.05 ≥ 2',
+  seedingHours: 36.5,
+  progress: 42,
+  stalledMinutes: 30,
+  noSeedsMinutes: 60,
+  ratioTarget: 2,
+  free: 8589934592,
+  total: 2000398934016,
+  percentUsed: 99,
+  threshold: 10737418240,
+  ip: '203.0.113.7',
+  username: 'admin',
+  attempts: 5,
+  blocked: false,
+  currentVersion: '3.6.1',
+  latestVersion: '3.7.0',
+  releaseName: 'aMuTorrent 3.7.0',
+  releaseUrl: 'https://github.com/got3nks/amutorrent/releases/tag/v3.7.0',
+  searchName: 'Ubuntu releases',
+  query: 'ubuntu desktop iso',
+  searchType: 'prowlarr',
+  newCount: 2,
+  added: 2,
+  titles: 'ubuntu-24.04-desktop-amd64.iso\nubuntu-24.10-desktop-amd64.iso'
+};
+
+// Sample fields for events that are not about a download
+const EVENT_SAMPLE_KEYS = {
+  speedProfileChanged: ['profile', 'previousProfile', 'downloadLimit', 'uploadLimit'],
+  clientUnavailable: ['instanceId', 'instanceName', 'clientType', 'error'],
+  clientAvailable: ['instanceId', 'instanceName', 'clientType', 'downtimeDuration'],
+  lowDiskSpace: ['free', 'total', 'percentUsed', 'threshold'],
+  loginFailed: ['ip', 'username', 'attempts', 'blocked'],
+  updateAvailable: ['currentVersion', 'latestVersion', 'releaseName', 'releaseUrl'],
+  savedSearchResults: ['searchName', 'query', 'searchType', 'newCount', 'added', 'titles', 'category', 'owner']
+};
+
+// Sample values that differ per download event
+const EVENT_SAMPLE_OVERRIDES = {
+  moveFailed: { error: 'ENOSPC: no space left on device' }
+};
+
+const SEEDING_ACTIONS = { pause: 'Paused', remove: 'Removed', removeData: 'Removed with data', move: 'Moved' };
+
+/**
+ * Build the combined user (+ category) line
+ * @param {Object} eventData - Event data with owner, triggeredBy
+ * @param {string} category - Category to append ('' to leave out)
+ * @returns {string} e.g. '👤 john (by admin) · 🏷️ Linux' or ''
+ */
+function buildUserLine(eventData, category) {
+  const owner = eventData.owner || '';
+  const triggeredBy = eventData.triggeredBy || '';
+  const parts = [];
+
+  if (owner) {
+    parts.push(triggeredBy && triggeredBy !== owner ? `👤 ${owner} (by ${triggeredBy})` : `👤 ${owner}`);
+  }
+  if (category) {
+    parts.push(`🏷️ ${category}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Get sample event data for previews
+ * @param {string} eventType - Event type
+ * @returns {Object} Event data
+ */
+function getSampleData(eventType) {
+  const keys = EVENT_SAMPLE_KEYS[eventType];
+  if (!keys) return { ...SAMPLE_DATA, ...EVENT_SAMPLE_OVERRIDES[eventType] };
+  return Object.fromEntries(keys.map(key => [key, SAMPLE_DATA[key]]));
+}
+
+/**
+ * Build placeholder values for an event
+ * @param {string} eventType - Event type
+ * @param {Object} eventData - Event data as emitted by EventScriptingManager
+ * @returns {Object} Placeholder name -> string
+ */
+function buildValues(eventType, eventData) {
+  const values = { event: eventType };
+
+  // Every scalar field of the event is available as-is
+  for (const [key, value] of Object.entries(eventData)) {
+    if (value === null || value === undefined) values[key] = '';
+    else if (typeof value !== 'object') values[key] = String(value);
+  }
+
+  const bytes = (n) => (Number(n) > 0 ? formatBytes(Number(n)) : '');
+  const limit = (n) => (Number(n) > 0 ? `${formatBytes(Number(n))}/s` : 'unlimited');
+
+  Object.assign(values, {
+    filename: eventData.filename || eventData.name || 'Unknown file',
+    client: eventData.instanceName || eventData.clientType || '',
+    instanceName: eventData.instanceName || eventData.instanceId || '',
+    size: bytes(eventData.size),
+    userLine: buildUserLine(eventData, ''),
+    userCategoryLine: buildUserLine(eventData, eventData.category || '')
+  });
+
+  switch (eventType) {
+    case 'downloadFinished':
+      values.downloaded = bytes(eventData.downloaded);
+      values.uploaded = bytes(eventData.uploaded);
+      break;
+    case 'categoryChanged':
+      values.oldCategory = eventData.oldCategory || 'None';
+      values.newCategory = eventData.newCategory || eventData.category || 'None';
+      break;
+    case 'clientAvailable':
+      values.downtime = eventData.downtimeDuration ? formatDuration(eventData.downtimeDuration) : 'unknown';
+      break;
+    case 'speedProfileChanged':
+      values.downloadLimit = limit(eventData.downloadLimit);
+      values.uploadLimit = limit(eventData.uploadLimit);
+      break;
+    case 'seedingRuleApplied':
+      values.action = SEEDING_ACTIONS[eventData.action] || eventData.action || '';
+      break;
+    case 'ratioReached':
+      values.ratio = Number(eventData.ratio || 0).toFixed(2);
+      values.uploaded = bytes(eventData.uploaded);
+      break;
+    case 'lowDiskSpace':
+      values.freeSpace = formatBytes(Number(eventData.free) || 0);
+      values.totalSpace = formatBytes(Number(eventData.total) || 0);
+      values.threshold = bytes(eventData.threshold);
+      break;
+    case 'loginFailed':
+      values.blocked = eventData.blocked ? 'yes' : '';
+      break;
+    case 'savedSearchResults':
+      values.added = eventData.added > 0 ? String(eventData.added) : '';
+      break;
+  }
+
+  return values;
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder name -> string
+ * @returns {string}
+ */
+function render(template, values) {
+  const sections = template.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, kind, key, inner) => {
+    const present = !!values[key];
+    return present === (kind === '#') ? render(inner, values) : '';
+  });
+  return sections.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? '');
+}
+
+/**
+ * Get the default template of an event type
+ * @param {string} eventType - Event type
+ * @returns {{title: string, body: string}}
+ */
+function getDefaultTemplate(eventType) {
+  return DEFAULT_TEMPLATES[eventType] || GENERIC_TEMPLATE;
+}
+
+/**
+ * Validate and normalize a template override map
+ * @param {Object} templates - { eventType: { title?, body? } }
+ * @returns {Object} Normalized copy (empty strings dropped)
+ * @throws {Error} On unknown event types or invalid values
+ */
+function normalizeTemplates(templates) {
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    throw new Error('Templates must be an object keyed by event type');
+  }
+  const result = {};
+  for (const [eventType, template] of Object.entries(templates)) {
+    if (!DEFAULT_TEMPLATES[eventType]) throw new Error(`Unknown event type: ${eventType}`);
+    if (!template || typeof template !== 'object') throw new Error(`Invalid template for ${eventType}`);
+
+    const entry = {};
+    for (const field of ['title', 'body']) {
+      const value = template[field];
+      if (value === undefined || value === null || value === '') continue;
+      if (typeof value !== 'string') throw new Error(`Template ${field} for ${eventType} must be a string`);
+      if (value.length > MAX_TEMPLATE_LENGTH) {
+        throw new Error(`Template ${field} for ${eventType} is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+      }
+      entry[field] = value;
+    }
+    if (Object.keys(entry).length > 0) result[eventType] = entry;
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  PLACEHOLDERS,
+  getSampleData,
+  buildValues,
+  render,
+  getDefaultTemplate,
+  normalizeTemplates
+};
@@ -0,0 +1,218 @@
+/**
+ * NzbgetClient - JSON-RPC client for NZBGet
+ *
+ * Communicates with NZBGet's JSON-RPC interface via HTTP POST on /jsonrpc.
+ * Auth is HTTP Basic Auth (ControlUsername/ControlPassword). Sizes are
+ * reported as 32-bit Lo/Hi pairs.
+ */
+
+class NzbgetClient {
+  constructor(options = {}) {
+    this.host = options.host || 'localhost';
+    this.port = options.port || 6789;
+    this.username = options.username || '';
+    this.password = options.password || '';
+    this.useSsl = options.useSsl || false;
+
+    this.baseUrl = `${this.useSsl ? 'https' : 'http'}://${this.host}:${this.port}`;
+    this.connected = false;
+    this._version = null;
+    this._requestId = 0;
+  }
+
+  // ============================================================================
+  // RPC TRANSPORT
+  // ============================================================================
+
+  /**
+   * Make an RPC call to NZBGet.
+   * @param {string} method - RPC method name (e.g. 'listgroups')
+   * @param {Array} params - Positional parameters
+   * @param {Object} options - { timeout }
+   * @returns {Promise<*>} RPC result
+   */
+  async _call(method, params = [], { timeout = 30000 } = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+
+    // Basic Auth
+    if (this.username || this.password) {
+      const credentials = Buffer.from(`${this.username}:${this.password}`).toString('base64');
+      headers['Authorization'] = `Basic ${credentials}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/jsonrpc`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ method, params, id: ++this._requestId }),
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (err) {
+      if (err.name === 'AbortError' || err.name === 'TimeoutError' || err.message.includes('timeout')) {
+        throw new Error(`Connection timeout to ${this.host}:${this.port}`);
+      }
+      throw err;
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`Authentication failed for ${this.host}:${this.port}`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`HTTP ${response.status}: ${text}`);
+    }
+
+    const json = await response.json();
+
+    if (json.error) {
+      throw new Error(`RPC error in ${method}: ${json.error.message || json.error.name || JSON.stringify(json.error)}`);
+    }
+
+    return json.result;
+  }
+
+  // ============================================================================
+  // CONNECTION
+  // ============================================================================
+
+  /**
+   * Test connection to NZBGet.
+   * @returns {Promise<{success: boolean, version?: string, error?: string}>}
+   */
+  async testConnection() {
+    try {
+      this._version = (await this._call('version')) || 'unknown';
+      this.connected = true;
+      return {
+        success: true,
+        version: this._version
+      };
+    } catch (err) {
+      this.connected = false;
+      return {
+        success: false,
+        error: err.cause ? `${err.message} (${err.cause.code || err.cause.message})` : (err.message || 'Connection failed')
+      };
+    }
+  }
+
+  /**
+   * Disconnect — clear local state (no session to destroy).
+   */
+  async disconnect() {
+    this.connected = false;
+    this._version = null;
+  }
+
+  /**
+   * Check if connected.
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  // ============================================================================
+  // DATA RETRIEVAL
+  // ============================================================================
+
+  /**
+   * Get the download queue (including jobs in post-processing).
+   * @returns {Promise<Array>} Groups
+   */
+  async listGroups() {
+    return (await this._call('listgroups', [0])) || [];
+  }
+
+  /**
+   * Get the history (hidden entries excluded).
+   * @returns {Promise<Array>} History items
+   */
+  async getHistory() {
+    return (await this._call('history', [false])) || [];
+  }
+
+  /**
+   * Get server status (speeds, limit, pause state).
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    return (await this._call('status')) || {};
+  }
+
+  /**
+   * Get download volumes per news server; entry 0 holds the totals of all servers.
+   * @returns {Promise<Array>}
+   */
+  async getServerVolumes() {
+    return (await this._call('servervolumes')) || [];
+  }
+
+  /**
+   * Get the configuration as a name → value map.
+   * References to other options (e.g. DestDir=${MainDir}/dst) are resolved.
+   * @returns {Promise<Object>}
+   */
+  async getConfig() {
+    const entries = (await this._call('config')) || [];
+    const config = Object.fromEntries(entries.map(({ Name, Value }) => [Name, Value]));
+    const resolve = (value, depth = 0) => (typeof value === 'string' && depth < 5
+      ? value.replace(/\$\{(\w+)\}/g, (ref, name) => resolve(config[name] ?? ref, depth + 1))
+      : value);
+    return Object.fromEntries(Object.entries(config).map(([name, value]) => [name, resolve(value)]));
+  }
+
+  /**
+   * Get the files of a queued job.
+   * @param {number} nzbId - Job ID
+   * @returns {Promise<Array>} Files
+   */
+  async listFiles(nzbId) {
+    return (await this._call('listfiles', [0, 0, nzbId])) || [];
+  }
+
+  // ============================================================================
+  // JOB CONTROL
+  // ============================================================================
+
+  /**
+   * Run a queue or history edit command.
+   * @param {string} command - e.g. 'GroupPause', 'HistoryDelete'
+   * @param {string} param - Command parameter ('' if none)
+   * @param {Array<number>} ids - Job IDs
+   */
+  async editQueue(command, param, ids) {
+    const ok = await this._call('editqueue', [command, param, ids]);
+    if (!ok) throw new Error(`NZBGet rejected ${command}`);
+  }
+
+  /**
+   * Add an NZB file or URL.
+   * @param {string} name - NZB file name ('' = derive it from the URL)
+   * @param {string} content - Base64 NZB contents or an http(s) URL
+   * @param {Object} options - { category, priority, paused }
+   * @returns {Promise<number>} ID of the added job
+   */
+  async append(name, content, { category = '', priority = 0, paused = false } = {}) {
+    const nzbId = await this._call('append', [
+      name, content, category, priority, false, paused, '', 0, 'SCORE', []
+    ], { timeout: 60000 });
+    if (!(nzbId > 0)) throw new Error(`NZBGet could not add ${name || content}`);
+    return nzbId;
+  }
+
+  /**
+   * Set the global download speed limit.
+   * @param {number} bytesPerSecond - Limit in bytes/s (0 = unlimited)
+   */
+  async setRate(bytesPerSecond) {
+    await this._call('rate', [Math.max(0, Math.round(bytesPerSecond / 1024))]);
+  }
+}
+
+module.exports = NzbgetClient;
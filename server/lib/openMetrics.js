@@ -0,0 +1,116 @@
+/**
+ * OpenMetrics Text Writer
+ * Collects metric families and renders them in the OpenMetrics text exposition format
+ * (https://github.com/OpenObservability/OpenMetrics/blob/main/specification/OpenMetrics.md)
+ */
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Sample name suffix per family type
+const SAMPLE_SUFFIX = {
+  gauge: '',
+  counter: '_total',
+  info: '_info',
+  stateset: ''
+};
+
+/**
+ * Escape a label value (backslash, double quote and line feed)
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape HELP text (backslash and line feed)
+ * @param {string} text - Help text
+ * @returns {string}
+ */
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set
+ * @param {Object} labels - Label name -> value (null/undefined values are dropped)
+ * @returns {string} '{a="1",b="2"}' or ''
+ */
+function formatLabels(labels) {
+  const parts = Object.entries(labels)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+class OpenMetricsWriter {
+  constructor() {
+    this.families = new Map(); // name -> { type, help, samples: [{ labels, value }] }
+  }
+
+  /**
+   * Declare a metric family (samples are rendered in declaration order)
+   * @param {string} name - Family name (without the _total/_info suffix)
+   * @param {string} type - 'gauge' | 'counter' | 'info' | 'stateset'
+   * @param {string} help - Help text
+   * @returns {OpenMetricsWriter} this (chainable)
+   */
+  declare(name, type, help) {
+    if (!this.families.has(name)) {
+      this.families.set(name, { type, help, samples: [] });
+    }
+    return this;
+  }
+
+  /**
+   * Add a sample to a declared family. Non-numeric values are skipped.
+   * @param {string} name - Family name
+   * @param {Object} labels - Label set
+   * @param {number|boolean} value - Sample value (booleans become 1/0)
+   */
+  add(name, labels, value) {
+    const family = this.families.get(name);
+    if (!family) throw new Error(`Metric family "${name}" is not declared`);
+    const numeric = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+    if (typeof numeric !== 'number' || !Number.isFinite(numeric)) return;
+    family.samples.push({ labels, value: numeric });
+  }
+
+  /**
+   * Add a stateset sample: one line per state, 1 for the current state and 0 for the others
+   * @param {string} name - Family name (also used as the state label)
+   * @param {Object} labels - Label set
+   * @param {string[]} states - All possible states
+   * @param {string} current - Current state
+   */
+  addStateSet(name, labels, states, current) {
+    for (const state of states) {
+      this.add(name, { ...labels, [name]: state }, state === current);
+    }
+  }
+
+  /**
+   * Render all families (families without samples are omitted)
+   * @returns {string} Exposition text ending with '# EOF'
+   */
+  toString() {
+    const lines = [];
+    for (const [name, family] of this.families) {
+      if (family.samples.length === 0) continue;
+      lines.push(`# TYPE ${name} ${family.type}`);
+      lines.push(`# HELP ${name} ${escapeHelp(family.help)}`);
+      const sampleName = name + SAMPLE_SUFFIX[family.type];
+      for (const { labels, value } of family.samples) {
+        lines.push(`${sampleName}${formatLabels(labels)} ${value}`);
+      }
+    }
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  OpenMetricsWriter,
+  CONTENT_TYPE
+};
@@ -266,6 +266,40 @@ class QBittorrentClient {
     return this._get('/api/v2/torrents/trackers', { hash });
   }
 
+  /**
+   * Add trackers to a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Tracker announce URLs
+   * @returns {Promise<void>}
+   */
+  async addTrackers(hash, urls) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/addTrackers', { hash, urls: urls.join('\n') });
+  }
+
+  /**
+   * Remove trackers from a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Tracker announce URLs
+   * @returns {Promise<void>}
+   */
+  async removeTrackers(hash, urls) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/removeTrackers', { hash, urls: urls.join('|') });
+  }
+
+  /**
+   * Replace a tracker URL on a torrent (keeps its tier)
+   * @param {string} hash - Torrent hash
+   * @param {string} origUrl - Current announce URL
+   * @param {string} newUrl - New announce URL
+   * @returns {Promise<void>}
+   */
+  async editTracker(hash, origUrl, newUrl) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/editTracker', { hash, origUrl, newUrl });
+  }
+
   /**
    * Get files for a specific torrent
    * @param {string} hash - Torrent hash
@@ -286,6 +320,20 @@ class QBittorrentClient {
     return this._get('/api/v2/torrents/properties', { hash });
   }
 
+  /**
+   * Export the .torrent file of a torrent (qBittorrent 4.5+)
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Buffer>} Raw .torrent file contents
+   */
+  async exportTorrent(hash) {
+    await this.ensureLoggedIn();
+    const response = await this._fetch(`/api/v2/torrents/export?hash=${encodeURIComponent(hash)}`, { method: 'GET' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
   /**
    * Get global transfer info (speeds, all-time totals)
    * Uses /sync/maindata for all-time stats that persist across qBittorrent restarts
@@ -532,6 +580,105 @@ class QBittorrentClient {
     await this._post('/api/v2/torrents/reannounce', { hashes: hash });
   }
 
+  /**
+   * Toggle sequential download for a torrent
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<void>}
+   */
+  async toggleSequentialDownload(hash) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/toggleSequentialDownload', { hashes: hash });
+  }
+
+  /**
+   * Toggle first/last piece priority for a torrent
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<void>}
+   */
+  async toggleFirstLastPiecePrio(hash) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/toggleFirstLastPiecePrio', { hashes: hash });
+  }
+
+  /**
+   * Set the priority of files in a torrent
+   * @param {string} hash - Torrent hash
+   * @param {number[]} fileIds - File indexes (torrents/files order)
+   * @param {number} priority - 0 (do not download), 1 (normal), 6 (high) or 7 (maximum)
+   * @returns {Promise<void>}
+   */
+  async setFilePriority(hash, fileIds, priority) {
+    await this.ensureLoggedIn();
+    await this._post('/api/v2/torrents/filePrio', {
+      hash,
+      id: fileIds.join('|'),
+      priority
+    });
+  }
+
+  // ============================================================================
+  // SPEED LIMITS
+  // ============================================================================
+
+  /**
+   * Get global transfer speed limits
+   * @returns {Promise<{downloadLimit: number, uploadLimit: number}>} Limits in bytes/s (0 = unlimited)
+   */
+  async getGlobalSpeedLimits() {
+    await this.ensureLoggedIn();
+    const dl = await this._get('/api/v2/transfer/downloadLimit');
+    const ul = await this._get('/api/v2/transfer/uploadLimit');
+    return {
+      downloadLimit: Math.max(0, parseInt(dl, 10) || 0),
+      uploadLimit: Math.max(0, parseInt(ul, 10) || 0)
+    };
+  }
+
+  /**
+   * Set global transfer speed limits (undefined fields are left unchanged)
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   * @returns {Promise<void>}
+   */
+  async setGlobalSpeedLimits({ downloadLimit, uploadLimit } = {}) {
+    await this.ensureLoggedIn();
+    if (downloadLimit !== undefined) {
+      await this._post('/api/v2/transfer/setDownloadLimit', { limit: downloadLimit });
+    }
+    if (uploadLimit !== undefined) {
+      await this._post('/api/v2/transfer/setUploadLimit', { limit: uploadLimit });
+    }
+  }
+
+  /**
+   * Get per-torrent speed limits
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<{downloadLimit: number, uploadLimit: number}>} Limits in bytes/s (0 = unlimited)
+   */
+  async getTorrentSpeedLimits(hash) {
+    await this.ensureLoggedIn();
+    const dl = await this._post('/api/v2/torrents/downloadLimit', { hashes: hash });
+    const ul = await this._post('/api/v2/torrents/uploadLimit', { hashes: hash });
+    // Response is { hash: limit }, -1 means unlimited on some versions
+    const pick = (map) => Math.max(0, parseInt(map?.[hash] ?? map?.[hash.toLowerCase()], 10) || 0);
+    return { downloadLimit: pick(dl), uploadLimit: pick(ul) };
+  }
+
+  /**
+   * Set per-torrent speed limits (undefined fields are left unchanged)
+   * @param {string} hash - Torrent hash
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   * @returns {Promise<void>}
+   */
+  async setTorrentSpeedLimits(hash, { downloadLimit, uploadLimit } = {}) {
+    await this.ensureLoggedIn();
+    if (downloadLimit !== undefined) {
+      await this._post('/api/v2/torrents/setDownloadLimit', { hashes: hash, limit: downloadLimit });
+    }
+    if (uploadLimit !== undefined) {
+      await this._post('/api/v2/torrents/setUploadLimit', { hashes: hash, limit: uploadLimit });
+    }
+  }
+
   // ============================================================================
   // CONNECTION TESTING
   // ============================================================================
@@ -16,11 +16,17 @@ const { convertMagnetToEd2k } = require('../linkConverter');
 const { itemKey } = require('../itemKey');
 const preferences = require('./preferences.json');
 
+// ED2K part size, reported as the piece size
+const ED2K_PART_SIZE = 9728000;
+
 class QBittorrentHandler {
   constructor() {
     // Dependencies (set via setDependencies)
     this.getAmuleClient = null;
     this.getAmuleInstanceId = null;
+    // Auto mode: downloads spread over all aMule instances by the download target policy
+    this.isAutoTarget = () => false;
+    this.selectAmuleTarget = null;
     this.hashStore = null;
     this.config = null;
     this.isFirstRun = async () => false;
@@ -44,14 +50,25 @@ class QBittorrentHandler {
     this.resumeTorrent = this.resumeTorrent.bind(this);
     this.getCategories = this.getCategories.bind(this);
     this.createCategory = this.createCategory.bind(this);
+    this.editCategory = this.editCategory.bind(this);
+    this.removeCategories = this.removeCategories.bind(this);
+    this.setCategory = this.setCategory.bind(this);
+    this.getTorrentProperties = this.getTorrentProperties.bind(this);
+    this.getTorrentFiles = this.getTorrentFiles.bind(this);
+    this.topPrio = this.topPrio.bind(this);
+    this.setShareLimits = this.setShareLimits.bind(this);
+    this.getTransferInfo = this.getTransferInfo.bind(this);
+    this.getMainData = this.getMainData.bind(this);
   }
 
   /**
    * Set all dependencies at once
    */
-  setDependencies({ getAmuleClient, getAmuleInstanceId, hashStore, config, registry, isFirstRun, userManager }) {
+  setDependencies({ getAmuleClient, getAmuleInstanceId, isAutoTarget, selectAmuleTarget, hashStore, config, registry, isFirstRun, userManager }) {
     this.getAmuleClient = getAmuleClient;
     this.getAmuleInstanceId = getAmuleInstanceId;
+    if (isAutoTarget) this.isAutoTarget = isAutoTarget;
+    this.selectAmuleTarget = selectAmuleTarget || null;
     this.hashStore = hashStore;
     this.config = config;
     this.registry = registry;
@@ -316,6 +333,133 @@ class QBittorrentHandler {
     }
   }
 
+  /**
+   * POST /api/v2/torrents/editCategory
+   * aMule needs a path, so an empty savePath keeps the current one
+   */
+  async editCategory(req, res) {
+    try {
+      const { category, savePath } = req.body;
+
+      if (!category) {
+        return response.badRequest(res, 'Missing category parameter');
+      }
+
+      const amuleClient = this.getAmuleClient?.();
+      if (!amuleClient) {
+        return response.serviceUnavailable(res, 'aMule not connected');
+      }
+
+      const categoryObj = await this.getCategoryByName(category);
+      if (!categoryObj) {
+        return response.error(res, 'Category does not exist', 409);
+      }
+
+      const path = savePath || categoryObj.path || '';
+      await amuleClient.updateCategory(
+        categoryObj.id,
+        categoryObj.title,
+        path,
+        categoryObj.comment || '',
+        categoryObj.color ?? 0xCCCCCC,
+        categoryObj.priority || 0
+      );
+      await this.syncCategories();
+
+      logger.log(`[qBittorrent] Category edited: ${category} (ID: ${categoryObj.id}) -> ${path || 'default path'}`);
+      res.send('Ok.');
+    } catch (error) {
+      logger.error('[qBittorrent] Edit category error:', error);
+      return response.serverError(res, 'Failed to edit category');
+    }
+  }
+
+  /**
+   * POST /api/v2/torrents/removeCategories
+   * Unknown categories are ignored, like qBittorrent does
+   */
+  async removeCategories(req, res) {
+    try {
+      const { categories } = req.body;
+
+      if (!categories) {
+        return response.badRequest(res, 'Missing categories parameter');
+      }
+
+      const amuleClient = this.getAmuleClient?.();
+      if (!amuleClient) {
+        return response.serviceUnavailable(res, 'aMule not connected');
+      }
+
+      const names = categories.split(/[\n\r]+/).map(s => s.trim()).filter(Boolean);
+
+      for (const name of names) {
+        const categoryObj = await this.getCategoryByName(name);
+        // Category 0 is aMule's default category and can't be removed
+        if (!categoryObj || categoryObj.id === 0) continue;
+
+        await amuleClient.deleteCategory(categoryObj.id);
+        logger.log(`[qBittorrent] Category removed: ${name} (ID: ${categoryObj.id})`);
+      }
+
+      await this.syncCategories();
+      res.send('Ok.');
+    } catch (error) {
+      logger.error('[qBittorrent] Remove categories error:', error);
+      return response.serverError(res, 'Failed to remove categories');
+    }
+  }
+
+  /**
+   * POST /api/v2/torrents/setCategory
+   * An empty category moves the downloads to aMule's default category
+   */
+  async setCategory(req, res) {
+    try {
+      const { hashes, category = '' } = req.body;
+
+      if (!hashes) {
+        return response.badRequest(res, 'Missing hashes parameter');
+      }
+
+      const amuleClient = this.getAmuleClient?.();
+      if (!amuleClient) {
+        return response.serviceUnavailable(res, 'aMule not connected');
+      }
+
+      let categoryId = 0;
+      if (category) {
+        const categoryObj = await this.getCategoryByName(category);
+        if (!categoryObj) {
+          return response.error(res, 'Category does not exist', 409);
+        }
+        categoryId = categoryObj.id;
+      }
+
+      for (const ed2kHash of this.parseHashes(hashes)) {
+        try {
+          // Downloads on other instances (auto mode) use that instance's category ID
+          const manager = this.getOtherInstanceManager(ed2kHash);
+          const success = manager && category
+            ? (await manager.setCategoryOrLabel(ed2kHash, { categoryName: category })).success
+            : await (manager?.getClient() || amuleClient).setFileCategory(ed2kHash, categoryId);
+          if (success) {
+            logger.log(`[qBittorrent] Category of ${ed2kHash} set to "${category || 'default'}" (ID: ${categoryId})`);
+          } else {
+            logger.warn(`[qBittorrent] aMule rejected category change for ${ed2kHash}`);
+          }
+        } catch (error) {
+          logger.error('[qBittorrent] Exception setting category:', ed2kHash, error);
+        }
+      }
+
+      res.send('Ok.');
+    } catch (error) {
+      logger.error('[qBittorrent] Set category error:', error);
+      return response.serverError(res, 'Failed to set category');
+    }
+  }
+
   // ============================================================================
   // TORRENT MANAGEMENT
   // ============================================================================
@@ -345,25 +489,26 @@ class QBittorrentHandler {
   }
 
   /**
-   * GET /api/v2/torrents/info
+   * Downloads of the target aMule instance from the cached unified items
+   * (all aMule instances in auto mode)
+   *
+   * Uses cached unified items from DataFetchService instead of direct EC calls.
+   * Direct getDownloadQueue()/getSharedFiles() calls interfere with aMule's
+   * server-side incremental diff state for getUpdate(), causing XOR corruption.
+   * @returns {Array} Downloads in the format expected by convertToQBittorrentInfo
    */
-  async getTorrentsInfo(req, res) {
-    try {
-      const { category } = req.query;
-
-      // Use cached unified items from DataFetchService instead of direct EC calls.
-      // Direct getDownloadQueue()/getSharedFiles() calls interfere with aMule's
-      // server-side incremental diff state for getUpdate(), causing XOR corruption.
-      const dataFetchService = require('../DataFetchService');
-      const cached = dataFetchService.getCachedBatchData(10000);
-      const items = cached?.items || [];
-
-      // Filter to the target aMule instance
-      const targetInstanceId = this.getAmuleInstanceId?.();
-      let downloads = items.filter(item => item.client === 'amule' && (!targetInstanceId || item.instanceId === targetInstanceId));
-
-      // Map unified items to the format expected by convertToQBittorrentInfo
-      downloads = downloads.map(item => ({
+  getCachedDownloads() {
+    const dataFetchService = require('../DataFetchService');
+    const cached = dataFetchService.getCachedBatchData(10000);
+    const items = cached?.items || [];
+
+    // Filter to the target aMule instance
+    const targetInstanceId = this.getAmuleInstanceId?.();
+    const allInstances = this.isAutoTarget();
+    return items
+      .filter(item => item.client === 'amule' && (allInstances || !targetInstanceId || item.instanceId === targetInstanceId))
+      .map(item => ({
+        instanceId: item.instanceId,
         fileName: item.name,
         fileHash: item.hash,
         fileSize: String(item.size || 0),
@@ -372,40 +517,214 @@ class QBittorrentHandler {
         sourceCount: item.sources?.connected || 0,
         speed: item.downloadSpeed || 0,
         priority: item.downloadPriority ?? 0,
-        category: item.categoryId || null,
+        category: this.getPrimaryCategoryId(item, targetInstanceId),
         status: item.status,
         uploadSpeed: item.uploadSpeed || 0,
+        uploadTotal: item.uploadTotal || 0,
         ratio: item.ratio || 0,
         directory: item.directory || ''
       }));
+  }
 
-      // Filter by category if requested
-      if (category) {
-        const filteredDownloads = [];
-        for (const download of downloads) {
-          const categoryObj = await this.getCategoryById(download.category);
-          if (categoryObj && categoryObj.title === category) {
-            filteredDownloads.push(download);
-          }
+  /**
+   * Category ID of an item in the primary instance's numbering (categoriesCache).
+   * Other instances number their categories differently, so their items are
+   * matched by category name.
+   * @param {Object} item - Unified item
+   * @param {string|null} primaryInstanceId - Instance the category cache comes from
+   * @returns {number|null} Category ID
+   */
+  getPrimaryCategoryId(item, primaryInstanceId) {
+    if (!primaryInstanceId || item.instanceId === primaryInstanceId) {
+      return item.categoryId || null;
+    }
+    if (!item.category || item.category === 'Default') return null;
+    return this.categoriesCache.find(cat => cat.title === item.category)?.id || null;
+  }
+
+  /**
+   * Manager of the instance holding a download when that isn't the primary
+   * instance (auto mode only)
+   * @param {string} ed2kHash - ED2K hash
+   * @returns {Object|null} Connected manager, or null to use the primary client
+   */
+  getOtherInstanceManager(ed2kHash) {
+    if (!this.isAutoTarget()) return null;
+    const download = this.getCachedDownloads().find(d => d.fileHash?.toLowerCase() === ed2kHash.toLowerCase());
+    if (!download || download.instanceId === this.getAmuleInstanceId?.()) return null;
+    const manager = this.registry?.get(download.instanceId);
+    return manager?.isConnected?.() ? manager : null;
+  }
+
+  /**
+   * Resolve a qBittorrent hash (magnet hash or ED2K hash) to the ED2K hash
+   * @param {string} hash - Hash sent by the client
+   * @returns {string} Lowercase ED2K hash
+   */
+  resolveEd2kHash(hash) {
+    return (this.hashStore.getEd2kHash(hash) || hash).toLowerCase();
+  }
+
+  /**
+   * Parse a "hashes" parameter (pipe separated, or "all")
+   * @param {string} hashes - Hashes parameter
+   * @returns {Array<string>} Lowercase ED2K hashes
+   */
+  parseHashes(hashes) {
+    if (hashes === 'all') {
+      return this.getCachedDownloads().map(d => d.fileHash.toLowerCase());
+    }
+    return hashes.split('|').map(h => h.trim()).filter(Boolean).map(h => this.resolveEd2kHash(h));
+  }
+
+  /**
+   * Find a cached download by qBittorrent hash
+   * @param {string} hash - Magnet hash or ED2K hash
+   * @returns {Object|null} Download or null
+   */
+  findDownload(hash) {
+    if (!hash) return null;
+    const ed2kHash = this.resolveEd2kHash(hash);
+    return this.getCachedDownloads().find(d => d.fileHash?.toLowerCase() === ed2kHash) || null;
+  }
+
+  /**
+   * Cached downloads converted to qBittorrent torrents
+   * @param {Object} filters - { category, hashes }
+   * @returns {Promise<Array>} qBittorrent torrent objects
+   */
+  async getQBittorrentTorrents({ category, hashes } = {}) {
+    let downloads = this.getCachedDownloads();
+
+    if (hashes) {
+      const wanted = new Set(this.parseHashes(hashes));
+      downloads = downloads.filter(d => wanted.has(d.fileHash?.toLowerCase()));
+    }
+
+    // Filter by category if requested
+    if (category) {
+      const filteredDownloads = [];
+      for (const download of downloads) {
+        const categoryObj = await this.getCategoryById(download.category);
+        if (categoryObj && categoryObj.title === category) {
+          filteredDownloads.push(download);
         }
-        downloads = filteredDownloads;
       }
+      downloads = filteredDownloads;
+    }
 
-      // Enrich and convert to qBittorrent format
-      const torrents = await Promise.all(
-        downloads.map(async download => {
-          const enriched = await this.enrichDownload(download);
-          return convertToQBittorrentInfo(enriched);
-        })
-      );
+    // Enrich and convert to qBittorrent format
+    return Promise.all(
+      downloads.map(async download => {
+        const enriched = await this.enrichDownload(download);
+        return convertToQBittorrentInfo(enriched);
+      })
+    );
+  }
 
-      res.json(torrents);
+  /**
+   * GET /api/v2/torrents/info
+   */
+  async getTorrentsInfo(req, res) {
+    try {
+      const { category, hashes } = req.query;
+      res.json(await this.getQBittorrentTorrents({ category, hashes }));
     } catch (error) {
       logger.error('[qBittorrent] Get torrents error:', error);
       return response.serverError(res, 'Failed to get torrents');
     }
   }
 
+  /**
+   * GET /api/v2/torrents/properties
+   */
+  async getTorrentProperties(req, res) {
+    try {
+      const download = this.findDownload(req.query.hash);
+      if (!download) {
+        return response.notFound(res, 'Torrent hash was not found');
+      }
+
+      const info = convertToQBittorrentInfo(await this.enrichDownload(download));
+      const piecesNum = Math.max(1, Math.ceil(info.total_size / ED2K_PART_SIZE));
+
+      res.json({
+        addition_date: info.added_on,
+        comment: '',
+        completion_date: info.completion_on,
+        created_by: '',
+        creation_date: -1,
+        dl_limit: -1,
+        dl_speed: info.dlspeed,
+        dl_speed_avg: info.dlspeed,
+        download_path: info.download_path,
+        eta: info.eta,
+        hash: info.hash,
+        infohash_v1: info.infohash_v1,
+        infohash_v2: '',
+        is_private: false,
+        last_seen: -1,
+        name: info.name,
+        nb_connections: info.num_seeds,
+        nb_connections_limit: -1,
+        peers: 0,
+        peers_total: 0,
+        piece_size: ED2K_PART_SIZE,
+        pieces_have: Math.floor(info.progress * piecesNum),
+        pieces_num: piecesNum,
+        reannounce: 0,
+        save_path: info.save_path,
+        seeding_time: 0,
+        seeds: info.num_seeds,
+        seeds_total: info.num_complete,
+        share_ratio: download.ratio,
+        time_elapsed: 0,
+        total_downloaded: info.downloaded,
+        total_downloaded_session: info.downloaded_session,
+        total_size: info.total_size,
+        total_uploaded: download.uploadTotal,
+        total_uploaded_session: download.uploadTotal,
+        total_wasted: 0,
+        up_limit: -1,
+        up_speed: download.uploadSpeed,
+        up_speed_avg: download.uploadSpeed
+      });
+    } catch (error) {
+      logger.error('[qBittorrent] Get properties error:', error);
+      return response.serverError(res, 'Failed to get torrent properties');
+    }
+  }
+
+  /**
+   * GET /api/v2/torrents/files
+   * ED2K downloads are always a single file
+   */
+  async getTorrentFiles(req, res) {
+    try {
+      const download = this.findDownload(req.query.hash);
+      if (!download) {
+        return response.notFound(res, 'Torrent hash was not found');
+      }
+
+      const info = convertToQBittorrentInfo(await this.enrichDownload(download));
+      const piecesNum = Math.max(1, Math.ceil(info.total_size / ED2K_PART_SIZE));
+
+      res.json([{
+        index: 0,
+        name: info.name,
+        size: info.total_size,
+        progress: info.progress,
+        priority: 1,
+        is_seed: info.progress >= 1,
+        piece_range: [0, piecesNum - 1],
+        availability: info.progress >= 1 ? 1 : -1
+      }]);
+    } catch (error) {
+      logger.error('[qBittorrent] Get files error:', error);
+      return response.serverError(res, 'Failed to get torrent files');
+    }
+  }
+
   /**
    * POST /api/v2/torrents/add
    */
@@ -417,7 +736,12 @@ class QBittorrentHandler {
         return response.badRequest(res, 'Missing urls parameter');
       }
 
-      const amuleClient = this.getAmuleClient?.();
+      // Auto mode: the download target policy picks the instance
+      const primaryInstanceId = this.getAmuleInstanceId?.();
+      const targetManager = this.isAutoTarget() ? await this.selectAmuleTarget?.(category || null) : null;
+      const isPrimary = !targetManager || targetManager.instanceId === primaryInstanceId;
+      const amuleClient = isPrimary ? this.getAmuleClient?.() : targetManager.getClient();
+      const instanceId = isPrimary ? primaryInstanceId : targetManager.instanceId;
       if (!amuleClient) {
         return response.serviceUnavailable(res, 'aMule not connected');
       }
@@ -431,7 +755,13 @@ class QBittorrentHandler {
 
       // Get category ID
       let categoryId = 0;
-      if (category) {
+      if (category && !isPrimary) {
+        try {
+          categoryId = (await targetManager.ensureAmuleCategoryId(category)) ?? 0;
+        } catch (error) {
+          logger.log(`[qBittorrent] Category "${category}" not found on ${instanceId}, using default`);
+        }
+      } else if (category) {
         const categoryObj = await this.getCategoryByName(category);
         if (categoryObj) {
           categoryId = categoryObj.id;
@@ -460,7 +790,6 @@ class QBittorrentHandler {
 
             // Record ownership for the authenticated API user
             if (req.apiUser?.id && this.userManager) {
-              const instanceId = this.getAmuleInstanceId?.();
               if (instanceId) {
                 this.userManager.recordOwnership(itemKey(instanceId, ed2kHash), req.apiUser.id);
               }
@@ -512,7 +841,8 @@ class QBittorrentHandler {
           const finalHash = ed2kHash || hash;
 
           logger.log('[qBittorrent] Deleting hash:', finalHash);
-          await amuleClient.cancelDownload(finalHash);
+          const manager = this.getOtherInstanceManager(finalHash);
+          await (manager ? manager.getClient() : amuleClient).cancelDownload(finalHash);
 
           if (ed2kHash) {
             this.hashStore.removeMapping(ed2kHash);
@@ -546,6 +876,100 @@ class QBittorrentHandler {
     logger.warn('[qBittorrent] Resume not implemented');
     res.send('Ok.');
   }
+
+  /**
+   * POST /api/v2/torrents/topPrio
+   * aMule has no download queue order, accepted so "First" priority settings don't fail
+   */
+  topPrio(req, res) {
+    logger.log('[qBittorrent] Queue priority not supported by aMule, ignoring topPrio');
+    res.send('Ok.');
+  }
+
+  /**
+   * POST /api/v2/torrents/setShareLimits
+   * aMule has no ratio or seeding time limits, accepted and ignored
+   */
+  setShareLimits(req, res) {
+    logger.log('[qBittorrent] Share limits not supported by aMule, ignoring setShareLimits');
+    res.send('Ok.');
+  }
+
+  // ============================================================================
+  // SYNC & TRANSFER
+  // ============================================================================
+
+  /**
+   * Global transfer info from the cached downloads
+   * @returns {Object} qBittorrent transfer info
+   */
+  getTransferInfoData() {
+    const downloads = this.getCachedDownloads();
+    const sum = (field) => downloads.reduce((total, d) => total + (Number(d[field]) || 0), 0);
+
+    return {
+      connection_status: this.getAmuleClient?.() ? 'connected' : 'disconnected',
+      dht_nodes: 0,
+      dl_info_data: sum('fileSizeDownloaded'),
+      dl_info_speed: sum('speed'),
+      dl_rate_limit: 0,
+      up_info_data: sum('uploadTotal'),
+      up_info_speed: sum('uploadSpeed'),
+      up_rate_limit: 0
+    };
+  }
+
+  /**
+   * GET /api/v2/transfer/info
+   */
+  getTransferInfo(req, res) {
+    try {
+      res.json(this.getTransferInfoData());
+    } catch (error) {
+      logger.error('[qBittorrent] Get transfer info error:', error);
+      return response.serverError(res, 'Failed to get transfer info');
+    }
+  }
+
+  /**
+   * GET /api/v2/sync/maindata
+   * Always answers with a full update (clients replace their state)
+   */
+  async getMainData(req, res) {
+    try {
+      const rid = (parseInt(req.query.rid, 10) || 0) + 1;
+
+      await this.syncCategories();
+
+      const torrents = {};
+      for (const torrent of await this.getQBittorrentTorrents()) {
+        torrents[torrent.hash] = torrent;
+      }
+
+      const categories = {};
+      this.categoriesCache.forEach(cat => {
+        categories[cat.title] = { name: cat.title, savePath: cat.path };
+      });
+
+      res.json({
+        rid,
+        full_update: true,
+        torrents,
+        categories,
+        tags: [],
+        trackers: {},
+        server_state: {
+          ...this.getTransferInfoData(),
+          queueing: preferences.queueing_enabled,
+          refresh_interval: 1500,
+          use_alt_speed_limits: false
+        }
+      });
+    } catch (error) {
+      logger.error('[qBittorrent] Get main data error:', error);
+      return response.serverError(res, 'Failed to get main data');
+    }
+  }
 }
 
 module.exports = QBittorrentHandler;
@@ -0,0 +1,299 @@
+/**
+ * RssDB - SQLite database for RSS feeds and the items they matched
+ *
+ * Feeds hold their poll interval, filters and add target.
+ * Items are only stored once a feed's filters matched them (added, failed or
+ * skipped as a duplicate episode), so restarts never re-download a GUID.
+ * Items that didn't match are re-evaluated on every poll, which lets a filter
+ * change pick up entries that are still in the feed.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const logger = require('../logger');
+
+// Item status values:
+// - added: sent to the target client
+// - failed: matched but the add failed (retried on the next poll)
+// - duplicate: matched but the episode was already added from this feed
+
+class RssDB {
+  constructor(dbPath) {
+    try {
+      // Ensure database directory exists
+      const dbDir = path.dirname(dbPath);
+      if (!fs.existsSync(dbDir)) {
+        logger.log(`Creating database directory: ${dbDir}`);
+        fs.mkdirSync(dbDir, { recursive: true });
+      }
+
+      // Verify directory is writable
+      fs.accessSync(dbDir, fs.constants.W_OK);
+
+      // Create database
+      this.db = new Database(dbPath, { fileMustExist: false });
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+      this.initSchema();
+
+      logger.log(`📦 RSS database initialized: ${dbPath}`);
+    } catch (error) {
+      logger.error(`Failed to initialize RSS database at ${dbPath}:`, error);
+      throw new Error(`RSS DB initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Initialize database schema
+   */
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rss_feeds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        interval_minutes INTEGER NOT NULL DEFAULT 15,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        include_pattern TEXT,
+        exclude_pattern TEXT,
+        dedupe_episodes INTEGER NOT NULL DEFAULT 0,
+        category TEXT,
+        instance_id TEXT,
+        last_checked_at TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS rss_items (
+        feed_id INTEGER NOT NULL REFERENCES rss_feeds(id) ON DELETE CASCADE,
+        guid TEXT NOT NULL,
+        title TEXT NOT NULL,
+        link TEXT,
+        episode_key TEXT,
+        status TEXT NOT NULL,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        seen_at TEXT NOT NULL,
+        PRIMARY KEY (feed_id, guid)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_rss_items_episode ON rss_items(feed_id, episode_key);
+      CREATE INDEX IF NOT EXISTS idx_rss_items_seen ON rss_items(seen_at);
+    `);
+
+    // Failed add attempts, counted so dead links are given up on
+    const columns = this.db.prepare('PRAGMA table_info(rss_items)').all();
+    if (!columns.some(col => col.name === 'attempts')) {
+      this.db.exec('ALTER TABLE rss_items ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0');
+    }
+  }
+
+  // ==========================================================================
+  // FEEDS
+  // ==========================================================================
+
+  /**
+   * Get all feeds
+   * @returns {Array} Feeds (camelCase)
+   */
+  getFeeds() {
+    return this.db.prepare('SELECT * FROM rss_feeds ORDER BY name COLLATE NOCASE').all().map(toFeed);
+  }
+
+  /**
+   * Get a feed by id
+   * @param {number} id - Feed id
+   * @returns {Object|null} Feed or null
+   */
+  getFeed(id) {
+    const row = this.db.prepare('SELECT * FROM rss_feeds WHERE id = ?').get(id);
+    return row ? toFeed(row) : null;
+  }
+
+  /**
+   * Create a feed
+   * @param {Object} feed - Normalized feed fields
+   * @returns {Object} Created feed
+   */
+  createFeed(feed) {
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      INSERT INTO rss_feeds (
+        name, url, interval_minutes, enabled, include_pattern, exclude_pattern,
+        dedupe_episodes, category, instance_id, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      feed.name,
+      feed.url,
+      feed.intervalMinutes,
+      feed.enabled ? 1 : 0,
+      feed.includePattern,
+      feed.excludePattern,
+      feed.dedupeEpisodes ? 1 : 0,
+      feed.category,
+      feed.instanceId,
+      now,
+      now
+    );
+    return this.getFeed(result.lastInsertRowid);
+  }
+
+  /**
+   * Update a feed
+   * @param {number} id - Feed id
+   * @param {Object} feed - Normalized feed fields
+   * @returns {Object|null} Updated feed or null if not found
+   */
+  updateFeed(id, feed) {
+    const result = this.db.prepare(`
+      UPDATE rss_feeds SET
+        name = ?, url = ?, interval_minutes = ?, enabled = ?, include_pattern = ?,
+        exclude_pattern = ?, dedupe_episodes = ?, category = ?, instance_id = ?, updated_at = ?
+      WHERE id = ?
+    `).run(
+      feed.name,
+      feed.url,
+      feed.intervalMinutes,
+      feed.enabled ? 1 : 0,
+      feed.includePattern,
+      feed.excludePattern,
+      feed.dedupeEpisodes ? 1 : 0,
+      feed.category,
+      feed.instanceId,
+      new Date().toISOString(),
+      id
+    );
+    return result.changes > 0 ? this.getFeed(id) : null;
+  }
+
+  /**
+   * Delete a feed and its items
+   * @param {number} id - Feed id
+   * @returns {boolean} True if a feed was deleted
+   */
+  deleteFeed(id) {
+    return this.db.prepare('DELETE FROM rss_feeds WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Record the outcome of a poll
+   * @param {number} id - Feed id
+   * @param {string|null} error - Error message, null on success
+   */
+  markChecked(id, error = null) {
+    this.db.prepare('UPDATE rss_feeds SET last_checked_at = ?, last_error = ? WHERE id = ?')
+      .run(new Date().toISOString(), error, id);
+  }
+
+  // ==========================================================================
+  // ITEMS
+  // ==========================================================================
+
+  /**
+   * Get the stored status of a feed item
+   * @param {number} feedId - Feed id
+   * @param {string} guid - Item GUID
+   * @returns {string|null} Status or null if the item was never matched
+   */
+  getItemStatus(feedId, guid) {
+    return this.getItemState(feedId, guid)?.status || null;
+  }
+
+  /**
+   * Get the stored status and failed add attempts of a feed item
+   * @param {number} feedId - Feed id
+   * @param {string} guid - Item GUID
+   * @returns {{status: string, attempts: number}|null} Null if the item was never matched
+   */
+  getItemState(feedId, guid) {
+    return this.db.prepare('SELECT status, attempts FROM rss_items WHERE feed_id = ? AND guid = ?').get(feedId, guid) || null;
+  }
+
+  /**
+   * Check whether an episode was already added from a feed
+   * @param {number} feedId - Feed id
+   * @param {string} episodeKey - Normalized episode key
+   * @returns {boolean}
+   */
+  hasEpisode(feedId, episodeKey) {
+    return !!this.db.prepare(
+      "SELECT 1 FROM rss_items WHERE feed_id = ? AND episode_key = ? AND status = 'added' LIMIT 1"
+    ).get(feedId, episodeKey);
+  }
+
+  /**
+   * Insert or update a matched item
+   * @param {number} feedId - Feed id
+   * @param {Object} item - { guid, title, link, episodeKey, status, error, attempts }
+   */
+  saveItem(feedId, { guid, title, link, episodeKey, status, error = null, attempts = 0 }) {
+    this.db.prepare(`
+      INSERT INTO rss_items (feed_id, guid, title, link, episode_key, status, error, attempts, seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(feed_id, guid) DO UPDATE SET
+        status = excluded.status, error = excluded.error, attempts = excluded.attempts, seen_at = excluded.seen_at
+    `).run(feedId, guid, title, link || null, episodeKey || null, status, error, attempts, new Date().toISOString());
+  }
+
+  /**
+   * Get the most recent matched items
+   * @param {Object} options - { feedId, limit }
+   * @returns {Array} Items (camelCase)
+   */
+  getItems({ feedId = null, limit = 100 } = {}) {
+    const rows = feedId
+      ? this.db.prepare('SELECT * FROM rss_items WHERE feed_id = ? ORDER BY seen_at DESC LIMIT ?').all(feedId, limit)
+      : this.db.prepare('SELECT * FROM rss_items ORDER BY seen_at DESC LIMIT ?').all(limit);
+    return rows.map(row => ({
+      feedId: row.feed_id,
+      guid: row.guid,
+      title: row.title,
+      link: row.link,
+      episodeKey: row.episode_key,
+      status: row.status,
+      error: row.error,
+      attempts: row.attempts,
+      seenAt: row.seen_at
+    }));
+  }
+
+  /**
+   * Delete old items. Feeds rarely keep entries this long, so an entry
+   * pruned here won't reappear and be added again.
+   * @param {number} maxAgeMs - Maximum item age (default 90 days)
+   * @returns {number} Number of rows deleted
+   */
+  cleanup(maxAgeMs = 90 * 24 * 60 * 60 * 1000) {
+    const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+    const result = this.db.prepare('DELETE FROM rss_items WHERE seen_at < ?').run(cutoff);
+
+    if (result.changes > 0) {
+      logger.log(`📦 Cleaned up ${result.changes} old RSS items`);
+    }
+
+    return result.changes;
+  }
+}
+
+function toFeed(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    intervalMinutes: row.interval_minutes,
+    enabled: row.enabled === 1,
+    includePattern: row.include_pattern,
+    excludePattern: row.exclude_pattern,
+    dedupeEpisodes: row.dedupe_episodes === 1,
+    category: row.category,
+    instanceId: row.instance_id,
+    lastCheckedAt: row.last_checked_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = RssDB;
@@ -0,0 +1,155 @@
+const { convert } = require('xmlbuilder2');
+
+/**
+ * RSS / Atom feed parsing and filter helpers for the RSS watcher
+ *
+ * Feeds are converted to plain objects with xmlbuilder2, where attributes are
+ * '@name' keys, text is '#' (or '$' for CDATA) and repeated elements are arrays.
+ */
+
+/**
+ * Wrap a value in an array (undefined → [])
+ */
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Extract the text content of a converted node
+ * @param {*} node - String, object with '#'/'$' keys, or array of those
+ * @returns {string} Trimmed text ('' if none)
+ */
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'string' || typeof node === 'number') return String(node).trim();
+  if (Array.isArray(node)) return node.map(text).join('').trim();
+  if (typeof node === 'object') {
+    if (node['#'] !== undefined) return text(node['#']);
+    if (node['$'] !== undefined) return text(node['$']);
+  }
+  return '';
+}
+
+/**
+ * Read an attribute from a converted node
+ */
+function attr(node, name) {
+  return node && typeof node === 'object' && !Array.isArray(node) ? (node[`@${name}`] || '') : '';
+}
+
+/**
+ * Pick the best download link of an RSS 2.0 item:
+ * enclosure, torrent:magnetURI, torznab magneturl attribute, then <link>
+ */
+function rssItemLink(item) {
+  for (const enclosure of asArray(item.enclosure)) {
+    const url = attr(enclosure, 'url');
+    if (url) return url;
+  }
+  const magnetUri = text(item['torrent:magnetURI']);
+  if (magnetUri) return magnetUri;
+  for (const torznabAttr of asArray(item['torznab:attr'])) {
+    if (attr(torznabAttr, 'name') === 'magneturl' && attr(torznabAttr, 'value')) {
+      return attr(torznabAttr, 'value');
+    }
+  }
+  return text(item.link);
+}
+
+/**
+ * Pick the best download link of an Atom entry: enclosure link, then the first href
+ */
+function atomEntryLink(entry) {
+  const links = asArray(entry.link);
+  const enclosure = links.find(link => attr(link, 'rel') === 'enclosure' && attr(link, 'href'));
+  if (enclosure) return attr(enclosure, 'href');
+  const first = links.find(link => attr(link, 'href'));
+  return first ? attr(first, 'href') : text(entry.link);
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document
+ * @param {string} xml - Feed document
+ * @returns {Array} [{ guid, title, link, publishedAt }] in feed order
+ * @throws {Error} If the document is not a recognised feed
+ */
+function parseFeed(xml) {
+  const doc = convert(xml, { format: 'object' });
+
+  let entries;
+  if (doc.rss) {
+    const channel = asArray(doc.rss.channel)[0] || {};
+    entries = asArray(channel.item).map(item => ({
+      guid: text(item.guid),
+      title: text(item.title),
+      link: rssItemLink(item),
+      publishedAt: text(item.pubDate) || null
+    }));
+  } else if (doc.feed) {
+    entries = asArray(doc.feed.entry).map(entry => ({
+      guid: text(entry.id),
+      title: text(entry.title),
+      link: atomEntryLink(entry),
+      publishedAt: text(entry.updated) || text(entry.published) || null
+    }));
+  } else {
+    throw new Error('Not an RSS or Atom feed');
+  }
+
+  return entries
+    .filter(entry => entry.title && entry.link)
+    .map(entry => ({ ...entry, guid: entry.guid || entry.link }));
+}
+
+/**
+ * Build an episode key from a release title, e.g. "Show.Name.S01E02.720p" → "show name s01e02".
+ * Used to skip other releases (quality, group) of an episode that was already added.
+ * @param {string} title - Release title
+ * @returns {string|null} Key, or null if the title has no recognisable episode number
+ */
+function episodeKey(title) {
+  const match = title.match(/^(.*?)[\s._-]+(?:s(\d{1,2})[\s._-]?e(\d{1,3})|(\d{1,2})x(\d{2}))(?!\d)/i);
+  if (!match) return null;
+
+  const show = match[1].replace(/[\s._-]+/g, ' ').trim().toLowerCase();
+  if (!show) return null;
+
+  const season = Number(match[2] || match[4]);
+  const episode = Number(match[3] || match[5]);
+  return `${show} s${String(season).padStart(2, '0')}e${String(episode).padStart(2, '0')}`;
+}
+
+/**
+ * Compile a case-insensitive filter pattern
+ * @param {string|null} pattern - Regular expression source
+ * @returns {RegExp|null} Compiled pattern, null if empty
+ * @throws {Error} If the pattern is invalid
+ */
+function compilePattern(pattern) {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw new Error(`Invalid pattern "${pattern}": ${err.message}`);
+  }
+}
+
+/**
+ * Build a title matcher from include/exclude patterns
+ * @param {string|null} includePattern - Titles must match (empty = everything)
+ * @param {string|null} excludePattern - Titles must not match
+ * @returns {function(string): boolean}
+ */
+function createMatcher(includePattern, excludePattern) {
+  const include = compilePattern(includePattern);
+  const exclude = compilePattern(excludePattern);
+  return (title) => (!include || include.test(title)) && (!exclude || !exclude.test(title));
+}
+
+module.exports = {
+  parseFeed,
+  episodeKey,
+  compilePattern,
+  createMatcher
+};
@@ -581,6 +581,34 @@ class RtorrentHandler {
     };
   }
 
+  /**
+   * Get global throttle limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async getGlobalThrottle() {
+    const results = await this.multicall([
+      { method: 'throttle.global_down.max_rate', params: [] },
+      { method: 'throttle.global_up.max_rate', params: [] }
+    ]);
+    return {
+      downloadLimit: parseInt(results[0], 10) || 0,
+      uploadLimit: parseInt(results[1], 10) || 0
+    };
+  }
+
+  /**
+   * Set global throttle limits (undefined fields are left unchanged)
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async setGlobalThrottle({ downloadLimit, uploadLimit } = {}) {
+    if (downloadLimit !== undefined) {
+      await this.call('throttle.global_down.max_rate.set', ['', downloadLimit]);
+    }
+    if (uploadLimit !== undefined) {
+      await this.call('throttle.global_up.max_rate.set', ['', uploadLimit]);
+    }
+  }
+
   /**
    * Get the default download directory configured in rTorrent
    * @returns {Promise<string>} Default directory path
@@ -595,6 +623,24 @@ class RtorrentHandler {
     }
   }
 
+  /**
+   * Get the paths of a download's .torrent: the session copy and the file it was loaded from
+   * @param {string} hash - Torrent info hash
+   * @returns {Promise<string[]>} Non-empty paths, session file first
+   */
+  async getTorrentFilePaths(hash) {
+    const paths = [];
+    for (const method of ['d.session_file', 'd.loaded_file']) {
+      try {
+        const result = await this.call(method, [hash]);
+        if (result) paths.push(result);
+      } catch (err) {
+        logger.warn(`Error in ${method}:`, err.message);
+      }
+    }
+    return paths;
+  }
+
   /**
    * Get files for a torrent
    * @param {string} hash - Torrent info hash
@@ -657,6 +703,72 @@ class RtorrentHandler {
     await this.call('d.stop', [hash]);
   }
 
+  /**
+   * Verify downloaded data against piece hashes
+   * @param {string} hash - Torrent info hash
+   */
+  async checkHash(hash) {
+    await this.call('d.check_hash', [hash]);
+  }
+
+  /**
+   * Announce to trackers now
+   * @param {string} hash - Torrent info hash
+   */
+  async trackerAnnounce(hash) {
+    await this.call('d.tracker_announce', [hash]);
+  }
+
+  /**
+   * Set the priority of files in a download, then apply it to the piece picker
+   * @param {string} hash - Torrent info hash
+   * @param {number[]} fileIndexes - File indexes (f.multicall order)
+   * @param {number} priority - 0 (off), 1 (normal) or 2 (high)
+   */
+  async setFilePriorities(hash, fileIndexes, priority) {
+    const results = await this.multicall([
+      ...fileIndexes.map(index => ({ method: 'f.priority.set', params: [`${hash}:f${index}`, priority] })),
+      { method: 'd.update_priorities', params: [hash] }
+    ]);
+    const failed = results.find(r => r && r.error);
+    if (failed) {
+      throw new Error(failed.error);
+    }
+  }
+
+  /**
+   * Get the raw tracker list of a download (index = position for t.* targets)
+   * @param {string} hash - Torrent info hash
+   * @returns {Promise<Array<{index: number, url: string, enabled: boolean}>>}
+   */
+  async getTrackerList(hash) {
+    const result = await this.call('t.multicall', [hash, '', 't.url=', 't.is_enabled=']);
+    return (Array.isArray(result) ? result : []).map(([url, enabled], index) => ({
+      index,
+      url: url || '',
+      enabled: !!enabled
+    }));
+  }
+
+  /**
+   * Append a tracker to a download
+   * @param {string} hash - Torrent info hash
+   * @param {string} url - Tracker announce URL
+   */
+  async insertTracker(hash, url) {
+    await this.call('d.tracker.insert', [hash, 0, url]);
+  }
+
+  /**
+   * Enable or disable a tracker (rTorrent can't delete trackers over XML-RPC)
+   * @param {string} hash - Torrent info hash
+   * @param {number} index - Tracker index from getTrackerList()
+   * @param {boolean} enabled - Desired state
+   */
+  async setTrackerEnabled(hash, index, enabled) {
+    await this.call('t.is_enabled.set', [`${hash}:t${index}`, enabled ? 1 : 0]);
+  }
+
   /**
    * Close/stop a download (fully closes the torrent)
    * @param {string} hash - Torrent info hash
@@ -0,0 +1,288 @@
+/**
+ * SabnzbdClient - HTTP API client for SABnzbd
+ *
+ * Every call is a GET on {base}/api with mode=<command>, the API key and
+ * output=json. NZB uploads are the only POST (multipart form). Errors come
+ * back as HTTP 200 with { status: false, error }.
+ */
+
+class SabnzbdClient {
+  constructor(options = {}) {
+    this.host = options.host || 'localhost';
+    this.port = options.port || 8080;
+    this.apiKey = options.apiKey || '';
+    this.useSsl = options.useSsl || false;
+    this.path = (options.path || '').replace(/\/+$/, '');
+
+    this.baseUrl = `${this.useSsl ? 'https' : 'http'}://${this.host}:${this.port}${this.path}`;
+    this.connected = false;
+    this._version = null;
+  }
+
+  // ============================================================================
+  // API TRANSPORT
+  // ============================================================================
+
+  /**
+   * Make an API call to SABnzbd.
+   * @param {string} mode - API mode (e.g. 'queue', 'history')
+   * @param {Object} params - Additional query parameters
+   * @param {Object} options - { timeout, form } — form (FormData) turns the call into a POST
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async _call(mode, params = {}, { timeout = 30000, form = null } = {}) {
+    const query = new URLSearchParams({ mode, output: 'json', apikey: this.apiKey });
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) query.append(key, String(value));
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/api?${query}`, {
+        method: form ? 'POST' : 'GET',
+        headers: { 'Accept': 'application/json' },
+        body: form || undefined,
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (err) {
+      if (err.name === 'AbortError' || err.name === 'TimeoutError' || err.message.includes('timeout')) {
+        throw new Error(`Connection timeout to ${this.host}:${this.port}`);
+      }
+      throw err;
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`Authentication failed for ${this.host}:${this.port}`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`HTTP ${response.status}: ${text}`);
+    }
+
+    const json = await response.json();
+
+    if (json && json.status === false) {
+      if (/api key/i.test(json.error || '')) {
+        throw new Error(`Authentication failed for ${this.host}:${this.port}: ${json.error}`);
+      }
+      throw new Error(`SABnzbd error in ${mode}: ${json.error || 'unknown error'}`);
+    }
+
+    return json;
+  }
+
+  // ============================================================================
+  // CONNECTION
+  // ============================================================================
+
+  /**
+   * Test connection to SABnzbd.
+   * The version call works without an API key, so the queue is read as well.
+   * @returns {Promise<{success: boolean, version?: string, error?: string}>}
+   */
+  async testConnection() {
+    try {
+      const { version } = await this._call('version');
+      await this._call('queue', { limit: 1 });
+      this._version = version || 'unknown';
+      this.connected = true;
+      return {
+        success: true,
+        version: this._version
+      };
+    } catch (err) {
+      this.connected = false;
+      return {
+        success: false,
+        error: err.cause ? `${err.message} (${err.cause.code || err.cause.message})` : (err.message || 'Connection failed')
+      };
+    }
+  }
+
+  /**
+   * Disconnect — clear local state (the API is stateless).
+   */
+  async disconnect() {
+    this.connected = false;
+    this._version = null;
+  }
+
+  /**
+   * Check if connected.
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  // ============================================================================
+  // DATA RETRIEVAL
+  // ============================================================================
+
+  /**
+   * Get the download queue.
+   * @returns {Promise<Object>} Queue object ({ slots, kbpersec, speedlimit_abs, paused, ... })
+   */
+  async getQueue() {
+    const { queue } = await this._call('queue');
+    return queue || { slots: [] };
+  }
+
+  /**
+   * Get the most recent history entries.
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} History slots
+   */
+  async getHistory(limit = 50) {
+    const { history } = await this._call('history', { limit });
+    return history?.slots || [];
+  }
+
+  /**
+   * Get download totals ({ total, month, week, day } in bytes).
+   * @returns {Promise<Object>}
+   */
+  async getServerStats() {
+    return await this._call('server_stats');
+  }
+
+  /**
+   * Get one section of the configuration.
+   * @param {string} section - e.g. 'misc', 'categories'
+   * @returns {Promise<*>} Section contents
+   */
+  async getConfig(section) {
+    const { config } = await this._call('get_config', { section });
+    return config?.[section];
+  }
+
+  /**
+   * Get the files of a queued job.
+   * @param {string} nzoId - Job ID
+   * @returns {Promise<Array>} Files ({ filename, bytes, bytes_left, ... })
+   */
+  async getFiles(nzoId) {
+    const { files } = await this._call('get_files', { value: nzoId });
+    return files || [];
+  }
+
+  // ============================================================================
+  // JOB CONTROL
+  // ============================================================================
+
+  /**
+   * Pause a queued job.
+   * @param {string} nzoId - Job ID
+   */
+  async pauseJob(nzoId) {
+    await this._call('queue', { name: 'pause', value: nzoId });
+  }
+
+  /**
+   * Resume a queued job.
+   * @param {string} nzoId - Job ID
+   */
+  async resumeJob(nzoId) {
+    await this._call('queue', { name: 'resume', value: nzoId });
+  }
+
+  /**
+   * Delete a queued job.
+   * @param {string} nzoId - Job ID
+   * @param {boolean} deleteFiles - Also delete the downloaded data
+   */
+  async deleteJob(nzoId, deleteFiles = false) {
+    await this._call('queue', { name: 'delete', value: nzoId, del_files: deleteFiles ? 1 : 0 });
+  }
+
+  /**
+   * Delete a history entry.
+   * @param {string} nzoId - Job ID
+   * @param {boolean} deleteFiles - Also delete the job's files
+   */
+  async deleteHistory(nzoId, deleteFiles = false) {
+    await this._call('history', { name: 'delete', value: nzoId, del_files: deleteFiles ? 1 : 0 });
+  }
+
+  /**
+   * Change the category of a queued job.
+   * @param {string} nzoId - Job ID
+   * @param {string} category - Category name ('*' = default)
+   */
+  async changeCategory(nzoId, category) {
+    await this._call('change_cat', { value: nzoId, value2: category });
+  }
+
+  // ============================================================================
+  // ADD JOBS
+  // ============================================================================
+
+  /**
+   * Upload an NZB file.
+   * @param {Buffer} nzbData - NZB file contents
+   * @param {Object} options - { filename, category, priority, paused }
+   * @returns {Promise<Array<string>>} IDs of the added jobs
+   */
+  async addFile(nzbData, { filename = 'upload.nzb', category, priority, paused } = {}) {
+    const form = new FormData();
+    form.append('name', new Blob([nzbData], { type: 'application/x-nzb' }), filename);
+    const result = await this._call('addfile', {
+      cat: category || undefined,
+      priority: paused ? -2 : priority,
+      nzbname: filename.replace(/\.nzb$/i, '')
+    }, { form, timeout: 60000 });
+    return result.nzo_ids || [];
+  }
+
+  /**
+   * Add an NZB by URL (SABnzbd fetches it).
+   * @param {string} url - NZB URL
+   * @param {Object} options - { category, priority, paused }
+   * @returns {Promise<Array<string>>} IDs of the added jobs
+   */
+  async addUrl(url, { category, priority, paused } = {}) {
+    const result = await this._call('addurl', {
+      name: url,
+      cat: category || undefined,
+      priority: paused ? -2 : priority
+    });
+    return result.nzo_ids || [];
+  }
+
+  // ============================================================================
+  // CATEGORIES
+  // ============================================================================
+
+  /**
+   * Create or update a category.
+   * @param {string} name - Category name
+   * @param {Object} settings - Category settings (e.g. { dir })
+   */
+  async setCategory(name, settings = {}) {
+    await this._call('set_config', { section: 'categories', keyword: name, ...settings });
+  }
+
+  /**
+   * Delete a category.
+   * @param {string} name - Category name
+   */
+  async deleteCategory(name) {
+    await this._call('del_config', { section: 'categories', keyword: name });
+  }
+
+  // ============================================================================
+  // SPEED LIMIT
+  // ============================================================================
+
+  /**
+   * Set the global download speed limit.
+   * @param {number} bytesPerSecond - Limit in bytes/s (0 = unlimited)
+   */
+  async setSpeedLimit(bytesPerSecond) {
+    const kb = Math.round(bytesPerSecond / 1024);
+    await this._call('config', { name: 'speedlimit', value: kb > 0 ? `${kb}K` : 0 });
+  }
+}
+
+module.exports = SabnzbdClient;
@@ -162,6 +162,99 @@ function parseTorrentBuffer(torrentData) {
   return { hash, name, size };
 }
 
+/**
+ * Decode one bencoded value at a position (strings stay Buffers)
+ * @param {Buffer} buf - Bencoded data
+ * @param {number} pos - Start offset
+ * @returns {Object} { value, end } (end = offset after the value)
+ */
+function bdecode(buf, pos = 0) {
+  const c = buf[pos];
+  if (c === 0x69) { // i<n>e
+    const end = buf.indexOf(0x65, pos);
+    return { value: parseInt(buf.toString('latin1', pos + 1, end), 10), end: end + 1 };
+  }
+  if (c === 0x6c) { // l...e
+    const list = [];
+    pos++;
+    while (buf[pos] !== 0x65) {
+      if (pos >= buf.length) throw new Error('Unterminated list');
+      const item = bdecode(buf, pos);
+      list.push(item.value);
+      pos = item.end;
+    }
+    return { value: list, end: pos + 1 };
+  }
+  if (c === 0x64) { // d...e — keys are strings, value spans kept for hashing
+    const dict = {};
+    const spans = {};
+    pos++;
+    while (buf[pos] !== 0x65) {
+      if (pos >= buf.length) throw new Error('Unterminated dictionary');
+      const key = bdecode(buf, pos);
+      const item = bdecode(buf, key.end);
+      const name = key.value.toString('latin1');
+      dict[name] = item.value;
+      spans[name] = [key.end, item.end];
+      pos = item.end;
+    }
+    Object.defineProperty(dict, '_spans', { value: spans });
+    return { value: dict, end: pos + 1 };
+  }
+  if (c >= 0x30 && c <= 0x39) { // <len>:<bytes>
+    const colon = buf.indexOf(0x3a, pos);
+    const len = parseInt(buf.toString('latin1', pos, colon), 10);
+    const start = colon + 1;
+    if (start + len > buf.length) throw new Error('String out of range');
+    return { value: buf.subarray(start, start + len), end: start + len };
+  }
+  throw new Error(`Invalid bencode at offset ${pos}`);
+}
+
+/**
+ * Parse a torrent file's info hash, name and file list
+ * Paths are relative to the torrent's root folder ('/'-joined); a single-file
+ * torrent lists itself under its name.
+ * @param {Buffer} torrentData - Raw torrent file data
+ * @returns {Object|null} { hash, name, size, multiFile, files: [{ path, size }] } or null if unreadable
+ */
+function parseTorrentFiles(torrentData) {
+  try {
+    const { value: torrent } = bdecode(torrentData);
+    const info = torrent?.info;
+    if (!info || !Buffer.isBuffer(info.name)) return null;
+
+    const [infoStart, infoEnd] = torrent._spans.info;
+    const hash = crypto.createHash('sha1').update(torrentData.subarray(infoStart, infoEnd)).digest('hex');
+    const text = (value) => Buffer.isBuffer(value) ? value.toString('utf8') : '';
+    const name = text(info['name.utf-8']) || text(info.name);
+
+    let files;
+    if (Array.isArray(info.files)) {
+      files = info.files
+        .map(f => ({
+          path: (f['path.utf-8'] || f.path || []).map(text).join('/'),
+          size: f.length || 0
+        }))
+        // BEP 47 padding files aren't on disk
+        .filter(f => !/(^|\/)\.pad\//.test(f.path));
+    } else {
+      files = [{ path: name, size: info.length || 0 }];
+    }
+
+    return {
+      hash,
+      name,
+      size: files.reduce((sum, f) => sum + f.size, 0),
+      multiFile: Array.isArray(info.files),
+      files
+    };
+  } catch (err) {
+    logger.warn('[torrentUtils] Failed to parse torrent file list:', err.message);
+    return null;
+  }
+}
+
 /**
  * Parse ed2k link to extract hash, filename, and size
  * @param {string} link - ed2k:// link
@@ -187,5 +280,6 @@ module.exports = {
   base32ToHex,
   parseMagnetUri,
   parseTorrentBuffer,
+  parseTorrentFiles,
   parseEd2kLink
 };
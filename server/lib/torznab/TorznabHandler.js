@@ -5,23 +5,32 @@
  * search requests to aMule ED2K network searches.
  *
  * Features:
- * - Rate limiting to avoid ED2K server flood protection
+ * - One indexer per aMule instance (/indexer/amule/:instanceId/api)
+ * - Rate limiting per instance to avoid ED2K server flood protection
  * - Result caching for Sonarr pagination support
  * - TV search format variations (S01E01, 1x01)
+ * - Category mappings to ED2K file types, title lookup for tvdbid/imdbid searches
  */
 
+const { create } = require('xmlbuilder2');
 const logger = require('../logger');
 const { generateCapabilities } = require('./capabilities');
 const { convertToTorznabFeed } = require('./search');
+const { resolveCategoryMappings } = require('./categories');
+
+const MAX_LIMIT = 100;
 
 class TorznabHandler {
   constructor() {
     // Dependencies
-    this.getAmuleClient = null;
+    this.getAmuleManager = null;
+    this.getCategoryMappings = null;
+    this.getIdSupport = null;
+    this.lookupTitle = null;
 
-    // Rate limiting state
+    // Rate limiting state (last search time per aMule instance)
     this.searchDelayMs = parseInt(process.env.ED2K_SEARCH_DELAY_MS || '10000', 10);
-    this.lastSearchTime = 0;
+    this.lastSearchTimes = new Map();
 
     // Cache state
     this.cacheTtlMs = parseInt(process.env.ED2K_CACHE_TTL_MS || '600000', 10);
@@ -33,17 +42,25 @@ class TorznabHandler {
 
   /**
    * Set dependencies
+   * @param {Object} deps
+   * @param {function} deps.getAmuleManager - (instanceId|null) => aMule manager, or null for an unknown instance
+   * @param {function} deps.getCategoryMappings - (instanceId) => [{ category, fileType, extension }]
+   * @param {function} deps.getIdSupport - () => { tvIds, movieIds } (Sonarr/Radarr available for title lookups)
+   * @param {function} deps.lookupTitle - ({ tvdbid, imdbid }) => Promise<string|null>
    */
-  setDependencies({ getAmuleClient }) {
-    this.getAmuleClient = getAmuleClient;
+  setDependencies({ getAmuleManager, getCategoryMappings, getIdSupport, lookupTitle }) {
+    this.getAmuleManager = getAmuleManager;
+    this.getCategoryMappings = getCategoryMappings;
+    this.getIdSupport = getIdSupport;
+    this.lookupTitle = lookupTitle;
   }
 
   // ============================================================================
   // CACHE MANAGEMENT
   // ============================================================================
 
-  getCacheKey(t, q, season, ep) {
-    const parts = [t, q || ''];
+  getCacheKey(instanceId, t, q, season, ep, extension) {
+    const parts = [instanceId, t, q || '', extension || ''];
     if (season) parts.push(season);
     if (ep) parts.push(ep);
     return parts.join(':');
@@ -125,9 +142,14 @@ class TorznabHandler {
   // RATE LIMITING
   // ============================================================================
 
-  async rateLimitedSearch(searchFn) {
+  /**
+   * Run a search, waiting for the search delay since the last search of the same instance
+   * @param {function} searchFn - Search to run
+   * @param {string} key - aMule instance id
+   */
+  async rateLimitedSearch(searchFn, key = 'default') {
     const now = Date.now();
-    const timeSinceLastSearch = now - this.lastSearchTime;
+    const timeSinceLastSearch = now - (this.lastSearchTimes.get(key) || 0);
 
     if (timeSinceLastSearch < this.searchDelayMs) {
       const waitTime = this.searchDelayMs - timeSinceLastSearch;
@@ -138,10 +160,39 @@ class TorznabHandler {
     try {
       return await searchFn();
     } finally {
-      this.lastSearchTime = Date.now();
+      this.lastSearchTimes.set(key, Date.now());
     }
   }
 
+  // ============================================================================
+  // RESPONSES
+  // ============================================================================
+
+  sendXml(res, xml, status = 200) {
+    res.set('Content-Type', 'application/xml');
+    return res.status(status).send(xml);
+  }
+
+  /**
+   * Send a Torznab error (e.g. 201 "Incorrect parameter")
+   */
+  sendError(res, status, code, description) {
+    const xml = create({ version: '1.0', encoding: 'UTF-8' })
+      .ele('error', { code: String(code), description })
+      .end({ prettyPrint: true });
+    return this.sendXml(res, xml, status);
+  }
+
+  /**
+   * Channel title and self path of the requested indexer
+   */
+  feedOptions(instanceId, manager) {
+    return {
+      title: instanceId ? `aMule ED2K Indexer (${manager?.displayName || instanceId})` : 'aMule ED2K Indexer',
+      selfPath: instanceId ? `/indexer/amule/${encodeURIComponent(instanceId)}/api` : '/indexer/amule/api'
+    };
+  }
+
   // ============================================================================
   // REQUEST HANDLER
   // ============================================================================
@@ -150,19 +201,28 @@ class TorznabHandler {
    * Main Torznab request handler
    */
   async handleRequest(req, res) {
-    const { t, q, limit = 100, offset = 0, cat = '' } = req.query;
+    const { t, q, cat = '' } = req.query;
+    const instanceId = req.params?.instanceId || null;
 
     try {
+      // Each aMule instance is its own indexer - unknown instances are an error
+      const manager = this.getAmuleManager?.(instanceId) || null;
+      if (instanceId && !manager) {
+        return this.sendError(res, 404, 201, `Unknown aMule instance "${instanceId}"`);
+      }
+
       // Capabilities endpoint
       if (t === 'caps') {
-        const xml = generateCapabilities();
-        res.set('Content-Type', 'application/xml');
-        return res.send(xml);
+        const xml = generateCapabilities({
+          title: this.feedOptions(instanceId, manager).title,
+          ...(this.getIdSupport?.() || {})
+        });
+        return this.sendXml(res, xml);
       }
 
       // Search endpoints
       if (t === 'search' || t === 'tvsearch' || t === 'movie') {
-        return await this.handleSearch(req, res);
+        return await this.handleSearch(req, res, manager, instanceId);
       }
 
       // Unknown function type
@@ -170,19 +230,22 @@ class TorznabHandler {
     } catch (error) {
       logger.error('[Torznab] Error:', error);
       const emptyFeed = convertToTorznabFeed([], q || '', cat || '');
-      res.set('Content-Type', 'application/xml');
-      res.status(500).send(emptyFeed);
+      this.sendXml(res, emptyFeed, 500);
     }
   }
 
   /**
    * Handle search requests (search, tvsearch, movie)
+   * @param {Object} manager - aMule manager of the indexer (null when none is available)
+   * @param {string|null} instanceId - Instance from the URL (null for the default indexer)
    */
-  async handleSearch(req, res) {
-    const { t, q, limit = 100, offset = 0, cat = '' } = req.query;
+  async handleSearch(req, res, manager, instanceId) {
+    const { t, limit = MAX_LIMIT, offset = 0, cat = '' } = req.query;
     const { season, ep, tvdbid, rid, imdbid } = req.query;
+    let { q } = req.query;
+    const feedOptions = this.feedOptions(instanceId, manager);
 
-    logger.log(`[Torznab] Search request: t=${t}, q=${q || '(empty)'}, season=${season || 'none'}, ep=${ep || 'none'}, offset=${offset}, limit=${limit}, cat=${cat || 'none'}`);
+    logger.log(`[Torznab] Search request${instanceId ? ` (${instanceId})` : ''}: t=${t}, q=${q || '(empty)'}, season=${season || 'none'}, ep=${ep || 'none'}, tvdbid=${tvdbid || 'none'}, imdbid=${imdbid || 'none'}, offset=${offset}, limit=${limit}, cat=${cat || 'none'}`);
 
     // Check if this is a real search or just validation
     const hasSearchParams = q || season || ep || tvdbid || rid || imdbid;
@@ -197,27 +260,38 @@ class TorznabHandler {
         sourceCount: 10,
         category: '5040'
       }];
-      const testFeed = convertToTorznabFeed(sampleResult, 'test', cat);
-      res.set('Content-Type', 'application/xml');
-      return res.send(testFeed);
+      const testFeed = convertToTorznabFeed(sampleResult, 'test', cat, feedOptions);
+      return this.sendXml(res, testFeed);
+    }
+
+    // ED2K needs query text - look up the title of tvdbid/imdbid searches in Sonarr/Radarr
+    if (!q && (tvdbid || imdbid) && this.lookupTitle) {
+      try {
+        q = await this.lookupTitle({ tvdbid, imdbid });
+        if (q) logger.log(`[Torznab] Resolved ${tvdbid ? `tvdbid ${tvdbid}` : `imdbid ${imdbid}`} to "${q}"`);
+      } catch (err) {
+        logger.warn(`[Torznab] Title lookup failed: ${err.message}`);
+      }
     }
 
     // Has params but no text query - can't search ED2K
     if (!q) {
       logger.log('[Torznab] Search has metadata params but no text query - cannot search ED2K without query text');
-      const emptyFeed = convertToTorznabFeed([], 'no-query', cat);
-      res.set('Content-Type', 'application/xml');
-      return res.send(emptyFeed);
+      const emptyFeed = convertToTorznabFeed([], 'no-query', cat, feedOptions);
+      return this.sendXml(res, emptyFeed);
     }
 
-    const amuleClient = this.getAmuleClient?.();
-    if (!amuleClient) {
+    if (!manager?.isConnected()) {
       logger.log('[Torznab] aMule not connected, returning empty feed');
-      const emptyFeed = convertToTorznabFeed([], q, cat);
-      res.set('Content-Type', 'application/xml');
-      return res.send(emptyFeed);
+      const emptyFeed = convertToTorznabFeed([], q, cat, feedOptions);
+      return this.sendXml(res, emptyFeed);
     }
 
+    // Category mappings of this indexer: file types to keep, and an extension aMule can filter on
+    const requestedCats = String(cat).split(',').map(c => c.trim()).filter(Boolean);
+    const mapping = resolveCategoryMappings(this.getCategoryMappings?.(manager.instanceId), requestedCats);
+    const extension = mapping?.extension || '';
+
     // Build search queries
     let searchQueries = [];
     let normalizedQuery = q;
@@ -231,7 +305,7 @@ class TorznabHandler {
     }
 
     // Create cache key
-    const cacheKey = this.getCacheKey(t, normalizedQuery, season, ep);
+    const cacheKey = this.getCacheKey(manager.instanceId, t, normalizedQuery, season, ep, extension);
 
     // Check cache
     let allResults = this.getCachedResults(cacheKey);
@@ -247,7 +321,8 @@ class TorznabHandler {
         logger.log(`[Torznab] Searching aMule for: "${searchQuery}"`);
 
         const result = await this.rateLimitedSearch(() =>
-          amuleClient.searchAndWaitResults(searchQuery, 'global', '')
+          manager.search(searchQuery, 'global', extension),
+          manager.instanceId
         );
 
         const resultCount = (result.results || []).length;
@@ -266,16 +341,18 @@ class TorznabHandler {
       this.setCachedResults(cacheKey, allResults);
     }
 
+    // Keep the file types mapped to the requested categories
+    const matchingResults = mapping ? mapping.filter(allResults) : allResults;
+
     // Apply pagination
-    const offsetNum = parseInt(offset, 10) || 0;
-    const limitNum = parseInt(limit, 10) || 100;
-    const paginatedResults = allResults.slice(offsetNum, offsetNum + limitNum);
+    const offsetNum = Math.max(parseInt(offset, 10) || 0, 0);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || MAX_LIMIT, 1), MAX_LIMIT);
+    const paginatedResults = matchingResults.slice(offsetNum, offsetNum + limitNum);
 
-    logger.log(`[Torznab] Returning ${paginatedResults.length} results (offset: ${offsetNum}, limit: ${limitNum}, total: ${allResults.length})`);
+    logger.log(`[Torznab] Returning ${paginatedResults.length} results (offset: ${offsetNum}, limit: ${limitNum}, total: ${matchingResults.length})`);
 
-    const xml = convertToTorznabFeed(paginatedResults, q, cat);
-    res.set('Content-Type', 'application/xml');
-    return res.send(xml);
+    const xml = convertToTorznabFeed(paginatedResults, q, cat, feedOptions);
+    return this.sendXml(res, xml);
   }
 }
 
@@ -6,14 +6,15 @@ const { create } = require('xmlbuilder2');
  * This endpoint declares what search types and categories the indexer supports.
  * Sonarr/Radarr query this to understand how to interact with the indexer.
  *
+ * @param {Object} options - { title, tvIds: tvdbid searches supported, movieIds: imdbid searches supported }
  * @returns {string} XML capabilities response
  */
-function generateCapabilities() {
+function generateCapabilities({ title = 'aMule ED2K Indexer', tvIds = false, movieIds = false } = {}) {
   const root = create({ version: '1.0', encoding: 'UTF-8' })
     .ele('caps')
       .ele('server')
         .att('version', '1.0')
-        .att('title', 'aMule ED2K Indexer')
+        .att('title', title)
       .up()
       .ele('limits')
         .att('max', '100')
@@ -26,11 +27,11 @@ function generateCapabilities() {
         .up()
         .ele('tv-search')
           .att('available', 'yes')
-          .att('supportedParams', 'q,season,ep')
+          .att('supportedParams', tvIds ? 'q,season,ep,tvdbid' : 'q,season,ep')
         .up()
         .ele('movie-search')
           .att('available', 'yes')
-          .att('supportedParams', 'q')
+          .att('supportedParams', movieIds ? 'q,imdbid' : 'q')
         .up()
       .up()
       .ele('categories')
@@ -0,0 +1,114 @@
+/**
+ * Torznab category mappings
+ *
+ * aMule has no categories, so each aMule indexer can map Torznab categories
+ * to ED2K file types and extensions (e.g. TV/Anime → video, mkv). A search
+ * for mapped categories only returns files of those types, tagged with the
+ * matching categories.
+ */
+
+/**
+ * ED2K file types by extension (same groups as aMule's search file types)
+ */
+const ED2K_FILE_TYPES = {
+  video: ['avi', 'mkv', 'mp4', 'm4v', 'mov', 'wmv', 'mpg', 'mpeg', 'ts', 'webm', 'flv', 'ogm', 'divx', 'vob'],
+  audio: ['mp3', 'flac', 'ogg', 'm4a', 'aac', 'wav', 'wma', 'ape', 'opus', 'alac'],
+  archive: ['zip', 'rar', '7z', 'tar', 'gz', 'bz2', 'xz', 'tgz'],
+  cdimage: ['iso', 'img', 'bin', 'cue', 'nrg', 'mdf', 'mds', 'dmg'],
+  document: ['pdf', 'epub', 'mobi', 'azw3', 'djvu', 'cbr', 'cbz', 'doc', 'docx', 'txt', 'chm'],
+  picture: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'tif', 'tiff'],
+  program: ['exe', 'msi', 'apk', 'deb', 'rpm', 'appimage', 'jar']
+};
+
+/**
+ * Lowercase extension of a file name
+ * @param {string} fileName - File name
+ * @returns {string} Extension without dot, or ''
+ */
+function getExtension(fileName) {
+  const match = /\.([a-z0-9]{1,10})$/i.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Parent category of a Torznab category (5070 → 5000)
+ * @param {string} cat - Category id
+ * @returns {string}
+ */
+function parentCategory(cat) {
+  return `${String(cat).charAt(0)}000`;
+}
+
+/**
+ * Validate category mappings of one indexer
+ * @param {Array} mappings - [{ category, fileType, extension }]
+ * @returns {Array<string>} Error messages
+ */
+function validateCategoryMappings(mappings) {
+  if (!Array.isArray(mappings)) return ['Torznab category mappings must be a list'];
+  const errors = [];
+  mappings.forEach((m, i) => {
+    if (!/^\d{4,6}$/.test(String(m?.category || ''))) {
+      errors.push(`Torznab mapping ${i + 1}: invalid category "${m?.category}"`);
+    }
+    if (m?.fileType && !ED2K_FILE_TYPES[m.fileType]) {
+      errors.push(`Torznab mapping ${i + 1}: unknown file type "${m.fileType}"`);
+    }
+    if (m?.extension && !/^[a-z0-9]{1,10}$/i.test(m.extension)) {
+      errors.push(`Torznab mapping ${i + 1}: invalid extension "${m.extension}"`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Resolve the mappings that apply to the requested categories
+ * @param {Array} mappings - Indexer mappings [{ category, fileType, extension }]
+ * @param {Array<string>} requestedCats - Requested category ids
+ * @returns {Object|null} { extension, filter(results) } or null when no mapping applies
+ */
+function resolveCategoryMappings(mappings, requestedCats) {
+  if (!Array.isArray(mappings) || mappings.length === 0 || requestedCats.length === 0) return null;
+
+  // A mapping applies to its own category, a parent category mapping also to its subcategories
+  const requested = new Set(requestedCats.flatMap(cat => [String(cat), parentCategory(cat)]));
+  const active = mappings.filter(m => requested.has(String(m.category)) && (
+    requestedCats.includes(String(m.category)) || String(m.category) === parentCategory(m.category)
+  ));
+  if (active.length === 0) return null;
+
+  // One extension for every mapping can be passed to aMule as search filter
+  const extensions = new Set(active.map(m => (m.extension || '').toLowerCase()));
+  const extension = extensions.size === 1 ? [...extensions][0] : '';
+
+  const matches = (m, ext) =>
+    (!m.fileType || ED2K_FILE_TYPES[m.fileType]?.includes(ext)) &&
+    (!m.extension || m.extension.toLowerCase() === ext);
+
+  return {
+    extension,
+    /**
+     * Keep the files matching a mapping, tagged with the categories of the mappings they match
+     * @param {Array} results - aMule search results
+     * @returns {Array} Results with `categories`
+     */
+    filter(results) {
+      return results.reduce((kept, file) => {
+        const ext = getExtension(file.fileName);
+        const cats = new Set();
+        active.filter(m => matches(m, ext)).forEach(m => {
+          cats.add(String(m.category));
+          cats.add(parentCategory(m.category));
+        });
+        if (cats.size > 0) kept.push({ ...file, categories: [...cats] });
+        return kept;
+      }, []);
+    }
+  };
+}
+
+module.exports = {
+  ED2K_FILE_TYPES,
+  validateCategoryMappings,
+  resolveCategoryMappings
+};
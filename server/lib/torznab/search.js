@@ -10,9 +10,10 @@ const { convertEd2kToMagnet } = require('../linkConverter');
  * @param {Array} amuleResults - Results from amule
  * @param {string} query - Original search query
  * @param {string} requestedCategories - Comma-separated category IDs from request
+ * @param {Object} options - { title: channel title, selfPath: indexer API path }
  * @returns {string} XML RSS feed
  */
-function convertToTorznabFeed(amuleResults, query, requestedCategories = '') {
+function convertToTorznabFeed(amuleResults, query, requestedCategories = '', { title = 'aMule ED2K Indexer', selfPath = '/indexer/amule/api' } = {}) {
   const root = create({ version: '1.0', encoding: 'UTF-8' });
   const rss = root.ele('rss', {
     version: '1.0',
@@ -21,12 +22,12 @@ function convertToTorznabFeed(amuleResults, query, requestedCategories = '') {
   });
 
   const channel = rss.ele('channel');
-  channel.ele('title').txt('aMule ED2K Indexer').up();
+  channel.ele('title').txt(title).up();
   channel.ele('description').txt('aMule ED2K/Kad Network Search Results').up();
   channel.ele('link').txt('http://localhost').up();
   channel.ele('language').txt('en-us').up();
   channel.ele('atom:link', {
-    href: 'http://localhost/indexer/amule/api',
+    href: `http://localhost${selfPath}`,
     rel: 'self',
     type: 'application/rss+xml'
   }).up();
@@ -75,7 +76,10 @@ function convertToTorznabFeed(amuleResults, query, requestedCategories = '') {
     const allMovieCategories = ['2000', '2010', '2020', '2030', '2040', '2045', '2050', '2060', '2070', '2080', '2090'];
     const allTVCategories = ['5000', '5010', '5020', '5030', '5040', '5045', '5050', '5060', '5070', '5080', '5090'];
 
-    if (requestedCats.length === 0) {
+    if (Array.isArray(result.categories)) {
+      // Categories assigned by the indexer's category mappings
+      result.categories.forEach(cat => categoriesToAdd.add(cat));
+    } else if (requestedCats.length === 0) {
       // No categories requested - return both TV and Movies with all subcategories
       allMovieCategories.forEach(cat => categoriesToAdd.add(cat));
       allTVCategories.forEach(cat => categoriesToAdd.add(cat));
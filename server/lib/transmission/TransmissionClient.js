@@ -16,7 +16,7 @@ const TORRENT_FIELDS = [
   'downloadDir', 'totalSize', 'sizeWhenDone', 'leftUntilDone',
   'downloadedEver', 'uploadedEver', 'rateDownload', 'rateUpload',
   'uploadRatio', 'percentDone', 'metadataPercentComplete', 'eta',
-  'activityDate', 'addedDate', 'doneDate', 'startDate',
+  'activityDate', 'addedDate', 'doneDate', 'startDate', 'secondsSeeding',
   'peersConnected', 'labels', 'isPrivate', 'isFinished', 'isStalled',
   'comment', 'creator', 'dateCreated', 'bandwidthPriority',
   'pieceCount', 'pieceSize', 'trackers', 'files', 'fileStats'
@@ -212,6 +212,14 @@ class TransmissionClient {
     return await this._call('session-get');
   }
 
+  /**
+   * Update session configuration (speed limits, alt-speed, etc.).
+   * @param {Object} settings - Session settings to apply
+   */
+  async setSession(settings) {
+    await this._call('session-set', settings);
+  }
+
   /**
    * Test if the peer port is reachable from the outside.
    * @returns {Promise<boolean>} True if port is open
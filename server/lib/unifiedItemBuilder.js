@@ -32,7 +32,8 @@ function resolveStatus(item) {
 
 function generateMagnetLink(item) {
   const hash = item.hash;
-  if (!hash) return null;
+  // Plain HTTP/FTP downloads (aria2) have no info hash
+  if (!hash || item.isTorrent === false) return null;
   const name = item.name;
   let link = `magnet:?xt=urn:btih:${hash}`;
   if (name) link += `&dn=${encodeURIComponent(name)}`;
@@ -186,6 +187,8 @@ function applyDownloadData(item, download) {
     item.downloadPriority = download.priority ?? item.downloadPriority;
     item.directory = download.directory || item.directory;
     item.multiFile = download.isMultiFile || item.multiFile;
+    item.sequentialDownload = download.sequentialDownload === true;
+    item.firstLastPiecePriority = download.firstLastPiecePriority === true;
 
     // Copy BitTorrent peers from peersDetailed (role-stamped in normalizer)
     if (download.peersDetailed) {
@@ -200,6 +203,26 @@ function applyDownloadData(item, download) {
     // Timestamps - use startedTime (when torrent was first started)
     // Treat 0 as null (0 = epoch time 1970, not a real timestamp)
     item.addedAt = download.startedTime && download.startedTime > 0 ? download.startedTime : null;
+    // Seeding-time rules prefer the client's own seeding time and fall back to the completion time
+    item.completedAt = download.finishedTime || null;
+    item.seedingTime = download.seedingTime ?? null;
+  } else if (clientMeta.isUsenet(download.clientType)) {
+    // Usenet clients (SABnzbd, NZBGet) — queue and recent history are the download
+    // list; finished jobs stay there until removed from the client's history
+    item.downloading = true;
+
+    const label = download.label || download.category;
+    item.category = label || 'Default';
+    item.message = download.message || item.message;
+
+    // Client-specific fields
+    item.downloadPriority = download.priority ?? item.downloadPriority;
+    item.directory = download.directory || item.directory;
+    item.multiFile = download.isMultiFile || item.multiFile;
+
+    // Timestamps
+    item.addedAt = download.startedTime || null;
+    item.completedAt = download.finishedTime || null;
   }
 
   // Copy embedded peers array (aMule download sources, or any client that embeds peers)
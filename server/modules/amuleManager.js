@@ -4,6 +4,7 @@
  */
 
 const QueuedAmuleClient = require('./queuedAmuleClient');
+const EcPreferencesClient = require('../lib/amule/EcPreferencesClient');
 const config = require('./config');
 const BaseClientManager = require('../lib/BaseClientManager');
 const logger = require('../lib/logger');
@@ -839,6 +840,54 @@ class AmuleManager extends BaseClientManager {
     return results;
   }
 
+  // ============================================================================
+  // SPEED LIMITS
+  // Global max download/upload rates from the EC connection preferences
+  // (kB/s, capped at 65535 by aMule). No per-file limits.
+  // ============================================================================
+
+  /**
+   * EC client for the preference requests (amule-ec-node has none)
+   * @returns {EcPreferencesClient}
+   */
+  _prefsClient() {
+    const { host, port, password } = this._clientConfig;
+    return new EcPreferencesClient({ host, port, password });
+  }
+
+  /**
+   * Get the global speed limits
+   * @param {Object} opts - { hash } — per-file limits are not supported
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async getSpeedLimits({ hash = null } = {}) {
+    if (!this.client) throw new Error('aMule not connected');
+    if (hash) throw new Error('aMule has no per-file speed limits');
+
+    const { maxDownload, maxUpload } = await this._prefsClient().getConnectionLimits();
+    return {
+      downloadLimit: maxDownload * 1024,
+      uploadLimit: maxUpload * 1024
+    };
+  }
+
+  /**
+   * Set the global speed limits (rounded up to whole kB/s)
+   * @param {Object} opts - { hash, downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } as applied
+   */
+  async setSpeedLimits({ hash = null, downloadLimit, uploadLimit } = {}) {
+    if (!this.client) throw new Error('aMule not connected');
+    if (hash) throw new Error('aMule has no per-file speed limits');
+
+    const toKB = (bytes) => bytes === undefined ? undefined : Math.min(65535, Math.ceil(bytes / 1024));
+    await this._prefsClient().setConnectionLimits({
+      maxDownload: toKB(downloadLimit),
+      maxUpload: toKB(uploadLimit)
+    });
+    return await this.getSpeedLimits();
+  }
+
   // ============================================================================
   // EC PROTOCOL WRAPPERS (thin pass-through to this.client)
   // ============================================================================
@@ -0,0 +1,45 @@
+/**
+ * aria2 API Module
+ * Handles aria2-specific API routes
+ */
+
+const BaseModule = require('../lib/BaseModule');
+const logger = require('../lib/logger');
+
+// Client registry - replaces direct singleton manager imports
+const registry = require('../lib/ClientRegistry');
+
+const log = logger.log.bind(logger);
+
+class Aria2API extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Register API routes
+   * @param {Express} app - Express application
+   */
+  registerRoutes(app) {
+    // Get files for a download
+    app.get('/api/aria2/files/:hash', async (req, res) => {
+      try {
+        const { hash } = req.params;
+        const { instanceId } = req.query;
+
+        const mgr = registry.get(instanceId);
+        if (!mgr) {
+          return res.status(503).json({ error: 'aria2 not connected' });
+        }
+
+        const files = await mgr.getFiles(hash);
+        res.json({ files });
+      } catch (err) {
+        log('Error fetching aria2 files:', err.message);
+        res.status(500).json({ error: err.message });
+      }
+    });
+  }
+}
+
+module.exports = new Aria2API();
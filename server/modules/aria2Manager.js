@@ -0,0 +1,875 @@
+/**
+ * aria2 Client Management Module
+ * Handles aria2 connection, reconnection, and data retrieval
+ *
+ * aria2 identifies jobs by GID. Torrents are exposed under their info hash
+ * (like every other BitTorrent client), plain HTTP/FTP downloads under their
+ * GID; the GID of each item is looked up from the last fetch.
+ */
+
+const path = require('path');
+const Aria2Client = require('../lib/aria2/Aria2Client');
+const BaseClientManager = require('../lib/BaseClientManager');
+const logger = require('../lib/logger');
+const { parseMagnetUri, parseTorrentBuffer } = require('../lib/torrentUtils');
+const { normalizeAria2Download } = require('../lib/downloadNormalizer');
+
+
+class Aria2Manager extends BaseClientManager {
+  constructor() {
+    super();
+    this.lastJobs = [];
+    this.cachedListenPort = 0;
+    this.cachedGlobalOption = null;
+    this._gidByHash = new Map();     // item hash → GID
+    this._overrides = new Map();     // item hash → { label, dir } set by this app
+    // aria2 only reports speeds; totals are accumulated from them
+    this._totals = { uploaded: 0, downloaded: 0, sampledAt: null };
+  }
+
+  /**
+   * Initialize aria2 client
+   * @returns {Promise<boolean>} True if connection successful
+   */
+  async initClient() {
+    // Prevent concurrent connection attempts
+    if (this.connectionInProgress) {
+      this.log('  aria2 connection attempt already in progress, skipping...');
+      return false;
+    }
+
+    // Check if aria2 is enabled and configured
+    if (!this._clientConfig || !this._clientConfig.enabled) {
+      this.log('  aria2 integration is disabled');
+      return false;
+    }
+
+    if (!this._clientConfig.host) {
+      this.log('  aria2 host not configured');
+      return false;
+    }
+
+    this.connectionInProgress = true;
+
+    try {
+      // Cleanup old client
+      if (this.client) {
+        this.log('Cleaning up old aria2 client...');
+        await this.client.disconnect();
+        this.client = null;
+      }
+
+      const mode = this._clientConfig.mode || 'http';
+      this.log(`Creating new aria2 client (${this._clientConfig.host}:${this._clientConfig.port}, ${mode})...`);
+
+      const newClient = new Aria2Client({
+        host: this._clientConfig.host,
+        port: this._clientConfig.port || 6800,
+        password: this._clientConfig.password || '',
+        useSsl: this._clientConfig.useSsl || false,
+        path: this._clientConfig.path || '/jsonrpc',
+        mode
+      });
+
+      // Test the connection
+      const testResult = await newClient.testConnection();
+
+      if (!testResult.success) {
+        throw new Error(testResult.error || 'Connection test failed');
+      }
+
+      this.client = newClient;
+      this._clearConnectionError();
+      this.log(`Connected to aria2 ${testResult.version} successfully`);
+
+      // Stop reconnection attempts
+      this.clearReconnect();
+
+      // Cache global options (for listen port, dir, etc.)
+      try {
+        this.cachedGlobalOption = await newClient.getGlobalOption();
+        this.cachedListenPort = parseInt(this.cachedGlobalOption['listen-port'], 10) || 0;
+      } catch (err) {
+        this.log('Could not fetch global options:', logger.errorDetail(err));
+      }
+
+      // Start tracker cache refresh
+      this.startTrackerRefresh();
+
+      // Notify connection listeners
+      this._onConnectCallbacks.forEach(cb => cb());
+
+      return true;
+    } catch (err) {
+      this.log('Failed to connect to aria2:', logger.errorDetail(err));
+      this._setConnectionError(err);
+      if (this.client) await this.client.disconnect();
+      this.client = null;
+      this.stopTrackerRefresh();
+      return false;
+    } finally {
+      this.connectionInProgress = false;
+    }
+  }
+
+  /**
+   * Start connection and auto-reconnect
+   */
+  async startConnection() {
+    if (!this._clientConfig || !this._clientConfig.enabled) {
+      this.log('aria2 integration is disabled, skipping connection');
+      return;
+    }
+
+    const connected = await this.initClient();
+    if (!connected) {
+      this.scheduleReconnect(30000);
+    }
+  }
+
+  /**
+   * Check if client is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return !!this.client && this.client.isConnected();
+  }
+
+  // ============================================================================
+  // DATA FETCHING
+  // ============================================================================
+
+  /**
+   * Get all visible jobs from aria2
+   * Removed jobs and finished magnet metadata jobs (replaced by the torrent
+   * they were followed by) are left out.
+   * @returns {Promise<Array>} Array of parsed aria2 status objects
+   */
+  async getJobs() {
+    if (!this.client) {
+      return [];
+    }
+
+    try {
+      const statuses = await this.client.getAllStatuses();
+      const jobs = statuses.filter(job =>
+        job.status !== 'removed' &&
+        !(job.status === 'complete' && Array.isArray(job.followedBy) && job.followedBy.length > 0)
+      );
+
+      // Map item hashes to GIDs for control calls
+      const gidByHash = new Map();
+      for (const job of jobs) {
+        job.hash = (job.infoHash || job.gid).toLowerCase();
+        gidByHash.set(job.hash, job.gid);
+
+        // Apply categories and directories set by this app
+        const override = this._overrides.get(job.hash);
+        if (override?.dir) job.dir = override.dir;
+        if (override?.label !== undefined) job.label = override.label;
+      }
+      this._gidByHash = gidByHash;
+
+      // Forget overrides of items that no longer exist
+      for (const hash of this._overrides.keys()) {
+        if (!gidByHash.has(hash)) this._overrides.delete(hash);
+      }
+
+      // Merge tracker and peer data from cache
+      this._mergeTrackerData(jobs);
+
+      this.lastJobs = jobs;
+      return jobs;
+    } catch (err) {
+      this.log('Error fetching aria2 downloads:', logger.errorDetail(err));
+      this._setConnectionError(err);
+      if (this.client) {
+        this.client.connected = false;
+      }
+      this.scheduleReconnect(30000);
+      return this.lastJobs; // Return cached data on error
+    }
+  }
+
+  /**
+   * Resolve the GID of an item
+   * @param {string} hash - Info hash (torrents) or GID (plain downloads)
+   * @returns {string} GID
+   */
+  _getGid(hash) {
+    const key = (hash || '').toLowerCase();
+    const gid = this._gidByHash.get(key);
+    if (gid) return gid;
+    // Plain downloads use their GID as hash
+    if (/^[0-9a-f]{16}$/.test(key)) return key;
+    throw new Error(`Download not found in aria2: ${hash}`);
+  }
+
+  /**
+   * Find the last fetched job of an item
+   * @param {string} hash - Item hash
+   * @returns {Object|null} Parsed aria2 status
+   */
+  _getJob(hash) {
+    const key = (hash || '').toLowerCase();
+    return this.lastJobs.find(job => job.hash === key) || null;
+  }
+
+  /**
+   * Return cached jobs for tracker refresh (only torrents have trackers and peers).
+   * @returns {Promise<Array>}
+   */
+  async _getItemsForTrackerRefresh() {
+    const jobs = this.lastJobs.length > 0 ? this.lastJobs : await this._fetchJobList();
+    return jobs.filter(job => job.infoHash);
+  }
+
+  /**
+   * Fetch raw job list (for tracker refresh when no cached data).
+   * @returns {Promise<Array>}
+   */
+  async _fetchJobList() {
+    try {
+      const statuses = await this.client.getAllStatuses(['gid', 'status', 'infoHash', 'bittorrent']);
+      return statuses
+        .filter(job => job.infoHash && job.status !== 'removed')
+        .map(job => ({ ...job, hash: job.infoHash.toLowerCase() }));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Fetch tracker and peer data for all torrents.
+   * Trackers come from the announce list; aria2 has no per-tracker status.
+   * @param {Array} items - Jobs with .hash (info hash) and .gid
+   * @returns {Promise<{ trackersByHash: Map, peersByHash: Map }>}
+   */
+  async _fetchTrackersAndPeers(items) {
+    const trackersByHash = new Map();
+    const peersByHash = new Map();
+
+    // Process in batches to avoid overwhelming the aria2 daemon
+    const BATCH_SIZE = 10;
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      const batch = items.slice(i, i + BATCH_SIZE);
+      await Promise.all(batch.map(async (item) => {
+        const hash = (item.hash || '').toLowerCase();
+        if (!hash) return;
+
+        try {
+          const job = item.gid ? item : this._getJob(hash);
+          const gid = job?.gid || this._getGid(hash);
+          const status = job?.status ? job : await this.client.tellStatus(gid, ['gid', 'status', 'bittorrent']);
+
+          // Trackers
+          const trackersDetailed = (status.bittorrent?.announceList || [])
+            .flatMap((tierUrls, tier) => tierUrls.filter(Boolean).map(url => ({ url, tier })));
+          trackersByHash.set(hash, {
+            trackers: trackersDetailed.map(t => t.url),
+            trackersDetailed
+          });
+
+          // Peers (only active jobs have any)
+          if (status.status !== 'active') {
+            peersByHash.set(hash, []);
+            return;
+          }
+          const rawPeers = await this.client.getPeers(gid);
+          peersByHash.set(hash, rawPeers.map(p => ({
+            address: p.ip || '',
+            port: parseInt(p.port, 10) || 0,
+            client: 'Unknown',
+            flags: `${p.amChoking === 'true' ? '' : 'U'}${p.peerChoking === 'true' ? '' : 'D'}${p.seeder === 'true' ? 'S' : ''}`,
+            completedPercent: 0,
+            downloadRate: parseInt(p.downloadSpeed, 10) || 0,
+            uploadRate: parseInt(p.uploadSpeed, 10) || 0,
+            downloadTotal: 0,
+            uploadTotal: 0,
+            isEncrypted: false,
+            isIncoming: false,
+            country: '',
+            countryCode: ''
+          })));
+        } catch {
+          // Individual torrent fetch failed, skip
+        }
+      }));
+    }
+    return { trackersByHash, peersByHash };
+  }
+
+  /**
+   * Get global stats from aria2
+   * @returns {Promise<Object>} { uploadSpeed, downloadSpeed, uploadTotal, downloadTotal, ... }
+   */
+  async getGlobalStats() {
+    if (!this.client) {
+      return { uploadSpeed: 0, downloadSpeed: 0, uploadTotal: 0, downloadTotal: 0 };
+    }
+
+    try {
+      const stat = await this.client.getGlobalStat();
+      this._accumulateTotals(stat.uploadSpeed, stat.downloadSpeed);
+
+      return {
+        uploadSpeed: stat.uploadSpeed || 0,
+        downloadSpeed: stat.downloadSpeed || 0,
+        uploadTotal: Math.round(this._totals.uploaded),
+        downloadTotal: Math.round(this._totals.downloaded),
+        activeTorrents: stat.numActive || 0,
+        totalTorrents: (stat.numActive || 0) + (stat.numWaiting || 0) + (stat.numStopped || 0),
+        listenPort: this.cachedListenPort
+      };
+    } catch (err) {
+      this.log('❌ Error fetching aria2 stats:', logger.errorDetail(err));
+      this._setConnectionError(err);
+      if (this.client) this.client.connected = false;
+      this.scheduleReconnect(30000);
+      return {
+        uploadSpeed: 0,
+        downloadSpeed: 0,
+        uploadTotal: Math.round(this._totals.uploaded),
+        downloadTotal: Math.round(this._totals.downloaded),
+        listenPort: this.cachedListenPort
+      };
+    }
+  }
+
+  /**
+   * Add the bytes transferred since the last sample (speed × elapsed time)
+   * @param {number} uploadSpeed - Current upload speed in bytes/s
+   * @param {number} downloadSpeed - Current download speed in bytes/s
+   */
+  _accumulateTotals(uploadSpeed, downloadSpeed) {
+    const now = Date.now();
+    if (this._totals.sampledAt) {
+      // Cap the interval so a stalled poll doesn't inflate the totals
+      const seconds = Math.min((now - this._totals.sampledAt) / 1000, 60);
+      this._totals.uploaded += (uploadSpeed || 0) * seconds;
+      this._totals.downloaded += (downloadSpeed || 0) * seconds;
+    }
+    this._totals.sampledAt = now;
+  }
+
+  // ============================================================================
+  // UNIFIED DATA FETCHING (same interface as all managers)
+  // ============================================================================
+
+  /**
+   * Fetch and normalize all data from aria2.
+   * @param {Array} categories - Unified categories (category is derived from the download directory)
+   * @returns {Promise<Object>} { downloads, sharedFiles }
+   */
+  async fetchData(categories) {
+    const rawJobs = await this.getJobs();
+
+    if (!rawJobs || rawJobs.length === 0) {
+      return { downloads: [], sharedFiles: [] };
+    }
+
+    // Normalize all jobs (peers already embedded with role: 'peer')
+    const downloads = rawJobs.map(job => normalizeAria2Download(job, categories));
+
+    // Stamp instanceId on all normalized items
+    const instanceId = this.instanceId;
+    downloads.forEach(d => { d.instanceId = instanceId; });
+
+    // Downloads ARE shared files (torrents seed, plain downloads stay listed when complete)
+    return { downloads, sharedFiles: downloads };
+  }
+
+  // ============================================================================
+  // UNIFIED STATS & NETWORK STATUS (same interface as all managers)
+  // ============================================================================
+
+  /**
+   * Get raw stats from aria2 (alias for getGlobalStats)
+   * @returns {Promise<Object>} Raw stats
+   */
+  async getStats() {
+    return await this.getGlobalStats();
+  }
+
+  /**
+   * Extract normalized metrics from raw aria2 stats
+   * @param {Object} rawStats - Raw stats (already normalized by getGlobalStats)
+   * @returns {Object} { uploadSpeed, downloadSpeed, uploadTotal, downloadTotal }
+   */
+  extractMetrics(rawStats) {
+    return {
+      uploadSpeed: rawStats.uploadSpeed || 0,
+      downloadSpeed: rawStats.downloadSpeed || 0,
+      uploadTotal: rawStats.uploadTotal || 0,
+      downloadTotal: rawStats.downloadTotal || 0
+    };
+  }
+
+  /**
+   * Compute network status from raw aria2 stats
+   * aria2 has no port test, so a reachable RPC interface counts as OK.
+   * @param {Object} rawStats - Raw stats (already normalized by getGlobalStats)
+   * @returns {Object} { status, text, connectionStatus, listenPort }
+   */
+  getNetworkStatus(rawStats) {
+    return {
+      status: 'green',
+      text: 'OK',
+      connectionStatus: 'connected',
+      listenPort: rawStats.listenPort || null
+    };
+  }
+
+  /**
+   * Extract normalized history metadata from a normalized aria2 download item
+   * @param {Object} item - Normalized aria2 download data
+   * @returns {Object} Normalized metadata for history DB
+   */
+  extractHistoryMetadata(item) {
+    return {
+      hash: item.hash?.toLowerCase(),
+      instanceId: item.instanceId,
+      size: item.size,
+      name: item.name,
+      downloaded: item.downloaded || 0,
+      uploaded: item.uploadTotal || 0,
+      ratio: item.ratio || 0,
+      trackerDomain: item.trackerDomain || null,
+      directory: item.directory || null,
+      multiFile: item.isMultiFile || false,
+      category: item.category || null
+    };
+  }
+
+  // ============================================================================
+  // UNIFIED DOWNLOAD CONTROL (same interface as all managers)
+  // ============================================================================
+
+  /**
+   * Pause a download (aria2: forcePause)
+   * Finished and failed jobs can't be paused and are left as they are.
+   * @param {string} hash - Info hash or GID
+   */
+  async pause(hash) {
+    if (!this.client) throw new Error('aria2 not connected');
+    const job = this._getJob(hash);
+    if (job && job.status !== 'active' && job.status !== 'waiting') return;
+    await this.client.pause(this._getGid(hash));
+  }
+
+  /**
+   * Resume a download
+   * Only paused jobs can be resumed; aria2 can't restart finished or failed jobs.
+   * @param {string} hash - Info hash or GID
+   */
+  async resume(hash) {
+    if (!this.client) throw new Error('aria2 not connected');
+    const job = this._getJob(hash);
+    if (job && (job.status === 'complete' || job.status === 'error')) {
+      throw new Error('aria2 cannot restart finished or failed downloads');
+    }
+    if (job && job.status !== 'paused') return;
+    await this.client.unpause(this._getGid(hash));
+  }
+
+  /**
+   * Hard stop a download (aria2: same as pause)
+   * @param {string} hash - Info hash or GID
+   */
+  async stop(hash) {
+    return await this.pause(hash);
+  }
+
+  /**
+   * Update client's view of the download directory after a move
+   * aria2 only accepts a new dir for waiting or paused jobs; for finished
+   * jobs the new directory is remembered instead.
+   * @param {string} hash - Info hash or GID
+   * @param {string} dir - New directory path
+   */
+  async updateDirectory(hash, dir) {
+    if (!this.client) throw new Error('aria2 not connected');
+    const gid = this._getGid(hash);
+    const { status } = await this.client.tellStatus(gid, ['status']);
+    if (status === 'waiting' || status === 'paused') {
+      await this.client.changeOption(gid, { dir });
+    }
+    this._setOverride(hash, { dir });
+  }
+
+  /**
+   * Remove a download from aria2 (stop it if running, then purge its result)
+   * @param {string} hash - Info hash or GID
+   */
+  async removeDownload(hash) {
+    if (!this.client) throw new Error('aria2 not connected');
+    const gid = this._getGid(hash);
+
+    const job = this._getJob(hash);
+    if (!job || ['active', 'waiting', 'paused'].includes(job.status)) {
+      try {
+        await this.client.forceRemove(gid);
+      } catch (err) {
+        // Already stopped — only the result is left to purge
+        this.log(`forceRemove failed for ${gid}: ${err.message}`);
+      }
+    }
+    try {
+      await this.client.removeDownloadResult(gid);
+    } catch (err) {
+      // forceRemove needs a moment before the result can be purged; the entry stays hidden as 'removed'
+      this.log(`removeDownloadResult failed for ${gid}: ${err.message}`);
+    }
+
+    this._gidByHash.delete((hash || '').toLowerCase());
+    this._overrides.delete((hash || '').toLowerCase());
+    this.trackDeletion(hash);
+  }
+
+  /**
+   * Get the paths of a download's data and its .aria2 control file
+   * @param {Object} job - Parsed aria2 status
+   * @returns {Array<string>} Paths to delete
+   */
+  _getDataPaths(job) {
+    const files = job.files || [];
+    let dataPath = null;
+    if (job.bittorrent?.mode === 'multi' && job.bittorrent.info?.name) {
+      dataPath = path.join(job.dir || '', job.bittorrent.info.name);
+    } else if (files[0]?.path) {
+      dataPath = files[0].path;
+    }
+    return dataPath ? [dataPath, `${dataPath}.aria2`] : [];
+  }
+
+  /**
+   * Delete an item (aria2 can't delete files — returns paths for the caller to delete)
+   * Gets path info before removal since the job is gone afterwards.
+   * @param {string} hash - Info hash or GID
+   * @param {Object} options - { deleteFiles }
+   * @returns {Promise<Object>} { success, pathsToDelete }
+   */
+  async deleteItem(hash, { deleteFiles } = {}) {
+    const pathsToDelete = [];
+    if (deleteFiles) {
+      try {
+        const job = await this.client.tellStatus(this._getGid(hash), ['gid', 'dir', 'files', 'bittorrent']);
+        pathsToDelete.push(...this._getDataPaths(job));
+      } catch (err) {
+        this.log(`⚠️  Failed to get path info for ${hash}: ${err.message}`);
+      }
+    }
+    await this.removeDownload(hash);
+    return { success: true, pathsToDelete };
+  }
+
+  // ============================================================================
+  // ADD DOWNLOADS
+  // ============================================================================
+
+  /**
+   * Build aria2-native options from unified format.
+   * Unified: { categoryName, savePath, priority, start, username }
+   * aria2: { dir, pause } (all option values are strings)
+   * aria2 has no labels; the category is derived from the directory.
+   */
+  _buildAddOptions(options) {
+    const rawLabel = options.categoryName ?? options.category ?? '';
+    const label = rawLabel === 'Default' ? '' : rawLabel;
+    const savePath = options.savePath ?? options.directory;
+    const addArgs = {};
+
+    if (savePath) {
+      addArgs.dir = savePath;
+    }
+    if (options.start === false) {
+      addArgs.pause = 'true';
+    }
+
+    return { addArgs, label };
+  }
+
+  /**
+   * Add a torrent from magnet link
+   * @param {string} magnetUri - Magnet URI
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   */
+  async addMagnet(magnetUri, options = {}) {
+    if (!this.client) throw new Error('aria2 not connected');
+
+    const { addArgs, label } = this._buildAddOptions(options);
+    await this.client.addUri([magnetUri], addArgs);
+
+    // Track in history
+    const parsed = parseMagnetUri(magnetUri);
+    if (parsed.hash) {
+      this.trackDownload(parsed.hash, parsed.name || 'Magnet download', null, options.username, label || null);
+    }
+  }
+
+  /**
+   * Add a plain HTTP/HTTPS/FTP download
+   * @param {string} url - Download URL
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @returns {Promise<string>} GID of the new job (used as its hash)
+   */
+  async addUrl(url, options = {}) {
+    if (!this.client) throw new Error('aria2 not connected');
+
+    const { addArgs, label } = this._buildAddOptions(options);
+    const gid = await this.client.addUri([url], addArgs);
+
+    // Track in history (name from the URL until aria2 knows the file name)
+    const lastSegment = url.split('?')[0].split('/').pop() || '';
+    let name;
+    try {
+      name = decodeURIComponent(lastSegment) || url;
+    } catch {
+      name = lastSegment || url;
+    }
+    this.trackDownload(gid, name, null, options.username, label || null);
+    return gid;
+  }
+
+  /**
+   * Add a torrent from raw data (Buffer)
+   * @param {Buffer} torrentData - Raw .torrent file contents
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   */
+  async addTorrentRaw(torrentData, options = {}) {
+    if (!this.client) throw new Error('aria2 not connected');
+
+    const { addArgs, label } = this._buildAddOptions(options);
+    await this.client.addTorrent(torrentData.toString('base64'), addArgs);
+
+    // Track in history
+    const parsed = parseTorrentBuffer(torrentData);
+    if (parsed.hash) {
+      this.trackDownload(parsed.hash, parsed.name || 'Torrent download', parsed.size, options.username, label || null);
+    }
+  }
+
+  // ============================================================================
+  // CATEGORY / LABEL MANAGEMENT
+  // aria2 has no labels — an item's category is the one whose path contains
+  // its download directory. Assigned categories and directories of moved
+  // finished jobs (which aria2 can't update) are kept in memory until restart.
+  // ============================================================================
+
+  /**
+   * Set category for a download (unified interface)
+   * The directory is left alone; moving the files is a separate step.
+   * @param {string} hash - Info hash or GID
+   * @param {Object} options - { categoryName }
+   * @returns {Promise<Object>} { success }
+   */
+  async setCategoryOrLabel(hash, { categoryName } = {}) {
+    if (!this.client) throw new Error('aria2 not connected');
+    this._getGid(hash); // throws for unknown items
+
+    const label = categoryName === 'Default' ? '' : (categoryName || '');
+    this._setOverride(hash, { label });
+    return { success: true };
+  }
+
+  /**
+   * Remember a category or directory for an item
+   * @param {string} hash - Info hash or GID
+   * @param {Object} values - { label } and/or { dir }
+   */
+  _setOverride(hash, values) {
+    const key = (hash || '').toLowerCase();
+    this._overrides.set(key, { ...this._overrides.get(key), ...values });
+  }
+
+  /**
+   * aria2 has no categories of its own
+   * @returns {Promise<Object>} Empty map
+   */
+  async getCategories() {
+    return {};
+  }
+
+  /**
+   * Ensure a category exists — no-op for aria2 (categories are directories).
+   * @param {Object} opts - { name }
+   * @returns {Promise<Object>} { success: true }
+   */
+  async ensureCategoryExists({ name } = {}) {
+    return { success: true };
+  }
+
+  /**
+   * Ensure multiple categories exist — no-op for aria2.
+   * @param {Array<Object>} categories - Array of { name }
+   * @returns {Promise<Array<Object>>} Empty array
+   */
+  async ensureCategoriesBatch(categories) {
+    return [];
+  }
+
+  // ============================================================================
+  // FILES
+  // ============================================================================
+
+  /**
+   * Get files for a download
+   * Paths are made relative to the download directory like other clients.
+   * @param {string} hash - Info hash or GID
+   * @returns {Promise<Array>} Array of file objects
+   */
+  async getFiles(hash) {
+    if (!this.client) throw new Error('aria2 not connected');
+
+    const gid = this._getGid(hash);
+    const [files, { dir }] = await Promise.all([
+      this.client.getFiles(gid),
+      this.client.tellStatus(gid, ['dir'])
+    ]);
+    const base = (dir || '').replace(/\/+$/, '');
+
+    return files.map(file => {
+      const fullPath = file.path || file.uris?.[0]?.uri || '';
+      return {
+        path: base && fullPath.startsWith(`${base}/`) ? fullPath.slice(base.length + 1) : fullPath,
+        size: file.length || 0,
+        progress: file.length > 0 ? parseFloat((file.completedLength / file.length * 100).toFixed(2)) : 0,
+        priority: file.selected ? 1 : 0,
+        index: file.index - 1
+      };
+    });
+  }
+
+  // ============================================================================
+  // SPEED LIMITS
+  // aria2 takes limits in bytes/s as strings, '0' = unlimited
+  // ============================================================================
+
+  /**
+   * Get global or per-download speed limits
+   * @param {Object} opts - { hash } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async getSpeedLimits({ hash = null } = {}) {
+    if (!this.client) throw new Error('aria2 not connected');
+
+    if (hash) {
+      const options = await this.client.getOption(this._getGid(hash));
+      return {
+        downloadLimit: parseInt(options['max-download-limit'], 10) || 0,
+        uploadLimit: parseInt(options['max-upload-limit'], 10) || 0
+      };
+    }
+
+    const options = await this.client.getGlobalOption();
+    return {
+      downloadLimit: parseInt(options['max-overall-download-limit'], 10) || 0,
+      uploadLimit: parseInt(options['max-overall-upload-limit'], 10) || 0
+    };
+  }
+
+  /**
+   * Set global or per-download speed limits
+   * @param {Object} opts - { hash, downloadLimit, uploadLimit } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } as applied
+   */
+  async setSpeedLimits({ hash = null, downloadLimit, uploadLimit } = {}) {
+    if (!this.client) throw new Error('aria2 not connected');
+
+    const toOption = (bytes) => String(Math.max(0, Math.round(bytes)));
+    const settings = {};
+    if (hash) {
+      if (downloadLimit !== undefined) settings['max-download-limit'] = toOption(downloadLimit);
+      if (uploadLimit !== undefined) settings['max-upload-limit'] = toOption(uploadLimit);
+      if (Object.keys(settings).length > 0) await this.client.changeOption(this._getGid(hash), settings);
+    } else {
+      if (downloadLimit !== undefined) settings['max-overall-download-limit'] = toOption(downloadLimit);
+      if (uploadLimit !== undefined) settings['max-overall-upload-limit'] = toOption(uploadLimit);
+      if (Object.keys(settings).length > 0) await this.client.changeGlobalOption(settings);
+    }
+    return await this.getSpeedLimits({ hash });
+  }
+
+  // ============================================================================
+  // SYNC
+  // ============================================================================
+
+  /**
+   * Register the default path when this aria2 instance connects.
+   * aria2 has no labels to import; app categories map to directories.
+   * @param {Object} categoryManager - CategoryManager instance
+   */
+  async onConnectSync(categoryManager) {
+    // Register default download path
+    const defaultDir = await this.getDefaultDirectory();
+    if (defaultDir) {
+      categoryManager.setClientDefaultPath(this.instanceId, defaultDir);
+    }
+
+    this.log('aria2 sync complete');
+
+    // Propagate all app categories to other connected clients
+    await categoryManager.propagateToOtherClients(this.instanceId);
+    await categoryManager.validateAllPaths();
+  }
+
+  // ============================================================================
+  // MISC
+  // ============================================================================
+
+  /**
+   * Get the default save path from aria2's global options.
+   * @returns {Promise<string|null>} Default save path or null
+   */
+  async getDefaultDirectory() {
+    if (!this.client) return null;
+
+    try {
+      // Use cached options if available
+      if (this.cachedGlobalOption && this.cachedGlobalOption.dir) {
+        return this.cachedGlobalOption.dir;
+      }
+      const options = await this.client.getGlobalOption();
+      this.cachedGlobalOption = options;
+      return options.dir || null;
+    } catch (err) {
+      this.log('Failed to get aria2 default directory:', logger.errorDetail(err));
+      return null;
+    }
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  async shutdown() {
+    this.log('Shutting down aria2 connection...');
+
+    // Stop tracker refresh
+    this.stopTrackerRefresh();
+
+    // Stop reconnection attempts
+    this.clearReconnect();
+
+    // Wait for any ongoing connection attempts
+    let waitAttempts = 0;
+    while (this.connectionInProgress && waitAttempts < 50) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      waitAttempts++;
+    }
+
+    // Disconnect client
+    if (this.client) {
+      try {
+        await this.client.disconnect();
+      } catch (err) {
+        this.log('Error during aria2 client shutdown:', logger.errorDetail(err));
+      }
+      this.client = null;
+    }
+
+    this.connectionInProgress = false;
+    this.log('aria2 connection shutdown complete');
+  }
+}
+
+module.exports = { Aria2Manager };
@@ -0,0 +1,131 @@
+/**
+ * Sonarr/Radarr API Module
+ * Provides REST endpoints for the Wanted view: missing and cutoff-unmet items
+ * of the configured Sonarr/Radarr and manual searches for them
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const arrManager = require('./arrManager');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+const SERVICES = ['sonarr', 'radarr'];
+const SEARCH_SOURCES = ['arr', 'ed2k'];
+
+class ArrAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Validate the :service and :id route params
+   * @returns {{service: string, id: number}|null} Null when a response was sent
+   */
+  _parseItemParams(req, res) {
+    const { service } = req.params;
+    const id = parseInt(req.params.id, 10);
+    if (!SERVICES.includes(service)) {
+      response.badRequest(res, `Unknown service: ${service}`);
+      return null;
+    }
+    if (!Number.isInteger(id) || id <= 0) {
+      response.badRequest(res, 'Invalid item ID');
+      return null;
+    }
+    if (!arrManager.isServiceConfigured(service)) {
+      response.badRequest(res, `${service} is not configured`);
+      return null;
+    }
+    return { service, id };
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/arr/wanted
+   * Wanted items of Sonarr and Radarr (a failing service reports its error, the other is still listed)
+   */
+  async getWanted(req, res) {
+    const services = {};
+    await Promise.all(SERVICES.map(async (service) => {
+      if (!arrManager.isServiceConfigured(service)) {
+        services[service] = { configured: false, items: [] };
+        return;
+      }
+      try {
+        services[service] = { configured: true, items: await arrManager.getWanted(service) };
+      } catch (err) {
+        this.log(`Error getting ${service} wanted list:`, err.message);
+        services[service] = { configured: true, items: [], error: err.message };
+      }
+    }));
+    res.json({ services });
+  }
+
+  /**
+   * POST /api/arr/wanted/:service/:id/search
+   * Ask Sonarr/Radarr to search one item
+   */
+  async searchItem(req, res) {
+    const params = this._parseItemParams(req, res);
+    if (!params) return;
+    try {
+      const searches = await arrManager.searchWantedItem(params.service, params.id);
+      res.json({ success: true, searches });
+    } catch (err) {
+      this.log(`Error searching ${params.service} item ${params.id}:`, err.message);
+      response.serverError(res, `Failed to start ${params.service} search: ${err.message}`);
+    }
+  }
+
+  /**
+   * POST /api/arr/wanted/:service/:id/searched
+   * Record a search run elsewhere for an item (the ED2K search runs over the WebSocket)
+   * Body: { source: 'ed2k' }
+   */
+  async recordSearch(req, res) {
+    const params = this._parseItemParams(req, res);
+    if (!params) return;
+    const source = req.body?.source;
+    if (!SEARCH_SOURCES.includes(source)) {
+      return response.badRequest(res, `source must be one of: ${SEARCH_SOURCES.join(', ')}`);
+    }
+    try {
+      const searches = await arrManager.recordItemSearch(params.service, params.id, source);
+      res.json({ success: true, searches });
+    } catch (err) {
+      this.log('Error recording search:', err.message);
+      response.serverError(res, 'Failed to record search');
+    }
+  }
+
+  /**
+   * Register all Sonarr/Radarr API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON
+    router.use(express.json());
+    router.use(requireAdmin);
+
+    // GET /api/arr/wanted - Missing and cutoff-unmet items
+    router.get('/wanted', this.getWanted.bind(this));
+
+    // POST /api/arr/wanted/:service/:id/search - Sonarr/Radarr search for one item
+    router.post('/wanted/:service/:id/search', this.searchItem.bind(this));
+
+    // POST /api/arr/wanted/:service/:id/searched - Record an ED2K search
+    router.post('/wanted/:service/:id/searched', this.recordSearch.bind(this));
+
+    // Mount router
+    app.use('/api/arr', router);
+
+    this.log('Sonarr/Radarr API routes registered');
+  }
+}
+
+module.exports = new ArrAPI();
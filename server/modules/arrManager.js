@@ -11,14 +11,25 @@ const { hoursToMs, minutesToMs, MS_PER_HOUR } = require('../lib/timeRange');
 
 // Client registry - replaces direct singleton manager imports
 const registry = require('../lib/ClientRegistry');
+const { isAutoInstance } = require('../lib/downloadTargets');
 
 // Debug mode - set to true to see detailed search decisions
 const DEBUG = true;
 
+// Sonarr/Radarr command that searches specific items
+const SEARCH_COMMANDS = {
+  sonarr: { command: 'EpisodeSearch', idKey: 'episodeIds' },
+  radarr: { command: 'MoviesSearch', idKey: 'movieIds' }
+};
+
+// Records fetched per wanted list (Sonarr's wanted/missing and wanted/cutoff)
+const WANTED_PAGE_SIZE = 250;
+
 class ArrManager extends BaseModule {
   constructor() {
     super();
     this.stateFilePath = path.join(config.getDataDir(), 'arr-state.json');
+    this.titleCache = new Map(); // "tvdb:<id>" / "tt<id>" → title (Torznab id searches)
   }
 
   // Read state from JSON file
@@ -30,7 +41,8 @@ class ArrManager extends BaseModule {
       // File doesn't exist or is invalid, return default state
       return {
         lastSonarrSearchCompleted: null,
-        lastRadarrSearchCompleted: null
+        lastRadarrSearchCompleted: null,
+        itemSearches: {}
       };
     }
   }
@@ -62,29 +74,13 @@ class ArrManager extends BaseModule {
    * @param {string} contentType - 'episode' or 'movie'
    */
   async searchContent(service, contentId, contentType) {
-    const config_map = {
-      sonarr: { url: config.SONARR_URL, apiKey: config.SONARR_API_KEY, command: 'EpisodeSearch', idKey: 'episodeIds' },
-      radarr: { url: config.RADARR_URL, apiKey: config.RADARR_API_KEY, command: 'MoviesSearch', idKey: 'movieIds' }
-    };
-
-    const cfg = config_map[service];
-    if (!cfg) {
+    if (!SEARCH_COMMANDS[service]) {
       this.log(`❌ Unknown service: ${service}`);
       return;
     }
 
     try {
-      const result = await this.fetchJson(`${cfg.url}/api/v3/command`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Api-Key': cfg.apiKey
-        },
-        body: JSON.stringify({
-          name: cfg.command,
-          [cfg.idKey]: [contentId]
-        })
-      });
+      const result = await this.postSearchCommand(service, contentId);
       this.log(`  🔍 ${contentType} search triggered (Command ID: ${result.id}), waiting for completion...`);
 
       await this.waitForCommandCompletion(service, result.id);
@@ -94,6 +90,28 @@ class ArrManager extends BaseModule {
     }
   }
 
+  /**
+   * Send the search command for one episode or movie (doesn't wait for it to finish)
+   * @param {string} service - 'sonarr' or 'radarr'
+   * @param {number} contentId - Episode or Movie ID
+   * @returns {Promise<Object>} Command resource (id, state)
+   */
+  async postSearchCommand(service, contentId) {
+    const { command, idKey } = SEARCH_COMMANDS[service];
+    const cfg = this.getServiceConfig(service);
+    return this.fetchJson(`${cfg.url}/api/v3/command`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Api-Key': cfg.apiKey
+      },
+      body: JSON.stringify({
+        name: command,
+        [idKey]: [contentId]
+      })
+    });
+  }
+
   // Search for a specific episode in Sonarr
   async searchEpisode(episodeId) {
     return this.searchContent('sonarr', episodeId, 'Episode');
@@ -223,7 +241,7 @@ class ArrManager extends BaseModule {
     const startTime = Date.now();
 
     const configuredId = config.getConfig()?.integrations?.amuleInstanceId;
-    const amuleMgr = configuredId
+    const amuleMgr = configuredId && !isAutoInstance(configuredId)
       ? registry.get(configuredId)
       : registry.getByType('amule').find(m => m.isConnected());
     if (!amuleMgr) {
@@ -252,7 +270,7 @@ class ArrManager extends BaseModule {
    */
   releaseSearchLock(service) {
     const configuredId = config.getConfig()?.integrations?.amuleInstanceId;
-    const amuleMgr = configuredId
+    const amuleMgr = configuredId && !isAutoInstance(configuredId)
       ? registry.get(configuredId)
       : registry.getByType('amule').find(m => m.isConnected());
     if (amuleMgr) amuleMgr.releaseSearchLock();
@@ -521,6 +539,193 @@ class ArrManager extends BaseModule {
     }
   }
 
+  /**
+   * Check whether a service has a URL and API key
+   * @param {string} service - 'sonarr' or 'radarr'
+   * @returns {boolean}
+   */
+  isServiceConfigured(service) {
+    const cfg = this.getServiceConfig(service);
+    return !!(cfg?.url && cfg?.apiKey);
+  }
+
+  /**
+   * Look up a series or movie title by its TVDB or IMDb id (for Torznab id searches)
+   * Uses the Sonarr/Radarr lookup endpoints, so titles not in the library are found too.
+   * @param {Object} ids - { tvdbid, imdbid }
+   * @returns {Promise<string|null>} Title, or null when not found or the service is not configured
+   */
+  async lookupTitle({ tvdbid, imdbid }) {
+    const service = tvdbid ? 'sonarr' : 'radarr';
+    if (!this.isServiceConfigured(service)) return null;
+
+    // Torznab sends IMDb ids without the "tt" prefix
+    const key = tvdbid ? `tvdb:${parseInt(tvdbid, 10)}` : `tt${String(imdbid).replace(/^tt/i, '').padStart(7, '0')}`;
+    if (this.titleCache.has(key)) return this.titleCache.get(key);
+
+    const cfg = this.getServiceConfig(service);
+    const endpoint = tvdbid
+      ? `series/lookup?term=${encodeURIComponent(key)}`
+      : `movie/lookup/imdb?imdbId=${encodeURIComponent(key)}`;
+    const data = await this.fetchJson(`${cfg.url}/api/v3/${endpoint}`, {
+      headers: { 'X-Api-Key': cfg.apiKey }
+    });
+
+    const item = Array.isArray(data) ? data[0] : data;
+    const title = item?.title || null;
+    this.titleCache.set(key, title);
+    return title;
+  }
+
+  /**
+   * Compare a file's quality with the cutoff of its quality profile
+   * @param {Object|null} fileObj - episodeFile / movieFile (null when there is no file)
+   * @param {Object} qualityProfile - Quality profile (may be undefined)
+   * @returns {{currentQuality: string|null, cutoffQuality: string|null, needsUpgrade: boolean}}
+   */
+  describeQuality(fileObj, qualityProfile) {
+    const currentQuality = fileObj?.quality?.quality?.name || null;
+    if (!qualityProfile) {
+      return { currentQuality, cutoffQuality: null, needsUpgrade: false };
+    }
+
+    const qualityRanking = this.buildQualityRanking(qualityProfile);
+    const cutoffQualityId = this.getCutoffQualityId(qualityProfile);
+    const cutoffQuality = qualityRanking.find(q => q.id === cutoffQualityId)?.name || null;
+    const needsUpgrade = !!(fileObj && cutoffQualityId) &&
+      this.needsQualityUpgrade(fileObj.quality?.quality?.id, cutoffQualityId, qualityRanking);
+    return { currentQuality, cutoffQuality, needsUpgrade };
+  }
+
+  /**
+   * Get the missing and cutoff-unmet items of a service for the Wanted view.
+   * Sonarr's wanted lists are used as-is; Radarr's movies are checked like the automatic search does.
+   * @param {string} service - 'sonarr' or 'radarr'
+   * @returns {Promise<Array>} Wanted items, most recent release first
+   */
+  async getWanted(service) {
+    const cfg = this.getServiceConfig(service);
+    const get = (endpoint) => this.fetchJson(`${cfg.url}/api/v3/${endpoint}`, {
+      headers: { 'X-Api-Key': cfg.apiKey }
+    });
+
+    const queueParam = service === 'sonarr' ? 'includeUnknownSeriesItems=false' : 'includeUnknownMovieItems=false';
+    const [qualityProfiles, queue, state] = await Promise.all([
+      get('qualityprofile'),
+      get(`queue?pageSize=1000&${queueParam}`),
+      this.readState()
+    ]);
+
+    const profilesMap = new Map(qualityProfiles.map(p => [p.id, p]));
+    const queueIdKey = service === 'sonarr' ? 'episodeId' : 'movieId';
+    const queuedIds = new Set((queue.records || []).map(r => r[queueIdKey]).filter(Boolean));
+    const searches = state.itemSearches || {};
+
+    const toWantedItem = ({ item, title, label, query, fileObj, qualityProfileId, reason }) => {
+      const { isReleased, releaseDate } = this.isContentReleased(item, service === 'sonarr' ? 'episode' : 'movie');
+      const own = searches[`${service}:${item.id}`] || {};
+      // Sonarr/Radarr also record searches of their own (automatic and RSS)
+      const arrSearches = [own.arr, item.lastSearchTime].filter(Boolean).sort();
+      return {
+        service,
+        id: item.id,
+        title,
+        label,
+        query,
+        reason,
+        ...this.describeQuality(fileObj, profilesMap.get(qualityProfileId)),
+        released: isReleased,
+        releaseDate: releaseDate || null,
+        queued: queuedIds.has(item.id),
+        lastSearch: arrSearches.length > 0 ? arrSearches[arrSearches.length - 1] : null,
+        lastEd2kSearch: own.ed2k || null
+      };
+    };
+
+    let wanted = [];
+    if (service === 'sonarr') {
+      const params = `page=1&pageSize=${WANTED_PAGE_SIZE}&sortKey=airDateUtc&sortDirection=descending&includeSeries=true&monitored=true`;
+      const [missing, cutoff] = await Promise.all([
+        get(`wanted/missing?${params}`),
+        get(`wanted/cutoff?${params}&includeEpisodeFile=true`)
+      ]);
+      const toEpisode = (reason) => (episode) => {
+        const label = `S${String(episode.seasonNumber).padStart(2, '0')}E${String(episode.episodeNumber).padStart(2, '0')}`;
+        const seriesTitle = episode.series?.title || episode.title;
+        return toWantedItem({
+          item: episode,
+          title: seriesTitle,
+          label: episode.title ? `${label} · ${episode.title}` : label,
+          query: `${seriesTitle} ${label}`,
+          fileObj: reason === 'upgrade' ? episode.episodeFile : null,
+          qualityProfileId: episode.series?.qualityProfileId,
+          reason
+        });
+      };
+      wanted = [
+        ...(missing.records || []).map(toEpisode('missing')),
+        ...(cutoff.records || []).map(toEpisode('upgrade'))
+      ];
+    } else {
+      const movies = await get('movie');
+      for (const movie of movies) {
+        if (!movie.monitored) continue;
+        const fileObj = movie.hasFile ? movie.movieFile : null;
+        const reason = !movie.hasFile
+          ? 'missing'
+          : (this.describeQuality(fileObj, profilesMap.get(movie.qualityProfileId)).needsUpgrade ? 'upgrade' : null);
+        if (!reason) continue;
+        wanted.push(toWantedItem({
+          item: movie,
+          title: movie.title,
+          label: movie.year ? String(movie.year) : '',
+          query: movie.year ? `${movie.title} ${movie.year}` : movie.title,
+          fileObj,
+          qualityProfileId: movie.qualityProfileId,
+          reason
+        }));
+      }
+    }
+
+    // Forget the search times of items that are no longer wanted
+    const wantedKeys = new Set(wanted.map(w => `${service}:${w.id}`));
+    const staleKeys = Object.keys(searches).filter(key => key.startsWith(`${service}:`) && !wantedKeys.has(key));
+    if (staleKeys.length > 0) {
+      staleKeys.forEach(key => delete searches[key]);
+      await this.writeState({ ...state, itemSearches: searches });
+    }
+
+    return wanted.sort((a, b) => (b.releaseDate || '').localeCompare(a.releaseDate || ''));
+  }
+
+  /**
+   * Remember when a wanted item was last searched
+   * @param {string} service - 'sonarr' or 'radarr'
+   * @param {number} contentId - Episode or Movie ID
+   * @param {string} source - 'arr' (Sonarr/Radarr search) or 'ed2k'
+   * @returns {Promise<Object>} { arr?, ed2k? } ISO timestamps of the item
+   */
+  async recordItemSearch(service, contentId, source) {
+    const state = await this.readState();
+    const key = `${service}:${contentId}`;
+    const itemSearches = state.itemSearches || {};
+    itemSearches[key] = { ...itemSearches[key], [source]: new Date().toISOString() };
+    await this.writeState({ ...state, itemSearches });
+    return itemSearches[key];
+  }
+
+  /**
+   * Ask Sonarr/Radarr to search one wanted item (manual search from the Wanted view)
+   * @param {string} service - 'sonarr' or 'radarr'
+   * @param {number} contentId - Episode or Movie ID
+   * @returns {Promise<Object>} { arr?, ed2k? } ISO timestamps of the item
+   */
+  async searchWantedItem(service, contentId) {
+    const result = await this.postSearchCommand(service, contentId);
+    this.log(`🔍 Manual ${service} search for item ${contentId} triggered (Command ID: ${result.id})`);
+    return this.recordItemSearch(service, contentId, 'arr');
+  }
+
   // Trigger Radarr to search for missing movies
   async triggerRadarrMissingSearch() {
     return this.triggerMissingSearch('radarr');
@@ -75,14 +75,14 @@ class AuthAPI extends BaseModule {
         const user = this.userManager.getUserByUsername(username);
 
         if (!user) {
-          authManager.recordFailedAttempt(clientIp);
+          authManager.recordFailedAttempt(clientIp, username);
           const newCount = authManager.getAttemptCount(clientIp);
           const retryDelay = authManager.getDelayForAttempts(newCount) / 1000;
           return response.error(res, 'Invalid username or password', 401, { retryDelay });
         }
 
         if (user.disabled) {
-          authManager.recordFailedAttempt(clientIp);
+          authManager.recordFailedAttempt(clientIp, username);
           const newCount = authManager.getAttemptCount(clientIp);
           const retryDelay = authManager.getDelayForAttempts(newCount) / 1000;
           return response.error(res, 'Invalid username or password', 401, { retryDelay });
@@ -90,7 +90,7 @@ class AuthAPI extends BaseModule {
 
         if (!user.password_hash) {
           // SSO-only user — cannot log in via form
-          authManager.recordFailedAttempt(clientIp);
+          authManager.recordFailedAttempt(clientIp, username);
           const newCount = authManager.getAttemptCount(clientIp);
           const retryDelay = authManager.getDelayForAttempts(newCount) / 1000;
           return response.error(res, 'Invalid username or password', 401, { retryDelay });
@@ -99,7 +99,7 @@ class AuthAPI extends BaseModule {
         const isValid = await authManager.verifyPassword(password, user.password_hash);
 
         if (!isValid) {
-          authManager.recordFailedAttempt(clientIp);
+          authManager.recordFailedAttempt(clientIp, username);
           const newCount = authManager.getAttemptCount(clientIp);
           const retryDelay = authManager.getDelayForAttempts(newCount) / 1000;
           return response.error(res, 'Invalid username or password', 401, { retryDelay });
@@ -7,6 +7,7 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const BaseModule = require('../lib/BaseModule');
 const config = require('./config');
+const eventScriptingManager = require('../lib/EventScriptingManager');
 const { verifyPassword: verifyPasswordUtil } = require('../lib/authUtils');
 const { minutesToMs } = require('../lib/timeRange');
 
@@ -172,9 +173,11 @@ class AuthManager extends BaseModule {
 
   /**
    * Record failed login attempt
+   * Emits loginFailed once the attempts from an IP reach the configured threshold
    * @param {string} ip - Client IP address
+   * @param {string} [username] - Username that was tried
    */
-  recordFailedAttempt(ip) {
+  recordFailedAttempt(ip, username = '') {
     const db = this.getSessionDB();
     const now = Date.now();
 
@@ -191,6 +194,7 @@ class AuthManager extends BaseModule {
         `);
         insertStmt.run(ip, 1, now, now, null);
         this.log(`⚠️  Failed login attempt from ${ip} (1 attempt)`);
+        this._emitLoginFailed(ip, username, 1, false);
       } else {
         // Increment attempt count
         const newCount = existing.count + 1;
@@ -210,12 +214,33 @@ class AuthManager extends BaseModule {
           WHERE ip = ?
         `);
         updateStmt.run(newCount, now, blockedUntil, ip);
+        this._emitLoginFailed(ip, username, newCount, !!blockedUntil);
       }
     } catch (err) {
       this.log('⚠️  Error recording failed attempt:', err.message);
     }
   }
 
+  /**
+   * Emit loginFailed when an IP's attempt count hits the threshold.
+   * Counts reset 15 minutes after the last attempt, so this fires at most once per window.
+   * @param {string} ip - Client IP address
+   * @param {string} username - Last username tried
+   * @param {number} count - Failed attempts so far
+   * @param {boolean} blocked - Whether the IP is now blocked
+   */
+  _emitLoginFailed(ip, username, count, blocked) {
+    const threshold = config.getConfig()?.eventMonitor?.failedLoginThreshold;
+    if (!(threshold > 0) || count !== threshold) return;
+
+    eventScriptingManager.emit('loginFailed', {
+      ip,
+      username: typeof username === 'string' ? username.slice(0, 100) : '',
+      attempts: count,
+      blocked
+    });
+  }
+
   /**
    * Record successful login (clear failed attempts)
    * @param {string} ip - Client IP address
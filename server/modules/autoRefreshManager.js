@@ -16,6 +16,7 @@ const DeltaEngine = require('../lib/DeltaEngine');
 const registry = require('../lib/ClientRegistry');
 const HealthTracker = require('../lib/HealthTracker');
 const eventScriptingManager = require('../lib/EventScriptingManager');
+const bandwidthScheduler = require('./bandwidthScheduler');
 const clientMeta = require('../lib/clientMeta');
 const { itemKey } = require('../lib/itemKey');
 
@@ -31,6 +32,7 @@ class AutoRefreshManager extends BaseModule {
     this._lastHistoryUpdate = 0; // Timestamp of last history update
     this._deltaEngine = new DeltaEngine();
     this._healthTracker = new HealthTracker();
+    this._latestStats = new Map(); // instanceId -> { metrics, networkStatus, updatedAt }
   }
 
   /**
@@ -42,6 +44,24 @@ class AutoRefreshManager extends BaseModule {
     return this._cachedBatchUpdate;
   }
 
+  /**
+   * Get the most recent stats of each instance (recorded every refresh cycle,
+   * even without WebSocket clients). Used by the OpenMetrics exporter.
+   * @returns {Map<string, Object>} instanceId -> { metrics, networkStatus, updatedAt }
+   */
+  getLatestInstanceStats() {
+    return this._latestStats;
+  }
+
+  /**
+   * Get the health tracker state of an instance
+   * @param {string} instanceId
+   * @returns {Object|null} { status, consecutiveFailures, lastTransitionTime } or null if untracked
+   */
+  getClientHealth(instanceId) {
+    return this._healthTracker.getState(instanceId);
+  }
+
   // Auto-refresh loop
   async autoRefreshLoop() {
     const connectedManagers = registry.getConnected();
@@ -75,6 +95,12 @@ class AutoRefreshManager extends BaseModule {
         }
       }
 
+      // Keep the latest stats per instance for the OpenMetrics exporter
+      const updatedAt = Date.now();
+      for (const { instanceId, manager, stats, metrics } of instanceStats) {
+        this._latestStats.set(instanceId, { metrics, networkStatus: manager.getNetworkStatus(stats), updatedAt });
+      }
+
       // Store per-instance metrics in database
       if (instanceStats.length > 0) {
         try {
@@ -152,6 +178,8 @@ class AutoRefreshManager extends BaseModule {
         };
       });
 
+      combinedStats.speedProfile = bandwidthScheduler.getStatus();
+
       try {
         combinedStats.diskSpace = await getDiskSpace(config.getDataDir());
       } catch (err) {
@@ -328,6 +356,7 @@ class AutoRefreshManager extends BaseModule {
     }
     this._deltaEngine.reset();
     this._healthTracker.reset();
+    this._latestStats.clear();
   }
 
   /**
@@ -0,0 +1,166 @@
+/**
+ * Backup API Module
+ * Provides REST endpoints to export a backup archive and to preview, stage
+ * and cancel a restore (applied on the next restart)
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const backupManager = require('../lib/BackupManager');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+// Uploaded archives can hold the metrics and history databases
+const MAX_ARCHIVE_SIZE = '512mb';
+
+/**
+ * Parse a comma-separated list of component keys
+ * @param {string|undefined} value - Query parameter
+ * @returns {string[]|null} Keys, or null when not given
+ * @throws {Error} On unknown keys
+ */
+function parseComponents(value) {
+  if (!value) return null;
+  const keys = String(value).split(',').map(k => k.trim()).filter(Boolean);
+  const unknown = keys.filter(k => !backupManager.COMPONENT_KEYS.includes(k));
+  if (unknown.length > 0) throw new Error(`Unknown components: ${unknown.join(', ')}`);
+  return keys;
+}
+
+class BackupAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/v1/backup
+   * Download a backup archive
+   * Query: redact=true (mask secrets, leave out sessions), exclude=metrics,history
+   */
+  async exportBackup(req, res) {
+    let exclude;
+    try {
+      exclude = parseComponents(req.query.exclude) || [];
+    } catch (err) {
+      return response.badRequest(res, err.message);
+    }
+
+    try {
+      const redact = req.query.redact === 'true' || req.query.redact === '1';
+      const archive = backupManager.createBackup({ redact, exclude });
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+      res.set('Content-Type', 'application/gzip');
+      res.set('Content-Disposition', `attachment; filename="amutorrent-backup-${stamp}.json.gz"`);
+      res.send(archive);
+    } catch (err) {
+      this.log('Error creating backup:', err.message);
+      response.serverError(res, `Failed to create backup: ${err.message}`);
+    }
+  }
+
+  /**
+   * GET /api/v1/backup/components
+   * List the components a backup can contain
+   */
+  getComponents(req, res) {
+    res.json({ components: backupManager.getComponents() });
+  }
+
+  /**
+   * POST /api/v1/backup/preview
+   * Validate an uploaded archive and describe what restoring it would change
+   * Body: archive file (raw)
+   */
+  async previewRestore(req, res) {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return response.badRequest(res, 'Upload a backup archive as the request body');
+    }
+    try {
+      res.json({ success: true, preview: backupManager.previewRestore(req.body) });
+    } catch (err) {
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * POST /api/v1/backup/restore
+   * Stage a restore of the uploaded archive for the next restart
+   * Query: components=config,users (default: everything in the archive)
+   * Body: archive file (raw)
+   */
+  async stageRestore(req, res) {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return response.badRequest(res, 'Upload a backup archive as the request body');
+    }
+    try {
+      const pending = backupManager.stageRestore(req.body, parseComponents(req.query.components));
+      res.json({
+        success: true,
+        pending,
+        message: 'Restore staged — restart aMuTorrent to apply it'
+      });
+    } catch (err) {
+      this.log('Error staging restore:', err.message);
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * GET /api/v1/backup/restore
+   * Get the restore waiting for the next restart
+   */
+  getPendingRestore(req, res) {
+    res.json({ pending: backupManager.getPendingRestore() });
+  }
+
+  /**
+   * DELETE /api/v1/backup/restore
+   * Discard the staged restore
+   */
+  cancelRestore(req, res) {
+    try {
+      if (!backupManager.cancelPendingRestore()) {
+        return response.notFound(res, 'No pending restore');
+      }
+      res.json({ success: true, message: 'Pending restore cancelled' });
+    } catch (err) {
+      this.log('Error cancelling restore:', err.message);
+      response.serverError(res, 'Failed to cancel restore');
+    }
+  }
+
+  /**
+   * Register all backup API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    router.use(requireAdmin);
+    const rawBody = express.raw({ type: () => true, limit: MAX_ARCHIVE_SIZE });
+
+    // GET /api/v1/backup - Download a backup archive
+    router.get('/', this.exportBackup.bind(this));
+
+    // GET /api/v1/backup/components - List backup components
+    router.get('/components', this.getComponents.bind(this));
+
+    // POST /api/v1/backup/preview - Validate an archive and preview changes
+    router.post('/preview', rawBody, this.previewRestore.bind(this));
+
+    // GET/POST/DELETE /api/v1/backup/restore - Pending restore
+    router.get('/restore', this.getPendingRestore.bind(this));
+    router.post('/restore', rawBody, this.stageRestore.bind(this));
+    router.delete('/restore', this.cancelRestore.bind(this));
+
+    // Mount router
+    app.use('/api/v1/backup', router);
+
+    this.log('Backup API routes registered');
+  }
+}
+
+module.exports = new BackupAPI();
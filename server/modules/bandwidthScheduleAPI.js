@@ -0,0 +1,80 @@
+/**
+ * Bandwidth Schedule API Module
+ * Provides REST endpoints for speed profiles and the weekly schedule grid
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const bandwidthScheduler = require('./bandwidthScheduler');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+class BandwidthScheduleAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/bandwidth-schedule
+   * Returns the schedule (profiles + grid) and the active profile
+   */
+  async getSchedule(req, res) {
+    try {
+      res.json({
+        schedule: bandwidthScheduler.getSchedule(),
+        status: bandwidthScheduler.getStatus()
+      });
+    } catch (err) {
+      this.log('Error getting bandwidth schedule:', err.message);
+      response.serverError(res, 'Failed to get bandwidth schedule');
+    }
+  }
+
+  /**
+   * PUT /api/bandwidth-schedule
+   * Save profiles and grid, then apply the current slot
+   * Body: { enabled: boolean, profiles: [{ name, downloadLimit, uploadLimit }], grid: string[7][24] }
+   */
+  async saveSchedule(req, res) {
+    try {
+      const schedule = await bandwidthScheduler.saveSchedule(req.body);
+      res.json({
+        success: true,
+        schedule,
+        status: bandwidthScheduler.getStatus(),
+        message: 'Bandwidth schedule saved'
+      });
+    } catch (err) {
+      this.log('Error saving bandwidth schedule:', err.message);
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * Register all bandwidth schedule API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON
+    router.use(express.json());
+    router.use(requireAdmin);
+
+    // GET /api/bandwidth-schedule - Get schedule and active profile
+    router.get('/', this.getSchedule.bind(this));
+
+    // PUT /api/bandwidth-schedule - Save schedule
+    router.put('/', this.saveSchedule.bind(this));
+
+    // Mount router
+    app.use('/api/bandwidth-schedule', router);
+
+    this.log('Bandwidth Schedule API routes registered');
+  }
+}
+
+module.exports = new BandwidthScheduleAPI();
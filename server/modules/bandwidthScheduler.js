@@ -0,0 +1,351 @@
+/**
+ * Bandwidth Scheduler Module
+ * Switches all connected clients between named speed profiles on a weekly schedule
+ *
+ * Schedule lives in config.json (bandwidthSchedule section):
+ * - profiles: [{ name, downloadLimit, uploadLimit }] in bytes/s (0 = unlimited)
+ * - grid: 7 rows (Sunday first, matching Date#getDay) x 24 hourly cells,
+ *         each holding a profile name or null (keep the previous profile)
+ *
+ * The active profile is re-evaluated every minute, re-applied to instances
+ * that (re)connect, and exposed via getStatus() for the stats broadcast.
+ *
+ * The limits an instance had before the schedule first changed them are kept
+ * in bandwidthSchedule.baseline (instanceId → { downloadLimit, uploadLimit })
+ * and restored once the schedule is disabled.
+ */
+
+const config = require('./config');
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+
+// How often to re-evaluate the schedule (in milliseconds)
+const SCHEDULE_CHECK_INTERVAL = 60000; // 1 minute
+
+const DAYS = 7;
+const HOURS = 24;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class BandwidthScheduler extends BaseModule {
+  constructor() {
+    super();
+    this.checkTimeout = null;
+    this._loopId = 0;             // Bumped by start()/stop(), so checks of a stopped loop don't reschedule
+    this._activeProfile = null;   // Name of the profile currently in effect
+    this._changedAt = null;       // Timestamp of the last profile switch
+    this._applied = new Map();    // instanceId → profile name last applied successfully
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Start the schedule loop (applies the current slot immediately)
+   */
+  start() {
+    this.stop();
+    this._check(this._loopId, true);
+  }
+
+  /**
+   * Stop the schedule loop (a check already in progress finishes but doesn't reschedule)
+   */
+  stop() {
+    this._loopId++;
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+  }
+
+  /**
+   * Evaluate the schedule and schedule the next check on the next minute boundary
+   * @param {number} loopId - Loop this check belongs to
+   * @param {boolean} initial - True on startup (no change event is emitted)
+   */
+  async _check(loopId, initial = false) {
+    try {
+      await this._evaluate(initial);
+    } catch (err) {
+      this.log('⚠️  Bandwidth schedule check failed:', logger.errorDetail(err));
+    } finally {
+      if (loopId === this._loopId) {
+        const delay = SCHEDULE_CHECK_INTERVAL - (Date.now() % SCHEDULE_CHECK_INTERVAL) + 1000;
+        this.checkTimeout = setTimeout(() => this._check(loopId), delay);
+      }
+    }
+  }
+
+  /**
+   * Resolve the profile for the current time and push it to every instance
+   * that hasn't received it yet
+   * @param {boolean} initial - True on startup
+   */
+  async _evaluate(initial = false) {
+    const schedule = this.getSchedule();
+    if (!schedule.enabled) {
+      if (this._activeProfile) {
+        this.log(`⏱️  Bandwidth schedule disabled (was "${this._activeProfile}")`);
+      }
+      this._activeProfile = null;
+      this._changedAt = null;
+      this._applied.clear();
+      await this._restoreBaselines();
+      return;
+    }
+
+    const name = this._resolveProfileName(schedule, new Date());
+    const profile = schedule.profiles.find(p => p.name === name);
+    if (!profile) return;
+
+    if (name !== this._activeProfile) {
+      const previousProfile = this._activeProfile;
+      this._activeProfile = name;
+      this._changedAt = Date.now();
+      this._applied.clear();
+      this.log(`⏱️  Speed profile ${previousProfile ? `"${previousProfile}" → ` : ''}"${name}"`);
+
+      if (!initial) {
+        eventScriptingManager.emit('speedProfileChanged', {
+          profile: name,
+          previousProfile: previousProfile || '',
+          downloadLimit: profile.downloadLimit,
+          uploadLimit: profile.uploadLimit
+        });
+      }
+    }
+
+    for (const manager of registry.getConnected()) {
+      if (this._applied.get(manager.instanceId) === name) continue;
+      await this._applyToInstance(manager, profile);
+    }
+  }
+
+  /**
+   * Apply a profile's limits to a single instance
+   * @param {Object} manager - Client manager
+   * @param {Object} profile - { name, downloadLimit, uploadLimit }
+   */
+  async _applyToInstance(manager, profile) {
+    if (!clientMeta.hasCapability(manager.clientType, 'speedLimits')) return;
+    try {
+      if (!this._getBaselines()[manager.instanceId]) {
+        const { downloadLimit, uploadLimit } = await manager.getSpeedLimits({});
+        // Re-read: a concurrent apply (reconnect during a check) may have saved it meanwhile
+        if (!this._getBaselines()[manager.instanceId]) {
+          await this._saveBaselines({ ...this._getBaselines(), [manager.instanceId]: { downloadLimit, uploadLimit } });
+        }
+      }
+      await manager.setSpeedLimits({
+        downloadLimit: profile.downloadLimit,
+        uploadLimit: profile.uploadLimit
+      });
+      this._applied.set(manager.instanceId, profile.name);
+    } catch (err) {
+      // Not marked as applied — retried on the next check
+      this.log(`⚠️  Failed to apply speed profile "${profile.name}" to ${manager.instanceId}: ${logger.errorDetail(err)}`);
+    }
+  }
+
+  /**
+   * Put back the limits instances had before the schedule changed them
+   * (instances that are offline or fail keep their baseline for the next check)
+   */
+  async _restoreBaselines() {
+    const baselines = this._getBaselines();
+    const remaining = { ...baselines };
+    for (const [instanceId, limits] of Object.entries(baselines)) {
+      const manager = registry.get(instanceId);
+      if (!manager) {
+        delete remaining[instanceId];   // instance was removed
+        continue;
+      }
+      if (!manager.isConnected()) continue;
+      try {
+        await manager.setSpeedLimits(limits);
+        delete remaining[instanceId];
+        this.log(`⏱️  Restored unscheduled speed limits on ${instanceId}`);
+      } catch (err) {
+        this.log(`⚠️  Failed to restore speed limits on ${instanceId}: ${logger.errorDetail(err)}`);
+      }
+    }
+    if (Object.keys(remaining).length !== Object.keys(baselines).length) {
+      await this._saveBaselines(remaining);
+    }
+  }
+
+  /**
+   * Limits instances had before the schedule first changed them
+   * @returns {Object} instanceId → { downloadLimit, uploadLimit }
+   */
+  _getBaselines() {
+    return config.getConfig()?.bandwidthSchedule?.baseline || {};
+  }
+
+  /**
+   * Persist the baseline limits
+   * @param {Object} baselines - instanceId → { downloadLimit, uploadLimit }
+   */
+  async _saveBaselines(baselines) {
+    config.runtimeConfig.bandwidthSchedule = { ...config.runtimeConfig.bandwidthSchedule, baseline: baselines };
+    await config._persistRuntimeConfig('⏱️  Saved unscheduled speed limits');
+  }
+
+  /**
+   * Re-apply the active profile when an instance (re)connects, or restore its
+   * unscheduled limits if the schedule was disabled while it was offline
+   * @param {string} instanceId - Client instance ID
+   */
+  async handleConnect(instanceId) {
+    this._applied.delete(instanceId);
+    if (!this.getSchedule().enabled) {
+      if (this._getBaselines()[instanceId]) await this._restoreBaselines();
+      return;
+    }
+    if (!this._activeProfile) return;
+    const manager = registry.get(instanceId);
+    const profile = this.getSchedule().profiles.find(p => p.name === this._activeProfile);
+    if (manager && profile) {
+      await this._applyToInstance(manager, profile);
+    }
+  }
+
+  // ==========================================================================
+  // SCHEDULE RESOLUTION
+  // ==========================================================================
+
+  /**
+   * Find the profile in effect at a given time.
+   * Empty cells inherit the last assigned cell before them (wrapping around the week).
+   * @param {Object} schedule - Normalized schedule
+   * @param {Date} date - Point in time
+   * @returns {string|null} Profile name
+   */
+  _resolveProfileName(schedule, date) {
+    const slot = date.getDay() * HOURS + date.getHours();
+    for (let i = 0; i < DAYS * HOURS; i++) {
+      const s = (slot - i + DAYS * HOURS) % (DAYS * HOURS);
+      const cell = schedule.grid[Math.floor(s / HOURS)]?.[s % HOURS];
+      if (cell) return cell;
+    }
+    return null;
+  }
+
+  /**
+   * Find the next slot where the effective profile differs from the active one
+   * @param {Object} schedule - Normalized schedule
+   * @returns {{ profile: string, at: number }|null}
+   */
+  _findNextChange(schedule) {
+    if (!this._activeProfile) return null;
+    const next = new Date();
+    next.setMinutes(0, 0, 0);
+    for (let i = 1; i <= DAYS * HOURS; i++) {
+      next.setHours(next.getHours() + 1);
+      const name = this._resolveProfileName(schedule, next);
+      if (name && name !== this._activeProfile) {
+        return { profile: name, at: next.getTime() };
+      }
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // CONFIGURATION
+  // ==========================================================================
+
+  /**
+   * Get the schedule from config, normalized to a full 7x24 grid
+   * @returns {Object} { enabled, profiles, grid }
+   */
+  getSchedule() {
+    const cfg = config.getConfig()?.bandwidthSchedule || {};
+    const profiles = Array.isArray(cfg.profiles) ? cfg.profiles : [];
+    const grid = [];
+    for (let d = 0; d < DAYS; d++) {
+      const row = Array.isArray(cfg.grid?.[d]) ? cfg.grid[d] : [];
+      grid.push(Array.from({ length: HOURS }, (_, hr) => row[hr] || null));
+    }
+    return { enabled: cfg.enabled === true, profiles, grid };
+  }
+
+  /**
+   * Validate and persist a new schedule, then re-evaluate immediately
+   * @param {Object} input - { enabled, profiles, grid }
+   * @returns {Promise<Object>} Normalized schedule
+   */
+  async saveSchedule(input) {
+    if (!input || typeof input !== 'object') {
+      throw new Error('Schedule object is required');
+    }
+
+    const profiles = [];
+    const names = new Set();
+    for (const p of Array.isArray(input.profiles) ? input.profiles : []) {
+      const name = typeof p?.name === 'string' ? p.name.trim() : '';
+      if (!name) throw new Error('Profile name is required');
+      if (names.has(name)) throw new Error(`Duplicate profile name: ${name}`);
+      const downloadLimit = Number(p.downloadLimit) || 0;
+      const uploadLimit = Number(p.uploadLimit) || 0;
+      if (downloadLimit < 0 || uploadLimit < 0) {
+        throw new Error(`Invalid limits for profile "${name}"`);
+      }
+      names.add(name);
+      profiles.push({ name, downloadLimit: Math.floor(downloadLimit), uploadLimit: Math.floor(uploadLimit) });
+    }
+
+    const grid = [];
+    for (let d = 0; d < DAYS; d++) {
+      const row = Array.isArray(input.grid?.[d]) ? input.grid[d] : [];
+      grid.push(Array.from({ length: HOURS }, (_, hr) => {
+        const cell = row[hr] || null;
+        if (cell && !names.has(cell)) {
+          throw new Error(`Unknown profile "${cell}" on ${DAY_NAMES[d]} ${String(hr).padStart(2, '0')}:00`);
+        }
+        return cell;
+      }));
+    }
+
+    const enabled = input.enabled === true;
+    if (enabled && !grid.some(row => row.some(Boolean))) {
+      throw new Error('Assign at least one hour to a profile before enabling the schedule');
+    }
+
+    config.runtimeConfig.bandwidthSchedule = { enabled, profiles, grid, baseline: this._getBaselines() };
+    await config._persistRuntimeConfig(`⏱️  Saved bandwidth schedule (${profiles.length} profile(s), ${enabled ? 'enabled' : 'disabled'})`);
+
+    // Profile limits may have changed under the same name — force a re-apply
+    this._applied.clear();
+    await this._evaluate();
+
+    return this.getSchedule();
+  }
+
+  // ==========================================================================
+  // STATUS
+  // ==========================================================================
+
+  /**
+   * Get the active profile for the stats broadcast
+   * @returns {Object|null} { name, downloadLimit, uploadLimit, changedAt, next } or null when inactive
+   */
+  getStatus() {
+    if (!this._activeProfile) return null;
+    const schedule = this.getSchedule();
+    const profile = schedule.profiles.find(p => p.name === this._activeProfile);
+    if (!profile) return null;
+    return {
+      name: profile.name,
+      downloadLimit: profile.downloadLimit,
+      uploadLimit: profile.uploadLimit,
+      changedAt: this._changedAt,
+      next: this._findNextChange(schedule)
+    };
+  }
+}
+
+module.exports = new BandwidthScheduler();
@@ -10,6 +10,7 @@ const crypto = require('crypto');
 const BaseModule = require('../lib/BaseModule');
 const clientMeta = require('../lib/clientMeta');
 const instanceId = require('../lib/instanceId');
+const { validateCategoryMappings } = require('../lib/torznab/categories');
 
 // ============================================================================
 // APP CONSTANTS
@@ -20,6 +21,9 @@ const COMMAND_TIMEOUT_MS = 300000;   // 5 minutes
 const CLEANUP_DAYS = 30;             // Keep metrics for 30 days
 const CLEANUP_HOUR = 3;              // Run cleanup at 3 AM
 
+// Download target policies for "auto" adds (see lib/downloadTargets.js)
+const TARGET_POLICIES = ['first', 'least-active', 'free-space', 'round-robin', 'category'];
+
 // ============================================================================
 // ENVIRONMENT VARIABLE MAPPINGS
 // ============================================================================
@@ -75,7 +79,10 @@ const CLIENT_ENV_PREFIX = {
   rtorrent: 'RTORRENT',
   qbittorrent: 'QBITTORRENT',
   deluge: 'DELUGE',
-  transmission: 'TRANSMISSION'
+  transmission: 'TRANSMISSION',
+  aria2: 'ARIA2',
+  sabnzbd: 'SABNZBD',
+  nzbget: 'NZBGET'
 };
 
 /**
@@ -140,6 +147,37 @@ const CLIENT_ENV_FIELDS = {
     PATH: { field: 'path', type: 'string' },
     ID: { field: 'id', type: 'string' },
     NAME: { field: 'name', type: 'string' }
+  },
+  aria2: {
+    ENABLED: { field: 'enabled', type: 'boolean' },
+    MODE: { field: 'mode', type: 'string' },
+    HOST: { field: 'host', type: 'string' },
+    PORT: { field: 'port', type: 'int' },
+    PATH: { field: 'path', type: 'string' },
+    SECRET: { field: 'password', type: 'string', sensitive: true },
+    USE_SSL: { field: 'useSsl', type: 'boolean' },
+    ID: { field: 'id', type: 'string' },
+    NAME: { field: 'name', type: 'string' }
+  },
+  sabnzbd: {
+    ENABLED: { field: 'enabled', type: 'boolean' },
+    HOST: { field: 'host', type: 'string' },
+    PORT: { field: 'port', type: 'int' },
+    PATH: { field: 'path', type: 'string' },
+    API_KEY: { field: 'apiKey', type: 'string', sensitive: true },
+    USE_SSL: { field: 'useSsl', type: 'boolean' },
+    ID: { field: 'id', type: 'string' },
+    NAME: { field: 'name', type: 'string' }
+  },
+  nzbget: {
+    ENABLED: { field: 'enabled', type: 'boolean' },
+    HOST: { field: 'host', type: 'string' },
+    PORT: { field: 'port', type: 'int' },
+    USERNAME: { field: 'username', type: 'string' },
+    PASSWORD: { field: 'password', type: 'string', sensitive: true },
+    USE_SSL: { field: 'useSsl', type: 'boolean' },
+    ID: { field: 'id', type: 'string' },
+    NAME: { field: 'name', type: 'string' }
   }
 };
 
@@ -384,7 +422,7 @@ class Config extends BaseModule {
         geoip: 'server/data/geoip'
       },
       integrations: {
-        amuleInstanceId: null,  // null = auto (first connected aMule instance)
+        amuleInstanceId: null,  // null = first connected aMule instance, 'auto' = download target policy for adds
         sonarr: {
           enabled: false,
           url: '',
@@ -401,12 +439,28 @@ class Config extends BaseModule {
           enabled: false,
           url: '',
           apiKey: ''
+        },
+        torznab: {
+          categoryMappings: {}  // { [aMule instanceId]: [{ category, fileType, extension }] }
         }
       },
       history: {
         enabled: true,
         retentionDays: 30       // 0 = never delete, positive number = days to keep
       },
+      bandwidthSchedule: {
+        enabled: false,
+        profiles: [],           // [{ name, downloadLimit, uploadLimit }] in bytes/s (0 = unlimited)
+        grid: []                // 7 rows (Sunday first) x 24 hourly cells: profile name or null (no change)
+      },
+      downloadTargets: {
+        policy: 'first'         // Instance picked for "auto" adds: first | least-active | free-space | round-robin | category
+      },
+      watchFolders: {
+        enabled: false,
+        intervalSeconds: 30,
+        folders: []             // [{ path, category, instanceId, username, enabled }]
+      },
       eventScripting: {
         enabled: false,
         scriptPath: 'scripts/custom.sh',  // Path to custom user script (for power users)
@@ -415,9 +469,26 @@ class Config extends BaseModule {
           downloadFinished: true,
           categoryChanged: true,
           fileMoved: true,
-          fileDeleted: true
+          fileDeleted: true,
+          speedProfileChanged: true,
+          seedingRuleApplied: true,
+          downloadStalled: true,
+          noSeeds: true,
+          lowDiskSpace: true,
+          ratioReached: true,
+          moveFailed: true,
+          loginFailed: true,
+          updateAvailable: true,
+          savedSearchResults: true
         },
         timeout: 30000           // Script execution timeout in milliseconds
+      },
+      eventMonitor: {            // Thresholds of the detected events (0 = event off)
+        stalledMinutes: 30,      // downloadStalled: active download without any speed for this long
+        noSeedsMinutes: 60,      // noSeeds: active download without seeds/sources for this long
+        lowDiskSpaceGB: 10,      // lowDiskSpace: free disk space below this
+        ratioTarget: 2,          // ratioReached: completed torrent reaches this share ratio
+        failedLoginThreshold: 5  // loginFailed: failed logins from one IP within 15 minutes
       }
     };
   }
@@ -772,6 +843,32 @@ class Config extends BaseModule {
       }
     }
 
+    // Validate Torznab category mappings (per aMule instance)
+    const categoryMappings = config.integrations?.torznab?.categoryMappings;
+    if (categoryMappings !== undefined) {
+      if (!categoryMappings || typeof categoryMappings !== 'object' || Array.isArray(categoryMappings)) {
+        errors.push('Torznab category mappings must be an object keyed by aMule instance');
+      } else {
+        Object.values(categoryMappings).forEach(mappings => errors.push(...validateCategoryMappings(mappings)));
+      }
+    }
+
+    // Validate event monitor thresholds
+    if (config.eventMonitor) {
+      for (const key of ['stalledMinutes', 'noSeedsMinutes', 'lowDiskSpaceGB', 'ratioTarget', 'failedLoginThreshold']) {
+        const value = config.eventMonitor[key];
+        if (value !== undefined && !(typeof value === 'number' && value >= 0)) {
+          errors.push(`Invalid event threshold ${key} (must be a number of 0 or more)`);
+        }
+      }
+    }
+
+    // Validate download target policy
+    const targetPolicy = config.downloadTargets?.policy;
+    if (targetPolicy !== undefined && !TARGET_POLICIES.includes(targetPolicy)) {
+      errors.push(`Invalid download target policy "${targetPolicy}" (must be one of: ${TARGET_POLICIES.join(', ')})`);
+    }
+
     // Validate clients array for duplicate instance IDs (same type+host+port)
     if (Array.isArray(config.clients)) {
       const seen = new Map(); // id → entry name/label
@@ -1375,6 +1472,14 @@ class Config extends BaseModule {
     return path.join(this.getDataDir(), 'move_ops.db');
   }
 
+  getRssDbPath() {
+    return path.join(this.getDataDir(), 'rss.db');
+  }
+
+  getSavedSearchDbPath() {
+    return path.join(this.getDataDir(), 'saved_searches.db');
+  }
+
   getUserDbPath() {
     return path.join(this.getDataDir(), 'users.db');
   }
@@ -1403,3 +1508,4 @@ module.exports.AUTO_REFRESH_INTERVAL = AUTO_REFRESH_INTERVAL;
 module.exports.COMMAND_TIMEOUT_MS = COMMAND_TIMEOUT_MS;
 module.exports.CLEANUP_DAYS = CLEANUP_DAYS;
 module.exports.CLEANUP_HOUR = CLEANUP_HOUR;
+module.exports.TARGET_POLICIES = TARGET_POLICIES;
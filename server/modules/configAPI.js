@@ -84,6 +84,25 @@ class ConfigAPI extends BaseModule {
       transmissionPassword: config.isFromEnv('transmission.password'),
       transmissionUseSsl: config.isFromEnv('transmission.useSsl'),
       transmissionPath: config.isFromEnv('transmission.path'),
+      aria2Enabled: config.isFromEnv('aria2.enabled'),
+      aria2Mode: config.isFromEnv('aria2.mode'),
+      aria2Host: config.isFromEnv('aria2.host'),
+      aria2Port: config.isFromEnv('aria2.port'),
+      aria2Path: config.isFromEnv('aria2.path'),
+      aria2Password: config.isFromEnv('aria2.password'),
+      aria2UseSsl: config.isFromEnv('aria2.useSsl'),
+      sabnzbdEnabled: config.isFromEnv('sabnzbd.enabled'),
+      sabnzbdHost: config.isFromEnv('sabnzbd.host'),
+      sabnzbdPort: config.isFromEnv('sabnzbd.port'),
+      sabnzbdPath: config.isFromEnv('sabnzbd.path'),
+      sabnzbdApiKey: config.isFromEnv('sabnzbd.apiKey'),
+      sabnzbdUseSsl: config.isFromEnv('sabnzbd.useSsl'),
+      nzbgetEnabled: config.isFromEnv('nzbget.enabled'),
+      nzbgetHost: config.isFromEnv('nzbget.host'),
+      nzbgetPort: config.isFromEnv('nzbget.port'),
+      nzbgetUsername: config.isFromEnv('nzbget.username'),
+      nzbgetPassword: config.isFromEnv('nzbget.password'),
+      nzbgetUseSsl: config.isFromEnv('nzbget.useSsl'),
       sonarrUrl: config.isFromEnv('integrations.sonarr.url'),
       sonarrApiKey: config.isFromEnv('integrations.sonarr.apiKey'),
       sonarrSearchInterval: config.isFromEnv('integrations.sonarr.searchIntervalHours'),
@@ -353,6 +372,34 @@ class ConfigAPI extends BaseModule {
         this.logTestResult('Transmission connection', results.transmission);
       }
 
+      // Test aria2 connection if provided and enabled
+      const { aria2 } = req.body;
+      if (aria2 && aria2.enabled) {
+        const password = aria2.password || (aria2.instanceId ? config.getClientConfig(aria2.instanceId)?.password : null);
+        this.log(`🧪 Testing aria2 connection to ${aria2.host}:${aria2.port}...`);
+        results.aria2 = await configTester.testAria2Connection(aria2.host, aria2.port, password, aria2.useSsl, aria2.path, aria2.mode);
+        this.logTestResult('aria2 connection', results.aria2);
+      }
+
+      // Test SABnzbd connection if provided and enabled
+      const { sabnzbd } = req.body;
+      if (sabnzbd && sabnzbd.enabled) {
+        const apiKey = sabnzbd.apiKey || (sabnzbd.instanceId ? config.getClientConfig(sabnzbd.instanceId)?.apiKey : null);
+        this.log(`🧪 Testing SABnzbd connection to ${sabnzbd.host}:${sabnzbd.port}...`);
+        results.sabnzbd = await configTester.testSabnzbdConnection(sabnzbd.host, sabnzbd.port, apiKey, sabnzbd.useSsl, sabnzbd.path);
+        this.logTestResult('SABnzbd connection', results.sabnzbd);
+      }
+
+      // Test NZBGet connection if provided and enabled
+      const { nzbget } = req.body;
+      if (nzbget && nzbget.enabled) {
+        const password = nzbget.password || (nzbget.instanceId ? config.getClientConfig(nzbget.instanceId)?.password : null);
+        const username = nzbget.username || (nzbget.instanceId ? config.getClientConfig(nzbget.instanceId)?.username : null);
+        this.log(`🧪 Testing NZBGet connection to ${nzbget.host}:${nzbget.port}...`);
+        results.nzbget = await configTester.testNzbgetConnection(nzbget.host, nzbget.port, username, password, nzbget.useSsl);
+        this.logTestResult('NZBGet connection', results.nzbget);
+      }
+
       // Test directories if provided
       if (directories) {
         results.directories = {};
@@ -474,6 +521,24 @@ class ConfigAPI extends BaseModule {
         newConfig.lastSeenVersion = currentLastSeenVersion;
       }
 
+      // Preserve bandwidthSchedule (managed by the bandwidth schedule API, not sent from frontend)
+      const currentSchedule = config.getConfig()?.bandwidthSchedule;
+      if (currentSchedule && !newConfig.bandwidthSchedule) {
+        newConfig.bandwidthSchedule = currentSchedule;
+      }
+
+      // Preserve watchFolders (managed by the watch folders API, not sent from frontend)
+      const currentWatchFolders = config.getConfig()?.watchFolders;
+      if (currentWatchFolders && !newConfig.watchFolders) {
+        newConfig.watchFolders = currentWatchFolders;
+      }
+
+      // Preserve Torznab category mappings when the sender doesn't manage them (e.g. the setup wizard)
+      const currentTorznab = config.getConfig()?.integrations?.torznab;
+      if (currentTorznab && newConfig.integrations && !newConfig.integrations.torznab) {
+        newConfig.integrations.torznab = currentTorznab;
+      }
+
       // Validate configuration
       const validation = config.validateConfig(newConfig);
       if (!validation.valid) {
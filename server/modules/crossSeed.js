@@ -0,0 +1,616 @@
+/**
+ * Cross-Seed Module
+ * Finds torrents that can be seeded from data already on disk
+ *
+ * A scan compares the file lists (relative paths and sizes) of every complete
+ * torrent on the connected BitTorrent instances. Torrents with the same layout
+ * but a different info hash are the same content from different trackers, and
+ * each of them can be added to the instances that only hold the other one.
+ * Optionally the names are searched on Prowlarr and the .torrent files of
+ * same-size results are compared the same way.
+ *
+ * A candidate is added to the chosen instance at the save path of the data it
+ * already has (translated through the category path mappings when the data
+ * is on another instance), either with the hash check skipped or stopped,
+ * rechecked, and started once the client has verified all of it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const categoryManager = require('../lib/CategoryManager');
+const dataFetchService = require('../lib/DataFetchService');
+const prowlarrAPI = require('./prowlarrAPI');
+const { itemKey } = require('../lib/itemKey');
+const { parseMagnetUri, parseTorrentFiles } = require('../lib/torrentUtils');
+
+// Cached batch data older than this is refreshed before a scan
+const CACHE_MAX_AGE = 30000;
+
+// Prowlarr searches per scan (default and upper bound) and the pause between them
+const DEFAULT_MAX_SEARCHES = 25;
+const MAX_SEARCHES_LIMIT = 200;
+const SEARCH_DELAY = 2000;
+
+// Poll interval while added candidates are being verified
+const VERIFY_INTERVAL = 5000;
+
+// Time a recheck-mode add gets to show up on the target
+const ADD_TIMEOUT = 2 * 60 * 1000;
+
+// Recheck considered finished if the client never reported a checking state within this window
+const RECHECK_GRACE = 30 * 1000;
+
+// Unified statuses of a torrent that is still verifying
+const CHECKING_STATUSES = new Set(['checking', 'hashing-queued']);
+
+// BEP 47 padding files aren't on disk
+const PAD_FILE = /(^|\/)\.pad\//;
+
+class CrossSeed extends BaseModule {
+  constructor() {
+    super();
+    this._scan = { running: false, phase: null, done: 0, total: 0, startedAt: null, finishedAt: null, error: null };
+    this._candidates = [];          // Results of the last scan
+    this._torrentData = new Map();  // candidate id → .torrent Buffer (Prowlarr results)
+    this._layouts = new Map();      // itemKey → layout (a torrent's files never change)
+    this._verifying = new Map();    // candidate id → { instanceId, hash, addedAt, requestedAt, sawChecking }
+    this._present = new Set();      // itemKeys of all torrents seen by the running scan
+    this.verifyTimer = null;
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Stop verifying added candidates
+   */
+  stop() {
+    if (this.verifyTimer) {
+      clearTimeout(this.verifyTimer);
+      this.verifyTimer = null;
+    }
+  }
+
+  // ==========================================================================
+  // SCAN
+  // ==========================================================================
+
+  /**
+   * Start a scan in the background (progress is reported by getStatus)
+   * @param {Object} options - { prowlarr: also search Prowlarr, maxSearches }
+   */
+  startScan({ prowlarr = false, maxSearches } = {}) {
+    if (this._scan.running) {
+      throw new Error('A scan is already running');
+    }
+    if (prowlarr && !prowlarrAPI.initHandler()) {
+      throw new Error('Prowlarr is not configured');
+    }
+    const searches = Math.min(Math.max(parseInt(maxSearches, 10) || DEFAULT_MAX_SEARCHES, 1), MAX_SEARCHES_LIMIT);
+
+    this._scan = { running: true, phase: 'files', done: 0, total: 0, startedAt: Date.now(), finishedAt: null, error: null };
+    this._run(prowlarr ? searches : 0)
+      .catch(err => {
+        this.log('❌ Cross-seed scan failed:', err.message);
+        this._scan.error = err.message;
+      })
+      .finally(() => {
+        this._scan.running = false;
+        this._scan.phase = null;
+        this._scan.finishedAt = Date.now();
+      });
+  }
+
+  /**
+   * Run a scan
+   * @param {number} maxSearches - Prowlarr searches to run (0 = local only)
+   */
+  async _run(maxSearches) {
+    const torrents = await this._getTorrents();
+    const items = torrents.filter(i => i.complete);
+    const known = new Set(torrents.map(i => i.hash.toLowerCase()));
+    this._present = new Set(torrents.map(i => itemKey(i.instanceId, i.hash)));
+
+    // Only torrents of equal size can share a layout, so only those need their file list
+    const bySize = new Map();
+    for (const item of items) {
+      if (!bySize.has(item.size)) bySize.set(item.size, []);
+      bySize.get(item.size).push(item);
+    }
+    const comparable = [...bySize.values()]
+      .filter(group => new Set(group.map(i => i.hash.toLowerCase())).size > 1)
+      .flat();
+
+    this._scan.total = comparable.length;
+    const contents = new Map(); // layout signature → { layout, holders }
+    for (const item of comparable) {
+      const layout = await this._getLayout(item);
+      if (layout) this._addHolder(contents, layout, item);
+      this._scan.done++;
+    }
+
+    const candidates = [];
+    for (const { layout, holders } of contents.values()) {
+      candidates.push(...this._localCandidates(layout, holders));
+    }
+
+    const torrentData = new Map();
+    if (maxSearches > 0) {
+      const found = await this._searchProwlarr(items, contents, known, maxSearches);
+      for (const { candidate, data } of found) {
+        candidates.push(candidate);
+        torrentData.set(candidate.id, data);
+      }
+    }
+
+    // Keep the progress of candidates that are still being verified
+    const previous = new Map(this._candidates.map(c => [c.id, c]));
+    this._candidates = candidates.map(c => this._verifying.has(c.id) ? previous.get(c.id) || c : c);
+    this._torrentData = torrentData;
+    this.log(`🌱 Cross-seed scan finished: ${candidates.length} candidate(s) from ${items.length} torrents`);
+  }
+
+  /**
+   * Search Prowlarr for the local contents and compare same-size results
+   * @param {Array} items - Complete local torrents
+   * @param {Map} contents - Layout signature → { layout, holders } (extended with the searched items)
+   * @param {Set} known - Info hashes already on an instance
+   * @param {number} maxSearches - Searches to run
+   * @returns {Promise<Array>} [{ candidate, data }]
+   */
+  async _searchProwlarr(items, contents, known, maxSearches) {
+    // Newest content first, one search per name
+    const queue = [];
+    const names = new Set();
+    for (const item of [...items].sort((a, b) => new Date(b.addedAt || 0) - new Date(a.addedAt || 0))) {
+      if (!item.name || names.has(item.name)) continue;
+      names.add(item.name);
+      queue.push(item);
+      if (queue.length >= maxSearches) break;
+    }
+
+    this._scan.phase = 'prowlarr';
+    this._scan.done = 0;
+    this._scan.total = queue.length;
+
+    const found = [];
+    const seen = new Set(); // download URLs and hashes already compared this scan
+    for (const item of queue) {
+      try {
+        const layout = await this._getLayout(item);
+        if (!layout) continue;
+        const content = this._addHolder(contents, layout, item);
+
+        const results = await prowlarrAPI.runSearch(item.name, { cache: false });
+        for (const result of results) {
+          if (result.fileSize !== layout.size || !result.downloadUrl || seen.has(result.downloadUrl)) continue;
+          seen.add(result.downloadUrl);
+
+          const magnetHash = result.magnetUrl ? parseMagnetUri(result.magnetUrl).hash : null;
+          if (magnetHash && (known.has(magnetHash) || seen.has(magnetHash))) continue;
+
+          const data = await this._downloadTorrent(result.downloadUrl);
+          const torrent = data ? parseTorrentFiles(data) : null;
+          if (!torrent || known.has(torrent.hash) || seen.has(torrent.hash)) continue;
+          seen.add(torrent.hash);
+
+          if (signature(torrentLayout(torrent)) !== layout.signature) continue;
+          const candidate = this._buildCandidate({
+            id: `prowlarr:${torrent.hash}`,
+            hash: torrent.hash,
+            name: torrent.name,
+            layout,
+            holders: content.holders,
+            source: { type: 'prowlarr', indexer: result.indexer, title: result.fileName, seeders: result.sourceCount || 0 }
+          });
+          if (candidate) found.push({ candidate, data });
+        }
+      } catch (err) {
+        this.log(`⚠️  Cross-seed search for "${item.name}" failed: ${err.message}`);
+      } finally {
+        this._scan.done++;
+      }
+
+      if (this._scan.done < queue.length) {
+        await new Promise(resolve => setTimeout(resolve, SEARCH_DELAY));
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Download a .torrent from Prowlarr (magnet redirects are skipped, they carry no file list)
+   * @param {string} url - Download URL
+   * @returns {Promise<Buffer|null>}
+   */
+  async _downloadTorrent(url) {
+    let tempFile = null;
+    try {
+      const result = await prowlarrAPI.downloadTorrentFile(url);
+      if (typeof result !== 'string') return null;
+      tempFile = result;
+      return await fs.readFile(tempFile);
+    } catch (err) {
+      this.log(`⚠️  Cross-seed torrent download failed: ${err.message}`);
+      return null;
+    } finally {
+      if (tempFile) await fs.unlink(tempFile).catch(() => {});
+    }
+  }
+
+  // ==========================================================================
+  // MATCHING
+  // ==========================================================================
+
+  /**
+   * Torrents on the connected BitTorrent instances
+   * @returns {Promise<Array>} Unified items
+   */
+  async _getTorrents() {
+    const cached = dataFetchService.getCachedBatchData(CACHE_MAX_AGE) || await dataFetchService.getBatchData();
+    return (cached?.items || []).filter(item =>
+      item.hash && item.isTorrent !== false &&
+      clientMeta.isBittorrent(registry.get(item.instanceId)?.clientType) &&
+      registry.get(item.instanceId).isConnected()
+    );
+  }
+
+  /**
+   * Get the file layout of a local torrent
+   * @param {Object} item - Unified item
+   * @returns {Promise<Object|null>} Layout, or null if unknown or some files are skipped
+   */
+  async _getLayout(item) {
+    const key = itemKey(item.instanceId, item.hash);
+    if (this._layouts.has(key)) return this._layouts.get(key);
+
+    let files;
+    try {
+      files = await registry.get(item.instanceId).getFiles(item.hash);
+    } catch (err) {
+      this.log(`⚠️  Cross-seed: could not list files of ${item.name}: ${err.message}`);
+      return null;
+    }
+    if (!Array.isArray(files) || files.length === 0) return null;
+
+    // Skipped files aren't on disk, so the data can't back another torrent
+    const layout = files.some(f => f.priority === 0)
+      ? null
+      : itemLayout(item, files.map(f => ({ path: f.path ?? f.name ?? '', size: Number(f.size ?? f.sizeBytes) || 0 })));
+    this._layouts.set(key, layout);
+    return layout;
+  }
+
+  /**
+   * Record a local torrent as a holder of its content
+   * @param {Map} contents - Layout signature → { layout, holders }
+   * @param {Object} layout - Torrent layout
+   * @param {Object} item - Unified item
+   * @returns {Object} The content entry
+   */
+  _addHolder(contents, layout, item) {
+    if (!contents.has(layout.signature)) {
+      contents.set(layout.signature, { layout, holders: [] });
+    }
+    const content = contents.get(layout.signature);
+    if (!content.holders.some(h => h.instanceId === item.instanceId && h.hash === item.hash)) {
+      content.holders.push(item);
+    }
+    return content;
+  }
+
+  /**
+   * Candidates among the local holders of one content: each hash can go to the
+   * instances that hold the content under a different hash
+   * @param {Object} layout - Shared layout
+   * @param {Array} holders - Unified items with that layout
+   * @returns {Array} Candidates
+   */
+  _localCandidates(layout, holders) {
+    const candidates = [];
+    const hashes = new Set(holders.map(h => h.hash.toLowerCase()));
+    if (hashes.size < 2) return candidates;
+
+    for (const hash of hashes) {
+      // Only clients that can export the .torrent can hand it to another instance
+      const source = holders.find(h => h.hash.toLowerCase() === hash &&
+        clientMeta.hasCapability(registry.get(h.instanceId)?.clientType, 'exportTorrent'));
+      if (!source) continue;
+      const candidate = this._buildCandidate({
+        id: `local:${hash}`,
+        hash,
+        name: source.name,
+        layout,
+        holders,
+        source: { type: 'instance', instanceId: source.instanceId }
+      });
+      // Adding it elsewhere would only duplicate the torrent, not cross-seed it
+      if (candidate && candidate.targets.some(t => t.local)) candidates.push(candidate);
+    }
+    return candidates;
+  }
+
+  /**
+   * Build a candidate with its possible targets
+   * @param {Object} spec - { id, hash, name, layout, holders, source }
+   * @returns {Object|null} Candidate, or null if no instance can take it
+   */
+  _buildCandidate({ id, hash, name, layout, holders, source }) {
+    const targets = [];
+    for (const manager of registry.getConnected()) {
+      const type = manager.clientType;
+      if (!clientMeta.isBittorrent(type)) continue;
+      const modes = ['skipHashCheck', 'recheck'].filter(cap => clientMeta.hasCapability(type, cap));
+      if (modes.length === 0) continue;
+      if (this._present.has(itemKey(manager.instanceId, hash))) continue;
+
+      // Prefer data on the same instance, otherwise translate another holder's path
+      const holder = holders.find(h => h.instanceId === manager.instanceId && h.hash.toLowerCase() !== hash);
+      const from = holder || holders[0];
+      let savePath = savePathOf(from);
+      if (!savePath) continue;
+      if (!holder) {
+        const fromManager = registry.get(from.instanceId);
+        const appPath = categoryManager.translatePath(savePath, fromManager.clientType, from.instanceId);
+        savePath = categoryManager.toClientPath(appPath, type, manager.instanceId);
+      }
+
+      targets.push({
+        instanceId: manager.instanceId,
+        savePath,
+        category: from.category || 'Default',
+        local: !!holder,
+        modes: modes.map(cap => cap === 'skipHashCheck' ? 'skipCheck' : 'recheck')
+      });
+    }
+    if (targets.length === 0) return null;
+
+    // Instances that already hold the data first
+    targets.sort((a, b) => b.local - a.local);
+    return {
+      id,
+      hash,
+      name,
+      size: layout.size,
+      fileCount: layout.files.length,
+      source,
+      matches: holders.map(h => ({ instanceId: h.instanceId, hash: h.hash, name: h.name, savePath: savePathOf(h) })),
+      targets,
+      status: null,
+      error: null
+    };
+  }
+
+  // ==========================================================================
+  // ADD
+  // ==========================================================================
+
+  /**
+   * Add a candidate to one of its target instances
+   * @param {string} id - Candidate ID
+   * @param {Object} options - { targetInstanceId, mode: 'skipCheck' | 'recheck', userId }
+   * @returns {Promise<Object>} Updated candidate
+   */
+  async addCandidate(id, { targetInstanceId, mode, userId } = {}) {
+    const candidate = this._candidates.find(c => c.id === id);
+    if (!candidate) {
+      throw new Error('Candidate not found (run a new scan)');
+    }
+    if (['adding', 'checking', 'added'].includes(candidate.status)) {
+      throw new Error('Candidate was already added');
+    }
+    const target = candidate.targets.find(t => t.instanceId === targetInstanceId);
+    const manager = registry.get(targetInstanceId);
+    if (!target || !manager || !manager.isConnected()) {
+      throw new Error('Target instance is not available');
+    }
+    if (!target.modes.includes(mode)) {
+      throw new Error(`${manager.displayName || targetInstanceId} does not support ${mode === 'skipCheck' ? 'skipping the hash check' : 'rechecking'}`);
+    }
+
+    // A magnet would have to run on the target to fetch metadata, writing into the data before it is verified
+    const torrentData = await this._getTorrentData(candidate);
+    if (!torrentData) {
+      const source = candidate.source.type === 'instance' ? registry.get(candidate.source.instanceId) : null;
+      throw new Error(`Could not get the .torrent file${source ? ` from ${source.displayName || source.instanceId}` : ''}`);
+    }
+
+    candidate.status = 'adding';
+    candidate.error = null;
+    candidate.addedTo = targetInstanceId;
+    try {
+      const category = categoryManager.getByName(target.category);
+      const options = {
+        categoryName: target.category === 'Default' ? '' : target.category,
+        savePath: target.savePath,
+        priority: category?.priority,
+        start: mode === 'skipCheck',
+        skipCheck: mode === 'skipCheck'
+      };
+      await manager.addTorrentRaw(torrentData, options);
+    } catch (err) {
+      candidate.status = 'failed';
+      candidate.error = err.message;
+      throw err;
+    }
+
+    if (userId && this.userManager) {
+      this.userManager.recordOwnership(itemKey(targetInstanceId, candidate.hash), userId);
+    }
+
+    const where = `${manager.displayName || targetInstanceId}:${target.savePath}`;
+    if (mode === 'skipCheck') {
+      candidate.status = 'added';
+      this.log(`🌱 Cross-seed added ${candidate.name} to ${where} (hash check skipped)`);
+    } else {
+      candidate.status = 'checking';
+      this._verifying.set(id, { instanceId: targetInstanceId, hash: candidate.hash, addedAt: Date.now(), requestedAt: null, sawChecking: false });
+      this.log(`🌱 Cross-seed added ${candidate.name} to ${where}, verifying the data`);
+      this._scheduleVerify(VERIFY_INTERVAL);
+    }
+    return candidate;
+  }
+
+  /**
+   * The .torrent of a candidate: the Prowlarr download, or an export from the source instance
+   * @param {Object} candidate - Candidate
+   * @returns {Promise<Buffer|null>}
+   */
+  async _getTorrentData(candidate) {
+    if (this._torrentData.has(candidate.id)) return this._torrentData.get(candidate.id);
+    if (candidate.source.type !== 'instance') return null;
+    const source = registry.get(candidate.source.instanceId);
+    return source && source.isConnected() ? await source.exportTorrent(candidate.hash) : null;
+  }
+
+  /**
+   * Schedule the next verification poll
+   * @param {number} delay - Delay in ms
+   */
+  _scheduleVerify(delay) {
+    if (this.verifyTimer) return;
+    this.verifyTimer = setTimeout(() => this._verify(), delay);
+  }
+
+  /**
+   * Drive the recheck of the candidates added in recheck mode: recheck once the
+   * client lists the torrent, start it when every piece checked out
+   */
+  async _verify() {
+    this.verifyTimer = null;
+    const cached = dataFetchService.getCachedBatchData(60000);
+
+    for (const [id, job] of this._verifying) {
+      const candidate = this._candidates.find(c => c.id === id) || {};
+      const manager = registry.get(job.instanceId);
+      const item = cached?.items.find(i => i.instanceId === job.instanceId && i.hash?.toLowerCase() === job.hash);
+      const finish = (status, error = null) => {
+        candidate.status = status;
+        candidate.error = error;
+        this._verifying.delete(id);
+      };
+
+      try {
+        if (!manager || !manager.isConnected()) continue;
+
+        if (!job.requestedAt) {
+          // Not listed yet
+          if (!item || !(item.size > 0)) {
+            if (Date.now() - job.addedAt > ADD_TIMEOUT) finish('failed', 'Torrent did not show up on the target');
+            continue;
+          }
+          await manager.stop(item.hash);
+          await manager.recheck(item.hash);
+          job.requestedAt = Date.now();
+          continue;
+        }
+
+        if (!item) {
+          finish('failed', 'Torrent was removed during the recheck');
+          continue;
+        }
+        if (CHECKING_STATUSES.has(item.status)) {
+          job.sawChecking = true;
+          continue;
+        }
+        if (!job.sawChecking && Date.now() - job.requestedAt < RECHECK_GRACE) continue;
+
+        if (item.complete || item.progress >= 100) {
+          await manager.resume(item.hash);
+          finish('added');
+          this.log(`🌱 Cross-seed verified ${item.name} on ${manager.displayName || job.instanceId}, started`);
+        } else {
+          finish('failed', `Only ${Math.floor(item.progress || 0)}% of the data matched, left stopped`);
+          this.log(`⚠️  Cross-seed ${item.name} on ${manager.displayName || job.instanceId} did not verify (${item.progress || 0}%), left stopped`);
+        }
+      } catch (err) {
+        finish('failed', err.message);
+        this.log(`⚠️  Cross-seed verification of ${candidate.name || job.hash} failed: ${err.message}`);
+      }
+    }
+
+    if (this._verifying.size > 0) this._scheduleVerify(VERIFY_INTERVAL);
+  }
+
+  // ==========================================================================
+  // STATUS
+  // ==========================================================================
+
+  /**
+   * Get the scan progress and the candidates of the last scan
+   * @returns {Object} { scan, prowlarrConfigured, candidates }
+   */
+  getStatus() {
+    return {
+      scan: { ...this._scan },
+      prowlarrConfigured: prowlarrAPI.initHandler(),
+      candidates: this._candidates
+    };
+  }
+}
+
+/**
+ * Save path of a unified item (multi-file items report their content directory on some clients)
+ * @param {Object} item - Unified item
+ * @returns {string}
+ */
+function savePathOf(item) {
+  const directory = item.directory || '';
+  return item.multiFile && path.basename(directory) === item.name ? path.dirname(directory) : directory;
+}
+
+/**
+ * Build a layout from a local torrent's file list. Clients differ in whether
+ * paths include the root folder, so it is stripped when present.
+ * @param {Object} item - Unified item
+ * @param {Array} files - [{ path, size }]
+ * @returns {Object} Layout
+ */
+function itemLayout(item, files) {
+  const normalized = files
+    .map(f => ({ path: String(f.path).replace(/\\/g, '/'), size: f.size }))
+    .filter(f => !PAD_FILE.test(f.path));
+
+  if (!item.multiFile && normalized.length === 1) {
+    return makeLayout(null, [{ path: path.posix.basename(normalized[0].path), size: normalized[0].size }]);
+  }
+  const prefix = `${item.name}/`;
+  const rooted = normalized.every(f => f.path.startsWith(prefix));
+  return makeLayout(item.name, normalized.map(f => ({ path: rooted ? f.path.slice(prefix.length) : f.path, size: f.size })));
+}
+
+/**
+ * Build a layout from a parsed .torrent
+ * @param {Object} torrent - parseTorrentFiles() result
+ * @returns {Object} Layout
+ */
+function torrentLayout(torrent) {
+  return makeLayout(torrent.multiFile ? torrent.name : null, torrent.files);
+}
+
+/**
+ * @param {string|null} root - Root folder (multi-file torrents)
+ * @param {Array} files - [{ path, size }] relative to the root
+ * @returns {Object} { root, files, size, signature }
+ */
+function makeLayout(root, files) {
+  const sorted = [...files].sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+  const layout = { root, files: sorted, size: sorted.reduce((sum, f) => sum + f.size, 0) };
+  layout.signature = signature(layout);
+  return layout;
+}
+
+/**
+ * Two torrents can share data on disk when their root folder and files match exactly
+ * @param {Object} layout - { root, files (sorted) }
+ * @returns {string}
+ */
+function signature(layout) {
+  return [layout.root || '', ...layout.files.map(f => `${f.path}|${f.size}`)].join('\n');
+}
+
+module.exports = new CrossSeed();
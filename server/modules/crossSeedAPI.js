@@ -0,0 +1,106 @@
+/**
+ * Cross-Seed API Module
+ * Provides REST endpoints for the cross-seed finder (scan, candidates, add)
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const crossSeed = require('./crossSeed');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+const ADD_MODES = ['skipCheck', 'recheck'];
+
+class CrossSeedAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/cross-seed
+   * Returns the scan progress and the candidates of the last scan
+   */
+  async getStatus(req, res) {
+    try {
+      res.json({ success: true, ...crossSeed.getStatus() });
+    } catch (err) {
+      this.log('Error getting cross-seed status:', err.message);
+      response.serverError(res, 'Failed to get cross-seed status');
+    }
+  }
+
+  /**
+   * POST /api/cross-seed/scan
+   * Start a scan in the background
+   * Body: { prowlarr?: boolean, maxSearches?: number }
+   */
+  async scan(req, res) {
+    try {
+      const { prowlarr, maxSearches } = req.body || {};
+      crossSeed.startScan({ prowlarr: !!prowlarr, maxSearches });
+      res.json({ success: true, ...crossSeed.getStatus() });
+    } catch (err) {
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * POST /api/cross-seed/add
+   * Add a candidate to one of its target instances
+   * Body: { id: string, targetInstanceId: string, mode: 'skipCheck' | 'recheck' }
+   */
+  async add(req, res) {
+    try {
+      const { id, targetInstanceId, mode } = req.body || {};
+      if (!id || typeof id !== 'string') {
+        return response.badRequest(res, 'Candidate id is required');
+      }
+      if (!targetInstanceId || typeof targetInstanceId !== 'string') {
+        return response.badRequest(res, 'Target instance is required');
+      }
+      if (!ADD_MODES.includes(mode)) {
+        return response.badRequest(res, `Mode must be one of: ${ADD_MODES.join(', ')}`);
+      }
+      const candidate = await crossSeed.addCandidate(id, {
+        targetInstanceId,
+        mode,
+        userId: req.session?.userId || null
+      });
+      res.json({ success: true, candidate });
+    } catch (err) {
+      this.log('Error adding cross-seed candidate:', err.message);
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * Register all cross-seed API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON
+    router.use(express.json());
+    router.use(requireAdmin);
+
+    // GET /api/cross-seed - Scan progress and candidates
+    router.get('/', this.getStatus.bind(this));
+
+    // POST /api/cross-seed/scan - Start a scan
+    router.post('/scan', this.scan.bind(this));
+
+    // POST /api/cross-seed/add - Add a candidate
+    router.post('/add', this.add.bind(this));
+
+    // Mount router
+    app.use('/api/cross-seed', router);
+
+    this.log('Cross-Seed API routes registered');
+  }
+}
+
+module.exports = new CrossSeedAPI();
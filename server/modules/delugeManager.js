@@ -437,6 +437,44 @@ class DelugeManager extends BaseClientManager {
     return await this.pause(hash);
   }
 
+  /**
+   * Force a hash recheck
+   * @param {string} hash - Torrent hash
+   */
+  async recheck(hash) {
+    if (!this.client) throw new Error('Deluge not connected');
+    await this.client.forceRecheck(hash);
+  }
+
+  /**
+   * Force reannounce to all trackers
+   * @param {string} hash - Torrent hash
+   */
+  async reannounce(hash) {
+    if (!this.client) throw new Error('Deluge not connected');
+    await this.client.forceReannounce(hash);
+  }
+
+  /**
+   * Set sequential download
+   * @param {string} hash - Torrent hash
+   * @param {boolean} enabled - Desired state
+   */
+  async setSequentialDownload(hash, enabled) {
+    if (!this.client) throw new Error('Deluge not connected');
+    await this.client.setTorrentOptions(hash, { sequential_download: !!enabled });
+  }
+
+  /**
+   * Set first/last piece priority
+   * @param {string} hash - Torrent hash
+   * @param {boolean} enabled - Desired state
+   */
+  async setFirstLastPiecePriority(hash, enabled) {
+    if (!this.client) throw new Error('Deluge not connected');
+    await this.client.setTorrentOptions(hash, { prioritize_first_last_pieces: !!enabled });
+  }
+
   /**
    * Update client's view of the download directory (uses native moveStorage)
    * @param {string} hash - Torrent hash
@@ -525,15 +563,24 @@ class DelugeManager extends BaseClientManager {
   /**
    * Add a torrent from raw data (Buffer)
    * @param {Buffer} torrentData - Raw .torrent file contents
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, skipFiles }
    */
   async addTorrentRaw(torrentData, options = {}) {
     if (!this.client) throw new Error('Deluge not connected');
 
     const { addOptions, label } = this._buildAddOptions(options);
+    const skipFiles = Array.isArray(options.skipFiles) ? options.skipFiles : [];
+    // Skipped files: add paused so nothing is fetched before the priorities are set
+    if (skipFiles.length > 0) {
+      addOptions.add_paused = true;
+    }
     const b64 = torrentData.toString('base64');
     const hash = await this.client.addTorrentFile('torrent.torrent', b64, addOptions);
 
+    if (hash && skipFiles.length > 0) {
+      await this._applyAddFileSelection(hash, skipFiles, options.start !== false);
+    }
+
     // Set label if Label plugin is available
     if (label && this._labelPluginAvailable && hash) {
       try {
@@ -700,6 +747,30 @@ class DelugeManager extends BaseClientManager {
     return this._flattenFileTree(fileTree);
   }
 
+  /**
+   * Set the priority of files in a torrent.
+   * file_priorities replaces the whole list, so unchanged files keep their current value.
+   * @param {string} hash - Torrent hash
+   * @param {number[]} fileIndexes - File indexes
+   * @param {number} priority - Normalized priority: 0=Off, 1=Normal, 2=High
+   */
+  async setFilePriority(hash, fileIndexes, priority) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const status = await this.client.getTorrentStatus(hash, ['file_priorities']);
+    const priorities = Array.isArray(status?.file_priorities) ? [...status.file_priorities] : [];
+    if (priorities.length === 0) throw new Error('Torrent not found or has no file list');
+
+    // Normalized → Deluge: 0=Do not download, 4=Normal, 7=High
+    const delugePriority = priority === 0 ? 0 : priority >= 2 ? 7 : 4;
+    for (const index of fileIndexes) {
+      if (index >= 0 && index < priorities.length) {
+        priorities[index] = delugePriority;
+      }
+    }
+    await this.client.setTorrentOptions(hash, { file_priorities: priorities });
+  }
+
   /**
    * Flatten Deluge's nested file tree into a flat array.
    * Deluge returns files as { type: "dir", contents: { ... } } or { type: "file", ... }
@@ -738,6 +809,132 @@ class DelugeManager extends BaseClientManager {
     return files;
   }
 
+  // ============================================================================
+  // TRACKERS
+  // set_torrent_trackers replaces the whole list, so edits read-modify-write it
+  // ============================================================================
+
+  /**
+   * Get the tracker list of a torrent as { url, tier } entries
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Array<{url: string, tier: number}>>}
+   */
+  async _getTrackerList(hash) {
+    const status = await this.client.getTorrentStatus(hash, ['trackers']);
+    return (status?.trackers || [])
+      .map(t => ({ url: t.url || t, tier: t.tier || 0 }))
+      .filter(t => typeof t.url === 'string' && t.url.length > 0);
+  }
+
+  /**
+   * Get the announce URLs of a torrent
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<string[]>}
+   */
+  async getTrackerUrls(hash) {
+    if (!this.client) throw new Error('Deluge not connected');
+    return (await this._getTrackerList(hash)).map(t => t.url);
+  }
+
+  /**
+   * Add trackers to a torrent (each in a new tier after the existing ones)
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   */
+  async addTrackers(hash, urls) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const trackers = await this._getTrackerList(hash);
+    const existing = new Set(trackers.map(t => t.url));
+    let tier = trackers.reduce((max, t) => Math.max(max, t.tier), -1);
+    for (const url of urls) {
+      if (!existing.has(url)) {
+        trackers.push({ url, tier: ++tier });
+        existing.add(url);
+      }
+    }
+    await this.client.setTorrentTrackers(hash, trackers);
+  }
+
+  /**
+   * Remove trackers from a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   */
+  async removeTrackers(hash, urls) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const remove = new Set(urls);
+    const trackers = await this._getTrackerList(hash);
+    await this.client.setTorrentTrackers(hash, trackers.filter(t => !remove.has(t.url)));
+  }
+
+  /**
+   * Replace a tracker URL on a torrent (keeps its tier)
+   * @param {string} hash - Torrent hash
+   * @param {string} oldUrl - Current announce URL
+   * @param {string} newUrl - New announce URL
+   */
+  async replaceTracker(hash, oldUrl, newUrl) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const trackers = await this._getTrackerList(hash);
+    if (!trackers.some(t => t.url === oldUrl)) throw new Error(`Tracker not found: ${oldUrl}`);
+    const hasNew = trackers.some(t => t.url === newUrl);
+    const updated = trackers
+      .map(t => (t.url === oldUrl ? { ...t, url: newUrl } : t))
+      // Drop the replaced entry if the new URL was already present
+      .filter((t, i, list) => !hasNew || t.url !== newUrl || list.findIndex(o => o.url === newUrl) === i);
+    await this.client.setTorrentTrackers(hash, updated);
+  }
+
+  // ============================================================================
+  // SPEED LIMITS
+  // Deluge stores rates in KiB/s with -1 meaning unlimited
+  // ============================================================================
+
+  /**
+   * Get global or per-torrent speed limits
+   * @param {Object} opts - { hash } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async getSpeedLimits({ hash = null } = {}) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const keys = ['max_download_speed', 'max_upload_speed'];
+    const values = hash
+      ? await this.client.getTorrentStatus(hash, keys)
+      : await this.client.getConfigValues(keys);
+    const toBytes = (kib) => (kib > 0 ? Math.round(kib * 1024) : 0);
+    return {
+      downloadLimit: toBytes(values?.max_download_speed),
+      uploadLimit: toBytes(values?.max_upload_speed)
+    };
+  }
+
+  /**
+   * Set global or per-torrent speed limits
+   * @param {Object} opts - { hash, downloadLimit, uploadLimit } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } as applied
+   */
+  async setSpeedLimits({ hash = null, downloadLimit, uploadLimit } = {}) {
+    if (!this.client) throw new Error('Deluge not connected');
+
+    const toKiB = (bytes) => (bytes > 0 ? bytes / 1024 : -1);
+    const values = {};
+    if (downloadLimit !== undefined) values.max_download_speed = toKiB(downloadLimit);
+    if (uploadLimit !== undefined) values.max_upload_speed = toKiB(uploadLimit);
+
+    if (Object.keys(values).length > 0) {
+      if (hash) {
+        await this.client.setTorrentOptions(hash, values);
+      } else {
+        await this.client.setConfig(values);
+      }
+    }
+    return await this.getSpeedLimits({ hash });
+  }
+
   // ============================================================================
   // SYNC
   // ============================================================================
@@ -0,0 +1,272 @@
+/**
+ * Event Monitor Module
+ * Detects conditions that no single operation reports and emits them as events
+ *
+ * Checked every minute against DataFetchService's cached batch data:
+ * - downloadStalled: active download without any download speed for stalledMinutes
+ * - noSeeds: active download without seeds (ED2K: sources) for noSeedsMinutes
+ * - ratioReached: completed torrent reaches ratioTarget
+ * - lowDiskSpace: free disk space drops below lowDiskSpaceGB
+ * - updateAvailable: a newer aMuTorrent release is published (checked every few hours)
+ *
+ * Every condition fires once when it starts and re-arms when it clears.
+ * Thresholds live in config.eventMonitor (0 turns an event off).
+ */
+
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const config = require('./config');
+const clientMeta = require('../lib/clientMeta');
+const dataFetchService = require('../lib/DataFetchService');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const versionManager = require('../lib/versionManager');
+const { getDiskSpace } = require('../lib/diskSpace');
+const { itemKey } = require('../lib/itemKey');
+
+// How often to look for new conditions (in milliseconds)
+const MONITOR_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+// Cached batch data older than this is refreshed before checking
+const CACHE_MAX_AGE = 30000;
+
+// How often to ask GitHub for a newer release
+const VERSION_CHECK_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+const GB = 1024 * 1024 * 1024;
+
+class EventMonitor extends BaseModule {
+  constructor() {
+    super();
+    this.checkTimeout = null;
+    this._loopId = 0;             // Bumped by start()/stop(), so checks of a stopped loop don't reschedule
+    this._stalledSince = new Map();   // itemKey → timestamp download speed was first seen at 0
+    this._noSeedsSince = new Map();   // itemKey → timestamp seeds were first seen at 0
+    this._notified = new Set();       // 'stalled:key' / 'noSeeds:key' for conditions already emitted
+    this._ratioReached = null;        // Set of itemKeys at or above the ratio target (null = not primed)
+    this._ratioTarget = null;         // Target the set was built for
+    this._diskLow = false;
+    this._lastVersionCheck = 0;
+    this._announcedVersion = null;
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Start the monitor loop (first check after one interval, so clients have connected)
+   */
+  start() {
+    this.stop();
+    const loopId = this._loopId;
+    this.checkTimeout = setTimeout(() => this._check(loopId), MONITOR_CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop the monitor loop (a check already in progress finishes but doesn't reschedule)
+   */
+  stop() {
+    this._loopId++;
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+  }
+
+  /**
+   * Run all checks and schedule the next one
+   * @param {number} loopId - Loop this check belongs to
+   */
+  async _check(loopId) {
+    try {
+      const thresholds = config.getConfig()?.eventMonitor || {};
+      const now = Date.now();
+
+      const items = await this._getItems();
+      this._checkDownloads(items, thresholds, now);
+      this._checkRatios(items, thresholds.ratioTarget);
+      await this._checkDiskSpace(thresholds.lowDiskSpaceGB);
+      await this._checkVersion(now);
+    } catch (err) {
+      this.log('⚠️  Event monitor check failed:', logger.errorDetail(err));
+    } finally {
+      if (loopId === this._loopId) {
+        this.checkTimeout = setTimeout(() => this._check(loopId), MONITOR_CHECK_INTERVAL);
+      }
+    }
+  }
+
+  /**
+   * Get unified items, refreshing the batch cache if it's stale
+   * @returns {Promise<Array>} Unified items
+   */
+  async _getItems() {
+    const cached = dataFetchService.getCachedBatchData(CACHE_MAX_AGE) || await dataFetchService.getBatchData();
+    return cached?.items || [];
+  }
+
+  // ==========================================================================
+  // CHECKS
+  // ==========================================================================
+
+  /**
+   * Track active downloads without speed or seeds and emit once their time is up
+   * @param {Array} items - Unified items
+   * @param {Object} thresholds - config.eventMonitor
+   * @param {number} now - Current timestamp
+   */
+  _checkDownloads(items, thresholds, now) {
+    const active = new Set();
+
+    for (const item of items) {
+      if (!item.downloading || item.complete || item.status !== 'active') continue;
+      const key = itemKey(item.instanceId, item.hash);
+      active.add(key);
+
+      const seeds = clientMeta.isEd2k(item.client) ? item.sources?.total : item.sources?.seeders;
+      this._trackCondition('stalled', this._stalledSince, key, !(item.downloadSpeed > 0), thresholds.stalledMinutes, now,
+        () => this._emitForItem('downloadStalled', item, { stalledMinutes: thresholds.stalledMinutes }));
+      this._trackCondition('noSeeds', this._noSeedsSince, key, !(seeds > 0), thresholds.noSeedsMinutes, now,
+        () => this._emitForItem('noSeeds', item, { noSeedsMinutes: thresholds.noSeedsMinutes }));
+    }
+
+    // Forget items that finished, were paused or removed
+    for (const [name, since] of [['stalled', this._stalledSince], ['noSeeds', this._noSeedsSince]]) {
+      for (const key of since.keys()) {
+        if (active.has(key)) continue;
+        since.delete(key);
+        this._notified.delete(`${name}:${key}`);
+      }
+    }
+  }
+
+  /**
+   * Start, clear or fire a timed condition of one item
+   * @param {string} name - Condition name (prefix of the notified key)
+   * @param {Map} since - itemKey → timestamp the condition started
+   * @param {string} key - itemKey
+   * @param {boolean} present - Whether the condition holds right now
+   * @param {number} minutes - How long it must hold (0 = off)
+   * @param {number} now - Current timestamp
+   * @param {Function} fire - Emits the event
+   */
+  _trackCondition(name, since, key, present, minutes, now, fire) {
+    const notifiedKey = `${name}:${key}`;
+    if (!present) {
+      since.delete(key);
+      this._notified.delete(notifiedKey);
+      return;
+    }
+    if (!since.has(key)) since.set(key, now);
+    if (!(minutes > 0) || this._notified.has(notifiedKey)) return;
+    if (now - since.get(key) >= minutes * 60000) {
+      this._notified.add(notifiedKey);
+      fire();
+    }
+  }
+
+  /**
+   * Emit ratioReached for completed torrents crossing the ratio target.
+   * Torrents already past the target when the monitor starts (or the target changes) don't fire.
+   * @param {Array} items - Unified items
+   * @param {number} target - Ratio target (0 = off)
+   */
+  _checkRatios(items, target) {
+    if (!(target > 0)) {
+      this._ratioReached = null;
+      return;
+    }
+
+    const primed = this._ratioReached !== null && this._ratioTarget === target;
+    const reached = new Set();
+
+    for (const item of items) {
+      if (!item.complete || !clientMeta.isBittorrent(item.client)) continue;
+      if ((item.ratio || 0) < target) continue;
+      const key = itemKey(item.instanceId, item.hash);
+      reached.add(key);
+      if (primed && !this._ratioReached.has(key)) {
+        this._emitForItem('ratioReached', item, {
+          ratio: Math.round((item.ratio || 0) * 100) / 100,
+          ratioTarget: target,
+          uploaded: item.uploadTotal || 0
+        });
+      }
+    }
+
+    this._ratioReached = reached;
+    this._ratioTarget = target;
+  }
+
+  /**
+   * Emit lowDiskSpace when free space drops below the threshold
+   * @param {number} thresholdGB - Threshold in GB (0 = off)
+   */
+  async _checkDiskSpace(thresholdGB) {
+    if (!(thresholdGB > 0)) {
+      this._diskLow = false;
+      return;
+    }
+
+    const disk = await getDiskSpace();
+    if (disk.error || disk.total === 0) return;
+
+    const threshold = thresholdGB * GB;
+    const low = disk.free < threshold;
+    if (low && !this._diskLow) {
+      this.log(`💾 Low disk space: ${Math.round(disk.free / GB * 10) / 10} GB free (threshold ${thresholdGB} GB)`);
+      eventScriptingManager.emit('lowDiskSpace', {
+        free: disk.free,
+        total: disk.total,
+        percentUsed: disk.percentUsed,
+        threshold
+      });
+    }
+    this._diskLow = low;
+  }
+
+  /**
+   * Emit updateAvailable once per newer release
+   * @param {number} now - Current timestamp
+   */
+  async _checkVersion(now) {
+    if (now - this._lastVersionCheck < VERSION_CHECK_INTERVAL) return;
+    this._lastVersionCheck = now;
+
+    const release = await versionManager.checkGitHubUpdate();
+    const currentVersion = versionManager.getVersion();
+    if (!release?.latestVersion || release.latestVersion === this._announcedVersion) return;
+    if (versionManager.compareSemver(release.latestVersion, currentVersion) <= 0) return;
+
+    this._announcedVersion = release.latestVersion;
+    this.log(`🆕 aMuTorrent ${release.latestVersion} is available (running ${currentVersion})`);
+    eventScriptingManager.emit('updateAvailable', {
+      currentVersion,
+      latestVersion: release.latestVersion,
+      releaseName: release.releaseName || '',
+      releaseUrl: release.releaseUrl || ''
+    });
+  }
+
+  /**
+   * Emit an event about a download
+   * @param {string} eventType - Event type
+   * @param {Object} item - Unified item
+   * @param {Object} extra - Event-specific fields
+   */
+  _emitForItem(eventType, item, extra) {
+    this.log(`🔔 ${eventType}: ${item.name}`);
+    eventScriptingManager.emit(eventType, {
+      hash: item.hash,
+      instanceId: item.instanceId,
+      filename: item.name,
+      clientType: item.client,
+      category: item.category || null,
+      size: item.size || 0,
+      progress: Math.floor(item.progress || 0),
+      ...extra
+    });
+  }
+}
+
+module.exports = new EventMonitor();
@@ -71,7 +71,9 @@ class HistoryAPI extends BaseModule {
         tracker: entry.tracker_domain || null,
         name: entry.filename,
         addedAt: entry.started_at,
-        completedAt: entry.completed_at
+        completedAt: entry.completed_at,
+        ruleAction: entry.rule_action || null,
+        ruleActionAt: entry.rule_action_at || null
       };
 
       // Look up live data from unified items using compound key
@@ -349,6 +351,28 @@ class HistoryAPI extends BaseModule {
       }
     });
 
+    // Look up which search results are already in the history (for "downloaded" badges and filters)
+    // Body: { files: [{ hash, name, size }] } - returns { matches: { hash: { status, completedAt, startedAt } } }
+    // Needs view_history as well, since the matches come from everyone's downloads
+    app.post('/api/history/lookup', requireCapability('search'), viewHistory, (req, res) => {
+      try {
+        if (config.DEMO_MODE) {
+          return res.json({ matches: {} });
+        }
+
+        if (!this.downloadHistoryDB) {
+          return res.status(503).json({ error: 'History service not available' });
+        }
+
+        const files = Array.isArray(req.body?.files) ? req.body.files.slice(0, 5000) : [];
+        const matches = this.downloadHistoryDB.findKnownFiles(files.filter(f => f && typeof f.hash === 'string'));
+        res.json({ matches: Object.fromEntries(matches) });
+      } catch (err) {
+        this.log('Error looking up history:', err.message);
+        res.status(500).json({ error: 'Failed to look up history' });
+      }
+    });
+
     // Get single history entry by hash (optionally scoped to instance)
     app.get('/api/history/:hash', viewHistory, (req, res) => {
       try {
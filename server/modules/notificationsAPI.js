@@ -6,9 +6,13 @@
 const express = require('express');
 const BaseModule = require('../lib/BaseModule');
 const notificationManager = require('../lib/NotificationManager');
+const { normalizeTemplates } = require('../lib/notificationTemplates');
 const response = require('../lib/responseFormatter');
 const { requireAdmin } = require('../middleware/capabilities');
 
+const DELIVERY_MODES = ['native', 'apprise'];
+const SERVICE_TYPES = ['discord', 'telegram', 'slack', 'pushover', 'ntfy', 'gotify', 'email', 'webhook', 'custom'];
+
 class NotificationsAPI extends BaseModule {
   constructor() {
     super();
@@ -49,13 +53,13 @@ class NotificationsAPI extends BaseModule {
   /**
    * POST /api/notifications/config
    * Save notification settings (enabled state, events)
-   * Body: { enabled: boolean, events: { eventType: boolean, ... } }
+   * Body: { enabled: boolean, events: { eventType: boolean, ... }, allowUserServices?: boolean }
    */
   async saveConfig(req, res) {
     try {
-      const { enabled, events } = req.body;
+      const { enabled, events, allowUserServices } = req.body;
 
-      notificationManager.saveConfig({ enabled, events });
+      notificationManager.saveConfig({ enabled, events, allowUserServices });
 
       res.json({
         success: true,
@@ -84,30 +88,24 @@ class NotificationsAPI extends BaseModule {
   /**
    * POST /api/notifications/services
    * Add a new notification service
-   * Body: { name: string, type: string, enabled: boolean, config: object }
+   * Body: { name: string, type: string, enabled: boolean, delivery?: 'native'|'apprise', config: object, templates?: object }
    */
   async addService(req, res) {
     try {
-      const { name, type, enabled, config } = req.body;
+      const { name, type, enabled, delivery, config, templates } = req.body;
 
-      if (!name || typeof name !== 'string' || !name.trim()) {
-        return response.badRequest(res, 'Service name is required');
-      }
-
-      if (!type || typeof type !== 'string') {
-        return response.badRequest(res, 'Service type is required');
-      }
-
-      const validTypes = ['discord', 'telegram', 'slack', 'pushover', 'ntfy', 'gotify', 'email', 'webhook', 'custom'];
-      if (!validTypes.includes(type)) {
-        return response.badRequest(res, `Invalid service type. Must be one of: ${validTypes.join(', ')}`);
+      const error = this._validateService(req.body, true);
+      if (error) {
+        return response.badRequest(res, error);
       }
 
       const service = notificationManager.addService({
         name: name.trim(),
         type,
         enabled: enabled !== false,
-        config: config || {}
+        delivery,
+        config: config || {},
+        templates
       });
 
       res.status(201).json({
@@ -123,17 +121,24 @@ class NotificationsAPI extends BaseModule {
   /**
    * PUT /api/notifications/services/:id
    * Update an existing notification service
-   * Body: { name?: string, enabled?: boolean, config?: object }
+   * Body: { name?: string, enabled?: boolean, delivery?: 'native'|'apprise', config?: object, templates?: object }
    */
   async updateService(req, res) {
     try {
       const { id } = req.params;
-      const { name, enabled, config } = req.body;
+      const { name, enabled, delivery, config, templates } = req.body;
+
+      const error = this._validateService(req.body, false);
+      if (error) {
+        return response.badRequest(res, error);
+      }
 
       const service = notificationManager.updateService(id, {
         name,
         enabled,
-        config
+        delivery,
+        config,
+        templates
       });
 
       if (!service) {
@@ -173,6 +178,61 @@ class NotificationsAPI extends BaseModule {
     }
   }
 
+  /**
+   * GET /api/notifications/templates
+   * Global template overrides, the default templates and available placeholders
+   */
+  async getTemplates(req, res) {
+    try {
+      res.json(notificationManager.getTemplates());
+    } catch (err) {
+      this.log('Error getting notification templates:', err.message);
+      response.serverError(res, 'Failed to get notification templates');
+    }
+  }
+
+  /**
+   * PUT /api/notifications/templates
+   * Replace the global template overrides
+   * Body: { templates: { eventType: { title?: string, body?: string } } }
+   */
+  async saveTemplates(req, res) {
+    try {
+      notificationManager.saveTemplates(req.body?.templates);
+    } catch (err) {
+      return response.badRequest(res, err.message);
+    }
+    res.json({ success: true, message: 'Notification templates saved' });
+  }
+
+  /**
+   * POST /api/notifications/templates/preview
+   * Render a template with sample event data
+   * Body: { eventType: string, title?: string, body?: string }
+   */
+  async previewTemplate(req, res) {
+    const { eventType, title, body } = req.body || {};
+    try {
+      normalizeTemplates({ [eventType]: { title, body } });
+      res.json(notificationManager.previewTemplate(eventType, { title, body }));
+    } catch (err) {
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * GET /api/notifications/deliveries
+   * Recent delivery results per service (kept in memory, newest first)
+   */
+  async getDeliveries(req, res) {
+    try {
+      res.json({ deliveries: notificationManager.getDeliveryLog() });
+    } catch (err) {
+      this.log('Error getting notification deliveries:', err.message);
+      response.serverError(res, 'Failed to get notification deliveries');
+    }
+  }
+
   /**
    * POST /api/notifications/test
    * Test all enabled notification services
@@ -203,10 +263,217 @@ class NotificationsAPI extends BaseModule {
     }
   }
 
+  // ==========================================================================
+  // PERSONAL SERVICES (any logged-in user, own services only)
+  // ==========================================================================
+
+  /**
+   * Resolve the user ID of the session, or respond with an error
+   * @returns {number|null} User ID, or null when a response was sent
+   */
+  _requireUser(req, res) {
+    const userId = req.session?.authenticated ? req.session.userId : null;
+    if (!userId || !this.userManager) {
+      response.badRequest(res, 'Personal notifications require a user account');
+      return null;
+    }
+    return userId;
+  }
+
+  /**
+   * Reject changes while the admin has personal services turned off
+   * @returns {boolean} True when a response was sent
+   */
+  _rejectIfNotAllowed(res) {
+    if (notificationManager.isUserServicesAllowed()) return false;
+    response.forbidden(res, 'Personal notification services are disabled by the administrator');
+    return true;
+  }
+
+  /**
+   * GET /api/notifications/me
+   * The user's event subscriptions and personal services
+   */
+  async getMyNotifications(req, res) {
+    const userId = this._requireUser(req, res);
+    if (!userId) return;
+    try {
+      res.json(notificationManager.getUserNotifications(userId));
+    } catch (err) {
+      this.log('Error getting personal notifications:', err.message);
+      response.serverError(res, 'Failed to get personal notifications');
+    }
+  }
+
+  /**
+   * PUT /api/notifications/me/events
+   * Replace the user's event subscriptions (download events of downloads they own)
+   * Body: { events: { eventType: boolean, ... } }
+   */
+  async saveMyEvents(req, res) {
+    const userId = this._requireUser(req, res);
+    if (!userId || this._rejectIfNotAllowed(res)) return;
+    try {
+      notificationManager.saveUserEvents(userId, req.body?.events);
+      res.json({ success: true, message: 'Subscriptions saved' });
+    } catch (err) {
+      this.log('Error saving personal subscriptions:', err.message);
+      response.serverError(res, 'Failed to save subscriptions');
+    }
+  }
+
+  /**
+   * POST /api/notifications/me/services
+   * Add a personal service
+   * Body: { name: string, type: string, enabled: boolean, delivery?: 'native'|'apprise', config: object }
+   */
+  async addMyService(req, res) {
+    const userId = this._requireUser(req, res);
+    if (!userId || this._rejectIfNotAllowed(res)) return;
+    try {
+      const { name, type, enabled, delivery, config } = req.body;
+      const error = this._validateService({ name, type, delivery }, true)
+        || await notificationManager.checkUserServiceTarget({ type, config: config || {} });
+      if (error) {
+        return response.badRequest(res, error);
+      }
+
+      const service = notificationManager.addUserService(userId, {
+        name: name.trim(),
+        type,
+        enabled: enabled !== false,
+        delivery,
+        config: config || {}
+      });
+      res.status(201).json({ success: true, service });
+    } catch (err) {
+      this.log('Error adding personal notification service:', err.message);
+      response.serverError(res, 'Failed to add notification service');
+    }
+  }
+
+  /**
+   * PUT /api/notifications/me/services/:id
+   * Update a personal service
+   * Body: { name?: string, enabled?: boolean, delivery?: 'native'|'apprise', config?: object }
+   */
+  async updateMyService(req, res) {
+    const userId = this._requireUser(req, res);
+    if (!userId || this._rejectIfNotAllowed(res)) return;
+    try {
+      const { name, enabled, delivery, config } = req.body;
+      const error = this._validateService({ name, delivery }, false)
+        || await notificationManager.checkUserServiceUpdate(userId, req.params.id, { config });
+      if (error) {
+        return response.badRequest(res, error);
+      }
+
+      const service = notificationManager.updateUserService(userId, req.params.id, { name, enabled, delivery, config });
+      if (!service) {
+        return response.notFound(res, 'Service not found');
+      }
+      res.json({ success: true, service });
+    } catch (err) {
+      this.log('Error updating personal notification service:', err.message);
+      response.serverError(res, 'Failed to update notification service');
+    }
+  }
+
+  /**
+   * DELETE /api/notifications/me/services/:id
+   * Delete a personal service (allowed even while personal services are disabled)
+   */
+  async deleteMyService(req, res) {
+    const userId = this._requireUser(req, res);
+    if (!userId) return;
+    try {
+      if (!notificationManager.deleteUserService(userId, req.params.id)) {
+        return response.notFound(res, 'Service not found');
+      }
+      res.json({ success: true, message: 'Service deleted' });
+    } catch (err) {
+      this.log('Error deleting personal notification service:', err.message);
+      response.serverError(res, 'Failed to delete notification service');
+    }
+  }
+
+  /**
+   * POST /api/notifications/me/test/:id
+   * Send a test notification to a personal service
+   */
+  async testMyService(req, res) {
+    const userId = this._requireUser(req, res);
+    if (!userId || this._rejectIfNotAllowed(res)) return;
+    try {
+      const result = await notificationManager.testUserService(userId, req.params.id);
+      if (!result) {
+        return response.notFound(res, 'Service not found');
+      }
+      res.json(result);
+    } catch (err) {
+      this.log('Error testing personal notification service:', err.message);
+      response.serverError(res, 'Failed to test notification service');
+    }
+  }
+
+  /**
+   * Validate the fields of a service add/update request
+   * @param {Object} body - { name, type, delivery, templates }
+   * @param {boolean} isNew - Name and type are required for new services
+   * @returns {string|null} Error message, or null when valid
+   */
+  _validateService({ name, type, delivery, templates }, isNew) {
+    if (isNew || name !== undefined) {
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        return 'Service name is required';
+      }
+    }
+
+    if (isNew) {
+      if (!type || typeof type !== 'string') {
+        return 'Service type is required';
+      }
+      if (!SERVICE_TYPES.includes(type)) {
+        return `Invalid service type. Must be one of: ${SERVICE_TYPES.join(', ')}`;
+      }
+    }
+
+    if (delivery !== undefined && !DELIVERY_MODES.includes(delivery)) {
+      return `Invalid delivery. Must be one of: ${DELIVERY_MODES.join(', ')}`;
+    }
+
+    try {
+      if (templates !== undefined) normalizeTemplates(templates);
+    } catch (err) {
+      return err.message;
+    }
+    return null;
+  }
+
   /**
    * Register all notification API routes
    */
   registerRoutes(app) {
+    // Personal services: any logged-in user (mounted first, the admin router below rejects non-admins)
+    const userRouter = express.Router();
+    userRouter.use(express.json());
+
+    // GET /api/notifications/me - Own subscriptions and services
+    userRouter.get('/', this.getMyNotifications.bind(this));
+
+    // PUT /api/notifications/me/events - Own event subscriptions
+    userRouter.put('/events', this.saveMyEvents.bind(this));
+
+    // POST/PUT/DELETE /api/notifications/me/services - Own services
+    userRouter.post('/services', this.addMyService.bind(this));
+    userRouter.put('/services/:id', this.updateMyService.bind(this));
+    userRouter.delete('/services/:id', this.deleteMyService.bind(this));
+
+    // POST /api/notifications/me/test/:id - Test own service
+    userRouter.post('/test/:id', this.testMyService.bind(this));
+
+    app.use('/api/notifications/me', userRouter);
+
     const router = express.Router();
 
     // All routes use JSON
@@ -234,6 +501,16 @@ class NotificationsAPI extends BaseModule {
     // DELETE /api/notifications/services/:id - Delete service
     router.delete('/services/:id', this.deleteService.bind(this));
 
+    // GET/PUT /api/notifications/templates - Global notification templates
+    router.get('/templates', this.getTemplates.bind(this));
+    router.put('/templates', this.saveTemplates.bind(this));
+
+    // POST /api/notifications/templates/preview - Render a template with sample data
+    router.post('/templates/preview', this.previewTemplate.bind(this));
+
+    // GET /api/notifications/deliveries - Recent delivery results per service
+    router.get('/deliveries', this.getDeliveries.bind(this));
+
     // POST /api/notifications/test - Test all services
     router.post('/test', this.testAll.bind(this));
 
@@ -0,0 +1,650 @@
+/**
+ * NZBGet Client Management Module
+ * Handles NZBGet connection, reconnection, and data retrieval
+ *
+ * The download list is the queue plus the history. Jobs are identified by
+ * their numeric NZBID, which stays the same when a job moves to the history.
+ * NZBGet reports no per-job speed; it is estimated from the downloaded bytes
+ * between two fetches.
+ */
+
+const BaseClientManager = require('../lib/BaseClientManager');
+const NzbgetClient = require('../lib/nzbget/NzbgetClient');
+const logger = require('../lib/logger');
+const { normalizeNzbgetGroup, normalizeNzbgetHistoryItem, joinNzbgetSize } = require('../lib/downloadNormalizer');
+
+// Number of history entries shown next to the queue
+const HISTORY_LIMIT = 50;
+
+// Unified priority → NZBGet priority (-50 low, 0 normal, 50 high)
+const PRIORITY_MAP = { 1: -50, 2: 0, 3: 50 };
+
+class NzbgetManager extends BaseClientManager {
+  constructor() {
+    super();
+    this.lastJobs = [];
+    this.cachedConfig = null;
+    // Downloaded bytes per queued job at the last fetch (for speed estimates)
+    this._lastSample = { at: null, downloaded: new Map() };
+  }
+
+  /**
+   * Initialize NZBGet client
+   * @returns {Promise<boolean>} True if connection successful
+   */
+  async initClient() {
+    // Prevent concurrent connection attempts
+    if (this.connectionInProgress) {
+      this.log('  NZBGet connection attempt already in progress, skipping...');
+      return false;
+    }
+
+    // Check if NZBGet is enabled and configured
+    if (!this._clientConfig || !this._clientConfig.enabled) {
+      this.log('  NZBGet integration is disabled');
+      return false;
+    }
+
+    if (!this._clientConfig.host) {
+      this.log('  NZBGet host not configured');
+      return false;
+    }
+
+    this.connectionInProgress = true;
+
+    try {
+      // Cleanup old client
+      if (this.client) {
+        this.log('Cleaning up old NZBGet client...');
+        await this.client.disconnect();
+        this.client = null;
+      }
+
+      this.log(`Creating new NZBGet client (${this._clientConfig.host}:${this._clientConfig.port})...`);
+
+      const newClient = new NzbgetClient({
+        host: this._clientConfig.host,
+        port: this._clientConfig.port || 6789,
+        username: this._clientConfig.username || '',
+        password: this._clientConfig.password || '',
+        useSsl: this._clientConfig.useSsl || false
+      });
+
+      // Test the connection
+      const testResult = await newClient.testConnection();
+
+      if (!testResult.success) {
+        throw new Error(testResult.error || 'Connection test failed');
+      }
+
+      this.client = newClient;
+      this._clearConnectionError();
+      this.log(`Connected to NZBGet ${testResult.version} successfully`);
+
+      // Stop reconnection attempts
+      this.clearReconnect();
+
+      // Cache configuration (for default directory and categories)
+      try {
+        this.cachedConfig = await newClient.getConfig();
+      } catch (err) {
+        this.log('Could not fetch NZBGet configuration:', logger.errorDetail(err));
+      }
+
+      // Notify connection listeners
+      this._onConnectCallbacks.forEach(cb => cb());
+
+      return true;
+    } catch (err) {
+      this.log('Failed to connect to NZBGet:', logger.errorDetail(err));
+      this._setConnectionError(err);
+      this.client = null;
+      return false;
+    } finally {
+      this.connectionInProgress = false;
+    }
+  }
+
+  /**
+   * Start connection and auto-reconnect
+   */
+  async startConnection() {
+    if (!this._clientConfig || !this._clientConfig.enabled) {
+      this.log('NZBGet integration is disabled, skipping connection');
+      return;
+    }
+
+    const connected = await this.initClient();
+    if (!connected) {
+      this.scheduleReconnect(30000);
+    }
+  }
+
+  /**
+   * Check if client is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return !!this.client && this.client.isConnected();
+  }
+
+  /**
+   * Mark the connection as lost after a failed call and retry later
+   * @param {Error} err - Error of the failed call
+   */
+  _handleFetchError(err) {
+    this._setConnectionError(err);
+    if (this.client) {
+      this.client.connected = false;
+    }
+    this.scheduleReconnect(30000);
+  }
+
+  // ============================================================================
+  // DATA FETCHING
+  // ============================================================================
+
+  /**
+   * Get queue and recent history, normalized.
+   * @returns {Promise<Array>} Normalized downloads
+   */
+  async getJobs() {
+    if (!this.client) {
+      return [];
+    }
+
+    try {
+      const [groups, history] = await Promise.all([
+        this.client.listGroups(),
+        this.client.getHistory()
+      ]);
+
+      const speeds = this._estimateSpeeds(groups);
+      const jobs = [
+        ...groups.map(group => normalizeNzbgetGroup(group, speeds.get(group.NZBID) || 0)),
+        ...history
+          .filter(item => item.Kind !== 'DUP')
+          .sort((a, b) => (b.HistoryTime || 0) - (a.HistoryTime || 0))
+          .slice(0, HISTORY_LIMIT)
+          .map(item => normalizeNzbgetHistoryItem(item))
+      ];
+
+      this.lastJobs = jobs;
+      return jobs;
+    } catch (err) {
+      this.log('Error fetching NZBGet jobs:', logger.errorDetail(err));
+      this._handleFetchError(err);
+      return this.lastJobs; // Return cached data on error
+    }
+  }
+
+  /**
+   * Estimate the download speed of each queued job from the bytes downloaded
+   * since the previous fetch.
+   * @param {Array} groups - Groups from listgroups
+   * @returns {Map<number, number>} NZBID → bytes/s
+   */
+  _estimateSpeeds(groups) {
+    const now = Date.now();
+    const previous = this._lastSample;
+    const seconds = previous.at ? (now - previous.at) / 1000 : 0;
+    const speeds = new Map();
+    const downloaded = new Map();
+
+    for (const group of groups) {
+      const bytes = joinNzbgetSize(group, 'DownloadedSize');
+      downloaded.set(group.NZBID, bytes);
+      const before = previous.downloaded.get(group.NZBID);
+      if (seconds > 0 && before !== undefined && bytes > before) {
+        speeds.set(group.NZBID, Math.round((bytes - before) / seconds));
+      }
+    }
+
+    this._lastSample = { at: now, downloaded };
+    return speeds;
+  }
+
+  /**
+   * Find the last fetched job of an item
+   * @param {string} hash - Item hash (NZBID)
+   * @returns {Object} Normalized job
+   * @throws {Error} If the job is unknown
+   */
+  _getJob(hash) {
+    const key = String(hash || '');
+    const job = this.lastJobs.find(j => j.hash === key);
+    if (!job) throw new Error(`Job not found in NZBGet: ${hash}`);
+    return job;
+  }
+
+  /**
+   * Get global stats from NZBGet
+   * @returns {Promise<Object>} { uploadSpeed, downloadSpeed, uploadTotal, downloadTotal, ... }
+   */
+  async getGlobalStats() {
+    if (!this.client) {
+      return { uploadSpeed: 0, downloadSpeed: 0, uploadTotal: 0, downloadTotal: 0 };
+    }
+
+    try {
+      const [status, volumes] = await Promise.all([
+        this.client.getStatus(),
+        this.client.getServerVolumes()
+      ]);
+
+      return {
+        uploadSpeed: 0,
+        downloadSpeed: status.DownloadRate || 0,
+        uploadTotal: 0,
+        // Entry 0 sums up all news servers
+        downloadTotal: joinNzbgetSize(volumes[0], 'TotalSize'),
+        downloadLimit: status.DownloadLimit || 0,
+        paused: status.DownloadPaused === true
+      };
+    } catch (err) {
+      this.log('❌ Error fetching NZBGet stats:', logger.errorDetail(err));
+      this._handleFetchError(err);
+      return { uploadSpeed: 0, downloadSpeed: 0, uploadTotal: 0, downloadTotal: 0 };
+    }
+  }
+
+  // ============================================================================
+  // UNIFIED DATA FETCHING (same interface as all managers)
+  // ============================================================================
+
+  /**
+   * Fetch and normalize all data from NZBGet.
+   * @returns {Promise<Object>} { downloads, sharedFiles }
+   */
+  async fetchData() {
+    const downloads = await this.getJobs();
+
+    // Stamp instanceId on all normalized items
+    const instanceId = this.instanceId;
+    downloads.forEach(d => { d.instanceId = instanceId; });
+
+    // Nothing is uploaded on Usenet
+    return { downloads, sharedFiles: [] };
+  }
+
+  // ============================================================================
+  // UNIFIED STATS & NETWORK STATUS (same interface as all managers)
+  // ============================================================================
+
+  /**
+   * Get raw stats from NZBGet (alias for getGlobalStats)
+   * @returns {Promise<Object>} Raw stats
+   */
+  async getStats() {
+    return await this.getGlobalStats();
+  }
+
+  /**
+   * Extract normalized metrics from raw NZBGet stats
+   * @param {Object} rawStats - Raw stats (already normalized by getGlobalStats)
+   * @returns {Object} { uploadSpeed, downloadSpeed, uploadTotal, downloadTotal }
+   */
+  extractMetrics(rawStats) {
+    return {
+      uploadSpeed: 0,
+      downloadSpeed: rawStats.downloadSpeed || 0,
+      uploadTotal: 0,
+      downloadTotal: rawStats.downloadTotal || 0
+    };
+  }
+
+  /**
+   * Compute network status from raw NZBGet stats
+   * There is no port to test; a paused queue is shown as a warning.
+   * @param {Object} rawStats - Raw stats (already normalized by getGlobalStats)
+   * @returns {Object} { status, text, connectionStatus, listenPort }
+   */
+  getNetworkStatus(rawStats) {
+    return {
+      status: rawStats.paused ? 'yellow' : 'green',
+      text: rawStats.paused ? 'Paused' : 'OK',
+      connectionStatus: 'connected',
+      listenPort: null
+    };
+  }
+
+  /**
+   * Extract normalized history metadata from a normalized NZBGet job
+   * @param {Object} item - Normalized NZBGet job
+   * @returns {Object} Normalized metadata for history DB
+   */
+  extractHistoryMetadata(item) {
+    return {
+      hash: item.hash,
+      instanceId: item.instanceId,
+      size: item.size,
+      name: item.name,
+      downloaded: item.downloaded || 0,
+      uploaded: 0,
+      ratio: 0,
+      trackerDomain: null,
+      directory: item.directory || null,
+      multiFile: true,
+      category: item.category || null
+    };
+  }
+
+  // ============================================================================
+  // UNIFIED DOWNLOAD CONTROL (same interface as all managers)
+  // ============================================================================
+
+  /**
+   * Pause a queued job (history entries are left as they are)
+   * @param {string} hash - Item hash
+   */
+  async pause(hash) {
+    if (!this.client) throw new Error('NZBGet not connected');
+    const job = this._getJob(hash);
+    if (job.isHistory) return;
+    await this.client.editQueue('GroupPause', '', [job.id]);
+  }
+
+  /**
+   * Resume a queued job
+   * @param {string} hash - Item hash
+   */
+  async resume(hash) {
+    if (!this.client) throw new Error('NZBGet not connected');
+    const job = this._getJob(hash);
+    if (job.isHistory) {
+      throw new Error('NZBGet cannot resume finished jobs');
+    }
+    await this.client.editQueue('GroupResume', '', [job.id]);
+  }
+
+  /**
+   * Hard stop a job (NZBGet: same as pause)
+   * @param {string} hash - Item hash
+   */
+  async stop(hash) {
+    return await this.pause(hash);
+  }
+
+  /**
+   * Remove a job from the queue or history.
+   * Queued jobs are deleted with their partial data and without a history entry.
+   * @param {string} hash - Item hash
+   */
+  async removeDownload(hash) {
+    if (!this.client) throw new Error('NZBGet not connected');
+    const job = this._getJob(hash);
+
+    await this.client.editQueue(job.isHistory ? 'HistoryFinalDelete' : 'GroupFinalDelete', '', [job.id]);
+
+    this.lastJobs = this.lastJobs.filter(j => j.hash !== job.hash);
+    this.trackDeletion(hash);
+  }
+
+  /**
+   * Delete an item
+   * NZBGet deletes partial data of queued jobs, but not the output of finished
+   * ones — that folder is returned for the caller to delete.
+   * @param {string} hash - Item hash
+   * @param {Object} options - { deleteFiles }
+   * @returns {Promise<Object>} { success, pathsToDelete }
+   */
+  async deleteItem(hash, { deleteFiles } = {}) {
+    const job = this._getJob(hash);
+    const pathsToDelete = deleteFiles && job.isHistory && job.isComplete && job.directory ? [job.directory] : [];
+    await this.removeDownload(hash);
+    return { success: true, pathsToDelete };
+  }
+
+  // ============================================================================
+  // ADD DOWNLOADS
+  // ============================================================================
+
+  /**
+   * Build NZBGet-native options from unified format.
+   * Unified: { categoryName, priority, start, username }
+   * NZBGet: { category, priority, paused }
+   */
+  _buildAddOptions(options) {
+    const rawLabel = options.categoryName ?? options.category ?? '';
+    const label = rawLabel === 'Default' ? '' : rawLabel;
+    return {
+      addArgs: {
+        category: label,
+        priority: PRIORITY_MAP[options.priority] ?? 0,
+        paused: options.start === false
+      },
+      label
+    };
+  }
+
+  /**
+   * Add an NZB from raw data (Buffer)
+   * @param {Buffer} nzbData - Raw .nzb file contents
+   * @param {Object} options - Unified options { categoryName, priority, start, filename, username }
+   * @returns {Promise<string>} Hash of the new job
+   */
+  async addNzbRaw(nzbData, options = {}) {
+    if (!this.client) throw new Error('NZBGet not connected');
+
+    const { addArgs, label } = this._buildAddOptions(options);
+    const filename = options.filename || 'upload.nzb';
+    const nzbId = await this.client.append(filename, nzbData.toString('base64'), addArgs);
+
+    // Track in history
+    const hash = String(nzbId);
+    this.trackDownload(hash, filename.replace(/\.nzb$/i, ''), null, options.username, label || null);
+    return hash;
+  }
+
+  /**
+   * Add an NZB by URL (NZBGet downloads the NZB file)
+   * @param {string} url - NZB URL
+   * @param {Object} options - Unified options { categoryName, priority, start, username }
+   * @returns {Promise<string>} Hash of the new job
+   */
+  async addUrl(url, options = {}) {
+    if (!this.client) throw new Error('NZBGet not connected');
+
+    const { addArgs, label } = this._buildAddOptions(options);
+    const nzbId = await this.client.append('', url, addArgs);
+
+    // Track in history (NZBGet names the job once the NZB is fetched)
+    const hash = String(nzbId);
+    this.trackDownload(hash, url.split('?')[0].split('/').pop() || url, null, options.username, label || null);
+    return hash;
+  }
+
+  // ============================================================================
+  // CATEGORY / LABEL MANAGEMENT
+  // Categories are defined in nzbget.conf (Category1.Name, Category1.DestDir, ...)
+  // and can't be created over the API; they are imported into the app on connect.
+  // ============================================================================
+
+  /**
+   * Set category for a queued job (unified interface)
+   * @param {string} hash - Item hash
+   * @param {Object} options - { categoryName }
+   * @returns {Promise<Object>} { success }
+   */
+  async setCategoryOrLabel(hash, { categoryName } = {}) {
+    if (!this.client) throw new Error('NZBGet not connected');
+    const job = this._getJob(hash);
+    if (job.isHistory) {
+      throw new Error('NZBGet cannot change the category of finished jobs');
+    }
+
+    const category = !categoryName || categoryName === 'Default' ? '' : categoryName;
+    await this.client.editQueue('GroupApplyCategory', category, [job.id]);
+    return { success: true };
+  }
+
+  /**
+   * Get categories from the NZBGet configuration
+   * A category without DestDir downloads to <DestDir>/<name>.
+   * @returns {Promise<Object>} Map of name → { name, dir }
+   */
+  async getCategories() {
+    if (!this.client) throw new Error('NZBGet not connected');
+
+    const config = await this.client.getConfig();
+    this.cachedConfig = config;
+
+    const categories = {};
+    for (const [key, name] of Object.entries(config)) {
+      const match = /^Category(\d+)\.Name$/i.exec(key);
+      if (!match || !name) continue;
+      const dir = config[`Category${match[1]}.DestDir`] || (config.DestDir ? `${config.DestDir.replace(/\/+$/, '')}/${name}` : '');
+      categories[name] = { name, dir };
+    }
+    return categories;
+  }
+
+  // ============================================================================
+  // FILES
+  // ============================================================================
+
+  /**
+   * Get files of a queued job (NZBGet lists no files for finished jobs)
+   * @param {string} hash - Item hash
+   * @returns {Promise<Array>} Array of file objects
+   */
+  async getFiles(hash) {
+    if (!this.client) throw new Error('NZBGet not connected');
+
+    const job = this._getJob(hash);
+    if (job.isHistory) return [];
+
+    const files = await this.client.listFiles(job.id);
+    return files.map((file, index) => {
+      const size = joinNzbgetSize(file, 'FileSize');
+      const left = joinNzbgetSize(file, 'RemainingSize');
+      return {
+        path: file.Filename || file.Subject || '',
+        size,
+        progress: size > 0 ? parseFloat(((size - left) / size * 100).toFixed(2)) : 0,
+        priority: file.Paused ? 0 : 1,
+        index
+      };
+    });
+  }
+
+  // ============================================================================
+  // SPEED LIMITS
+  // NZBGet only limits the download speed of the whole queue
+  // ============================================================================
+
+  /**
+   * Get the global speed limit
+   * @param {Object} opts - { hash } — per-job limits are not supported
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async getSpeedLimits({ hash = null } = {}) {
+    if (!this.client) throw new Error('NZBGet not connected');
+    if (hash) throw new Error('NZBGet has no per-job speed limits');
+
+    const status = await this.client.getStatus();
+    return {
+      downloadLimit: status.DownloadLimit || 0,
+      uploadLimit: 0
+    };
+  }
+
+  /**
+   * Set the global speed limit (the upload limit is ignored)
+   * @param {Object} opts - { hash, downloadLimit, uploadLimit }
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } as applied
+   */
+  async setSpeedLimits({ hash = null, downloadLimit } = {}) {
+    if (!this.client) throw new Error('NZBGet not connected');
+    if (hash) throw new Error('NZBGet has no per-job speed limits');
+
+    if (downloadLimit !== undefined) {
+      await this.client.setRate(downloadLimit);
+    }
+    return await this.getSpeedLimits();
+  }
+
+  // ============================================================================
+  // SYNC
+  // ============================================================================
+
+  /**
+   * Import NZBGet categories into the app when this instance connects.
+   * App categories can't be pushed back (they live in nzbget.conf).
+   * @param {Object} categoryManager - CategoryManager instance
+   */
+  async onConnectSync(categoryManager) {
+    const defaultDir = await this.getDefaultDirectory();
+    if (defaultDir) {
+      categoryManager.setClientDefaultPath(this.instanceId, defaultDir);
+    }
+
+    const nzbCategories = await this.getCategories();
+
+    let createdInApp = 0;
+    for (const [name, cat] of Object.entries(nzbCategories)) {
+      if (categoryManager.getByName(name)) continue;
+      categoryManager.importCategory({
+        name, path: cat.dir || null,
+        comment: 'Auto-created from NZBGet category'
+      });
+      createdInApp++;
+    }
+    if (createdInApp > 0) await categoryManager.save();
+
+    this.log(`📊 NZBGet sync complete: ${createdInApp} imported`);
+
+    // Propagate all app categories to other connected clients that may not have them
+    await categoryManager.propagateToOtherClients(this.instanceId);
+    await categoryManager.validateAllPaths();
+  }
+
+  // ============================================================================
+  // MISC
+  // ============================================================================
+
+  /**
+   * Get the destination folder (DestDir) from the NZBGet configuration.
+   * @returns {Promise<string|null>} Default save path or null
+   */
+  async getDefaultDirectory() {
+    if (!this.client) return null;
+
+    try {
+      if (!this.cachedConfig) {
+        this.cachedConfig = await this.client.getConfig();
+      }
+      return this.cachedConfig?.DestDir || null;
+    } catch (err) {
+      this.log('Failed to get NZBGet default directory:', logger.errorDetail(err));
+      return null;
+    }
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  async shutdown() {
+    this.log('Shutting down NZBGet connection...');
+
+    // Stop reconnection attempts
+    this.clearReconnect();
+
+    // Wait for any ongoing connection attempts
+    let waitAttempts = 0;
+    while (this.connectionInProgress && waitAttempts < 50) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      waitAttempts++;
+    }
+
+    if (this.client) {
+      await this.client.disconnect();
+      this.client = null;
+    }
+
+    this.connectionInProgress = false;
+    this.log('NZBGet connection shutdown complete');
+  }
+}
+
+module.exports = { NzbgetManager };
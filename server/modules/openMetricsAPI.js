@@ -0,0 +1,215 @@
+/**
+ * OpenMetrics API Module
+ * Exposes per-instance gauges and counters at /metrics in OpenMetrics text format
+ * for Prometheus-compatible scrapers (authenticated by API key)
+ */
+
+const BaseModule = require('../lib/BaseModule');
+const config = require('./config');
+const logger = require('../lib/logger');
+const response = require('../lib/responseFormatter');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const dataFetchService = require('../lib/DataFetchService');
+const moveOperationManager = require('../lib/MoveOperationManager');
+const versionManager = require('../lib/versionManager');
+const autoRefreshManager = require('./autoRefreshManager');
+const { OpenMetricsWriter, CONTENT_TYPE } = require('../lib/openMetrics');
+
+// Reuse batch data up to this age instead of fetching every client again
+const CACHE_MAX_AGE = 15000;
+
+const HEALTH_STATES = ['unknown', 'available', 'unavailable'];
+
+const PREFIX = 'amutorrent';
+
+class OpenMetricsAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Middleware to check API key authentication
+   * Accepts "Authorization: Bearer <key>", "X-API-Key: <key>" or ?apikey=<key>.
+   * The key's user needs the view_statistics capability (admins have it implicitly).
+   */
+  checkApiKey(req, res, next) {
+    if (!config.getAuthEnabled()) return next();
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const apiKey = bearer?.[1] || req.headers['x-api-key'] || req.query.apikey;
+    if (!apiKey) {
+      return response.unauthorized(res, 'API key required');
+    }
+
+    try {
+      if (!this.userManager) {
+        return response.serverError(res, 'User management not available');
+      }
+
+      const user = this.userManager.getUserByApiKey(apiKey);
+      if (!user || user.disabled) {
+        return response.unauthorized(res, 'Invalid API key');
+      }
+
+      if (!this.userManager.resolveCapabilities(user).includes('view_statistics')) {
+        return response.forbidden(res, 'Insufficient permissions');
+      }
+
+      next();
+    } catch (err) {
+      this.log('Metrics API key verification error:', err);
+      response.serverError(res, 'Internal server error');
+    }
+  }
+
+  /**
+   * Count items per instance and status
+   * @returns {Promise<Map<string, Object>>} instanceId -> { [status]: count }
+   * @private
+   */
+  async _countItems() {
+    const counts = new Map();
+    let batchData;
+    try {
+      batchData = dataFetchService.getCachedBatchData(CACHE_MAX_AGE) || await dataFetchService.getBatchData();
+    } catch (err) {
+      this.log('⚠️ Error fetching items for metrics:', logger.errorDetail(err));
+      return counts;
+    }
+
+    for (const item of batchData?.items || []) {
+      if (!item.instanceId) continue;
+      const byStatus = counts.get(item.instanceId) || {};
+      byStatus[item.status] = (byStatus[item.status] || 0) + 1;
+      counts.set(item.instanceId, byStatus);
+    }
+    return counts;
+  }
+
+  /**
+   * Count move operations per instance and status
+   * @returns {Map<string, Object>} instanceId -> { [status]: count }
+   * @private
+   */
+  _countMoveOperations() {
+    const counts = new Map();
+    for (const op of moveOperationManager.getActiveOperations().values()) {
+      const instanceId = op.instanceId || '';
+      const byStatus = counts.get(instanceId) || {};
+      byStatus[op.status] = (byStatus[op.status] || 0) + 1;
+      counts.set(instanceId, byStatus);
+    }
+    return counts;
+  }
+
+  /**
+   * Build the exposition text
+   * @returns {Promise<string>}
+   */
+  async buildMetrics() {
+    const w = new OpenMetricsWriter();
+    w.declare(`${PREFIX}_build`, 'info', 'Build information')
+      .declare(`${PREFIX}_client`, 'info', 'Configured client instances')
+      .declare(`${PREFIX}_client_enabled`, 'gauge', 'Whether the client instance is enabled')
+      .declare(`${PREFIX}_client_connected`, 'gauge', 'Whether the client instance is currently connected')
+      .declare(`${PREFIX}_client_health`, 'stateset', 'Debounced client health state')
+      .declare(`${PREFIX}_client_consecutive_failures`, 'gauge', 'Consecutive failed connection checks')
+      .declare(`${PREFIX}_client_stats_age_seconds`, 'gauge', 'Seconds since the last successful stats fetch')
+      .declare(`${PREFIX}_download_speed_bytes_per_second`, 'gauge', 'Current download speed')
+      .declare(`${PREFIX}_upload_speed_bytes_per_second`, 'gauge', 'Current upload speed')
+      .declare(`${PREFIX}_downloaded_bytes`, 'counter', 'Total bytes downloaded as reported by the client')
+      .declare(`${PREFIX}_uploaded_bytes`, 'counter', 'Total bytes uploaded as reported by the client')
+      .declare(`${PREFIX}_items`, 'gauge', 'Downloads and shared files by status')
+      .declare(`${PREFIX}_move_operations`, 'gauge', 'Queued, running and failed move operations by status')
+      .declare(`${PREFIX}_ed2k_connected`, 'gauge', 'Whether aMule is connected to an ED2K server')
+      .declare(`${PREFIX}_ed2k_high_id`, 'gauge', 'Whether aMule has a High ID on the ED2K server')
+      .declare(`${PREFIX}_ed2k_server_ping_milliseconds`, 'gauge', 'Ping to the connected ED2K server')
+      .declare(`${PREFIX}_kad_connected`, 'gauge', 'Whether aMule is connected to Kad')
+      .declare(`${PREFIX}_kad_firewalled`, 'gauge', 'Whether aMule is firewalled on Kad');
+
+    w.add(`${PREFIX}_build`, { version: versionManager.getVersion() }, 1);
+
+    const latestStats = autoRefreshManager.getLatestInstanceStats();
+    const itemCounts = await this._countItems();
+    const moveCounts = this._countMoveOperations();
+    const now = Date.now();
+
+    registry.forEach((manager, instanceId, clientType) => {
+      const labels = { instance_id: instanceId };
+      const connected = !!manager.isConnected();
+
+      w.add(`${PREFIX}_client`, {
+        ...labels,
+        instance_name: manager.displayName || instanceId,
+        client: clientType,
+        network: clientMeta.getNetworkType(clientType)
+      }, 1);
+      w.add(`${PREFIX}_client_enabled`, labels, !!manager.isEnabled());
+      w.add(`${PREFIX}_client_connected`, labels, connected);
+
+      const health = autoRefreshManager.getClientHealth(instanceId);
+      if (health) {
+        w.addStateSet(`${PREFIX}_client_health`, labels, HEALTH_STATES, health.status);
+        w.add(`${PREFIX}_client_consecutive_failures`, labels, health.consecutiveFailures);
+      }
+
+      const latest = latestStats.get(instanceId);
+      if (latest) {
+        w.add(`${PREFIX}_client_stats_age_seconds`, labels, Math.round((now - latest.updatedAt) / 1000));
+      }
+
+      // Speeds and totals only while connected (the last stats would be stale otherwise)
+      if (latest && connected) {
+        const { metrics, networkStatus } = latest;
+        w.add(`${PREFIX}_download_speed_bytes_per_second`, labels, metrics.downloadSpeed);
+        w.add(`${PREFIX}_upload_speed_bytes_per_second`, labels, metrics.uploadSpeed);
+        w.add(`${PREFIX}_downloaded_bytes`, labels, metrics.downloadTotal);
+        w.add(`${PREFIX}_uploaded_bytes`, labels, metrics.uploadTotal);
+
+        if (clientMeta.isEd2k(clientType) && networkStatus?.ed2k) {
+          const { ed2k, kad } = networkStatus;
+          w.add(`${PREFIX}_ed2k_connected`, labels, ed2k.connected);
+          w.add(`${PREFIX}_ed2k_high_id`, labels, ed2k.connected && ed2k.status === 'green');
+          if (ed2k.serverPing) w.add(`${PREFIX}_ed2k_server_ping_milliseconds`, labels, ed2k.serverPing);
+          w.add(`${PREFIX}_kad_connected`, labels, kad.connected);
+          w.add(`${PREFIX}_kad_firewalled`, labels, kad.connected && kad.status === 'yellow');
+        }
+      }
+
+      for (const [status, count] of Object.entries(itemCounts.get(instanceId) || {})) {
+        w.add(`${PREFIX}_items`, { ...labels, status }, count);
+      }
+      for (const [status, count] of Object.entries(moveCounts.get(instanceId) || {})) {
+        w.add(`${PREFIX}_move_operations`, { ...labels, status }, count);
+      }
+    });
+
+    return w.toString();
+  }
+
+  /**
+   * GET /metrics
+   */
+  async getMetrics(req, res) {
+    try {
+      const text = await this.buildMetrics();
+      res.set('Content-Type', CONTENT_TYPE);
+      res.send(text);
+    } catch (err) {
+      this.log('Error building metrics:', logger.errorDetail(err));
+      response.serverError(res, 'Failed to build metrics');
+    }
+  }
+
+  /**
+   * Register the metrics route (before session auth — uses its own API key check)
+   */
+  registerRoutes(app) {
+    app.get('/metrics', this.checkApiKey.bind(this), this.getMetrics.bind(this));
+
+    this.log('📈 OpenMetrics endpoint registered at /metrics');
+  }
+}
+
+module.exports = new OpenMetricsAPI();
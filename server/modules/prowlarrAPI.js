@@ -16,6 +16,7 @@ const { requireCapability } = require('../middleware/capabilities');
 // Client registry - replaces direct singleton manager imports
 const registry = require('../lib/ClientRegistry');
 const categoryManager = require('../lib/CategoryManager');
+const { isAutoInstance, selectTarget } = require('../lib/downloadTargets');
 
 class ProwlarrAPI extends BaseModule {
   constructor() {
@@ -97,6 +98,61 @@ class ProwlarrAPI extends BaseModule {
     }
   }
 
+  /**
+   * Search Prowlarr and transform the results to the unified search result format
+   * (the results are cached for getPreviousSearchResults unless cache is false).
+   * Callers must run initHandler() first.
+   * @param {string} query - Search query
+   * @param {Object} options - { categories?, indexerIds?, limit?, cache? }
+   * @returns {Promise<Array>} Results (sourceCount = seeders for sorting compatibility)
+   */
+  async runSearch(query, { categories, indexerIds, limit, cache = true } = {}) {
+    this.log(`🔍 Prowlarr search: "${query}"`);
+
+    const rawResults = await this.handler.search(query, {
+      categories,
+      indexerIds,
+      limit: limit || 100
+    });
+
+    const results = rawResults.map(r => {
+      // Fallback: check if guid contains a magnet link when magnetUrl is missing
+      let magnetUrl = r.magnetUrl;
+      if (!magnetUrl && !r.downloadUrl && r.guid && r.guid.startsWith('magnet:')) {
+        magnetUrl = r.guid;
+      }
+
+      // Warn if no download URL found
+      if (!r.downloadUrl && !magnetUrl) {
+        this.log(`⚠️ No download URL for "${r.title}" from ${r.indexer}`);
+      }
+
+      return {
+        fileHash: r.guid || r.downloadUrl || magnetUrl,
+        fileName: r.title,
+        fileSize: r.size,
+        sourceCount: r.seeders || 0,
+        leechers: r.leechers || 0,
+        downloadUrl: r.downloadUrl,
+        magnetUrl,
+        indexer: r.indexer,
+        publishDate: r.publishDate,
+        categories: r.categories,
+        isProwlarr: true
+      };
+    });
+
+    // Cache transformed results for getPreviousSearchResults
+    if (cache) {
+      this.cachedResults = results;
+      this.cachedQuery = query;
+      this.cachedTimestamp = Date.now();
+    }
+
+    this.log(`✅ Found ${results.length} results${cache ? ' (cached)' : ''}`);
+    return results;
+  }
+
   /**
    * POST /api/prowlarr/search
    * Search for torrents via Prowlarr
@@ -114,48 +170,7 @@ class ProwlarrAPI extends BaseModule {
         return response.badRequest(res, 'Search query is required');
       }
 
-      this.log(`🔍 Prowlarr search: "${query}"`);
-
-      const rawResults = await this.handler.search(query, {
-        categories,
-        indexerIds,
-        limit: limit || 100
-      });
-
-      // Transform results to unified format (sourceCount = seeders for sorting compatibility)
-      const results = rawResults.map(r => {
-        // Fallback: check if guid contains a magnet link when magnetUrl is missing
-        let magnetUrl = r.magnetUrl;
-        if (!magnetUrl && !r.downloadUrl && r.guid && r.guid.startsWith('magnet:')) {
-          magnetUrl = r.guid;
-        }
-
-        // Warn if no download URL found
-        if (!r.downloadUrl && !magnetUrl) {
-          this.log(`⚠️ No download URL for "${r.title}" from ${r.indexer}`);
-        }
-
-        return {
-          fileHash: r.guid || r.downloadUrl || magnetUrl,
-          fileName: r.title,
-          fileSize: r.size,
-          sourceCount: r.seeders || 0,
-          leechers: r.leechers || 0,
-          downloadUrl: r.downloadUrl,
-          magnetUrl,
-          indexer: r.indexer,
-          publishDate: r.publishDate,
-          categories: r.categories,
-          isProwlarr: true
-        };
-      });
-
-      // Cache transformed results for getPreviousSearchResults
-      this.cachedResults = results;
-      this.cachedQuery = query;
-      this.cachedTimestamp = Date.now();
-
-      this.log(`✅ Found ${results.length} results (cached)`);
+      const results = await this.runSearch(query, { categories, indexerIds, limit });
 
       res.json({
         success: true,
@@ -253,7 +268,7 @@ class ProwlarrAPI extends BaseModule {
   /**
    * POST /api/prowlarr/add
    * Add a torrent to a BitTorrent client (rTorrent or qBittorrent)
-   * Body: { downloadUrl, title?, label?, clientId? }
+   * Body: { downloadUrl, title?, label?, clientId?, instanceId? } (instanceId "auto" = download target policy)
    */
   async addTorrent(req, res) {
     let tempFile = null;
@@ -261,9 +276,12 @@ class ProwlarrAPI extends BaseModule {
     try {
       const { downloadUrl, title, label, clientId = 'rtorrent', instanceId } = req.body;
 
-      // Find client manager — prefer specific instance, fall back to first of type
+      // Find client manager — "auto" uses the download target policy, else prefer
+      // specific instance, fall back to first of type
       let clientManager;
-      if (instanceId) {
+      if (isAutoInstance(instanceId)) {
+        clientManager = await selectTarget({ networkType: 'bittorrent', categoryName: label || null });
+      } else if (instanceId) {
         clientManager = registry.get(instanceId);
       } else {
         clientManager = registry.getByType(clientId).find(m => m.isConnected());
@@ -344,6 +362,7 @@ class ProwlarrAPI extends BaseModule {
       res.json({
         success: true,
         message: `Torrent added to ${clientName}`,
+        instanceId: clientManager.instanceId,
         ...(infoHash && { hash: infoHash })
       });
     } catch (err) {
@@ -11,6 +11,7 @@ const { parseBasicAuth, verifyPassword } = require('../lib/authUtils');
 
 // Client registry - replaces direct singleton manager imports
 const registry = require('../lib/ClientRegistry');
+const { isAutoInstance, selectTarget } = require('../lib/downloadTargets');
 
 class QBittorrentAPI extends BaseModule {
   constructor() {
@@ -94,10 +95,13 @@ class QBittorrentAPI extends BaseModule {
    */
   updateHandler() {
     if (this.hashStore) {
+      // "auto" spreads adds over all aMule instances; listing and categories
+      // still come from the first connected one
+      const getConfiguredId = () => config.getConfig()?.integrations?.amuleInstanceId;
       const resolveAmuleManager = () => {
-        const configuredId = config.getConfig()?.integrations?.amuleInstanceId;
+        const configuredId = getConfiguredId();
         let amuleMgr;
-        if (configuredId) {
+        if (configuredId && !isAutoInstance(configuredId)) {
           amuleMgr = registry.get(configuredId);
           if (!amuleMgr) {
             amuleMgr = registry.getByType('amule').find(m => m.isConnected());
@@ -112,6 +116,8 @@ class QBittorrentAPI extends BaseModule {
       this.handler.setDependencies({
         getAmuleClient: () => resolveAmuleManager()?.getClient() || null,
         getAmuleInstanceId: () => resolveAmuleManager()?.instanceId || null,
+        isAutoTarget: () => isAutoInstance(getConfiguredId()),
+        selectAmuleTarget: (categoryName) => selectTarget({ networkType: 'ed2k', categoryName }),
         hashStore: this.hashStore,
         config: config,
         registry: registry,
@@ -146,6 +152,17 @@ class QBittorrentAPI extends BaseModule {
     router.post('/torrents/resume', this.handler.resumeTorrent);
     router.get('/torrents/categories', this.handler.getCategories);
     router.post('/torrents/createCategory', this.handler.createCategory);
+    router.post('/torrents/editCategory', this.handler.editCategory);
+    router.post('/torrents/removeCategories', this.handler.removeCategories);
+    router.post('/torrents/setCategory', this.handler.setCategory);
+    router.get('/torrents/properties', this.handler.getTorrentProperties);
+    router.get('/torrents/files', this.handler.getTorrentFiles);
+    router.post('/torrents/topPrio', this.handler.topPrio);
+    router.post('/torrents/setShareLimits', this.handler.setShareLimits);
+
+    // Sync & transfer endpoints
+    router.get('/sync/maindata', this.handler.getMainData);
+    router.get('/transfer/info', this.handler.getTransferInfo);
 
     // Mount protected router under /api/v2
     app.use('/api/v2', router);
@@ -391,6 +391,68 @@ class QbittorrentManager extends BaseClientManager {
     return await this.pause(hash);
   }
 
+  /**
+   * Force a hash recheck
+   * @param {string} hash - Torrent hash
+   */
+  async recheck(hash) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.recheckTorrent(hash);
+  }
+
+  /**
+   * Force reannounce to all trackers
+   * @param {string} hash - Torrent hash
+   */
+  async reannounce(hash) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.reannounceTorrent(hash);
+  }
+
+  /**
+   * Set sequential download (qBittorrent only exposes a toggle, so read the state first)
+   * @param {string} hash - Torrent hash
+   * @param {boolean} enabled - Desired state
+   */
+  async setSequentialDownload(hash, enabled) {
+    const torrent = await this._getTorrentInfo(hash);
+    if (!!torrent.seq_dl !== !!enabled) {
+      await this.client.toggleSequentialDownload(hash);
+    }
+  }
+
+  /**
+   * Set first/last piece priority (toggle-only API, same as sequential download)
+   * @param {string} hash - Torrent hash
+   * @param {boolean} enabled - Desired state
+   */
+  async setFirstLastPiecePriority(hash, enabled) {
+    const torrent = await this._getTorrentInfo(hash);
+    if (!!torrent.f_l_piece_prio !== !!enabled) {
+      await this.client.toggleFirstLastPiecePrio(hash);
+    }
+  }
+
+  /**
+   * Fetch the info record for a single torrent
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Object>} Torrent info from /torrents/info
+   */
+  async _getTorrentInfo(hash) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    const [torrent] = await this.client.getTorrents({ hashes: hash });
+    if (!torrent) {
+      throw new Error('Torrent not found');
+    }
+    return torrent;
+  }
+
   /**
    * Update client's view of the download directory (uses native setLocation)
    * @param {string} hash - Torrent hash
@@ -458,8 +520,8 @@ class QbittorrentManager extends BaseClientManager {
 
   /**
    * Build qBittorrent-native options from unified format.
-   * Unified: { categoryName, savePath, priority, start, username }
-   * qBittorrent: { category, savepath, paused }
+   * Unified: { categoryName, savePath, priority, start, username, skipCheck }
+   * qBittorrent: { category, savepath, paused, skip_checking }
    */
   _buildAddOptions(options) {
     const category = options.categoryName ?? options.category ?? '';
@@ -471,6 +533,9 @@ class QbittorrentManager extends BaseClientManager {
     if (savePath) {
       addOptions.savepath = savePath;
     }
+    if (options.skipCheck) {
+      addOptions.skip_checking = true;
+    }
     return addOptions;
   }
 
@@ -497,7 +562,7 @@ class QbittorrentManager extends BaseClientManager {
   /**
    * Add a torrent from raw data (Buffer)
    * @param {Buffer} torrentData - Raw .torrent file contents
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, skipFiles, skipCheck }
    */
   async addTorrentRaw(torrentData, options = {}) {
     if (!this.client) {
@@ -505,10 +570,25 @@ class QbittorrentManager extends BaseClientManager {
     }
 
     const addOptions = this._buildAddOptions(options);
+    const { hash, name, size } = parseTorrentBuffer(torrentData);
+
+    // Skipped files: add stopped, deselect once registered, then start
+    const skipFiles = hash && Array.isArray(options.skipFiles) ? options.skipFiles : [];
+    if (skipFiles.length > 0) {
+      addOptions.paused = true;
+    }
+
     await this.client.addTorrent(torrentData, addOptions);
 
+    if (skipFiles.length > 0) {
+      if (await this._waitForFiles(hash)) {
+        await this._applyAddFileSelection(hash, skipFiles, options.start !== false);
+      } else {
+        this.log(`⚠️  Torrent ${hash} did not register in time, leaving it stopped with all files selected`);
+      }
+    }
+
     // Track in history
-    const { hash, name, size } = parseTorrentBuffer(torrentData);
     if (hash) {
       this.trackDownload(hash, name || 'Torrent download', size, options.username, addOptions.category || null);
     }
@@ -550,6 +630,138 @@ class QbittorrentManager extends BaseClientManager {
     return await this.client.getTorrentFiles(hash);
   }
 
+  /**
+   * Set the priority of files in a torrent
+   * @param {string} hash - Torrent hash
+   * @param {number[]} fileIndexes - File indexes
+   * @param {number} priority - Normalized priority: 0=Off, 1=Normal, 2=High
+   */
+  async setFilePriority(hash, fileIndexes, priority) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    // Normalized → qBit: 0=Do not download, 1=Normal, 6=High
+    const qbPriority = priority === 0 ? 0 : priority >= 2 ? 6 : 1;
+    await this.client.setFilePriority(hash, fileIndexes, qbPriority);
+  }
+
+  /**
+   * Wait for a freshly added torrent to report its file list.
+   * torrents/add returns before the torrent is registered.
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<boolean>} True once files are available
+   */
+  async _waitForFiles(hash) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      try {
+        const files = await this.client.getTorrentFiles(hash);
+        if (Array.isArray(files) && files.length > 0) return true;
+      } catch (err) {
+        // 404 until the torrent is registered
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return false;
+  }
+
+  /**
+   * Export the .torrent file (torrents/export needs qBittorrent 4.5+)
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Buffer|null>} Raw .torrent file contents, or null if unavailable
+   */
+  async exportTorrent(hash) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    try {
+      return await this.client.exportTorrent(hash);
+    } catch (err) {
+      this.log(`⚠️  Could not export .torrent for ${hash}, transfer or cross-seed refused: ${logger.errorDetail(err)}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the announce URLs of a torrent (DHT/PeX/LSD pseudo entries excluded)
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<string[]>}
+   */
+  async getTrackerUrls(hash) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    const trackers = await this.client.getTorrentTrackers(hash);
+    return (trackers || []).map(t => t.url).filter(url => url && !url.startsWith('**'));
+  }
+
+  /**
+   * Add trackers to a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   */
+  async addTrackers(hash, urls) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.addTrackers(hash, urls);
+  }
+
+  /**
+   * Remove trackers from a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   */
+  async removeTrackers(hash, urls) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.removeTrackers(hash, urls);
+  }
+
+  /**
+   * Replace a tracker URL on a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string} oldUrl - Current announce URL
+   * @param {string} newUrl - New announce URL
+   */
+  async replaceTracker(hash, oldUrl, newUrl) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    await this.client.editTracker(hash, oldUrl, newUrl);
+  }
+
+  /**
+   * Get global or per-torrent speed limits
+   * @param {Object} opts - { hash } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async getSpeedLimits({ hash = null } = {}) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    return hash
+      ? await this.client.getTorrentSpeedLimits(hash)
+      : await this.client.getGlobalSpeedLimits();
+  }
+
+  /**
+   * Set global or per-torrent speed limits
+   * @param {Object} opts - { hash, downloadLimit, uploadLimit } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } as applied
+   */
+  async setSpeedLimits({ hash = null, downloadLimit, uploadLimit } = {}) {
+    if (!this.client) {
+      throw new Error('qBittorrent not connected');
+    }
+    if (hash) {
+      await this.client.setTorrentSpeedLimits(hash, { downloadLimit, uploadLimit });
+    } else {
+      await this.client.setGlobalSpeedLimits({ downloadLimit, uploadLimit });
+    }
+    return await this.getSpeedLimits({ hash });
+  }
+
   /**
    * Get all categories from qBittorrent
    * @returns {Promise<Object>} Categories object { name: { name, savePath } }
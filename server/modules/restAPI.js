@@ -15,7 +15,7 @@ const express = require('express');
 const logger = require('../lib/logger');
 const config = require('./config');
 const categoryManager = require('../lib/CategoryManager');
-const { requireCapability } = require('../middleware/capabilities');
+const { requireCapability, requireAdmin } = require('../middleware/capabilities');
 
 let webSocketHandlers = null;
 
@@ -190,6 +190,46 @@ function registerRoutes(app) {
     bridge('handleBatchStop', req, res)
   );
 
+  router.post('/downloads/recheck', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchRecheck', req, res)
+  );
+
+  router.post('/downloads/reannounce', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchReannounce', req, res)
+  );
+
+  // Piece picking: { items, enabled }
+  router.post('/downloads/sequential', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchSetSequentialDownload', req, res)
+  );
+
+  router.post('/downloads/first-last-piece', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchSetFirstLastPiecePriority', req, res)
+  );
+
+  // File selection: { items, fileIndexes, priority } — priority 0 = skip, 1 = normal, 2 = high
+  router.post('/downloads/files/priority', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchSetFilePriority', req, res)
+  );
+
+  // Trackers: { items, urls } for add/remove, { items, oldUrl, newUrl } for replace
+  router.post('/downloads/trackers/add', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchAddTrackers', req, res)
+  );
+
+  router.post('/downloads/trackers/remove', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchRemoveTrackers', req, res)
+  );
+
+  router.post('/downloads/trackers/replace', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchReplaceTracker', req, res)
+  );
+
+  // Bulk replace across all instances: { find, replace, dryRun }
+  router.post('/trackers/replace-all', requireAdmin, (req, res) =>
+    bridge('handleReplaceTrackerAll', req, res)
+  );
+
   router.post('/downloads/delete', requireCapability('remove_downloads'), (req, res) =>
     bridge('handleBatchDelete', req, res)
   );
@@ -198,6 +238,10 @@ function registerRoutes(app) {
     bridge('handleBatchMoveFiles', req, res)
   );
 
+  router.post('/downloads/transfer', requireCapability('edit_downloads'), (req, res) =>
+    bridge('handleBatchTransferItems', req, res)
+  );
+
   router.post('/downloads/category', requireCapability('assign_categories'), (req, res) =>
     bridge('handleBatchSetFileCategory', req, res)
   );
@@ -206,6 +250,28 @@ function registerRoutes(app) {
     bridge('handleRenameFile', req, res)
   );
 
+  // ============================================================================
+  // SPEED LIMITS (bytes/s, 0 = unlimited)
+  // ============================================================================
+
+  // Per-item limits: GET ?instanceId=&fileHash=, POST { items, downloadLimit, uploadLimit }
+  router.get('/downloads/limits', (req, res) =>
+    bridge('handleGetSpeedLimits', req, res)
+  );
+
+  router.post('/downloads/limits', requireCapability('pause_resume'), (req, res) =>
+    bridge('handleBatchSetSpeedLimits', req, res)
+  );
+
+  // Global (per-instance) limits
+  router.get('/clients/:instanceId/limits', (req, res) =>
+    bridge('handleGetSpeedLimits', req, res, { instanceId: req.params.instanceId, fileHash: null })
+  );
+
+  router.put('/clients/:instanceId/limits', requireAdmin, (req, res) =>
+    bridge('handleSetGlobalSpeedLimits', req, res, { instanceId: req.params.instanceId })
+  );
+
   // ============================================================================
   // PERMISSIONS (pre-flight checks)
   // ============================================================================
@@ -0,0 +1,171 @@
+/**
+ * RSS API Module
+ * Provides REST endpoints for managing RSS feeds, listing matched items
+ * and previewing feed filters
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const rssWatcher = require('./rssWatcher');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+const MAX_ITEMS_LIMIT = 500;
+
+class RssAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Parse the :id route parameter
+   * @returns {number|null} Feed id or null if invalid
+   */
+  _feedId(req) {
+    const id = parseInt(req.params.id, 10);
+    return Number.isInteger(id) && id > 0 ? id : null;
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/rss/feeds
+   */
+  async getFeeds(req, res) {
+    try {
+      res.json({ success: true, feeds: rssWatcher.getFeeds() });
+    } catch (err) {
+      this.log('Error getting RSS feeds:', err.message);
+      response.serverError(res, 'Failed to get RSS feeds');
+    }
+  }
+
+  /**
+   * POST /api/rss/feeds
+   * Body: { name, url, intervalMinutes, enabled, includePattern, excludePattern, dedupeEpisodes, category, instanceId }
+   */
+  async createFeed(req, res) {
+    try {
+      const feed = rssWatcher.createFeed(req.body || {});
+      res.json({ success: true, feed });
+    } catch (err) {
+      this.log('Error creating RSS feed:', err.message);
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * PUT /api/rss/feeds/:id
+   * Body: same as POST (full replacement)
+   */
+  async updateFeed(req, res) {
+    const id = this._feedId(req);
+    if (!id) return response.badRequest(res, 'Invalid feed id');
+
+    try {
+      const feed = rssWatcher.updateFeed(id, req.body || {});
+      if (!feed) return response.notFound(res, 'Feed not found');
+      res.json({ success: true, feed });
+    } catch (err) {
+      this.log('Error updating RSS feed:', err.message);
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * DELETE /api/rss/feeds/:id
+   */
+  async deleteFeed(req, res) {
+    const id = this._feedId(req);
+    if (!id) return response.badRequest(res, 'Invalid feed id');
+
+    try {
+      if (!rssWatcher.deleteFeed(id)) return response.notFound(res, 'Feed not found');
+      res.json({ success: true });
+    } catch (err) {
+      this.log('Error deleting RSS feed:', err.message);
+      response.serverError(res, 'Failed to delete RSS feed');
+    }
+  }
+
+  /**
+   * POST /api/rss/feeds/:id/refresh
+   * Poll a feed now and return what was added
+   */
+  async refreshFeed(req, res) {
+    const id = this._feedId(req);
+    if (!id) return response.badRequest(res, 'Invalid feed id');
+
+    try {
+      const result = await rssWatcher.refreshFeed(id);
+      if (!result) return response.notFound(res, 'Feed not found');
+      res.json({ success: true, ...result });
+    } catch (err) {
+      this.log('Error refreshing RSS feed:', err.message);
+      response.serverError(res, 'Failed to refresh RSS feed: ' + err.message);
+    }
+  }
+
+  /**
+   * GET /api/rss/items?feedId=&limit=
+   * Most recent matched items (added, failed or skipped as duplicates)
+   */
+  async getItems(req, res) {
+    try {
+      const feedId = req.query.feedId ? parseInt(req.query.feedId, 10) || null : null;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_ITEMS_LIMIT);
+      res.json({ success: true, items: rssWatcher.getItems({ feedId, limit }) });
+    } catch (err) {
+      this.log('Error getting RSS items:', err.message);
+      response.serverError(res, 'Failed to get RSS items');
+    }
+  }
+
+  /**
+   * POST /api/rss/test
+   * Fetch a feed and show which entries the filters match (nothing is added)
+   * Body: { url, includePattern, excludePattern, dedupeEpisodes, feedId }
+   */
+  async testFilter(req, res) {
+    try {
+      const entries = await rssWatcher.testFilter(req.body || {});
+      res.json({ success: true, entries });
+    } catch (err) {
+      this.log('Error testing RSS filter:', err.message);
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * Register all RSS API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON
+    router.use(express.json());
+    router.use(requireAdmin);
+
+    // Feeds
+    router.get('/feeds', this.getFeeds.bind(this));
+    router.post('/feeds', this.createFeed.bind(this));
+    router.put('/feeds/:id', this.updateFeed.bind(this));
+    router.delete('/feeds/:id', this.deleteFeed.bind(this));
+    router.post('/feeds/:id/refresh', this.refreshFeed.bind(this));
+
+    // Matched items
+    router.get('/items', this.getItems.bind(this));
+
+    // POST /api/rss/test - Filter dry run
+    router.post('/test', this.testFilter.bind(this));
+
+    // Mount router
+    app.use('/api/rss', router);
+
+    this.log('📰 RSS API routes registered');
+  }
+}
+
+module.exports = new RssAPI();
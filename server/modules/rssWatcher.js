@@ -0,0 +1,382 @@
+/**
+ * RSS Watcher Module
+ * Polls RSS/Atom feeds and adds the entries that pass their filters to a client
+ *
+ * Each feed (RssDB, rss_feeds table) has:
+ * - intervalMinutes: how often it is polled
+ * - includePattern / excludePattern: case-insensitive regexes on the entry title
+ * - dedupeEpisodes: skip other releases of an SxxExx episode already added from the feed
+ * - category / instanceId: add target (no instance = first connected client that fits the link)
+ *
+ * Magnets, .torrent URLs and ED2K links are added through downloadAdder, like
+ * watch folders. Every matched GUID is stored, so restarts never add it twice;
+ * entries that fail to add are retried on later polls, MAX_ADD_ATTEMPTS times.
+ */
+
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const categoryManager = require('../lib/CategoryManager');
+const RssDB = require('../lib/rss/RssDB');
+const { resolveTargetManager, addMagnet, addTorrent, addEd2k } = require('../lib/downloadAdder');
+const { parseFeed, episodeKey, compilePattern, createMatcher } = require('../lib/rss/feedParser');
+
+// How often to look for feeds that are due (in milliseconds)
+const RSS_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+// How often old matched items are pruned
+const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+
+// Timeout for feed and .torrent downloads
+const FETCH_TIMEOUT = 30000;
+
+// Polls an entry that fails to add is retried on before it is given up on
+const MAX_ADD_ATTEMPTS = 5;
+
+const MIN_INTERVAL_MINUTES = 5;
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+class RssWatcher extends BaseModule {
+  constructor() {
+    super();
+    this.db = null;
+    this.checkTimeout = null;
+    this._loopId = 0;             // Bumped by start()/stop(), so checks of a stopped loop don't reschedule
+    this._running = false;
+    this._lastCleanupAt = 0;
+  }
+
+  /**
+   * Initialize the feeds database
+   * @param {string} dbPath - Path to rss.db
+   */
+  initDB(dbPath) {
+    this.db = new RssDB(dbPath);
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Start the polling loop (first check after one interval, so clients have connected)
+   */
+  start() {
+    this.stop();
+    const loopId = this._loopId;
+    this.checkTimeout = setTimeout(() => this._check(loopId), RSS_CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop the polling loop (a check already in progress finishes but doesn't reschedule)
+   */
+  stop() {
+    this._loopId++;
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+  }
+
+  /**
+   * Poll due feeds and schedule the next check
+   * @param {number} loopId - Loop this check belongs to
+   */
+  async _check(loopId) {
+    try {
+      await this._pollDueFeeds();
+    } catch (err) {
+      this.log('⚠️  RSS check failed:', logger.errorDetail(err));
+    } finally {
+      if (loopId === this._loopId) {
+        this.checkTimeout = setTimeout(() => this._check(loopId), RSS_CHECK_INTERVAL);
+      }
+    }
+  }
+
+  /**
+   * Poll every enabled feed whose interval has elapsed
+   */
+  async _pollDueFeeds() {
+    if (!this.db || this._running) return;
+
+    this._running = true;
+    try {
+      const now = Date.now();
+      if (now - this._lastCleanupAt >= CLEANUP_INTERVAL) {
+        this.db.cleanup();
+        this._lastCleanupAt = now;
+      }
+
+      for (const feed of this.db.getFeeds()) {
+        if (!feed.enabled) continue;
+        const lastChecked = feed.lastCheckedAt ? new Date(feed.lastCheckedAt).getTime() : 0;
+        if (now - lastChecked < feed.intervalMinutes * 60 * 1000) continue;
+        await this._pollFeed(feed);
+      }
+    } finally {
+      this._running = false;
+    }
+  }
+
+  // ==========================================================================
+  // POLLING
+  // ==========================================================================
+
+  /**
+   * Fetch a feed and add every new entry that passes its filters
+   * @param {Object} feed - Feed from RssDB
+   * @returns {Promise<Object>} { added, failed, duplicates, error }
+   */
+  async _pollFeed(feed) {
+    const summary = { added: 0, failed: 0, duplicates: 0, error: null };
+
+    let entries;
+    try {
+      entries = await this._fetchEntries(feed.url);
+    } catch (err) {
+      summary.error = err.message;
+      this.db.markChecked(feed.id, err.message);
+      this.log(`⚠️  RSS feed "${feed.name}" failed: ${err.message}`);
+      return summary;
+    }
+
+    let matches;
+    try {
+      matches = createMatcher(feed.includePattern, feed.excludePattern);
+    } catch (err) {
+      summary.error = err.message;
+      this.db.markChecked(feed.id, err.message);
+      return summary;
+    }
+
+    // Oldest first, so the first release of an episode is the one kept
+    for (const entry of entries.slice().reverse()) {
+      if (!matches(entry.title)) continue;
+
+      const state = this.db.getItemState(feed.id, entry.guid);
+      if (state?.status === 'added' || state?.status === 'duplicate') continue;
+      if (state?.status === 'failed' && state.attempts >= MAX_ADD_ATTEMPTS) continue;
+
+      const key = feed.dedupeEpisodes ? episodeKey(entry.title) : null;
+      const record = { guid: entry.guid, title: entry.title, link: entry.link, episodeKey: key };
+
+      if (key && this.db.hasEpisode(feed.id, key)) {
+        this.db.saveItem(feed.id, { ...record, status: 'duplicate' });
+        summary.duplicates++;
+        continue;
+      }
+
+      try {
+        const clientName = await this._addEntry(feed, entry);
+        this.db.saveItem(feed.id, { ...record, status: 'added' });
+        summary.added++;
+        this.log(`📰 [${feed.name}] Added "${entry.title}" to ${clientName}`);
+      } catch (err) {
+        const attempts = (state?.attempts || 0) + 1;
+        this.db.saveItem(feed.id, { ...record, status: 'failed', error: err.message, attempts });
+        summary.failed++;
+        const retry = attempts >= MAX_ADD_ATTEMPTS ? `giving up after ${attempts} attempts` : `attempt ${attempts}/${MAX_ADD_ATTEMPTS}`;
+        this.log(`⚠️  [${feed.name}] Failed to add "${entry.title}" (${retry}): ${err.message}`);
+      }
+    }
+
+    this.db.markChecked(feed.id, null);
+    return summary;
+  }
+
+  /**
+   * Download and parse a feed
+   * @param {string} url - Feed URL
+   * @returns {Promise<Array>} Parsed entries
+   */
+  async _fetchEntries(url) {
+    const res = await fetch(url, {
+      headers: { 'User-Agent': 'amutorrent' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT)
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+    return parseFeed(await res.text());
+  }
+
+  // ==========================================================================
+  // ADDING
+  // ==========================================================================
+
+  /**
+   * Add a feed entry to the feed's target client
+   * @param {Object} feed - Feed from RssDB
+   * @param {Object} entry - Parsed entry { title, link }
+   * @returns {Promise<string>} Display name of the client it was added to
+   */
+  async _addEntry(feed, entry) {
+    const isEd2k = entry.link.startsWith('ed2k://');
+    const manager = await resolveTargetManager(feed.instanceId, isEd2k, feed.category);
+    const options = { categoryName: feed.category };
+
+    if (isEd2k) {
+      await addEd2k(manager, entry.link, options);
+    } else if (entry.link.startsWith('magnet:')) {
+      await addMagnet(manager, entry.link, options);
+    } else {
+      const torrent = await this._downloadTorrent(entry.link);
+      if (torrent.magnet) {
+        await addMagnet(manager, torrent.magnet, options);
+      } else {
+        await addTorrent(manager, torrent.buffer, options);
+      }
+    }
+
+    return manager.displayName || manager.clientType;
+  }
+
+  /**
+   * Download a .torrent file (indexers may redirect to a magnet link instead)
+   * @param {string} url - Torrent URL
+   * @returns {Promise<Object>} { buffer } or { magnet }
+   */
+  async _downloadTorrent(url) {
+    const res = await fetch(url, {
+      redirect: 'manual',
+      headers: { 'User-Agent': 'amutorrent' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT)
+    });
+    const location = res.headers.get('location');
+
+    if (res.status >= 300 && res.status < 400 && location) {
+      if (location.startsWith('magnet:')) {
+        return { magnet: location };
+      }
+      const redirected = await fetch(new URL(location, url), { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+      if (!redirected.ok) {
+        throw new Error(`HTTP ${redirected.status}: ${redirected.statusText}`);
+      }
+      return { buffer: Buffer.from(await redirected.arrayBuffer()) };
+    }
+
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    }
+    return { buffer: Buffer.from(await res.arrayBuffer()) };
+  }
+
+  // ==========================================================================
+  // FEED MANAGEMENT
+  // ==========================================================================
+
+  /**
+   * Validate and normalize feed fields from the API
+   * @param {Object} input - Raw feed fields
+   * @returns {Object} Normalized feed
+   * @throws {Error} If a field is invalid
+   */
+  normalizeFeed(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) throw new Error('Feed name is required');
+
+    const url = typeof input.url === 'string' ? input.url.trim() : '';
+    if (!/^https?:\/\//i.test(url)) throw new Error('Feed URL must start with http:// or https://');
+
+    const intervalMinutes = input.intervalMinutes === undefined || input.intervalMinutes === null || input.intervalMinutes === ''
+      ? DEFAULT_INTERVAL_MINUTES
+      : Number(input.intervalMinutes);
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES) {
+      throw new Error(`Poll interval must be a whole number of at least ${MIN_INTERVAL_MINUTES} minutes`);
+    }
+
+    const includePattern = typeof input.includePattern === 'string' && input.includePattern.trim() ? input.includePattern.trim() : null;
+    const excludePattern = typeof input.excludePattern === 'string' && input.excludePattern.trim() ? input.excludePattern.trim() : null;
+    compilePattern(includePattern);
+    compilePattern(excludePattern);
+
+    const category = input.category || null;
+    if (category && !categoryManager.getByName(category)) {
+      throw new Error(`Category "${category}" not found`);
+    }
+
+    const instanceId = input.instanceId || null;
+    if (instanceId && !registry.has(instanceId)) {
+      throw new Error(`Client instance "${instanceId}" not found`);
+    }
+
+    return {
+      name,
+      url,
+      intervalMinutes,
+      enabled: input.enabled !== false,
+      includePattern,
+      excludePattern,
+      dedupeEpisodes: input.dedupeEpisodes === true,
+      category,
+      instanceId
+    };
+  }
+
+  getFeeds() {
+    return this.db.getFeeds();
+  }
+
+  createFeed(input) {
+    const feed = this.db.createFeed(this.normalizeFeed(input));
+    this.log(`📰 RSS feed "${feed.name}" created`);
+    return feed;
+  }
+
+  updateFeed(id, input) {
+    return this.db.updateFeed(id, this.normalizeFeed(input));
+  }
+
+  deleteFeed(id) {
+    return this.db.deleteFeed(id);
+  }
+
+  getItems(options) {
+    return this.db.getItems(options);
+  }
+
+  /**
+   * Poll a feed now, regardless of its interval
+   * @param {number} id - Feed id
+   * @returns {Promise<Object|null>} Poll summary, or null if the feed doesn't exist
+   */
+  async refreshFeed(id) {
+    const feed = this.db.getFeed(id);
+    if (!feed) return null;
+    return this._pollFeed(feed);
+  }
+
+  /**
+   * Dry run: fetch a feed and show which entries the filters would match (nothing is added)
+   * @param {Object} options - { url, includePattern, excludePattern, dedupeEpisodes, feedId }
+   * @returns {Promise<Array>} [{ guid, title, link, publishedAt, matched, episodeKey, duplicate, status }]
+   *   duplicate marks matched entries an earlier release of the same episode would win over;
+   *   status is the stored status for feedId's items (null if never matched)
+   */
+  async testFilter({ url, includePattern, excludePattern, dedupeEpisodes = false, feedId = null }) {
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url.trim())) {
+      throw new Error('Feed URL must start with http:// or https://');
+    }
+    const matches = createMatcher(includePattern || null, excludePattern || null);
+    const entries = await this._fetchEntries(url.trim());
+
+    // Walk oldest first like a poll does, so the same release wins the episode
+    const seenEpisodes = new Set();
+    return entries.slice().reverse().map(entry => {
+      const matched = matches(entry.title);
+      const key = dedupeEpisodes ? episodeKey(entry.title) : null;
+      const duplicate = matched && key !== null && seenEpisodes.has(key);
+      if (matched && key) seenEpisodes.add(key);
+      return {
+        ...entry,
+        matched,
+        episodeKey: key,
+        duplicate,
+        status: feedId ? this.db.getItemStatus(feedId, entry.guid) : null
+      };
+    }).reverse();
+  }
+}
+
+module.exports = new RssWatcher();
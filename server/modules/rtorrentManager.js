@@ -357,6 +357,28 @@ class RtorrentManager extends BaseClientManager {
     return await this.closeDownload(hash);
   }
 
+  /**
+   * Force a hash recheck
+   * @param {string} hash - Torrent hash
+   */
+  async recheck(hash) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    await this.client.checkHash(hash);
+  }
+
+  /**
+   * Force reannounce to all trackers
+   * @param {string} hash - Torrent hash
+   */
+  async reannounce(hash) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    await this.client.trackerAnnounce(hash);
+  }
+
   /**
    * Update client's view of the download directory
    * @param {string} hash - Torrent hash
@@ -498,7 +520,7 @@ class RtorrentManager extends BaseClientManager {
    * Add a torrent from raw data (Buffer)
    * Use this when rtorrent doesn't have filesystem access to the torrent file
    * @param {Buffer} torrentData - Raw .torrent file contents
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, skipFiles }
    */
   async addTorrentRaw(torrentData, options = {}) {
     if (!this.client) {
@@ -510,8 +532,19 @@ class RtorrentManager extends BaseClientManager {
 
     const rtOptions = this._buildAddOptions(options);
     if (hash) rtOptions.hash = hash;
+
+    // Skipped files: load without starting, deselect, then start
+    const skipFiles = hash && Array.isArray(options.skipFiles) ? options.skipFiles : [];
+    if (skipFiles.length > 0) {
+      rtOptions.start = false;
+    }
+
     await this.client.addTorrentRaw(torrentData, rtOptions);
 
+    if (skipFiles.length > 0) {
+      await this._applyAddFileSelection(hash, skipFiles, options.start !== false);
+    }
+
     // Track in history
     if (hash) {
       this.trackDownload(hash, name || 'Torrent download', size, options.username, rtOptions.label || null);
@@ -582,6 +615,140 @@ class RtorrentManager extends BaseClientManager {
     return await this.client.getFiles(hash);
   }
 
+  /**
+   * Set the priority of files in a torrent
+   * rTorrent uses the same 0=Off, 1=Normal, 2=High scale as the files API.
+   * @param {string} hash - Torrent hash
+   * @param {number[]} fileIndexes - File indexes
+   * @param {number} priority - Normalized priority: 0=Off, 1=Normal, 2=High
+   */
+  async setFilePriority(hash, fileIndexes, priority) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    await this.client.setFilePriorities(hash, fileIndexes, Math.max(0, Math.min(2, priority)));
+  }
+
+  /**
+   * Export the .torrent file from rTorrent's session directory (or the file it was
+   * loaded from), which must be readable from here
+   * @param {string} hash - Torrent info hash
+   * @returns {Promise<Buffer|null>} Raw .torrent file contents, or null if unreadable
+   */
+  async exportTorrent(hash) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    for (const filePath of await this.client.getTorrentFilePaths(hash)) {
+      const data = await this._readTorrentFile(filePath, hash);
+      if (data) return data;
+    }
+    return null;
+  }
+
+  /**
+   * Get the enabled announce URLs of a download (DHT pseudo tracker excluded)
+   * @param {string} hash - Torrent info hash
+   * @returns {Promise<string[]>}
+   */
+  async getTrackerUrls(hash) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const trackers = await this.client.getTrackerList(hash);
+    return trackers.filter(t => t.enabled && !t.url.startsWith('dht://')).map(t => t.url);
+  }
+
+  /**
+   * Add trackers to a download. A URL that is present but disabled is re-enabled.
+   * @param {string} hash - Torrent info hash
+   * @param {string[]} urls - Announce URLs
+   */
+  async addTrackers(hash, urls) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const trackers = await this.client.getTrackerList(hash);
+    for (const url of urls) {
+      const existing = trackers.find(t => t.url === url);
+      if (!existing) {
+        await this.client.insertTracker(hash, url);
+      } else if (!existing.enabled) {
+        await this.client.setTrackerEnabled(hash, existing.index, true);
+      }
+    }
+  }
+
+  /**
+   * Remove trackers from a download.
+   * XML-RPC can't delete trackers, so matching entries are disabled instead.
+   * @param {string} hash - Torrent info hash
+   * @param {string[]} urls - Announce URLs
+   */
+  async removeTrackers(hash, urls) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const remove = new Set(urls);
+    const trackers = await this.client.getTrackerList(hash);
+    for (const tracker of trackers) {
+      if (tracker.enabled && remove.has(tracker.url)) {
+        await this.client.setTrackerEnabled(hash, tracker.index, false);
+      }
+    }
+  }
+
+  /**
+   * Replace a tracker URL on a download (adds the new URL, disables the old one)
+   * @param {string} hash - Torrent info hash
+   * @param {string} oldUrl - Current announce URL
+   * @param {string} newUrl - New announce URL
+   */
+  async replaceTracker(hash, oldUrl, newUrl) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    const trackers = await this.client.getTrackerList(hash);
+    if (!trackers.some(t => t.enabled && t.url === oldUrl)) {
+      throw new Error(`Tracker not found: ${oldUrl}`);
+    }
+    await this.addTrackers(hash, [newUrl]);
+    await this.removeTrackers(hash, [oldUrl]);
+  }
+
+  /**
+   * Get global speed limits.
+   * rTorrent only supports per-item limits through throttle groups defined in
+   * its config file, so per-item limits are not exposed (itemSpeedLimits: false).
+   * @param {Object} opts - { hash } — must be omitted
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async getSpeedLimits({ hash = null } = {}) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    if (hash) {
+      throw new Error('Per-torrent speed limits are not supported by rTorrent');
+    }
+    return await this.client.getGlobalThrottle();
+  }
+
+  /**
+   * Set global speed limits
+   * @param {Object} opts - { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } as applied
+   */
+  async setSpeedLimits({ hash = null, downloadLimit, uploadLimit } = {}) {
+    if (!this.client) {
+      throw new Error('rtorrent not connected');
+    }
+    if (hash) {
+      throw new Error('Per-torrent speed limits are not supported by rTorrent');
+    }
+    await this.client.setGlobalThrottle({ downloadLimit, uploadLimit });
+    return await this.client.getGlobalThrottle();
+  }
+
   /**
    * Perform category sync when this rTorrent instance connects.
    * Creates app categories for rTorrent labels that don't exist yet.
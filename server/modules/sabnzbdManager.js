@@ -0,0 +1,754 @@
+/**
+ * SABnzbd Client Management Module
+ * Handles SABnzbd connection, reconnection, and data retrieval
+ *
+ * The download list is the queue plus the most recent history entries.
+ * Jobs are identified by their nzo_id, lowercased like every other hash;
+ * the original ID (needed for API calls) is looked up from the last fetch.
+ */
+
+const SabnzbdClient = require('../lib/sabnzbd/SabnzbdClient');
+const BaseClientManager = require('../lib/BaseClientManager');
+const logger = require('../lib/logger');
+const { normalizeSabnzbdQueueSlot, normalizeSabnzbdHistorySlot } = require('../lib/downloadNormalizer');
+
+// Number of history entries shown next to the queue
+const HISTORY_LIMIT = 50;
+
+// Unified priority → SABnzbd priority (-1 low, 0 normal, 1 high)
+const PRIORITY_MAP = { 1: -1, 2: 0, 3: 1 };
+
+class SabnzbdManager extends BaseClientManager {
+  constructor() {
+    super();
+    this.lastJobs = [];
+    this.cachedMisc = null;
+  }
+
+  /**
+   * Initialize SABnzbd client
+   * @returns {Promise<boolean>} True if connection successful
+   */
+  async initClient() {
+    // Prevent concurrent connection attempts
+    if (this.connectionInProgress) {
+      this.log('  SABnzbd connection attempt already in progress, skipping...');
+      return false;
+    }
+
+    // Check if SABnzbd is enabled and configured
+    if (!this._clientConfig || !this._clientConfig.enabled) {
+      this.log('  SABnzbd integration is disabled');
+      return false;
+    }
+
+    if (!this._clientConfig.host) {
+      this.log('  SABnzbd host not configured');
+      return false;
+    }
+
+    this.connectionInProgress = true;
+
+    try {
+      // Cleanup old client
+      if (this.client) {
+        this.log('Cleaning up old SABnzbd client...');
+        await this.client.disconnect();
+        this.client = null;
+      }
+
+      this.log(`Creating new SABnzbd client (${this._clientConfig.host}:${this._clientConfig.port})...`);
+
+      const newClient = new SabnzbdClient({
+        host: this._clientConfig.host,
+        port: this._clientConfig.port || 8080,
+        apiKey: this._clientConfig.apiKey || '',
+        useSsl: this._clientConfig.useSsl || false,
+        path: this._clientConfig.path || ''
+      });
+
+      // Test the connection
+      const testResult = await newClient.testConnection();
+
+      if (!testResult.success) {
+        throw new Error(testResult.error || 'Connection test failed');
+      }
+
+      this.client = newClient;
+      this._clearConnectionError();
+      this.log(`Connected to SABnzbd ${testResult.version} successfully`);
+
+      // Stop reconnection attempts
+      this.clearReconnect();
+
+      // Cache folder settings (for default directory)
+      try {
+        this.cachedMisc = await newClient.getConfig('misc');
+      } catch (err) {
+        this.log('Could not fetch SABnzbd folder settings:', logger.errorDetail(err));
+      }
+
+      // Notify connection listeners
+      this._onConnectCallbacks.forEach(cb => cb());
+
+      return true;
+    } catch (err) {
+      this.log('Failed to connect to SABnzbd:', logger.errorDetail(err));
+      this._setConnectionError(err);
+      this.client = null;
+      return false;
+    } finally {
+      this.connectionInProgress = false;
+    }
+  }
+
+  /**
+   * Start connection and auto-reconnect
+   */
+  async startConnection() {
+    if (!this._clientConfig || !this._clientConfig.enabled) {
+      this.log('SABnzbd integration is disabled, skipping connection');
+      return;
+    }
+
+    const connected = await this.initClient();
+    if (!connected) {
+      this.scheduleReconnect(30000);
+    }
+  }
+
+  /**
+   * Check if client is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return !!this.client && this.client.isConnected();
+  }
+
+  /**
+   * Mark the connection as lost after a failed call and retry later
+   * @param {Error} err - Error of the failed call
+   */
+  _handleFetchError(err) {
+    this._setConnectionError(err);
+    if (this.client) {
+      this.client.connected = false;
+    }
+    this.scheduleReconnect(30000);
+  }
+
+  // ============================================================================
+  // DATA FETCHING
+  // ============================================================================
+
+  /**
+   * Get queue and recent history, normalized.
+   * @returns {Promise<Array>} Normalized downloads
+   */
+  async getJobs() {
+    if (!this.client) {
+      return [];
+    }
+
+    try {
+      const [queue, history] = await Promise.all([
+        this.client.getQueue(),
+        this.client.getHistory(HISTORY_LIMIT)
+      ]);
+
+      // SABnzbd downloads one job at a time; the overall speed belongs to it
+      const speed = Math.round(parseFloat(queue.kbpersec || 0) * 1024);
+      const jobs = [
+        ...(queue.slots || []).map(slot => normalizeSabnzbdQueueSlot(slot, queue.paused ? 0 : speed)),
+        ...history.map(slot => normalizeSabnzbdHistorySlot(slot))
+      ];
+
+      this.lastJobs = jobs;
+      return jobs;
+    } catch (err) {
+      this.log('Error fetching SABnzbd jobs:', logger.errorDetail(err));
+      this._handleFetchError(err);
+      return this.lastJobs; // Return cached data on error
+    }
+  }
+
+  /**
+   * Find the last fetched job of an item
+   * @param {string} hash - Item hash (lowercased nzo_id)
+   * @returns {Object} Normalized job
+   * @throws {Error} If the job is unknown
+   */
+  _getJob(hash) {
+    const key = (hash || '').toLowerCase();
+    const job = this.lastJobs.find(j => j.hash === key);
+    if (!job) throw new Error(`Job not found in SABnzbd: ${hash}`);
+    return job;
+  }
+
+  /**
+   * Get global stats from SABnzbd
+   * @returns {Promise<Object>} { uploadSpeed, downloadSpeed, uploadTotal, downloadTotal, ... }
+   */
+  async getGlobalStats() {
+    if (!this.client) {
+      return { uploadSpeed: 0, downloadSpeed: 0, uploadTotal: 0, downloadTotal: 0 };
+    }
+
+    try {
+      const [queue, serverStats] = await Promise.all([
+        this.client.getQueue(),
+        this.client.getServerStats()
+      ]);
+
+      return {
+        uploadSpeed: 0,
+        downloadSpeed: Math.round(parseFloat(queue.kbpersec || 0) * 1024),
+        uploadTotal: 0,
+        downloadTotal: serverStats.total || 0,
+        paused: queue.paused === true,
+        queuedJobs: (queue.slots || []).length
+      };
+    } catch (err) {
+      this.log('❌ Error fetching SABnzbd stats:', logger.errorDetail(err));
+      this._handleFetchError(err);
+      return { uploadSpeed: 0, downloadSpeed: 0, uploadTotal: 0, downloadTotal: 0 };
+    }
+  }
+
+  // ============================================================================
+  // UNIFIED DATA FETCHING (same interface as all managers)
+  // ============================================================================
+
+  /**
+   * Fetch and normalize all data from SABnzbd.
+   * @returns {Promise<Object>} { downloads, sharedFiles }
+   */
+  async fetchData() {
+    const downloads = await this.getJobs();
+
+    // Stamp instanceId on all normalized items
+    const instanceId = this.instanceId;
+    downloads.forEach(d => { d.instanceId = instanceId; });
+
+    // Nothing is uploaded on Usenet
+    return { downloads, sharedFiles: [] };
+  }
+
+  // ============================================================================
+  // UNIFIED STATS & NETWORK STATUS (same interface as all managers)
+  // ============================================================================
+
+  /**
+   * Get raw stats from SABnzbd (alias for getGlobalStats)
+   * @returns {Promise<Object>} Raw stats
+   */
+  async getStats() {
+    return await this.getGlobalStats();
+  }
+
+  /**
+   * Extract normalized metrics from raw SABnzbd stats
+   * @param {Object} rawStats - Raw stats (already normalized by getGlobalStats)
+   * @returns {Object} { uploadSpeed, downloadSpeed, uploadTotal, downloadTotal }
+   */
+  extractMetrics(rawStats) {
+    return {
+      uploadSpeed: 0,
+      downloadSpeed: rawStats.downloadSpeed || 0,
+      uploadTotal: 0,
+      downloadTotal: rawStats.downloadTotal || 0
+    };
+  }
+
+  /**
+   * Compute network status from raw SABnzbd stats
+   * There is no port to test; a paused queue is shown as a warning.
+   * @param {Object} rawStats - Raw stats (already normalized by getGlobalStats)
+   * @returns {Object} { status, text, connectionStatus, listenPort }
+   */
+  getNetworkStatus(rawStats) {
+    return {
+      status: rawStats.paused ? 'yellow' : 'green',
+      text: rawStats.paused ? 'Paused' : 'OK',
+      connectionStatus: 'connected',
+      listenPort: null
+    };
+  }
+
+  /**
+   * Extract normalized history metadata from a normalized SABnzbd job
+   * @param {Object} item - Normalized SABnzbd job
+   * @returns {Object} Normalized metadata for history DB
+   */
+  extractHistoryMetadata(item) {
+    return {
+      hash: item.hash?.toLowerCase(),
+      instanceId: item.instanceId,
+      size: item.size,
+      name: item.name,
+      downloaded: item.downloaded || 0,
+      uploaded: 0,
+      ratio: 0,
+      trackerDomain: null,
+      directory: item.directory || null,
+      multiFile: true,
+      category: item.category || null
+    };
+  }
+
+  // ============================================================================
+  // UNIFIED DOWNLOAD CONTROL (same interface as all managers)
+  // ============================================================================
+
+  /**
+   * Pause a queued job (history entries are left as they are)
+   * @param {string} hash - Item hash
+   */
+  async pause(hash) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+    const job = this._getJob(hash);
+    if (job.isHistory) return;
+    await this.client.pauseJob(job.id);
+  }
+
+  /**
+   * Resume a queued job
+   * @param {string} hash - Item hash
+   */
+  async resume(hash) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+    const job = this._getJob(hash);
+    if (job.isHistory) {
+      throw new Error('SABnzbd cannot resume finished jobs');
+    }
+    await this.client.resumeJob(job.id);
+  }
+
+  /**
+   * Hard stop a job (SABnzbd: same as pause)
+   * @param {string} hash - Item hash
+   */
+  async stop(hash) {
+    return await this.pause(hash);
+  }
+
+  /**
+   * Remove a job from the queue or history
+   * @param {string} hash - Item hash
+   * @param {boolean} deleteFiles - Also delete the job's data
+   */
+  async removeDownload(hash, deleteFiles = false) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+    const job = this._getJob(hash);
+
+    if (job.isHistory) {
+      await this.client.deleteHistory(job.id, deleteFiles);
+    } else {
+      await this.client.deleteJob(job.id, deleteFiles);
+    }
+
+    this.lastJobs = this.lastJobs.filter(j => j.hash !== job.hash);
+    this.trackDeletion(hash);
+  }
+
+  /**
+   * Delete an item (SABnzbd deletes the files itself)
+   * @param {string} hash - Item hash
+   * @param {Object} options - { deleteFiles }
+   * @returns {Promise<Object>} { success, pathsToDelete }
+   */
+  async deleteItem(hash, { deleteFiles } = {}) {
+    await this.removeDownload(hash, !!deleteFiles);
+    return { success: true, pathsToDelete: [] };
+  }
+
+  // ============================================================================
+  // ADD DOWNLOADS
+  // ============================================================================
+
+  /**
+   * Build SABnzbd-native options from unified format.
+   * Unified: { categoryName, priority, start, username }
+   * SABnzbd: { category, priority, paused }
+   */
+  _buildAddOptions(options) {
+    const rawLabel = options.categoryName ?? options.category ?? '';
+    const label = rawLabel === 'Default' ? '' : rawLabel;
+    return {
+      addArgs: {
+        category: label,
+        priority: PRIORITY_MAP[options.priority],
+        paused: options.start === false
+      },
+      label
+    };
+  }
+
+  /**
+   * Add an NZB from raw data (Buffer)
+   * @param {Buffer} nzbData - Raw .nzb file contents
+   * @param {Object} options - Unified options { categoryName, priority, start, filename, username }
+   * @returns {Promise<string|null>} Hash of the new job
+   */
+  async addNzbRaw(nzbData, options = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+
+    const { addArgs, label } = this._buildAddOptions(options);
+    const filename = options.filename || 'upload.nzb';
+    const [nzoId] = await this.client.addFile(nzbData, { ...addArgs, filename });
+    if (!nzoId) return null;
+
+    // Track in history
+    const hash = nzoId.toLowerCase();
+    this.trackDownload(hash, filename.replace(/\.nzb$/i, ''), null, options.username, label || null);
+    return hash;
+  }
+
+  /**
+   * Add an NZB by URL (SABnzbd downloads the NZB file)
+   * @param {string} url - NZB URL
+   * @param {Object} options - Unified options { categoryName, priority, start, username }
+   * @returns {Promise<string|null>} Hash of the new job
+   */
+  async addUrl(url, options = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+
+    const { addArgs, label } = this._buildAddOptions(options);
+    const [nzoId] = await this.client.addUrl(url, addArgs);
+    if (!nzoId) return null;
+
+    // Track in history (SABnzbd names the job once the NZB is fetched)
+    const hash = nzoId.toLowerCase();
+    this.trackDownload(hash, url.split('?')[0].split('/').pop() || url, null, options.username, label || null);
+    return hash;
+  }
+
+  // ============================================================================
+  // CATEGORY / LABEL MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Set category for a queued job (unified interface)
+   * SABnzbd can't recategorize history entries.
+   * @param {string} hash - Item hash
+   * @param {Object} options - { categoryName }
+   * @returns {Promise<Object>} { success }
+   */
+  async setCategoryOrLabel(hash, { categoryName } = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+    const job = this._getJob(hash);
+    if (job.isHistory) {
+      throw new Error('SABnzbd cannot change the category of finished jobs');
+    }
+
+    const category = !categoryName || categoryName === 'Default' ? '*' : categoryName;
+    await this.client.changeCategory(job.id, category);
+    return { success: true };
+  }
+
+  /**
+   * Get categories from SABnzbd
+   * @returns {Promise<Object>} Map of name → { name, dir } (the '*' default category is left out)
+   */
+  async getCategories() {
+    if (!this.client) throw new Error('SABnzbd not connected');
+    const categories = await this.client.getConfig('categories') || [];
+    return Object.fromEntries(
+      categories.filter(cat => cat.name && cat.name !== '*').map(cat => [cat.name, cat])
+    );
+  }
+
+  /**
+   * Create a category in SABnzbd
+   * @param {Object} opts - { name, path }
+   */
+  async createCategory({ name, path = '' } = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+    await this.client.setCategory(name, { dir: path });
+    this.log(`📁 Created category "${name}" in SABnzbd${path ? ` (path: ${path})` : ''}`);
+  }
+
+  /**
+   * Edit a category in SABnzbd (update its folder) with read-back verification.
+   * @param {Object} opts - { name, path }
+   * @returns {Promise<Object>} { success, verified, mismatches }
+   */
+  async editCategory({ name, path = '' } = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+
+    try {
+      const existing = await this.getCategories();
+      if (existing[name] && (existing[name].dir || '') === path) {
+        return { success: true, verified: true, mismatches: [] };
+      }
+      await this.client.setCategory(name, { dir: path });
+      this.log(`📁 Updated category "${name}" in SABnzbd (path: ${path})`);
+
+      // Verify by reading back
+      const saved = (await this.getCategories())[name];
+      const mismatches = [];
+      if (!saved) mismatches.push('Category not found after update');
+      else if ((saved.dir || '') !== path) mismatches.push(`path: expected "${path}", got "${saved.dir || ''}"`);
+
+      if (mismatches.length > 0) {
+        this.log(`⚠️ Verify: Category "${name}" mismatches: ${mismatches.join(', ')}`);
+        return { success: true, verified: false, mismatches };
+      }
+      return { success: true, verified: true, mismatches: [] };
+    } catch (err) {
+      this.log(`⚠️ Failed to update category in SABnzbd: ${err.message}`);
+      return { success: false, verified: false, mismatches: [err.message] };
+    }
+  }
+
+  /**
+   * Rename a category in SABnzbd.
+   * SABnzbd has no rename — creates the new category, moves queued jobs, deletes the old one.
+   * @param {Object} opts - { oldName, newName, path }
+   * @returns {Promise<Object>} { success, verified, mismatches }
+   */
+  async renameCategory({ oldName, newName, path = '' } = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+
+    try {
+      await this.client.setCategory(newName, { dir: path });
+
+      const queued = this.lastJobs.filter(job => !job.isHistory && job.category === oldName);
+      for (const job of queued) {
+        await this.client.changeCategory(job.id, newName);
+      }
+      if (queued.length > 0) {
+        this.log(`🔄 Moved ${queued.length} job(s) from "${oldName}" to "${newName}"`);
+      }
+
+      await this.client.deleteCategory(oldName);
+      this.log(`📤 Renamed category "${oldName}" → "${newName}" in SABnzbd`);
+
+      const categories = await this.getCategories();
+      const mismatches = [];
+      if (!categories[newName]) mismatches.push(`New category "${newName}" not found after rename`);
+      if (categories[oldName]) mismatches.push(`Old category "${oldName}" still exists after rename`);
+      return { success: true, verified: mismatches.length === 0, mismatches };
+    } catch (err) {
+      this.log(`⚠️ Failed to rename category in SABnzbd: ${err.message}`);
+      return { success: false, verified: false, mismatches: [err.message] };
+    }
+  }
+
+  /**
+   * Delete a category from SABnzbd
+   * @param {Object} opts - { name }
+   */
+  async deleteCategory({ name } = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+    await this.client.deleteCategory(name);
+    this.log(`🗑️  Removed category from SABnzbd: ${name}`);
+  }
+
+  /**
+   * Ensure a category exists in SABnzbd
+   * @param {Object} opts - { name, path }
+   * @returns {Promise<Object>} { success: true }
+   */
+  async ensureCategoryExists({ name, path = '' } = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+
+    try {
+      const categories = await this.getCategories();
+      if (!categories[name]) {
+        await this.createCategory({ name, path });
+      }
+    } catch (err) {
+      this.log(`⚠️ Failed to ensure category in SABnzbd: ${err.message}`);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Ensure multiple categories exist in SABnzbd (fetches existing list once).
+   * @param {Array<Object>} categories - Array of { name, path }
+   * @returns {Promise<Array<Object>>} Results per created category: [{ name }]
+   */
+  async ensureCategoriesBatch(categories) {
+    if (!this.client || !categories?.length) return [];
+
+    const results = [];
+    try {
+      const existing = await this.getCategories();
+      for (const cat of categories) {
+        if (existing[cat.name]) continue;
+        try {
+          await this.createCategory({ name: cat.name, path: cat.path || '' });
+          results.push({ name: cat.name });
+        } catch (err) {
+          this.log(`⚠️ Failed to propagate "${cat.name}" to SABnzbd: ${err.message}`);
+        }
+      }
+    } catch (err) {
+      this.log(`⚠️ Failed to fetch SABnzbd categories for batch propagation: ${err.message}`);
+    }
+    return results;
+  }
+
+  // ============================================================================
+  // FILES
+  // ============================================================================
+
+  /**
+   * Get files of a queued job (SABnzbd lists no files for finished jobs)
+   * @param {string} hash - Item hash
+   * @returns {Promise<Array>} Array of file objects
+   */
+  async getFiles(hash) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+
+    const job = this._getJob(hash);
+    if (job.isHistory) return [];
+
+    const files = await this.client.getFiles(job.id);
+    return files.map((file, index) => {
+      const size = parseInt(file.bytes, 10) || Math.round(parseFloat(file.mb || 0) * 1024 * 1024);
+      const left = parseInt(file.bytes_left, 10) || Math.round(parseFloat(file.mbleft || 0) * 1024 * 1024);
+      return {
+        path: file.filename,
+        size,
+        progress: size > 0 ? parseFloat(((size - left) / size * 100).toFixed(2)) : 0,
+        priority: 1,
+        index
+      };
+    });
+  }
+
+  // ============================================================================
+  // SPEED LIMITS
+  // SABnzbd only limits the download speed of the whole queue
+  // ============================================================================
+
+  /**
+   * Get the global speed limit
+   * @param {Object} opts - { hash } — per-job limits are not supported
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async getSpeedLimits({ hash = null } = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+    if (hash) throw new Error('SABnzbd has no per-job speed limits');
+
+    const queue = await this.client.getQueue();
+    return {
+      downloadLimit: parseInt(queue.speedlimit_abs, 10) || 0,
+      uploadLimit: 0
+    };
+  }
+
+  /**
+   * Set the global speed limit (the upload limit is ignored)
+   * @param {Object} opts - { hash, downloadLimit, uploadLimit }
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } as applied
+   */
+  async setSpeedLimits({ hash = null, downloadLimit } = {}) {
+    if (!this.client) throw new Error('SABnzbd not connected');
+    if (hash) throw new Error('SABnzbd has no per-job speed limits');
+
+    if (downloadLimit !== undefined) {
+      await this.client.setSpeedLimit(downloadLimit);
+    }
+    return await this.getSpeedLimits();
+  }
+
+  // ============================================================================
+  // SYNC
+  // ============================================================================
+
+  /**
+   * Sync categories when this SABnzbd instance connects.
+   * Imports SABnzbd categories into the app, then pushes app categories to SABnzbd.
+   * @param {Object} categoryManager - CategoryManager instance
+   */
+  async onConnectSync(categoryManager) {
+    const defaultDir = await this.getDefaultDirectory();
+    if (defaultDir) {
+      categoryManager.setClientDefaultPath(this.instanceId, defaultDir);
+    }
+
+    const sabCategories = await this.getCategories();
+
+    // Phase 1: Import SABnzbd categories into app
+    let createdInApp = 0;
+    for (const [name, cat] of Object.entries(sabCategories)) {
+      if (categoryManager.getByName(name)) continue;
+      categoryManager.importCategory({
+        name, path: cat.dir || null,
+        comment: 'Auto-created from SABnzbd category'
+      });
+      createdInApp++;
+    }
+    if (createdInApp > 0) await categoryManager.save();
+
+    // Phase 2: Push app categories to SABnzbd
+    let createdInSab = 0;
+    for (const [name, category] of categoryManager.getCategoriesSnapshot().entries()) {
+      if (name === 'Default' || sabCategories[name]) continue;
+      try {
+        await this.createCategory({ name, path: category.path || '' });
+        createdInSab++;
+      } catch (err) {
+        this.log(`⚠️ Failed to create category "${name}" in SABnzbd: ${err.message}`);
+      }
+    }
+
+    this.log(`📊 SABnzbd sync complete: ${createdInApp} imported, ${createdInSab} pushed`);
+
+    // Propagate all app categories to other connected clients that may not have them
+    await categoryManager.propagateToOtherClients(this.instanceId);
+    await categoryManager.validateAllPaths();
+  }
+
+  // ============================================================================
+  // MISC
+  // ============================================================================
+
+  /**
+   * Get the completed download folder from SABnzbd's folder settings.
+   * @returns {Promise<string|null>} Default save path or null
+   */
+  async getDefaultDirectory() {
+    if (!this.client) return null;
+
+    try {
+      if (!this.cachedMisc) {
+        this.cachedMisc = await this.client.getConfig('misc');
+      }
+      return this.cachedMisc?.complete_dir || null;
+    } catch (err) {
+      this.log('Failed to get SABnzbd default directory:', logger.errorDetail(err));
+      return null;
+    }
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  async shutdown() {
+    this.log('Shutting down SABnzbd connection...');
+
+    // Stop reconnection attempts
+    this.clearReconnect();
+
+    // Wait for any ongoing connection attempts
+    let waitAttempts = 0;
+    while (this.connectionInProgress && waitAttempts < 50) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      waitAttempts++;
+    }
+
+    if (this.client) {
+      await this.client.disconnect();
+      this.client = null;
+    }
+
+    this.connectionInProgress = false;
+    this.log('SABnzbd connection shutdown complete');
+  }
+}
+
+module.exports = { SabnzbdManager };
@@ -0,0 +1,528 @@
+/**
+ * Saved Searches Module
+ * Stores ED2K and Prowlarr searches, re-runs them on a schedule and reports new results
+ *
+ * Each saved search (SavedSearchDB, saved_searches table) has:
+ * - query, type ('global', 'local', 'kad' or 'prowlarr'), extension (ED2K) or indexerIds (Prowlarr)
+ * - minSize / maxSize: results outside the range are dropped (bytes, null = no limit)
+ * - intervalMinutes: how often it re-runs (0 = only when run by hand)
+ * - notify: emit a savedSearchResults event for new results (notifications and event script)
+ * - autoAdd / category / instanceId: add new results to a client
+ *
+ * A result is new when no earlier run of the search returned it. The first run
+ * only records a baseline, so saving a search never notifies or adds the
+ * results that already exist. Scheduled ED2K searches share the Torznab rate
+ * limiter (ED2K_SEARCH_DELAY_MS) so they don't trip server flood protection.
+ */
+
+const fs = require('fs').promises;
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const categoryManager = require('../lib/CategoryManager');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const SavedSearchDB = require('../lib/SavedSearchDB');
+const { resolveTargetManager, addMagnet, addTorrent, addEd2k } = require('../lib/downloadAdder');
+const prowlarrAPI = require('./prowlarrAPI');
+const torznabAPI = require('./torznabAPI');
+
+// How often to look for searches that are due (in milliseconds)
+const CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+// How often old results are pruned
+const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+
+const SEARCH_TYPES = ['global', 'local', 'kad', 'prowlarr'];
+const MIN_INTERVAL_MINUTES = 30;
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+const MAX_QUERY_LENGTH = 200;
+
+// Titles of new results listed in the event (all of them are in `results`)
+const EVENT_TITLE_LIMIT = 10;
+const EVENT_RESULT_LIMIT = 50;
+
+const SEARCH_LOCK_FILTER = { filter: u => u?.isAdmin || u?.capabilities?.includes('search') };
+
+/**
+ * Parse an optional size limit in bytes
+ * @param {*} value - Raw value
+ * @param {string} label - Field label for errors
+ * @returns {number|null}
+ */
+const parseSize = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 0) throw new Error(`${label} must be a whole number of bytes`);
+  return size;
+};
+
+class SavedSearches extends BaseModule {
+  constructor() {
+    super();
+    this.db = null;
+    this.checkTimeout = null;
+    this._loopId = 0;             // Bumped by start()/stop(), so checks of a stopped loop don't reschedule
+    this._running = false;
+    this._lastCleanupAt = 0;
+  }
+
+  /**
+   * Initialize the saved searches database
+   * @param {string} dbPath - Path to saved_searches.db
+   */
+  initDB(dbPath) {
+    this.db = new SavedSearchDB(dbPath);
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Start the schedule loop (first check after one interval, so clients have connected)
+   */
+  start() {
+    this.stop();
+    const loopId = this._loopId;
+    this.checkTimeout = setTimeout(() => this._check(loopId), CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop the schedule loop (a check already in progress finishes but doesn't reschedule)
+   */
+  stop() {
+    this._loopId++;
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+  }
+
+  /**
+   * Run due searches and schedule the next check
+   * @param {number} loopId - Loop this check belongs to
+   */
+  async _check(loopId) {
+    try {
+      await this._runDueSearches();
+    } catch (err) {
+      this.log('⚠️  Saved search check failed:', logger.errorDetail(err));
+    } finally {
+      if (loopId === this._loopId) {
+        this.checkTimeout = setTimeout(() => this._check(loopId), CHECK_INTERVAL);
+      }
+    }
+  }
+
+  /**
+   * Run every enabled, scheduled search whose interval has elapsed (one at a time)
+   */
+  async _runDueSearches() {
+    if (!this.db || this._running) return;
+
+    this._running = true;
+    try {
+      const now = Date.now();
+      if (now - this._lastCleanupAt >= CLEANUP_INTERVAL) {
+        this.db.cleanup();
+        this._lastCleanupAt = now;
+      }
+
+      for (const search of this.db.getSearches()) {
+        if (!search.enabled || search.intervalMinutes === 0) continue;
+        const lastRun = search.lastRunAt ? new Date(search.lastRunAt).getTime() : 0;
+        if (now - lastRun < search.intervalMinutes * 60 * 1000) continue;
+        await this._run(search);
+      }
+    } finally {
+      this._running = false;
+    }
+  }
+
+  // ==========================================================================
+  // RUNNING
+  // ==========================================================================
+
+  /**
+   * Resolve the owner of a search for a run
+   * @param {Object} search - Saved search
+   * @returns {Object} { username, userId, canAdd, error }
+   */
+  _getOwner(search) {
+    if (search.userId === null || !this.userManager) {
+      return { username: null, userId: null, canAdd: true, error: null };
+    }
+    const user = this.userManager.getUser(search.userId);
+    if (!user || user.disabled) {
+      return { error: 'The owner of this search no longer exists or is disabled' };
+    }
+    const capabilities = this.userManager.resolveCapabilities(user);
+    if (!capabilities.includes('search')) {
+      return { error: `${user.username} is no longer allowed to search` };
+    }
+    return { username: user.username, userId: user.id, canAdd: capabilities.includes('add_downloads'), error: null };
+  }
+
+  /**
+   * Run a search on aMule (rate limited like Torznab searches, holding the instance's search lock)
+   * @param {Object} search - Saved search
+   * @returns {Promise<Array|null>} Results, or null if another search is running on the instance
+   */
+  async _searchEd2k(search) {
+    const manager = search.instanceId
+      ? registry.get(search.instanceId)
+      : registry.getByType('amule').find(m => m.isConnected());
+    if (!manager || !manager.isConnected()) {
+      throw new Error(`${manager?.displayName || 'aMule'} is not connected`);
+    }
+
+    return torznabAPI.handler.rateLimitedSearch(async () => {
+      if (!manager.acquireSearchLock()) return null;
+
+      this.broadcast({ type: 'search-lock', locked: true }, SEARCH_LOCK_FILTER);
+      try {
+        const result = await manager.search(search.query, search.type, search.extension || null);
+        return (result.results || []).map(r => ({ ...r, instanceId: manager.instanceId }));
+      } finally {
+        manager.releaseSearchLock();
+        this.broadcast({ type: 'search-lock', locked: false }, SEARCH_LOCK_FILTER);
+      }
+    }, manager.instanceId);
+  }
+
+  /**
+   * Run a search on Prowlarr (the interactive search cache is left alone)
+   * @param {Object} search - Saved search
+   * @returns {Promise<Array>} Results
+   */
+  async _searchProwlarr(search) {
+    if (!prowlarrAPI.initHandler()) {
+      throw new Error('Prowlarr is not configured');
+    }
+    return prowlarrAPI.runSearch(search.query, {
+      indexerIds: search.indexerIds.length > 0 ? search.indexerIds : undefined,
+      cache: false
+    });
+  }
+
+  /**
+   * Run a saved search, store its results and handle the new ones
+   * @param {Object} search - Saved search
+   * @param {Object} options - { triggeredBy: username of a manual run }
+   * @returns {Promise<Object>} { error, busy, baseline, results, newCount, added, failed }
+   */
+  async _run(search, { triggeredBy = null } = {}) {
+    const ranAt = new Date().toISOString();
+    const summary = { error: null, busy: false, baseline: false, results: [], newCount: 0, added: 0, failed: 0 };
+
+    const owner = this._getOwner(search);
+    if (owner.error) {
+      summary.error = owner.error;
+      this.db.markFailed(search.id, ranAt, owner.error);
+      return summary;
+    }
+
+    let results;
+    try {
+      results = search.type === 'prowlarr' ? await this._searchProwlarr(search) : await this._searchEd2k(search);
+    } catch (err) {
+      summary.error = err.message;
+      this.db.markFailed(search.id, ranAt, err.message);
+      this.log(`⚠️  Saved search "${search.name}" failed: ${err.message}`);
+      return summary;
+    }
+
+    // aMule is busy with another search - not a failure, the next check retries
+    if (results === null) {
+      summary.busy = true;
+      summary.error = 'Another search is running on this instance';
+      return summary;
+    }
+
+    results = results.filter(r =>
+      (search.minSize === null || (r.fileSize || 0) >= search.minSize) &&
+      (search.maxSize === null || (r.fileSize || 0) <= search.maxSize)
+    );
+
+    const known = this.db.getResultKeys(search.id);
+    summary.baseline = search.lastResultCount === null;
+    const fresh = summary.baseline ? [] : results.filter(r => !known.has(r.fileHash));
+    const freshKeys = new Set(fresh.map(r => r.fileHash));
+
+    this.db.saveResults(search.id, results.map(r => ({
+      key: r.fileHash,
+      fileName: r.fileName,
+      fileSize: r.fileSize,
+      sourceCount: r.sourceCount,
+      indexer: r.indexer
+    })), ranAt);
+
+    summary.results = results.map(r => ({ ...r, isNew: freshKeys.has(r.fileHash) }));
+    summary.newCount = fresh.length;
+
+    if (fresh.length > 0 && search.autoAdd) {
+      if (owner.canAdd) {
+        for (const result of fresh) {
+          try {
+            const clientName = await this._addResult(search, result, owner);
+            this.db.setResultStatus(search.id, result.fileHash, 'added');
+            summary.added++;
+            this.log(`🔎 [${search.name}] Added "${result.fileName}" to ${clientName}`);
+          } catch (err) {
+            this.db.setResultStatus(search.id, result.fileHash, 'failed', err.message);
+            summary.failed++;
+            this.log(`⚠️  [${search.name}] Failed to add "${result.fileName}": ${err.message}`);
+          }
+        }
+      } else {
+        this.log(`⚠️  [${search.name}] Not adding new results: ${owner.username} may not add downloads`);
+      }
+    }
+
+    this.db.markRun(search.id, { ranAt, resultCount: results.length, newCount: fresh.length });
+
+    if (fresh.length > 0 && search.notify) {
+      eventScriptingManager.emit('savedSearchResults', {
+        searchId: search.id,
+        searchName: search.name,
+        query: search.query,
+        searchType: search.type,
+        newCount: fresh.length,
+        added: summary.added,
+        category: search.autoAdd ? search.category || '' : '',
+        titles: fresh.slice(0, EVENT_TITLE_LIMIT).map(r => r.fileName).join('\n'),
+        results: fresh.slice(0, EVENT_RESULT_LIMIT).map(r => ({
+          fileName: r.fileName,
+          fileSize: r.fileSize,
+          sourceCount: r.sourceCount,
+          ...(r.indexer && { indexer: r.indexer })
+        })),
+        owner: owner.username || '',
+        triggeredBy: triggeredBy || ''
+      });
+    }
+
+    this.log(`🔎 Saved search "${search.name}": ${results.length} results, ${summary.baseline ? 'baseline recorded' : `${fresh.length} new`}${summary.added ? `, ${summary.added} added` : ''}`);
+    return summary;
+  }
+
+  /**
+   * Add a new result to the search's target client
+   * @param {Object} search - Saved search
+   * @param {Object} result - Search result
+   * @param {Object} owner - { username, userId }
+   * @returns {Promise<string>} Display name of the client it was added to
+   */
+  async _addResult(search, result, owner) {
+    const options = {
+      categoryName: search.category,
+      username: owner.username,
+      userId: owner.userId,
+      userManager: this.userManager
+    };
+
+    // ED2K results go to the aMule instance that found them
+    if (!result.isProwlarr) {
+      const manager = await resolveTargetManager(result.instanceId, true, search.category);
+      await addEd2k(manager, `ed2k://|file|${result.fileName}|${result.fileSize}|${result.fileHash}|/`, options);
+      return manager.displayName || manager.clientType;
+    }
+
+    const manager = await resolveTargetManager(search.instanceId, false, search.category);
+    const link = result.magnetUrl || result.downloadUrl;
+    if (!link) throw new Error('Result has no download link');
+
+    if (link.startsWith('magnet:')) {
+      await addMagnet(manager, link, options);
+    } else {
+      const downloaded = await prowlarrAPI.downloadTorrentFile(link);
+      if (downloaded && typeof downloaded === 'object' && downloaded.magnet) {
+        await addMagnet(manager, downloaded.magnet, options);
+      } else {
+        try {
+          await addTorrent(manager, await fs.readFile(downloaded), options);
+        } finally {
+          await fs.unlink(downloaded).catch(() => {});
+        }
+      }
+    }
+    return manager.displayName || manager.clientType;
+  }
+
+  // ==========================================================================
+  // SEARCH MANAGEMENT
+  // ==========================================================================
+
+  /**
+   * Validate and normalize saved search fields from the API
+   * @param {Object} input - Raw search fields
+   * @param {Object} user - { isAdmin, capabilities } of the owner
+   * @returns {Object} Normalized search
+   * @throws {Error} If a field is invalid
+   */
+  normalizeSearch(input = {}, user = {}) {
+    const query = typeof input.query === 'string' ? input.query.trim() : '';
+    if (!query) throw new Error('Search query is required');
+    if (query.length > MAX_QUERY_LENGTH) throw new Error(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+
+    const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : query;
+
+    const type = input.type || 'global';
+    if (!SEARCH_TYPES.includes(type)) throw new Error(`type must be one of: ${SEARCH_TYPES.join(', ')}`);
+    const isProwlarr = type === 'prowlarr';
+
+    const extension = !isProwlarr && typeof input.extension === 'string' && input.extension.trim()
+      ? input.extension.trim().replace(/^\./, '')
+      : null;
+
+    const indexerIds = isProwlarr && Array.isArray(input.indexerIds) ? input.indexerIds.map(Number) : [];
+    if (indexerIds.some(id => !Number.isInteger(id) || id <= 0)) throw new Error('indexerIds must be Prowlarr indexer IDs');
+
+    const minSize = parseSize(input.minSize, 'Minimum size');
+    const maxSize = parseSize(input.maxSize, 'Maximum size');
+    if (minSize !== null && maxSize !== null && minSize > maxSize) {
+      throw new Error('Minimum size must not be larger than maximum size');
+    }
+
+    const intervalMinutes = input.intervalMinutes === undefined || input.intervalMinutes === null || input.intervalMinutes === ''
+      ? DEFAULT_INTERVAL_MINUTES
+      : Number(input.intervalMinutes);
+    if (!Number.isInteger(intervalMinutes) || (intervalMinutes !== 0 && intervalMinutes < MIN_INTERVAL_MINUTES)) {
+      throw new Error(`Interval must be 0 (manual only) or a whole number of at least ${MIN_INTERVAL_MINUTES} minutes`);
+    }
+
+    const autoAdd = input.autoAdd === true;
+    if (autoAdd && !user.isAdmin && !user.capabilities?.includes('add_downloads')) {
+      throw new Error('You are not allowed to add downloads');
+    }
+
+    const category = input.category || null;
+    if (category && !categoryManager.getByName(category)) {
+      throw new Error(`Category "${category}" not found`);
+    }
+
+    const instanceId = input.instanceId || null;
+    if (instanceId) {
+      const manager = registry.get(instanceId);
+      if (!manager) throw new Error(`Client instance "${instanceId}" not found`);
+      const fits = isProwlarr ? clientMeta.isBittorrent(manager.clientType) : manager.clientType === 'amule';
+      if (!fits) throw new Error(`${manager.displayName || instanceId} can't be used for ${isProwlarr ? 'Prowlarr' : 'ED2K'} searches`);
+    }
+
+    return {
+      name,
+      query,
+      type,
+      extension,
+      indexerIds,
+      minSize,
+      maxSize,
+      intervalMinutes,
+      enabled: input.enabled !== false,
+      notify: input.notify !== false,
+      autoAdd,
+      category,
+      instanceId
+    };
+  }
+
+  /**
+   * Whether a user may see and change a search
+   * @param {Object} search - Saved search
+   * @param {Object} user - { userId, isAdmin }
+   */
+  _canAccess(search, user) {
+    return user.isAdmin || search.userId === user.userId;
+  }
+
+  /**
+   * Add the owner's username to searches listed for an admin
+   */
+  _withOwner(search) {
+    if (search.userId === null || !this.userManager) return { ...search, owner: null };
+    return { ...search, owner: this.userManager.getUser(search.userId)?.username || null };
+  }
+
+  /**
+   * Get the searches a user can see (admins see everyone's)
+   * @param {Object} user - { userId, isAdmin }
+   * @returns {Array}
+   */
+  getSearches(user) {
+    return this.db.getSearches(user.isAdmin ? undefined : user.userId).map(s => this._withOwner(s));
+  }
+
+  /**
+   * Get one search the user can see
+   * @returns {Object|null}
+   */
+  getSearch(id, user) {
+    const search = this.db.getSearch(id);
+    return search && this._canAccess(search, user) ? this._withOwner(search) : null;
+  }
+
+  createSearch(input, user) {
+    const search = this.db.createSearch(user.userId, this.normalizeSearch(input, user));
+    this.log(`🔎 Saved search "${search.name}" created`);
+    return this._withOwner(search);
+  }
+
+  /**
+   * Update a search (full replacement). Changing what is searched starts a new baseline.
+   * @returns {Object|null} Updated search, or null if not found
+   */
+  updateSearch(id, input, user) {
+    const existing = this.getSearch(id, user);
+    if (!existing) return null;
+
+    const owner = existing.userId === user.userId ? user : this._ownerPermissions(existing);
+    const search = this.normalizeSearch(input, owner);
+    const criteriaChanged = ['query', 'type', 'extension', 'minSize', 'maxSize']
+      .some(key => search[key] !== existing[key]) ||
+      JSON.stringify(search.indexerIds) !== JSON.stringify(existing.indexerIds);
+
+    const updated = this.db.updateSearch(id, search);
+    if (criteriaChanged) this.db.resetResults(id);
+    return this._withOwner(criteriaChanged ? this.db.getSearch(id) : updated);
+  }
+
+  /**
+   * Permissions of a search's owner, for an admin editing someone else's search
+   * @returns {Object} { isAdmin, capabilities }
+   */
+  _ownerPermissions(search) {
+    const owner = search.userId !== null && this.userManager ? this.userManager.getUser(search.userId) : null;
+    if (!owner) return { isAdmin: search.userId === null, capabilities: [] };
+    return { isAdmin: owner.is_admin, capabilities: this.userManager.resolveCapabilities(owner) };
+  }
+
+  deleteSearch(id, user) {
+    if (!this.getSearch(id, user)) return false;
+    return this.db.deleteSearch(id);
+  }
+
+  /**
+   * Stored results of a search, newest first
+   * @returns {Array|null} Null if the search doesn't exist
+   */
+  getResults(id, user, limit) {
+    if (!this.getSearch(id, user)) return null;
+    return this.db.getResults(id, limit);
+  }
+
+  /**
+   * Run a search now, regardless of its schedule
+   * @param {number} id - Search id
+   * @param {Object} user - { userId, isAdmin, username }
+   * @returns {Promise<Object|null>} Run summary with the updated search, or null if the search doesn't exist
+   */
+  async runSearch(id, user) {
+    const search = this.getSearch(id, user);
+    if (!search) return null;
+    const summary = await this._run(search, { triggeredBy: user.username });
+    return { ...summary, search: this._withOwner(this.db.getSearch(id)) };
+  }
+}
+
+module.exports = new SavedSearches();
@@ -0,0 +1,189 @@
+/**
+ * Saved Searches API Module
+ * REST endpoints to manage saved searches, run them and read their results.
+ * Users see and change their own searches, admins everyone's.
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const config = require('./config');
+const savedSearches = require('./savedSearches');
+const response = require('../lib/responseFormatter');
+const { requireCapability } = require('../middleware/capabilities');
+
+class SavedSearchesAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * The requesting user (everyone is an admin without authentication)
+   * @returns {Object} { userId, username, isAdmin, capabilities }
+   */
+  _user(req) {
+    if (!config.getAuthEnabled()) {
+      return { userId: null, username: null, isAdmin: true, capabilities: [] };
+    }
+    return {
+      userId: req.session?.userId ?? null,
+      username: req.session?.username || null,
+      isAdmin: req.session?.isAdmin || false,
+      capabilities: req.session?.capabilities || []
+    };
+  }
+
+  /**
+   * Parse the :id route parameter
+   * @returns {number|null} Search id, or null when a response was sent
+   */
+  _id(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+      response.badRequest(res, 'Invalid search id');
+      return null;
+    }
+    return id;
+  }
+
+  _requireDB(res) {
+    if (savedSearches.db) return false;
+    response.serverError(res, 'Saved searches are not available');
+    return true;
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/v1/saved-searches
+   */
+  getSearches(req, res) {
+    if (this._requireDB(res)) return;
+    try {
+      res.json({ success: true, searches: savedSearches.getSearches(this._user(req)) });
+    } catch (err) {
+      this.log('Error getting saved searches:', err.message);
+      response.serverError(res, 'Failed to get saved searches');
+    }
+  }
+
+  /**
+   * POST /api/v1/saved-searches
+   * Body: { name?, query, type?, extension?, indexerIds?, minSize?, maxSize?,
+   *         intervalMinutes?, enabled?, notify?, autoAdd?, category?, instanceId? }
+   */
+  createSearch(req, res) {
+    if (this._requireDB(res)) return;
+    let search;
+    try {
+      search = savedSearches.createSearch(req.body || {}, this._user(req));
+    } catch (err) {
+      return response.badRequest(res, err.message);
+    }
+    res.status(201).json({ success: true, search });
+  }
+
+  /**
+   * PUT /api/v1/saved-searches/:id
+   * Body: same as POST (replaces all fields)
+   */
+  updateSearch(req, res) {
+    if (this._requireDB(res)) return;
+    const id = this._id(req, res);
+    if (!id) return;
+
+    let search;
+    try {
+      search = savedSearches.updateSearch(id, req.body || {}, this._user(req));
+    } catch (err) {
+      return response.badRequest(res, err.message);
+    }
+    if (!search) return response.notFound(res, 'Saved search not found');
+    res.json({ success: true, search });
+  }
+
+  /**
+   * DELETE /api/v1/saved-searches/:id
+   */
+  deleteSearch(req, res) {
+    if (this._requireDB(res)) return;
+    const id = this._id(req, res);
+    if (!id) return;
+
+    if (!savedSearches.deleteSearch(id, this._user(req))) {
+      return response.notFound(res, 'Saved search not found');
+    }
+    res.json({ success: true, message: 'Saved search deleted' });
+  }
+
+  /**
+   * POST /api/v1/saved-searches/:id/run
+   * Run a search now. New results are handled like on a scheduled run.
+   */
+  async runSearch(req, res) {
+    if (this._requireDB(res)) return;
+    const id = this._id(req, res);
+    if (!id) return;
+
+    try {
+      const result = await savedSearches.runSearch(id, this._user(req));
+      if (!result) return response.notFound(res, 'Saved search not found');
+      if (result.busy) return res.status(409).json({ success: false, message: result.error });
+      if (result.error) return response.serverError(res, result.error);
+
+      const { error, busy, ...summary } = result;
+      res.json({ success: true, ...summary });
+    } catch (err) {
+      this.log('Error running saved search:', err.message);
+      response.serverError(res, `Failed to run saved search: ${err.message}`);
+    }
+  }
+
+  /**
+   * GET /api/v1/saved-searches/:id/results?limit=200
+   * Results the search has found, newest first, with their auto-add status
+   */
+  getResults(req, res) {
+    if (this._requireDB(res)) return;
+    const id = this._id(req, res);
+    if (!id) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    const results = savedSearches.getResults(id, this._user(req), limit);
+    if (!results) return response.notFound(res, 'Saved search not found');
+    res.json({ success: true, results });
+  }
+
+  /**
+   * Register all saved search API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON and need the search capability
+    router.use(express.json());
+    router.use(requireCapability('search'));
+
+    // GET/POST /api/v1/saved-searches - List and create
+    router.get('/', this.getSearches.bind(this));
+    router.post('/', this.createSearch.bind(this));
+
+    // PUT/DELETE /api/v1/saved-searches/:id - Update and delete
+    router.put('/:id', this.updateSearch.bind(this));
+    router.delete('/:id', this.deleteSearch.bind(this));
+
+    // POST /api/v1/saved-searches/:id/run - Run now
+    router.post('/:id/run', this.runSearch.bind(this));
+
+    // GET /api/v1/saved-searches/:id/results - Stored results
+    router.get('/:id/results', this.getResults.bind(this));
+
+    // Mount router
+    app.use('/api/v1/saved-searches', router);
+
+    this.log('Saved searches API routes registered');
+  }
+}
+
+module.exports = new SavedSearchesAPI();
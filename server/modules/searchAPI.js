@@ -0,0 +1,162 @@
+/**
+ * Combined Search API Module
+ * Runs an ED2K (aMule) and a Prowlarr search in parallel and returns one result list
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const prowlarrAPI = require('./prowlarrAPI');
+const response = require('../lib/responseFormatter');
+const { requireCapability } = require('../middleware/capabilities');
+
+// Client registry - replaces direct singleton manager imports
+const registry = require('../lib/ClientRegistry');
+
+const ED2K_SEARCH_TYPES = ['global', 'local', 'kad'];
+
+/**
+ * Key identifying the same file across results: normalized name + exact size
+ * @param {Object} result - Search result
+ * @returns {string}
+ */
+const duplicateKey = (result) => {
+  const name = (result.fileName || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return `${name}|${result.fileSize || 0}`;
+};
+
+/**
+ * Merge results into one list, keeping the result with the most sources of every duplicate group.
+ * The kept result lists where else the file was found in `alsoFoundOn`.
+ * @param {Array} results - Results tagged with `network`
+ * @returns {Array} De-duplicated results
+ */
+const mergeDuplicates = (results) => {
+  const groups = new Map();
+  for (const result of results) {
+    const key = duplicateKey(result);
+    const group = groups.get(key);
+    if (group) group.push(result); else groups.set(key, [result]);
+  }
+
+  return [...groups.values()].map(group => {
+    if (group.length === 1) return group[0];
+    const [best, ...others] = [...group].sort((a, b) => (b.sourceCount || 0) - (a.sourceCount || 0));
+    return {
+      ...best,
+      alsoFoundOn: others.map(r => (r.network === 'ed2k' ? 'ED2K' : r.indexer || 'Prowlarr'))
+    };
+  });
+};
+
+class SearchAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  /**
+   * Run an ED2K search on an aMule instance, holding its search lock
+   * @param {Object} manager - aMule manager
+   * @param {string} query - Search query
+   * @param {string} type - 'global', 'local' or 'kad'
+   * @returns {Promise<Array>} Results tagged with network 'ed2k'
+   */
+  async _searchEd2k(manager, query, type) {
+    if (!manager.acquireSearchLock()) {
+      throw new Error('Another search is running on this instance');
+    }
+
+    const searchFilter = { filter: u => u?.isAdmin || u?.capabilities?.includes('search') };
+    this.broadcast({ type: 'search-lock', locked: true }, searchFilter);
+    try {
+      const result = await manager.search(query, type, null);
+      return (result.results || []).map(r => ({ ...r, network: 'ed2k', instanceId: manager.instanceId }));
+    } finally {
+      manager.releaseSearchLock();
+      this.broadcast({ type: 'search-lock', locked: false }, searchFilter);
+    }
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * POST /api/search/combined
+   * Search ED2K and Prowlarr at once. A network that fails reports its error in `errors`,
+   * the results of the other one are still returned.
+   * Body: { query, type?: 'global'|'local'|'kad', instanceId? }
+   */
+  async combinedSearch(req, res) {
+    const { query, type = 'global', instanceId } = req.body || {};
+    if (!query || typeof query !== 'string' || !query.trim()) {
+      return response.badRequest(res, 'Search query is required');
+    }
+    if (!ED2K_SEARCH_TYPES.includes(type)) {
+      return response.badRequest(res, `type must be one of: ${ED2K_SEARCH_TYPES.join(', ')}`);
+    }
+
+    const manager = instanceId
+      ? registry.get(instanceId)
+      : registry.getByType('amule').find(m => m.isConnected());
+    const amuleAvailable = !!manager && manager.clientType === 'amule' && manager.isConnected();
+    const prowlarrAvailable = prowlarrAPI.initHandler();
+
+    if (!amuleAvailable && !prowlarrAvailable) {
+      return response.badRequest(res, 'No aMule instance connected and Prowlarr is not configured');
+    }
+
+    this.log(`🔍 Combined search: "${query}"${amuleAvailable ? ` (ED2K on ${manager.displayName})` : ''}${prowlarrAvailable ? ' (Prowlarr)' : ''}`);
+
+    const errors = {};
+    const [ed2kResults, prowlarrResults] = await Promise.all([
+      amuleAvailable
+        ? this._searchEd2k(manager, query, type).catch(err => { errors.ed2k = err.message; return []; })
+        : Promise.resolve([]),
+      prowlarrAvailable
+        ? prowlarrAPI.runSearch(query)
+            .then(results => results.map(r => ({ ...r, network: 'bittorrent' })))
+            .catch(err => { errors.prowlarr = err.message; return []; })
+        : Promise.resolve([])
+    ]);
+
+    if (!amuleAvailable) errors.ed2k = 'No aMule instance connected';
+    if (!prowlarrAvailable) errors.prowlarr = 'Prowlarr is not configured';
+
+    const combined = [...ed2kResults, ...prowlarrResults];
+    if (combined.length === 0 && errors.ed2k && errors.prowlarr) {
+      this.log(`❌ Combined search failed: ED2K: ${errors.ed2k}; Prowlarr: ${errors.prowlarr}`);
+      return response.serverError(res, `Search failed: ED2K: ${errors.ed2k}; Prowlarr: ${errors.prowlarr}`);
+    }
+
+    const results = mergeDuplicates(combined);
+    this.log(`✅ Combined search found ${results.length} results (${ed2kResults.length} ED2K, ${prowlarrResults.length} Prowlarr, ${combined.length - results.length} duplicates merged)`);
+
+    res.json({
+      success: true,
+      query,
+      results,
+      ...(amuleAvailable && { instanceId: manager.instanceId }),
+      errors
+    });
+  }
+
+  /**
+   * Register all combined search API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON
+    router.use(express.json());
+
+    // POST /api/search/combined - ED2K + Prowlarr search
+    router.post('/combined', requireCapability('search'), this.combinedSearch.bind(this));
+
+    // Mount router
+    app.use('/api/search', router);
+
+    this.log('Combined search API routes registered');
+  }
+}
+
+module.exports = new SearchAPI();
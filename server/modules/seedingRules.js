@@ -0,0 +1,369 @@
+/**
+ * Seeding Rules Module
+ * Applies per-category share-ratio and seeding-time rules to completed torrents
+ *
+ * Rules live on each category (CategoryManager, seedingRules array):
+ * - minRatio / minSeedingHours: thresholds, either one reaching fires the rule
+ * - action: 'pause' | 'remove' | 'removeData' | 'move' (destPath as seen by the client)
+ *
+ * Rules are evaluated every few minutes against DataFetchService's cached batch
+ * data. The first enabled rule that matches an item wins. Every action is
+ * recorded in download history and emitted as a seedingRuleApplied event.
+ */
+
+const fs = require('fs').promises;
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const clientMeta = require('../lib/clientMeta');
+const categoryManager = require('../lib/CategoryManager');
+const dataFetchService = require('../lib/DataFetchService');
+const moveOperationManager = require('../lib/MoveOperationManager');
+const eventScriptingManager = require('../lib/EventScriptingManager');
+const { itemKey } = require('../lib/itemKey');
+
+const { normalizeSeedingRules } = categoryManager;
+
+// How often to evaluate the rules (in milliseconds)
+const RULES_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Cached batch data older than this is refreshed before evaluating
+const CACHE_MAX_AGE = 30000;
+
+// How long to wait before retrying an action that failed on an item
+const FAILED_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+
+// Number of recent actions kept for the status endpoint
+const RECENT_ACTIONS_LIMIT = 50;
+
+const ACTION_LABELS = {
+  pause: 'Paused',
+  remove: 'Removed',
+  removeData: 'Removed with data',
+  move: 'Moved'
+};
+
+class SeedingRules extends BaseModule {
+  constructor() {
+    super();
+    this.checkTimeout = null;
+    this._loopId = 0;             // Bumped by start()/stop(), so checks of a stopped loop don't reschedule
+    this._running = false;
+    this._lastRunAt = null;
+    this._failed = new Map();   // itemKey → timestamp of the last failed action
+    this._recent = [];          // Most recent actions, newest first
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Start the rules loop (first evaluation after one interval, so clients have connected)
+   */
+  start() {
+    this.stop();
+    const loopId = this._loopId;
+    this.checkTimeout = setTimeout(() => this._check(loopId), RULES_CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop the rules loop (a check already in progress finishes but doesn't reschedule)
+   */
+  stop() {
+    this._loopId++;
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+  }
+
+  /**
+   * Evaluate all rules and schedule the next check
+   * @param {number} loopId - Loop this check belongs to
+   */
+  async _check(loopId) {
+    try {
+      await this._evaluate();
+    } catch (err) {
+      this.log('⚠️  Seeding rules check failed:', logger.errorDetail(err));
+    } finally {
+      if (loopId === this._loopId) {
+        this.checkTimeout = setTimeout(() => this._check(loopId), RULES_CHECK_INTERVAL);
+      }
+    }
+  }
+
+  /**
+   * Apply every enabled rule to the items it matches
+   */
+  async _evaluate() {
+    const categories = Array.from(categoryManager.categories.values())
+      .filter(cat => cat.seedingRules?.some(rule => rule.enabled));
+    if (categories.length === 0 || this._running) return;
+
+    this._running = true;
+    try {
+      const items = await this._getItems();
+      const now = Date.now();
+
+      for (const [key, failedAt] of this._failed) {
+        if (now - failedAt >= FAILED_RETRY_DELAY) this._failed.delete(key);
+      }
+
+      for (const category of categories) {
+        const rules = category.seedingRules.filter(rule => rule.enabled);
+        for (const match of this._findMatches(items, category.name, rules, now)) {
+          if (this._failed.has(itemKey(match.item.instanceId, match.item.hash))) continue;
+          await this._applyAction(match, category.name);
+        }
+      }
+
+      this._lastRunAt = now;
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Get unified items, refreshing the batch cache if it's stale
+   * @returns {Promise<Array>} Unified items
+   */
+  async _getItems() {
+    const cached = dataFetchService.getCachedBatchData(CACHE_MAX_AGE) || await dataFetchService.getBatchData();
+    return cached?.items || [];
+  }
+
+  // ==========================================================================
+  // MATCHING
+  // ==========================================================================
+
+  /**
+   * Find the items in a category that a set of rules would act on
+   * @param {Array} items - Unified items
+   * @param {string} categoryName - Category to match
+   * @param {Array} rules - Normalized rules (evaluated in order, first match wins)
+   * @param {number} now - Current timestamp
+   * @returns {Array} [{ item, rule, ruleIndex, reason, seedingHours }]
+   */
+  _findMatches(items, categoryName, rules, now) {
+    const matches = [];
+    for (const item of items) {
+      if (item.category !== categoryName || !item.complete) continue;
+      if (!clientMeta.isBittorrent(item.client) || item.status === 'moving') continue;
+
+      const seedingHours = this._seedingHours(item, now);
+
+      for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        const reason = this._matchReason(item, rule, seedingHours);
+        if (!reason || !this._isActionable(item, rule)) continue;
+        matches.push({ item, rule, ruleIndex: i, reason, seedingHours });
+        break;
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Time an item has been seeding: the client's own counter when it reports one
+   * (excludes time paused or stopped), else the time since completion
+   * @param {Object} item - Unified item
+   * @param {number} now - Current timestamp
+   * @returns {number|null} Hours, or null when unknown
+   */
+  _seedingHours(item, now) {
+    if (typeof item.seedingTime === 'number') return item.seedingTime / 3600;
+    return item.completedAt ? (now - new Date(item.completedAt).getTime()) / 3600000 : null;
+  }
+
+  /**
+   * Check a rule's thresholds against an item
+   * @returns {string|null} Human-readable reason, or null if no threshold is reached
+   */
+  _matchReason(item, rule, seedingHours) {
+    const ratio = item.ratio || 0;
+    if (rule.minRatio !== null && ratio >= rule.minRatio) {
+      return `ratio ${ratio.toFixed(2)} ≥ ${rule.minRatio}`;
+    }
+    if (rule.minSeedingHours !== null && seedingHours !== null && seedingHours >= rule.minSeedingHours) {
+      return `seeded ${formatHours(seedingHours)} ≥ ${formatHours(rule.minSeedingHours)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Skip items the action would be a no-op for (already paused, already in place)
+   */
+  _isActionable(item, rule) {
+    if (rule.action === 'pause') return item.seeding === true;
+    if (rule.action === 'move') return trimSlash(item.directory || '') !== trimSlash(rule.destPath);
+    return true;
+  }
+
+  // ==========================================================================
+  // ACTIONS
+  // ==========================================================================
+
+  /**
+   * Apply a matched rule to its item, then record and emit the result
+   * @param {Object} match - { item, rule, reason, seedingHours }
+   * @param {string} categoryName - Category the rule belongs to
+   */
+  async _applyAction({ item, rule, reason, seedingHours }, categoryName) {
+    const manager = registry.get(item.instanceId);
+    if (!manager || !manager.isConnected()) return;
+
+    const description = `${ACTION_LABELS[rule.action]}${rule.action === 'move' ? ` to ${rule.destPath}` : ''}: ${reason}`;
+    const entry = {
+      at: Date.now(),
+      hash: item.hash,
+      instanceId: item.instanceId,
+      name: item.name,
+      category: categoryName,
+      action: rule.action,
+      reason,
+      success: true,
+      error: null
+    };
+
+    try {
+      if (rule.action === 'pause') {
+        await manager.pause(item.hash);
+      } else if (rule.action === 'move') {
+        await this._moveItem(manager, item, rule.destPath);
+      } else {
+        await this._removeItem(manager, item, rule.action === 'removeData');
+      }
+      this.log(`📏 ${item.name} [${item.instanceId}] — ${description}`);
+    } catch (err) {
+      this._failed.set(itemKey(item.instanceId, item.hash), Date.now());
+      entry.success = false;
+      entry.error = err.message;
+      this.log(`⚠️  Seeding rule failed for ${item.name} [${item.instanceId}]: ${err.message}`);
+    }
+
+    this._recent.unshift(entry);
+    this._recent.length = Math.min(this._recent.length, RECENT_ACTIONS_LIMIT);
+    if (!entry.success) return;
+
+    if (this.downloadHistoryDB) {
+      try {
+        this.downloadHistoryDB.recordRuleAction(item.hash, item.instanceId, description);
+        if (rule.action === 'remove' || rule.action === 'removeData') {
+          this.downloadHistoryDB.markDeleted(item.hash, item.instanceId);
+        }
+      } catch (err) {
+        this.log(`⚠️  Failed to record seeding rule action in history: ${err.message}`);
+      }
+    }
+
+    eventScriptingManager.emit('seedingRuleApplied', {
+      hash: item.hash,
+      instanceId: item.instanceId,
+      filename: item.name,
+      clientType: item.client,
+      category: categoryName,
+      action: rule.action,
+      reason,
+      ratio: item.ratio || 0,
+      seedingHours: seedingHours !== null ? Math.round(seedingHours * 10) / 10 : null,
+      destPath: rule.destPath || null
+    });
+  }
+
+  /**
+   * Remove a torrent, deleting its files from disk when the client leaves that to us
+   * @param {Object} manager - Client manager
+   * @param {Object} item - Unified item
+   * @param {boolean} deleteFiles - Also delete downloaded data
+   */
+  async _removeItem(manager, item, deleteFiles) {
+    const result = await manager.deleteItem(item.hash, { deleteFiles, isShared: false });
+    if (!result.success) throw new Error(result.error || 'Delete failed');
+
+    for (const rawPath of (result.pathsToDelete || [])) {
+      const localPath = categoryManager.translatePath(rawPath, manager.clientType, item.instanceId);
+      await fs.rm(localPath, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Queue a move through MoveOperationManager (same path as a manual "Move to")
+   * @param {Object} manager - Client manager
+   * @param {Object} item - Unified item
+   * @param {string} destPath - Destination as seen by the client
+   */
+  async _moveItem(manager, item, destPath) {
+    await moveOperationManager.queueMove({
+      hash: item.hash,
+      instanceId: item.instanceId,
+      name: item.name,
+      clientType: manager.clientType,
+      sourcePathRemote: item.directory,
+      destPathLocal: categoryManager.translatePath(destPath, manager.clientType, item.instanceId),
+      destPathRemote: destPath,
+      totalSize: item.size,
+      isMultiFile: clientMeta.hasCapability(manager.clientType, 'multiFile') && (item.multiFile || false),
+      categoryName: null
+    });
+  }
+
+  // ==========================================================================
+  // PREVIEW & STATUS
+  // ==========================================================================
+
+  /**
+   * Dry run: list the items a set of (possibly unsaved) rules would act on right now.
+   * Disabled rules are included so a rule can be checked before switching it on.
+   * @param {string} categoryName - Category name
+   * @param {Array} rules - Rules to test (validated like a category save)
+   * @returns {Promise<Array>} [{ hash, instanceId, name, ratio, seedingHours, ruleIndex, action, destPath, reason }]
+   */
+  async preview(categoryName, rules) {
+    if (!categoryManager.getByName(categoryName)) {
+      throw new Error(`Category "${categoryName}" not found`);
+    }
+    const normalized = normalizeSeedingRules(rules);
+    const items = await this._getItems();
+
+    return this._findMatches(items, categoryName, normalized, Date.now()).map(({ item, rule, ruleIndex, reason, seedingHours }) => ({
+      hash: item.hash,
+      instanceId: item.instanceId,
+      name: item.name,
+      size: item.size,
+      ratio: item.ratio || 0,
+      seedingHours: seedingHours !== null ? Math.round(seedingHours * 10) / 10 : null,
+      ruleIndex,
+      action: rule.action,
+      destPath: rule.destPath,
+      reason
+    }));
+  }
+
+  /**
+   * Get the loop status and most recent actions
+   * @returns {Object} { lastRunAt, recent }
+   */
+  getStatus() {
+    return {
+      lastRunAt: this._lastRunAt,
+      recent: this._recent
+    };
+  }
+}
+
+/**
+ * Format a duration in hours as "36.0h" or "14.0d"
+ * @param {number} hours - Duration in hours
+ * @returns {string}
+ */
+function formatHours(hours) {
+  return hours >= 48 ? `${(hours / 24).toFixed(1)}d` : `${hours.toFixed(1)}h`;
+}
+
+function trimSlash(p) {
+  return p.replace(/\/+$/, '');
+}
+
+module.exports = new SeedingRules();
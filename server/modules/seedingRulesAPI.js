@@ -0,0 +1,77 @@
+/**
+ * Seeding Rules API Module
+ * Provides REST endpoints for the seeding rules status and dry-run preview
+ * (the rules themselves are saved with their category)
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const seedingRules = require('./seedingRules');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+class SeedingRulesAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/seeding-rules
+   * Returns the last evaluation time and the most recent rule actions
+   */
+  async getStatus(req, res) {
+    try {
+      res.json(seedingRules.getStatus());
+    } catch (err) {
+      this.log('Error getting seeding rules status:', err.message);
+      response.serverError(res, 'Failed to get seeding rules status');
+    }
+  }
+
+  /**
+   * POST /api/seeding-rules/preview
+   * List the items a set of rules would act on right now (nothing is changed)
+   * Body: { category: string, rules: [{ enabled, minRatio, minSeedingHours, action, destPath }] }
+   */
+  async preview(req, res) {
+    try {
+      const { category, rules } = req.body || {};
+      if (!category || typeof category !== 'string') {
+        return response.badRequest(res, 'Category is required');
+      }
+      const results = await seedingRules.preview(category, rules);
+      res.json({ success: true, results });
+    } catch (err) {
+      this.log('Error previewing seeding rules:', err.message);
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * Register all seeding rules API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON
+    router.use(express.json());
+    router.use(requireAdmin);
+
+    // GET /api/seeding-rules - Status and recent actions
+    router.get('/', this.getStatus.bind(this));
+
+    // POST /api/seeding-rules/preview - Dry run
+    router.post('/preview', this.preview.bind(this));
+
+    // Mount router
+    app.use('/api/seeding-rules', router);
+
+    this.log('Seeding Rules API routes registered');
+  }
+}
+
+module.exports = new SeedingRulesAPI();
@@ -1,36 +1,53 @@
 /**
  * Torznab API Module
- * Provides Torznab indexer API for aMule integration with *arr apps
+ * Provides Torznab indexer API for aMule integration with *arr apps.
+ * /indexer/amule/api searches the configured aMule; /indexer/amule/:instanceId/api
+ * makes every aMule instance its own indexer.
  */
 
 const BaseModule = require('../lib/BaseModule');
 const TorznabHandler = require('../lib/torznab/TorznabHandler');
 const config = require('./config');
+const arrManager = require('./arrManager');
 const response = require('../lib/responseFormatter');
 
 // Client registry - replaces direct singleton manager imports
 const registry = require('../lib/ClientRegistry');
+const { isAutoInstance } = require('../lib/downloadTargets');
 
 class TorznabAPI extends BaseModule {
   constructor() {
     super();
     this.handler = new TorznabHandler();
-    // Initialize handler dependencies (uses configured or first aMule instance)
+    // Initialize handler dependencies (without an instance in the URL: configured or first aMule instance)
     this.handler.setDependencies({
-      getAmuleClient: () => {
+      getAmuleManager: (instanceId) => {
+        if (instanceId) {
+          const mgr = registry.get(instanceId);
+          return mgr?.clientType === 'amule' ? mgr : null;
+        }
+
         const configuredId = config.getConfig()?.integrations?.amuleInstanceId;
         let amuleMgr;
-        if (configuredId) {
+        if (configuredId && !isAutoInstance(configuredId)) {
           amuleMgr = registry.get(configuredId);
           if (!amuleMgr) {
             amuleMgr = registry.getByType('amule').find(m => m.isConnected());
-            if (amuleMgr) this.log(`⚠️ [TorznabAPI.getAmuleClient] Configured amuleInstanceId "${configuredId}" not found, falling back to "${amuleMgr.instanceId}"`);
+            if (amuleMgr) this.log(`⚠️ [TorznabAPI.getAmuleManager] Configured amuleInstanceId "${configuredId}" not found, falling back to "${amuleMgr.instanceId}"`);
           }
         } else {
           amuleMgr = registry.getByType('amule').find(m => m.isConnected());
         }
-        return amuleMgr?.getClient() || null;
-      }
+        return amuleMgr || null;
+      },
+      getCategoryMappings: (instanceId) =>
+        config.getConfig()?.integrations?.torznab?.categoryMappings?.[instanceId] || [],
+      // tvdbid/imdbid searches are only advertised when Sonarr/Radarr can resolve the title
+      getIdSupport: () => ({
+        tvIds: arrManager.isServiceConfigured('sonarr'),
+        movieIds: arrManager.isServiceConfigured('radarr')
+      }),
+      lookupTitle: (ids) => arrManager.lookupTitle(ids)
     });
   }
 
@@ -72,6 +89,7 @@ class TorznabAPI extends BaseModule {
    */
   registerRoutes(app) {
     app.get('/indexer/amule/api', this.checkApiKey.bind(this), this.handler.handleRequest);
+    app.get('/indexer/amule/:instanceId/api', this.checkApiKey.bind(this), this.handler.handleRequest);
 
     this.log('🔍 Torznab API routes registered with authentication');
   }
@@ -459,6 +459,24 @@ class TransmissionManager extends BaseClientManager {
     return await this.pause(hash);
   }
 
+  /**
+   * Force a hash recheck (torrent-verify)
+   * @param {string} hash - Torrent hash
+   */
+  async recheck(hash) {
+    if (!this.client) throw new Error('Transmission not connected');
+    await this.client.verifyTorrents([hash]);
+  }
+
+  /**
+   * Force reannounce to all trackers
+   * @param {string} hash - Torrent hash
+   */
+  async reannounce(hash) {
+    if (!this.client) throw new Error('Transmission not connected');
+    await this.client.reannounceTorrents([hash]);
+  }
+
   /**
    * Update client's view of the download directory (uses native moveTorrents)
    * @param {string} hash - Torrent hash
@@ -553,13 +571,16 @@ class TransmissionManager extends BaseClientManager {
   /**
    * Add a torrent from raw data (Buffer)
    * @param {Buffer} torrentData - Raw .torrent file contents
-   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username }
+   * @param {Object} options - Unified options { categoryName, savePath, priority, start, username, skipFiles }
    */
   async addTorrentRaw(torrentData, options = {}) {
     if (!this.client) throw new Error('Transmission not connected');
 
     const { addArgs, label } = this._buildAddOptions(options);
     addArgs.metainfo = torrentData.toString('base64');
+    if (Array.isArray(options.skipFiles) && options.skipFiles.length > 0) {
+      addArgs['files-unwanted'] = options.skipFiles;
+    }
 
     const result = await this.client.addTorrent(addArgs);
 
@@ -684,6 +705,170 @@ class TransmissionManager extends BaseClientManager {
     });
   }
 
+  /**
+   * Set the priority of files in a torrent
+   * @param {string} hash - Torrent hash
+   * @param {number[]} fileIndexes - File indexes
+   * @param {number} priority - Normalized priority: 0=Off, 1=Normal, 2=High
+   */
+  async setFilePriority(hash, fileIndexes, priority) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    // Transmission keeps "wanted" separate from the priority level
+    const settings = priority === 0
+      ? { 'files-unwanted': fileIndexes }
+      : { 'files-wanted': fileIndexes, [priority >= 2 ? 'priority-high' : 'priority-normal']: fileIndexes };
+    await this.client.setTorrents([hash], settings);
+  }
+
+  // ============================================================================
+  // TRACKERS
+  // torrent-set addresses existing trackers by their numeric id
+  // ============================================================================
+
+  /**
+   * Get the tracker list of a torrent as { id, announce } entries
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Array<{id: number, announce: string}>>}
+   */
+  async _getTrackerList(hash) {
+    const detail = await this.client.getTorrentDetails([hash], ['trackers']);
+    if (!detail) throw new Error('Torrent not found');
+    return detail.trackers || [];
+  }
+
+  /**
+   * Export the .torrent file Transmission keeps in its config directory
+   * (torrentFile), which must be readable from here
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<Buffer|null>} Raw .torrent file contents, or null if unreadable
+   */
+  async exportTorrent(hash) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    const detail = await this.client.getTorrentDetails([hash], ['torrentFile']);
+    return this._readTorrentFile(detail?.torrentFile, hash);
+  }
+
+  /**
+   * Get the announce URLs of a torrent
+   * @param {string} hash - Torrent hash
+   * @returns {Promise<string[]>}
+   */
+  async getTrackerUrls(hash) {
+    if (!this.client) throw new Error('Transmission not connected');
+    return (await this._getTrackerList(hash)).map(t => t.announce).filter(Boolean);
+  }
+
+  /**
+   * Add trackers to a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   */
+  async addTrackers(hash, urls) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    const existing = new Set((await this._getTrackerList(hash)).map(t => t.announce));
+    const trackerAdd = urls.filter(url => !existing.has(url));
+    if (trackerAdd.length > 0) {
+      await this.client.setTorrents([hash], { trackerAdd });
+    }
+  }
+
+  /**
+   * Remove trackers from a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string[]} urls - Announce URLs
+   */
+  async removeTrackers(hash, urls) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    const remove = new Set(urls);
+    const trackerRemove = (await this._getTrackerList(hash))
+      .filter(t => remove.has(t.announce))
+      .map(t => t.id);
+    if (trackerRemove.length > 0) {
+      await this.client.setTorrents([hash], { trackerRemove });
+    }
+  }
+
+  /**
+   * Replace a tracker URL on a torrent
+   * @param {string} hash - Torrent hash
+   * @param {string} oldUrl - Current announce URL
+   * @param {string} newUrl - New announce URL
+   */
+  async replaceTracker(hash, oldUrl, newUrl) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    const tracker = (await this._getTrackerList(hash)).find(t => t.announce === oldUrl);
+    if (!tracker) throw new Error(`Tracker not found: ${oldUrl}`);
+    await this.client.setTorrents([hash], { trackerReplace: [tracker.id, newUrl] });
+  }
+
+  // ============================================================================
+  // SPEED LIMITS
+  // Transmission stores rates in kB/s (1000 bytes) plus a separate enabled flag
+  // ============================================================================
+
+  /**
+   * Get global or per-torrent speed limits
+   * @param {Object} opts - { hash } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } in bytes/s (0 = unlimited)
+   */
+  async getSpeedLimits({ hash = null } = {}) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    if (hash) {
+      const detail = await this.client.getTorrentDetails([hash], ['downloadLimit', 'downloadLimited', 'uploadLimit', 'uploadLimited']);
+      if (!detail) throw new Error('Torrent not found');
+      return {
+        downloadLimit: detail.downloadLimited ? (detail.downloadLimit || 0) * 1000 : 0,
+        uploadLimit: detail.uploadLimited ? (detail.uploadLimit || 0) * 1000 : 0
+      };
+    }
+
+    const session = await this.client.getSession();
+    return {
+      downloadLimit: session['speed-limit-down-enabled'] ? (session['speed-limit-down'] || 0) * 1000 : 0,
+      uploadLimit: session['speed-limit-up-enabled'] ? (session['speed-limit-up'] || 0) * 1000 : 0
+    };
+  }
+
+  /**
+   * Set global or per-torrent speed limits
+   * @param {Object} opts - { hash, downloadLimit, uploadLimit } — omit hash for global limits
+   * @returns {Promise<Object>} { downloadLimit, uploadLimit } as applied
+   */
+  async setSpeedLimits({ hash = null, downloadLimit, uploadLimit } = {}) {
+    if (!this.client) throw new Error('Transmission not connected');
+
+    const toKB = (bytes) => Math.max(1, Math.round(bytes / 1000));
+    const settings = {};
+    if (hash) {
+      if (downloadLimit !== undefined) {
+        settings.downloadLimited = downloadLimit > 0;
+        if (downloadLimit > 0) settings.downloadLimit = toKB(downloadLimit);
+      }
+      if (uploadLimit !== undefined) {
+        settings.uploadLimited = uploadLimit > 0;
+        if (uploadLimit > 0) settings.uploadLimit = toKB(uploadLimit);
+      }
+      if (Object.keys(settings).length > 0) await this.client.setTorrents([hash], settings);
+    } else {
+      if (downloadLimit !== undefined) {
+        settings['speed-limit-down-enabled'] = downloadLimit > 0;
+        if (downloadLimit > 0) settings['speed-limit-down'] = toKB(downloadLimit);
+      }
+      if (uploadLimit !== undefined) {
+        settings['speed-limit-up-enabled'] = uploadLimit > 0;
+        if (uploadLimit > 0) settings['speed-limit-up'] = toKB(uploadLimit);
+      }
+      if (Object.keys(settings).length > 0) await this.client.setSession(settings);
+    }
+    return await this.getSpeedLimits({ hash });
+  }
+
   // ============================================================================
   // SYNC
   // ============================================================================
@@ -16,7 +16,7 @@ const crypto = require('crypto');
 const logger = require('../lib/logger');
 const { hashPassword } = require('../lib/authUtils');
 
-const CURRENT_VERSION = 1;
+const CURRENT_VERSION = 2;
 
 const ALL_CAPABILITIES = [
   'search', 'add_downloads', 'remove_downloads', 'pause_resume',
@@ -125,6 +125,17 @@ class UserManager {
           );
           CREATE INDEX IF NOT EXISTS idx_ownership_user_id ON download_ownership(user_id);
         `);
+      },
+      // Version 2: Personal notification services and event subscriptions
+      () => {
+        this.db.exec(`
+          CREATE TABLE IF NOT EXISTS user_notifications (
+            user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            events TEXT NOT NULL DEFAULT '{}',
+            services TEXT NOT NULL DEFAULT '[]',
+            updated_at INTEGER NOT NULL
+          );
+        `);
       }
     ];
 
@@ -427,6 +438,38 @@ class UserManager {
     this.db.prepare('DELETE FROM download_ownership WHERE item_key = ?').run(itemKey);
   }
 
+  // ============================================================================
+  // NOTIFICATIONS
+  // ============================================================================
+
+  /**
+   * Get a user's personal notification settings
+   * @param {number} userId
+   * @returns {{events: Object, services: Array}} Event subscriptions and services (unmasked)
+   */
+  getNotificationSettings(userId) {
+    const row = this.db.prepare('SELECT events, services FROM user_notifications WHERE user_id = ?').get(userId);
+    if (!row) return { events: {}, services: [] };
+    try {
+      return { events: JSON.parse(row.events), services: JSON.parse(row.services) };
+    } catch (err) {
+      logger.warn(`👤 Invalid notification settings for user id=${userId}: ${err.message}`);
+      return { events: {}, services: [] };
+    }
+  }
+
+  /**
+   * Replace a user's personal notification settings
+   * @param {number} userId
+   * @param {{events: Object, services: Array}} settings
+   */
+  setNotificationSettings(userId, { events, services }) {
+    this.db.prepare(`
+      INSERT INTO user_notifications (user_id, events, services, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(user_id) DO UPDATE SET events = excluded.events, services = excluded.services, updated_at = excluded.updated_at
+    `).run(userId, JSON.stringify(events || {}), JSON.stringify(services || []), Date.now());
+  }
+
   /**
    * Backfill ownership from download history database.
    * Matches history usernames to user IDs and creates ownership records.
@@ -0,0 +1,397 @@
+/**
+ * Watch Folders Module
+ * Imports .torrent files, magnet text files and ED2K link lists dropped into watched directories
+ *
+ * Folders are configured in config.json (watchFolders section), one per category:
+ * - path: directory to poll (as seen by aMuTorrent)
+ * - category: category for added downloads (path and priority apply)
+ * - instanceId: target client (null = first connected client that fits the link)
+ * - username: user recorded as owner and in download history (null = none)
+ *
+ * Supported files:
+ * - *.torrent: added as a torrent
+ * - *.magnet, *.txt, *.ed2k: one magnet or ed2k:// link per line (blank lines and # comments ignored)
+ *
+ * Processed files are moved to done/ or failed/ inside the watched directory.
+ * Failed files get a "<name>.reason.txt" next to them explaining what went wrong.
+ * While the target client is disconnected, files are left in place and retried.
+ */
+
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('../lib/logger');
+const BaseModule = require('../lib/BaseModule');
+const registry = require('../lib/ClientRegistry');
+const categoryManager = require('../lib/CategoryManager');
+const { resolveTargetManager, addMagnet, addTorrent, addEd2k } = require('../lib/downloadAdder');
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+const MIN_INTERVAL_SECONDS = 10;
+
+// Files modified more recently than this are skipped (may still be copying)
+const SETTLE_TIME = 5000;
+
+const DONE_DIR = 'done';
+const FAILED_DIR = 'failed';
+
+const LINK_LIST_EXTENSIONS = ['.magnet', '.txt', '.ed2k'];
+
+// Number of recent imports kept for the status endpoint
+const RECENT_IMPORTS_LIMIT = 50;
+
+class WatchFolders extends BaseModule {
+  constructor() {
+    super();
+    this.checkTimeout = null;
+    this._loopId = 0;             // Bumped by start()/stop(), so checks of a stopped loop don't reschedule
+    this._running = false;
+    this._lastRunAt = null;
+    this._recent = [];          // Most recent imports, newest first
+    this._blocked = new Set();  // Folder paths whose files can't be moved (skipped until the next save)
+    this._waiting = new Set();  // "<path>:<network>" keys already logged as waiting for a client
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Start the polling loop (first scan after one interval, so clients have connected)
+   */
+  start() {
+    this.stop();
+    const loopId = this._loopId;
+    this.checkTimeout = setTimeout(() => this._check(loopId), this._intervalMs());
+  }
+
+  /**
+   * Stop the polling loop (a check already in progress finishes but doesn't reschedule)
+   */
+  stop() {
+    this._loopId++;
+    if (this.checkTimeout) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+  }
+
+  _intervalMs() {
+    return this.getConfig().intervalSeconds * 1000;
+  }
+
+  /**
+   * Scan all folders and schedule the next check
+   * @param {number} loopId - Loop this check belongs to
+   */
+  async _check(loopId) {
+    try {
+      await this._scanAll();
+    } catch (err) {
+      this.log('⚠️  Watch folder scan failed:', logger.errorDetail(err));
+    } finally {
+      if (loopId === this._loopId) {
+        this.checkTimeout = setTimeout(() => this._check(loopId), this._intervalMs());
+      }
+    }
+  }
+
+  /**
+   * Scan every enabled folder
+   */
+  async _scanAll() {
+    const cfg = this.getConfig();
+    if (!cfg.enabled || this._running) return;
+
+    this._running = true;
+    try {
+      for (const folder of cfg.folders) {
+        if (!folder.enabled || this._blocked.has(folder.path)) continue;
+        try {
+          await this._scanFolder(folder);
+        } catch (err) {
+          this.log(`⚠️  Cannot scan watch folder ${folder.path}: ${err.message}`);
+        }
+      }
+      this._lastRunAt = Date.now();
+    } finally {
+      this._running = false;
+    }
+  }
+
+  // ==========================================================================
+  // IMPORTING
+  // ==========================================================================
+
+  /**
+   * Import every settled, supported file in a folder
+   * @param {Object} folder - Normalized folder config
+   */
+  async _scanFolder(folder) {
+    const entries = await fs.readdir(folder.path, { withFileTypes: true });
+    const now = Date.now();
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+      const ext = path.extname(entry.name).toLowerCase();
+      if (ext !== '.torrent' && !LINK_LIST_EXTENSIONS.includes(ext)) continue;
+
+      const filePath = path.join(folder.path, entry.name);
+      const stat = await fs.stat(filePath).catch(() => null);
+      if (!stat || now - stat.mtimeMs < SETTLE_TIME) continue;
+
+      const result = await this._importFile(folder, filePath, ext);
+      if (!result) continue; // Target client unavailable, retry on the next scan
+
+      await this._archiveFile(folder, entry.name, result);
+      this._recent.unshift({ at: Date.now(), folder: folder.path, file: entry.name, ...result });
+      this._recent.length = Math.min(this._recent.length, RECENT_IMPORTS_LIMIT);
+    }
+  }
+
+  /**
+   * Add the contents of one file
+   * @param {Object} folder - Normalized folder config
+   * @param {string} filePath - Absolute file path
+   * @param {string} ext - Lowercased extension
+   * @returns {Promise<Object|null>} { success, added, errors: string[] }, or null if
+   *   the target client is unavailable (the file is left in place)
+   */
+  async _importFile(folder, filePath, ext) {
+    const fileName = path.basename(filePath);
+    const options = this._addOptions(folder);
+
+    if (ext === '.torrent') {
+      const manager = await this._getManager(folder, false);
+      if (!manager) return null;
+      try {
+        await addTorrent(manager, await fs.readFile(filePath), options);
+        this.log(`📂 Imported ${fileName} → ${manager.displayName || manager.clientType}`);
+        return { success: true, added: 1, errors: [] };
+      } catch (err) {
+        this.log(`⚠️  Failed to import ${fileName}: ${err.message}`);
+        return { success: false, added: 0, errors: [err.message] };
+      }
+    }
+
+    const links = (await fs.readFile(filePath, 'utf8'))
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+
+    if (links.length === 0) {
+      return { success: false, added: 0, errors: ['No links found in file'] };
+    }
+
+    // Resolve every client the file needs up front, so a list is never half-imported
+    // because a client is briefly disconnected
+    const btManager = links.some(link => link.startsWith('magnet:')) ? await this._getManager(folder, false) : undefined;
+    const ed2kManager = links.some(link => link.startsWith('ed2k://')) ? await this._getManager(folder, true) : undefined;
+    if (btManager === null || ed2kManager === null) return null;
+
+    let added = 0;
+    const errors = [];
+    for (const link of links) {
+      try {
+        if (link.startsWith('magnet:')) {
+          await addMagnet(btManager, link, options);
+        } else if (link.startsWith('ed2k://')) {
+          await addEd2k(ed2kManager, link, options);
+        } else {
+          throw new Error('Not a magnet or ed2k:// link');
+        }
+        added++;
+      } catch (err) {
+        errors.push(`${link.substring(0, 120)}: ${err.message}`);
+      }
+    }
+
+    this.log(`📂 Imported ${fileName}: ${added}/${links.length} link(s) added`);
+    return { success: errors.length === 0, added, errors };
+  }
+
+  /**
+   * Resolve the folder's target client, logging once per outage when there is none
+   * @param {Object} folder - Normalized folder config
+   * @param {boolean} isEd2k - Client for ED2K links (otherwise BitTorrent)
+   * @returns {Promise<Object|null>} Connected client manager or null
+   */
+  async _getManager(folder, isEd2k) {
+    const key = `${folder.path}:${isEd2k ? 'ed2k' : 'bittorrent'}`;
+    try {
+      const manager = await resolveTargetManager(folder.instanceId, isEd2k, folder.category);
+      this._waiting.delete(key);
+      return manager;
+    } catch (err) {
+      if (!this._waiting.has(key)) {
+        this._waiting.add(key);
+        this.log(`⏸️  Watch folder ${folder.path} waiting for a client: ${err.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Add options for a folder, with the owner resolved to a user id
+   */
+  _addOptions(folder) {
+    const user = folder.username && this.userManager ? this.userManager.getUserByUsername(folder.username) : null;
+    return {
+      categoryName: folder.category,
+      username: folder.username,
+      userId: user?.id || null,
+      userManager: this.userManager
+    };
+  }
+
+  /**
+   * Move a processed file to done/ or failed/ (with a reason file when it failed)
+   * @param {Object} folder - Normalized folder config
+   * @param {string} fileName - File name inside the folder
+   * @param {Object} result - Import result { success, added, errors }
+   */
+  async _archiveFile(folder, fileName, result) {
+    const destDir = path.join(folder.path, result.success ? DONE_DIR : FAILED_DIR);
+    try {
+      await fs.mkdir(destDir, { recursive: true });
+      const destName = await uniqueName(destDir, fileName);
+      await fs.rename(path.join(folder.path, fileName), path.join(destDir, destName));
+
+      if (!result.success) {
+        const reason = [
+          `File: ${fileName}`,
+          `Date: ${new Date().toISOString()}`,
+          ...(result.added > 0 ? [`Added: ${result.added} link(s) before the errors below — don't re-import the whole file`] : []),
+          '',
+          ...result.errors
+        ].join('\n');
+        await fs.writeFile(path.join(destDir, `${destName}.reason.txt`), reason + '\n', 'utf8');
+      }
+    } catch (err) {
+      // Leaving the file in place would import it again on every scan
+      this.log(`⚠️  Cannot move ${fileName} to ${destDir}: ${err.message} — skipping ${folder.path} until watch folders are saved again`);
+      this._blocked.add(folder.path);
+    }
+  }
+
+  // ==========================================================================
+  // CONFIGURATION
+  // ==========================================================================
+
+  /**
+   * Get the watch folder configuration
+   * @returns {Object} { enabled, intervalSeconds, folders: [{ path, category, instanceId, username, enabled }] }
+   */
+  getConfig() {
+    const cfg = config.getConfig()?.watchFolders || {};
+    return {
+      enabled: cfg.enabled === true,
+      intervalSeconds: Math.max(Number(cfg.intervalSeconds) || DEFAULT_INTERVAL_SECONDS, MIN_INTERVAL_SECONDS),
+      folders: Array.isArray(cfg.folders) ? cfg.folders : []
+    };
+  }
+
+  /**
+   * Validate and persist a new configuration, then restart the loop
+   * @param {Object} input - { enabled, intervalSeconds, folders }
+   * @returns {Promise<Object>} Normalized configuration
+   */
+  async saveConfig(input) {
+    if (!input || typeof input !== 'object') {
+      throw new Error('Watch folder configuration is required');
+    }
+
+    const intervalSeconds = input.intervalSeconds === undefined ? DEFAULT_INTERVAL_SECONDS : Number(input.intervalSeconds);
+    if (!Number.isInteger(intervalSeconds) || intervalSeconds < MIN_INTERVAL_SECONDS) {
+      throw new Error(`Scan interval must be a whole number of at least ${MIN_INTERVAL_SECONDS} seconds`);
+    }
+
+    const folders = [];
+    const paths = new Set();
+    const categories = new Set();
+    for (const f of Array.isArray(input.folders) ? input.folders : []) {
+      const folderPath = typeof f?.path === 'string' ? f.path.trim().replace(/\/+$/, '') : '';
+      if (!folderPath || !path.isAbsolute(folderPath)) {
+        throw new Error('Watch folder path must be absolute');
+      }
+      if (paths.has(folderPath)) throw new Error(`Duplicate watch folder: ${folderPath}`);
+
+      const category = f.category || null;
+      if (category && !categoryManager.getByName(category)) {
+        throw new Error(`Category "${category}" not found`);
+      }
+      if (categories.has(category)) {
+        throw new Error(`Only one watch folder per category (${category || 'no category'})`);
+      }
+
+      const instanceId = f.instanceId || null;
+      if (instanceId && !registry.has(instanceId)) {
+        throw new Error(`Client instance "${instanceId}" not found`);
+      }
+
+      const username = typeof f.username === 'string' && f.username.trim() ? f.username.trim() : null;
+      if (username && this.userManager && !this.userManager.getUserByUsername(username)) {
+        throw new Error(`User "${username}" not found`);
+      }
+
+      const enabled = f.enabled !== false;
+      if (enabled) {
+        try {
+          await fs.access(folderPath, fsConstants.R_OK | fsConstants.W_OK);
+        } catch (err) {
+          throw new Error(`Watch folder ${folderPath} is not readable and writable`);
+        }
+      }
+
+      paths.add(folderPath);
+      categories.add(category);
+      folders.push({ path: folderPath, category, instanceId, username, enabled });
+    }
+
+    const enabled = input.enabled === true;
+    config.runtimeConfig.watchFolders = { enabled, intervalSeconds, folders };
+    await config._persistRuntimeConfig(`📂 Saved watch folders (${folders.length} folder(s), ${enabled ? 'enabled' : 'disabled'})`);
+
+    // Pick up the new interval right away
+    this._blocked.clear();
+    this.start();
+
+    return this.getConfig();
+  }
+
+  /**
+   * Get the last scan time and most recent imports
+   * @returns {Object} { lastRunAt, recent, blocked }
+   */
+  getStatus() {
+    return {
+      lastRunAt: this._lastRunAt,
+      recent: this._recent,
+      blocked: Array.from(this._blocked)
+    };
+  }
+}
+
+/**
+ * Find a free file name in a directory ("a.torrent" → "a (1).torrent")
+ * @param {string} dir - Directory
+ * @param {string} fileName - Desired name
+ * @returns {Promise<string>} Free name
+ */
+async function uniqueName(dir, fileName) {
+  const ext = path.extname(fileName);
+  const base = fileName.slice(0, fileName.length - ext.length);
+  let candidate = fileName;
+  for (let i = 1; ; i++) {
+    try {
+      await fs.access(path.join(dir, candidate));
+    } catch {
+      return candidate;
+    }
+    candidate = `${base} (${i})${ext}`;
+  }
+}
+
+module.exports = new WatchFolders();
@@ -0,0 +1,80 @@
+/**
+ * Watch Folders API Module
+ * Provides REST endpoints for the watch folder configuration and recent imports
+ */
+
+const express = require('express');
+const BaseModule = require('../lib/BaseModule');
+const watchFolders = require('./watchFolders');
+const response = require('../lib/responseFormatter');
+const { requireAdmin } = require('../middleware/capabilities');
+
+class WatchFoldersAPI extends BaseModule {
+  constructor() {
+    super();
+  }
+
+  // ==========================================================================
+  // API ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * GET /api/watch-folders
+   * Returns the configuration, last scan time and most recent imports
+   */
+  async getConfig(req, res) {
+    try {
+      res.json({
+        config: watchFolders.getConfig(),
+        status: watchFolders.getStatus()
+      });
+    } catch (err) {
+      this.log('Error getting watch folders:', err.message);
+      response.serverError(res, 'Failed to get watch folders');
+    }
+  }
+
+  /**
+   * PUT /api/watch-folders
+   * Save the configuration and restart the scan loop
+   * Body: { enabled: boolean, intervalSeconds: number, folders: [{ path, category, instanceId, username, enabled }] }
+   */
+  async saveConfig(req, res) {
+    try {
+      const saved = await watchFolders.saveConfig(req.body);
+      res.json({
+        success: true,
+        config: saved,
+        status: watchFolders.getStatus(),
+        message: 'Watch folders saved'
+      });
+    } catch (err) {
+      this.log('Error saving watch folders:', err.message);
+      response.badRequest(res, err.message);
+    }
+  }
+
+  /**
+   * Register all watch folder API routes
+   */
+  registerRoutes(app) {
+    const router = express.Router();
+
+    // All routes use JSON
+    router.use(express.json());
+    router.use(requireAdmin);
+
+    // GET /api/watch-folders - Get configuration and recent imports
+    router.get('/', this.getConfig.bind(this));
+
+    // PUT /api/watch-folders - Save configuration
+    router.put('/', this.saveConfig.bind(this));
+
+    // Mount router
+    app.use('/api/watch-folders', router);
+
+    this.log('Watch Folders API routes registered');
+  }
+}
+
+module.exports = new WatchFoldersAPI();
@@ -13,6 +13,7 @@ const { getClientIP } = require('../lib/authUtils');
 const dataFetchService = require('../lib/DataFetchService');
 const autoRefreshManager = require('./autoRefreshManager');
 const moveOperationManager = require('../lib/MoveOperationManager');
+const transferOperationManager = require('../lib/TransferOperationManager');
 const { checkPathPermissions, resolveItemPath, resolveCategoryDestPaths } = require('../lib/pathUtils');
 
 // Client registry and metadata for multi-instance manager lookups
@@ -20,12 +21,16 @@ const registry = require('../lib/ClientRegistry');
 const clientMeta = require('../lib/clientMeta');
 const { itemKey } = require('../lib/itemKey');
 const { parseTorrentBuffer } = require('../lib/torrentUtils');
+const { isAutoInstance, selectTarget } = require('../lib/downloadTargets');
 const geoIPManager = require('./geoIPManager');
 const authManager = require('./authManager');
 const categoryManager = require('../lib/CategoryManager');
 const prowlarrAPI = require('./prowlarrAPI');
 const eventScriptingManager = require('../lib/EventScriptingManager');
 
+// Announce URL schemes accepted by tracker edits
+const TRACKER_URL_PATTERN = /^(https?|udp|wss?):\/\/\S+$/i;
+
 // Capability requirements per WS action (actions not listed require no specific capability)
 const ACTION_CAPABILITIES = {
   search: ['search'],
@@ -34,12 +39,23 @@ const ACTION_CAPABILITIES = {
   addEd2kLinks: ['add_downloads'],
   addMagnetLinks: ['add_downloads'],
   addTorrentFile: ['add_downloads'],
+  addNzbFile: ['add_downloads'],
   batchPause: ['pause_resume'],
   batchResume: ['pause_resume'],
   batchStop: ['pause_resume'],
+  batchRecheck: ['pause_resume'],
+  batchReannounce: ['pause_resume'],
+  batchSetSequentialDownload: ['pause_resume'],
+  batchSetFirstLastPiecePriority: ['pause_resume'],
+  batchSetFilePriority: ['pause_resume'],
+  batchAddTrackers: ['pause_resume'],
+  batchRemoveTrackers: ['pause_resume'],
+  batchReplaceTracker: ['pause_resume'],
   batchDelete: ['remove_downloads'],
   batchSetFileCategory: ['assign_categories'],
   batchMoveFiles: ['edit_downloads'],
+  batchTransferItems: ['edit_downloads'],
+  batchSetSpeedLimits: ['pause_resume'],
   createCategory: ['manage_categories'],
   updateCategory: ['manage_categories'],
   deleteCategory: ['manage_categories'],
@@ -84,6 +100,19 @@ class WebSocketHandlers extends BaseModule {
     return null;
   }
 
+  /**
+   * Resolve the manager a new download goes to. instanceId "auto" lets the
+   * download target policy choose among connected instances of the network.
+   * @param {string|null} instanceId - Instance ID, or "auto"
+   * @param {string|null} clientType - Client type fallback for _getManager
+   * @param {Object} target - selectTarget options (networkType, categoryName, capability)
+   * @returns {Promise<Object|null>} Manager instance or null
+   */
+  async _getAddTarget(instanceId, clientType, target) {
+    if (isAutoInstance(instanceId)) return selectTarget(target);
+    return this._getManager(instanceId, clientType);
+  }
+
   /**
    * Parse cookies from cookie header
    * @param {string} cookieHeader - Cookie header string
@@ -319,6 +348,7 @@ class WebSocketHandlers extends BaseModule {
         case 'addEd2kLinks': await this.handleAddEd2kLinks(data, context); break;
         case 'addMagnetLinks': await this.handleAddMagnetLinks(data, context); break;
         case 'addTorrentFile': await this.handleAddTorrentFile(data, context); break;
+        case 'addNzbFile': await this.handleAddNzbFile(data, context); break;
         case 'getCategories': await this.handleGetCategories(context); break;
         case 'createCategory': await this.handleCreateCategory(data, context); break;
         case 'updateCategory': await this.handleUpdateCategory(data, context); break;
@@ -327,9 +357,22 @@ class WebSocketHandlers extends BaseModule {
         case 'batchPause': await this.handleBatchPause(data, context); break;
         case 'batchResume': await this.handleBatchResume(data, context); break;
         case 'batchStop': await this.handleBatchStop(data, context); break;
+        case 'batchRecheck': await this.handleBatchRecheck(data, context); break;
+        case 'batchReannounce': await this.handleBatchReannounce(data, context); break;
+        case 'batchSetSequentialDownload': await this.handleBatchSetSequentialDownload(data, context); break;
+        case 'batchSetFirstLastPiecePriority': await this.handleBatchSetFirstLastPiecePriority(data, context); break;
+        case 'batchSetFilePriority': await this.handleBatchSetFilePriority(data, context); break;
+        case 'batchAddTrackers': await this.handleBatchAddTrackers(data, context); break;
+        case 'batchRemoveTrackers': await this.handleBatchRemoveTrackers(data, context); break;
+        case 'batchReplaceTracker': await this.handleBatchReplaceTracker(data, context); break;
+        case 'replaceTrackerAll': await this.handleReplaceTrackerAll(data, context); break;
         case 'batchDelete': await this.handleBatchDelete(data, context); break;
         case 'batchSetFileCategory': await this.handleBatchSetFileCategory(data, context); break;
         case 'batchMoveFiles': await this.handleBatchMoveFiles(data, context); break;
+        case 'batchTransferItems': await this.handleBatchTransferItems(data, context); break;
+        case 'getSpeedLimits': await this.handleGetSpeedLimits(data, context); break;
+        case 'batchSetSpeedLimits': await this.handleBatchSetSpeedLimits(data, context); break;
+        case 'setGlobalSpeedLimits': await this.handleSetGlobalSpeedLimits(data, context); break;
         case 'renameFile': await this.handleRenameFile(data, context); break;
         case 'checkDeletePermissions': await this.handleCheckDeletePermissions(data, context); break;
         case 'checkMovePermissions': await this.handleCheckMovePermissions(data, context); break;
@@ -651,7 +694,7 @@ class WebSocketHandlers extends BaseModule {
         return;
       }
 
-      const manager = this._getManager(data.instanceId, 'amule');
+      const manager = await this._getAddTarget(data.instanceId, 'amule', { networkType: 'ed2k', categoryName: data.categoryName || null });
       if (!manager) { throw new Error('No aMule instance available for ED2K links'); }
 
       // Resolve category: prefer categoryName (new), fall back to categoryId (legacy)
@@ -689,17 +732,21 @@ class WebSocketHandlers extends BaseModule {
 
   async handleAddMagnetLinks(data, context) {
     try {
-      const { links, label, clientId = 'rtorrent', instanceId, savePath: customSavePath } = data;
+      const { links, label, clientId = 'rtorrent', instanceId, savePath: customSavePath, networkType = 'bittorrent' } = data;
 
-      // Resolve manager from registry
-      const manager = this._getManager(instanceId, clientId);
-      if (!manager || !manager.isConnected()) {
-        context.send({ type: 'error', message: `${clientId} is not connected` });
+      if (!links || !Array.isArray(links) || links.length === 0) {
+        context.send({ type: 'error', message: 'No magnet links provided' });
         return;
       }
 
-      if (!links || !Array.isArray(links) || links.length === 0) {
-        context.send({ type: 'error', message: 'No magnet links provided' });
+      // Resolve manager from registry ("auto": plain URLs need a client that can fetch them)
+      const hasUrls = links.some(link => /^(https?|ftp):\/\//i.test(link));
+      const manager = await this._getAddTarget(instanceId, clientId, {
+        networkType, categoryName: label || null, capability: hasUrls ? 'directUrls' : null
+      });
+      if (!manager || !manager.isConnected()) {
+        const target = isAutoInstance(instanceId) ? `No ${networkType} client` : clientId;
+        context.send({ type: 'error', message: `${target} is not connected` });
         return;
       }
 
@@ -724,6 +771,23 @@ class WebSocketHandlers extends BaseModule {
 
       for (const magnetUri of links) {
         try {
+          // Plain HTTP/FTP URLs go to clients that can download them directly (aria2)
+          if (/^(https?|ftp):\/\//i.test(magnetUri)) {
+            if (!clientMeta.hasCapability(manager.clientType, 'directUrls')) {
+              throw new Error(`${clientName} cannot download plain URLs`);
+            }
+            context.log(`Adding URL to ${clientName}: ${magnetUri.substring(0, 60)}... (category: ${label || 'none'}${directory ? `, path: ${directory}` : ''})`);
+            const id = await manager.addUrl(magnetUri, addOptions);
+            results.push({ link: magnetUri, success: true });
+            if (context.clientInfo.userId && this.userManager && id) {
+              this.userManager.recordOwnership(itemKey(manager.instanceId, id), context.clientInfo.userId);
+            }
+            continue;
+          }
+
+          if (!clientMeta.isBittorrent(manager.clientType)) {
+            throw new Error(`${clientName} cannot add magnet links`);
+          }
           context.log(`Adding magnet link to ${clientName}: ${magnetUri.substring(0, 60)}... (category: ${label || 'none'}${directory ? `, path: ${directory}` : ''})`);
           await manager.addMagnet(magnetUri, addOptions);
           results.push({ link: magnetUri, success: true });
@@ -743,7 +807,7 @@ class WebSocketHandlers extends BaseModule {
       // Broadcast unified items for instant UI feedback
       await this.broadcastItemsUpdate(context);
 
-      context.send({ type: 'magnet-added', results, clientId });
+      context.send({ type: 'magnet-added', results, clientId: manager.clientType, instanceId: manager.instanceId });
     } catch (err) {
       context.log('Failed to add magnet links:', err);
       context.send({ type: 'error', message: `Failed to add magnet links: ${err.message}` });
@@ -753,11 +817,15 @@ class WebSocketHandlers extends BaseModule {
   async handleAddTorrentFile(data, context) {
     try {
       const { fileData, fileName, label, clientId = 'rtorrent', instanceId, savePath: customSavePath } = data;
+      const skipFiles = data.skipFiles ? this._parseFileIndexes(data.skipFiles) : [];
 
       // Resolve manager from registry
-      const manager = this._getManager(instanceId, clientId);
+      const manager = await this._getAddTarget(instanceId, clientId, {
+        networkType: 'bittorrent', categoryName: label || null, capability: skipFiles.length > 0 ? 'filePriority' : null
+      });
       if (!manager || !manager.isConnected()) {
-        context.send({ type: 'error', message: `${clientId} is not connected` });
+        const target = isAutoInstance(instanceId) ? 'No BitTorrent client' : clientId;
+        context.send({ type: 'error', message: `${target} is not connected` });
         return;
       }
 
@@ -785,11 +853,15 @@ class WebSocketHandlers extends BaseModule {
       const username = context.clientInfo.username !== 'unknown' ? context.clientInfo.username : null;
       const clientName = manager.displayName || clientId;
 
-      context.log(`Adding torrent file to ${clientName}: ${fileName} (category: ${label || 'none'}${directory ? `, path: ${directory}` : ''})`);
+      context.log(`Adding torrent file to ${clientName}: ${fileName} (category: ${label || 'none'}${directory ? `, path: ${directory}` : ''}${skipFiles.length > 0 ? `, skipping ${skipFiles.length} file(s)` : ''})`);
+
+      if (skipFiles.length > 0 && !clientMeta.hasCapability(manager.clientType, 'filePriority')) {
+        throw new Error(`File selection not supported by ${clientName}`);
+      }
 
       await manager.addTorrentRaw(buffer, {
         categoryName: label || '', savePath: directory, priority: category?.priority,
-        start: true, filename: fileName, username
+        start: true, filename: fileName, username, skipFiles
       });
 
       // Record ownership — extract hash from torrent buffer
@@ -805,13 +877,73 @@ class WebSocketHandlers extends BaseModule {
       // Broadcast unified items for instant UI feedback
       await this.broadcastItemsUpdate(context);
 
-      context.send({ type: 'torrent-added', success: true, fileName, clientId });
+      context.send({ type: 'torrent-added', success: true, fileName, clientId: manager.clientType, instanceId: manager.instanceId });
     } catch (err) {
       context.log('Failed to add torrent file:', err);
       context.send({ type: 'error', message: `Failed to add torrent file: ${err.message}` });
     }
   }
 
+  async handleAddNzbFile(data, context) {
+    try {
+      const { fileData, fileName, label, instanceId } = data;
+
+      // Resolve manager from registry (Usenet clients only)
+      const manager = await this._getAddTarget(instanceId, null, { networkType: 'usenet', categoryName: label || null, capability: 'nzbFiles' });
+      if (!manager || !manager.isConnected()) {
+        context.send({ type: 'error', message: 'Usenet client is not connected' });
+        return;
+      }
+      const clientName = manager.displayName || manager.clientType;
+      if (!clientMeta.hasCapability(manager.clientType, 'nzbFiles')) {
+        context.send({ type: 'error', message: `${clientName} cannot add NZB files` });
+        return;
+      }
+
+      if (!fileData) {
+        context.send({ type: 'error', message: 'No NZB file data provided' });
+        return;
+      }
+
+      // Look up category priority from CategoryManager (the client picks the folder from the category)
+      // Auto-create category if it doesn't exist (for "create new category" option in modal)
+      let category = label ? context.categoryManager.getByName(label) : null;
+      if (label && !category) {
+        context.log(`Creating new category "${label}" on demand`);
+        category = await context.categoryManager.create(label);
+        // Re-validate all paths after category change
+        await context.categoryManager.validateAllPaths();
+        // Broadcast updated categories to all clients
+        const { categories: updatedCategories, clientDefaultPaths, hasPathWarnings } = context.categoryManager.getAllForFrontend();
+        context.broadcast({ type: 'categories-update', data: updatedCategories, clientDefaultPaths, hasPathWarnings });
+      }
+
+      // fileData is base64 encoded - convert to Buffer
+      const buffer = Buffer.from(fileData, 'base64');
+      const username = context.clientInfo.username !== 'unknown' ? context.clientInfo.username : null;
+
+      context.log(`Adding NZB file to ${clientName}: ${fileName} (category: ${label || 'none'})`);
+
+      const hash = await manager.addNzbRaw(buffer, {
+        categoryName: label || '', priority: category?.priority,
+        start: true, filename: fileName, username
+      });
+
+      // Record ownership — the client returns the job ID
+      if (hash && context.clientInfo.userId && this.userManager) {
+        this.userManager.recordOwnership(itemKey(manager.instanceId, hash), context.clientInfo.userId);
+      }
+
+      // Broadcast unified items for instant UI feedback
+      await this.broadcastItemsUpdate(context);
+
+      context.send({ type: 'nzb-added', success: true, fileName, clientId: manager.clientType });
+    } catch (err) {
+      context.log('Failed to add NZB file:', err);
+      context.send({ type: 'error', message: `Failed to add NZB file: ${err.message}` });
+    }
+  }
+
   async handleGetCategories(context) {
     try {
       // Use unified category manager instead of direct aMule call
@@ -829,12 +961,17 @@ class WebSocketHandlers extends BaseModule {
 
   async handleCreateCategory(data, context) {
     try {
-      const { title, path, pathMappings, comment, color, priority } = data;
+      const { title, path, pathMappings, comment, color, priority, seedingRules, pinnedInstanceId } = data;
 
       if (!title || title.trim() === '') {
         throw new Error('Category title is required');
       }
 
+      // Seeding rules can remove data from any user's downloads
+      if (seedingRules?.length > 0 && !context.clientInfo.isAdmin) {
+        throw new Error('Admin access required to set seeding rules');
+      }
+
       const trimmedTitle = title.trim();
 
       // Validate category name — block path-unsafe characters
@@ -867,7 +1004,9 @@ class WebSocketHandlers extends BaseModule {
         path: path?.trim() || null,
         pathMappings: normalizedMappings,
         comment: comment?.trim() || '',
-        priority: priority || 0
+        priority: priority || 0,
+        seedingRules,
+        pinnedInstanceId: pinnedInstanceId || null
       });
 
       // Re-validate all paths after category change
@@ -894,7 +1033,7 @@ class WebSocketHandlers extends BaseModule {
 
   async handleUpdateCategory(data, context) {
     try {
-      const { title, name, path, pathMappings, comment, color, priority } = data;
+      const { title, name, path, pathMappings, comment, color, priority, seedingRules, pinnedInstanceId } = data;
 
       const categoryName = name || title;
 
@@ -924,6 +1063,10 @@ class WebSocketHandlers extends BaseModule {
         }
       }
 
+      if (seedingRules !== undefined && !context.clientInfo.isAdmin) {
+        throw new Error('Admin access required to change seeding rules');
+      }
+
       // Convert color from aMule BGR integer to hex if needed
       const { amuleColorToHex } = require('../lib/CategoryManager');
       const hexColor = typeof color === 'number' ? amuleColorToHex(color) : color;
@@ -969,7 +1112,9 @@ class WebSocketHandlers extends BaseModule {
         path: path !== undefined ? (path?.trim() || null) : undefined,
         pathMappings: normalizedMappings,
         comment: comment !== undefined ? (comment?.trim() || '') : undefined,
-        priority: priority !== undefined ? priority : undefined
+        priority: priority !== undefined ? priority : undefined,
+        seedingRules,
+        pinnedInstanceId
       });
 
       // Check for client verification failure
@@ -1341,6 +1486,342 @@ class WebSocketHandlers extends BaseModule {
     });
   }
 
+  // ============================================================================
+  // TORRENT MAINTENANCE
+  // Each action is gated per item by its clientMeta capability
+  // ============================================================================
+
+  /**
+   * Build a batch method that rejects items whose client lacks a capability
+   * @param {string} capability - clientMeta capability name
+   * @param {string} label - Human-readable action for the error message
+   * @param {Function} fn - (mgr, hash) => Promise
+   * @returns {Function} Batch method for _executeBatchOperation
+   */
+  _requireItemCapability(capability, label, fn) {
+    return (mgr, hash) => {
+      if (!clientMeta.hasCapability(mgr.clientType, capability)) {
+        throw new Error(`${label} not supported by ${mgr.displayName}`);
+      }
+      return fn(mgr, hash);
+    };
+  }
+
+  async handleBatchRecheck(data, context) {
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'recheck', responseType: 'batch-recheck-complete',
+      method: this._requireItemCapability('recheck', 'Recheck', (mgr, hash) => mgr.recheck(hash))
+    });
+  }
+
+  async handleBatchReannounce(data, context) {
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'reannounce', responseType: 'batch-reannounce-complete',
+      method: this._requireItemCapability('reannounce', 'Reannounce', (mgr, hash) => mgr.reannounce(hash))
+    });
+  }
+
+  async handleBatchSetSequentialDownload(data, context) {
+    const enabled = data.enabled !== false;
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'sequential download', responseType: 'batch-sequential-complete',
+      method: this._requireItemCapability('sequentialDownload', 'Sequential download',
+        (mgr, hash) => mgr.setSequentialDownload(hash, enabled))
+    });
+  }
+
+  async handleBatchSetFirstLastPiecePriority(data, context) {
+    const enabled = data.enabled !== false;
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'first/last piece priority', responseType: 'batch-first-last-complete',
+      method: this._requireItemCapability('firstLastPiecePriority', 'First/last piece priority',
+        (mgr, hash) => mgr.setFirstLastPiecePriority(hash, enabled))
+    });
+  }
+
+  // ============================================================================
+  // FILE SELECTION
+  // Priorities use the normalized files API scale: 0 = skip, 1 = normal, 2 = high
+  // ============================================================================
+
+  /**
+   * Parse a list of file indexes from request data
+   * @param {*} value - Raw value from the request
+   * @returns {number[]} Unique non-negative integers
+   */
+  _parseFileIndexes(value) {
+    if (!Array.isArray(value)) {
+      throw new Error('fileIndexes must be an array');
+    }
+    const indexes = [...new Set(value.map(Number))];
+    if (indexes.some(i => !Number.isInteger(i) || i < 0)) {
+      throw new Error('fileIndexes must contain non-negative integers');
+    }
+    return indexes;
+  }
+
+  async handleBatchSetFilePriority(data, context) {
+    let fileIndexes;
+    const priority = Number(data.priority);
+    try {
+      fileIndexes = this._parseFileIndexes(data.fileIndexes);
+      if (fileIndexes.length === 0) throw new Error('No files provided');
+      if (![0, 1, 2].includes(priority)) throw new Error('priority must be 0 (skip), 1 (normal) or 2 (high)');
+    } catch (err) {
+      context.send({ type: 'error', message: `Batch file priority failed: ${err.message}` });
+      return;
+    }
+
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'file priority', responseType: 'batch-file-priority-complete',
+      method: this._requireItemCapability('filePriority', 'File priority',
+        (mgr, hash) => mgr.setFilePriority(hash, fileIndexes, priority))
+    });
+  }
+
+  // ============================================================================
+  // TRACKERS
+  // Edits refresh the item's tracker cache so the next update shows the new list
+  // ============================================================================
+
+  /**
+   * Parse a list of announce URLs from request data
+   * @param {*} value - Array of URLs or a newline-separated string
+   * @param {string} field - Field name for error messages
+   * @returns {string[]} Unique, trimmed URLs
+   */
+  _parseTrackerUrls(value, field = 'urls') {
+    const list = typeof value === 'string' ? value.split(/\r?\n/) : value;
+    if (!Array.isArray(list)) {
+      throw new Error(`${field} must be an array of URLs`);
+    }
+    const urls = [...new Set(list.map(url => String(url).trim()).filter(Boolean))];
+    if (urls.length === 0) {
+      throw new Error(`No ${field} provided`);
+    }
+    const invalid = urls.find(url => !TRACKER_URL_PATTERN.test(url));
+    if (invalid) {
+      throw new Error(`Invalid tracker URL: ${invalid}`);
+    }
+    return urls;
+  }
+
+  async handleBatchAddTrackers(data, context) {
+    let urls;
+    try {
+      urls = this._parseTrackerUrls(data.urls);
+    } catch (err) {
+      context.send({ type: 'error', message: `Batch add trackers failed: ${err.message}` });
+      return;
+    }
+
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'add trackers', responseType: 'batch-trackers-complete',
+      method: this._requireItemCapability('trackerEdit', 'Tracker editing', async (mgr, hash) => {
+        await mgr.addTrackers(hash, urls);
+        await mgr.refreshItemTrackers(hash);
+      })
+    });
+  }
+
+  async handleBatchRemoveTrackers(data, context) {
+    let urls;
+    try {
+      urls = this._parseTrackerUrls(data.urls);
+    } catch (err) {
+      context.send({ type: 'error', message: `Batch remove trackers failed: ${err.message}` });
+      return;
+    }
+
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'remove trackers', responseType: 'batch-trackers-complete',
+      method: this._requireItemCapability('trackerEdit', 'Tracker editing', async (mgr, hash) => {
+        await mgr.removeTrackers(hash, urls);
+        await mgr.refreshItemTrackers(hash);
+      })
+    });
+  }
+
+  async handleBatchReplaceTracker(data, context) {
+    let oldUrl, newUrl;
+    try {
+      [oldUrl] = this._parseTrackerUrls([data.oldUrl], 'oldUrl');
+      [newUrl] = this._parseTrackerUrls([data.newUrl], 'newUrl');
+    } catch (err) {
+      context.send({ type: 'error', message: `Batch replace tracker failed: ${err.message}` });
+      return;
+    }
+
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'replace tracker', responseType: 'batch-trackers-complete',
+      method: this._requireItemCapability('trackerEdit', 'Tracker editing', async (mgr, hash) => {
+        await mgr.replaceTracker(hash, oldUrl, newUrl);
+        await mgr.refreshItemTrackers(hash);
+      })
+    });
+  }
+
+  /**
+   * Replace text in tracker URLs across every torrent on every connected instance.
+   * Matches against the tracker cache (refreshed every 10s). Admin only — it touches
+   * items regardless of ownership.
+   * Data: { find, replace, dryRun } — dryRun lists the changes without applying them.
+   */
+  async handleReplaceTrackerAll(data, context) {
+    try {
+      if (!context.clientInfo.isAdmin) {
+        throw new Error('Admin access required');
+      }
+      const find = typeof data.find === 'string' ? data.find.trim() : '';
+      const replace = typeof data.replace === 'string' ? data.replace.trim() : '';
+      const dryRun = data.dryRun === true;
+      if (!find) throw new Error('find is required');
+      if (find === replace) throw new Error('find and replace are identical');
+
+      const managers = registry.getConnected().filter(m => clientMeta.hasCapability(m.clientType, 'trackerEdit'));
+      const results = [];
+      for (const manager of managers) {
+        for (const { hash, urls } of manager.findItemsWithTracker(find)) {
+          for (const oldUrl of urls) {
+            const newUrl = oldUrl.split(find).join(replace);
+            const base = { instanceId: manager.instanceId, instanceName: manager.displayName, fileHash: hash, oldUrl, newUrl };
+            try {
+              if (!TRACKER_URL_PATTERN.test(newUrl)) throw new Error(`Invalid tracker URL: ${newUrl}`);
+              if (!dryRun) await manager.replaceTracker(hash, oldUrl, newUrl);
+              results.push({ ...base, success: true });
+            } catch (err) {
+              context.log(`Replace tracker failed for ${manager.instanceId}/${hash}: ${err.message}`);
+              results.push({ ...base, success: false, error: err.message });
+            }
+          }
+          if (!dryRun) await manager.refreshItemTrackers(hash);
+        }
+      }
+
+      if (!dryRun && results.length > 0) {
+        await this.broadcastItemsUpdate(context);
+      }
+
+      const successCount = results.filter(r => r.success).length;
+      const verb = dryRun ? 'matched' : 'replaced';
+      context.send({ type: 'trackers-replaced', dryRun, results, message: `${successCount}/${results.length} ${verb}` });
+      context.log(`Replace tracker "${find}" → "${replace}"${dryRun ? ' (dry run)' : ''}: ${successCount}/${results.length} ${verb}`);
+    } catch (err) {
+      context.log('Replace tracker error:', err.message);
+      context.send({ type: 'error', message: `Failed to replace trackers: ${err.message}` });
+    }
+  }
+
+  // ============================================================================
+  // SPEED LIMITS
+  // All limits are bytes/s, 0 = unlimited, omitted = unchanged
+  // ============================================================================
+
+  /**
+   * Parse an optional speed limit from request data
+   * @param {*} value - Raw value from the request
+   * @param {string} field - Field name for error messages
+   * @returns {number|undefined} Non-negative integer, or undefined if not provided
+   */
+  _parseSpeedLimit(value, field) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const limit = Number(value);
+    if (!Number.isFinite(limit) || limit < 0) {
+      throw new Error(`${field} must be a non-negative number of bytes/s`);
+    }
+    return Math.floor(limit);
+  }
+
+  /**
+   * Get global limits for an instance, or per-item limits when fileHash is given
+   */
+  async handleGetSpeedLimits(data, context) {
+    try {
+      const { instanceId, fileHash } = data;
+      const manager = registry.get(instanceId);
+      if (!manager || !manager.isConnected()) {
+        throw new Error('Client not connected');
+      }
+      const capability = fileHash ? 'itemSpeedLimits' : 'speedLimits';
+      if (!clientMeta.hasCapability(manager.clientType, capability)) {
+        throw new Error(`${fileHash ? 'Per-item' : 'Global'} speed limits not supported by ${manager.displayName}`);
+      }
+
+      const limits = await manager.getSpeedLimits({ hash: fileHash || null });
+      context.send({ type: 'speed-limits', instanceId, fileHash: fileHash || null, ...limits });
+    } catch (err) {
+      context.log('Get speed limits error:', err.message);
+      context.send({ type: 'error', message: `Failed to get speed limits: ${err.message}` });
+    }
+  }
+
+  async handleBatchSetSpeedLimits(data, context) {
+    let downloadLimit, uploadLimit;
+    try {
+      downloadLimit = this._parseSpeedLimit(data.downloadLimit, 'downloadLimit');
+      uploadLimit = this._parseSpeedLimit(data.uploadLimit, 'uploadLimit');
+    } catch (err) {
+      context.send({ type: 'error', message: `Batch speed limit failed: ${err.message}` });
+      return;
+    }
+
+    await this._executeBatchOperation({
+      items: data.items, context, name: 'speed limit', responseType: 'batch-limits-complete',
+      method: (mgr, hash) => {
+        if (!clientMeta.hasCapability(mgr.clientType, 'itemSpeedLimits')) {
+          throw new Error(`Per-item speed limits not supported by ${mgr.displayName}`);
+        }
+        return mgr.setSpeedLimits({ hash, downloadLimit, uploadLimit });
+      }
+    });
+  }
+
+  /**
+   * Set global limits on one instance (instanceId) or on every connected instance
+   * that supports them. Admin only — affects all users of the client.
+   */
+  async handleSetGlobalSpeedLimits(data, context) {
+    try {
+      if (!context.clientInfo.isAdmin) {
+        throw new Error('Admin access required');
+      }
+      const downloadLimit = this._parseSpeedLimit(data.downloadLimit, 'downloadLimit');
+      const uploadLimit = this._parseSpeedLimit(data.uploadLimit, 'uploadLimit');
+
+      let managers;
+      if (data.instanceId) {
+        const manager = registry.get(data.instanceId);
+        if (!manager) throw new Error(`Instance "${data.instanceId}" not found`);
+        managers = [manager];
+      } else {
+        managers = registry.getConnected().filter(m => clientMeta.hasCapability(m.clientType, 'speedLimits'));
+      }
+
+      const results = [];
+      for (const manager of managers) {
+        const base = { instanceId: manager.instanceId, instanceName: manager.displayName };
+        try {
+          if (!manager.isConnected()) throw new Error(`${manager.clientType} not connected`);
+          if (!clientMeta.hasCapability(manager.clientType, 'speedLimits')) {
+            throw new Error(`Global speed limits not supported by ${manager.displayName}`);
+          }
+          const limits = await manager.setSpeedLimits({ downloadLimit, uploadLimit });
+          results.push({ ...base, success: true, ...limits });
+        } catch (err) {
+          context.log(`Set speed limits failed for ${manager.instanceId}: ${err.message}`);
+          results.push({ ...base, success: false, error: err.message });
+        }
+      }
+
+      const successCount = results.filter(r => r.success).length;
+      context.send({ type: 'speed-limits-updated', results, message: `${successCount}/${results.length} successful` });
+      context.log(`Set global speed limits (down=${downloadLimit ?? '-'}, up=${uploadLimit ?? '-'}): ${successCount}/${results.length} successful`);
+    } catch (err) {
+      context.log('Set global speed limits error:', err.message);
+      context.send({ type: 'error', message: `Failed to set speed limits: ${err.message}` });
+    }
+  }
+
   /**
    * Delete a file or directory from disk
    * @param {string} filePath - Path to delete (already translated for Docker)
@@ -2106,6 +2587,73 @@ class WebSocketHandlers extends BaseModule {
     }
   }
 
+  /**
+   * Hand torrents over to another BitTorrent instance (data stays in place)
+   * The transfer itself runs in TransferOperationManager; this only queues it.
+   */
+  async handleBatchTransferItems(data, context) {
+    try {
+      const { items: reqItems, targetInstanceId } = data;
+
+      if (!reqItems || !Array.isArray(reqItems) || reqItems.length === 0) {
+        throw new Error('No items provided');
+      }
+      if (reqItems.length > 1000) {
+        throw new Error('Batch transfer exceeds maximum size of 1000 items');
+      }
+
+      const target = registry.get(targetInstanceId);
+      if (!target) {
+        throw new Error('Target instance not found');
+      }
+      const targetName = target.displayName || targetInstanceId;
+
+      const cachedItems = dataFetchService.getCachedBatchData()?.items || [];
+      const itemByKey = new Map(cachedItems.map(i => [itemKey(i.instanceId, i.hash), i]));
+
+      const results = [];
+
+      for (const reqItem of reqItems) {
+        const fileHash = reqItem.fileHash;
+        const ownershipKey = itemKey(reqItem.instanceId, fileHash);
+
+        if (!this._canMutateItem(context, ownershipKey)) {
+          results.push({ fileHash, fileName: reqItem.fileName, success: false, error: 'Permission denied' });
+          continue;
+        }
+
+        const item = itemByKey.get(itemKey(reqItem.instanceId, fileHash?.toLowerCase()));
+        if (!item) {
+          results.push({ fileHash, fileName: reqItem.fileName, success: false, error: 'Item not found' });
+          continue;
+        }
+
+        try {
+          await transferOperationManager.queueTransfer(item, target);
+          results.push({ fileHash, fileName: item.name, success: true, instanceId: item.instanceId });
+          context.log(`Queued transfer for ${item.name} -> ${targetName}`);
+        } catch (err) {
+          context.log(`Transfer failed for ${item.name}: ${err.message}`);
+          results.push({ fileHash, fileName: item.name, success: false, error: err.message });
+        }
+      }
+
+      await this.broadcastItemsUpdate(context);
+
+      const successCount = results.filter(r => r.success).length;
+      context.send({
+        type: 'batch-transfer-complete',
+        results,
+        targetInstanceId,
+        message: `Transferring ${successCount}/${reqItems.length} torrents to ${targetName}`
+      });
+      context.log(`Batch transfer: ${successCount}/${reqItems.length} queued to ${targetName}`);
+    } catch (err) {
+      context.log('Batch transfer error:', err);
+      context.send({ type: 'error', message: 'Batch transfer failed: ' + err.message });
+    }
+  }
+
 }
 
 module.exports = new WebSocketHandlers();
\ No newline at end of file
@@ -31,17 +31,26 @@ const MANAGER_CLASSES = {
   qbittorrent: require('./modules/qbittorrentManager').QbittorrentManager,
   deluge: require('./modules/delugeManager').DelugeManager,
   transmission: require('./modules/transmissionManager').TransmissionManager,
+  aria2: require('./modules/aria2Manager').Aria2Manager,
+  sabnzbd: require('./modules/sabnzbdManager').SabnzbdManager,
+  nzbget: require('./modules/nzbgetManager').NzbgetManager,
 };
 const geoIPManager = require('./modules/geoIPManager');
 const arrManager = require('./modules/arrManager');
+const arrAPI = require('./modules/arrAPI');
 const metricsAPI = require('./modules/metricsAPI');
 const historyAPI = require('./modules/historyAPI');
 const torznabAPI = require('./modules/torznabAPI');
+const openMetricsAPI = require('./modules/openMetricsAPI');
 const qbittorrentAPI = require('./modules/qbittorrentAPI');
 const prowlarrAPI = require('./modules/prowlarrAPI');
+const searchAPI = require('./modules/searchAPI');
 const rtorrentAPI = require('./modules/rtorrentAPI');
 const delugeAPI = require('./modules/delugeAPI');
 const transmissionAPI = require('./modules/transmissionAPI');
+const aria2API = require('./modules/aria2API');
+const sabnzbdAPI = require('./modules/sabnzbdAPI');
+const nzbgetAPI = require('./modules/nzbgetAPI');
 const webSocketHandlers = require('./modules/webSocketHandlers');
 const restAPI = require('./modules/restAPI');
 const autoRefreshManager = require('./modules/autoRefreshManager');
@@ -50,11 +59,27 @@ const categoryManager = require('./lib/CategoryManager');
 const basicRoutes = require('./modules/basicRoutes');
 const versionAPI = require('./modules/versionAPI');
 const moveOperationManager = require('./lib/MoveOperationManager');
+const transferOperationManager = require('./lib/TransferOperationManager');
 const filesystemAPI = require('./modules/filesystemAPI');
 const sharedDirAPI = require('./modules/sharedDirAPI');
 const eventScriptingManager = require('./lib/EventScriptingManager');
 const notificationManager = require('./lib/NotificationManager');
 const notificationsAPI = require('./modules/notificationsAPI');
+const bandwidthScheduler = require('./modules/bandwidthScheduler');
+const bandwidthScheduleAPI = require('./modules/bandwidthScheduleAPI');
+const seedingRules = require('./modules/seedingRules');
+const seedingRulesAPI = require('./modules/seedingRulesAPI');
+const crossSeed = require('./modules/crossSeed');
+const crossSeedAPI = require('./modules/crossSeedAPI');
+const rssWatcher = require('./modules/rssWatcher');
+const savedSearches = require('./modules/savedSearches');
+const savedSearchesAPI = require('./modules/savedSearchesAPI');
+const rssAPI = require('./modules/rssAPI');
+const watchFolders = require('./modules/watchFolders');
+const watchFoldersAPI = require('./modules/watchFoldersAPI');
+const eventMonitor = require('./modules/eventMonitor');
+const backupAPI = require('./modules/backupAPI');
+const backupManager = require('./lib/BackupManager');
 const userAPI = require('./modules/userAPI');
 
 // Middleware
@@ -158,6 +183,9 @@ const broadcastFn = createBroadcaster(wss);
 // DATABASE & STORE INITIALIZATION
 // ============================================================================
 
+// Swap in a restore staged from a backup before any database is opened
+backupManager.applyPendingRestore();
+
 const dbPath = config.getMetricsDbPath();
 const metricsDB = new MetricsDB(dbPath);
 
@@ -172,6 +200,14 @@ const downloadHistory = new DownloadHistory(historyDbPath);
 const moveOpsDbPath = config.getMoveOpsDbPath();
 moveOperationManager.initDB(moveOpsDbPath);
 
+// RSS feeds database
+const rssDbPath = config.getRssDbPath();
+rssWatcher.initDB(rssDbPath);
+
+// Saved searches database
+const savedSearchDbPath = config.getSavedSearchDbPath();
+savedSearches.initDB(savedSearchDbPath);
+
 // User database
 const userDbPath = config.getUserDbPath();
 const userManager = new UserManager(userDbPath);
@@ -198,6 +234,7 @@ autoRefreshManager.inject(deps);
 historyAPI.inject(deps);
 qbittorrentAPI.inject(deps);
 prowlarrAPI.inject(deps);
+searchAPI.inject(deps);
 authAPI.inject(deps);
 webSocketHandlers.inject(deps);
 restAPI.setHandlers(webSocketHandlers);
@@ -205,15 +242,34 @@ requireAuth.setUserManager(userManager);
 configAPI.inject(deps);
 basicRoutes.inject(deps);
 arrManager.inject(deps);
+arrAPI.inject(deps);
 torznabAPI.inject(deps);
+openMetricsAPI.inject(deps);
 dataFetchService.inject(deps);
 rtorrentAPI.inject(deps);
 delugeAPI.inject(deps);
 transmissionAPI.inject(deps);
+aria2API.inject(deps);
+sabnzbdAPI.inject(deps);
+nzbgetAPI.inject(deps);
 moveOperationManager.inject(deps);
+transferOperationManager.inject(deps);
 filesystemAPI.inject(deps);
 eventScriptingManager.inject(deps);
+notificationManager.inject(deps);
 notificationsAPI.inject(deps);
+bandwidthScheduleAPI.inject(deps);
+seedingRules.inject(deps);
+seedingRulesAPI.inject(deps);
+crossSeed.inject(deps);
+crossSeedAPI.inject(deps);
+rssWatcher.inject(deps);
+rssAPI.inject(deps);
+savedSearches.inject(deps);
+savedSearchesAPI.inject(deps);
+watchFolders.inject(deps);
+watchFoldersAPI.inject(deps);
+backupAPI.inject(deps);
 userAPI.inject(deps);
 
 // onConnect callbacks are registered per-instance inside initializeServices()
@@ -230,6 +286,7 @@ basicRoutes.registerPublicRoutes(app);
 
 // Unprotected API routes (for external integrations)
 torznabAPI.registerRoutes(app);       // Torznab indexer API
+openMetricsAPI.registerRoutes(app);   // OpenMetrics exporter (/metrics)
 qbittorrentAPI.registerRoutes(app);   // qBittorrent API
 versionAPI.registerRoutes(app);       // Version info API (public)
 
@@ -264,9 +321,13 @@ configAPI.registerRoutes(app);      // Configuration management API
 metricsAPI.registerRoutes(app);     // Metrics API
 historyAPI.registerRoutes(app);     // Download history API
 prowlarrAPI.registerRoutes(app);    // Prowlarr torrent search API
+searchAPI.registerRoutes(app);      // Combined ED2K + Prowlarr search API
 rtorrentAPI.registerRoutes(app);    // rtorrent API (files, etc.)
 delugeAPI.registerRoutes(app);     // Deluge API (files, etc.)
 transmissionAPI.registerRoutes(app); // Transmission API (files, etc.)
+aria2API.registerRoutes(app);       // aria2 API (files, etc.)
+sabnzbdAPI.registerRoutes(app);     // SABnzbd API (files, etc.)
+nzbgetAPI.registerRoutes(app);      // NZBGet API (files, etc.)
 filesystemAPI.registerRoutes(app);  // Filesystem browsing API
 sharedDirAPI.registerRoutes(app);   // aMule shared directory management
 restAPI.registerRoutes(app);        // REST API (HTTP bridge to WS handlers)
@@ -278,6 +339,14 @@ app.get('/api/item/detail/:hash', (req, res) => {
   res.json(detail);
 });
 notificationsAPI.registerRoutes(app); // Notifications API
+bandwidthScheduleAPI.registerRoutes(app); // Bandwidth schedule API (admin only)
+seedingRulesAPI.registerRoutes(app);     // Seeding rules preview/status API (admin only)
+crossSeedAPI.registerRoutes(app);        // Cross-seed finder API (admin only)
+arrAPI.registerRoutes(app);              // Sonarr/Radarr wanted list API (admin only)
+rssAPI.registerRoutes(app);              // RSS feeds API (admin only)
+savedSearchesAPI.registerRoutes(app);    // Saved searches API (own searches, admins all)
+watchFoldersAPI.registerRoutes(app);     // Watch folders API (admin only)
+backupAPI.registerRoutes(app);           // Backup & restore API (admin only)
 userAPI.registerRoutes(app);           // User management API (admin only)
 versionAPI.registerProtectedRoutes(app); // Version seen tracking (protected)
 
@@ -407,6 +476,18 @@ async function reinitializeClients() {
     });
   });
 
+  // Register onConnect callback to re-apply the active speed profile
+  registry.forEach((manager, instanceId) => {
+    if (!manager.onConnect) return;
+    manager.onConnect(async () => {
+      try {
+        await bandwidthScheduler.handleConnect(instanceId);
+      } catch (err) {
+        log(`⚠️  Failed to apply speed profile on connect (${instanceId}): ${err.message}`);
+      }
+    });
+  });
+
   // Adopt legacy entries now that registry has real instance IDs
   const instances = [];
   registry.forEach((manager, instanceId) => {
@@ -464,9 +545,30 @@ async function initializeServices() {
   // Recover any interrupted move operations (may fail gracefully if clients not yet connected)
   await moveOperationManager.recoverOperations();
 
+  // Resume unfinished transfers between BitTorrent instances
+  await transferOperationManager.recoverOperations();
+
   // Start auto-refresh loop for stats/downloads/uploads
   autoRefreshManager.start();
 
+  // Start bandwidth schedule loop (applies the current speed profile)
+  bandwidthScheduler.start();
+
+  // Start seeding rules loop (per-category ratio/seeding-time actions)
+  seedingRules.start();
+
+  // Start RSS watcher loop (polls feeds and auto-adds matches)
+  rssWatcher.start();
+
+  // Start saved search loop (re-runs scheduled searches and handles new results)
+  savedSearches.start();
+
+  // Start watch folder loop (imports dropped .torrent/magnet/ed2k files)
+  watchFolders.start();
+
+  // Start event monitor loop (stalled downloads, low disk space, ratio target, updates)
+  eventMonitor.start();
+
   // Schedule automatic searches for Sonarr/Radarr
   arrManager.scheduleAutomaticSearches();
 
@@ -593,6 +695,13 @@ async function startServer() {
         // Stop background tasks
         authManager.stop();
         autoRefreshManager.stop();
+        bandwidthScheduler.stop();
+        seedingRules.stop();
+        crossSeed.stop();
+        rssWatcher.stop();
+        savedSearches.stop();
+        watchFolders.stop();
+        eventMonitor.stop();
 
         // Shutdown all client managers via registry
         const shutdownPromises = [];
@@ -614,7 +723,8 @@ async function startServer() {
           downloadHistory.close();
           log('Download history closed');
 
-          // Close move operation manager
+          // Close move operation manager (transfers share its database)
+          transferOperationManager.shutdown();
           moveOperationManager.shutdown();
           log('Move operation manager closed');
 
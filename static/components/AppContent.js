@@ -73,8 +73,8 @@ const AppContentInner = () => {
   // Capability check — redirect if user navigated to a view they can't access
   const { hasCap, isAdmin } = useCapabilities();
   useEffect(() => {
-    // Settings and Notifications are admin-only (not in VIEW_CAPABILITIES)
-    if ((appCurrentView === 'settings' || appCurrentView === 'notifications') && !isAdmin) {
+    // Settings, Notifications, RSS, Wanted and Cross-Seed are admin-only (not in VIEW_CAPABILITIES)
+    if (['settings', 'notifications', 'rss', 'wanted', 'cross-seed'].includes(appCurrentView) && !isAdmin) {
       handleAppNavigate('home');
       return;
     }
@@ -153,9 +153,9 @@ const AppContentInner = () => {
       if (showAddDownload) return;
 
       const files = Array.from(e.dataTransfer.files || []);
-      const torrentFiles = files.filter(f => f.name.endsWith('.torrent'));
-      if (torrentFiles.length > 0 && hasCap('add_downloads')) {
-        openAddDownloadModal(torrentFiles);
+      const downloadFiles = files.filter(f => /\.(torrent|nzb)$/i.test(f.name));
+      if (downloadFiles.length > 0 && hasCap('add_downloads')) {
+        openAddDownloadModal(downloadFiles);
       }
     };
 
@@ -342,10 +342,12 @@ const AppContentInner = () => {
         onAddEd2kLinks: (links, categoryName) => actions.search.addEd2kLinks(links.join('\n'), categoryName, false),
         onAddMagnetLinks: (links, label, instanceId, clientType, savePath) =>
           actions.search.addMagnetLinks(links, label, instanceId, clientType, savePath),
-        onAddTorrentFile: (file, label, instanceId, clientType, savePath) =>
-          actions.search.addTorrentFile(file, label, instanceId, clientType, savePath),
+        onAddTorrentFile: (file, label, instanceId, clientType, savePath, skipFiles) =>
+          actions.search.addTorrentFile(file, label, instanceId, clientType, savePath, skipFiles),
+        onAddNzbFile: (file, label, instanceId) =>
+          actions.search.addNzbFile(file, label, instanceId),
         onClose: closeAddDownloadModal,
-        initialTorrentFiles: initialFiles
+        initialFiles
       }),
 
       // Global drag-and-drop overlay
@@ -356,7 +358,7 @@ const AppContentInner = () => {
         },
           h('div', { className: 'bg-white dark:bg-gray-800 rounded-xl px-8 py-6 shadow-2xl text-center' },
             h(Icon, { name: 'download', size: 32, className: 'text-blue-500 mx-auto mb-2' }),
-            h('p', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100' }, 'Drop .torrent files to add')
+            h('p', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100' }, 'Drop .torrent or .nzb files to add')
           )
         )
       )
@@ -9,7 +9,9 @@
 
 import React from 'https://esm.sh/react@18.2.0';
 import ClientIcon from './ClientIcon.js';
+import Icon from './Icon.js';
 import { BASE_HEIGHT } from './FormControls.js';
+import { AUTO_TARGET_ID } from '../../utils/constants.js';
 
 const { createElement: h } = React;
 
@@ -23,6 +25,7 @@ const { createElement: h } = React;
  * @param {string} [variant='buttons'] - 'buttons' or 'dropdown'
  * @param {string|null} [label='Instance'] - Label text (null to hide)
  * @param {boolean} [disabled=false] - Disable the selector
+ * @param {boolean} [allowAuto=false] - Add the "Auto" choice (from hook)
  */
 const AmuleInstanceSelector = ({
   connectedInstances,
@@ -32,12 +35,17 @@ const AmuleInstanceSelector = ({
   className = '',
   variant = 'buttons',
   label = 'Instance',
-  disabled = false
+  disabled = false,
+  allowAuto = false
 }) => {
   if (!showSelector || connectedInstances.length < 2) {
     return null;
   }
 
+  const choices = allowAuto
+    ? [...connectedInstances, { id: AUTO_TARGET_ID, name: 'Auto', auto: true }]
+    : connectedInstances;
+
   if (variant === 'dropdown') {
     return h('select', {
       value: selectedId || '',
@@ -45,7 +53,7 @@ const AmuleInstanceSelector = ({
       disabled,
       className: `text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded px-2 py-1.5 ${className}`
     },
-      connectedInstances.map(inst =>
+      choices.map(inst =>
         h('option', { key: inst.id, value: inst.id }, inst.name)
       )
     );
@@ -60,7 +68,7 @@ const AmuleInstanceSelector = ({
       className: 'flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-x-auto overflow-y-hidden',
       style: { scrollbarWidth: 'none' }
     },
-      connectedInstances.map(inst =>
+      choices.map(inst =>
         h('button', {
           key: inst.id,
           type: 'button',
@@ -71,9 +79,11 @@ const AmuleInstanceSelector = ({
               ? 'bg-blue-600 text-white'
               : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600'
           } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`,
-          title: inst.name
+          title: inst.auto ? 'Pick the instance by the download target policy' : inst.name
         },
-          h(ClientIcon, { client: 'amule', size: 16, title: '' }),
+          inst.auto
+            ? h(Icon, { name: 'zap', size: 16 })
+            : h(ClientIcon, { client: 'amule', size: 16, title: '' }),
           h('span', null, inst.name)
         )
       )
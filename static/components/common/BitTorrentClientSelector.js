@@ -4,12 +4,15 @@
  * A reusable dropdown/button group for selecting which BitTorrent client
  * to use when adding downloads. Only renders when 2+ clients are connected.
  *
- * Uses ClientIcon for visual identification.
+ * Uses ClientIcon for visual identification. With allowAuto, an extra
+ * "Auto" choice lets the server pick the instance.
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import ClientIcon from './ClientIcon.js';
+import Icon from './Icon.js';
 import { BASE_HEIGHT } from './FormControls.js';
+import { AUTO_TARGET_ID } from '../../utils/constants.js';
 
 const { createElement: h } = React;
 
@@ -23,6 +26,7 @@ const { createElement: h } = React;
  * @param {string} variant - 'buttons' (default) or 'dropdown'
  * @param {string} label - Label text (optional)
  * @param {boolean} showFullName - Always show full client name regardless of viewport (default: false)
+ * @param {boolean} allowAuto - Add the "Auto" choice (from hook)
  */
 const BitTorrentClientSelector = ({
   connectedClients,
@@ -32,13 +36,18 @@ const BitTorrentClientSelector = ({
   className = '',
   variant = 'buttons',
   label = 'Send to',
-  showFullName = false
+  showFullName = false,
+  allowAuto = false
 }) => {
   // Don't render if we shouldn't show selector
   if (!showSelector || connectedClients.length < 2) {
     return null;
   }
 
+  const choices = allowAuto
+    ? [...connectedClients, { id: AUTO_TARGET_ID, name: 'Auto', shortName: 'Auto', auto: true }]
+    : connectedClients;
+
   if (variant === 'dropdown') {
     const selectedType = connectedClients.find(c => c.id === selectedClientId)?.type;
     return h('div', { className: `flex items-center gap-2 ${className}` },
@@ -54,7 +63,7 @@ const BitTorrentClientSelector = ({
           onChange: (e) => onSelectClient(e.target.value),
           className: `${BASE_HEIGHT} ${selectedType ? 'pl-8' : 'px-3'} pr-3 text-sm font-medium rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500`
         },
-          connectedClients.map(client =>
+          choices.map(client =>
             h('option', { key: client.id, value: client.id }, client.name)
           )
         )
@@ -71,7 +80,7 @@ const BitTorrentClientSelector = ({
       className: 'flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-x-auto overflow-y-hidden',
       style: { scrollbarWidth: 'none' }
     },
-      connectedClients.map(client =>
+      choices.map(client =>
         h('button', {
           key: client.id,
           type: 'button',
@@ -81,13 +90,15 @@ const BitTorrentClientSelector = ({
               ? 'bg-blue-600 text-white'
               : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600'
           }`,
-          title: client.name
+          title: client.auto ? 'Pick the instance by the download target policy' : client.name
         },
-          h(ClientIcon, {
-            client: client.type,
-            size: 16,
-            title: ''
-          }),
+          client.auto
+            ? h(Icon, { name: 'zap', size: 16 })
+            : h(ClientIcon, {
+                client: client.type,
+                size: 16,
+                title: ''
+              }),
           showFullName
             ? h('span', null, client.name)
             : [
@@ -1,7 +1,7 @@
 /**
  * ClientIcon Component
  *
- * Reusable icon component for client types (aMule/ED2K and BitTorrent clients)
+ * Reusable icon component for client types (aMule/ED2K, BitTorrent and Usenet clients)
  * Used in badges, buttons, modals, and other UI elements
  */
 
@@ -50,6 +50,19 @@ const ClientIcon = ({ client, clientType, size = 16, float = false, className =
     defaultTitle = 'BitTorrent (Transmission)';
     alt = 'Tr';
     src = '/static/logo-transmission.svg';
+  } else if (clientValue === 'aria2') {
+    defaultTitle = 'BitTorrent / HTTP (aria2)';
+    alt = 'a2';
+    src = '/static/logo-aria2.svg';
+  } else if (clientValue === 'sabnzbd' || clientValue === 'usenet') {
+    // Generic Usenet uses the SABnzbd icon
+    defaultTitle = clientValue === 'usenet' ? 'Usenet' : 'Usenet (SABnzbd)';
+    alt = 'SAB';
+    src = '/static/logo-sabnzbd.svg';
+  } else if (clientValue === 'nzbget') {
+    defaultTitle = 'Usenet (NZBGet)';
+    alt = 'NZB';
+    src = '/static/logo-nzbget.svg';
   } else if (clientValue === 'amule' || clientValue === 'ed2k') {
     defaultTitle = 'ED2K (aMule)';
     alt = 'ED2K';
@@ -0,0 +1,103 @@
+/**
+ * SearchFilterPanel Component
+ *
+ * Filter fields for search results (sources, size, file type, patterns,
+ * already queued/downloaded). Shown inline on desktop and inside the
+ * MobileFilterSheet on mobile.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Input, Select } from './FormControls.js';
+import { SEARCH_FILE_TYPES, compileFilterPattern } from '../../utils/index.js';
+
+const { createElement: h } = React;
+
+const FILE_TYPE_OPTIONS = [
+  { value: '', label: 'Any type' },
+  ...SEARCH_FILE_TYPES.map(type => ({ value: type.value, label: type.label }))
+];
+
+const LABEL_CLASS = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1';
+
+/**
+ * Labelled field
+ */
+const Field = ({ label, error, children }) =>
+  h('div', null,
+    h('label', { className: LABEL_CLASS }, label),
+    children,
+    error && h('p', { className: 'text-xs text-red-600 dark:text-red-400 mt-1' }, error)
+  );
+
+/**
+ * SearchFilterPanel component
+ * @param {Object} filters - Filter state (see EMPTY_SEARCH_FILTERS)
+ * @param {function} onChange - Called with (field, value)
+ * @param {boolean} showCompleteSources - Whether the results report complete sources
+ * @param {boolean} showHistory - Whether the user can see the download history
+ * @param {boolean} compact - Single column layout (mobile sheet)
+ */
+const SearchFilterPanel = ({ filters, onChange, showCompleteSources = false, showHistory = true, compact = false }) => {
+  const includeError = compileFilterPattern(filters.include).error;
+  const excludeError = compileFilterPattern(filters.exclude).error;
+
+  const numberInput = (field, placeholder) => h(Input, {
+    type: 'number',
+    min: 0,
+    value: filters[field],
+    onChange: (e) => onChange(field, e.target.value),
+    placeholder,
+    className: 'w-full'
+  });
+
+  const checkbox = (field, label) => h('label', { className: 'flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300' },
+    h('input', {
+      type: 'checkbox',
+      checked: filters[field],
+      onChange: (e) => onChange(field, e.target.checked),
+      className: 'w-4 h-4 text-blue-600 border-gray-300 rounded'
+    }),
+    label
+  );
+
+  return h('div', { className: 'space-y-3' },
+    h('div', { className: compact ? 'grid grid-cols-2 gap-3' : 'grid grid-cols-6 gap-3' },
+      h(Field, { label: 'Min. sources' }, numberInput('minSources', 'Any')),
+      showCompleteSources && h(Field, { label: 'Min. complete sources' }, numberInput('minCompleteSources', 'Any')),
+      h(Field, { label: 'Min. size (MB)' }, numberInput('minSizeMB', 'No limit')),
+      h(Field, { label: 'Max. size (MB)' }, numberInput('maxSizeMB', 'No limit')),
+      h(Field, { label: 'File type' },
+        h(Select, {
+          value: filters.fileType,
+          onChange: (e) => onChange('fileType', e.target.value),
+          options: FILE_TYPE_OPTIONS,
+          className: 'w-full'
+        })
+      )
+    ),
+    h('div', { className: compact ? 'space-y-3' : 'grid grid-cols-2 gap-3' },
+      h(Field, { label: 'Include (regex)', error: includeError },
+        h(Input, {
+          value: filters.include,
+          onChange: (e) => onChange('include', e.target.value),
+          placeholder: 'e.g. 1080p|2160p',
+          className: 'w-full'
+        })
+      ),
+      h(Field, { label: 'Exclude (regex)', error: excludeError },
+        h(Input, {
+          value: filters.exclude,
+          onChange: (e) => onChange('exclude', e.target.value),
+          placeholder: 'e.g. cam|sample',
+          className: 'w-full'
+        })
+      )
+    ),
+    h('div', { className: compact ? 'space-y-3' : 'flex items-center gap-6' },
+      checkbox('hideQueued', 'Hide files in the download queue'),
+      showHistory && checkbox('hideHistory', 'Hide files already in the history')
+    )
+  );
+};
+
+export default SearchFilterPanel;
@@ -11,6 +11,27 @@ import { formatBytes, formatDateTime, getMobileCardRowClass } from '../../utils/
 
 const { createElement: h, useCallback, useMemo } = React;
 
+/**
+ * "Downloaded" badge of a result that is already in the download history
+ * @param {Object|null} match - History match { status, completedAt, startedAt }
+ */
+const renderHistoryBadge = (match) => {
+  if (!match) return null;
+  const downloaded = !!match.completedAt;
+  const tooltip = downloaded
+    ? `Downloaded ${formatDateTime(match.completedAt)}${match.status === 'deleted' ? ' (since deleted)' : ''}`
+    : `Added ${formatDateTime(match.startedAt)} (${match.status})`;
+  return h(Tooltip, { content: tooltip },
+    h('span', {
+      className: `ml-1.5 inline-flex text-[10px] font-medium px-1.5 py-0.5 rounded whitespace-nowrap align-middle ${
+        downloaded
+          ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+          : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+      }`
+    }, downloaded ? 'Downloaded' : 'In history')
+  );
+};
+
 /**
  * Column definitions for search results (aMule)
  * Exported for MobileSortButton in parent components (uses key, label, sortable)
@@ -111,6 +132,88 @@ export const PROWLARR_RESULTS_COLUMNS = [
   }
 ];
 
+/**
+ * Network label and badge colors of a combined search result
+ * @param {Object} item - Search result with `network`
+ */
+const getNetworkBadge = (item) => item.network === 'ed2k'
+  ? { label: 'ED2K', className: 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' }
+  : { label: 'BitTorrent', className: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' };
+
+/**
+ * Column definitions for combined (ED2K + Prowlarr) search results
+ * Adds a network column; duplicates merged by the server are listed in the source tooltip
+ */
+export const COMBINED_RESULTS_COLUMNS = [
+  {
+    key: 'network',
+    label: 'Network',
+    sortable: true,
+    width: '100px',
+    render: (item) => {
+      const badge = getNetworkBadge(item);
+      return h('span', { className: `text-xs px-1.5 py-0.5 rounded ${badge.className}` }, badge.label);
+    }
+  },
+  {
+    key: 'fileName',
+    label: 'Title',
+    sortable: true,
+    width: 'auto',
+    render: (item) =>
+      h('div', {
+        className: 'font-medium text-xs break-words whitespace-normal',
+        style: { wordBreak: 'break-all', overflowWrap: 'anywhere' }
+      }, item.fileName)
+  },
+  {
+    key: 'indexer',
+    label: 'Source',
+    sortable: true,
+    width: '140px',
+    render: (item) => {
+      const source = h('span', { className: 'text-xs text-gray-700 dark:text-gray-300' },
+        item.network === 'ed2k' ? 'ED2K' : (item.indexer || '-'),
+        item.alsoFoundOn?.length > 0 && h('span', { className: 'text-gray-500 dark:text-gray-400' }, ` +${item.alsoFoundOn.length}`)
+      );
+      return item.alsoFoundOn?.length > 0
+        ? h(Tooltip, { content: `Also found on: ${item.alsoFoundOn.join(', ')}` }, source)
+        : source;
+    }
+  },
+  {
+    key: 'fileSize',
+    label: 'Size',
+    sortable: true,
+    width: '90px',
+    render: (item) => h('span', { className: 'text-xs' }, formatBytes(item.fileSize))
+  },
+  {
+    key: 'sourceCount',
+    label: 'Sources',
+    sortable: true,
+    width: '120px',
+    render: (item) => item.isProwlarr
+      ? h('span', { className: 'text-xs' },
+          h('span', { className: 'text-green-600 dark:text-green-400' }, `S: ${item.sourceCount || 0}`),
+          ' / ',
+          h('span', { className: 'text-orange-600 dark:text-orange-400' }, `L: ${item.leechers || 0}`)
+        )
+      : h('span', { className: 'text-xs' }, `${item.sourceCount} sources`)
+  },
+  {
+    key: 'publishDate',
+    label: 'Published',
+    sortable: true,
+    width: '160px',
+    render: (item) => {
+      if (!item.publishDate) return h('span', { className: 'text-xs text-gray-400' }, '-');
+      const date = new Date(item.publishDate);
+      return h('span', { className: 'text-xs text-gray-600 dark:text-gray-400' }, date.toLocaleString());
+    }
+  }
+];
+
 /**
  * Search results list component
  * Uses hybrid scrollable mode: desktop shows all items in scrollable table,
@@ -121,6 +224,9 @@ export const PROWLARR_RESULTS_COLUMNS = [
  * @param {function} onSortChange - Sort change handler
  * @param {Map} downloadedFiles - Map of hash → Set<instanceId> for downloaded files
  * @param {string} activeInstanceId - Currently selected client instance ID
+ * @param {Array} connectedClientIds - IDs of the connected clients results can be downloaded to
+ * @param {function} getTargetClients - Optional per-item override of activeInstanceId/connectedClientIds
+ *   (mixed ED2K and BitTorrent results go to different clients): (item) => ({ activeInstanceId, connectedClientIds })
  * @param {Set} selectedFiles - Set of selected file hashes
  * @param {function} onToggleSelection - Toggle selection handler (receives fileHash)
  * @param {number} loadedCount - Number of items currently loaded (for mobile)
@@ -133,8 +239,10 @@ export const PROWLARR_RESULTS_COLUMNS = [
  * @param {number} pageSize - Items per batch (for mobile)
  * @param {string} emptyMessage - Optional message to show when results are empty
  * @param {boolean} isProwlarr - Whether results are from Prowlarr (shows different columns)
+ * @param {boolean} isCombined - Whether results mix ED2K and Prowlarr (shows the network column)
  * @param {string} scrollHeight - Custom scroll height for the table (default: 'calc(100vh - 280px)')
  * @param {Array} customColumns - Optional custom column definitions (overrides default columns)
+ * @param {Object} historyMatches - Optional fileHash → history match, shows a "Downloaded" badge
  */
 const SearchResultsList = ({
   results,
@@ -156,41 +264,46 @@ const SearchResultsList = ({
   pageSize,
   emptyMessage = null,
   isProwlarr = false,
+  isCombined = false,
   scrollHeight,
-  customColumns = null
+  customColumns = null,
+  getTargetClients = null,
+  historyMatches = null
 }) => {
   // Select columns based on result type (use custom columns if provided)
-  const baseColumns = customColumns || (isProwlarr ? PROWLARR_RESULTS_COLUMNS : SEARCH_RESULTS_COLUMNS);
+  const baseColumns = customColumns ||
+    (isCombined ? COMBINED_RESULTS_COLUMNS : isProwlarr ? PROWLARR_RESULTS_COLUMNS : SEARCH_RESULTS_COLUMNS);
 
   // Helper: check download status for an item
-  const getDownloadStatus = useCallback((fileHash) => {
-    const instances = downloadedFiles.get(fileHash);
+  const getDownloadStatus = useCallback((item) => {
+    const instances = downloadedFiles.get(item.fileHash);
     if (!instances || instances.size === 0) return { downloaded: false, onActiveInstance: false, onAllInstances: false };
-    const onActive = activeInstanceId ? instances.has(activeInstanceId) : instances.size > 0;
-    const onAll = connectedClientIds.length > 0 && connectedClientIds.every(id => instances.has(id));
+    const target = getTargetClients ? getTargetClients(item) : { activeInstanceId, connectedClientIds };
+    const onActive = target.activeInstanceId ? instances.has(target.activeInstanceId) : instances.size > 0;
+    const onAll = target.connectedClientIds.length > 0 && target.connectedClientIds.every(id => instances.has(id));
     return { downloaded: true, onActiveInstance: onActive, onAllInstances: onAll };
-  }, [downloadedFiles, activeInstanceId, connectedClientIds]);
+  }, [downloadedFiles, activeInstanceId, connectedClientIds, getTargetClients]);
 
   // Desktop columns with selection-aware fileName render
   const columnsWithSelection = useMemo(() =>
     baseColumns.map(col =>
       col.key === 'fileName'
         ? { ...col, render: (item) => {
-            const { onAllInstances } = getDownloadStatus(item.fileHash);
+            const { onAllInstances } = getDownloadStatus(item);
             return h('div', {
               className: `font-medium text-xs break-words whitespace-normal ${onAllInstances ? '' : 'cursor-pointer hover:underline decoration-dotted'}`,
               style: { wordBreak: 'break-all', overflowWrap: 'anywhere' },
               onClick: onAllInstances ? undefined : () => onToggleSelection(item.fileHash)
-            }, item.fileName);
+            }, item.fileName, renderHistoryBadge(historyMatches?.[item.fileHash]));
           }}
         : col
     ),
-    [baseColumns, onToggleSelection, getDownloadStatus]
+    [baseColumns, onToggleSelection, getDownloadStatus, historyMatches]
   );
 
   // Mobile card renderer using MobileCardHeader
   const renderMobileCard = useCallback((item, idx) => {
-    const { downloaded, onActiveInstance, onAllInstances } = getDownloadStatus(item.fileHash);
+    const { downloaded, onActiveInstance, onAllInstances } = getDownloadStatus(item);
     const isSelected = selectedFiles.has(item.fileHash);
     return h('div', {
       className: `${getMobileCardRowClass(idx)}${isSelected ? ' !bg-purple-100 dark:!bg-purple-900/40' : ''}`
@@ -220,12 +333,16 @@ const SearchResultsList = ({
               )
             )
       },
-        // Detail row: Size and Sources/Seeders
+        // Detail row: (Network), Size and Sources/Seeders
         h('div', { className: 'flex items-center gap-1 text-xs text-gray-700 dark:text-gray-300 flex-wrap' },
+          isCombined && [
+            h('span', { key: 'network', className: `px-1.5 py-0.5 rounded ${getNetworkBadge(item).className}` }, getNetworkBadge(item).label),
+            h('span', { key: 'sep0', className: 'text-gray-400' }, '·')
+          ],
           h(Icon, { name: 'harddrive', size: 12, className: 'text-gray-500 dark:text-gray-400' }),
           h('span', { className: 'text-gray-900 dark:text-gray-100' }, formatBytes(item.fileSize)),
           h('span', { className: 'text-gray-400' }, '·'),
-          isProwlarr
+          item.isProwlarr
             ? [
                 h('span', { key: 'seeders', className: 'text-green-600 dark:text-green-400' }, `S: ${item.sourceCount || 0}`),
                 h('span', { key: 'sep', className: 'text-gray-400' }, ' / '),
@@ -236,22 +353,23 @@ const SearchResultsList = ({
                 h('span', { key: 'sources', className: 'text-gray-900 dark:text-gray-100' }, `${item.sourceCount} sources`)
               ],
           // Prowlarr-specific: indexer and category
-          isProwlarr && item.indexer && [
+          item.isProwlarr && item.indexer && [
             h('span', { key: 'sep2', className: 'text-gray-400' }, '·'),
             h('span', { key: 'indexer', className: 'px-1.5 py-0.5 rounded bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300' }, item.indexer)
           ],
-          isProwlarr && item.categories?.length > 0 && [
+          item.isProwlarr && item.categories?.length > 0 && [
             h('span', { key: 'sep3', className: 'text-gray-400' }, '·'),
             h('span', { key: 'cat', className: 'text-gray-500 dark:text-gray-400' }, item.categories[0].name)
-          ]
+          ],
+          historyMatches?.[item.fileHash] && renderHistoryBadge(historyMatches[item.fileHash])
         )
       )
     );
-  }, [getDownloadStatus, selectedFiles, onToggleSelection, isProwlarr]);
+  }, [getDownloadStatus, selectedFiles, onToggleSelection, isCombined, historyMatches]);
 
   // Desktop actions renderer — checkbox or green check icon
   const renderActions = useCallback((item) => {
-    const { downloaded, onActiveInstance, onAllInstances } = getDownloadStatus(item.fileHash);
+    const { downloaded, onActiveInstance, onAllInstances } = getDownloadStatus(item);
     if (onActiveInstance) {
       const tooltipMsg = onAllInstances ? 'Downloaded on all clients' : 'Already downloaded — click to select for another client';
       return h(Tooltip, { content: tooltipMsg, position: 'left' },
@@ -7,19 +7,41 @@
  */
 
 import React from 'https://esm.sh/react@18.2.0';
-import { SearchResultsList, SEARCH_RESULTS_COLUMNS, PROWLARR_RESULTS_COLUMNS, FilterInput, MobileSortButton, ExpandableSearch, Select, Button, Icon, SelectionModeSection, ClientIcon, MobileFilterSheet, MobileFilterPills, MobileFilterButton, LoadingSpinner, Tooltip } from './index.js';
-import { DEFAULT_SORT_CONFIG, sortFiles, calculateLoadMore, VIEW_TITLE_STYLES, makeFilterHeaderRender, createIndexerFilter } from '../../utils/index.js';
+import { SearchResultsList, SEARCH_RESULTS_COLUMNS, PROWLARR_RESULTS_COLUMNS, COMBINED_RESULTS_COLUMNS, FilterInput, MobileSortButton, ExpandableSearch, Select, Button, Icon, SelectionModeSection, ClientIcon, MobileFilterSheet, MobileFilterPills, MobileFilterButton, LoadingSpinner, Tooltip, FilterCheckboxGroup, SearchFilterPanel } from './index.js';
+import { DEFAULT_SORT_CONFIG, sortFiles, calculateLoadMore, VIEW_TITLE_STYLES, makeFilterHeaderRender, createIndexerFilter, EMPTY_SEARCH_FILTERS, SEARCH_FILE_TYPES, countSearchFilters, filterSearchResults } from '../../utils/index.js';
 import { useAppState } from '../../contexts/AppStateContext.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
 import { useSearch } from '../../contexts/SearchContext.js';
 import { useActions } from '../../contexts/ActionsContext.js';
-import { useTextFilter, useSelectionMode, usePageSelection, useBitTorrentClientSelector } from '../../hooks/index.js';
+import { useTextFilter, useSelectionMode, usePageSelection, useBitTorrentClientSelector, useSearchHistoryMatches } from '../../hooks/index.js';
 import { useStickyToolbar } from '../../contexts/StickyHeaderContext.js';
 import { useCapabilities } from '../../hooks/useCapabilities.js';
 import BitTorrentClientSelector from './BitTorrentClientSelector.js';
 
 const { createElement: h, useCallback, useMemo, useEffect, useState } = React;
 
+/**
+ * Filter pill labels of the active result filters
+ * @param {Object} filters - Result filter state
+ * @returns {Array} [{ key, label }]
+ */
+const getResultFilterPills = (filters) => {
+  const labels = {
+    minSources: () => `≥ ${filters.minSources} sources`,
+    minCompleteSources: () => `≥ ${filters.minCompleteSources} complete`,
+    minSizeMB: () => `≥ ${filters.minSizeMB} MB`,
+    maxSizeMB: () => `≤ ${filters.maxSizeMB} MB`,
+    fileType: () => SEARCH_FILE_TYPES.find(t => t.value === filters.fileType)?.label || filters.fileType,
+    include: () => `+ ${filters.include}`,
+    exclude: () => `− ${filters.exclude}`,
+    hideQueued: () => 'Not queued',
+    hideHistory: () => 'Not in history'
+  };
+  return Object.keys(EMPTY_SEARCH_FILTERS)
+    .filter(key => filters[key] !== EMPTY_SEARCH_FILTERS[key])
+    .map(key => ({ key: `filter-${key}`, label: labels[key](), icon: 'funnel' }));
+};
+
 /**
  * SearchResultsSection component
  * @param {string} title - Desktop title (e.g. "Search Results", "Previous Search Results")
@@ -51,12 +73,13 @@ const SearchResultsSection = ({
   const { hasCap } = useCapabilities();
   const canAddDownloads = hasCap('add_downloads');
 
-  // Detect if results are from Prowlarr
-  const isProwlarr = useMemo(() => results.length > 0 && results[0].isProwlarr, [results]);
-  const sortableColumns = isProwlarr ? PROWLARR_RESULTS_COLUMNS : SEARCH_RESULTS_COLUMNS;
+  // Detect if results are from Prowlarr, or a combined search (results tagged with their network)
+  const isCombined = useMemo(() => results.some(r => r.network), [results]);
+  const isProwlarr = useMemo(() => !isCombined && results.length > 0 && results[0].isProwlarr, [results, isCombined]);
+  const sortableColumns = isCombined ? COMBINED_RESULTS_COLUMNS : isProwlarr ? PROWLARR_RESULTS_COLUMNS : SEARCH_RESULTS_COLUMNS;
 
-  // BitTorrent client selector for Prowlarr results
-  const { connectedClients, showClientSelector, selectedClientId, selectedClient, selectClient, hasBitTorrentClient } = useBitTorrentClientSelector();
+  // BitTorrent client selector for Prowlarr (and combined) results
+  const { connectedClients, showClientSelector, selectedClientId, selectedClient, selectClient, hasBitTorrentClient, allowAuto, isAuto } = useBitTorrentClientSelector({ allowAuto: true });
 
   // Indexer filter (for Prowlarr results only)
   const [indexerFilter, setIndexerFilter] = useState('all');
@@ -69,6 +92,19 @@ const SearchResultsSection = ({
   const [mobileIndexerFilters, setMobileIndexerFilters] = useState([]);
   const [pendingIndexerFilters, setPendingIndexerFilters] = useState([]);
 
+  // Result filters (sources, size, type, patterns, queued/history) - kept across searches
+  const [resultFilters, setResultFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [pendingResultFilters, setPendingResultFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [showFilterPanel, setShowFilterPanel] = useState(false);
+  const resultFilterCount = countSearchFilters(resultFilters);
+
+  // History entries of the results (for "Downloaded" badges and the history filter)
+  const canViewHistory = hasCap('view_history');
+  const historyMatches = useSearchHistoryMatches(results, canViewHistory);
+
+  // Complete sources are only known for some ED2K results
+  const showCompleteSources = useMemo(() => results.some(r => typeof r.completeSourceCount === 'number'), [results]);
+
   // Extract unique indexers from Prowlarr results
   const indexerOptions = useMemo(() => {
     if (!isProwlarr) return [];
@@ -98,6 +134,12 @@ const SearchResultsSection = ({
     return results.filter(r => r.indexer === indexerFilter);
   }, [results, isProwlarr, indexerFilter, mobileIndexerFilters]);
 
+  // Apply the result filters on top of the indexer filter
+  const panelFilteredResults = useMemo(() =>
+    filterSearchResults(indexerFilteredResults, resultFilters, { downloadedFiles: dataDownloadedFiles, historyMatches }),
+    [indexerFilteredResults, resultFilters, dataDownloadedFiles, historyMatches]
+  );
+
   // Reset indexer filter when results change
   useEffect(() => {
     setIndexerFilter('all');
@@ -108,17 +150,30 @@ const SearchResultsSection = ({
   // Mobile filter sheet handlers
   const handleFilterSheetOpen = useCallback(() => {
     setPendingIndexerFilters([...mobileIndexerFilters]);
+    setPendingResultFilters(resultFilters);
     setShowFilterSheet(true);
-  }, [mobileIndexerFilters]);
+  }, [mobileIndexerFilters, resultFilters]);
 
   const handleFilterSheetApply = useCallback(() => {
     setMobileIndexerFilters(pendingIndexerFilters);
+    setResultFilters(pendingResultFilters);
     setShowFilterSheet(false);
     setAppPage(0);
-  }, [pendingIndexerFilters, setAppPage]);
+  }, [pendingIndexerFilters, pendingResultFilters, setAppPage]);
 
   const handleFilterSheetClear = useCallback(() => {
     setPendingIndexerFilters([]);
+    setPendingResultFilters(EMPTY_SEARCH_FILTERS);
+  }, []);
+
+  // Desktop panel applies changes right away
+  const handleResultFilterChange = useCallback((field, value) => {
+    setResultFilters(prev => ({ ...prev, [field]: value }));
+    setAppPage(0);
+  }, [setAppPage]);
+
+  const handlePendingResultFilterChange = useCallback((field, value) => {
+    setPendingResultFilters(prev => ({ ...prev, [field]: value }));
   }, []);
 
   const togglePendingFilter = useCallback((filterValue) => {
@@ -139,8 +194,8 @@ const SearchResultsSection = ({
       const label = f.slice(8); // Remove 'indexer:' prefix
       pills.push({ key: `mobile-${f}`, label, icon: 'server' });
     });
-    return pills;
-  }, [indexerFilter, mobileIndexerFilters]);
+    return [...pills, ...getResultFilterPills(resultFilters)];
+  }, [indexerFilter, mobileIndexerFilters, resultFilters]);
 
   const handleRemoveFilterPill = useCallback((key) => {
     if (key === 'indexer') {
@@ -150,6 +205,10 @@ const SearchResultsSection = ({
       const filterVal = key.slice(7);
       setMobileIndexerFilters(prev => prev.filter(f => f !== filterVal));
       setAppPage(0);
+    } else if (key.startsWith('filter-')) {
+      const field = key.slice(7);
+      setResultFilters(prev => ({ ...prev, [field]: EMPTY_SEARCH_FILTERS[field] }));
+      setAppPage(0);
     }
   }, [setAppPage]);
 
@@ -160,8 +219,8 @@ const SearchResultsSection = ({
   // Reset loaded handler for filter changes
   const resetLoaded = useCallback(() => setAppPage(0), [setAppPage]);
 
-  // Text filter for results (uses indexer-filtered results for Prowlarr)
-  const { filteredItems: filteredResults, filterText, setFilterText, clearFilter } = useTextFilter(indexerFilteredResults, 'fileName', { onFilterChange: resetLoaded });
+  // Text filter for results (on top of the indexer and result filters)
+  const { filteredItems: filteredResults, filterText, setFilterText, clearFilter } = useTextFilter(panelFilteredResults, 'fileName', { onFilterChange: resetLoaded });
 
   // Sort change handler
   const handleSortChange = useCallback((newSortBy, newSortDirection) => {
@@ -228,22 +287,50 @@ const SearchResultsSection = ({
     });
   }, [isProwlarr, indexerFilter, indexerOptions, resetLoaded]);
 
-  // Count of downloadable (not already downloaded on the selected client) selected items
-  const activeInstanceId = isProwlarr ? selectedClientId : (searchInstanceId || 'amule');
-  const downloadableCount = useMemo(() =>
+  // Client a result is downloaded to: torrents go to the selected BitTorrent client, ED2K files to aMule
+  // With "Auto" any BitTorrent instance may get the torrent (null = downloaded on any instance counts)
+  const amuleInstanceId = searchInstanceId || 'amule';
+  const btInstanceId = isAuto ? null : selectedClientId;
+  const activeInstanceId = isProwlarr ? btInstanceId : amuleInstanceId;
+  const getTargetInstanceId = useCallback((item) =>
+    item?.isProwlarr ? btInstanceId : amuleInstanceId,
+    [btInstanceId, amuleInstanceId]
+  );
+
+  // Per-item targets for combined results (passed to SearchResultsList for the downloaded checkmarks)
+  const connectedClientIdList = useMemo(() => connectedClients.map(c => c.id), [connectedClients]);
+  const getTargetClients = useCallback((item) => item.isProwlarr
+    ? { activeInstanceId: btInstanceId, connectedClientIds: connectedClientIdList }
+    : { activeInstanceId: amuleInstanceId, connectedClientIds: [amuleInstanceId] },
+    [btInstanceId, connectedClientIdList, amuleInstanceId]
+  );
+
+  const resultsByHash = useMemo(() => new Map(results.map(r => [r.fileHash, r])), [results]);
+
+  // Selected items not already downloaded on their target client
+  const getDownloadableHashes = useCallback(() =>
     Array.from(selectedFiles).filter(hash => {
       const instances = dataDownloadedFiles.get(hash);
-      return !instances || !activeInstanceId || !instances.has(activeInstanceId);
-    }).length,
-    [selectedFiles, dataDownloadedFiles, activeInstanceId]
+      const item = resultsByHash.get(hash);
+      if (instances && item?.isProwlarr && isAuto) return instances.size === 0;
+      const targetId = getTargetInstanceId(item);
+      return !instances || !targetId || !instances.has(targetId);
+    }),
+    [selectedFiles, dataDownloadedFiles, getTargetInstanceId, resultsByHash, isAuto]
   );
 
-  // Batch download handler — handles both aMule and Prowlarr results
+  // Count of downloadable (not already downloaded on the selected client) selected items
+  const downloadableCount = useMemo(() => getDownloadableHashes().length, [getDownloadableHashes]);
+
+  // Whether the selection contains torrents (they need a connected BitTorrent client)
+  const selectionNeedsBitTorrent = useMemo(() =>
+    isProwlarr || (isCombined && Array.from(selectedFiles).some(hash => resultsByHash.get(hash)?.isProwlarr)),
+    [isProwlarr, isCombined, selectedFiles, resultsByHash]
+  );
+
+  // Batch download handler — handles aMule and Prowlarr results (also mixed in one selection)
   const handleBatchDownload = useCallback(async () => {
-    const toDownload = Array.from(selectedFiles).filter(hash => {
-      const instances = dataDownloadedFiles.get(hash);
-      return !instances || !activeInstanceId || !instances.has(activeInstanceId);
-    });
+    const toDownload = getDownloadableHashes();
     if (toDownload.length === 0) {
       clearAllSelections();
       return;
@@ -253,7 +340,7 @@ const SearchResultsSection = ({
 
     try {
       // Find full items from results to check if they're Prowlarr items
-      const itemsToDownload = toDownload.map(hash => results.find(r => r.fileHash === hash)).filter(Boolean);
+      const itemsToDownload = toDownload.map(hash => resultsByHash.get(hash)).filter(Boolean);
       const prowlarrItems = itemsToDownload.filter(item => item.isProwlarr);
       const amuleHashes = itemsToDownload.filter(item => !item.isProwlarr).map(item => item.fileHash);
 
@@ -266,14 +353,14 @@ const SearchResultsSection = ({
       // API returns the real info hash — store GUID for UI checkmark and
       // record realHash → GUID alias so delete handler can remove both
       let prowlarrSuccessCount = 0;
-      const prowlarrGuids = [];
+      const prowlarrAdded = [];
       for (const item of prowlarrItems) {
         const result = await actions.search.addProwlarrTorrent(item, searchDownloadCategory, selectedClientId, selectedClient?.type);
         if (result) {
           prowlarrSuccessCount++;
-          prowlarrGuids.push(item.fileHash);
-          if (typeof result === 'string') {
-            downloadedAliasRef.current.set(result, item.fileHash);
+          prowlarrAdded.push({ guid: item.fileHash, instanceId: result.instanceId });
+          if (result.hash) {
+            downloadedAliasRef.current.set(result.hash, item.fileHash);
           }
         }
       }
@@ -281,10 +368,10 @@ const SearchResultsSection = ({
       if (prowlarrSuccessCount > 0) {
         setDataDownloadedFiles(prev => {
           const next = new Map(prev);
-          prowlarrGuids.forEach(h => {
-            const instances = next.get(h) || new Set();
-            instances.add(selectedClientId || 'unknown');
-            next.set(h, instances);
+          prowlarrAdded.forEach(({ guid, instanceId }) => {
+            const instances = next.get(guid) || new Set();
+            instances.add(instanceId || 'unknown');
+            next.set(guid, instances);
           });
           return next;
         });
@@ -295,7 +382,7 @@ const SearchResultsSection = ({
     } finally {
       setDownloading(false);
     }
-  }, [selectedFiles, dataDownloadedFiles, setDataDownloadedFiles, results, actions, searchDownloadCategory, selectedClientId, clearAllSelections, addAppSuccess]);
+  }, [getDownloadableHashes, setDataDownloadedFiles, resultsByHash, actions, searchDownloadCategory, selectedClientId, selectedClient, clearAllSelections, addAppSuccess]);
 
   // Clear selection when results change (navigating between cached/live results)
   useEffect(() => { clearAllSelections(); }, [results]);
@@ -303,15 +390,16 @@ const SearchResultsSection = ({
   // ============================================================================
   // MOBILE HEADER CONTENT (shared between sticky toolbar and in-page header)
   // ============================================================================
-  // Determine client type for icon (only show if results exist)
-  const clientType = isProwlarr ? 'prowlarr' : 'amule';
+  // Determine client type for icon (only show if results exist and come from one network)
+  const clientType = isCombined ? null : isProwlarr ? 'prowlarr' : 'amule';
 
-  // Show filter button only for Prowlarr with multiple indexers
-  const showMobileFilterButton = isProwlarr && indexerOptions.length > 2;
+  // Filter button whenever there are results; the indexer group only for Prowlarr with multiple indexers
+  const showMobileFilterButton = results.length > 0;
+  const showIndexerFilter = isProwlarr && indexerOptions.length > 2;
 
   const mobileHeaderContent = useMemo(() =>
     h('div', { className: 'flex items-center gap-2' },
-      results.length > 0 && h(ClientIcon, { client: clientType, size: 18 }),
+      results.length > 0 && clientType && h(ClientIcon, { client: clientType, size: 18 }),
       h('h2', { className: VIEW_TITLE_STYLES.mobile }, mobileTitle),
       h('span', { className: 'text-sm text-gray-500 dark:text-gray-400' }, `(${filteredResults.length})`),
       h('div', { className: 'flex-1' }),
@@ -347,7 +435,7 @@ const SearchResultsSection = ({
       showMobileFilterButton && h('div', { className: 'flex items-center gap-2 py-2 overflow-x-auto', style: { scrollbarWidth: 'none' } },
         h(MobileFilterButton, {
           onClick: handleFilterSheetOpen,
-          activeCount: mobileIndexerFilters.length
+          activeCount: mobileIndexerFilters.length + resultFilterCount
         }),
         h(MobileFilterPills, {
           filters: activeFilterPills,
@@ -360,11 +448,18 @@ const SearchResultsSection = ({
     // Desktop header
     h('div', { className: 'hidden xl:flex items-center justify-between gap-2 mb-2' },
       h('div', { className: 'flex items-center gap-3' },
-        results.length > 0 && h(ClientIcon, { client: clientType, size: 20 }),
+        results.length > 0 && clientType && h(ClientIcon, { client: clientType, size: 20 }),
         h('h2', { className: VIEW_TITLE_STYLES.desktop }, title),
         h('span', { className: 'text-sm text-gray-500 dark:text-gray-400' }, `(${filteredResults.length})`)
       ),
       h('div', { className: 'flex items-center gap-2' },
+        results.length > 0 && h(Button, {
+          variant: resultFilterCount > 0 ? 'primary' : 'secondary',
+          icon: 'funnel',
+          iconSize: 14,
+          onClick: () => setShowFilterPanel(prev => !prev),
+          title: 'Filter by sources, size, file type or name pattern'
+        }, resultFilterCount > 0 ? `Filters (${resultFilterCount})` : 'Filters'),
         results.length > 0 && h(FilterInput, {
           value: filterText,
           onChange: setFilterText,
@@ -376,6 +471,24 @@ const SearchResultsSection = ({
       )
     ),
 
+    // Desktop result filter panel
+    showFilterPanel && results.length > 0 && h('div', {
+      className: 'hidden xl:block mb-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50'
+    },
+      h(SearchFilterPanel, {
+        filters: resultFilters,
+        onChange: handleResultFilterChange,
+        showCompleteSources,
+        showHistory: canViewHistory
+      }),
+      resultFilterCount > 0 && h('div', { className: 'flex justify-end mt-2' },
+        h('button', {
+          onClick: () => { setResultFilters(EMPTY_SEARCH_FILTERS); resetLoaded(); },
+          className: 'text-xs text-blue-600 dark:text-blue-400 hover:underline'
+        }, 'Clear filters')
+      )
+    ),
+
     // Search results list with checkboxes
     // Hybrid scrollable mode: desktop shows all items, mobile uses load-more
     h(SearchResultsList, {
@@ -385,7 +498,8 @@ const SearchResultsSection = ({
       onSortChange: handleSortChange,
       downloadedFiles: dataDownloadedFiles,
       activeInstanceId,
-      connectedClientIds: isProwlarr ? connectedClients.map(c => c.id) : [activeInstanceId],
+      connectedClientIds: isProwlarr ? connectedClientIdList : [activeInstanceId],
+      getTargetClients: isCombined ? getTargetClients : null,
       selectedFiles,
       onToggleSelection: toggleFileSelection,
       // Load-more props for mobile in hybrid scrollable mode
@@ -397,11 +511,13 @@ const SearchResultsSection = ({
       onLoadAll: loadAll,
       resetLoaded,
       pageSize: appPageSize,
-      emptyMessage: filterText ? filterEmptyMessage : emptyMessage,
+      emptyMessage: filterText || resultFilterCount > 0 ? filterEmptyMessage : emptyMessage,
       isProwlarr,
+      isCombined,
       scrollHeight,
       // Custom columns with indexer filter dropdown (for Prowlarr)
-      customColumns: columnsWithIndexerFilter
+      customColumns: columnsWithIndexerFilter,
+      historyMatches
     }),
 
     // Selection mode footer with dynamic spacer
@@ -417,14 +533,15 @@ const SearchResultsSection = ({
       onSelectAll: handleSelectAll,
       onClearAll: clearAllSelections
     },
-      // Show BitTorrent client selector for Prowlarr results when 2+ clients are connected
-      isProwlarr && canAddDownloads && h(BitTorrentClientSelector, {
+      // Show BitTorrent client selector for Prowlarr/combined results when 2+ clients are connected
+      (isProwlarr || isCombined) && canAddDownloads && h(BitTorrentClientSelector, {
         connectedClients,
         selectedClientId,
         onSelectClient: selectClient,
         showSelector: showClientSelector,
         label: null,
-        variant: connectedClients.length >= 4 ? 'dropdown' : 'buttons'
+        variant: connectedClients.length >= 4 ? 'dropdown' : 'buttons',
+        allowAuto
       }),
       canAddDownloads && h(Select, {
         value: searchDownloadCategory,
@@ -433,9 +550,9 @@ const SearchResultsSection = ({
         title: 'Select category for downloads'
       }),
       canAddDownloads && (() => {
-        const isDisabled = downloadableCount === 0 || downloading || (isProwlarr && !hasBitTorrentClient);
+        const isDisabled = downloadableCount === 0 || downloading || (selectionNeedsBitTorrent && !hasBitTorrentClient);
         const disabledReason = !downloading && isDisabled
-          ? (isProwlarr && !hasBitTorrentClient ? 'No BitTorrent client connected' : downloadableCount === 0 && selectedFiles.size > 0 ? 'Already downloaded on the selected client' : null)
+          ? (selectionNeedsBitTorrent && !hasBitTorrentClient ? 'No BitTorrent client connected' : downloadableCount === 0 && selectedFiles.size > 0 ? 'Already downloaded on the selected client' : null)
           : null;
         const btn = h(Button, {
           variant: 'success',
@@ -455,21 +572,30 @@ const SearchResultsSection = ({
       })()
     ),
 
-    // Mobile filter sheet for indexer selection (Prowlarr only)
-    showMobileFilterButton && h(MobileFilterSheet, {
-      show: showFilterSheet,
-      onClose: () => setShowFilterSheet(false),
-      onApply: handleFilterSheetApply,
-      onClear: handleFilterSheetClear,
-      filterGroups: [
-        createIndexerFilter({
-          indexerOptions,
-          selectedValues: pendingIndexerFilters,
-          onToggle: togglePendingFilter,
-          show: true
-        })
-      ].filter(Boolean)
-    })
+    // Mobile filter sheet: result filters, plus indexer selection (Prowlarr only)
+    showMobileFilterButton && (() => {
+      const indexerGroup = createIndexerFilter({
+        indexerOptions,
+        selectedValues: pendingIndexerFilters,
+        onToggle: togglePendingFilter,
+        show: showIndexerFilter
+      });
+      return h(MobileFilterSheet, {
+        show: showFilterSheet,
+        onClose: () => setShowFilterSheet(false),
+        onApply: handleFilterSheetApply,
+        onClear: handleFilterSheetClear
+      },
+        h(SearchFilterPanel, {
+          filters: pendingResultFilters,
+          onChange: handlePendingResultFilterChange,
+          showCompleteSources,
+          showHistory: canViewHistory,
+          compact: true
+        }),
+        indexerGroup && h(FilterCheckboxGroup, { ...indexerGroup, className: 'mt-4' })
+      );
+    })()
   );
 };
 
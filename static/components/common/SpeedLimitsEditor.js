@@ -0,0 +1,148 @@
+/**
+ * SpeedLimitsEditor Component
+ *
+ * Download/upload rate limit inputs backed by the REST v1 limits endpoints.
+ * Edits global instance limits (no fileHash) or a single item's limits.
+ * Used by FileInfoModal and ClientInstanceCard.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Input } from './FormControls.js';
+import LoadingSpinner from './LoadingSpinner.js';
+
+const { createElement: h, useState, useEffect, useCallback } = React;
+
+// Inputs are in KB/s, the API works in bytes/s
+const toKB = (bytes) => (bytes > 0 ? String(Math.round(bytes / 1024)) : '');
+const toBytes = (kb) => {
+  const n = parseInt(kb, 10);
+  return Number.isFinite(n) && n > 0 ? n * 1024 : 0;
+};
+
+/**
+ * @param {string} instanceId - Client instance ID
+ * @param {string|null} fileHash - Item hash for per-item limits (null = global limits)
+ * @param {string} fileName - Item name (included in batch results)
+ * @param {boolean} canEdit - Whether the Save button is shown
+ */
+const SpeedLimitsEditor = ({ instanceId, fileHash = null, fileName, canEdit = true }) => {
+  const [downloadKB, setDownloadKB] = useState('');
+  const [uploadKB, setUploadKB] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const applyLimits = useCallback((data) => {
+    setDownloadKB(toKB(data.downloadLimit));
+    setUploadKB(toKB(data.uploadLimit));
+  }, []);
+
+  // Load current limits when the target changes
+  useEffect(() => {
+    if (!instanceId) return;
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const url = fileHash
+          ? `/api/v1/downloads/limits?instanceId=${encodeURIComponent(instanceId)}&fileHash=${encodeURIComponent(fileHash)}`
+          : `/api/v1/clients/${encodeURIComponent(instanceId)}/limits`;
+        const res = await fetch(url);
+        const data = await res.json();
+        if (cancelled) return;
+        if (data.type === 'error' || data.success === false) {
+          setError(data.message || data.error || 'Failed to load limits');
+        } else {
+          applyLimits(data);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [instanceId, fileHash, applyLimits]);
+
+  // Clear saved indicator after a moment
+  useEffect(() => {
+    if (!saved) return;
+    const t = setTimeout(() => setSaved(false), 3000);
+    return () => clearTimeout(t);
+  }, [saved]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const limits = { downloadLimit: toBytes(downloadKB), uploadLimit: toBytes(uploadKB) };
+      const res = fileHash
+        ? await fetch('/api/v1/downloads/limits', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items: [{ fileHash, instanceId, fileName }], ...limits })
+          })
+        : await fetch(`/api/v1/clients/${encodeURIComponent(instanceId)}/limits`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(limits)
+          });
+      const data = await res.json();
+      const result = data.results?.[0];
+      if (data.type === 'error' || data.success === false) {
+        setError(data.message || data.error || 'Failed to save limits');
+      } else if (result && !result.success) {
+        setError(result.error || 'Failed to save limits');
+      } else {
+        if (result && result.downloadLimit !== undefined) applyLimits(result);
+        setSaved(true);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return h('div', { className: 'flex items-center justify-center py-3' },
+      h(LoadingSpinner, { size: 'sm' })
+    );
+  }
+
+  const field = (label, value, setValue) =>
+    h('label', { className: 'flex-1 min-w-[8rem]' },
+      h('span', { className: 'block text-xs text-gray-500 dark:text-gray-400 mb-1' }, label),
+      h(Input, {
+        type: 'number',
+        min: 0,
+        value,
+        onChange: (e) => setValue(e.target.value),
+        placeholder: 'Unlimited',
+        disabled: !canEdit || saving,
+        className: 'w-full'
+      })
+    );
+
+  return h('div', { className: 'space-y-2' },
+    h('div', { className: 'flex flex-wrap items-end gap-2' },
+      field('Download (KB/s)', downloadKB, setDownloadKB),
+      field('Upload (KB/s)', uploadKB, setUploadKB),
+      canEdit && h(Button, {
+        variant: 'primary',
+        onClick: handleSave,
+        disabled: saving
+      }, saving ? 'Saving...' : 'Save')
+    ),
+    error && h('p', { className: 'text-xs text-red-600 dark:text-red-400' }, error),
+    saved && h('p', { className: 'text-xs text-green-600 dark:text-green-400' }, 'Limits saved'),
+    !error && !saved && h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' }, 'Leave empty or 0 for unlimited')
+  );
+};
+
+export default SpeedLimitsEditor;
@@ -0,0 +1,53 @@
+/**
+ * SpeedProfileBadge Component
+ *
+ * Compact indicator for the active bandwidth schedule profile.
+ * Tooltip shows the profile limits and the next scheduled switch.
+ * Used by Header (mobile) and Footer (desktop).
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import Icon from './Icon.js';
+import Tooltip from './Tooltip.js';
+import { formatSpeed } from '../../utils/index.js';
+
+const { createElement: h } = React;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatLimit = (bytes) => (bytes > 0 ? formatSpeed(bytes) : 'Unlimited');
+
+const formatNextChange = (ts) => {
+  const d = new Date(ts);
+  return `${DAY_NAMES[d.getDay()]} ${String(d.getHours()).padStart(2, '0')}:00`;
+};
+
+/**
+ * @param {Object|null} profile - { name, downloadLimit, uploadLimit, next: { profile, at } | null }
+ * @param {string} position - Tooltip position
+ * @param {string} className - Additional classes for the badge
+ */
+const SpeedProfileBadge = ({ profile, position = 'top', className = '' }) => {
+  if (!profile) return null;
+
+  return h(Tooltip, {
+    content: h('div', { className: 'space-y-1' },
+      h('div', { className: 'font-semibold mb-1' }, `Speed Profile: ${profile.name}`),
+      h('div', {}, `Download: ${formatLimit(profile.downloadLimit)}`),
+      h('div', {}, `Upload: ${formatLimit(profile.uploadLimit)}`),
+      profile.next && h('div', { className: 'pt-1 text-gray-300' },
+        `Next: ${profile.next.profile} at ${formatNextChange(profile.next.at)}`
+      )
+    ),
+    position
+  },
+    h('div', {
+      className: `flex items-center gap-1 px-1.5 py-0.5 rounded bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 text-xs font-medium cursor-help ${className}`
+    },
+      h(Icon, { name: 'clock', size: 14 }),
+      h('span', { className: 'truncate max-w-[80px]' }, profile.name)
+    )
+  );
+};
+
+export default SpeedProfileBadge;
@@ -22,8 +22,9 @@ export { default as BitTorrentClientSelector } from './BitTorrentClientSelector.
 export { default as AmuleInstanceSelector } from './AmuleInstanceSelector.js';
 export { PaginationControls } from './PaginationControls.js';
 export { default as LoadMoreButton } from './LoadMoreButton.js';
-export { default as SearchResultsList, SEARCH_RESULTS_COLUMNS, PROWLARR_RESULTS_COLUMNS } from './SearchResultsList.js';
+export { default as SearchResultsList, SEARCH_RESULTS_COLUMNS, PROWLARR_RESULTS_COLUMNS, COMBINED_RESULTS_COLUMNS } from './SearchResultsList.js';
 export { default as SearchResultsSection } from './SearchResultsSection.js';
+export { default as SearchFilterPanel } from './SearchFilterPanel.js';
 export { default as StatCard } from './StatCard.js';
 export { default as FilterInput } from './FilterInput.js';
 export { default as ContextMenu, useContextMenu, MoreButton } from './ContextMenu.js';
@@ -48,3 +49,5 @@ export { default as SelectionCheckbox } from './SelectionCheckbox.js';
 export { default as SelectionModeSection } from './SelectionModeSection.js';
 export { default as ColumnConfigModal } from './ColumnConfigModal.js';
 export { default as PathPicker } from './PathPicker.js';
+export { default as SpeedLimitsEditor } from './SpeedLimitsEditor.js';
+export { default as SpeedProfileBadge } from './SpeedProfileBadge.js';
@@ -3,7 +3,7 @@
  *
  * Compact speed chart with current speeds and network status for mobile view
  * Shows 24h speed history with simplified data points for performance
- * Supports switching between aMule and BitTorrent (rTorrent + qBittorrent) when both are active
+ * Supports switching between aMule, BitTorrent and Usenet when several are active
  * Multi-instance mode: per-instance network status dots with instance names
  */
 
@@ -17,11 +17,18 @@ import { useStaticData } from '../../contexts/StaticDataContext.js';
 
 const { createElement: h, useEffect, useRef, useState } = React;
 
+// Network types selectable in the toggle (shown only when connected)
+const NETWORK_TOGGLES = [
+  { networkType: 'ed2k', title: 'Show aMule' },
+  { networkType: 'bittorrent', title: 'Show BitTorrent' },
+  { networkType: 'usenet', title: 'Show Usenet' }
+];
+
 /**
  * Downsample data for mobile performance
  * 288 points = 1 data point every 5 minutes for 24 hours
  * @param {Array} data - Original data array
- * @param {string} networkType - 'ed2k' or 'bittorrent'
+ * @param {string} networkType - 'ed2k', 'bittorrent' or 'usenet'
  * @param {number} targetPoints - Target number of data points
  * @returns {Array} Downsampled data
  */
@@ -112,25 +119,24 @@ const MobileSpeedWidget = ({ speedData, stats, theme }) => {
   });
 
   // Get client connection status from context
-  const { ed2kConnected, bittorrentConnected } = useClientFilter();
+  const { ed2kConnected, bittorrentConnected, usenetConnected } = useClientFilter();
   const { instances } = useStaticData();
 
-  // Show toggle when both aMule and BitTorrent clients are connected
-  const showBothClients = ed2kConnected && bittorrentConnected;
+  // Show toggle when 2+ network types (aMule, BitTorrent, Usenet) are connected
+  const connectedNetworks = NETWORK_TOGGLES
+    .filter(({ networkType }) => ({ ed2k: ed2kConnected, bittorrent: bittorrentConnected, usenet: usenetConnected })[networkType]);
+  const showNetworkToggle = connectedNetworks.length >= 2;
 
-  // State for selected network type (when both are available)
+  // State for selected network type (when several are available)
   const [selectedNetwork, setSelectedNetwork] = useState('ed2k');
 
-  // Auto-select the available network when only one is connected
+  // Fall back to the first connected network when the selected one is not available
+  const connectedKey = connectedNetworks.map(n => n.networkType).join(',');
   useEffect(() => {
-    if (!showBothClients) {
-      if (ed2kConnected) {
-        setSelectedNetwork('ed2k');
-      } else if (bittorrentConnected) {
-        setSelectedNetwork('bittorrent');
-      }
+    if (connectedNetworks.length > 0 && !connectedNetworks.some(n => n.networkType === selectedNetwork)) {
+      setSelectedNetwork(connectedNetworks[0].networkType);
     }
-  }, [showBothClients, ed2kConnected, bittorrentConnected]);
+  }, [connectedKey, selectedNetwork]); // eslint-disable-line react-hooks/exhaustive-deps
 
   // Load Chart.js library on mount
   useEffect(() => {
@@ -302,7 +308,7 @@ const MobileSpeedWidget = ({ speedData, stats, theme }) => {
       );
     }
   } else {
-    // BitTorrent: per-instance status
+    // BitTorrent / Usenet: per-instance status
     networkStatus = h(React.Fragment, null,
       ...tabInstances.map(inst => {
         const ns = inst.networkStatus;
@@ -332,23 +338,19 @@ const MobileSpeedWidget = ({ speedData, stats, theme }) => {
   }
 
   // Network toggle button component
-  const networkToggle = showBothClients && h('div', {
+  const networkToggle = showNetworkToggle && h('div', {
     className: 'absolute top-2 left-2 z-10 flex rounded-md overflow-hidden border border-gray-300 dark:border-gray-600'
   },
-    h('button', {
-      onClick: () => setSelectedNetwork('ed2k'),
-      className: `p-1.5 ${selectedNetwork === 'ed2k'
-        ? 'bg-blue-100 dark:bg-blue-900/50'
-        : 'bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700'}`,
-      title: 'Show aMule'
-    }, h(ClientIcon, { clientType: 'ed2k', size: 16 })),
-    h('button', {
-      onClick: () => setSelectedNetwork('bittorrent'),
-      className: `p-1.5 border-l border-gray-300 dark:border-gray-600 ${selectedNetwork === 'bittorrent'
-        ? 'bg-blue-100 dark:bg-blue-900/50'
-        : 'bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700'}`,
-      title: 'Show BitTorrent'
-    }, h(ClientIcon, { clientType: 'bittorrent', size: 16 }))
+    connectedNetworks.map(({ networkType, title }, i) =>
+      h('button', {
+        key: networkType,
+        onClick: () => setSelectedNetwork(networkType),
+        className: `p-1.5 ${i > 0 ? 'border-l border-gray-300 dark:border-gray-600 ' : ''}${selectedNetwork === networkType
+          ? 'bg-blue-100 dark:bg-blue-900/50'
+          : 'bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700'}`,
+        title
+      }, h(ClientIcon, { clientType: networkType, size: 16 }))
+    )
   );
 
   // Determine displayed speeds: hovered historical point or live current
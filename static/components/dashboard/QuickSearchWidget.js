@@ -12,7 +12,7 @@ const { createElement: h } = React;
 
 /**
  * QuickSearchWidget component
- * @param {string} searchType - Current search type ('global', 'local', 'kad')
+ * @param {string} searchType - Current search type ('global', 'local', 'kad', 'prowlarr', 'combined')
  * @param {function} onSearchTypeChange - Search type change handler
  * @param {string} searchQuery - Current search query
  * @param {function} onSearchQueryChange - Search query change handler
@@ -53,11 +53,13 @@ const QuickSearchWidget = ({
   // Search types with availability based on client status
   // - ED2K and Kad require aMule to be connected
   // - Prowlarr requires prowlarr enabled AND any BitTorrent client connected
+  // - All (ED2K server + Prowlarr in one list) requires both
   const searchTypes = [
     { value: 'global', label: 'ED2K Server', icon: '/static/logo-brax.png', disabled: !amuleConnected },
     // { value: 'local', label: 'Local', icon: '/static/logo-brax.png', disabled: !amuleConnected }, // Hidden temporarily
     { value: 'kad', label: 'Kad', icon: '/static/logo-brax.png', disabled: !amuleConnected },
-    { value: 'prowlarr', label: 'Prowlarr', icon: '/static/prowlarr.svg', disabled: !prowlarrEnabled || !bittorrentConnected }
+    { value: 'prowlarr', label: 'Prowlarr', icon: '/static/prowlarr.svg', disabled: !prowlarrEnabled || !bittorrentConnected },
+    { value: 'combined', label: 'All', emoji: '🌐', disabled: !amuleConnected || !prowlarrEnabled || !bittorrentConnected }
   ];
 
   const selectedTypeDisabled = searchTypes.find(t => t.value === searchType)?.disabled;
@@ -114,8 +116,8 @@ const QuickSearchWidget = ({
           className: 'flex-1 min-w-0'
         }),
 
-        // Instance selector (only when multi-aMule + ED2K/Kad type)
-        (searchType === 'global' || searchType === 'kad') && h(AmuleInstanceSelector, {
+        // Instance selector (only when multi-aMule + a type that searches ED2K/Kad)
+        (searchType === 'global' || searchType === 'kad' || searchType === 'combined') && h(AmuleInstanceSelector, {
           connectedInstances: amuleInstances,
           selectedId: searchInstanceId,
           onSelect: onSearchInstanceChange,
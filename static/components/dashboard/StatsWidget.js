@@ -3,7 +3,7 @@
  *
  * Displays statistics in a grid of stat cards for a configurable time range
  * Can optionally show/hide peak speeds
- * Shows per-network-type breakdown when both network types are active
+ * Shows per-network-type breakdown when 2+ network types are active
  */
 
 import React from 'https://esm.sh/react@18.2.0';
@@ -31,77 +31,59 @@ const StatCardSkeleton = ({ compact = false }) => {
 /**
  * Helper component for displaying per-network-type breakdown values
  * Desktop (xl+): icon value · icon value (inline with dot separator)
- * Tablet/Mobile (<xl): icon value (two lines)
- * Compact mode: always two lines with smaller text
- * Shows ED2K vs BitTorrent (aggregated rtorrent + qbittorrent)
+ * Tablet/Mobile (<xl): icon value (one line per network)
+ * Compact mode: always one line per network with smaller text
+ * Shows ED2K vs BitTorrent (aggregated rtorrent + qbittorrent) vs Usenet (download cards only)
  */
-const ClientBreakdownValue = ({ ed2kValue, bittorrentValue, showClientIcons, showEd2k, showBittorrent, compact = false, formatter = (v) => v }) => {
+const ClientBreakdownValue = ({ ed2kValue, bittorrentValue, usenetValue = 0, showClientIcons, showEd2k, showBittorrent, showUsenet = false, compact = false, formatter = (v) => v }) => {
   if (!showClientIcons) {
     // Only one client configured - show plain value
-    return h('span', null, formatter(ed2kValue + bittorrentValue));
+    return h('span', null, formatter(ed2kValue + bittorrentValue + usenetValue));
   }
 
-  // Compact mode (mobile dashboard): always two lines with smaller text
+  const parts = [
+    ['ed2k', showEd2k, ed2kValue],
+    ['bittorrent', showBittorrent, bittorrentValue],
+    ['usenet', showUsenet, usenetValue]
+  ].filter(([, show]) => show);
+
+  const renderPart = ([networkType, , value], iconSize) =>
+    h('span', { key: networkType, className: 'flex items-center gap-1' },
+      h(ClientIcon, { clientType: networkType, size: iconSize }),
+      h('span', null, formatter(value))
+    );
+
+  // Compact mode (mobile dashboard): always one line per network with smaller text
   if (compact) {
     return h('div', { className: 'flex flex-col gap-0.5 text-xs' },
-      showEd2k && h('span', { key: 'ed2k', className: 'flex items-center gap-1' },
-        h(ClientIcon, { clientType: 'ed2k', size: 12 }),
-        h('span', null, formatter(ed2kValue))
-      ),
-      showBittorrent && h('span', { key: 'bittorrent', className: 'flex items-center gap-1' },
-        h(ClientIcon, { clientType: 'bittorrent', size: 12 }),
-        h('span', null, formatter(bittorrentValue))
-      )
+      parts.map(part => renderPart(part, 12))
     );
   }
 
   // Non-compact: render both layouts and use responsive classes to toggle
-  // Two rows layout (shown below xl)
-  const twoRowsLayout = h('div', { className: 'flex flex-col gap-0.5 xl:hidden' },
-    showEd2k && h('span', { key: 'ed2k', className: 'flex items-center gap-1' },
-      h(ClientIcon, { clientType: 'ed2k', size: 14 }),
-      h('span', null, formatter(ed2kValue))
-    ),
-    showBittorrent && h('span', { key: 'bittorrent', className: 'flex items-center gap-1' },
-      h(ClientIcon, { clientType: 'bittorrent', size: 14 }),
-      h('span', null, formatter(bittorrentValue))
-    )
+  // One row per network (shown below xl)
+  const rowsLayout = h('div', { className: 'flex flex-col gap-0.5 xl:hidden' },
+    parts.map(part => renderPart(part, 14))
   );
 
   // Inline layout with dot separator (shown at xl+)
-  const inlineParts = [];
-  if (showEd2k) {
-    inlineParts.push(
-      h('span', { key: 'ed2k', className: 'flex items-center gap-1' },
-        h(ClientIcon, { clientType: 'ed2k', size: 14 }),
-        h('span', null, formatter(ed2kValue))
-      )
-    );
-  }
-  if (showEd2k && showBittorrent) {
-    inlineParts.push(h('span', { key: 'dot', className: 'text-gray-400 mx-1' }, '·'));
-  }
-  if (showBittorrent) {
-    inlineParts.push(
-      h('span', { key: 'bittorrent', className: 'flex items-center gap-1' },
-        h(ClientIcon, { clientType: 'bittorrent', size: 14 }),
-        h('span', null, formatter(bittorrentValue))
-      )
-    );
-  }
+  const inlineParts = parts.flatMap((part, i) => [
+    i > 0 && h('span', { key: `dot-${i}`, className: 'text-gray-400 mx-1' }, '·'),
+    renderPart(part, 14)
+  ]).filter(Boolean);
   const inlineLayout = h('span', { className: 'hidden xl:flex items-center gap-1 flex-wrap' }, inlineParts);
 
-  return h(React.Fragment, null, twoRowsLayout, inlineLayout);
+  return h(React.Fragment, null, rowsLayout, inlineLayout);
 };
 
 /**
  * Helper component for compact mode combined stats (total · avg speed per client)
- * Shows: icon total · avg (one line per network if both connected, or single line if one)
- * Shows ED2K vs BitTorrent (aggregated rtorrent + qbittorrent)
+ * Shows: icon total · avg (one line per network if several connected, or single line if one)
+ * Shows ED2K vs BitTorrent (aggregated rtorrent + qbittorrent) vs Usenet (download card only)
  */
-const CompactCombinedValue = ({ ed2kTotal, bittorrentTotal, ed2kAvg, bittorrentAvg, showClientIcons, showEd2k, showBittorrent }) => {
+const CompactCombinedValue = ({ ed2kTotal, bittorrentTotal, usenetTotal = 0, ed2kAvg, bittorrentAvg, usenetAvg = 0, showClientIcons, showEd2k, showBittorrent, showUsenet = false }) => {
   const renderClientLine = (clientType, total, avg) => (
-    h('span', { className: 'flex items-center gap-1' },
+    h('span', { key: clientType, className: 'flex items-center gap-1' },
       showClientIcons && h(ClientIcon, { clientType, size: 12 }),
       h('span', null, formatBytes(total)),
       h('span', { className: 'text-gray-400' }, '·'),
@@ -111,8 +93,8 @@ const CompactCombinedValue = ({ ed2kTotal, bittorrentTotal, ed2kAvg, bittorrentA
 
   if (!showClientIcons) {
     // Single client - show combined values inline
-    const total = (showEd2k ? ed2kTotal : 0) + (showBittorrent ? bittorrentTotal : 0);
-    const avg = (showEd2k ? ed2kAvg : 0) + (showBittorrent ? bittorrentAvg : 0);
+    const total = (showEd2k ? ed2kTotal : 0) + (showBittorrent ? bittorrentTotal : 0) + (showUsenet ? usenetTotal : 0);
+    const avg = (showEd2k ? ed2kAvg : 0) + (showBittorrent ? bittorrentAvg : 0) + (showUsenet ? usenetAvg : 0);
     return h('span', { className: 'flex items-center gap-1' },
       h('span', null, formatBytes(total)),
       h('span', { className: 'text-gray-400' }, '·'),
@@ -120,31 +102,33 @@ const CompactCombinedValue = ({ ed2kTotal, bittorrentTotal, ed2kAvg, bittorrentA
     );
   }
 
-  // Both clients - show one line per client
+  // Several clients - show one line per client
   return h('div', { className: 'flex flex-col gap-0.5 text-xs' },
     showEd2k && renderClientLine('ed2k', ed2kTotal, ed2kAvg),
-    showBittorrent && renderClientLine('bittorrent', bittorrentTotal, bittorrentAvg)
+    showBittorrent && renderClientLine('bittorrent', bittorrentTotal, bittorrentAvg),
+    showUsenet && renderClientLine('usenet', usenetTotal, usenetAvg)
   );
 };
 
 /**
  * StatsWidget component
- * @param {object} stats - Historical stats object with totals and speeds (includes ed2k/bittorrent sub-objects)
+ * @param {object} stats - Historical stats object with totals and speeds (includes ed2k/bittorrent/usenet sub-objects)
  * @param {boolean} showPeakSpeeds - Whether to show peak speed cards (default: true)
  * @param {boolean} compact - Use compact layout for mobile (default: false)
  * @param {string} timeRange - Time range label to display (default: '24h')
  */
 const StatsWidget = ({ stats, showPeakSpeeds = true, compact = false, timeRange = '24h' }) => {
-  const { isEd2kEnabled, isBittorrentEnabled, ed2kConnected, bittorrentConnected } = useClientFilter();
+  const { isEd2kEnabled, isBittorrentEnabled, isUsenetEnabled, ed2kConnected, bittorrentConnected, usenetConnected } = useClientFilter();
   const { dataStats: liveStats } = useLiveData();
 
-  // Show client icons if both network types are connected (regardless of user filter)
+  // Show client icons if 2+ network types are connected (regardless of user filter)
   // bittorrentConnected = rtorrent OR qbittorrent
-  const showClientIcons = ed2kConnected && bittorrentConnected;
+  const showClientIcons = [ed2kConnected, bittorrentConnected, usenetConnected].filter(Boolean).length >= 2;
 
   // Which clients to show (isXEnabled includes connection check)
   const showEd2k = isEd2kEnabled;
   const showBittorrent = isBittorrentEnabled;
+  const showUsenet = isUsenetEnabled;
 
   // Show loading skeleton if either data source is missing:
   // - stats: historical data from API
@@ -154,12 +138,15 @@ const StatsWidget = ({ stats, showPeakSpeeds = true, compact = false, timeRange
   // Get per-network-type stats (with fallbacks)
   const ed2kStats = stats?.ed2k || { totalUploaded: 0, totalDownloaded: 0, avgUploadSpeed: 0, avgDownloadSpeed: 0, peakUploadSpeed: 0, peakDownloadSpeed: 0 };
   const btStats = stats?.bittorrent || { totalUploaded: 0, totalDownloaded: 0, avgUploadSpeed: 0, avgDownloadSpeed: 0, peakUploadSpeed: 0, peakDownloadSpeed: 0 };
+  const usenetStats = stats?.usenet || { totalUploaded: 0, totalDownloaded: 0, avgUploadSpeed: 0, avgDownloadSpeed: 0, peakUploadSpeed: 0, peakDownloadSpeed: 0 };
 
   // Calculate displayed values based on filter
-  const getFilteredValue = (ed2kVal, btVal) => {
+  // Usenet only downloads, so upload cards leave usenetVal out
+  const getFilteredValue = (ed2kVal, btVal, usenetVal = 0) => {
     let total = 0;
     if (showEd2k) total += ed2kVal;
     if (showBittorrent) total += btVal;
+    if (showUsenet) total += usenetVal;
     return total;
   };
 
@@ -173,11 +160,14 @@ const StatsWidget = ({ stats, showPeakSpeeds = true, compact = false, timeRange
               value: h(CompactCombinedValue, {
                 ed2kTotal: ed2kStats.totalDownloaded,
                 bittorrentTotal: btStats.totalDownloaded,
+                usenetTotal: usenetStats.totalDownloaded,
                 ed2kAvg: ed2kStats.avgDownloadSpeed,
                 bittorrentAvg: btStats.avgDownloadSpeed,
+                usenetAvg: usenetStats.avgDownloadSpeed,
                 showClientIcons,
                 showEd2k,
-                showBittorrent
+                showBittorrent,
+                showUsenet
               }),
               icon: 'download',
               iconColor: 'text-blue-600 dark:text-blue-400',
@@ -277,12 +267,14 @@ const StatsWidget = ({ stats, showPeakSpeeds = true, compact = false, timeRange
             ? h(ClientBreakdownValue, {
                 ed2kValue: ed2kStats.totalDownloaded,
                 bittorrentValue: btStats.totalDownloaded,
+                usenetValue: usenetStats.totalDownloaded,
                 showClientIcons,
                 showEd2k,
                 showBittorrent,
+                showUsenet,
                 formatter: formatBytes
               })
-            : formatBytes(getFilteredValue(ed2kStats.totalDownloaded, btStats.totalDownloaded)),
+            : formatBytes(getFilteredValue(ed2kStats.totalDownloaded, btStats.totalDownloaded, usenetStats.totalDownloaded)),
           icon: 'download',
           iconColor: 'text-blue-600 dark:text-blue-400'
         })
@@ -296,12 +288,14 @@ const StatsWidget = ({ stats, showPeakSpeeds = true, compact = false, timeRange
             ? h(ClientBreakdownValue, {
                 ed2kValue: ed2kStats.avgDownloadSpeed,
                 bittorrentValue: btStats.avgDownloadSpeed,
+                usenetValue: usenetStats.avgDownloadSpeed,
                 showClientIcons,
                 showEd2k,
                 showBittorrent,
+                showUsenet,
                 formatter: formatSpeed
               })
-            : formatSpeed(getFilteredValue(ed2kStats.avgDownloadSpeed, btStats.avgDownloadSpeed)),
+            : formatSpeed(getFilteredValue(ed2kStats.avgDownloadSpeed, btStats.avgDownloadSpeed, usenetStats.avgDownloadSpeed)),
           icon: 'trendingUp',
           iconColor: 'text-blue-600 dark:text-blue-400'
         })
@@ -315,12 +309,14 @@ const StatsWidget = ({ stats, showPeakSpeeds = true, compact = false, timeRange
             ? h(ClientBreakdownValue, {
                 ed2kValue: ed2kStats.peakDownloadSpeed,
                 bittorrentValue: btStats.peakDownloadSpeed,
+                usenetValue: usenetStats.peakDownloadSpeed,
                 showClientIcons,
                 showEd2k,
                 showBittorrent,
+                showUsenet,
                 formatter: formatSpeed
               })
-            : formatSpeed(getFilteredValue(ed2kStats.peakDownloadSpeed, btStats.peakDownloadSpeed)),
+            : formatSpeed(getFilteredValue(ed2kStats.peakDownloadSpeed, btStats.peakDownloadSpeed, usenetStats.peakDownloadSpeed)),
           icon: 'zap',
           iconColor: 'text-blue-600 dark:text-blue-400'
         })
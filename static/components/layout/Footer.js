@@ -15,6 +15,7 @@ import { useStaticData } from '../../contexts/StaticDataContext.js';
 import Icon from '../common/Icon.js';
 import Tooltip from '../common/Tooltip.js';
 import ClientIcon from '../common/ClientIcon.js';
+import SpeedProfileBadge from '../common/SpeedProfileBadge.js';
 
 const { createElement: h } = React;
 
@@ -52,7 +53,7 @@ const renderBadge = (status, text, tooltip) => {
 const Footer = ({ currentView, onOpenAbout }) => {
   const { dataStats: stats } = useLiveData();
   const { updateAvailable, latestVersion } = useVersion();
-  const { ed2kConnected, bittorrentConnected } = useClientFilter();
+  const { ed2kConnected, bittorrentConnected, usenetConnected } = useClientFilter();
   const { instances, hasMultiInstance } = useStaticData();
   if (!stats) {
     return h('footer', { className: 'hidden md:block bg-white dark:bg-gray-800 border-t border-gray-200 dark:border-gray-700 py-4 text-center text-sm text-gray-500 dark:text-gray-400' },
@@ -116,7 +117,7 @@ const Footer = ({ currentView, onOpenAbout }) => {
     kad = disconnected;
   }
 
-  // BitTorrent clients: compute worst status per type (dynamic — works for rtorrent, qbittorrent, deluge, etc.)
+  // BitTorrent and Usenet clients: compute worst status per type (dynamic — works for rtorrent, qbittorrent, sabnzbd, etc.)
   const btTypes = Object.keys(byType).filter(t => t !== 'amule').sort();
   const btStatusMap = {};  // { type: { status, tooltip } }
   for (const type of btTypes) {
@@ -154,7 +155,7 @@ const Footer = ({ currentView, onOpenAbout }) => {
     .sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
 
   for (const inst of connectedInsts) {
-    const isEnabled = inst.networkType === 'ed2k' ? ed2kConnected : bittorrentConnected;
+    const isEnabled = { ed2k: ed2kConnected, bittorrent: bittorrentConnected, usenet: usenetConnected }[inst.networkType];
     if (!isEnabled) continue;
     const speeds = instanceSpeeds[inst.id];
     if (speeds) {
@@ -208,8 +209,8 @@ const Footer = ({ currentView, onOpenAbout }) => {
               renderBadge(kad.status, kad.text, kadTooltip)
             )
           ),
-          // Divider between aMule and BitTorrent status
-          ed2kConnected && bittorrentConnected && h('div', { className: 'w-px h-4 bg-gray-300 dark:bg-gray-600 flex-shrink-0' }),
+          // Divider between aMule and BitTorrent/Usenet status
+          ed2kConnected && (bittorrentConnected || usenetConnected) && h('div', { className: 'w-px h-4 bg-gray-300 dark:bg-gray-600 flex-shrink-0' }),
           // BitTorrent client statuses (dynamic — works for rtorrent, qbittorrent, deluge, etc.)
           ...btTypes.map(type => {
             const { status: st, tooltip } = btStatusMap[type];
@@ -240,6 +241,9 @@ const Footer = ({ currentView, onOpenAbout }) => {
           ),
           // Divider after update indicator
           updateAvailable && onOpenAbout && h('div', { className: 'w-px h-4 bg-gray-300 dark:bg-gray-600' }),
+          // Active bandwidth schedule profile
+          stats.speedProfile && h(SpeedProfileBadge, { profile: stats.speedProfile, position: 'top' }),
+          stats.speedProfile && h('div', { className: 'w-px h-4 bg-gray-300 dark:bg-gray-600' }),
           // Disk Space Indicator
           stats.diskSpace && h(Tooltip, {
             content: h('div', { className: 'space-y-1 text-right' },
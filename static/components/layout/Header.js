@@ -7,7 +7,7 @@
  */
 
 import React from 'https://esm.sh/react@18.2.0';
-import { Icon, Tooltip, VersionBadge, ClientIcon, Portal } from '../common/index.js';
+import { Icon, Tooltip, VersionBadge, ClientIcon, Portal, SpeedProfileBadge } from '../common/index.js';
 import { useFontSize } from '../../contexts/FontSizeContext.js';
 import { useClientFilter } from '../../contexts/ClientFilterContext.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
@@ -106,8 +106,8 @@ const UserMenu = ({ username, onOpenProfile, onLogout }) => {
  */
 const Header = ({ theme, onToggleTheme, isLandscape, onNavigateHome, onOpenAbout, authEnabled = false, username, onLogout, isSso = false }) => {
   const { fontSize, fontSizeConfig, cycleFontSize } = useFontSize();
-  const { isEd2kEnabled, isBittorrentEnabled, toggleNetworkType, toggleInstance, isInstanceEnabled } = useClientFilter();
-  const { multipleClientsConnected, instances } = useStaticData();
+  const { isEd2kEnabled, isBittorrentEnabled, isUsenetEnabled, toggleNetworkType, toggleInstance, isInstanceEnabled } = useClientFilter();
+  const { multipleClientsConnected, instances, speedProfile } = useStaticData();
 
   // Profile modal state
   const [profileOpen, setProfileOpen] = useState(false);
@@ -126,7 +126,7 @@ const Header = ({ theme, onToggleTheme, isLandscape, onNavigateHome, onOpenAbout
 
   // Group connected instances by network type for per-instance filter chips
   const instanceGroups = React.useMemo(() => {
-    const groups = { ed2k: [], bittorrent: [] };
+    const groups = { ed2k: [], bittorrent: [], usenet: [] };
     for (const [id, inst] of Object.entries(instances)) {
       if (inst.connected && groups[inst.networkType]) {
         groups[inst.networkType].push({ id, ...inst });
@@ -134,6 +134,7 @@ const Header = ({ theme, onToggleTheme, isLandscape, onNavigateHome, onOpenAbout
     }
     groups.ed2k.sort((a, b) => a.order - b.order);
     groups.bittorrent.sort((a, b) => a.order - b.order);
+    groups.usenet.sort((a, b) => a.order - b.order);
     return groups;
   }, [instances]);
 
@@ -250,6 +251,34 @@ const Header = ({ theme, onToggleTheme, isLandscape, onNavigateHome, onOpenAbout
                   title: `${inst.name} (${isInstanceEnabled(inst.id) ? 'visible' : 'hidden'})`
                 }, inst.name)
               )
+            ),
+            // Separator
+            (instanceGroups?.ed2k?.length > 0 || instanceGroups?.bittorrent?.length > 0) && instanceGroups?.usenet?.length > 0 &&
+              h('div', { className: 'flex-shrink-0 w-px h-4 bg-gray-300 dark:bg-gray-600 mx-0.5' }),
+            // Usenet group
+            instanceGroups?.usenet?.length > 0 && h(React.Fragment, null,
+              h('button', {
+                onClick: () => toggleNetworkType('usenet'),
+                className: `flex-shrink-0 p-0.5 rounded transition-all ${
+                  isUsenetEnabled
+                    ? 'opacity-100'
+                    : 'opacity-40 grayscale'
+                }`,
+                title: isUsenetEnabled ? 'Hide all Usenet' : 'Show all Usenet'
+              }, h(ClientIcon, { client: 'usenet', size: 14, title: '' })),
+              ...instanceGroups.usenet.map(inst =>
+                h('button', {
+                  key: inst.id,
+                  onClick: () => toggleInstance(inst.id),
+                  className: `flex-shrink-0 px-1.5 py-0.5 text-[10px] font-medium rounded transition-all truncate max-w-[80px] ${
+                    isInstanceEnabled(inst.id)
+                      ? 'text-white'
+                      : 'bg-gray-200 dark:bg-gray-700 text-gray-400 dark:text-gray-500'
+                  }`,
+                  style: isInstanceEnabled(inst.id) ? { backgroundColor: inst.color || '#ca8a04', textShadow: '0 1px 2px rgba(0,0,0,0.3)' } : undefined,
+                  title: `${inst.name} (${isInstanceEnabled(inst.id) ? 'visible' : 'hidden'})`
+                }, inst.name)
+              )
             )
           )
         )
@@ -257,6 +286,8 @@ const Header = ({ theme, onToggleTheme, isLandscape, onNavigateHome, onOpenAbout
 
       // Right column: Controls
       h('div', { className: 'flex items-center gap-1 flex-shrink-0' },
+        // Active speed profile (small screens only — desktop shows it in the Footer)
+        speedProfile && h(SpeedProfileBadge, { profile: speedProfile, position: 'bottom', className: 'md:hidden' }),
         // User menu (auth enabled with username) or simple logout button
         authEnabled && username && onLogout
           ? h(UserMenu, {
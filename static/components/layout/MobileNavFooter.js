@@ -128,6 +128,9 @@ const MobileNavFooter = ({ currentView, onNavigate }) => {
     ...(amuleEnabled ? [{ icon: 'server', label: 'ED2K Servers', view: 'servers', cap: 'view_servers' }] : []),
     { icon: 'fileText', label: 'Logs', view: 'logs', cap: 'view_logs' },
     { icon: 'chartBar', label: 'Statistics', view: 'statistics', cap: 'view_statistics' },
+    { icon: 'clock', label: 'Wanted', view: 'wanted', adminOnly: true },
+    { icon: 'copy', label: 'Cross-Seed', view: 'cross-seed', adminOnly: true },
+    { icon: 'rss', label: 'RSS Feeds', view: 'rss', adminOnly: true },
     { icon: 'bell', label: 'Notifications', view: 'notifications', adminOnly: true },
     { icon: 'settings', label: 'Settings', view: 'settings', warning: hasClientConnectionWarnings, adminOnly: true }
   ].filter(item => item.adminOnly ? isAdmin : (!item.cap || hasCap(item.cap)));
@@ -62,6 +62,9 @@ const Sidebar = ({ currentView, onNavigate, isLandscape }) => {
       amuleEnabled && hasCap('view_servers') && h(NavButton, { icon: 'server', label: 'ED2K Servers', shortLabel: 'Servers', view: 'servers', active: currentView === 'servers', onNavigate }),
       hasCap('view_logs') && h(NavButton, { icon: 'fileText', label: 'Logs', view: 'logs', active: currentView === 'logs', onNavigate }),
       hasCap('view_statistics') && h(NavButton, { icon: 'chartBar', label: 'Statistics', view: 'statistics', active: currentView === 'statistics', onNavigate }),
+      isAdmin && h(NavButton, { icon: 'clock', label: 'Wanted', view: 'wanted', active: currentView === 'wanted', onNavigate }),
+      isAdmin && h(NavButton, { icon: 'copy', label: 'Cross-Seed', view: 'cross-seed', active: currentView === 'cross-seed', onNavigate }),
+      isAdmin && h(NavButton, { icon: 'rss', label: 'RSS Feeds', shortLabel: 'RSS', view: 'rss', active: currentView === 'rss', onNavigate }),
       isAdmin && h(NavButton, { icon: 'bell', label: 'Notifications', view: 'notifications', active: currentView === 'notifications', onNavigate }),
       isAdmin && h(WarningNavButton, { currentView, onNavigate, icon: 'settings', label: 'Settings', view: 'settings', hasWarning: hasClientConnectionWarnings })
     )
@@ -1,8 +1,12 @@
 /**
  * AddDownloadModal Component
  *
- * Modal for adding downloads via ED2K links, magnet links, or .torrent files
- * Supports aMule (ED2K) and BitTorrent clients (rTorrent, qBittorrent)
+ * Modal for adding downloads via ED2K links, magnet links, .torrent files,
+ * .nzb files or plain HTTP/FTP URLs. Supports aMule (ED2K), BitTorrent and
+ * Usenet clients; URLs go to BitTorrent clients with the directUrls
+ * capability (aria2), otherwise to the Usenet client as NZB URLs.
+ * Each selector offers "Auto" to let the server pick the instance using the
+ * download target policy.
  */
 
 import React from 'https://esm.sh/react@18.2.0';
@@ -12,6 +16,9 @@ import { useClientFilter } from '../../contexts/ClientFilterContext.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
 import { useBitTorrentClientSelector } from '../../hooks/useBitTorrentClientSelector.js';
 import { useAmuleInstanceSelector } from '../../hooks/useAmuleInstanceSelector.js';
+import { useUsenetClientSelector } from '../../hooks/useUsenetClientSelector.js';
+import { readTorrentFileList, formatBytes } from '../../utils/index.js';
+import { FilesTreeSection } from './InfoModalTables.js';
 
 const { createElement: h, useState, useRef, useCallback, useEffect } = React;
 
@@ -19,18 +26,20 @@ const { createElement: h, useState, useRef, useCallback, useEffect } = React;
  * Add download modal
  * @param {boolean} show - Whether to show the modal
  * @param {function} onAddEd2kLinks - Handler for ED2K links (links, categoryName)
- * @param {function} onAddMagnetLinks - Handler for magnet links (links, label, clientId)
- * @param {function} onAddTorrentFile - Handler for .torrent file (file, label, clientId)
+ * @param {function} onAddMagnetLinks - Handler for magnet links and direct URLs (links, label, clientId)
+ * @param {function} onAddTorrentFile - Handler for .torrent file (file, label, clientId, clientType, savePath, skipFiles)
+ * @param {function} onAddNzbFile - Handler for .nzb file (file, label, clientId)
  * @param {function} onClose - Close handler
- * @param {File[]} initialTorrentFiles - Pre-loaded .torrent files (e.g. from global drag-and-drop)
+ * @param {File[]} initialFiles - Pre-loaded .torrent/.nzb files (e.g. from global drag-and-drop)
  */
 const AddDownloadModal = ({
   show,
   onAddEd2kLinks,
   onAddMagnetLinks,
   onAddTorrentFile,
+  onAddNzbFile,
   onClose,
-  initialTorrentFiles = []
+  initialFiles = []
 }) => {
   // Get aMule connection status from context
   const { ed2kConnected: amuleConnected } = useClientFilter();
@@ -41,8 +50,10 @@ const AddDownloadModal = ({
     showClientSelector,
     selectedClientId,
     selectedClient,
-    selectClient
-  } = useBitTorrentClientSelector();
+    selectClient,
+    allowAuto: allowBtAuto,
+    isAuto: isBtAuto
+  } = useBitTorrentClientSelector({ allowAuto: true });
   // Get unified categories and instance metadata from context
   const { dataCategories: categories, instances, isTypeConnected } = useStaticData();
 
@@ -60,8 +71,22 @@ const AddDownloadModal = ({
     showSelector: showAmuleSelector,
     selectedId: effectiveAmuleInstance,
     selectedInstance: selectedAmuleObj,
-    selectInstance: selectAmuleInstance
-  } = useAmuleInstanceSelector();
+    selectInstance: selectAmuleInstance,
+    allowAuto: allowAmuleAuto,
+    isAuto: isAmuleAuto
+  } = useAmuleInstanceSelector({ allowAuto: true });
+
+  // Usenet client selector for NZB files and NZB URLs
+  const {
+    connectedClients: usenetClients,
+    hasUsenetClient,
+    showClientSelector: showUsenetSelector,
+    selectedClientId: selectedUsenetId,
+    selectedClient: selectedUsenetClient,
+    selectClient: selectUsenetClient,
+    allowAuto: allowUsenetAuto,
+    isAuto: isUsenetAuto
+  } = useUsenetClientSelector({ allowAuto: true });
 
   // State
   const [links, setLinks] = useState('');
@@ -69,23 +94,65 @@ const AddDownloadModal = ({
   const [customCategory, setCustomCategory] = useState('');
   const [useCustomCategory, setUseCustomCategory] = useState(false);
   const [torrentFiles, setTorrentFiles] = useState([]);
+  const [nzbFiles, setNzbFiles] = useState([]);
   const [isDragging, setIsDragging] = useState(false);
   const [showSavePath, setShowSavePath] = useState(false);
   const [customSavePath, setCustomSavePath] = useState('');
+  // File lists read from the selected .torrent files: File → { files, error }
+  // A file priority of 0 marks it as skipped
+  const [torrentContents, setTorrentContents] = useState(() => new Map());
+  const [expandedTorrent, setExpandedTorrent] = useState(null);
   const fileInputRef = useRef(null);
 
-  // Seed torrent files from global drag-and-drop
+  // Split picked or dropped files into .torrent and .nzb lists
+  const addFiles = useCallback((files) => {
+    const torrents = files.filter(file => file.name.toLowerCase().endsWith('.torrent'));
+    const nzbs = files.filter(file => file.name.toLowerCase().endsWith('.nzb'));
+    if (torrents.length > 0) setTorrentFiles(prev => [...prev, ...torrents]);
+    if (nzbs.length > 0) setNzbFiles(prev => [...prev, ...nzbs]);
+  }, []);
+
+  // Seed files from global drag-and-drop
   useEffect(() => {
-    if (initialTorrentFiles.length > 0) {
-      setTorrentFiles(initialTorrentFiles);
+    if (initialFiles.length > 0) {
+      setTorrentFiles([]);
+      setNzbFiles([]);
+      addFiles(initialFiles);
     }
-  }, [initialTorrentFiles]);
+  }, [initialFiles, addFiles]);
+
+  // Read the file list of newly selected .torrent files
+  useEffect(() => {
+    torrentFiles.forEach(file => {
+      if (torrentContents.has(file)) return;
+      setTorrentContents(prev => new Map(prev).set(file, { files: null, error: null }));
+      readTorrentFileList(file)
+        .then(list => {
+          const files = list.map(f => ({ ...f, priority: 1, progress: 0 }));
+          setTorrentContents(prev => new Map(prev).set(file, { files, error: null }));
+        })
+        .catch(err => {
+          setTorrentContents(prev => new Map(prev).set(file, { files: null, error: err.message }));
+        });
+    });
+  }, [torrentFiles, torrentContents]);
+
+  const setTorrentFilePriority = useCallback((file, indexes, priority) => {
+    const indexSet = new Set(indexes);
+    setTorrentContents(prev => {
+      const entry = prev.get(file);
+      if (!entry?.files) return prev;
+      const files = entry.files.map(f => (indexSet.has(f.index) ? { ...f, priority } : f));
+      return new Map(prev).set(file, { ...entry, files });
+    });
+  }, []);
 
   // Parse links to determine types
   const parseLinks = useCallback((text) => {
     const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
     const ed2kLinks = [];
     const magnetLinks = [];
+    const urlLinks = [];
     const invalidLinks = [];
 
     lines.forEach(line => {
@@ -93,28 +160,58 @@ const AddDownloadModal = ({
         ed2kLinks.push(line);
       } else if (line.toLowerCase().startsWith('magnet:?')) {
         magnetLinks.push(line);
+      } else if (/^(https?|ftp):\/\//i.test(line)) {
+        urlLinks.push(line);
       } else if (line.length > 0) {
         invalidLinks.push(line);
       }
     });
 
-    return { ed2kLinks, magnetLinks, invalidLinks };
+    return { ed2kLinks, magnetLinks, urlLinks, invalidLinks };
   }, []);
 
   // Early return AFTER all hooks are called (React rules of hooks)
   if (!show) return null;
 
-  const { ed2kLinks, magnetLinks, invalidLinks } = parseLinks(links);
+  const { ed2kLinks, magnetLinks, urlLinks, invalidLinks } = parseLinks(links);
+
+  // Check if selected BT client supports custom save path
+  // With "Auto" the target is unknown until the server picks it: no custom path
+  // or file selection, and URLs are accepted if any instance can download them
+  const selectedClientCaps = selectedClient ? (instances[selectedClientId]?.capabilities || {}) : {};
+  const supportsCustomPath = selectedClientCaps.customSavePath === true;
+  const supportsFileSelection = selectedClientCaps.filePriority === true;
+  const supportsDirectUrls = isBtAuto
+    ? btClients.some(c => instances[c.id]?.capabilities?.directUrls === true)
+    : selectedClientCaps.directUrls === true;
 
   // Check if we can submit
   const hasEd2kLinks = ed2kLinks.length > 0 && amuleConnected;
   const hasMagnetLinks = magnetLinks.length > 0 && hasBitTorrentClient;
+  // URLs go to a BitTorrent client that downloads them directly, else to Usenet as NZB URLs
+  const urlsToBitTorrent = hasBitTorrentClient && supportsDirectUrls;
+  const urlsToUsenet = !urlsToBitTorrent && hasUsenetClient;
+  const hasUrlLinks = urlLinks.length > 0 && (urlsToBitTorrent || urlsToUsenet);
   const hasTorrentFiles = torrentFiles.length > 0 && hasBitTorrentClient;
-  const canSubmit = hasEd2kLinks || hasMagnetLinks || hasTorrentFiles;
+  const hasNzbFiles = nzbFiles.length > 0 && hasUsenetClient;
+  const hasUsenetDownloads = nzbFiles.length > 0 || (urlLinks.length > 0 && urlsToUsenet);
 
-  // Check if selected BT client supports custom save path
-  const selectedClientCaps = selectedClient ? (instances[selectedClientId]?.capabilities || {}) : {};
-  const supportsCustomPath = selectedClientCaps.customSavePath === true;
+  // Skipped file indexes per .torrent (only when the selected client can skip files)
+  const getSkipFiles = (file) => {
+    const files = supportsFileSelection ? torrentContents.get(file)?.files : null;
+    return files ? files.filter(f => f.priority === 0).map(f => f.index) : [];
+  };
+  const hasEmptySelection = hasTorrentFiles && supportsFileSelection && torrentFiles.some(file => {
+    const files = torrentContents.get(file)?.files;
+    return files && files.every(f => f.priority === 0);
+  });
+
+  const canSubmit = (hasEd2kLinks || hasMagnetLinks || hasUrlLinks || hasTorrentFiles || hasNzbFiles) && !hasEmptySelection;
+
+  // Accepted upload types depend on which networks have a connected client
+  const fileExtensions = [hasBitTorrentClient && '.torrent', hasUsenetClient && '.nzb'].filter(Boolean);
+  const fileAccept = fileExtensions.join(',');
+  const fileTypesLabel = fileExtensions.join(' / ');
 
   // Category paths for PathPicker quick links
   const categoryPaths = categories
@@ -140,26 +237,45 @@ const AddDownloadModal = ({
       onAddEd2kLinks(ed2kLinks, finalCategory, false, effectiveAmuleInstance);
     }
 
-    // Add magnet links if any (pass instanceId + clientType + optional savePath)
-    if (magnetLinks.length > 0 && hasBitTorrentClient && onAddMagnetLinks) {
-      onAddMagnetLinks(magnetLinks, finalLabel, selectedClientId, selectedClient?.type, effectiveSavePath);
+    // Add magnet links and direct URLs if any (pass instanceId + clientType + optional savePath)
+    // With "Auto", URLs go separately so magnets aren't limited to URL-capable instances
+    if (hasBitTorrentClient && onAddMagnetLinks) {
+      const btBatches = !urlsToBitTorrent ? [magnetLinks]
+        : isBtAuto ? [magnetLinks, urlLinks]
+        : [[...magnetLinks, ...urlLinks]];
+      btBatches.filter(batch => batch.length > 0).forEach(batch => {
+        onAddMagnetLinks(batch, finalLabel, selectedClientId, selectedClient?.type, effectiveSavePath);
+      });
     }
 
     // Add torrent files if any (pass instanceId + clientType + optional savePath)
     if (torrentFiles.length > 0 && hasBitTorrentClient && onAddTorrentFile) {
       torrentFiles.forEach(file => {
-        onAddTorrentFile(file, finalLabel, selectedClientId, selectedClient?.type, effectiveSavePath);
+        onAddTorrentFile(file, finalLabel, selectedClientId, selectedClient?.type, effectiveSavePath, getSkipFiles(file));
+      });
+    }
+
+    // Add NZB URLs and files to the selected Usenet client
+    if (urlLinks.length > 0 && urlsToUsenet && onAddMagnetLinks) {
+      onAddMagnetLinks(urlLinks, finalLabel, selectedUsenetId, selectedUsenetClient?.type, null, 'usenet');
+    }
+    if (hasNzbFiles && onAddNzbFile) {
+      nzbFiles.forEach(file => {
+        onAddNzbFile(file, finalLabel, selectedUsenetId);
       });
     }
 
     // Reset and close
     setLinks('');
     setTorrentFiles([]);
+    setNzbFiles([]);
     setSelectedCategory('Default');
     setCustomCategory('');
     setUseCustomCategory(false);
     setShowSavePath(false);
     setCustomSavePath('');
+    setTorrentContents(new Map());
+    setExpandedTorrent(null);
     onClose();
   };
 
@@ -198,11 +314,7 @@ const AddDownloadModal = ({
 
   // File handling
   const handleFileSelect = (e) => {
-    const files = Array.from(e.target.files || []);
-    const validFiles = files.filter(file => file.name.endsWith('.torrent'));
-    if (validFiles.length > 0) {
-      setTorrentFiles(prev => [...prev, ...validFiles]);
-    }
+    addFiles(Array.from(e.target.files || []));
   };
 
   const handleDragOver = (e) => {
@@ -218,26 +330,32 @@ const AddDownloadModal = ({
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragging(false);
-    const files = Array.from(e.dataTransfer.files || []);
-    const validFiles = files.filter(file => file.name.endsWith('.torrent'));
-    if (validFiles.length > 0) {
-      setTorrentFiles(prev => [...prev, ...validFiles]);
-    }
+    addFiles(Array.from(e.dataTransfer.files || []));
   };
 
   const removeTorrentFile = (index) => {
+    const removed = torrentFiles[index];
+    if (expandedTorrent === removed) setExpandedTorrent(null);
     setTorrentFiles(prev => prev.filter((_, i) => i !== index));
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
   };
 
+  const removeNzbFile = (index) => {
+    setNzbFiles(prev => prev.filter((_, i) => i !== index));
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
   // Summary of what will be added (returns array of strings, one per line)
   const getSummaryParts = () => {
     const parts = [];
     const finalCategory = getFinalCategory();
-    const selectedClientName = selectedClient?.name || 'BitTorrent';
-    const effectiveAmuleName = selectedAmuleObj?.name || 'aMule';
+    const selectedClientName = isBtAuto ? 'Auto' : (selectedClient?.name || 'BitTorrent');
+    const effectiveAmuleName = isAmuleAuto ? 'Auto' : (selectedAmuleObj?.name || 'aMule');
+    const usenetClientName = isUsenetAuto ? 'Auto' : (selectedUsenetClient?.name || 'Usenet');
 
     if (ed2kLinks.length > 0) {
       let ed2kPart = `${ed2kLinks.length} ED2K link${ed2kLinks.length > 1 ? 's' : ''}`;
@@ -274,6 +392,28 @@ const AddDownloadModal = ({
         }
       }
     }
+    if (urlLinks.length > 0) {
+      let prefix = `${urlLinks.length} URL${urlLinks.length > 1 ? 's' : ''}`;
+      if (urlsToUsenet) {
+        const finalLabel = getFinalLabel();
+        prefix += ` → ${usenetClientName}`;
+        if (finalLabel) prefix += ` (${finalLabel})`;
+        parts.push(prefix);
+      } else if (!hasBitTorrentClient) {
+        parts.push(`${prefix} (no BitTorrent client)`);
+      } else if (!supportsDirectUrls) {
+        parts.push(`${prefix} (${selectedClientName} can't download URLs)`);
+      } else {
+        const finalLabel = getFinalLabel();
+        prefix += ` → ${selectedClientName}`;
+        if (finalLabel) prefix += ` (${finalLabel})`;
+        if (btSavePath) {
+          parts.push(h('span', null, `${prefix} → `, h('b', { className: 'font-mono' }, btSavePath)));
+        } else {
+          parts.push(prefix);
+        }
+      }
+    }
     if (torrentFiles.length > 0) {
       let prefix = `${torrentFiles.length} torrent file${torrentFiles.length > 1 ? 's' : ''}`;
       if (!hasBitTorrentClient) {
@@ -289,6 +429,17 @@ const AddDownloadModal = ({
         }
       }
     }
+    if (nzbFiles.length > 0) {
+      let prefix = `${nzbFiles.length} NZB file${nzbFiles.length > 1 ? 's' : ''}`;
+      if (!hasUsenetClient) {
+        parts.push(`${prefix} (no Usenet client)`);
+      } else {
+        const finalLabel = getFinalLabel();
+        prefix += ` → ${usenetClientName}`;
+        if (finalLabel) prefix += ` (${finalLabel})`;
+        parts.push(prefix);
+      }
+    }
     if (invalidLinks.length > 0) {
       parts.push(`${invalidLinks.length} invalid link${invalidLinks.length > 1 ? 's' : ''}`);
     }
@@ -351,21 +502,75 @@ const AddDownloadModal = ({
               value: links,
               onChange: (e) => setLinks(e.target.value),
               onPaste: handlePaste,
-              placeholder: 'Paste ED2K and/or magnet links\n\ned2k://|file|...\nmagnet:?xt=urn:btih:...',
+              placeholder: 'Paste ED2K, magnet or HTTP/FTP links\n\ned2k://|file|...\nmagnet:?xt=urn:btih:...\nhttps://... (aria2, or NZB URLs for SABnzbd/NZBGet)',
               rows: 4,
               className: 'resize-y font-mono text-sm',
               autoFocus: true
             })
           ),
 
-          // Torrent file upload (only if any BitTorrent client is connected)
-          hasBitTorrentClient && h('div', null,
+          // Torrent/NZB file upload (only if a BitTorrent or Usenet client is connected)
+          (hasBitTorrentClient || hasUsenetClient) && h('div', null,
             h('label', { className: 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1' },
-              'Or upload .torrent file(s)'
+              `Or upload ${fileTypesLabel} file(s)`
             ),
             // Show selected files
             torrentFiles.length > 0 && h('div', { className: 'space-y-2 mb-2' },
-              torrentFiles.map((file, index) =>
+              torrentFiles.map((file, index) => {
+                const contents = torrentContents.get(file);
+                const fileList = contents?.files;
+                // File picker only for multi-file torrents on clients that can skip files
+                const canPickFiles = supportsFileSelection && fileList && fileList.length > 1;
+                const selected = fileList ? fileList.filter(f => f.priority > 0) : [];
+                const isExpanded = canPickFiles && expandedTorrent === file;
+
+                return h('div', {
+                  key: index,
+                  className: 'bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg'
+                },
+                  h('div', { className: 'flex items-center gap-2 p-2' },
+                    h(Icon, { name: 'file', size: 16, className: 'text-blue-600 dark:text-blue-400 flex-shrink-0' }),
+                    h('span', { className: 'flex-1 text-sm text-gray-900 dark:text-gray-100 truncate' },
+                      file.name
+                    ),
+                    canPickFiles && h('button', {
+                      type: 'button',
+                      onClick: () => setExpandedTorrent(isExpanded ? null : file),
+                      className: `text-xs whitespace-nowrap ${
+                        selected.length === 0
+                          ? 'text-red-600 dark:text-red-400'
+                          : 'text-blue-600 dark:text-blue-400 hover:underline'
+                      }`,
+                      title: isExpanded ? 'Hide files' : 'Choose which files to download'
+                    }, `${selected.length}/${fileList.length} files · ${formatBytes(selected.reduce((sum, f) => sum + f.size, 0))}`),
+                    h(IconButton, {
+                      variant: 'secondary',
+                      icon: 'x',
+                      iconSize: 14,
+                      onClick: () => removeTorrentFile(index),
+                      title: 'Remove file',
+                      className: '!h-6 !w-6'
+                    })
+                  ),
+                  contents?.error && h('p', { className: 'px-2 pb-2 text-xs text-red-600 dark:text-red-400' },
+                    `Could not read file list: ${contents.error}`
+                  ),
+                  isExpanded && h('div', {
+                    className: 'max-h-64 overflow-y-auto border-t border-blue-200 dark:border-blue-800 bg-white dark:bg-gray-800 rounded-b-lg'
+                  },
+                    h(FilesTreeSection, {
+                      files: fileList,
+                      onSetPriority: (indexes, priority) => setTorrentFilePriority(file, indexes, priority),
+                      priorityEditable: false,
+                      showProgress: false
+                    })
+                  )
+                );
+              })
+            ),
+            // Selected NZB files
+            nzbFiles.length > 0 && h('div', { className: 'space-y-2 mb-2' },
+              nzbFiles.map((file, index) =>
                 h('div', {
                   key: index,
                   className: 'flex items-center gap-2 p-2 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg'
@@ -374,11 +579,14 @@ const AddDownloadModal = ({
                   h('span', { className: 'flex-1 text-sm text-gray-900 dark:text-gray-100 truncate' },
                     file.name
                   ),
+                  h('span', { className: 'text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap' },
+                    formatBytes(file.size)
+                  ),
                   h(IconButton, {
                     variant: 'secondary',
                     icon: 'x',
                     iconSize: 14,
-                    onClick: () => removeTorrentFile(index),
+                    onClick: () => removeNzbFile(index),
                     title: 'Remove file',
                     className: '!h-6 !w-6'
                   })
@@ -399,14 +607,14 @@ const AddDownloadModal = ({
             },
               h(Icon, { name: 'upload', size: 24, className: 'mx-auto mb-2 text-gray-400' }),
               h('p', { className: 'text-sm text-gray-600 dark:text-gray-400' },
-                torrentFiles.length > 0
-                  ? 'Drop more .torrent files or click to add'
-                  : 'Drop .torrent files here or click to browse'
+                torrentFiles.length > 0 || nzbFiles.length > 0
+                  ? `Drop more ${fileTypesLabel} files or click to add`
+                  : `Drop ${fileTypesLabel} files here or click to browse`
               ),
               h('input', {
                 ref: fileInputRef,
                 type: 'file',
-                accept: '.torrent',
+                accept: fileAccept,
                 multiple: true,
                 onChange: handleFileSelect,
                 className: 'hidden'
@@ -416,7 +624,7 @@ const AddDownloadModal = ({
 
           // BitTorrent client selector - visible when 2+ BT instances and BT downloads
           (() => {
-            const hasBtDownloads = magnetLinks.length > 0 || torrentFiles.length > 0;
+            const hasBtDownloads = magnetLinks.length > 0 || (urlLinks.length > 0 && !urlsToUsenet) || torrentFiles.length > 0;
             if (!hasBtDownloads || !showClientSelector) return null;
 
             return h('div', null,
@@ -430,11 +638,29 @@ const AddDownloadModal = ({
                 showSelector: showClientSelector,
                 variant: 'buttons',
                 label: null,
-                showFullName: true
+                showFullName: true,
+                allowAuto: allowBtAuto
               })
             );
           })(),
 
+          // Usenet client selector - visible when 2+ Usenet instances and Usenet downloads
+          hasUsenetDownloads && showUsenetSelector && h('div', null,
+            h('label', { className: 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1' },
+              'Usenet Client'
+            ),
+            h(BitTorrentClientSelector, {
+              connectedClients: usenetClients,
+              selectedClientId: selectedUsenetId,
+              onSelectClient: selectUsenetClient,
+              showSelector: showUsenetSelector,
+              variant: 'buttons',
+              label: null,
+              showFullName: true,
+              allowAuto: allowUsenetAuto
+            })
+          ),
+
           // aMule instance selector - visible when 2+ aMule instances and ED2K links
           ed2kLinks.length > 0 && h('div', null,
             showAmuleSelector && h('label', { className: 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1' },
@@ -445,14 +671,15 @@ const AddDownloadModal = ({
               selectedId: effectiveAmuleInstance,
               onSelect: selectAmuleInstance,
               showSelector: showAmuleSelector,
-              label: null
+              label: null,
+              allowAuto: allowAmuleAuto
             })
           ),
 
           // Category options toggle - only show when content is entered and at least one client is connected
           (() => {
-            const hasDownloads = ed2kLinks.length > 0 || magnetLinks.length > 0 || torrentFiles.length > 0;
-            const hasConnectedClient = amuleConnected || hasBitTorrentClient;
+            const hasDownloads = ed2kLinks.length > 0 || magnetLinks.length > 0 || urlLinks.length > 0 || torrentFiles.length > 0 || nzbFiles.length > 0;
+            const hasConnectedClient = amuleConnected || hasBitTorrentClient || hasUsenetClient;
             const showOptionsSection = hasDownloads && hasConnectedClient;
 
             if (!showOptionsSection) return null;
@@ -498,7 +725,7 @@ const AddDownloadModal = ({
 
           // Custom save path — independent section (only for capable BT clients with BT downloads)
           (() => {
-            const hasBtDownloads = magnetLinks.length > 0 || torrentFiles.length > 0;
+            const hasBtDownloads = magnetLinks.length > 0 || (urlLinks.length > 0 && urlsToBitTorrent) || torrentFiles.length > 0;
             if (!supportsCustomPath || !hasBtDownloads) return null;
 
             if (!showSavePath) {
@@ -539,8 +766,12 @@ const AddDownloadModal = ({
             );
           })(),
 
+          hasEmptySelection && h('p', { className: 'text-xs text-red-600 dark:text-red-400' },
+            'Select at least one file in each torrent'
+          ),
+
           // Summary (one line per network type)
-          (links.trim() || torrentFiles.length > 0) && h('div', {
+          (links.trim() || torrentFiles.length > 0 || nzbFiles.length > 0) && h('div', {
             className: 'text-xs text-gray-500 dark:text-gray-400 bg-gray-50 dark:bg-gray-700/50 rounded p-2 space-y-0.5'
           }, getSummaryParts().map((part, i) => h('div', { key: i }, part)))
         )
@@ -11,6 +11,7 @@ import { Button, Input, Select, AlertBox, IconButton } from '../common/index.js'
 import { ConfigField } from '../settings/index.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
 import { useModal } from '../../hooks/useModal.js';
+import { useCapabilities } from '../../hooks/useCapabilities.js';
 import DirectoryBrowserModal from './DirectoryBrowserModal.js';
 import { CLIENT_NAMES } from '../../utils/constants.js';
 
@@ -19,6 +20,34 @@ const { createElement: h, useState, useEffect, useCallback, useRef, useMemo } =
 // Debounce delay for path validation (ms)
 const PATH_CHECK_DEBOUNCE = 500;
 
+const SEEDING_RULE_ACTIONS = [
+  { value: 'pause', label: 'Pause' },
+  { value: 'remove', label: 'Remove torrent' },
+  { value: 'removeData', label: 'Remove torrent + data' },
+  { value: 'move', label: 'Move to path' }
+];
+
+// Rules are edited with string inputs (seeding time in days), the API stores hours
+const toRuleRow = (rule) => ({
+  enabled: rule.enabled !== false,
+  minRatio: rule.minRatio != null ? String(rule.minRatio) : '',
+  seedingDays: rule.minSeedingHours != null ? String(Math.round(rule.minSeedingHours / 24 * 100) / 100) : '',
+  action: rule.action || 'pause',
+  destPath: rule.destPath || ''
+});
+
+const fromRuleRow = (row) => {
+  const ratio = parseFloat(row.minRatio);
+  const days = parseFloat(row.seedingDays);
+  return {
+    enabled: row.enabled,
+    minRatio: ratio > 0 ? ratio : null,
+    minSeedingHours: days > 0 ? Math.round(days * 24 * 100) / 100 : null,
+    action: row.action,
+    destPath: row.action === 'move' ? row.destPath.trim() : null
+  };
+};
+
 /**
  * Category create/edit modal
  * @param {boolean} show - Whether to show the modal
@@ -46,6 +75,8 @@ const CategoryModal = ({
 }) => {
   // Get default paths and instance metadata from StaticData
   const { clientDefaultPaths, instances } = useStaticData();
+  // Seeding rules can remove data, so only admins see and change them
+  const { isAdmin } = useCapabilities();
 
   // Build dynamic mapping entries from connected instances
   // Single-instance types use clientType as key (backward compat), multi-instance use instanceId
@@ -87,6 +118,17 @@ const CategoryModal = ({
     return entries;
   }, [instances]);
 
+  // Instances a category can be pinned to (the pin only applies to its own network)
+  const pinOptions = useMemo(() => [
+    { value: '', label: 'None' },
+    ...Object.entries(instances)
+      .sort(([, a], [, b]) => a.order - b.order)
+      .map(([id, inst]) => ({
+        value: id,
+        label: `${inst.name || CLIENT_NAMES[inst.type]?.name || id}${inst.connected ? '' : ' (offline)'}`
+      }))
+  ], [instances]);
+
   const hasAnyClient = mappingEntries.length > 0;
   const nonNativeMoveEntries = useMemo(() => mappingEntries.filter(e => !e.hasNativeMove), [mappingEntries]);
   const hasNativeMoveEntries = mappingEntries.some(e => e.hasNativeMove);
@@ -106,6 +148,12 @@ const CategoryModal = ({
   const pathDebounceRef = useRef(null);
   const mappingDebounceRefs = useRef({});
 
+  // Seeding rules (edited as string rows, see toRuleRow/fromRuleRow)
+  const [ruleRows, setRuleRows] = useState([]);
+  const [rulePreview, setRulePreview] = useState(null);
+  const [rulePreviewLoading, setRulePreviewLoading] = useState(false);
+  const [rulePreviewError, setRulePreviewError] = useState(null);
+
   // Directory browser modal state
   const {
     modal: browserModal,
@@ -271,6 +319,10 @@ const CategoryModal = ({
       setPathWarning(null);
       setMappingWarnings({});
 
+      setRuleRows((category?.seedingRules || []).map(toRuleRow));
+      setRulePreview(null);
+      setRulePreviewError(null);
+
       // Clear initialization flag after a tick (after clear effects have run)
       setTimeout(() => {
         isInitializingRef.current = false;
@@ -326,6 +378,45 @@ const CategoryModal = ({
     }
   }, [formData.path, enablePathMapping]);
 
+  const updateRuleRow = (index, field, value) => {
+    setRuleRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    setRulePreview(null);
+  };
+
+  const addRuleRow = () => {
+    setRuleRows(prev => [...prev, { enabled: true, minRatio: '2', seedingDays: '', action: 'pause', destPath: '' }]);
+    setRulePreview(null);
+  };
+
+  const removeRuleRow = (index) => {
+    setRuleRows(prev => prev.filter((_, i) => i !== index));
+    setRulePreview(null);
+  };
+
+  // Dry run against the saved category name with the rules as currently edited
+  const previewRules = async () => {
+    setRulePreviewLoading(true);
+    setRulePreviewError(null);
+    try {
+      const res = await fetch('/api/seeding-rules/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ category: category.name, rules: ruleRows.map(fromRuleRow) })
+      });
+      const data = await res.json();
+      if (data.type === 'error' || data.success === false) {
+        setRulePreviewError(data.message || data.error || 'Preview failed');
+        setRulePreview(null);
+      } else {
+        setRulePreview(data.results || []);
+      }
+    } catch (err) {
+      setRulePreviewError(err.message);
+    } finally {
+      setRulePreviewLoading(false);
+    }
+  };
+
   if (!show) return null;
 
   const isEdit = mode === 'edit';
@@ -359,6 +450,9 @@ const CategoryModal = ({
       }
     }
 
+    // Non-admins don't send rules at all, so saving leaves existing rules untouched
+    const finalSeedingRules = isAdmin ? ruleRows.map(fromRuleRow) : undefined;
+
     if (isEdit) {
       onUpdate(
         category.name,
@@ -367,7 +461,9 @@ const CategoryModal = ({
         formData.comment,
         formData.color,
         formData.priority,
-        finalPathMappings
+        finalPathMappings,
+        finalSeedingRules,
+        formData.pinnedInstanceId || null
       );
     } else {
       onCreate(
@@ -376,7 +472,9 @@ const CategoryModal = ({
         formData.comment,
         formData.color,
         formData.priority,
-        finalPathMappings
+        finalPathMappings,
+        finalSeedingRules,
+        formData.pinnedInstanceId || null
       );
     }
   };
@@ -452,6 +550,19 @@ const CategoryModal = ({
           })
         ),
 
+        // Pinned instance (used by the "category" download target policy)
+        pinOptions.length > 1 && h(ConfigField, {
+          label: 'Pinned Instance',
+          description: 'Downloads added with "Auto" go to this instance when the download target policy is "Category-pinned instance"'
+        },
+          h(Select, {
+            value: formData.pinnedInstanceId || '',
+            onChange: (e) => onFormDataChange({ ...formData, pinnedInstanceId: e.target.value }),
+            options: pinOptions,
+            className: 'w-full'
+          })
+        ),
+
         // Separator before paths
         h('div', { className: 'border-t border-gray-200 dark:border-gray-700' }),
 
@@ -602,6 +713,93 @@ const CategoryModal = ({
           )
         ),
 
+        // Seeding rules (admin only)
+        isAdmin && h('div', { className: 'border-t border-gray-200 dark:border-gray-700' }),
+        isAdmin && h('div', { className: 'space-y-2' },
+          h('label', { className: 'block text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Seeding Rules'),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+            'Act on completed torrents in this category once either threshold is reached. Rules are checked every few minutes; the first matching rule wins.'
+          ),
+          ruleRows.map((row, i) =>
+            h('div', { key: i, className: 'flex flex-wrap items-center gap-2 p-2 rounded border border-gray-200 dark:border-gray-700' },
+              h('input', {
+                type: 'checkbox',
+                checked: row.enabled,
+                onChange: (e) => updateRuleRow(i, 'enabled', e.target.checked),
+                title: 'Rule enabled',
+                className: 'w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 ' +
+                  'dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600'
+              }),
+              h(Input, {
+                type: 'number',
+                min: 0,
+                step: 0.1,
+                value: row.minRatio,
+                onChange: (e) => updateRuleRow(i, 'minRatio', e.target.value),
+                placeholder: 'Ratio ≥',
+                title: 'Share ratio',
+                className: 'w-24'
+              }),
+              h('span', { className: 'text-xs text-gray-500 dark:text-gray-400' }, 'or'),
+              h(Input, {
+                type: 'number',
+                min: 0,
+                step: 0.5,
+                value: row.seedingDays,
+                onChange: (e) => updateRuleRow(i, 'seedingDays', e.target.value),
+                placeholder: 'Days ≥',
+                title: 'Days seeded (time since completion where the client has no seeding time)',
+                className: 'w-24'
+              }),
+              h(Select, {
+                value: row.action,
+                onChange: (e) => updateRuleRow(i, 'action', e.target.value),
+                options: SEEDING_RULE_ACTIONS,
+                className: 'flex-1 min-w-[9rem]'
+              }),
+              h(IconButton, {
+                type: 'button',
+                icon: 'trash',
+                variant: 'danger',
+                onClick: () => removeRuleRow(i),
+                title: 'Remove rule'
+              }),
+              row.action === 'move' && h(Input, {
+                type: 'text',
+                value: row.destPath,
+                onChange: (e) => updateRuleRow(i, 'destPath', e.target.value),
+                placeholder: '/path/as/seen/by/client',
+                className: 'w-full font-mono'
+              })
+            )
+          ),
+          h('div', { className: 'flex gap-2' },
+            h(Button, { type: 'button', variant: 'secondary', icon: 'plus', onClick: addRuleRow }, 'Add Rule'),
+            isEdit && ruleRows.length > 0 && h(Button, {
+              type: 'button',
+              variant: 'secondary',
+              onClick: previewRules,
+              disabled: rulePreviewLoading
+            }, rulePreviewLoading ? 'Checking...' : 'Preview')
+          ),
+          rulePreviewError && h(AlertBox, { type: 'error' }, rulePreviewError),
+          rulePreview && (rulePreview.length === 0
+            ? h('p', { className: 'text-sm text-gray-500 dark:text-gray-400 italic' }, 'No torrents would be affected right now.')
+            : h('div', { className: 'text-sm space-y-1 max-h-48 overflow-y-auto' },
+                h('p', { className: 'font-medium text-gray-700 dark:text-gray-300' },
+                  `${rulePreview.length} torrent(s) would be affected:`
+                ),
+                rulePreview.map(r =>
+                  h('div', { key: `${r.instanceId}:${r.hash}`, className: 'flex gap-2 text-gray-600 dark:text-gray-400' },
+                    h('span', { className: 'truncate flex-1', title: r.name }, r.name),
+                    h('span', { className: 'flex-shrink-0 text-xs' },
+                      `${SEEDING_RULE_ACTIONS.find(a => a.value === r.action)?.label || r.action} · ${r.reason}`
+                    )
+                  )
+                )
+              ))
+        ),
+
       )
       ), // Close scrollable content div
 
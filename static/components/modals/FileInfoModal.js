@@ -2,7 +2,7 @@
  * FileInfoModal Component
  *
  * Unified modal for displaying file information.
- * Adapts sections based on network type (bittorrent, ed2k-download, ed2k-shared).
+ * Adapts sections based on network type (bittorrent, usenet, ed2k-download, ed2k-shared).
  * Looks up live data from context internally — caller only passes a hash.
  */
 
@@ -11,10 +11,10 @@ import { useTheme } from '../../contexts/ThemeContext.js';
 import { useLiveData } from '../../contexts/LiveDataContext.js';
 import { useWebSocketConnection } from '../../contexts/WebSocketContext.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
-import { SegmentsBar, Icon, Portal, Button, AlertBox, LoadingSpinner } from '../common/index.js';
-import { formatBytes, getProgressColor, getExportLink, getExportLinkLabel, calculateRatio } from '../../utils/index.js';
+import { SegmentsBar, Icon, Portal, Button, AlertBox, LoadingSpinner, SpeedLimitsEditor } from '../common/index.js';
+import { formatBytes, formatSpeed, getProgressColor, getExportLink, getExportLinkLabel, calculateRatio } from '../../utils/index.js';
 import { formatPriority, categorizeDownloadFields, categorizeSharedFields } from '../../utils/fieldFormatters.js';
-import { useCopyToClipboard } from '../../hooks/index.js';
+import { useCopyToClipboard, useCapabilities } from '../../hooks/index.js';
 import {
   InfoModalHeader,
   ExportLinkSection,
@@ -47,6 +47,17 @@ const getDefaultExpanded = (variant) => {
       'Uncategorized': false
     };
   }
+  if (variant === 'usenet') {
+    return {
+      'Files': true,
+      'File Identification': true,
+      'State & Progress': true,
+      'Download Statistics': false,
+      'Timing & Activity': false,
+      'Priority & Category': false,
+      'Uncategorized': false
+    };
+  }
   if (variant === 'ed2k-download') {
     return {
       'Download Sources': true,
@@ -83,6 +94,14 @@ const getHeaderConfig = (variant, item) => {
       color: isSeeding ? 'green' : 'blue'
     };
   }
+  if (variant === 'usenet') {
+    const isComplete = item.progress >= 100;
+    return {
+      icon: isComplete ? 'check' : 'download',
+      title: isComplete ? 'Completed Usenet Job' : 'Usenet Download',
+      color: isComplete ? 'green' : 'blue'
+    };
+  }
   if (variant === 'ed2k-download') {
     return { icon: 'download', title: 'Download Details', color: 'blue' };
   }
@@ -94,6 +113,7 @@ const getHeaderConfig = (variant, item) => {
  */
 const getVariant = (item) => {
   if (item.networkType === 'bittorrent') return 'bittorrent';
+  if (item.networkType === 'usenet') return 'usenet';
   if (item.downloading) return 'ed2k-download';
   return 'ed2k-shared';
 };
@@ -110,6 +130,7 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
   const { dataItems } = useLiveData();
   const { instances, hasMultiInstance } = useStaticData();
   const { copyStatus, handleCopy } = useCopyToClipboard();
+  const { hasCap, isAdmin } = useCapabilities();
 
   // Look up live item by hash + instanceId (compound key when available)
   const liveItem = hash
@@ -143,15 +164,20 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
   const [files, setFiles] = useState(null);
   const [filesLoading, setFilesLoading] = useState(false);
   const [filesError, setFilesError] = useState(null);
+  const [filePriorityError, setFilePriorityError] = useState(null);
+
+  // Tracker editing state
+  const [trackerBusy, setTrackerBusy] = useState(false);
+  const [trackerError, setTrackerError] = useState(null);
 
   // Item detail state (raw + trackersDetailed, stripped from broadcasts)
   const [itemDetail, setItemDetail] = useState(null);
   const [detailLoading, setDetailLoading] = useState(false);
 
-  // Fetch files when modal opens for multi-file torrent items, refresh periodically
+  // Fetch files when modal opens for multi-file torrent items and Usenet jobs, refresh periodically
   useEffect(() => {
-    const isTorrent = variant === 'bittorrent';
-    if (!hash || !liveItem || !isTorrent) {
+    const hasFileList = variant === 'bittorrent' || variant === 'usenet';
+    if (!hash || !liveItem || !hasFileList) {
       setFiles(null);
       return;
     }
@@ -234,21 +260,23 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
   if (!liveItem) return null;
 
   // Raw data for categorized fields:
-  // - rtorrent/qbittorrent: raw contains camelCase fields (hash, name, size, etc.)
+  // - torrent and Usenet clients: raw contains the client's own fields as-is
   // - aMule: EC_TAG_ fields may be at raw top level or nested at raw.raw.
   //   Resolve to whichever level has EC_TAG_ keys.
   // Note: raw is fetched on-demand via API (stripped from broadcasts for performance)
   const isTorrent = variant === 'bittorrent';
+  const isUsenet = variant === 'usenet';
+  const isEd2k = !isTorrent && !isUsenet;
   const rawFull = itemDetail?.raw || {};
-  const ecTagSource = !isTorrent && rawFull.raw && typeof rawFull.raw === 'object'
+  const ecTagSource = isEd2k && rawFull.raw && typeof rawFull.raw === 'object'
     ? rawFull.raw
     : rawFull;
-  const raw = isTorrent
+  const raw = !isEd2k
     ? rawFull
     : { clientType: 'amule', ...Object.fromEntries(Object.entries(ecTagSource).filter(([k]) => k.startsWith('EC_TAG_'))) };
 
   // Inject resolved category name into raw for ed2k downloads (replaces numeric ID)
-  if (!isTorrent && raw.EC_TAG_PARTFILE_CAT !== undefined) {
+  if (isEd2k && raw.EC_TAG_PARTFILE_CAT !== undefined) {
     raw.EC_TAG_PARTFILE_CAT = liveItem.category || 'Default';
   }
 
@@ -266,18 +294,98 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
 
   // --- Variant-specific data ---
 
-  // torrent clients (rtorrent/qbittorrent)
-  const isComplete = isTorrent && liveItem.progress >= 100;
-  const torrentMessage = isTorrent ? (liveItem.message || '') : '';
+  // torrent clients (rtorrent/qbittorrent) and Usenet jobs
+  const isComplete = (isTorrent || isUsenet) && liveItem.progress >= 100;
+  const itemMessage = (isTorrent || isUsenet) ? (liveItem.message || '') : '';
   const trackersDetailed = isTorrent ? (itemDetail?.trackersDetailed || []) : [];
   const allPeers = liveItem.peers || [];
 
   // BitTorrent: all peers shown together (bidirectional)
   const peersDetailedTorrent = isTorrent ? allPeers : [];
 
+  // Per-item speed limits (client capability + pause_resume on an owned item)
+  const supportsItemLimits = instances[liveItem.instanceId]?.capabilities?.itemSpeedLimits === true;
+  const canEditLimits = hasCap('pause_resume') && (hasCap('edit_all_downloads') || liveItem.ownedByMe !== false);
+
+  // Per-file priority / skip (client capability, same permission as limits)
+  const canEditFiles = canEditLimits && instances[liveItem.instanceId]?.capabilities?.filePriority === true;
+
+  const handleSetFilePriority = async (fileIndexes, priority) => {
+    if (fileIndexes.length === 0) return;
+    const previous = files;
+    const indexSet = new Set(fileIndexes);
+    // Optimistic update — the periodic refresh picks up the client's view
+    setFiles(prev => prev && prev.map(f => (indexSet.has(f.index) ? { ...f, priority } : f)));
+    setFilePriorityError(null);
+    try {
+      const res = await fetch('/api/v1/downloads/files/priority', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          items: [{ fileHash: liveItem.hash, instanceId: liveItem.instanceId, fileName: liveItem.name }],
+          fileIndexes,
+          priority
+        })
+      });
+      const data = await res.json();
+      const result = data.results?.[0];
+      if (data.type === 'error' || data.success === false || (result && !result.success)) {
+        throw new Error(result?.error || data.message || data.error || 'Failed to set file priority');
+      }
+    } catch (err) {
+      setFiles(previous);
+      setFilePriorityError(err.message);
+    }
+  };
+
+  // Tracker editing (client capability, same permission as limits)
+  const canEditTrackers = canEditLimits && instances[liveItem.instanceId]?.capabilities?.trackerEdit === true;
+
+  /**
+   * POST a tracker edit, then reload the item detail so the table shows the new list
+   * @returns {Promise<boolean>} True on success
+   */
+  const submitTrackerEdit = async (endpoint, body) => {
+    setTrackerBusy(true);
+    setTrackerError(null);
+    try {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      const failed = data.results?.find(r => !r.success);
+      if (data.type === 'error' || data.success === false || failed) {
+        throw new Error(failed?.error || data.message || data.error || 'Failed to update trackers');
+      }
+
+      const instanceParam = liveItem.instanceId ? `?instanceId=${encodeURIComponent(liveItem.instanceId)}` : '';
+      const detailRes = await fetch(`/api/item/detail/${liveItem.hash}${instanceParam}`);
+      if (detailRes.ok) setItemDetail(await detailRes.json());
+      return true;
+    } catch (err) {
+      setTrackerError(err.message);
+      return false;
+    } finally {
+      setTrackerBusy(false);
+    }
+  };
+
+  const itemRef = [{ fileHash: liveItem.hash, instanceId: liveItem.instanceId, fileName: liveItem.name }];
+  const trackerEditor = canEditTrackers ? {
+    busy: trackerBusy,
+    canReplaceEverywhere: isAdmin,
+    onAdd: (urls) => submitTrackerEdit('/api/v1/downloads/trackers/add', { items: itemRef, urls }),
+    onRemove: (url) => submitTrackerEdit('/api/v1/downloads/trackers/remove', { items: itemRef, urls: [url] }),
+    onReplace: (oldUrl, newUrl, everywhere) => everywhere
+      ? submitTrackerEdit('/api/v1/trackers/replace-all', { find: oldUrl, replace: newUrl })
+      : submitTrackerEdit('/api/v1/downloads/trackers/replace', { items: itemRef, oldUrl, newUrl })
+  } : null;
+
   // aMule: split by role for separate sections
-  const downloadSourcesAmule = !isTorrent ? allPeers.filter(p => p.role === 'download') : [];
-  const peersDetailedAmule = !isTorrent ? allPeers.filter(p => p.role === 'upload') : [];
+  const downloadSourcesAmule = isEd2k ? allPeers.filter(p => p.role === 'download') : [];
+  const peersDetailedAmule = isEd2k ? allPeers.filter(p => p.role === 'upload') : [];
 
   // --- Categorized fields ---
   let categorizedFields = {};
@@ -300,7 +408,7 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
         .filter(c => allFields[c] && allFields[c].length > 0)
         .map(c => [c, allFields[c]])
     );
-  } else if (variant === 'ed2k-download') {
+  } else if (isUsenet || variant === 'ed2k-download') {
     const allFields = categorizeDownloadFields(raw);
     const categoryOrder = [
       'File Identification', 'Source Information', 'State & Progress',
@@ -354,8 +462,8 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
           onCopy: handleCopy
         }),
 
-        // --- torrent: Progress bar (only if not complete) ---
-        isTorrent && !isComplete && h('div', { className: 'bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3 sm:p-4 border border-gray-200 dark:border-gray-700' },
+        // --- torrent / Usenet: Progress bar (only if not complete) ---
+        (isTorrent || isUsenet) && !isComplete && h('div', { className: 'bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3 sm:p-4 border border-gray-200 dark:border-gray-700' },
           h('div', { className: 'text-xs sm:text-sm font-medium text-gray-700 dark:text-gray-300 mb-2' }, 'Progress'),
           h('div', { className: 'w-full bg-gray-200 dark:bg-gray-700 rounded-full h-6 relative overflow-hidden' },
             h('div', {
@@ -412,33 +520,53 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
               liveItem.category || 'Default'
             )
           ),
+          // Usenet has no uploads — show transfer progress instead of upload/ratio
           h('div', { className: 'bg-blue-50 dark:bg-blue-900/20 rounded-lg p-2 sm:p-3' },
-            h('div', { className: 'text-xs text-blue-600 dark:text-blue-400 mb-0.5 sm:mb-1' }, 'Total Upload'),
+            h('div', { className: 'text-xs text-blue-600 dark:text-blue-400 mb-0.5 sm:mb-1' }, isUsenet ? 'Downloaded' : 'Total Upload'),
             h('div', { className: 'text-sm sm:text-base font-semibold text-blue-700 dark:text-blue-300' },
-              formatBytes(liveItem.uploadTotal || 0)
+              formatBytes(isUsenet ? (liveItem.sizeDownloaded || 0) : (liveItem.uploadTotal || 0))
             )
           ),
           h('div', { className: 'bg-purple-50 dark:bg-purple-900/20 rounded-lg p-2 sm:p-3' },
-            h('div', { className: 'text-xs text-purple-600 dark:text-purple-400 mb-0.5 sm:mb-1' }, 'Ratio'),
+            h('div', { className: 'text-xs text-purple-600 dark:text-purple-400 mb-0.5 sm:mb-1' }, isUsenet ? 'Speed' : 'Ratio'),
             h('div', { className: 'text-sm sm:text-base font-semibold text-purple-700 dark:text-purple-300' },
-              calculateRatio(liveItem)
+              isUsenet ? formatSpeed(liveItem.downloadSpeed || 0) : calculateRatio(liveItem)
             )
           )
         ),
 
-        // --- torrent: Message/error section ---
-        isTorrent && torrentMessage && h(AlertBox, { type: 'error', className: 'mb-0' },
+        // --- torrent / Usenet: Message/error section ---
+        itemMessage && h(AlertBox, { type: 'error', className: 'mb-0' },
           h('span', { className: 'font-medium' }, 'Message'),
-          h('p', { className: 'mt-1' }, torrentMessage)
+          h('p', { className: 'mt-1' }, itemMessage)
+        ),
+
+        // --- Speed limits (clients with per-item limits) ---
+        supportsItemLimits && h('div', { className: 'bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3 sm:p-4 border border-gray-200 dark:border-gray-700' },
+          h('div', { className: 'text-xs sm:text-sm font-medium text-gray-700 dark:text-gray-300 mb-2' }, 'Speed Limits'),
+          h(SpeedLimitsEditor, {
+            instanceId: liveItem.instanceId,
+            fileHash: liveItem.hash,
+            fileName: liveItem.name,
+            canEdit: canEditLimits
+          })
         ),
 
-        // --- torrent: Files section (multi-file only) ---
-        isTorrent && (files || filesLoading) && h(CollapsibleTableSection, {
+        // --- torrent / Usenet: Files section (multi-file only) ---
+        (isTorrent || isUsenet) && (files || filesLoading) && h(CollapsibleTableSection, {
           title: 'Files',
           count: files ? files.length : '...',
           expanded: expandedSections['Files'],
           onToggle: () => toggleSection('Files')
-        }, h(FilesTreeSection, { files, loading: filesLoading, error: filesError })),
+        }, h('div', null,
+          filePriorityError && h('p', { className: 'px-3 pt-2 text-xs text-red-600 dark:text-red-400' }, filePriorityError),
+          h(FilesTreeSection, {
+            files,
+            loading: filesLoading,
+            error: filesError,
+            onSetPriority: canEditFiles && !isComplete ? handleSetFilePriority : null
+          })
+        )),
 
         // --- torrent: Peers section ---
         isTorrent && peersDetailedTorrent.length > 0 && h(CollapsibleTableSection, {
@@ -449,15 +577,18 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
         }, h(PeersTable, { peers: peersDetailedTorrent })),
 
         // --- torrent: Trackers section ---
-        isTorrent && trackersDetailed.length > 0 && h(CollapsibleTableSection, {
+        isTorrent && (trackersDetailed.length > 0 || trackerEditor) && h(CollapsibleTableSection, {
           title: 'Trackers',
           count: trackersDetailed.length,
           expanded: expandedSections['Trackers'],
           onToggle: () => toggleSection('Trackers')
-        }, h(TrackersTable, { trackers: trackersDetailed, clientType: instances[liveItem.instanceId]?.type })),
+        }, h('div', null,
+          trackerError && h('p', { className: 'px-3 pt-2 text-xs text-red-600 dark:text-red-400' }, trackerError),
+          h(TrackersTable, { trackers: trackersDetailed, clientType: instances[liveItem.instanceId]?.type, editor: trackerEditor })
+        )),
 
         // --- ed2k: Download Sources (peers we download from) section ---
-        !isTorrent && downloadSourcesAmule.length > 0 && h(CollapsibleTableSection, {
+        isEd2k && downloadSourcesAmule.length > 0 && h(CollapsibleTableSection, {
           title: 'Download Sources',
           count: downloadSourcesAmule.length,
           expanded: expandedSections['Download Sources'],
@@ -465,7 +596,7 @@ const FileInfoModal = ({ hash, instanceId, onClose }) => {
         }, h(PeersTable, { peers: downloadSourcesAmule, variant: 'amule-source' })),
 
         // --- ed2k: Active Uploads (peers) section ---
-        !isTorrent && peersDetailedAmule.length > 0 && h(CollapsibleTableSection, {
+        isEd2k && peersDetailedAmule.length > 0 && h(CollapsibleTableSection, {
           title: 'Active Uploads',
           count: peersDetailedAmule.length,
           expanded: expandedSections['Active Uploads'],
@@ -7,11 +7,11 @@
  * - CategoryFieldsSection: Collapsible category fields
  * - CollapsibleTableSection: Collapsible section wrapper
  * - PeersTable: Peers table for rtorrent and qBittorrent
- * - TrackersTable: Trackers table for rtorrent and qBittorrent
+ * - TrackersTable: Trackers table for rtorrent and qBittorrent (optionally editable)
  */
 
 import React from 'https://esm.sh/react@18.2.0';
-import { Icon, FlagIcon, Tooltip, IconButton, LoadingSpinner } from '../common/index.js';
+import { Icon, FlagIcon, Tooltip, IconButton, LoadingSpinner, Button, Textarea } from '../common/index.js';
 import { formatBytes } from '../../utils/index.js';
 import { formatFieldName, formatFieldValue } from '../../utils/fieldFormatters.js';
 import { TRACKER_CONFIGS } from '../../utils/fieldRegistry.js';
@@ -574,10 +574,37 @@ const buildFileTree = (files) => {
   return root;
 };
 
+/**
+ * Collect all files below a tree node
+ * @param {Object} node - Tree node
+ * @returns {Array} Flat array of file objects
+ */
+const collectTreeFiles = (node) => [
+  ...node.files,
+  ...Object.values(node.children).flatMap(collectTreeFiles)
+];
+
+/**
+ * Selection checkbox for the editable files tree
+ * @param {boolean} checked - All files selected
+ * @param {boolean} partial - Some (but not all) files selected
+ * @param {function} onChange - Called with the new checked state
+ */
+const FileSelectBox = ({ checked, partial = false, onChange }) =>
+  h('input', {
+    type: 'checkbox',
+    checked,
+    ref: (el) => { if (el) el.indeterminate = partial; },
+    onClick: (e) => e.stopPropagation(),
+    onChange: (e) => onChange(e.target.checked),
+    className: 'w-3.5 h-3.5 flex-shrink-0 accent-blue-600 cursor-pointer'
+  });
+
 /**
  * Recursive tree node component
+ * @param {Object} editor - Optional { onSetPriority(indexes, priority), priorityEditable, showProgress }
  */
-const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
+const TreeNode = ({ node, depth = 0, defaultExpanded, editor }) => {
   const itemCount = node.files.length + Object.keys(node.children).length;
   const autoExpand = defaultExpanded !== undefined ? defaultExpanded : itemCount < 10;
   const [expanded, setExpanded] = useState(autoExpand);
@@ -620,10 +647,10 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
     // Root node - render children directly
     return h('div', { className: 'space-y-0.5' },
       sortedChildren.folders.map(child =>
-        h(TreeNode, { key: child.name, node: child, depth: 0, defaultExpanded })
+        h(TreeNode, { key: child.name, node: child, depth: 0, defaultExpanded, editor })
       ),
       sortedChildren.files.map(file =>
-        h(TreeNode, { key: file.path, node: { name: file.name, children: {}, files: [], file }, depth: 0, defaultExpanded })
+        h(TreeNode, { key: file.path, node: { name: file.name, children: {}, files: [], file }, depth: 0, defaultExpanded, editor })
       )
     );
   }
@@ -633,11 +660,17 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
     const file = node.file;
     const priorityLabel = file.priority === 0 ? 'Off' : file.priority === 2 ? 'High' : '';
     const isComplete = file.progress >= 100;
+    // Wanted files can be toggled between Normal and High when editing priorities
+    const canTogglePriority = editor?.priorityEditable && file.priority > 0;
 
     return h('div', {
       className: 'flex items-center gap-2 py-1 px-2 hover:bg-gray-50 dark:hover:bg-gray-700/30 rounded',
       style: { paddingLeft: `${depth * 16 + 8}px` }
     },
+      editor && h(FileSelectBox, {
+        checked: file.priority > 0,
+        onChange: (checked) => editor.onSetPriority([file.index], checked ? 1 : 0)
+      }),
       h(Icon, {
         name: 'file',
         size: 14,
@@ -647,17 +680,28 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
         className: 'flex-1 text-xs text-gray-800 dark:text-gray-200 truncate',
         title: file.name
       }, file.name),
-      priorityLabel && h('span', {
-        className: `text-[10px] px-1.5 py-0.5 rounded ${
-          file.priority === 0
-            ? 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
-            : 'bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400'
-        }`
-      }, priorityLabel),
+      canTogglePriority
+        ? h('button', {
+            type: 'button',
+            onClick: () => editor.onSetPriority([file.index], file.priority === 2 ? 1 : 2),
+            title: file.priority === 2 ? 'Set normal priority' : 'Set high priority',
+            className: `text-[10px] px-1.5 py-0.5 rounded ${
+              file.priority === 2
+                ? 'bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400 hover:text-orange-600 dark:hover:text-orange-400'
+            }`
+          }, file.priority === 2 ? 'High' : 'Normal')
+        : priorityLabel && h('span', {
+            className: `text-[10px] px-1.5 py-0.5 rounded ${
+              file.priority === 0
+                ? 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
+                : 'bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400'
+            }`
+          }, priorityLabel),
       h('span', {
         className: 'text-xs text-gray-500 dark:text-gray-400 font-mono whitespace-nowrap'
       }, formatBytes(file.size)),
-      h('div', { className: 'w-16 flex items-center gap-1' },
+      editor?.showProgress !== false && h('div', { className: 'w-16 flex items-center gap-1' },
         h('div', { className: 'flex-1 h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden' },
           h('div', {
             className: `h-full rounded-full ${isComplete ? 'bg-green-500' : 'bg-blue-500'}`,
@@ -673,6 +717,8 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
 
   // Folder node
   const isComplete = folderStats.progress >= 100;
+  const folderFiles = editor ? collectTreeFiles(node) : [];
+  const wantedCount = folderFiles.filter(f => f.priority > 0).length;
 
   return h('div', null,
     h('div', {
@@ -685,6 +731,11 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
         size: 12,
         className: 'text-gray-400 dark:text-gray-500 flex-shrink-0'
       }),
+      editor && h(FileSelectBox, {
+        checked: folderFiles.length > 0 && wantedCount === folderFiles.length,
+        partial: wantedCount > 0 && wantedCount < folderFiles.length,
+        onChange: (checked) => editor.onSetPriority(folderFiles.map(f => f.index), checked ? 1 : 0)
+      }),
       h(Icon, {
         name: expanded ? 'folderOpen' : 'folder',
         size: 14,
@@ -697,7 +748,7 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
       h('span', {
         className: 'text-xs text-gray-500 dark:text-gray-400 font-mono whitespace-nowrap'
       }, formatBytes(folderStats.totalSize)),
-      h('div', { className: 'w-16 flex items-center gap-1' },
+      editor?.showProgress !== false && h('div', { className: 'w-16 flex items-center gap-1' },
         h('div', { className: 'flex-1 h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden' },
           h('div', {
             className: `h-full rounded-full ${isComplete ? 'bg-green-500' : 'bg-blue-500'}`,
@@ -711,10 +762,10 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
     ),
     expanded && h('div', null,
       sortedChildren.folders.map(child =>
-        h(TreeNode, { key: child.name, node: child, depth: depth + 1 })
+        h(TreeNode, { key: child.name, node: child, depth: depth + 1, editor })
       ),
       sortedChildren.files.map(file =>
-        h(TreeNode, { key: file.path, node: { name: file.name, children: {}, files: [], file }, depth: depth + 1 })
+        h(TreeNode, { key: file.path, node: { name: file.name, children: {}, files: [], file }, depth: depth + 1, editor })
       )
     )
   );
@@ -722,12 +773,18 @@ const TreeNode = ({ node, depth = 0, defaultExpanded }) => {
 
 /**
  * Files tree section for multi-file torrents
- * @param {Array} files - Array of file objects with path, size, progress
+ * @param {Array} files - Array of file objects with index, path, size, progress, priority
  * @param {boolean} loading - Whether files are being loaded
  * @param {string} error - Error message if loading failed
+ * @param {function} onSetPriority - Optional (indexes, priority) handler; shows selection checkboxes when set
+ * @param {boolean} priorityEditable - Allow toggling Normal/High on selected files (default true)
+ * @param {boolean} showProgress - Show per-file progress bars (default true)
+ * @param {boolean} defaultExpanded - Force folders open/closed (default: open when small)
  */
-export const FilesTreeSection = ({ files, loading, error }) => {
+export const FilesTreeSection = ({ files, loading, error, onSetPriority, priorityEditable = true, showProgress = true, defaultExpanded }) => {
   const tree = useMemo(() => files ? buildFileTree(files) : null, [files]);
+  const editor = useMemo(() => onSetPriority ? { onSetPriority, priorityEditable, showProgress } : null,
+    [onSetPriority, priorityEditable, showProgress]);
 
   if (loading) {
     return h('div', { className: 'flex items-center justify-center py-8' },
@@ -744,7 +801,7 @@ export const FilesTreeSection = ({ files, loading, error }) => {
   }
 
   return h('div', { className: 'p-2' },
-    h(TreeNode, { node: tree })
+    h(TreeNode, { node: tree, defaultExpanded, editor })
   );
 };
 
@@ -765,13 +822,34 @@ const normalizeTracker = (tracker, config) => {
   return { ...tracker, url, enabled, scrapeComplete, scrapeIncomplete, scrapeDownloaded, message, statusLabel };
 };
 
+// Real announce URLs (excludes DHT/PeX/LSD pseudo entries)
+const EDITABLE_TRACKER_URL = /^(https?|udp|wss?):\/\/\S+$/i;
+
+/**
+ * Small icon button for tracker row actions
+ */
+const TrackerActionButton = ({ icon, title, onClick, disabled, danger = false }) =>
+  h('button', {
+    type: 'button',
+    onClick,
+    disabled,
+    title,
+    className: `p-1 rounded text-gray-400 dark:text-gray-500 disabled:opacity-50 ${
+      danger ? 'hover:text-red-600 dark:hover:text-red-400' : 'hover:text-blue-600 dark:hover:text-blue-400'
+    }`
+  }, h(Icon, { name: icon, size: 12 }));
+
 /**
  * Trackers table component for rtorrent and qBittorrent downloads/shared files
  * Supports both rtorrent and qBittorrent field naming conventions
  * @param {Array} trackers - Array of tracker objects
+ * @param {Object} editor - Optional { onAdd(urls), onRemove(url), onReplace(oldUrl, newUrl, everywhere),
+ *   canReplaceEverywhere, busy } — handlers resolve to true on success
  */
-export const TrackersTable = ({ trackers, clientType }) => {
+export const TrackersTable = ({ trackers, clientType, editor }) => {
   const [sort, setSort] = useState({ key: 'scrapeComplete', direction: 'desc' });
+  const [editing, setEditing] = useState(null);  // { url, value, everywhere }
+  const [addText, setAddText] = useState('');
 
   const handleSort = (key) => {
     setSort(prev => ({
@@ -831,61 +909,155 @@ export const TrackersTable = ({ trackers, clientType }) => {
     });
   }, [normalizedTrackers, sort]);
 
-  if (!trackers || trackers.length === 0) return null;
+  if ((!trackers || trackers.length === 0) && !editor) return null;
 
-  return h('div', { className: 'overflow-x-auto' },
-    h('table', { className: 'w-full text-xs' },
-      h('thead', null,
-        h('tr', { className: 'bg-gray-50 dark:bg-gray-700/50' },
-          h(SortableHeader, { label: 'URL', sortKey: 'url', currentSort: sort, onSort: handleSort }),
-          h(SortableHeader, { label: 'Status', sortKey: 'enabled', currentSort: sort, onSort: handleSort, align: 'center' }),
-          h(SortableHeader, { label: 'Seeds', sortKey: 'scrapeComplete', currentSort: sort, onSort: handleSort, align: 'right' }),
-          h(SortableHeader, { label: 'Leechers', sortKey: 'scrapeIncomplete', currentSort: sort, onSort: handleSort, align: 'right' }),
-          h(SortableHeader, { label: 'Downloads', sortKey: 'scrapeDownloaded', currentSort: sort, onSort: handleSort, align: 'right' }),
-          hasMessages && h('th', { className: 'px-2 py-1.5 text-left font-medium text-gray-600 dark:text-gray-300' }, 'Message')
-        )
-      ),
-      h('tbody', { className: 'divide-y divide-gray-200 dark:divide-gray-700' },
-        sortedTrackers.map((tracker, idx) => {
-          // Determine status badge style
-          const isActive = tracker.enabled;
-          const isError = tracker.statusLabel === 'Error';
+  // rTorrent keeps removed trackers as disabled entries — only active ones are editable
+  const isEditable = (tracker) =>
+    EDITABLE_TRACKER_URL.test(tracker.url) && (clientType !== 'rtorrent' || tracker.enabled);
 
-          return h('tr', {
-            key: `${tracker.url}-${idx}`,
-            className: 'hover:bg-gray-50 dark:hover:bg-gray-700/30'
+  const handleSaveEdit = async () => {
+    const value = editing.value.trim();
+    if (!value || value === editing.url) {
+      setEditing(null);
+      return;
+    }
+    if (await editor.onReplace(editing.url, value, editing.everywhere)) {
+      setEditing(null);
+    }
+  };
+
+  const handleAdd = async () => {
+    const urls = addText.split('\n').map(u => u.trim()).filter(Boolean);
+    if (urls.length > 0 && await editor.onAdd(urls)) {
+      setAddText('');
+    }
+  };
+
+  const renderUrlCell = (tracker) => {
+    if (editing?.url === tracker.url) {
+      return h('td', { className: 'px-2 py-1', colSpan: 2 },
+        h('div', { className: 'flex items-center gap-1' },
+          h('input', {
+            type: 'text',
+            value: editing.value,
+            autoFocus: true,
+            onChange: (e) => setEditing(prev => ({ ...prev, value: e.target.value })),
+            onKeyDown: (e) => {
+              if (e.key === 'Enter') handleSaveEdit();
+              if (e.key === 'Escape') setEditing(null);
+            },
+            className: 'flex-1 min-w-0 px-1.5 py-0.5 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-xs'
+          }),
+          editor.canReplaceEverywhere && h('label', {
+            className: 'flex items-center gap-1 text-[10px] text-gray-500 dark:text-gray-400 whitespace-nowrap',
+            title: 'Replace this URL on every torrent of every client'
           },
-            h('td', {
-              className: 'px-2 py-1.5 text-gray-900 dark:text-gray-100 truncate max-w-[300px]',
-              title: tracker.url
-            }, tracker.url),
-            h('td', { className: 'px-2 py-1.5 text-center' },
-              h('span', {
-                className: `px-1.5 py-0.5 rounded text-xs font-medium ${
-                  isActive
-                    ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'
-                    : isError
-                      ? 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'
-                      : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
-                }`
-              }, tracker.statusLabel)
-            ),
-            h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
-              tracker.scrapeComplete >= 0 ? tracker.scrapeComplete : '-'
-            ),
-            h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
-              tracker.scrapeIncomplete >= 0 ? tracker.scrapeIncomplete : '-'
-            ),
-            h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
-              tracker.scrapeDownloaded >= 0 ? tracker.scrapeDownloaded : '-'
-            ),
-            hasMessages && h('td', {
-              className: 'px-2 py-1.5 text-gray-500 dark:text-gray-400 truncate max-w-[200px]',
-              title: tracker.message
-            }, tracker.message || '-')
-          );
-        })
+            h('input', {
+              type: 'checkbox',
+              checked: editing.everywhere,
+              onChange: (e) => setEditing(prev => ({ ...prev, everywhere: e.target.checked })),
+              className: 'w-3 h-3 accent-blue-600'
+            }),
+            'All torrents'
+          ),
+          h(TrackerActionButton, { icon: 'check', title: 'Save', onClick: handleSaveEdit, disabled: editor.busy }),
+          h(TrackerActionButton, { icon: 'x', title: 'Cancel', onClick: () => setEditing(null) })
+        )
+      );
+    }
+
+    return h('td', {
+      className: 'px-2 py-1.5 text-gray-900 dark:text-gray-100 truncate max-w-[300px]',
+      title: tracker.url
+    }, tracker.url);
+  };
+
+  return h('div', null,
+    trackers && trackers.length > 0 && h('div', { className: 'overflow-x-auto' },
+      h('table', { className: 'w-full text-xs' },
+        h('thead', null,
+          h('tr', { className: 'bg-gray-50 dark:bg-gray-700/50' },
+            h(SortableHeader, { label: 'URL', sortKey: 'url', currentSort: sort, onSort: handleSort }),
+            h(SortableHeader, { label: 'Status', sortKey: 'enabled', currentSort: sort, onSort: handleSort, align: 'center' }),
+            h(SortableHeader, { label: 'Seeds', sortKey: 'scrapeComplete', currentSort: sort, onSort: handleSort, align: 'right' }),
+            h(SortableHeader, { label: 'Leechers', sortKey: 'scrapeIncomplete', currentSort: sort, onSort: handleSort, align: 'right' }),
+            h(SortableHeader, { label: 'Downloads', sortKey: 'scrapeDownloaded', currentSort: sort, onSort: handleSort, align: 'right' }),
+            hasMessages && h('th', { className: 'px-2 py-1.5 text-left font-medium text-gray-600 dark:text-gray-300' }, 'Message'),
+            editor && h('th', { className: 'w-12' })
+          )
+        ),
+        h('tbody', { className: 'divide-y divide-gray-200 dark:divide-gray-700' },
+          sortedTrackers.map((tracker, idx) => {
+            // Determine status badge style
+            const isActive = tracker.enabled;
+            const isError = tracker.statusLabel === 'Error';
+            const isEditing = editing?.url === tracker.url;
+
+            return h('tr', {
+              key: `${tracker.url}-${idx}`,
+              className: 'hover:bg-gray-50 dark:hover:bg-gray-700/30'
+            },
+              renderUrlCell(tracker),
+              !isEditing && h('td', { className: 'px-2 py-1.5 text-center' },
+                h('span', {
+                  className: `px-1.5 py-0.5 rounded text-xs font-medium ${
+                    isActive
+                      ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+                      : isError
+                        ? 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
+                  }`
+                }, tracker.statusLabel)
+              ),
+              h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
+                tracker.scrapeComplete >= 0 ? tracker.scrapeComplete : '-'
+              ),
+              h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
+                tracker.scrapeIncomplete >= 0 ? tracker.scrapeIncomplete : '-'
+              ),
+              h('td', { className: 'px-2 py-1.5 text-right text-gray-600 dark:text-gray-400' },
+                tracker.scrapeDownloaded >= 0 ? tracker.scrapeDownloaded : '-'
+              ),
+              hasMessages && h('td', {
+                className: 'px-2 py-1.5 text-gray-500 dark:text-gray-400 truncate max-w-[200px]',
+                title: tracker.message
+              }, tracker.message || '-'),
+              editor && h('td', { className: 'px-1 py-1.5 text-right whitespace-nowrap' },
+                !isEditing && isEditable(tracker) && h('div', { className: 'inline-flex' },
+                  h(TrackerActionButton, {
+                    icon: 'edit',
+                    title: 'Edit URL',
+                    disabled: editor.busy,
+                    onClick: () => setEditing({ url: tracker.url, value: tracker.url, everywhere: false })
+                  }),
+                  h(TrackerActionButton, {
+                    icon: 'trash',
+                    title: 'Remove tracker',
+                    danger: true,
+                    disabled: editor.busy,
+                    onClick: () => editor.onRemove(tracker.url)
+                  })
+                )
+              )
+            );
+          })
+        )
       )
+    ),
+    editor && h('div', { className: 'flex items-start gap-2 p-2 border-t border-gray-200 dark:border-gray-700' },
+      h(Textarea, {
+        value: addText,
+        onChange: (e) => setAddText(e.target.value),
+        placeholder: 'Add trackers (one URL per line)',
+        rows: 2,
+        className: 'flex-1 text-xs font-mono'
+      }),
+      h(Button, {
+        variant: 'secondary',
+        icon: 'plus',
+        onClick: handleAdd,
+        disabled: editor.busy || !addText.trim()
+      }, 'Add')
     )
   );
 };
@@ -2,18 +2,24 @@
  * ProfileModal Component
  *
  * Self-service profile update modal for all authenticated users.
- * Allows changing password.
+ * Allows changing password and managing personal notifications.
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import Portal from '../common/Portal.js';
 import { AlertBox, Icon } from '../common/index.js';
 import { ConfigField, PasswordField } from '../settings/index.js';
+import { PersonalNotifications } from '../notifications/index.js';
 import { validatePassword } from '../../utils/passwordValidator.js';
 import { useDebouncedValue } from '../../hooks/useDebouncedValue.js';
 
 const { createElement: h, useState, useEffect, useCallback } = React;
 
+const TABS = [
+  { key: 'password', label: 'Password' },
+  { key: 'notifications', label: 'Notifications' }
+];
+
 /**
  * @param {boolean} show
  * @param {string} username - Current username
@@ -21,6 +27,7 @@ const { createElement: h, useState, useEffect, useCallback } = React;
  * @param {function} onSave - async ({ currentPassword, newPassword }) => void
  */
 const ProfileModal = ({ show, username, onClose, onSave }) => {
+  const [tab, setTab] = useState('password');
   const [currentPassword, setCurrentPassword] = useState('');
   const [newPassword, setNewPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
@@ -31,6 +38,7 @@ const ProfileModal = ({ show, username, onClose, onSave }) => {
 
   useEffect(() => {
     if (!show) return;
+    setTab('password');
     setCurrentPassword('');
     setNewPassword('');
     setConfirmPassword('');
@@ -85,7 +93,7 @@ const ProfileModal = ({ show, username, onClose, onSave }) => {
       onClick: onClose
     },
       h('div', {
-        className: 'w-full max-w-md bg-white dark:bg-gray-800 rounded-xl shadow-xl overflow-hidden flex flex-col',
+        className: 'w-full max-w-md max-h-[90vh] bg-white dark:bg-gray-800 rounded-xl shadow-xl overflow-hidden flex flex-col',
         onClick: (e) => e.stopPropagation()
       },
         // Header
@@ -100,10 +108,25 @@ const ProfileModal = ({ show, username, onClose, onSave }) => {
           }, h(Icon, { name: 'x', size: 20, className: 'text-gray-500' }))
         ),
 
+        // Tabs
+        h('div', { className: 'px-6 flex gap-4 border-b border-gray-200 dark:border-gray-700' },
+          TABS.map(t =>
+            h('button', {
+              key: t.key,
+              onClick: () => setTab(t.key),
+              className: `py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${tab === t.key
+                ? 'border-blue-600 text-blue-600 dark:text-blue-400'
+                : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'}`
+            }, t.label)
+          )
+        ),
+
         // Body
         h('div', { className: 'flex-1 overflow-y-auto px-6 py-4 space-y-4' },
+          tab === 'notifications' && h(PersonalNotifications),
+
           // Password Change Section
-          h('div', { className: 'space-y-3' },
+          tab === 'password' && h('div', { className: 'space-y-3' },
               h(ConfigField, { label: 'Current Password' },
                 h(PasswordField, {
                   value: currentPassword,
@@ -148,8 +171,8 @@ const ProfileModal = ({ show, username, onClose, onSave }) => {
           )
         ),
 
-        // Footer
-        h('div', { className: 'px-6 py-4 border-t border-gray-200 dark:border-gray-700' },
+        // Footer (notification changes are saved as they are made)
+        tab === 'password' && h('div', { className: 'px-6 py-4 border-t border-gray-200 dark:border-gray-700' },
           error && h('div', { className: 'mb-3' },
             h(AlertBox, { type: 'error' }, h('p', {}, error))
           ),
@@ -0,0 +1,109 @@
+/**
+ * TransferModal Component
+ *
+ * Modal for handing torrents over to another BitTorrent instance.
+ * The data stays in place: the target adds the torrent with the same save
+ * path, rechecks it, and the source drops it once the data is verified.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import Portal from '../common/Portal.js';
+import { Button, Icon, AlertBox, ClientIcon } from '../common/index.js';
+
+const { createElement: h, useState, useEffect, useCallback } = React;
+
+/**
+ * @param {boolean} isOpen
+ * @param {function} onClose
+ * @param {function} onSubmit - (targetInstanceId) => void
+ * @param {string} fileName - Display name (single item)
+ * @param {number} fileCount - Number of items
+ * @param {Array} targets - [{ id, type, name }] instances the items can go to
+ */
+const TransferModal = ({ isOpen, onClose, onSubmit, fileName, fileCount, targets = [] }) => {
+  const [targetId, setTargetId] = useState(null);
+
+  // Preselect the only target, otherwise make the user pick
+  useEffect(() => {
+    if (isOpen) setTargetId(targets.length === 1 ? targets[0].id : null);
+  }, [isOpen, targets]);
+
+  const handleSubmit = useCallback(() => {
+    if (targetId) onSubmit(targetId);
+  }, [targetId, onSubmit]);
+
+  if (!isOpen) return null;
+
+  const title = fileCount > 1 ? `Transfer ${fileCount} torrents` : 'Transfer to instance...';
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-2 sm:p-4 bg-black/50',
+      onClick: (e) => e.target === e.currentTarget && onClose()
+    },
+      h('div', {
+        className: 'modal-full w-full max-w-lg bg-white dark:bg-gray-800 rounded-lg shadow-xl max-h-[85vh] sm:max-h-[90vh] flex flex-col overflow-hidden'
+      },
+        // Header
+        h('div', { className: 'flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700' },
+          h('h2', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100' }, title),
+          h('button', {
+            onClick: onClose,
+            className: 'p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+          }, h(Icon, { name: 'x', size: 20 }))
+        ),
+
+        // Content
+        h('div', { className: 'flex-1 overflow-y-auto p-4 sm:p-6 space-y-4' },
+          fileCount === 1 && fileName && h('div', { className: 'text-sm text-gray-600 dark:text-gray-400' },
+            h('span', { className: 'font-medium text-gray-900 dark:text-gray-100 break-all' }, fileName)
+          ),
+
+          targets.length === 0
+            ? h(AlertBox, { type: 'warning' },
+                h('p', { className: 'text-xs' }, 'No other connected BitTorrent instance can verify transferred torrents.')
+              )
+            : h('div', { className: 'space-y-2' },
+                targets.map(target =>
+                  h('button', {
+                    key: target.id,
+                    type: 'button',
+                    onClick: () => setTargetId(target.id),
+                    className: `w-full flex items-center gap-3 px-3 py-2 rounded-lg border text-left text-sm transition-colors ${
+                      targetId === target.id
+                        ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30 text-gray-900 dark:text-gray-100'
+                        : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                    }`
+                  },
+                    h(ClientIcon, { client: target.type, size: 18, title: '' }),
+                    h('span', { className: 'flex-1 font-medium' }, target.name),
+                    targetId === target.id && h(Icon, { name: 'check', size: 16, className: 'text-blue-600 dark:text-blue-400' })
+                  )
+                )
+              ),
+
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+            'Files stay where they are. The torrent is stopped here, added to the target with the same save path ',
+            '(translated through the category path mappings) and rechecked. It is removed from this instance once ',
+            'the target has verified the data, or put back if verification fails. The source must provide ',
+            'the .torrent file (qBittorrent, or rTorrent and Transmission when their session directory is readable).'
+          )
+        ),
+
+        // Footer
+        h('div', { className: 'px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3' },
+          h(Button, { variant: 'secondary', onClick: onClose }, 'Cancel'),
+          h(Button, {
+            variant: 'primary',
+            icon: 'arrowRightLeft',
+            iconSize: 14,
+            disabled: !targetId,
+            onClick: handleSubmit
+          }, 'Transfer')
+        )
+      )
+    )
+  );
+};
+
+export default TransferModal;
@@ -16,3 +16,4 @@ export { default as DirectoryBrowserModal } from './DirectoryBrowserModal.js';
 export { default as UserModal } from './UserModal.js';
 export { default as ProfileModal } from './ProfileModal.js';
 export { default as FileRenameModal } from './FileRenameModal.js';
+export { default as TransferModal } from './TransferModal.js';
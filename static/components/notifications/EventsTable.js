@@ -2,6 +2,7 @@
  * EventsTable Component
  *
  * Table showing all event types with checkboxes to enable/disable notifications
+ * and the latest delivery result of each service per event
  */
 
 import React from 'https://esm.sh/react@18.2.0';
@@ -9,22 +10,41 @@ import { getEventTypeOptions } from '../../utils/notificationServiceSchemas.js';
 
 const { createElement: h } = React;
 
+/**
+ * Describe a delivery log entry for the badge tooltip
+ * @param {Object} entry - { time, via, success, attempts, message }
+ * @returns {string}
+ */
+const describeDelivery = (entry) => {
+  const via = entry.via === 'apprise' ? 'Apprise' : 'built-in';
+  const attempts = entry.attempts > 1 ? `, ${entry.attempts} attempts` : '';
+  return `${new Date(entry.time).toLocaleString()} (${via}${attempts})\n${entry.message}`;
+};
+
 /**
  * EventsTable component
  * @param {Object} events - Current events state { eventType: boolean, ... }
  * @param {function} onEventChange - Callback when an event is toggled
  * @param {boolean} disabled - Whether the controls are disabled
+ * @param {Array} services - Configured services (for delivery badges)
+ * @param {Object} deliveries - Delivery log { serviceId: [entry, ...] } (newest first)
  */
-const EventsTable = ({ events = {}, onEventChange, disabled = false }) => {
+const EventsTable = ({ events = {}, onEventChange, disabled = false, services = [], deliveries = {} }) => {
   const eventOptions = getEventTypeOptions();
 
+  // Latest delivery of each service for an event type
+  const lastDeliveries = (eventType) => services
+    .map(service => ({ service, entry: (deliveries[service.id] || []).find(d => d.eventType === eventType) }))
+    .filter(({ entry }) => entry);
+
   return h('div', { className: 'overflow-x-auto' },
     h('table', { className: 'w-full text-sm' },
       h('thead', {},
         h('tr', { className: 'text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700' },
           h('th', { className: 'pb-2 pr-4 font-medium w-16' }, 'Enable'),
           h('th', { className: 'pb-2 pr-4 font-medium' }, 'Event'),
-          h('th', { className: 'pb-2 font-medium hidden sm:table-cell' }, 'Description')
+          h('th', { className: 'pb-2 pr-4 font-medium hidden sm:table-cell' }, 'Description'),
+          h('th', { className: 'pb-2 font-medium' }, 'Last Delivery')
         )
       ),
       h('tbody', { className: 'divide-y divide-gray-100 dark:divide-gray-800' },
@@ -42,7 +62,20 @@ const EventsTable = ({ events = {}, onEventChange, disabled = false }) => {
             h('td', { className: 'py-2 pr-4' },
               h('span', { className: 'font-medium text-gray-900 dark:text-gray-100' }, event.label)
             ),
-            h('td', { className: 'py-2 text-gray-600 dark:text-gray-400 hidden sm:table-cell' }, event.description)
+            h('td', { className: 'py-2 pr-4 text-gray-600 dark:text-gray-400 hidden sm:table-cell' }, event.description),
+            h('td', { className: 'py-2' },
+              h('div', { className: 'flex flex-wrap gap-1' },
+                lastDeliveries(event.key).map(({ service, entry }) =>
+                  h('span', {
+                    key: service.id,
+                    title: describeDelivery(entry),
+                    className: `text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${entry.success
+                      ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400'
+                      : 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400'}`
+                  }, `${entry.success ? '✓' : '✗'} ${service.name}`)
+                )
+              )
+            )
           )
         )
       )
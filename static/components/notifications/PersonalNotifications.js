@@ -0,0 +1,204 @@
+/**
+ * PersonalNotifications Component
+ *
+ * The signed-in user's own notification services and the events of
+ * their downloads they want to hear about (shown in the profile modal)
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { AlertBox, Icon, LoadingSpinner } from '../common/index.js';
+import { EnableToggle, TestResultIndicator } from '../settings/index.js';
+import { EVENT_TYPES } from '../../utils/notificationServiceSchemas.js';
+import ServiceCard from './ServiceCard.js';
+import ServiceModal from './ServiceModal.js';
+
+const { createElement: h, useState, useEffect, useCallback } = React;
+
+/**
+ * Call the personal notifications API
+ * @param {string} path - Path below /api/notifications/me
+ * @param {string} method - HTTP method
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} Parsed response
+ */
+const request = async (path = '', method = 'GET', body = undefined) => {
+  const res = await fetch(`/api/notifications/me${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const json = await res.json();
+  if (!res.ok) throw new Error(json.message || `HTTP ${res.status}`);
+  return json;
+};
+
+/**
+ * PersonalNotifications component
+ */
+const PersonalNotifications = () => {
+  const [data, setData] = useState(null); // { allowed, appriseAvailable, eventTypes, events, services }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [testResult, setTestResult] = useState(null);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingService, setEditingService] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setData(await request());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Run an action with loading/error handling
+  const run = async (action) => {
+    setLoading(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEventChange = (eventKey, enabled) => {
+    const events = { ...data.events, [eventKey]: enabled };
+    setData(prev => ({ ...prev, events }));
+    run(() => request('/events', 'PUT', { events })).catch(() => load());
+  };
+
+  const replaceService = (service) => {
+    setData(prev => ({ ...prev, services: prev.services.map(s => s.id === service.id ? service : s) }));
+  };
+
+  const handleSaveService = async (serviceData) => {
+    if (serviceData.id) {
+      const { service } = await run(() => request(`/services/${serviceData.id}`, 'PUT', serviceData));
+      replaceService(service);
+    } else {
+      const { service } = await run(() => request('/services', 'POST', serviceData));
+      setData(prev => ({ ...prev, services: [...prev.services, service] }));
+    }
+    setModalOpen(false);
+  };
+
+  const handleToggleService = async (id, enabled) => {
+    const { service } = await run(() => request(`/services/${id}`, 'PUT', { enabled }));
+    replaceService(service);
+  };
+
+  const handleDeleteService = async (id) => {
+    if (!confirm('Delete this notification service?')) return;
+    await run(() => request(`/services/${id}`, 'DELETE'));
+    setData(prev => ({ ...prev, services: prev.services.filter(s => s.id !== id) }));
+  };
+
+  const handleTestService = async (id) => {
+    setTestResult(null);
+    try {
+      setTestResult(await run(() => request(`/test/${id}`, 'POST')));
+    } catch (err) {
+      setTestResult({ success: false, message: err.message });
+    }
+  };
+
+  if (!data) {
+    return error
+      ? h(AlertBox, { type: 'error' }, h('p', {}, error))
+      : h('div', { className: 'flex items-center justify-center py-6' }, h(LoadingSpinner, { size: 'md' }));
+  }
+
+  if (!data.allowed) {
+    return h('div', { className: 'space-y-3' },
+      h(AlertBox, { type: 'info' },
+        h('p', {}, 'Personal notification services are disabled. Ask an administrator to allow them in the notification settings.')
+      ),
+      // Services added while it was allowed can still be removed
+      data.services.length > 0 && h('div', { className: 'space-y-3' },
+        data.services.map(service =>
+          h('div', {
+            key: service.id,
+            className: 'flex items-center justify-between px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700'
+          },
+            h('span', { className: 'text-sm text-gray-700 dark:text-gray-300' }, service.name),
+            h('button', {
+              onClick: () => handleDeleteService(service.id).catch(() => {}),
+              disabled: loading,
+              className: 'p-1 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg disabled:opacity-50',
+              title: 'Delete service'
+            }, h(Icon, { name: 'trash', size: 16 }))
+          )
+        )
+      )
+    );
+  }
+
+  return h('div', { className: 'space-y-4' },
+    h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' },
+      'Get notified about downloads you added and new results of your saved searches. These go to your own services, in addition to the ones the administrator configured.'
+    ),
+
+    // Event subscriptions
+    h('div', { className: 'space-y-2' },
+      data.eventTypes.filter(key => EVENT_TYPES[key]).map(key =>
+        h(EnableToggle, {
+          key,
+          enabled: data.events[key] === true,
+          onChange: (enabled) => handleEventChange(key, enabled),
+          label: EVENT_TYPES[key].label,
+          description: EVENT_TYPES[key].description,
+          disabled: loading,
+          color: 'blue'
+        })
+      )
+    ),
+
+    // Services
+    h('div', { className: 'space-y-3' },
+      data.services.map(service =>
+        h(ServiceCard, {
+          key: service.id,
+          service,
+          onEdit: (s) => { setEditingService(s); setModalOpen(true); },
+          onDelete: (id) => handleDeleteService(id).catch(() => {}),
+          onTest: handleTestService,
+          onToggle: (id, enabled) => handleToggleService(id, enabled).catch(() => {}),
+          loading
+        })
+      ),
+      h('button', {
+        onClick: () => { setEditingService(null); setModalOpen(true); },
+        disabled: loading,
+        className: 'w-full border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg p-3 flex items-center justify-center gap-2 text-gray-500 dark:text-gray-400 hover:border-blue-500 dark:hover:border-blue-500 hover:text-blue-600 dark:hover:text-blue-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+      },
+        h(Icon, { name: 'plus', size: 18 }),
+        h('span', { className: 'text-sm font-medium' }, 'Add Service')
+      )
+    ),
+
+    data.services.length === 0 && h(AlertBox, { type: 'info' },
+      h('p', {}, 'Add a service to receive your notifications.')
+    ),
+
+    testResult && h(TestResultIndicator, { result: testResult, label: 'Notification Test' }),
+
+    error && h(AlertBox, { type: 'error' }, h('p', {}, error)),
+
+    h(ServiceModal, {
+      isOpen: modalOpen,
+      onClose: () => setModalOpen(false),
+      onSave: handleSaveService,
+      editService: editingService,
+      appriseAvailable: data.appriseAvailable,
+      excludeTypes: ['custom']  // raw Apprise URLs are admin only
+    })
+  );
+};
+
+export default PersonalNotifications;
@@ -7,13 +7,13 @@
 import React from 'https://esm.sh/react@18.2.0';
 import { Icon } from '../common/index.js';
 import { ToggleSwitch } from '../settings/EnableToggle.js';
-import { getServiceSchema } from '../../utils/notificationServiceSchemas.js';
+import { getServiceSchema, getDeliveryMode } from '../../utils/notificationServiceSchemas.js';
 
 const { createElement: h } = React;
 
 /**
  * ServiceCard component
- * @param {Object} service - Service object { id, name, type, enabled, config }
+ * @param {Object} service - Service object { id, name, type, enabled, delivery, config }
  * @param {function} onEdit - Called when edit button clicked
  * @param {function} onDelete - Called when delete button clicked
  * @param {function} onTest - Called when test button clicked
@@ -41,10 +41,13 @@ const ServiceCard = ({ service, onEdit, onDelete, onTest, onToggle, loading = fa
         ),
         h('div', {},
           h('h3', { className: 'font-medium text-gray-900 dark:text-gray-100' }, service.name),
-          h('div', { className: '-ml-1' },
+          h('div', { className: '-ml-1 flex gap-1' },
             h('span', {
               className: 'text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
-            }, serviceName)
+            }, serviceName),
+            h('span', {
+              className: 'text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
+            }, getDeliveryMode(service) === 'native' ? 'Built-in' : 'Apprise')
           )
         )
       ),
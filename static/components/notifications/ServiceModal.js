@@ -7,17 +7,18 @@
  */
 
 import React from 'https://esm.sh/react@18.2.0';
-import { Icon, AlertBox, Portal } from '../common/index.js';
+import { Icon, AlertBox, Portal, Select, Textarea } from '../common/index.js';
 import { ConfigField, PasswordField, EnableToggle } from '../settings/index.js';
-import { getServiceTypeOptions, getServiceSchema, validateServiceConfig } from '../../utils/notificationServiceSchemas.js';
+import { getServiceTypeOptions, getServiceSchema, validateServiceConfig, getDeliveryMode, DELIVERY_OPTIONS } from '../../utils/notificationServiceSchemas.js';
 
 const { createElement: h, useState, useEffect } = React;
 
 /**
  * ServiceTypeSelector - Grid of service type cards
+ * @param {Array} excludeTypes - Service types to hide
  */
-const ServiceTypeSelector = ({ onSelect }) => {
-  const serviceTypes = getServiceTypeOptions();
+const ServiceTypeSelector = ({ onSelect, excludeTypes = [] }) => {
+  const serviceTypes = getServiceTypeOptions().filter(type => !excludeTypes.includes(type.value));
 
   return h('div', { className: 'grid grid-cols-2 sm:grid-cols-3 gap-3' },
     serviceTypes.map(type =>
@@ -43,9 +44,14 @@ const ServiceTypeSelector = ({ onSelect }) => {
 /**
  * ServiceConfigForm - Dynamic form based on service type
  */
-const ServiceConfigForm = ({ type, name, enabled, config, onChange, schema }) => {
+const ServiceConfigForm = ({ type, name, enabled, delivery, config, onChange, schema, appriseAvailable }) => {
   if (!schema) return null;
 
+  const viaApprise = getDeliveryMode({ type, delivery }) === 'apprise';
+  const fields = viaApprise
+    ? schema.fields.filter(field => !field.nativeOnly)
+    : schema.fields;
+
   const updateConfig = (key, value) => {
     onChange({ config: { ...config, [key]: value } });
   };
@@ -70,8 +76,24 @@ const ServiceConfigForm = ({ type, name, enabled, config, onChange, schema }) =>
     // Separator
     h('hr', { className: 'border-gray-200 dark:border-gray-700' }),
 
+    // Delivery method (only for types the server can send itself)
+    schema.native && h(ConfigField, {
+      label: 'Delivery',
+      description: 'Built-in delivery sends directly from aMuTorrent and retries failed requests'
+    },
+      h(Select, {
+        value: delivery,
+        onChange: (e) => onChange({ delivery: e.target.value }),
+        options: DELIVERY_OPTIONS
+      })
+    ),
+
+    viaApprise && appriseAvailable === false && h(AlertBox, { type: 'warning' },
+      h('p', { className: 'text-sm' }, 'Apprise CLI is not installed, so this service will not be delivered.')
+    ),
+
     // Dynamic fields based on schema
-    ...schema.fields.map(field => {
+    ...fields.map(field => {
       if (field.type === 'checkbox') {
         return h('div', { key: field.key, className: 'flex items-center gap-3' },
           h('input', {
@@ -100,6 +122,20 @@ const ServiceConfigForm = ({ type, name, enabled, config, onChange, schema }) =>
               onChange: (value) => updateConfig(field.key, value),
               placeholder: field.placeholder
             })
+          : field.type === 'select'
+          ? h(Select, {
+              value: config[field.key] || field.options[0].value,
+              onChange: (e) => updateConfig(field.key, e.target.value),
+              options: field.options
+            })
+          : field.type === 'textarea'
+          ? h(Textarea, {
+              value: config[field.key] || '',
+              onChange: (e) => updateConfig(field.key, e.target.value),
+              placeholder: field.placeholder,
+              rows: 3,
+              className: 'font-mono'
+            })
           : h('input', {
               type: field.type || 'text',
               value: config[field.key] || '',
@@ -136,12 +172,15 @@ const ServiceConfigForm = ({ type, name, enabled, config, onChange, schema }) =>
  * @param {function} onClose - Called when modal should close
  * @param {function} onSave - Called with service data when saving
  * @param {Object|null} editService - Service to edit, or null for new
+ * @param {boolean} appriseAvailable - Whether the Apprise CLI is installed (undefined while unknown)
+ * @param {Array} excludeTypes - Service types that can't be added
  */
-const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
+const ServiceModal = ({ isOpen, onClose, onSave, editService = null, appriseAvailable, excludeTypes }) => {
   const [step, setStep] = useState(1);
   const [type, setType] = useState('');
   const [name, setName] = useState('');
   const [enabled, setEnabled] = useState(true);
+  const [delivery, setDelivery] = useState('native');
   const [config, setConfig] = useState({});
   const [error, setError] = useState(null);
   const [saving, setSaving] = useState(false);
@@ -155,6 +194,7 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
         setType(editService.type);
         setName(editService.name);
         setEnabled(editService.enabled);
+        setDelivery(editService.delivery || 'native');
         setConfig(editService.config || {});
       } else {
         // Adding new service
@@ -162,6 +202,7 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
         setType('');
         setName('');
         setEnabled(true);
+        setDelivery('native');
         setConfig({});
       }
       setError(null);
@@ -181,6 +222,7 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
   const handleChange = (updates) => {
     if (updates.name !== undefined) setName(updates.name);
     if (updates.enabled !== undefined) setEnabled(updates.enabled);
+    if (updates.delivery !== undefined) setDelivery(updates.delivery);
     if (updates.config !== undefined) setConfig(updates.config);
   };
 
@@ -214,6 +256,7 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
         name: name.trim(),
         type,
         enabled,
+        ...(schema?.native && { delivery }),
         config
       });
       onClose();
@@ -261,14 +304,16 @@ const ServiceModal = ({ isOpen, onClose, onSave, editService = null }) => {
 
       // Content
       h('div', { className: 'px-6 py-4 flex-1 overflow-y-auto' },
-        step === 1 && h(ServiceTypeSelector, { onSelect: handleTypeSelect }),
+        step === 1 && h(ServiceTypeSelector, { onSelect: handleTypeSelect, excludeTypes }),
         step === 2 && h(ServiceConfigForm, {
           type,
           name,
           enabled,
+          delivery,
           config,
           onChange: handleChange,
-          schema
+          schema,
+          appriseAvailable
         }),
       ),
 
@@ -0,0 +1,262 @@
+/**
+ * TemplateEditor Component
+ *
+ * Edit the title/body template of each event, for all services or one service,
+ * with a live preview rendered by the server from sample data
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Select, AlertBox, LoadingSpinner } from '../common/index.js';
+import { getEventTypeOptions } from '../../utils/notificationServiceSchemas.js';
+
+const { createElement: h, useState, useEffect, useRef } = React;
+
+const PREVIEW_DELAY = 300;
+
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+// Plain elements (rather than Input/Textarea) so the cursor position can be read for inserts
+const FIELD_CLASS = 'w-full px-3 rounded-lg text-base sm:text-sm font-mono border border-gray-300 dark:border-gray-600 ' +
+  'bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * TemplateEditor component
+ * @param {Array} services - Configured services
+ * @param {function} onSaveServiceTemplates - (serviceId, templates) => Promise, persists a service's overrides
+ */
+const TemplateEditor = ({ services = [], onSaveServiceTemplates }) => {
+  const eventOptions = getEventTypeOptions();
+
+  const [data, setData] = useState(null); // { templates, defaults, placeholders }
+  const [scope, setScope] = useState(''); // '' = all services, otherwise a service ID
+  const [eventType, setEventType] = useState(eventOptions[0].key);
+  const [draft, setDraft] = useState({ title: '', body: '' });
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const fieldRefs = { title: useRef(null), body: useRef(null) };
+  const lastFocused = useRef('body');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await fetch('/api/notifications/templates');
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.message || `HTTP ${res.status}`);
+        setData(json);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    load();
+  }, []);
+
+  const service = services.find(s => s.id === scope) || null;
+  const overrides = (service ? service.templates : data?.templates) || {};
+
+  // What the selected scope falls back to without its own override
+  const inherited = () => {
+    const defaults = data.defaults[eventType];
+    const global = service ? (data.templates[eventType] || {}) : {};
+    return { title: global.title || defaults.title, body: global.body || defaults.body };
+  };
+
+  // Load the effective template whenever the scope or event changes
+  useEffect(() => {
+    if (!data) return;
+    const fallback = inherited();
+    const own = overrides[eventType] || {};
+    setDraft({ title: own.title || fallback.title, body: own.body || fallback.body });
+    setError(null);
+  }, [data, scope, eventType, service?.templates]);
+
+  // Live preview (debounced)
+  useEffect(() => {
+    if (!data) return;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch('/api/notifications/templates/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ eventType, ...draft })
+        });
+        const json = await res.json();
+        setPreview(res.ok ? json : { error: json.message });
+      } catch (err) {
+        setPreview({ error: err.message });
+      }
+    }, PREVIEW_DELAY);
+    return () => clearTimeout(timer);
+  }, [data, eventType, draft.title, draft.body]);
+
+  // Persist the overrides of the current scope
+  const persist = async (nextOverrides) => {
+    setBusy(true);
+    setError(null);
+    try {
+      if (service) {
+        await onSaveServiceTemplates(service.id, nextOverrides);
+      } else {
+        const res = await fetch('/api/notifications/templates', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ templates: nextOverrides })
+        });
+        const json = await res.json();
+        if (!json.success) throw new Error(json.message || 'Failed to save templates');
+        setData(prev => ({ ...prev, templates: nextOverrides }));
+      }
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Save only what differs from the inherited template
+  const handleSave = () => {
+    const fallback = inherited();
+    const entry = {};
+    if (draft.title !== fallback.title) entry.title = draft.title;
+    if (draft.body !== fallback.body) entry.body = draft.body;
+
+    const next = { ...overrides };
+    if (Object.keys(entry).length > 0) next[eventType] = entry; else delete next[eventType];
+    persist(next);
+  };
+
+  const handleReset = () => {
+    const next = { ...overrides };
+    delete next[eventType];
+    persist(next);
+  };
+
+  // Insert a placeholder at the cursor of the last focused field
+  const insertPlaceholder = (key) => {
+    const field = lastFocused.current;
+    const el = fieldRefs[field].current;
+    const text = draft[field];
+    const start = el?.selectionStart ?? text.length;
+    const end = el?.selectionEnd ?? text.length;
+    const token = `{{${key}}}`;
+    setDraft(prev => ({ ...prev, [field]: text.slice(0, start) + token + text.slice(end) }));
+    requestAnimationFrame(() => {
+      el?.focus();
+      el?.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  if (!data) {
+    return error
+      ? h(AlertBox, { type: 'error' }, h('p', {}, error))
+      : h('div', { className: 'flex items-center justify-center py-6' }, h(LoadingSpinner, { size: 'md' }));
+  }
+
+  const placeholders = data.placeholders.filter(p => !p.events || p.events.includes(eventType));
+  const hasOverride = !!overrides[eventType];
+
+  return h('div', { className: 'space-y-4' },
+    // Scope and event
+    h('div', { className: 'grid grid-cols-1 sm:grid-cols-2 gap-3' },
+      h('div', {},
+        h('label', { className: LABEL_CLASS }, 'Applies to'),
+        h(Select, {
+          value: scope,
+          onChange: (e) => setScope(e.target.value),
+          options: [
+            { value: '', label: 'All services' },
+            ...services.map(s => ({ value: s.id, label: s.name }))
+          ],
+          className: 'w-full'
+        })
+      ),
+      h('div', {},
+        h('label', { className: LABEL_CLASS }, 'Event'),
+        h(Select, {
+          value: eventType,
+          onChange: (e) => setEventType(e.target.value),
+          options: eventOptions.map(e => ({
+            value: e.key,
+            label: overrides[e.key] ? `${e.label} (customized)` : e.label
+          })),
+          className: 'w-full'
+        })
+      )
+    ),
+
+    service && h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+      'Without its own template this service uses the template for all services.'
+    ),
+
+    // Template fields
+    h('div', {},
+      h('label', { className: LABEL_CLASS }, 'Title'),
+      h('input', {
+        ref: fieldRefs.title,
+        type: 'text',
+        value: draft.title,
+        onChange: (e) => setDraft(prev => ({ ...prev, title: e.target.value })),
+        onFocus: () => { lastFocused.current = 'title'; },
+        className: `${FIELD_CLASS} h-9 sm:h-10`
+      })
+    ),
+    h('div', {},
+      h('label', { className: LABEL_CLASS }, 'Body'),
+      h('textarea', {
+        ref: fieldRefs.body,
+        value: draft.body,
+        onChange: (e) => setDraft(prev => ({ ...prev, body: e.target.value })),
+        onFocus: () => { lastFocused.current = 'body'; },
+        rows: 4,
+        className: `${FIELD_CLASS} py-2 resize-y`
+      })
+    ),
+
+    // Placeholders
+    h('div', {},
+      h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mb-1' },
+        'Click to insert. {{#name}}…{{/name}} shows text only when the value is set, {{^name}}…{{/name}} only when it is empty.'
+      ),
+      h('div', { className: 'flex flex-wrap gap-1' },
+        placeholders.map(p =>
+          h('button', {
+            key: p.key,
+            type: 'button',
+            title: p.description,
+            onClick: () => insertPlaceholder(p.key),
+            className: 'text-xs font-mono px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-blue-100 dark:hover:bg-blue-900/40'
+          }, `{{${p.key}}}`)
+        )
+      )
+    ),
+
+    // Preview
+    h('div', { className: 'rounded-lg border border-gray-200 dark:border-gray-700 p-3 bg-gray-50 dark:bg-gray-900/40' },
+      h('p', { className: 'text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-1' }, 'Preview (sample data)'),
+      preview?.error
+        ? h('p', { className: 'text-sm text-red-600 dark:text-red-400' }, preview.error)
+        : preview && h('div', {},
+            h('p', { className: 'text-sm font-semibold text-gray-900 dark:text-gray-100' }, preview.title),
+            h('p', { className: 'text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap' }, preview.body)
+          )
+    ),
+
+    error && h(AlertBox, { type: 'error' }, h('p', {}, error)),
+
+    h('div', { className: 'flex items-center justify-end gap-2' },
+      saved && h('span', { className: 'text-sm text-green-600 dark:text-green-400' }, 'Saved'),
+      h(Button, {
+        variant: 'secondary',
+        onClick: handleReset,
+        disabled: busy || !hasOverride,
+        title: service ? 'Use the template for all services' : 'Restore the built-in template'
+      }, 'Reset to Default'),
+      h(Button, { variant: 'primary', onClick: handleSave, disabled: busy }, 'Save Template')
+    )
+  );
+};
+
+export default TemplateEditor;
@@ -7,3 +7,5 @@
 export { default as EventsTable } from './EventsTable.js';
 export { default as ServiceCard } from './ServiceCard.js';
 export { default as ServiceModal } from './ServiceModal.js';
+export { default as TemplateEditor } from './TemplateEditor.js';
+export { default as PersonalNotifications } from './PersonalNotifications.js';
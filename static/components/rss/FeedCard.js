@@ -0,0 +1,108 @@
+/**
+ * FeedCard Component
+ *
+ * Card displaying an RSS feed with its filters, target and poll status
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon } from '../common/index.js';
+import { ToggleSwitch } from '../settings/EnableToggle.js';
+import { formatTimeAgo } from '../../utils/index.js';
+
+const { createElement: h } = React;
+
+/**
+ * FeedCard component
+ * @param {Object} feed - Feed object from /api/rss/feeds
+ * @param {string|null} targetName - Display name of the target client instance
+ * @param {boolean} selected - Whether the matched items list is filtered to this feed
+ * @param {function} onSelect - Called when the card body is clicked
+ * @param {function} onEdit - Called when edit button clicked
+ * @param {function} onDelete - Called when delete button clicked
+ * @param {function} onRefresh - Called when refresh button clicked
+ * @param {function} onToggle - Called when enable/disable toggled
+ * @param {boolean} refreshing - Whether a refresh of this feed is in progress
+ */
+const FeedCard = ({ feed, targetName, selected, onSelect, onEdit, onDelete, onRefresh, onToggle, refreshing = false }) => {
+  const details = [
+    feed.includePattern && ['Include', feed.includePattern],
+    feed.excludePattern && ['Exclude', feed.excludePattern],
+    ['Category', feed.category || 'None'],
+    ['Client', targetName || 'Automatic']
+  ].filter(Boolean);
+
+  return h('div', {
+    className: `border rounded-lg p-4 bg-white dark:bg-gray-800 ${selected ? 'border-blue-500' : 'border-gray-200 dark:border-gray-700'} ${!feed.enabled ? 'opacity-60' : ''}`
+  },
+    // Header row with name, url and toggle
+    h('div', { className: 'flex items-start justify-between gap-3 mb-3' },
+      h('button', {
+        onClick: () => onSelect(feed.id),
+        className: 'flex items-center gap-3 min-w-0 text-left',
+        title: 'Show matched items of this feed'
+      },
+        h('div', { className: 'w-10 h-10 rounded-2xl flex-shrink-0 flex items-center justify-center bg-orange-500' },
+          h(Icon, { name: 'rss', size: 20, className: 'text-white' })
+        ),
+        h('div', { className: 'min-w-0' },
+          h('h3', { className: 'font-medium text-gray-900 dark:text-gray-100 truncate' }, feed.name),
+          h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 truncate', title: feed.url }, feed.url)
+        )
+      ),
+      h(ToggleSwitch, {
+        enabled: feed.enabled,
+        onChange: (val) => onToggle(feed, val)
+      })
+    ),
+
+    // Filters and target
+    h('dl', { className: 'grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-xs mb-3' },
+      ...details.flatMap(([label, value]) => [
+        h('dt', { key: `${label}-dt`, className: 'text-gray-500 dark:text-gray-400' }, label),
+        h('dd', { key: `${label}-dd`, className: 'text-gray-800 dark:text-gray-200 truncate font-mono' }, value)
+      ])
+    ),
+
+    // Status indicator
+    h('div', { className: 'flex items-center gap-2 mb-4' },
+      h('span', {
+        className: `w-2 h-2 rounded-full flex-shrink-0 ${feed.lastError ? 'bg-red-500' : feed.enabled ? 'bg-green-500' : 'bg-gray-400'}`
+      }),
+      h('span', {
+        className: `text-xs truncate ${feed.lastError ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`,
+        title: feed.lastError || undefined
+      },
+        feed.lastError
+          ? feed.lastError
+          : `Every ${feed.intervalMinutes} min · checked ${feed.lastCheckedAt ? formatTimeAgo(feed.lastCheckedAt) : 'never'}${feed.dedupeEpisodes ? ' · episode de-dupe' : ''}`
+      )
+    ),
+
+    // Action buttons
+    h('div', { className: 'flex gap-2' },
+      h('button', {
+        onClick: () => onRefresh(feed.id),
+        disabled: refreshing,
+        className: 'flex-1 flex items-center justify-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 hover:bg-blue-100 dark:hover:bg-blue-900/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors'
+      },
+        h(Icon, { name: 'refresh', size: 14, className: refreshing ? 'animate-spin' : '' }),
+        refreshing ? 'Checking...' : 'Check Now'
+      ),
+      h('button', {
+        onClick: () => onEdit(feed),
+        className: 'flex items-center justify-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors'
+      },
+        h(Icon, { name: 'edit', size: 14 }),
+        'Edit'
+      ),
+      h('button', {
+        onClick: () => onDelete(feed.id),
+        className: 'flex items-center justify-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors'
+      },
+        h(Icon, { name: 'trash', size: 14 })
+      )
+    )
+  );
+};
+
+export default FeedCard;
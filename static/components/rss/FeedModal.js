@@ -0,0 +1,285 @@
+/**
+ * FeedModal Component
+ *
+ * Modal for adding/editing an RSS feed, with a "Test Filter" preview
+ * of which entries currently in the feed the filters would add
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon, AlertBox, Portal, Select, Button } from '../common/index.js';
+import { ConfigField, EnableToggle } from '../settings/index.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+
+const { createElement: h, useState, useEffect, useMemo } = React;
+
+const EMPTY_FEED = {
+  name: '',
+  url: '',
+  intervalMinutes: 15,
+  enabled: true,
+  includePattern: '',
+  excludePattern: '',
+  dedupeEpisodes: false,
+  category: '',
+  instanceId: ''
+};
+
+/**
+ * FilterPreview - Result list of a filter test
+ */
+const FilterPreview = ({ entries }) => {
+  const matched = entries.filter(e => e.matched && !e.duplicate).length;
+
+  return h('div', { className: 'space-y-2' },
+    h('p', { className: 'text-sm text-gray-600 dark:text-gray-400' },
+      `${matched} of ${entries.length} entries would be added`
+    ),
+    h('ul', { className: 'max-h-64 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg' },
+      entries.map(entry => {
+        const willAdd = entry.matched && !entry.duplicate;
+        const note = entry.status === 'added' ? 'already added'
+          : entry.duplicate ? 'duplicate episode'
+          : entry.matched ? null
+          : 'filtered out';
+        return h('li', {
+          key: entry.guid,
+          className: `flex items-center gap-2 px-3 py-1.5 text-sm ${willAdd ? 'text-gray-900 dark:text-gray-100' : 'text-gray-400 dark:text-gray-500'}`
+        },
+          h(Icon, {
+            name: willAdd ? 'check' : 'slash',
+            size: 14,
+            className: `flex-shrink-0 ${willAdd ? 'text-green-600 dark:text-green-400' : ''}`
+          }),
+          h('span', { className: 'flex-1 min-w-0 truncate', title: entry.title }, entry.title),
+          note && h('span', { className: 'text-xs flex-shrink-0' }, note)
+        );
+      })
+    )
+  );
+};
+
+/**
+ * FeedModal component
+ * @param {boolean} isOpen - Whether modal is visible
+ * @param {function} onClose - Called when modal should close
+ * @param {function} onSave - Called with feed data when saving (throws on error)
+ * @param {function} onTest - Called with filter data, resolves to preview entries
+ * @param {Object|null} editFeed - Feed to edit, or null for new
+ */
+const FeedModal = ({ isOpen, onClose, onSave, onTest, editFeed = null }) => {
+  const { dataCategories: categories, instances } = useStaticData();
+  const [form, setForm] = useState(EMPTY_FEED);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  // Reset state when modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(editFeed ? {
+      name: editFeed.name,
+      url: editFeed.url,
+      intervalMinutes: editFeed.intervalMinutes,
+      enabled: editFeed.enabled,
+      includePattern: editFeed.includePattern || '',
+      excludePattern: editFeed.excludePattern || '',
+      dedupeEpisodes: editFeed.dedupeEpisodes,
+      category: editFeed.category || '',
+      instanceId: editFeed.instanceId || ''
+    } : EMPTY_FEED);
+    setError(null);
+    setPreview(null);
+  }, [isOpen, editFeed]);
+
+  const categoryOptions = useMemo(() => [
+    { value: '', label: 'None' },
+    ...(categories || [])
+      .map(c => c.name || c.title)
+      .filter(name => name && name !== 'Default')
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ value: name, label: name }))
+  ], [categories]);
+
+  const instanceOptions = useMemo(() => [
+    { value: '', label: 'Automatic (first connected client for the link type)' },
+    ...Object.entries(instances || {}).map(([id, inst]) => ({
+      value: id,
+      label: `${inst.name || id}${inst.connected ? '' : ' (disconnected)'}`
+    }))
+  ], [instances]);
+
+  const update = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleTest = async () => {
+    setError(null);
+    setTesting(true);
+    try {
+      setPreview(await onTest({
+        url: form.url,
+        includePattern: form.includePattern,
+        excludePattern: form.excludePattern,
+        dedupeEpisodes: form.dedupeEpisodes,
+        feedId: editFeed?.id || null
+      }));
+    } catch (err) {
+      setPreview(null);
+      setError(err.message);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    setSaving(true);
+    try {
+      await onSave({
+        id: editFeed?.id,
+        ...form,
+        name: form.name.trim(),
+        url: form.url.trim(),
+        category: form.category || null,
+        instanceId: form.instanceId || null
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50',
+      onClick: (e) => e.target === e.currentTarget && onClose()
+    },
+    h('div', {
+      className: 'modal-full w-full max-w-2xl bg-white dark:bg-gray-800 rounded-xl shadow-xl overflow-hidden flex flex-col'
+    },
+      // Header
+      h('div', { className: 'flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700' },
+        h('h2', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100' },
+          editFeed ? 'Edit Feed' : 'Add Feed'
+        ),
+        h('button', {
+          onClick: onClose,
+          className: 'p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+        },
+          h(Icon, { name: 'x', size: 20 })
+        )
+      ),
+
+      // Content
+      h('div', { className: 'px-6 py-4 flex-1 overflow-y-auto' },
+        h(ConfigField, {
+          label: 'Feed Name',
+          value: form.name,
+          onChange: (value) => update('name', value),
+          placeholder: 'My Shows',
+          required: true
+        }),
+        h(ConfigField, {
+          label: 'Feed URL',
+          description: 'RSS 2.0 or Atom feed with magnet, .torrent or ED2K links',
+          value: form.url,
+          onChange: (value) => update('url', value),
+          placeholder: 'https://example.com/rss',
+          required: true
+        }),
+        h(ConfigField, {
+          label: 'Poll Interval (minutes)',
+          description: 'Minimum 5 minutes',
+          type: 'number',
+          value: form.intervalMinutes,
+          onChange: (value) => update('intervalMinutes', Number.isNaN(value) ? '' : value)
+        }),
+        h(EnableToggle, {
+          enabled: form.enabled,
+          onChange: (value) => update('enabled', value),
+          label: 'Enable Feed',
+          description: 'Poll this feed and add matching entries automatically'
+        }),
+
+        h('hr', { className: 'my-4 border-gray-200 dark:border-gray-700' }),
+
+        h(ConfigField, {
+          label: 'Include Pattern',
+          description: 'Regular expression (case-insensitive). Empty matches everything.',
+          value: form.includePattern,
+          onChange: (value) => update('includePattern', value),
+          placeholder: 'show\\.name.*1080p'
+        }),
+        h(ConfigField, {
+          label: 'Exclude Pattern',
+          description: 'Entries matching this are never added',
+          value: form.excludePattern,
+          onChange: (value) => update('excludePattern', value),
+          placeholder: 'cam|hdts'
+        }),
+        h(EnableToggle, {
+          enabled: form.dedupeEpisodes,
+          onChange: (value) => update('dedupeEpisodes', value),
+          label: 'Skip Duplicate Episodes',
+          description: 'Only add the first release of each SxxExx episode'
+        }),
+
+        h('hr', { className: 'my-4 border-gray-200 dark:border-gray-700' }),
+
+        h(ConfigField, { label: 'Category', description: 'Category (and save path) for added downloads' },
+          h(Select, {
+            value: form.category,
+            onChange: (e) => update('category', e.target.value),
+            options: categoryOptions,
+            className: 'w-full'
+          })
+        ),
+        h(ConfigField, { label: 'Target Client' },
+          h(Select, {
+            value: form.instanceId,
+            onChange: (e) => update('instanceId', e.target.value),
+            options: instanceOptions,
+            className: 'w-full'
+          })
+        ),
+
+        // Filter preview
+        h('div', { className: 'pt-2 space-y-3' },
+          h(Button, {
+            variant: 'secondary',
+            icon: 'funnel',
+            onClick: handleTest,
+            disabled: testing || !form.url.trim()
+          }, testing ? 'Testing...' : 'Test Filter'),
+          preview && h(FilterPreview, { entries: preview })
+        )
+      ),
+
+      // Footer
+      h('div', { className: 'px-6 py-4 border-t border-gray-200 dark:border-gray-700' },
+        error && h('div', { className: 'mb-3' },
+          h(AlertBox, { type: 'error' }, h('p', {}, error))
+        ),
+        h('div', { className: 'flex justify-end gap-3' },
+          h('button', {
+            onClick: onClose,
+            disabled: saving,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 transition-colors'
+          }, 'Cancel'),
+          h('button', {
+            onClick: handleSave,
+            disabled: saving,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors'
+          }, saving ? 'Saving...' : editFeed ? 'Save Changes' : 'Add Feed')
+        )
+      )
+    )
+  ));
+};
+
+export default FeedModal;
@@ -0,0 +1,8 @@
+/**
+ * RSS Components Index
+ *
+ * Central export point for all RSS components
+ */
+
+export { default as FeedCard } from './FeedCard.js';
+export { default as FeedModal } from './FeedModal.js';
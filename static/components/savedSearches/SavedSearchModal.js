@@ -0,0 +1,329 @@
+/**
+ * SavedSearchModal Component
+ *
+ * Modal for adding/editing a saved search: query and filters, schedule,
+ * and what happens with new results
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Icon, AlertBox, Portal, Select } from '../common/index.js';
+import { ConfigField, EnableToggle } from '../settings/index.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { useCapabilities } from '../../hooks/useCapabilities.js';
+
+const { createElement: h, useState, useEffect, useMemo } = React;
+
+const MB = 1024 * 1024;
+
+export const SAVED_SEARCH_TYPES = [
+  { value: 'global', label: 'ED2K Server' },
+  { value: 'kad', label: 'Kad' },
+  { value: 'prowlarr', label: 'Prowlarr' }
+];
+
+const EMPTY_SEARCH = {
+  name: '',
+  query: '',
+  type: 'global',
+  extension: '',
+  indexerIds: [],
+  minSizeMB: '',
+  maxSizeMB: '',
+  intervalMinutes: 1440,
+  enabled: true,
+  notify: true,
+  autoAdd: false,
+  category: '',
+  instanceId: ''
+};
+
+// Size limit in MB for the form ('' = no limit)
+const toMB = (bytes) => (bytes === null || bytes === undefined ? '' : String(Math.round(bytes / MB)));
+
+// Size limit in bytes from the form (null = no limit)
+const toBytes = (mb) => (mb === '' || Number.isNaN(Number(mb)) ? null : Math.round(Number(mb) * MB));
+
+/**
+ * SavedSearchModal component
+ * @param {boolean} isOpen - Whether modal is visible
+ * @param {function} onClose - Called when modal should close
+ * @param {function} onSave - Called with search data when saving (throws on error)
+ * @param {Object|null} editSearch - Search to edit, or null for new
+ * @param {Object|null} initialValues - { query, type } to pre-fill a new search
+ */
+const SavedSearchModal = ({ isOpen, onClose, onSave, editSearch = null, initialValues = null }) => {
+  const { dataCategories: categories, instances, prowlarrEnabled } = useStaticData();
+  const { hasCap } = useCapabilities();
+  const [form, setForm] = useState(EMPTY_SEARCH);
+  const [indexers, setIndexers] = useState([]);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Reset state when modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(editSearch ? {
+      name: editSearch.name,
+      query: editSearch.query,
+      type: editSearch.type,
+      extension: editSearch.extension || '',
+      indexerIds: editSearch.indexerIds || [],
+      minSizeMB: toMB(editSearch.minSize),
+      maxSizeMB: toMB(editSearch.maxSize),
+      intervalMinutes: editSearch.intervalMinutes,
+      enabled: editSearch.enabled,
+      notify: editSearch.notify,
+      autoAdd: editSearch.autoAdd,
+      category: editSearch.category || '',
+      instanceId: editSearch.instanceId || ''
+    } : {
+      ...EMPTY_SEARCH,
+      query: initialValues?.query || '',
+      type: SAVED_SEARCH_TYPES.some(t => t.value === initialValues?.type) ? initialValues.type : 'global'
+    });
+    setError(null);
+  }, [isOpen, editSearch, initialValues]);
+
+  const isProwlarr = form.type === 'prowlarr';
+
+  // Load the Prowlarr indexers once the type is Prowlarr
+  useEffect(() => {
+    if (!isOpen || !isProwlarr || !prowlarrEnabled || indexers.length > 0) return;
+    fetch('/api/prowlarr/indexers')
+      .then(res => res.json())
+      .then(data => setIndexers((data.indexers || []).filter(i => i.enabled && i.protocol === 'torrent')))
+      .catch(() => {});
+  }, [isOpen, isProwlarr, prowlarrEnabled, indexers.length]);
+
+  const categoryOptions = useMemo(() => [
+    { value: '', label: 'None' },
+    ...(categories || [])
+      .map(c => c.name || c.title)
+      .filter(name => name && name !== 'Default')
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ value: name, label: name }))
+  ], [categories]);
+
+  // Prowlarr results go to a BitTorrent client, ED2K searches run on an aMule instance
+  const instanceOptions = useMemo(() => [
+    { value: '', label: isProwlarr ? 'Automatic (first connected BitTorrent client)' : 'Automatic (first connected aMule)' },
+    ...Object.entries(instances || {})
+      .filter(([, inst]) => (isProwlarr ? inst.networkType === 'bittorrent' : inst.type === 'amule'))
+      .map(([id, inst]) => ({
+        value: id,
+        label: `${inst.name || id}${inst.connected ? '' : ' (disconnected)'}`
+      }))
+  ], [instances, isProwlarr]);
+
+  const update = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Switching between ED2K and Prowlarr invalidates the instance
+  const updateType = (type) => {
+    setForm(prev => ({
+      ...prev,
+      type,
+      instanceId: (prev.type === 'prowlarr') === (type === 'prowlarr') ? prev.instanceId : ''
+    }));
+  };
+
+  const toggleIndexer = (id) => {
+    setForm(prev => ({
+      ...prev,
+      indexerIds: prev.indexerIds.includes(id) ? prev.indexerIds.filter(i => i !== id) : [...prev.indexerIds, id]
+    }));
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    setSaving(true);
+    try {
+      await onSave({
+        id: editSearch?.id,
+        name: form.name.trim(),
+        query: form.query.trim(),
+        type: form.type,
+        extension: isProwlarr ? null : form.extension.trim() || null,
+        indexerIds: isProwlarr ? form.indexerIds : [],
+        minSize: toBytes(form.minSizeMB),
+        maxSize: toBytes(form.maxSizeMB),
+        intervalMinutes: form.intervalMinutes,
+        enabled: form.enabled,
+        notify: form.notify,
+        autoAdd: form.autoAdd,
+        category: form.category || null,
+        instanceId: form.instanceId || null
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return h(Portal, null,
+    h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50',
+      onClick: (e) => e.target === e.currentTarget && onClose()
+    },
+    h('div', {
+      className: 'modal-full w-full max-w-2xl bg-white dark:bg-gray-800 rounded-xl shadow-xl overflow-hidden flex flex-col'
+    },
+      // Header
+      h('div', { className: 'flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700' },
+        h('h2', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100' },
+          editSearch ? 'Edit Saved Search' : 'Save Search'
+        ),
+        h('button', {
+          onClick: onClose,
+          className: 'p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+        },
+          h(Icon, { name: 'x', size: 20 })
+        )
+      ),
+
+      // Content
+      h('div', { className: 'px-6 py-4 flex-1 overflow-y-auto' },
+        h(ConfigField, {
+          label: 'Search Query',
+          value: form.query,
+          onChange: (value) => update('query', value),
+          placeholder: 'ubuntu desktop',
+          required: true
+        }),
+        h(ConfigField, {
+          label: 'Name',
+          description: 'Defaults to the query',
+          value: form.name,
+          onChange: (value) => update('name', value),
+          placeholder: form.query || 'Ubuntu releases'
+        }),
+        h(ConfigField, { label: 'Search Type' },
+          h(Select, {
+            value: form.type,
+            onChange: (e) => updateType(e.target.value),
+            options: SAVED_SEARCH_TYPES.filter(t => t.value !== 'prowlarr' || prowlarrEnabled || form.type === 'prowlarr'),
+            className: 'w-full'
+          })
+        ),
+        !isProwlarr && h(ConfigField, {
+          label: 'File Extension',
+          description: 'Only files with this extension (e.g. mkv)',
+          value: form.extension,
+          onChange: (value) => update('extension', value),
+          placeholder: 'Any'
+        }),
+        isProwlarr && h(ConfigField, {
+          label: 'Indexers',
+          description: form.indexerIds.length === 0 ? 'All indexers' : `${form.indexerIds.length} selected`
+        },
+          h('div', { className: 'max-h-40 overflow-y-auto space-y-1 border border-gray-200 dark:border-gray-700 rounded-lg px-3 py-2' },
+            indexers.length === 0
+              ? h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' }, 'No indexers loaded')
+              : indexers.map(indexer =>
+                  h('label', { key: indexer.id, className: 'flex items-center gap-2 text-sm text-gray-800 dark:text-gray-200 cursor-pointer' },
+                    h('input', {
+                      type: 'checkbox',
+                      checked: form.indexerIds.includes(indexer.id),
+                      onChange: () => toggleIndexer(indexer.id),
+                      className: 'w-4 h-4'
+                    }),
+                    indexer.name
+                  )
+                )
+          )
+        ),
+        h(ConfigField, {
+          label: 'Minimum Size (MB)',
+          type: 'number',
+          value: form.minSizeMB,
+          onChange: (value) => update('minSizeMB', Number.isNaN(value) ? '' : value),
+          placeholder: 'No limit'
+        }),
+        h(ConfigField, {
+          label: 'Maximum Size (MB)',
+          type: 'number',
+          value: form.maxSizeMB,
+          onChange: (value) => update('maxSizeMB', Number.isNaN(value) ? '' : value),
+          placeholder: 'No limit'
+        }),
+
+        h('hr', { className: 'my-4 border-gray-200 dark:border-gray-700' }),
+
+        h(ConfigField, {
+          label: 'Run Every (minutes)',
+          description: 'Minimum 30 minutes, 0 to only run it by hand',
+          type: 'number',
+          value: form.intervalMinutes,
+          onChange: (value) => update('intervalMinutes', Number.isNaN(value) ? '' : value)
+        }),
+        h(EnableToggle, {
+          enabled: form.enabled,
+          onChange: (value) => update('enabled', value),
+          label: 'Enable Schedule',
+          description: 'Re-run this search automatically'
+        }),
+        h(EnableToggle, {
+          enabled: form.notify,
+          onChange: (value) => update('notify', value),
+          label: 'Notify About New Results',
+          description: 'Send the New Saved Search Results event (notifications and custom script)'
+        }),
+
+        h('hr', { className: 'my-4 border-gray-200 dark:border-gray-700' }),
+
+        h(EnableToggle, {
+          enabled: form.autoAdd,
+          onChange: (value) => update('autoAdd', value),
+          label: 'Add New Results',
+          description: 'Download results found for the first time automatically',
+          disabled: !hasCap('add_downloads') && !form.autoAdd
+        }),
+        h(ConfigField, { label: 'Category', description: 'Category (and save path) for added downloads' },
+          h(Select, {
+            value: form.category,
+            onChange: (e) => update('category', e.target.value),
+            options: categoryOptions,
+            className: 'w-full'
+          })
+        ),
+        h(ConfigField, {
+          label: isProwlarr ? 'Target Client' : 'aMule Instance',
+          description: isProwlarr ? null : 'Searched, and new results are added to it'
+        },
+          h(Select, {
+            value: form.instanceId,
+            onChange: (e) => update('instanceId', e.target.value),
+            options: instanceOptions,
+            className: 'w-full'
+          })
+        )
+      ),
+
+      // Footer
+      h('div', { className: 'px-6 py-4 border-t border-gray-200 dark:border-gray-700' },
+        error && h('div', { className: 'mb-3' },
+          h(AlertBox, { type: 'error' }, h('p', {}, error))
+        ),
+        h('div', { className: 'flex justify-end gap-3' },
+          h('button', {
+            onClick: onClose,
+            disabled: saving,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 transition-colors'
+          }, 'Cancel'),
+          h('button', {
+            onClick: handleSave,
+            disabled: saving || !form.query.trim(),
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors'
+          }, saving ? 'Saving...' : editSearch ? 'Save Changes' : 'Save Search')
+        )
+      )
+    )
+  ));
+};
+
+export default SavedSearchModal;
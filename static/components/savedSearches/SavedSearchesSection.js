@@ -0,0 +1,192 @@
+/**
+ * SavedSearchesSection Component
+ *
+ * Collapsible list of saved searches on the search page, with run, edit,
+ * delete and a "Save Search" button pre-filled from the search form
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { AlertBox, Button, Icon } from '../common/index.js';
+import { ConfigSection, ToggleSwitch } from '../settings/index.js';
+import SavedSearchModal, { SAVED_SEARCH_TYPES } from './SavedSearchModal.js';
+import { useSavedSearches } from '../../hooks/useSavedSearches.js';
+import { useSearch } from '../../contexts/SearchContext.js';
+import { useAppState } from '../../contexts/AppStateContext.js';
+import { formatBytes, formatTimeAgo } from '../../utils/index.js';
+
+const { createElement: h, useState, useEffect, useMemo } = React;
+
+const BADGE_CLASS = 'text-xs px-2 py-0.5 rounded-full flex-shrink-0 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300';
+
+/**
+ * Filter and schedule summary of a search ("mkv · ≥ 700 MB · every 6 h")
+ * @param {Object} search - Saved search
+ * @returns {string}
+ */
+const formatDetails = (search) => {
+  const parts = [];
+  if (search.extension) parts.push(search.extension);
+  if (search.indexerIds.length > 0) parts.push(`${search.indexerIds.length} indexer${search.indexerIds.length === 1 ? '' : 's'}`);
+  if (search.minSize !== null) parts.push(`≥ ${formatBytes(search.minSize)}`);
+  if (search.maxSize !== null) parts.push(`≤ ${formatBytes(search.maxSize)}`);
+  if (search.intervalMinutes === 0 || !search.enabled) parts.push('manual');
+  else parts.push(search.intervalMinutes % 60 === 0 ? `every ${search.intervalMinutes / 60} h` : `every ${search.intervalMinutes} min`);
+  if (search.autoAdd) parts.push(`auto-add${search.category ? ` to ${search.category}` : ''}`);
+  return parts.join(' · ');
+};
+
+/**
+ * Last run summary of a search
+ * @param {Object} search - Saved search
+ * @returns {string}
+ */
+const formatLastRun = (search) => {
+  if (!search.lastRunAt) return 'Never run';
+  if (search.lastError) return `Failed ${formatTimeAgo(search.lastRunAt)}: ${search.lastError}`;
+  if (search.lastResultCount === null) return `Ran ${formatTimeAgo(search.lastRunAt)}`;
+  return `Ran ${formatTimeAgo(search.lastRunAt)} · ${search.lastResultCount} results, ${search.lastNewCount} new`;
+};
+
+/**
+ * SavedSearchesSection component
+ * @param {string} searchQuery - Current search form query (pre-fills a new search)
+ * @param {string} searchType - Current search form type
+ */
+const SavedSearchesSection = ({ searchQuery, searchType }) => {
+  const { searches, loaded, error, fetchSearches, saveSearch, deleteSearch, runSearch, clearError } = useSavedSearches();
+  const { setSearchQuery, setSearchType, setSearchInstanceId, setSearchResults, searchLocked } = useSearch();
+  const { setAppCurrentView, addAppSuccess } = useAppState();
+
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editSearch, setEditSearch] = useState(null);
+  const [runningId, setRunningId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    fetchSearches();
+  }, [fetchSearches]);
+
+  const initialValues = useMemo(() => ({ query: searchQuery, type: searchType }), [searchQuery, searchType]);
+  const typeLabel = (type) => SAVED_SEARCH_TYPES.find(t => t.value === type)?.label || type;
+
+  const openModal = (search = null) => {
+    setEditSearch(search);
+    setModalOpen(true);
+  };
+
+  const handleToggle = async (search, enabled) => {
+    setActionError(null);
+    try {
+      const { id, userId, owner, lastRunAt, lastError, lastResultCount, lastNewCount, createdAt, updatedAt, ...fields } = search;
+      await saveSearch({ id, ...fields, enabled });
+    } catch (err) {
+      setActionError(`${search.name}: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (search) => {
+    if (!window.confirm(`Delete saved search "${search.name}"?`)) return;
+    clearError();
+    await deleteSearch(search.id);
+  };
+
+  // Run now and show the results like a manual search
+  const handleRun = async (search) => {
+    setRunningId(search.id);
+    setActionError(null);
+    try {
+      const data = await runSearch(search.id);
+      const results = data.results || [];
+      if (data.added > 0) addAppSuccess(`${search.name}: added ${data.added} new result${data.added === 1 ? '' : 's'}`);
+      if (results.length === 0) {
+        setActionError(`${search.name}: no results found`);
+        return;
+      }
+      setSearchQuery(search.query);
+      setSearchType(search.type);
+      if (search.type !== 'prowlarr' && results[0].instanceId) setSearchInstanceId(results[0].instanceId);
+      setSearchResults(results);
+      setAppCurrentView('search-results');
+    } catch (err) {
+      setActionError(`${search.name}: ${err.message}`);
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  const renderSearch = (search) => {
+    const running = runningId === search.id;
+    return h('li', { key: search.id, className: 'flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-3 py-2 text-sm' },
+      h('div', { className: 'flex-1 min-w-0' },
+        h('div', { className: 'flex items-center gap-2' },
+          h('span', { className: BADGE_CLASS }, typeLabel(search.type)),
+          search.lastNewCount > 0 && h('span', { className: 'text-xs px-2 py-0.5 rounded-full flex-shrink-0 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' },
+            `${search.lastNewCount} new`),
+          h('p', { className: 'text-gray-900 dark:text-gray-100 truncate', title: search.query },
+            search.name,
+            search.name !== search.query && h('span', { className: 'text-gray-500 dark:text-gray-400' }, ` · ${search.query}`),
+            search.owner && h('span', { className: 'text-gray-500 dark:text-gray-400' }, ` · 👤 ${search.owner}`)
+          )
+        ),
+        h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-0.5 truncate' }, formatDetails(search)),
+        h('p', {
+          className: `text-xs mt-0.5 truncate ${search.lastError ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`,
+          title: search.lastError || undefined
+        }, formatLastRun(search))
+      ),
+      h('div', { className: 'flex items-center gap-2 flex-shrink-0' },
+        h(ToggleSwitch, {
+          enabled: search.enabled,
+          onChange: (value) => handleToggle(search, value),
+          disabled: search.intervalMinutes === 0
+        }),
+        h(Button, {
+          variant: 'secondary',
+          icon: 'play',
+          onClick: () => handleRun(search),
+          disabled: running || searchLocked,
+          title: 'Run now and show the results'
+        }, running ? 'Running...' : 'Run'),
+        h('button', {
+          onClick: () => openModal(search),
+          className: 'p-2 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700',
+          title: 'Edit'
+        }, h(Icon, { name: 'edit', size: 16 })),
+        h('button', {
+          onClick: () => handleDelete(search),
+          className: 'p-2 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30',
+          title: 'Delete'
+        }, h(Icon, { name: 'trash', size: 16 }))
+      )
+    );
+  };
+
+  return h(ConfigSection, {
+    title: `Saved Searches${loaded ? ` (${searches.length})` : ''}`,
+    description: 'Re-run searches on a schedule and get notified about, or download, new results',
+    defaultOpen: false
+  },
+    h('div', { className: 'flex justify-end mb-2' },
+      h(Button, { variant: 'secondary', icon: 'plus', onClick: () => openModal() }, 'Save Search')
+    ),
+
+    searches.length === 0
+      ? h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' },
+          loaded ? 'No saved searches yet.' : 'Loading saved searches...')
+      : h('ul', { className: 'divide-y divide-gray-100 dark:divide-gray-700' }, searches.map(renderSearch)),
+
+    (error || actionError) && h(AlertBox, { type: 'error', className: 'mt-3' },
+      h('p', {}, error || actionError)
+    ),
+
+    h(SavedSearchModal, {
+      isOpen: modalOpen,
+      onClose: () => setModalOpen(false),
+      onSave: saveSearch,
+      editSearch,
+      initialValues
+    })
+  );
+};
+
+export default SavedSearchesSection;
@@ -0,0 +1,8 @@
+/**
+ * Saved Searches Components Index
+ *
+ * Central export point for all saved search components
+ */
+
+export { default as SavedSearchesSection } from './SavedSearchesSection.js';
+export { default as SavedSearchModal } from './SavedSearchModal.js';
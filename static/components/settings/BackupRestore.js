@@ -0,0 +1,261 @@
+/**
+ * BackupRestore Component
+ *
+ * Admin-only export of a backup archive and staged import (validated, previewed,
+ * applied on the next restart). Uses /api/v1/backup independently of the main
+ * settings form.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, AlertBox, LoadingSpinner } from '../common/index.js';
+import EnableToggle from './EnableToggle.js';
+
+const { createElement: h, useState, useEffect, useRef } = React;
+
+const CHECKBOX_CLASS = 'w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 ' +
+  'dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : 'unknown date');
+
+const BackupRestore = () => {
+  const [components, setComponents] = useState([]);  // [{ key, label, secret }]
+  const [excluded, setExcluded] = useState(new Set());
+  const [redact, setRedact] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [archive, setArchive] = useState(null);      // Selected File
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [componentsRes, pendingRes] = await Promise.all([
+          fetch('/api/v1/backup/components'),
+          fetch('/api/v1/backup/restore')
+        ]);
+        const componentsData = await componentsRes.json();
+        const pendingData = await pendingRes.json();
+        setComponents(componentsData.components || []);
+        setPending(pendingData.pending || null);
+      } catch (err) {
+        setError('Failed to connect to server');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const toggleIn = (setter, key, checked) => {
+    setter(prev => {
+      const next = new Set(prev);
+      if (checked) next.add(key); else next.delete(key);
+      return next;
+    });
+  };
+
+  const exportUrl = () => {
+    const params = new URLSearchParams();
+    if (redact) params.set('redact', 'true');
+    if (excluded.size > 0) params.set('exclude', Array.from(excluded).join(','));
+    const query = params.toString();
+    return `/api/v1/backup${query ? `?${query}` : ''}`;
+  };
+
+  // Upload the chosen archive and show what it would change
+  const handleFileSelect = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setArchive(file);
+    setPreview(null);
+    setError(null);
+    setMessage(null);
+    setBusy(true);
+    try {
+      const res = await fetch('/api/v1/backup/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/gzip' },
+        body: file
+      });
+      const data = await res.json();
+      if (!data.success) {
+        setError(data.message || 'Invalid backup archive');
+        setArchive(null);
+      } else {
+        setPreview(data.preview);
+        setSelected(new Set(data.preview.components.filter(c => !c.error).map(c => c.key)));
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!archive || selected.size === 0) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/v1/backup/restore?components=${encodeURIComponent(Array.from(selected).join(','))}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/gzip' },
+        body: archive
+      });
+      const data = await res.json();
+      if (!data.success) {
+        setError(data.message || 'Failed to stage restore');
+      } else {
+        setPending(data.pending);
+        setPreview(null);
+        setArchive(null);
+        setMessage(data.message);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancelPending = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/v1/backup/restore', { method: 'DELETE' });
+      const data = await res.json();
+      if (!data.success) {
+        setError(data.message || 'Failed to cancel restore');
+      } else {
+        setPending(null);
+        setMessage(data.message);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return h('div', { className: 'flex items-center justify-center py-6' },
+      h(LoadingSpinner, { size: 'md' })
+    );
+  }
+
+  return h('div', { className: 'space-y-6' },
+    // Pending restore
+    pending && h(AlertBox, { type: 'warning' },
+      h('p', { className: 'font-medium' }, 'Restore pending — restart aMuTorrent to apply it'),
+      h('p', { className: 'text-sm mt-1' },
+        `${pending.components.map(c => c.label).join(', ')} from the backup of ${formatDate(pending.backupCreatedAt)}. ` +
+        'Current files are kept in a pre-restore folder in the data directory.'
+      ),
+      h('div', { className: 'mt-2' },
+        h(Button, { variant: 'secondary', onClick: handleCancelPending, disabled: busy }, 'Cancel Restore')
+      )
+    ),
+
+    // Export
+    h('div', { className: 'space-y-3' },
+      h('h4', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Export Backup'),
+      h(EnableToggle, {
+        enabled: redact,
+        onChange: setRedact,
+        label: 'Redact secrets',
+        description: 'Mask passwords, API keys and tokens and leave out login sessions. Restoring keeps the secrets already on the target host.'
+      }),
+      h('div', { className: 'grid grid-cols-1 sm:grid-cols-2 gap-2' },
+        components.map(c => {
+          const omitted = redact && c.secret;
+          return h('label', { key: c.key, className: `flex items-center gap-2 ${omitted ? 'opacity-50' : 'cursor-pointer'}` },
+            h('input', {
+              type: 'checkbox',
+              checked: !omitted && !excluded.has(c.key),
+              disabled: omitted,
+              onChange: (e) => toggleIn(setExcluded, c.key, !e.target.checked),
+              className: CHECKBOX_CLASS
+            }),
+            h('span', { className: 'text-sm text-gray-700 dark:text-gray-300' }, c.label)
+          );
+        })
+      ),
+      h('div', { className: 'flex justify-end' },
+        h('a', {
+          href: exportUrl(),
+          download: true,
+          className: 'px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors'
+        }, 'Export Backup')
+      )
+    ),
+
+    // Import
+    h('div', { className: 'space-y-3' },
+      h('h4', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Import Backup'),
+      h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+        'The archive is checked and previewed first. Selected parts replace the current ones the next time aMuTorrent starts.'
+      ),
+      h('div', { className: 'flex items-center gap-2' },
+        h(Button, { variant: 'secondary', icon: 'upload', onClick: () => fileInputRef.current?.click(), disabled: busy },
+          archive ? archive.name : 'Choose Backup File...'
+        ),
+        busy && h(LoadingSpinner, { size: 'sm' }),
+        h('input', {
+          ref: fileInputRef,
+          type: 'file',
+          accept: '.gz,application/gzip',
+          onChange: handleFileSelect,
+          className: 'hidden'
+        })
+      ),
+
+      preview && h('div', { className: 'space-y-3' },
+        h('p', { className: 'text-sm text-gray-700 dark:text-gray-300' },
+          `Backup of ${formatDate(preview.createdAt)} (v${preview.appVersion || '?'})${preview.redacted ? ', secrets redacted' : ''}`
+        ),
+        preview.ignored?.length > 0 && h(AlertBox, { type: 'info' },
+          h('p', {}, `Not restored (unknown to this version): ${preview.ignored.join(', ')}`)
+        ),
+        h('ul', { className: 'divide-y divide-gray-100 dark:divide-gray-700' },
+          preview.components.map(c =>
+            h('li', { key: c.key, className: 'py-2' },
+              h('label', { className: `flex items-start gap-2 ${c.error ? '' : 'cursor-pointer'}` },
+                h('input', {
+                  type: 'checkbox',
+                  checked: selected.has(c.key),
+                  disabled: !!c.error,
+                  onChange: (e) => toggleIn(setSelected, c.key, e.target.checked),
+                  className: `${CHECKBOX_CLASS} mt-0.5`
+                }),
+                h('div', { className: 'flex-1 min-w-0' },
+                  h('p', { className: 'text-sm font-medium text-gray-900 dark:text-gray-100' }, c.label),
+                  c.error
+                    ? h('p', { className: 'text-xs text-red-600 dark:text-red-400' }, c.error)
+                    : c.changes.map((line, i) =>
+                        h('p', { key: i, className: 'text-xs text-gray-500 dark:text-gray-400' }, line)
+                      )
+                )
+              )
+            )
+          )
+        ),
+        h('div', { className: 'flex justify-end gap-2' },
+          h(Button, { variant: 'secondary', onClick: () => { setPreview(null); setArchive(null); } }, 'Discard'),
+          h(Button, { variant: 'danger', onClick: handleRestore, disabled: busy || selected.size === 0 }, 'Restore Selected')
+        )
+      )
+    ),
+
+    error && h(AlertBox, { type: 'error' }, h('p', {}, error)),
+    message && !error && h('p', { className: 'text-sm text-green-600 dark:text-green-400' }, message)
+  );
+};
+
+export default BackupRestore;
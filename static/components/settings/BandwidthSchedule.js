@@ -0,0 +1,295 @@
+/**
+ * BandwidthSchedule Component
+ *
+ * Admin-only editor for named speed profiles and the weekly schedule grid.
+ * Saves through /api/bandwidth-schedule independently of the main settings form.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Input, IconButton, AlertBox, LoadingSpinner } from '../common/index.js';
+import { formatSpeed } from '../../utils/index.js';
+import EnableToggle from './EnableToggle.js';
+
+const { createElement: h, useState, useEffect, useCallback } = React;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOURS = Array.from({ length: 24 }, (_, i) => i);
+
+// Cell colors by profile index (cycled when there are more profiles)
+const PROFILE_COLORS = [
+  'bg-blue-500', 'bg-purple-500', 'bg-green-500', 'bg-amber-500',
+  'bg-pink-500', 'bg-cyan-500', 'bg-red-500', 'bg-lime-500'
+];
+
+// Inputs are in KB/s, the API works in bytes/s
+const toKB = (bytes) => (bytes > 0 ? String(Math.round(bytes / 1024)) : '');
+const toBytes = (kb) => {
+  const n = parseInt(kb, 10);
+  return Number.isFinite(n) && n > 0 ? n * 1024 : 0;
+};
+
+const emptyGrid = () => DAY_NAMES.map(() => HOURS.map(() => null));
+
+// Profiles get a local id so renaming one doesn't detach its grid cells
+let nextProfileId = 1;
+
+const BandwidthSchedule = () => {
+  const [enabled, setEnabled] = useState(false);
+  const [profiles, setProfiles] = useState([]);  // [{ id, name, downloadKB, uploadKB }]
+  const [grid, setGrid] = useState(emptyGrid);   // 7x24 profile ids (null = no change)
+  const [brush, setBrush] = useState(null);      // Profile id to paint (null = clear)
+  const [painting, setPainting] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const applySchedule = useCallback((data) => {
+    const schedule = data.schedule || {};
+    const loaded = (schedule.profiles || []).map(p => ({
+      id: nextProfileId++,
+      name: p.name,
+      downloadKB: toKB(p.downloadLimit),
+      uploadKB: toKB(p.uploadLimit)
+    }));
+    const idByName = new Map(loaded.map(p => [p.name, p.id]));
+    setEnabled(schedule.enabled === true);
+    setProfiles(loaded);
+    setGrid(DAY_NAMES.map((_, d) => HOURS.map(hr => idByName.get(schedule.grid?.[d]?.[hr]) || null)));
+    setBrush(loaded[0]?.id || null);
+    setStatus(data.status || null);
+  }, []);
+
+  // Load schedule
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await fetch('/api/bandwidth-schedule');
+        const data = await res.json();
+        if (data.success === false) {
+          setError(data.message || 'Failed to load bandwidth schedule');
+        } else {
+          applySchedule(data);
+        }
+      } catch (err) {
+        setError('Failed to connect to server');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [applySchedule]);
+
+  // Stop painting when the mouse is released anywhere
+  useEffect(() => {
+    if (!painting) return;
+    const stop = () => setPainting(false);
+    window.addEventListener('mouseup', stop);
+    return () => window.removeEventListener('mouseup', stop);
+  }, [painting]);
+
+  // Clear saved indicator after a moment
+  useEffect(() => {
+    if (!saved) return;
+    const t = setTimeout(() => setSaved(false), 3000);
+    return () => clearTimeout(t);
+  }, [saved]);
+
+  const paintCell = (day, hour) => {
+    setGrid(prev => {
+      if (prev[day][hour] === brush) return prev;
+      const next = prev.map(row => [...row]);
+      next[day][hour] = brush;
+      return next;
+    });
+  };
+
+  const updateProfile = (id, field, value) => {
+    setProfiles(prev => prev.map(p => (p.id === id ? { ...p, [field]: value } : p)));
+  };
+
+  const addProfile = () => {
+    const names = new Set(profiles.map(p => p.name));
+    let n = profiles.length + 1;
+    while (names.has(`Profile ${n}`)) n++;
+    const id = nextProfileId++;
+    setProfiles(prev => [...prev, { id, name: `Profile ${n}`, downloadKB: '', uploadKB: '' }]);
+    setBrush(id);
+  };
+
+  const removeProfile = (id) => {
+    setProfiles(prev => prev.filter(p => p.id !== id));
+    setGrid(prev => prev.map(row => row.map(cell => (cell === id ? null : cell))));
+    if (brush === id) setBrush(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const nameById = new Map(profiles.map(p => [p.id, p.name.trim()]));
+      const res = await fetch('/api/bandwidth-schedule', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          enabled,
+          profiles: profiles.map(p => ({
+            name: p.name.trim(),
+            downloadLimit: toBytes(p.downloadKB),
+            uploadLimit: toBytes(p.uploadKB)
+          })),
+          grid: grid.map(row => row.map(cell => nameById.get(cell) || null))
+        })
+      });
+      const data = await res.json();
+      if (!data.success) {
+        setError(data.message || 'Failed to save bandwidth schedule');
+      } else {
+        applySchedule(data);
+        setSaved(true);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return h('div', { className: 'flex items-center justify-center py-6' },
+      h(LoadingSpinner, { size: 'md' })
+    );
+  }
+
+  const profileIndex = (id) => profiles.findIndex(p => p.id === id);
+  const colorOf = (id) => {
+    const index = profileIndex(id);
+    return index >= 0 ? PROFILE_COLORS[index % PROFILE_COLORS.length] : 'bg-gray-100 dark:bg-gray-700';
+  };
+
+  const brushButton = (id, label, colorClass) =>
+    h('button', {
+      key: id || '__clear',
+      type: 'button',
+      onClick: () => setBrush(id),
+      className: `flex items-center gap-1.5 px-2 py-1 rounded text-xs border transition-colors ${
+        brush === id
+          ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300'
+          : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+      }`
+    },
+      h('span', { className: `inline-block w-3 h-3 rounded-sm ${colorClass}` }),
+      label
+    );
+
+  return h('div', { className: 'space-y-4' },
+    h(EnableToggle, {
+      enabled,
+      onChange: setEnabled,
+      label: 'Enable Bandwidth Schedule',
+      description: 'Switch all connected clients to a speed profile at the scheduled times. Disabling restores the limits they had before the schedule.'
+    }),
+
+    status && h(AlertBox, { type: 'info' },
+      h('p', {},
+        'Active profile: ',
+        h('span', { className: 'font-medium' }, status.name),
+        ` (↓ ${status.downloadLimit > 0 ? formatSpeed(status.downloadLimit) : 'unlimited'}, ↑ ${status.uploadLimit > 0 ? formatSpeed(status.uploadLimit) : 'unlimited'})`
+      )
+    ),
+
+    // Profiles
+    h('div', { className: 'space-y-2' },
+      h('h4', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Speed Profiles'),
+      profiles.length === 0 && h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' }, 'No profiles yet. Add one to start building the schedule.'),
+      ...profiles.map((p, i) =>
+        h('div', { key: p.id, className: 'flex flex-wrap items-center gap-2' },
+          h('span', { className: `inline-block w-3 h-3 rounded-sm flex-shrink-0 ${PROFILE_COLORS[i % PROFILE_COLORS.length]}` }),
+          h(Input, {
+            value: p.name,
+            onChange: (e) => updateProfile(p.id, 'name', e.target.value),
+            placeholder: 'Profile name',
+            className: 'flex-1 min-w-[8rem]'
+          }),
+          h(Input, {
+            type: 'number',
+            min: 0,
+            value: p.downloadKB,
+            onChange: (e) => updateProfile(p.id, 'downloadKB', e.target.value),
+            placeholder: '↓ KB/s (unlimited)',
+            className: 'w-36'
+          }),
+          h(Input, {
+            type: 'number',
+            min: 0,
+            value: p.uploadKB,
+            onChange: (e) => updateProfile(p.id, 'uploadKB', e.target.value),
+            placeholder: '↑ KB/s (unlimited)',
+            className: 'w-36'
+          }),
+          h(IconButton, {
+            type: 'button',
+            icon: 'trash',
+            variant: 'danger',
+            onClick: () => removeProfile(p.id),
+            title: 'Remove profile'
+          })
+        )
+      ),
+      h(Button, { variant: 'secondary', icon: 'plus', onClick: addProfile }, 'Add Profile')
+    ),
+
+    // Weekly grid
+    profiles.length > 0 && h('div', { className: 'space-y-2' },
+      h('h4', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Weekly Schedule'),
+      h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+        'Pick a profile, then click or drag over hours to assign it. Empty hours keep the previous profile.'
+      ),
+      h('div', { className: 'flex flex-wrap gap-1.5' },
+        ...profiles.map((p, i) => brushButton(p.id, p.name || '(unnamed)', PROFILE_COLORS[i % PROFILE_COLORS.length])),
+        brushButton(null, 'Clear', 'bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600')
+      ),
+      h('div', { className: 'overflow-x-auto select-none' },
+        h('table', { className: 'border-separate', style: { borderSpacing: '2px' } },
+          h('thead', null,
+            h('tr', null,
+              h('th'),
+              ...HOURS.map(hr => h('th', {
+                key: hr,
+                className: 'text-[10px] font-normal text-gray-500 dark:text-gray-400 w-5'
+              }, hr % 3 === 0 ? String(hr).padStart(2, '0') : ''))
+            )
+          ),
+          h('tbody', null,
+            ...DAY_NAMES.map((day, d) =>
+              h('tr', { key: day },
+                h('td', { className: 'pr-2 text-xs text-gray-600 dark:text-gray-400' }, day),
+                ...HOURS.map(hr => {
+                  const cell = grid[d]?.[hr] || null;
+                  const cellName = cell ? profiles[profileIndex(cell)]?.name : null;
+                  return h('td', {
+                    key: hr,
+                    title: `${day} ${String(hr).padStart(2, '0')}:00${cellName ? ` · ${cellName}` : ''}`,
+                    onMouseDown: (e) => { e.preventDefault(); setPainting(true); paintCell(d, hr); },
+                    onMouseEnter: () => painting && paintCell(d, hr),
+                    className: `w-5 h-5 rounded-sm cursor-pointer ${cell ? colorOf(cell) : 'bg-gray-100 dark:bg-gray-700'}`
+                  });
+                })
+              )
+            )
+          )
+        )
+      )
+    ),
+
+    error && h(AlertBox, { type: 'error' }, h('p', {}, error)),
+    saved && h('p', { className: 'text-sm text-green-600 dark:text-green-400' }, 'Bandwidth schedule saved'),
+
+    h('div', { className: 'flex justify-end' },
+      h(Button, { variant: 'primary', onClick: handleSave, disabled: saving }, saving ? 'Saving...' : 'Save Schedule')
+    )
+  );
+};
+
+export default BandwidthSchedule;
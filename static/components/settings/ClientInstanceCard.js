@@ -3,18 +3,19 @@
  *
  * Compact summary card for a client instance (follows ServiceCard pattern).
  * Shows icon, name, type badge, connection info, color dot, instance ID,
- * enable toggle, action buttons (Test/Edit/Delete), and per-instance test result.
+ * enable toggle, action buttons (Test/Edit/Delete), per-instance test result,
+ * and an inline global speed limits editor for connected instances.
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import ClientIcon from '../common/ClientIcon.js';
-import { Icon } from '../common/index.js';
+import { Icon, SpeedLimitsEditor } from '../common/index.js';
 import TestResultIndicator from './TestResultIndicator.js';
 import { ToggleSwitch } from './EnableToggle.js';
 import { TYPE_LABELS } from './ClientInstanceModal.js';
 import { NETWORK_TYPE_LABELS } from '../../utils/index.js';
 
-const { createElement: h } = React;
+const { createElement: h, useState } = React;
 
 /**
  * ClientInstanceCard component
@@ -28,6 +29,7 @@ const { createElement: h } = React;
  * @param {Object} testResult - Per-instance test result
  */
 const ClientInstanceCard = ({ client, clientIndex, totalClients, onMove, onEdit, onToggle, onRemove, onTest, onSharedDirs, isTesting, testResult, instanceStatus }) => {
+  const [showLimits, setShowLimits] = useState(false);
   const typeLabel = TYPE_LABELS[client.type] || client.type;
   const isEnabled = client.enabled !== false;
   const connectionInfo = client.mode === 'scgi-socket'
@@ -36,6 +38,8 @@ const ClientInstanceCard = ({ client, clientIndex, totalClients, onMove, onEdit,
       ? `SCGI TCP: ${client.host ? `${client.host}:${client.port}` : 'not configured'}`
       : client.host ? `${client.host}:${client.port}` : 'Not configured';
 
+  const supportsLimits = instanceStatus?.connected && instanceStatus?.capabilities?.speedLimits === true;
+
   // Connection status from live instance data
   const isDisconnectedWithError = instanceStatus && !instanceStatus.connected && instanceStatus.error;
   const borderClass = isDisconnectedWithError
@@ -81,10 +85,16 @@ const ClientInstanceCard = ({ client, clientIndex, totalClients, onMove, onEdit,
         style: { backgroundColor: client.color }
       }),
       h('span', { className: 'text-sm text-gray-600 dark:text-gray-400' }, connectionInfo),
-      onSharedDirs && instanceStatus?.connected && h('button', {
-        onClick: () => onSharedDirs(client.id),
-        className: 'ml-auto flex items-center gap-1.5 px-2 py-0.5 text-xs font-medium rounded-lg bg-green-50 dark:bg-green-900/30 text-green-600 dark:text-green-400 hover:bg-green-100 dark:hover:bg-green-900/50 transition-colors'
-      }, h(Icon, { name: 'folder', size: 12 }), 'Shared Dirs')
+      (supportsLimits || (onSharedDirs && instanceStatus?.connected)) && h('div', { className: 'ml-auto flex items-center gap-1.5' },
+        supportsLimits && h('button', {
+          onClick: () => setShowLimits(v => !v),
+          className: 'flex items-center gap-1.5 px-2 py-0.5 text-xs font-medium rounded-lg bg-purple-50 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400 hover:bg-purple-100 dark:hover:bg-purple-900/50 transition-colors'
+        }, h(Icon, { name: 'zap', size: 12 }), 'Limits'),
+        onSharedDirs && instanceStatus?.connected && h('button', {
+          onClick: () => onSharedDirs(client.id),
+          className: 'flex items-center gap-1.5 px-2 py-0.5 text-xs font-medium rounded-lg bg-green-50 dark:bg-green-900/30 text-green-600 dark:text-green-400 hover:bg-green-100 dark:hover:bg-green-900/50 transition-colors'
+        }, h(Icon, { name: 'folder', size: 12 }), 'Shared Dirs')
+      )
     ),
 
     // Connection status line (from live instance data)
@@ -103,6 +113,11 @@ const ClientInstanceCard = ({ client, clientIndex, totalClients, onMove, onEdit,
           : h('span', { className: 'text-xs text-gray-500 dark:text-gray-400' }, 'Disconnected')
     ),
 
+    // Global speed limits (inline editor)
+    supportsLimits && showLimits && h('div', { className: 'my-2 p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50 border border-gray-200 dark:border-gray-700' },
+      h(SpeedLimitsEditor, { instanceId: client.id })
+    ),
+
     // Instance ID
     h('p', { className: 'text-xs text-gray-400 dark:text-gray-500 font-mono mb-3 min-h-[1rem]' },
       client.id || ''
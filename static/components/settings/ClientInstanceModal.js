@@ -61,6 +61,28 @@ const CLIENT_FIELDS = {
     { field: 'username', label: 'Username', description: 'Transmission RPC username', placeholder: 'Enter username' },
     { field: 'password', label: 'Password', description: 'Transmission RPC password', placeholder: 'Enter Transmission password', sensitive: true },
     { field: 'useSsl', label: 'Use SSL (HTTPS)', description: 'Connect to Transmission using HTTPS', toggle: true }
+  ],
+  aria2: [
+    { field: 'mode', label: 'Connection Mode', description: 'HTTP: one request per call. WebSocket: keeps a single connection open.', select: true, options: [{ value: 'http', label: 'HTTP' }, { value: 'websocket', label: 'WebSocket' }], defaultValue: 'http' },
+    { field: 'host', label: 'Host', description: 'aria2 RPC host address', placeholder: '127.0.0.1', defaultValue: '127.0.0.1', required: true },
+    { field: 'port', label: 'Port', description: 'aria2 RPC port (--rpc-listen-port, default: 6800)', placeholder: '6800', defaultValue: 6800, type: 'number', required: true, parseValue: v => parseInt(v, 10) || 6800 },
+    { field: 'path', label: 'RPC Path', description: 'Path for RPC endpoint (default: /jsonrpc)', placeholder: '/jsonrpc', defaultValue: '/jsonrpc' },
+    { field: 'password', label: 'RPC Secret', description: 'aria2 RPC secret (--rpc-secret), leave empty if not set', placeholder: 'Enter RPC secret', sensitive: true, envSuffix: 'SECRET' },
+    { field: 'useSsl', label: 'Use SSL (HTTPS/WSS)', description: 'Connect to aria2 using HTTPS or secure WebSocket', toggle: true }
+  ],
+  sabnzbd: [
+    { field: 'host', label: 'Host', description: 'SABnzbd host address', placeholder: '127.0.0.1', defaultValue: '127.0.0.1', required: true },
+    { field: 'port', label: 'Port', description: 'SABnzbd web port (default: 8080)', placeholder: '8080', defaultValue: 8080, type: 'number', required: true, parseValue: v => parseInt(v, 10) || 8080 },
+    { field: 'path', label: 'URL Base (Optional)', description: 'URL base when behind a reverse proxy (e.g., /sabnzbd)', placeholder: 'Leave empty if not using a reverse proxy' },
+    { field: 'apiKey', label: 'API Key', description: 'Full API key from Config → General → Security (not the NZB key)', placeholder: 'Enter SABnzbd API key', required: true, sensitive: true, envSuffix: 'API_KEY' },
+    { field: 'useSsl', label: 'Use SSL (HTTPS)', description: 'Connect to SABnzbd using HTTPS', toggle: true }
+  ],
+  nzbget: [
+    { field: 'host', label: 'Host', description: 'NZBGet host address', placeholder: '127.0.0.1', defaultValue: '127.0.0.1', required: true },
+    { field: 'port', label: 'Port', description: 'NZBGet control port (default: 6789)', placeholder: '6789', defaultValue: 6789, type: 'number', required: true, parseValue: v => parseInt(v, 10) || 6789 },
+    { field: 'username', label: 'Username', description: 'NZBGet ControlUsername (default: nzbget)', placeholder: 'nzbget', defaultValue: 'nzbget' },
+    { field: 'password', label: 'Password', description: 'NZBGet ControlPassword', placeholder: 'Enter NZBGet password', sensitive: true },
+    { field: 'useSsl', label: 'Use SSL (HTTPS)', description: 'Connect to NZBGet using HTTPS', toggle: true }
   ]
 };
 
@@ -69,7 +91,10 @@ const TYPE_LABELS = {
   rtorrent: 'rTorrent',
   qbittorrent: 'qBittorrent',
   deluge: 'Deluge',
-  transmission: 'Transmission'
+  transmission: 'Transmission',
+  aria2: 'aria2',
+  sabnzbd: 'SABnzbd',
+  nzbget: 'NZBGet'
 };
 
 
@@ -91,14 +116,17 @@ const TYPE_DESCRIPTIONS = {
   rtorrent: 'BitTorrent via XML-RPC / SCGI',
   qbittorrent: 'BitTorrent via WebUI API',
   deluge: 'BitTorrent via WebUI JSON-RPC',
-  transmission: 'BitTorrent via HTTP RPC'
+  transmission: 'BitTorrent via HTTP RPC',
+  aria2: 'BitTorrent and HTTP/FTP via JSON-RPC',
+  sabnzbd: 'Usenet via HTTP API',
+  nzbget: 'Usenet via JSON-RPC'
 };
 
 /**
  * ClientTypeSelector - Grid of client type cards for step 1
  */
 const ClientTypeSelector = ({ onSelect }) => {
-  return h('div', { className: 'grid grid-cols-2 sm:grid-cols-4 gap-3' },
+  return h('div', { className: 'grid grid-cols-2 sm:grid-cols-3 gap-3' },
     Object.entries(TYPE_LABELS).map(([type, label]) =>
       h('button', {
         key: type,
@@ -361,8 +389,8 @@ const ClientInstanceModal = ({ isOpen, onClose, onSave, onTest, editClient = nul
 
             if (fieldDef.sensitive) {
               const envProvided = isFieldFromEnv(fieldDef.field);
-              const prefix = { amule: 'AMULE', rtorrent: 'RTORRENT', qbittorrent: 'QBITTORRENT', deluge: 'DELUGE', transmission: 'TRANSMISSION' }[formState.type];
-              const suffix = { password: 'PASSWORD', username: 'USERNAME' }[fieldDef.field];
+              const prefix = { amule: 'AMULE', rtorrent: 'RTORRENT', qbittorrent: 'QBITTORRENT', deluge: 'DELUGE', transmission: 'TRANSMISSION', aria2: 'ARIA2', sabnzbd: 'SABNZBD', nzbget: 'NZBGET' }[formState.type];
+              const suffix = fieldDef.envSuffix || { password: 'PASSWORD', username: 'USERNAME' }[fieldDef.field];
               const envName = prefix && suffix ? `${prefix}_${suffix}` : null;
 
               return h('div', { key: fieldDef.field },
@@ -40,10 +40,11 @@ const ApiKeyDisplay = ({ apiKey }) => {
  * @param {number} port - Server port number
  * @param {boolean} authEnabled - Whether authentication is enabled
  * @param {boolean} amuleEnabled - Whether aMule integration is enabled
+ * @param {Array} amuleInstances - [{ id, name }] enabled aMule instances (each is also its own indexer)
  * @param {string} apiKey - Admin's API key (shown instead of "Your web UI password")
  * @param {string} className - Optional additional CSS classes
  */
-const IntegrationConfigInfo = ({ title, port, authEnabled, amuleEnabled = true, apiKey, username, className = '' }) => {
+const IntegrationConfigInfo = ({ title, port, authEnabled, amuleEnabled = true, amuleInstances = [], apiKey, username, className = '' }) => {
   const apiKeyLabel = apiKey
     ? h(ApiKeyDisplay, { apiKey })
     : 'Your API key (found in Settings > User Management)';
@@ -59,6 +60,13 @@ const IntegrationConfigInfo = ({ title, port, authEnabled, amuleEnabled = true,
               h('p', { className: 'font-medium mb-1' }, 'Torznab Indexer Settings:'),
               h('ul', { className: 'list-disc list-inside space-y-1 ml-2' },
                 h('li', {}, h('strong', {}, 'URL: '), h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, `http://<host>:${port}/indexer/amule`), ' (<host> can be IP address or container name)'),
+                amuleInstances.length > 1 && h('li', {}, h('strong', {}, 'Per-instance URLs: '), 'add one indexer per aMule instance',
+                  h('ul', { className: 'list-none ml-5 mt-1 space-y-0.5' },
+                    amuleInstances.map(inst =>
+                      h('li', { key: inst.id }, `${inst.name}: `, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded break-all' }, `http://<host>:${port}/indexer/amule/${inst.id}`))
+                    )
+                  )
+                ),
                 authEnabled
                   ? h('li', {}, h('strong', {}, 'API Key: '), apiKeyLabel)
                   : h('li', {}, h('strong', {}, 'API Key: '), 'Leave empty (authentication is disabled)')
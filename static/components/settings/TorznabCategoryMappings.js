@@ -0,0 +1,121 @@
+/**
+ * TorznabCategoryMappings Component
+ *
+ * Per-indexer editor mapping Torznab categories to ED2K file types, so e.g.
+ * Sonarr's anime and TV searches can look for different files. Part of the
+ * main settings form (integrations.torznab.categoryMappings).
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Input, Select, IconButton } from '../common/index.js';
+
+const { createElement: h } = React;
+
+// Categories advertised by the Torznab capabilities
+const CATEGORY_OPTIONS = [
+  { value: '2000', label: '2000 Movies' },
+  { value: '2010', label: '2010 Movies/Foreign' },
+  { value: '2020', label: '2020 Movies/Other' },
+  { value: '2030', label: '2030 Movies/SD' },
+  { value: '2040', label: '2040 Movies/HD' },
+  { value: '2045', label: '2045 Movies/UHD' },
+  { value: '2050', label: '2050 Movies/BluRay' },
+  { value: '2060', label: '2060 Movies/3D' },
+  { value: '2070', label: '2070 Movies/DVD' },
+  { value: '2080', label: '2080 Movies/WEB-DL' },
+  { value: '2090', label: '2090 Movies/x265' },
+  { value: '5000', label: '5000 TV' },
+  { value: '5010', label: '5010 TV/WEB-DL' },
+  { value: '5020', label: '5020 TV/Foreign' },
+  { value: '5030', label: '5030 TV/SD' },
+  { value: '5040', label: '5040 TV/HD' },
+  { value: '5045', label: '5045 TV/UHD' },
+  { value: '5050', label: '5050 TV/Other' },
+  { value: '5060', label: '5060 TV/Sport' },
+  { value: '5070', label: '5070 TV/Anime' },
+  { value: '5080', label: '5080 TV/Documentary' },
+  { value: '5090', label: '5090 TV/x265' }
+];
+
+// File types known to the server (lib/torznab/categories.js)
+const FILE_TYPE_OPTIONS = [
+  { value: '', label: 'Any file type' },
+  { value: 'video', label: 'Video' },
+  { value: 'audio', label: 'Audio' },
+  { value: 'archive', label: 'Archive' },
+  { value: 'cdimage', label: 'CD/DVD image' },
+  { value: 'document', label: 'Document' },
+  { value: 'picture', label: 'Picture' },
+  { value: 'program', label: 'Program' }
+];
+
+/**
+ * TorznabCategoryMappings component
+ * @param {Array} amuleClients - [{ id, name }] aMule instances (one indexer each)
+ * @param {Object} mappings - { [instanceId]: [{ category, fileType, extension }] }
+ * @param {function} onChange - Called with the updated mappings object
+ */
+const TorznabCategoryMappings = ({ amuleClients, mappings = {}, onChange }) => {
+  const setInstanceMappings = (instanceId, list) => {
+    const next = { ...mappings };
+    if (list.length > 0) next[instanceId] = list;
+    else delete next[instanceId];
+    onChange(next);
+  };
+
+  const updateRow = (instanceId, index, field, value) => {
+    const list = (mappings[instanceId] || []).map((m, i) => (i === index ? { ...m, [field]: value } : m));
+    setInstanceMappings(instanceId, list);
+  };
+
+  return h('div', { className: 'space-y-4' },
+    h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+      'Searches for a mapped category (or its parent category) only return files of the mapped type and extension, tagged with that category. Searches without a mapped category return everything.'
+    ),
+    ...amuleClients.map(client => {
+      const list = mappings[client.id] || [];
+      return h('div', { key: client.id, className: 'space-y-2' },
+        amuleClients.length > 1 && h('h5', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, client.name),
+        list.length === 0 && h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' }, 'No category mappings.'),
+        ...list.map((m, index) =>
+          h('div', { key: index, className: 'flex flex-wrap items-center gap-2' },
+            h(Select, {
+              value: m.category,
+              onChange: (e) => updateRow(client.id, index, 'category', e.target.value),
+              options: CATEGORY_OPTIONS,
+              title: 'Torznab category'
+            }),
+            h('span', { className: 'text-sm text-gray-500 dark:text-gray-400' }, '→'),
+            h(Select, {
+              value: m.fileType || '',
+              onChange: (e) => updateRow(client.id, index, 'fileType', e.target.value),
+              options: FILE_TYPE_OPTIONS,
+              title: 'ED2K file type'
+            }),
+            h(Input, {
+              value: m.extension || '',
+              onChange: (e) => updateRow(client.id, index, 'extension', e.target.value.trim().replace(/^\./, '')),
+              placeholder: 'Any ext.',
+              className: 'w-24 font-mono',
+              title: 'File extension (optional)'
+            }),
+            h(IconButton, {
+              type: 'button',
+              icon: 'trash',
+              variant: 'danger',
+              onClick: () => setInstanceMappings(client.id, list.filter((_, i) => i !== index)),
+              title: 'Remove mapping'
+            })
+          )
+        ),
+        h(Button, {
+          variant: 'secondary',
+          icon: 'plus',
+          onClick: () => setInstanceMappings(client.id, [...list, { category: '5070', fileType: 'video', extension: '' }])
+        }, 'Add Mapping')
+      );
+    })
+  );
+};
+
+export default TorznabCategoryMappings;
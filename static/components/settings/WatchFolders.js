@@ -0,0 +1,244 @@
+/**
+ * WatchFolders Component
+ *
+ * Admin-only editor for watch folders (one per category) that import dropped
+ * .torrent files and magnet/ED2K link lists. Saves through /api/watch-folders
+ * independently of the main settings form.
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { Button, Input, Select, IconButton, AlertBox, LoadingSpinner } from '../common/index.js';
+import { formatTimeAgo } from '../../utils/index.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+import EnableToggle, { ToggleSwitch } from './EnableToggle.js';
+
+const { createElement: h, useState, useEffect, useCallback, useMemo } = React;
+
+// Folders get a local id so React keys survive edits to the path
+let nextFolderId = 1;
+
+const WatchFolders = () => {
+  const { dataCategories: categories, instances } = useStaticData();
+  const [enabled, setEnabled] = useState(false);
+  const [intervalSeconds, setIntervalSeconds] = useState('30');
+  const [folders, setFolders] = useState([]);   // [{ id, path, category, instanceId, username, enabled }]
+  const [users, setUsers] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const applyConfig = useCallback((data) => {
+    const cfg = data.config || {};
+    setEnabled(cfg.enabled === true);
+    setIntervalSeconds(String(cfg.intervalSeconds || 30));
+    setFolders((cfg.folders || []).map(f => ({
+      id: nextFolderId++,
+      path: f.path,
+      category: f.category || '',
+      instanceId: f.instanceId || '',
+      username: f.username || '',
+      enabled: f.enabled !== false
+    })));
+    setStatus(data.status || null);
+  }, []);
+
+  // Load configuration (and users for the owner picker, when auth is on)
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await fetch('/api/watch-folders');
+        const data = await res.json();
+        if (data.success === false) {
+          setError(data.message || 'Failed to load watch folders');
+        } else {
+          applyConfig(data);
+        }
+      } catch (err) {
+        setError('Failed to connect to server');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+    fetch('/api/users').then(r => r.json()).then(data => {
+      if (data.success && data.users) setUsers(data.users);
+    }).catch(() => {});
+  }, [applyConfig]);
+
+  // Clear saved indicator after a moment
+  useEffect(() => {
+    if (!saved) return;
+    const t = setTimeout(() => setSaved(false), 3000);
+    return () => clearTimeout(t);
+  }, [saved]);
+
+  const categoryOptions = useMemo(() => [
+    { value: '', label: 'No category' },
+    ...(categories || [])
+      .map(c => c.name || c.title)
+      .filter(name => name && name !== 'Default')
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ value: name, label: name }))
+  ], [categories]);
+
+  const instanceOptions = useMemo(() => [
+    { value: '', label: 'Automatic client' },
+    ...Object.entries(instances || {}).map(([id, inst]) => ({ value: id, label: inst.name || id }))
+  ], [instances]);
+
+  const userOptions = useMemo(() => [
+    { value: '', label: 'No owner' },
+    ...users.map(u => ({ value: u.username, label: u.username }))
+  ], [users]);
+
+  const updateFolder = (id, field, value) => {
+    setFolders(prev => prev.map(f => (f.id === id ? { ...f, [field]: value } : f)));
+  };
+
+  const addFolder = () => {
+    setFolders(prev => [...prev, { id: nextFolderId++, path: '', category: '', instanceId: '', username: '', enabled: true }]);
+  };
+
+  const removeFolder = (id) => {
+    setFolders(prev => prev.filter(f => f.id !== id));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/watch-folders', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          enabled,
+          intervalSeconds: parseInt(intervalSeconds, 10),
+          folders: folders.map(f => ({
+            path: f.path.trim(),
+            category: f.category || null,
+            instanceId: f.instanceId || null,
+            username: f.username || null,
+            enabled: f.enabled
+          }))
+        })
+      });
+      const data = await res.json();
+      if (!data.success) {
+        setError(data.message || 'Failed to save watch folders');
+      } else {
+        applyConfig(data);
+        setSaved(true);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return h('div', { className: 'flex items-center justify-center py-6' },
+      h(LoadingSpinner, { size: 'md' })
+    );
+  }
+
+  const recent = status?.recent || [];
+
+  return h('div', { className: 'space-y-4' },
+    h(EnableToggle, {
+      enabled,
+      onChange: setEnabled,
+      label: 'Enable Watch Folders',
+      description: 'Import .torrent files and .magnet/.txt/.ed2k link lists dropped into these directories'
+    }),
+
+    h('div', { className: 'flex items-center gap-2' },
+      h('span', { className: 'text-sm text-gray-700 dark:text-gray-300' }, 'Scan every'),
+      h(Input, {
+        type: 'number',
+        min: 10,
+        value: intervalSeconds,
+        onChange: (e) => setIntervalSeconds(e.target.value),
+        className: 'w-24'
+      }),
+      h('span', { className: 'text-sm text-gray-700 dark:text-gray-300' }, 'seconds')
+    ),
+
+    // Folders
+    h('div', { className: 'space-y-2' },
+      h('h4', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Folders'),
+      h('p', { className: 'text-xs text-gray-500 dark:text-gray-400' },
+        'One folder per category. Processed files are moved to done/ or failed/ inside the folder; failed files get a .reason.txt next to them.'
+      ),
+      folders.length === 0 && h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' }, 'No watch folders yet.'),
+      ...folders.map(f =>
+        h('div', { key: f.id, className: `flex flex-wrap items-center gap-2 ${f.enabled ? '' : 'opacity-60'}` },
+          h(ToggleSwitch, {
+            enabled: f.enabled,
+            onChange: (value) => updateFolder(f.id, 'enabled', value)
+          }),
+          h(Input, {
+            value: f.path,
+            onChange: (e) => updateFolder(f.id, 'path', e.target.value),
+            placeholder: '/watch/movies',
+            className: 'flex-1 min-w-[12rem] font-mono'
+          }),
+          h(Select, {
+            value: f.category,
+            onChange: (e) => updateFolder(f.id, 'category', e.target.value),
+            options: categoryOptions,
+            title: 'Category'
+          }),
+          h(Select, {
+            value: f.instanceId,
+            onChange: (e) => updateFolder(f.id, 'instanceId', e.target.value),
+            options: instanceOptions,
+            title: 'Target client'
+          }),
+          users.length > 0 && h(Select, {
+            value: f.username,
+            onChange: (e) => updateFolder(f.id, 'username', e.target.value),
+            options: userOptions,
+            title: 'Owner (recorded as the user who added the download)'
+          }),
+          h(IconButton, {
+            type: 'button',
+            icon: 'trash',
+            variant: 'danger',
+            onClick: () => removeFolder(f.id),
+            title: 'Remove folder'
+          })
+        )
+      ),
+      h(Button, { variant: 'secondary', icon: 'plus', onClick: addFolder }, 'Add Folder')
+    ),
+
+    // Recent imports
+    recent.length > 0 && h('div', { className: 'space-y-1' },
+      h('h4', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300' }, 'Recent Imports'),
+      h('ul', { className: 'text-xs space-y-0.5' },
+        recent.slice(0, 10).map(r =>
+          h('li', { key: `${r.at}-${r.folder}-${r.file}`, className: 'flex items-center gap-2' },
+            h('span', { className: r.success ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400' }, r.success ? '✓' : '✗'),
+            h('span', { className: 'flex-1 min-w-0 truncate text-gray-800 dark:text-gray-200', title: r.errors?.join('\n') || undefined }, r.file),
+            h('span', { className: 'text-gray-500 dark:text-gray-400 flex-shrink-0' }, formatTimeAgo(r.at))
+          )
+        )
+      )
+    ),
+
+    status?.blocked?.length > 0 && h(AlertBox, { type: 'warning' },
+      h('p', {}, `Paused until saved again (processed files could not be moved): ${status.blocked.join(', ')}`)
+    ),
+    error && h(AlertBox, { type: 'error' }, h('p', {}, error)),
+    saved && h('p', { className: 'text-sm text-green-600 dark:text-green-400' }, 'Watch folders saved'),
+
+    h('div', { className: 'flex justify-end' },
+      h(Button, { variant: 'primary', onClick: handleSave, disabled: saving }, saving ? 'Saving...' : 'Save Watch Folders')
+    )
+  );
+};
+
+export default WatchFolders;
@@ -15,3 +15,7 @@ export { default as IntegrationConfigInfo } from './IntegrationConfigInfo.js';
 export { default as ClientInstanceCard } from './ClientInstanceCard.js';
 export { default as ClientInstanceModal } from './ClientInstanceModal.js';
 export { default as UserManagement } from './UserManagement.js';
+export { default as BandwidthSchedule } from './BandwidthSchedule.js';
+export { default as WatchFolders } from './WatchFolders.js';
+export { default as BackupRestore } from './BackupRestore.js';
+export { default as TorznabCategoryMappings } from './TorznabCategoryMappings.js';
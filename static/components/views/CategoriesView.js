@@ -97,7 +97,8 @@ const CategoriesView = () => {
     path: '',
     color: '#CCCCCC',
     comment: '',
-    priority: 0
+    priority: 0,
+    pinnedInstanceId: ''
   });
 
   // Aliases for readability
@@ -124,7 +125,8 @@ const CategoriesView = () => {
       path: '',
       color: '#CCCCCC',
       comment: '',
-      priority: 0
+      priority: 0,
+      pinnedInstanceId: ''
     });
     openCategoryEditModal({ mode: 'create', category: null });
   };
@@ -136,7 +138,8 @@ const CategoriesView = () => {
       path: category.path || '',
       color: category.hexColor || '#CCCCCC',
       comment: category.comment || '',
-      priority: category.priority
+      priority: category.priority,
+      pinnedInstanceId: category.pinnedInstanceId || ''
     });
     openCategoryEditModal({ mode: 'edit', category });
   };
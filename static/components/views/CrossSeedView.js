@@ -0,0 +1,236 @@
+/**
+ * CrossSeedView Component
+ *
+ * Cross-seed finder: torrents on the connected BitTorrent instances (and
+ * optionally Prowlarr results) with the same files as data already on disk,
+ * each with an action to add it to an instance at that data's save path
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { LoadingSpinner, AlertBox, Button, Select, Input, FilterInput, ClientIcon } from '../common/index.js';
+import { ConfigSection } from '../settings/index.js';
+import { useCrossSeed } from '../../hooks/useCrossSeed.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { formatBytes, formatTimeAgo } from '../../utils/index.js';
+import { CLIENT_NAMES } from '../../utils/constants.js';
+
+const { createElement: h, useState, useEffect, useMemo } = React;
+
+const BADGE_CLASS = 'text-xs px-2 py-0.5 rounded-full flex-shrink-0';
+
+const MODE_LABELS = {
+  recheck: 'Recheck, then start',
+  skipCheck: 'Skip hash check'
+};
+
+const STATUS_BADGES = {
+  adding: { label: 'adding', className: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300' },
+  checking: { label: 'verifying', className: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300' },
+  added: { label: 'added', className: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' },
+  failed: { label: 'failed', className: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300' }
+};
+
+/**
+ * Progress line of a running scan
+ * @param {Object} scan - Scan state
+ * @returns {string}
+ */
+const formatProgress = (scan) => {
+  const counter = scan.total > 0 ? ` (${scan.done}/${scan.total})` : '';
+  return scan.phase === 'prowlarr' ? `Searching Prowlarr${counter}...` : `Comparing file lists${counter}...`;
+};
+
+/**
+ * CrossSeedView component
+ */
+const CrossSeedView = () => {
+  const { scan, candidates, prowlarrConfigured, loaded, error, fetchStatus, startScan, addCandidate } = useCrossSeed();
+  const { instances } = useStaticData();
+
+  const [useProwlarr, setUseProwlarr] = useState(false);
+  const [maxSearches, setMaxSearches] = useState(25);
+  const [textFilter, setTextFilter] = useState('');
+  const [choices, setChoices] = useState({});   // candidate id → { targetInstanceId, mode }
+  const [addingId, setAddingId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const instanceName = (id) => {
+    const inst = instances?.[id];
+    return inst?.name || CLIENT_NAMES[inst?.type]?.name || id;
+  };
+
+  const filtered = useMemo(() => {
+    const text = textFilter.trim().toLowerCase();
+    return text ? candidates.filter(c => c.name.toLowerCase().includes(text)) : candidates;
+  }, [candidates, textFilter]);
+
+  // Selected target and mode of a candidate (first target, recheck when possible)
+  const choiceOf = (candidate) => {
+    const chosen = choices[candidate.id] || {};
+    const target = candidate.targets.find(t => t.instanceId === chosen.targetInstanceId) || candidate.targets[0];
+    const mode = target.modes.includes(chosen.mode) ? chosen.mode
+      : target.modes.includes('recheck') ? 'recheck' : target.modes[0];
+    return { target, mode };
+  };
+
+  const setChoice = (id, change) => {
+    setChoices(prev => ({ ...prev, [id]: { ...prev[id], ...change } }));
+  };
+
+  const handleScan = async () => {
+    setActionError(null);
+    try {
+      await startScan({ prowlarr: useProwlarr && prowlarrConfigured, maxSearches });
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleAdd = async (candidate) => {
+    const { target, mode } = choiceOf(candidate);
+    setAddingId(candidate.id);
+    setActionError(null);
+    try {
+      await addCandidate(candidate.id, target.instanceId, mode);
+    } catch (err) {
+      setActionError(`${candidate.name}: ${err.message}`);
+      fetchStatus();
+    } finally {
+      setAddingId(null);
+    }
+  };
+
+  if (!loaded) {
+    return h('div', { className: 'flex items-center justify-center h-64' },
+      h(LoadingSpinner, { text: 'Loading cross-seed finder...' })
+    );
+  }
+
+  const running = !!scan?.running;
+
+  const renderSource = (candidate) => {
+    const { source } = candidate;
+    if (source.type === 'prowlarr') {
+      return h('span', { className: `${BADGE_CLASS} bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300`, title: source.title },
+        `${source.indexer} · ${source.seeders} seeders`);
+    }
+    return h('span', { className: `${BADGE_CLASS} bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 flex items-center gap-1` },
+      h(ClientIcon, { client: instances?.[source.instanceId]?.type, size: 12, title: '' }),
+      instanceName(source.instanceId));
+  };
+
+  const renderCandidate = (candidate) => {
+    const { target, mode } = choiceOf(candidate);
+    const badge = STATUS_BADGES[candidate.status];
+    const done = ['adding', 'checking', 'added'].includes(candidate.status);
+    const holders = candidate.matches.map(m => `${instanceName(m.instanceId)}: ${m.name}`).join('\n');
+
+    return h('li', { key: candidate.id, className: 'flex flex-col lg:flex-row lg:items-center gap-2 lg:gap-3 py-2 text-sm' },
+      h('div', { className: 'flex-1 min-w-0' },
+        h('div', { className: 'flex items-center gap-2' },
+          renderSource(candidate),
+          badge && h('span', { className: `${BADGE_CLASS} ${badge.className}` }, badge.label),
+          h('p', { className: 'text-gray-900 dark:text-gray-100 truncate', title: candidate.name }, candidate.name)
+        ),
+        h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-0.5 truncate', title: holders },
+          `${formatBytes(candidate.size)} · ${candidate.fileCount} file${candidate.fileCount === 1 ? '' : 's'}`,
+          ` · data in ${target.savePath}`,
+          !target.local && ' (path mapped from another instance)'
+        ),
+        candidate.error && h('p', { className: 'text-xs text-red-600 dark:text-red-400 mt-0.5' }, candidate.error)
+      ),
+      h('div', { className: 'flex flex-wrap gap-2 flex-shrink-0' },
+        h(Select, {
+          value: target.instanceId,
+          onChange: (e) => setChoice(candidate.id, { targetInstanceId: e.target.value }),
+          options: candidate.targets.map(t => ({
+            value: t.instanceId,
+            label: t.local ? `${instanceName(t.instanceId)} (has the data)` : instanceName(t.instanceId)
+          })),
+          disabled: done,
+          title: 'Instance to add the torrent to'
+        }),
+        h(Select, {
+          value: mode,
+          onChange: (e) => setChoice(candidate.id, { mode: e.target.value }),
+          options: target.modes.map(m => ({ value: m, label: MODE_LABELS[m] })),
+          disabled: done,
+          title: 'Skip the hash check, or recheck the data and start the torrent once all of it verified'
+        }),
+        h(Button, {
+          variant: 'primary',
+          icon: 'plus',
+          onClick: () => handleAdd(candidate),
+          disabled: done || addingId === candidate.id
+        }, addingId === candidate.id ? 'Adding...' : 'Add')
+      )
+    );
+  };
+
+  return h('div', { className: 'w-full lg:w-3/4 mx-auto px-2 py-4 sm:px-4' },
+    h(ConfigSection, {
+      title: 'Scan',
+      description: 'Compare the file lists of all complete torrents on the connected BitTorrent instances to find the same content from different trackers',
+      defaultOpen: true
+    },
+      h('div', { className: 'flex flex-col sm:flex-row gap-2 sm:items-center' },
+        h('label', {
+          className: `flex items-center gap-2 text-sm ${prowlarrConfigured ? 'text-gray-700 dark:text-gray-300' : 'text-gray-400 dark:text-gray-500'}`,
+          title: prowlarrConfigured ? undefined : 'Configure Prowlarr in Settings to search indexers'
+        },
+          h('input', {
+            type: 'checkbox',
+            checked: useProwlarr && prowlarrConfigured,
+            onChange: (e) => setUseProwlarr(e.target.checked),
+            disabled: !prowlarrConfigured || running,
+            className: 'w-4 h-4'
+          }),
+          'Also search Prowlarr for'
+        ),
+        h(Input, {
+          type: 'number',
+          min: 1,
+          max: 200,
+          value: maxSearches,
+          onChange: (e) => setMaxSearches(parseInt(e.target.value, 10) || 1),
+          disabled: !useProwlarr || !prowlarrConfigured || running,
+          className: 'w-20'
+        }),
+        h('span', { className: 'text-sm text-gray-700 dark:text-gray-300 flex-1' }, 'newest torrents'),
+        h(Button, { variant: 'primary', icon: 'search', onClick: handleScan, disabled: running },
+          running ? 'Scanning...' : 'Scan')
+      ),
+      h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-2' },
+        running
+          ? formatProgress(scan)
+          : scan?.finishedAt
+            ? `Last scan ${formatTimeAgo(scan.finishedAt)}${scan.error ? ` failed: ${scan.error}` : ''}`
+            : 'No scan yet.'
+      )
+    ),
+
+    h(ConfigSection, {
+      title: `Candidates (${candidates.length})`,
+      description: 'Torrents that can seed from data already on disk. Skipping the hash check starts seeding right away; rechecking verifies the data first and leaves the torrent stopped if anything differs.',
+      defaultOpen: true
+    },
+      candidates.length > 0 && h('div', { className: 'mb-2' },
+        h(FilterInput, { value: textFilter, onChange: setTextFilter, onClear: () => setTextFilter(''), placeholder: 'Filter by name...' })
+      ),
+      filtered.length === 0
+        ? h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' },
+            candidates.length === 0 ? 'No cross-seed candidates found.' : 'No candidates match the filter.')
+        : h('ul', { className: 'divide-y divide-gray-100 dark:divide-gray-700' }, filtered.map(renderCandidate))
+    ),
+
+    (error || actionError) && h(AlertBox, { type: 'error', className: 'mt-4' },
+      h('p', {}, error || actionError)
+    )
+  );
+};
+
+export default CrossSeedView;
@@ -10,7 +10,7 @@ import React from 'https://esm.sh/react@18.2.0';
 import { Table, ContextMenu, MoreButton, Button, Select, IconButton, SelectionModeSection, EmptyState, DownloadMobileCard, MobileStatusTabs, MobileFilterPills, MobileFilterSheet, MobileFilterButton, MobileSortButton, ExpandableSearch, FilterInput, SelectionCheckbox, Tooltip, Icon } from '../common/index.js';
 import { getRowHighlightClass, DEFAULT_SORT_CONFIG, DEFAULT_SECONDARY_SORT_CONFIG, formatTitleCount, buildSpeedColumn, buildSizeColumn, buildFileNameColumn, buildStatusColumn, buildCategoryColumn, buildProgressColumn, buildSourcesColumn, buildAddedAtColumn, buildETAColumn, VIEW_TITLE_STYLES, createCategoryLabelFilter, createTrackerFilter } from '../../utils/index.js';
 import { itemKey } from '../../utils/itemKey.js';
-import { useViewDeleteModal, useBatchExport, useViewFilters, usePageSelection, useItemActions, useCategoryFilterOptions, useItemContextMenu, useColumnConfig, getSecondarySortConfig, useFileInfoModal, useFileCategoryModal, useFileMoveModal, useFileRenameModal } from '../../hooks/index.js';
+import { useViewDeleteModal, useBatchExport, useViewFilters, usePageSelection, useItemActions, useCategoryFilterOptions, useItemContextMenu, useColumnConfig, getSecondarySortConfig, useFileInfoModal, useFileCategoryModal, useFileMoveModal, useTransferModal, useFileRenameModal } from '../../hooks/index.js';
 import { useLiveData } from '../../contexts/LiveDataContext.js';
 import { useStaticData } from '../../contexts/StaticDataContext.js';
 import { useActions } from '../../contexts/ActionsContext.js';
@@ -179,6 +179,10 @@ const DownloadsView = () => {
     handlePause,
     handleResume,
     handleStop,
+    handleRecheck,
+    handleReannounce,
+    handleToggleSequential,
+    handleToggleFirstLast,
     handleCopyLink,
     handleBatchPause,
     handleBatchResume,
@@ -210,6 +214,14 @@ const DownloadsView = () => {
     dataArray: downloads
   });
 
+  // ============================================================================
+  // TRANSFER MODAL
+  // ============================================================================
+  const { openTransferModal, handleBatchTransfer, canTransfer, TransferModalElement } = useTransferModal({
+    getSelectedHashes,
+    dataArray: downloads
+  });
+
   // ============================================================================
   // CONTEXT MENU
   // ============================================================================
@@ -220,9 +232,15 @@ const DownloadsView = () => {
     onDelete: hasCap('remove_downloads') ? (item) => handleDeleteClick(item.hash, item.name, item.client || 'amule', item.instanceId) : null,
     onCategoryChange: (item) => openCategoryModal(item.hash, item.name, item.category || 'Default', item.instanceId),
     onMoveTo: openMoveModal,
+    onTransfer: openTransferModal,
+    canTransfer,
     onPause: handlePause,
     onResume: handleResume,
     onStop: handleStop,
+    onRecheck: handleRecheck,
+    onReannounce: handleReannounce,
+    onToggleSequential: handleToggleSequential,
+    onToggleFirstLast: handleToggleFirstLast,
     onRename: openRenameModal,
     onCopyLink: handleCopyLink,
     copiedHash,
@@ -485,6 +503,7 @@ const DownloadsView = () => {
       ),
       hasCap('assign_categories') && h(Button, { variant: 'orange', onClick: handleBatchSetCategory, icon: 'folder', iconSize: 14 }, 'Edit Category'),
       hasCap('edit_downloads') && h(Button, { variant: 'cyan', onClick: handleBatchMove, icon: 'folderOpen', iconSize: 14 }, 'Move to...'),
+      hasCap('edit_downloads') && selectedNetworkTypes.has('bittorrent') && h(Button, { variant: 'cyan', onClick: handleBatchTransfer, icon: 'arrowRightLeft', iconSize: 14 }, 'Transfer...'),
       h(Button, { variant: batchCopyStatus === 'success' ? 'success' : 'purple', onClick: handleBatchExport, disabled: batchCopyStatus === 'success', icon: batchCopyStatus === 'success' ? 'check' : 'share', iconSize: 14 }, batchCopyStatus === 'success' ? 'Copied!' : 'Export Links'),
       hasCap('remove_downloads') && h(Button, { variant: 'danger', onClick: handleBatchDeleteClick, icon: 'trash', iconSize: 14 }, 'Delete')
     ),
@@ -496,6 +515,8 @@ const DownloadsView = () => {
 
     FileMoveModalElement,
 
+    TransferModalElement,
+
     FileInfoElement,
 
     FileRenameElement,
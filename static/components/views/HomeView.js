@@ -140,6 +140,7 @@ const HomeView = () => {
     showSingleClient,
     singleNetworkType,
     singleNetworkName,
+    isUsenetEnabled,
     shouldRenderCharts
   } = useClientChartConfig();
 
@@ -318,6 +319,34 @@ const HomeView = () => {
               )
             ),
 
+            // USENET: Speed Chart (aggregated SABnzbd + NZBGet, download only)
+            isUsenetEnabled && !clientConfigLoading && h('div', { className: 'col-span-6' },
+              h(DashboardChartWidget, {
+                title: h('span', { className: 'flex items-center gap-2' },
+                  h(ClientIcon, { clientType: 'usenet', size: 16 }),
+                  'Usenet Speed (24h)'
+                ),
+                height: '200px'
+              },
+                shouldRenderCharts && dashboardState.speedData
+                  ? h(Suspense, {
+                      fallback: h('div', {
+                        className: 'h-full flex items-center justify-center'
+                      },
+                        h(LoadingSpinner, { size: 'sm' })
+                      )
+                    },
+                      h(ClientSpeedChart, {
+                        speedData: dashboardState.speedData,
+                        networkType: 'usenet',
+                        theme,
+                        historicalRange: '24h'
+                      })
+                    )
+                  : h('div', { className: 'h-full' })
+              )
+            ),
+
             // 24h Stats Widget (full width)
             h('div', { className: 'col-span-6' },
               h(StatsWidget, {
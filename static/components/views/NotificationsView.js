@@ -1,13 +1,13 @@
 /**
  * NotificationsView Component
  *
- * Page for configuring Apprise notification services and events
+ * Page for configuring notification services and events
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import { LoadingSpinner, AlertBox, Icon, Button } from '../common/index.js';
 import { ConfigSection, EnableToggle, TestResultIndicator } from '../settings/index.js';
-import { EventsTable, ServiceCard, ServiceModal } from '../notifications/index.js';
+import { EventsTable, ServiceCard, ServiceModal, TemplateEditor } from '../notifications/index.js';
 import { useNotifications } from '../../hooks/useNotifications.js';
 
 const { createElement: h, useState, useEffect, useCallback } = React;
@@ -24,6 +24,7 @@ const NotificationsView = () => {
     loading,
     error,
     testResult,
+    deliveries,
     fetchStatus,
     fetchConfig,
     saveConfig,
@@ -32,6 +33,7 @@ const NotificationsView = () => {
     updateService,
     deleteService,
     testServices,
+    fetchDeliveries,
     clearError,
     clearTestResult
   } = useNotifications();
@@ -49,8 +51,15 @@ const NotificationsView = () => {
     fetchStatus();
     fetchConfig();
     fetchServices();
+    fetchDeliveries();
   }, []);
 
+  // Keep the delivery results current while the page is open
+  useEffect(() => {
+    const timer = setInterval(fetchDeliveries, 30000);
+    return () => clearInterval(timer);
+  }, [fetchDeliveries]);
+
   // Initialize local config when data loads
   useEffect(() => {
     if (config && !localConfig) {
@@ -66,6 +75,13 @@ const NotificationsView = () => {
     clearTestResult();
   }, [clearTestResult]);
 
+  // Handle personal services toggle
+  const handleAllowUserServicesChange = useCallback((allowUserServices) => {
+    setLocalConfig(prev => ({ ...prev, allowUserServices }));
+    setHasChanges(true);
+    setSaveSuccess(false);
+  }, []);
+
   // Handle event toggle
   const handleEventChange = useCallback((eventKey, enabled) => {
     setLocalConfig(prev => ({
@@ -162,30 +178,40 @@ const NotificationsView = () => {
   return h('div', { className: 'w-full lg:w-3/4 mx-auto px-2 py-4 sm:px-4' },
     // Master enable/disable section
     h(ConfigSection, {
-      title: 'Apprise Notifications',
+      title: 'Notifications',
       description: 'Send push notifications when download events occur',
       defaultOpen: true
     },
       h(EnableToggle, {
-        enabled: isEnabled && appriseAvailable,
+        enabled: isEnabled,
         onChange: handleEnabledChange,
         label: 'Enable Notifications',
-        description: appriseAvailable && appriseStatus?.version ? appriseStatus.version : null,
-        disabled: !appriseAvailable
+        description: appriseAvailable && appriseStatus?.version ? `Apprise: ${appriseStatus.version}` : null
       }),
 
-      // Apprise not available warning
-      appriseStatus && !appriseAvailable && h(AlertBox, { type: 'error', className: 'mt-4' },
+      // Apprise not available notice (only needed for services delivered through it)
+      appriseStatus && !appriseAvailable && h(AlertBox, { type: 'info', className: 'mt-4' },
         h('p', {},
-          'Apprise CLI not installed. Install with: ',
-          h('code', { className: 'bg-red-100 dark:bg-red-900/50 px-1.5 py-0.5 rounded text-xs' }, 'pipx install apprise'),
+          'Webhook, ntfy, Gotify, Discord and Slack are delivered built-in. ',
+          'Other services need the Apprise CLI: ',
+          h('code', { className: 'bg-blue-100 dark:bg-blue-900/50 px-1.5 py-0.5 rounded text-xs' }, 'pipx install apprise'),
           ' or ',
-          h('code', { className: 'bg-red-100 dark:bg-red-900/50 px-1.5 py-0.5 rounded text-xs' }, 'brew install apprise')
+          h('code', { className: 'bg-blue-100 dark:bg-blue-900/50 px-1.5 py-0.5 rounded text-xs' }, 'brew install apprise')
         )
       ),
 
-      !isEnabled && appriseAvailable && h(AlertBox, { type: 'info', className: 'mt-4' },
+      !isEnabled && h(AlertBox, { type: 'info', className: 'mt-4' },
         h('p', {}, 'Enable notifications to configure services and events.')
+      ),
+
+      isEnabled && h('div', { className: 'mt-4' },
+        h(EnableToggle, {
+          enabled: localConfig.allowUserServices === true,
+          onChange: handleAllowUserServicesChange,
+          label: 'Allow Personal Services',
+          description: 'Users can add their own services in their profile and get notified about downloads they added',
+          color: 'blue'
+        })
       )
     ),
 
@@ -197,7 +223,21 @@ const NotificationsView = () => {
     },
       h(EventsTable, {
         events: localConfig.events,
-        onEventChange: handleEventChange
+        onEventChange: handleEventChange,
+        services,
+        deliveries
+      })
+    ),
+
+    // Templates section (only when enabled)
+    isEnabled && h(ConfigSection, {
+      title: 'Message Templates',
+      description: 'Customize notification titles and bodies per event, for all or single services',
+      defaultOpen: false
+    },
+      h(TemplateEditor, {
+        services,
+        onSaveServiceTemplates: (id, templates) => updateService(id, { templates })
       })
     ),
 
@@ -300,7 +340,8 @@ const NotificationsView = () => {
       isOpen: modalOpen,
       onClose: () => setModalOpen(false),
       onSave: handleSaveService,
-      editService: editingService
+      editService: editingService,
+      appriseAvailable: appriseStatus ? appriseAvailable : undefined
     }),
 
     // Delete confirmation modal
@@ -0,0 +1,231 @@
+/**
+ * RssView Component
+ *
+ * Page for managing RSS feeds that auto-add matching entries to a client,
+ * and for reviewing the items they matched
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { LoadingSpinner, AlertBox, Icon } from '../common/index.js';
+import { ConfigSection } from '../settings/index.js';
+import { FeedCard, FeedModal } from '../rss/index.js';
+import { useRssFeeds } from '../../hooks/useRssFeeds.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { formatTimeAgo } from '../../utils/index.js';
+
+const { createElement: h, useState, useEffect, useMemo } = React;
+
+const STATUS_STYLES = {
+  added: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300',
+  failed: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300',
+  duplicate: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
+};
+
+/**
+ * RssView component
+ */
+const RssView = () => {
+  const {
+    feeds,
+    items,
+    loading,
+    loaded,
+    error,
+    fetchFeeds,
+    fetchItems,
+    saveFeed,
+    deleteFeed,
+    refreshFeed,
+    testFilter,
+    clearError
+  } = useRssFeeds();
+  const { instances } = useStaticData();
+
+  // Local UI state
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingFeed, setEditingFeed] = useState(null);
+  const [selectedFeedId, setSelectedFeedId] = useState(null);
+  const [refreshingId, setRefreshingId] = useState(null);
+  const [refreshResult, setRefreshResult] = useState(null);
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [toggleError, setToggleError] = useState(null);
+
+  // Load feeds on mount
+  useEffect(() => {
+    fetchFeeds();
+  }, []);
+
+  // Load matched items for the selected feed (or all feeds)
+  useEffect(() => {
+    fetchItems(selectedFeedId);
+  }, [selectedFeedId]);
+
+  const feedNames = useMemo(() => new Map(feeds.map(f => [f.id, f.name])), [feeds]);
+
+  // Open add modal
+  const handleAddFeed = () => {
+    setEditingFeed(null);
+    setModalOpen(true);
+  };
+
+  // Open edit modal
+  const handleEditFeed = (feed) => {
+    setEditingFeed(feed);
+    setModalOpen(true);
+  };
+
+  // Toggle feed enabled state (PUT replaces the whole feed)
+  const handleToggleFeed = async (feed, enabled) => {
+    clearError();
+    setToggleError(null);
+    try {
+      await saveFeed({ ...feed, enabled });
+    } catch (err) {
+      setToggleError(`${feed.name}: ${err.message}`);
+    }
+  };
+
+  // Poll a feed now and show what it added
+  const handleRefreshFeed = async (id) => {
+    setRefreshingId(id);
+    setRefreshResult(null);
+    const result = await refreshFeed(id);
+    setRefreshingId(null);
+    if (result) {
+      setRefreshResult({ name: feedNames.get(id), ...result });
+      fetchFeeds();
+      fetchItems(selectedFeedId);
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (deleteConfirm) {
+      await deleteFeed(deleteConfirm);
+      if (selectedFeedId === deleteConfirm) setSelectedFeedId(null);
+      setDeleteConfirm(null);
+    }
+  };
+
+  // Show loading state
+  if (!loaded) {
+    return h('div', { className: 'flex items-center justify-center h-64' },
+      h(LoadingSpinner, { text: 'Loading RSS feeds...' })
+    );
+  }
+
+  return h('div', { className: 'w-full lg:w-3/4 mx-auto px-2 py-4 sm:px-4' },
+    // Feeds section
+    h(ConfigSection, {
+      title: 'RSS Feeds',
+      description: 'Poll feeds and add entries that match their filters automatically',
+      defaultOpen: true
+    },
+      h('div', { className: 'grid grid-cols-1 md:grid-cols-2 gap-4' },
+        feeds.map(feed =>
+          h(FeedCard, {
+            key: feed.id,
+            feed,
+            targetName: feed.instanceId ? (instances[feed.instanceId]?.name || feed.instanceId) : null,
+            selected: selectedFeedId === feed.id,
+            onSelect: (id) => setSelectedFeedId(prev => (prev === id ? null : id)),
+            onEdit: handleEditFeed,
+            onDelete: setDeleteConfirm,
+            onRefresh: handleRefreshFeed,
+            onToggle: handleToggleFeed,
+            refreshing: refreshingId === feed.id
+          })
+        ),
+
+        // Add feed card
+        h('button', {
+          onClick: handleAddFeed,
+          disabled: loading,
+          className: 'border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg p-6 flex flex-col items-center justify-center gap-2 text-gray-500 dark:text-gray-400 hover:border-blue-500 dark:hover:border-blue-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/10 transition-colors md:min-h-[160px] disabled:opacity-50 disabled:cursor-not-allowed'
+        },
+          h(Icon, { name: 'plus', size: 24 }),
+          h('span', { className: 'text-sm font-medium' }, 'Add Feed')
+        )
+      ),
+
+      refreshResult && h(AlertBox, { type: refreshResult.error ? 'error' : 'success', className: 'mt-4' },
+        h('p', {},
+          refreshResult.error
+            ? `${refreshResult.name}: ${refreshResult.error}`
+            : `${refreshResult.name}: ${refreshResult.added} added, ${refreshResult.failed} failed, ${refreshResult.duplicates} duplicate episodes skipped`
+        )
+      )
+    ),
+
+    // Matched items section
+    h(ConfigSection, {
+      title: selectedFeedId ? `Matched Items — ${feedNames.get(selectedFeedId) || ''}` : 'Matched Items',
+      description: 'Entries that passed a feed\'s filters. Click a feed to show only its items.',
+      defaultOpen: true
+    },
+      items.length === 0
+        ? h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' }, 'No matched items yet.')
+        : h('ul', { className: 'divide-y divide-gray-100 dark:divide-gray-700' },
+            items.map(item =>
+              h('li', { key: `${item.feedId}-${item.guid}`, className: 'flex items-center gap-3 py-2 text-sm' },
+                h('span', {
+                  className: `text-xs px-2 py-0.5 rounded-full flex-shrink-0 ${STATUS_STYLES[item.status] || STATUS_STYLES.duplicate}`
+                }, item.status),
+                h('div', { className: 'flex-1 min-w-0' },
+                  h('p', { className: 'text-gray-900 dark:text-gray-100 truncate', title: item.title }, item.title),
+                  item.error && h('p', { className: 'text-xs text-red-600 dark:text-red-400 truncate', title: item.error },
+                    item.attempts > 1 ? `${item.error} (${item.attempts} attempts)` : item.error)
+                ),
+                !selectedFeedId && h('span', { className: 'hidden sm:inline text-xs text-gray-500 dark:text-gray-400 flex-shrink-0' },
+                  feedNames.get(item.feedId) || ''
+                ),
+                h('span', { className: 'text-xs text-gray-500 dark:text-gray-400 flex-shrink-0' }, formatTimeAgo(item.seenAt))
+              )
+            )
+          )
+    ),
+
+    // Error message
+    (error || toggleError) && h(AlertBox, { type: 'error', className: 'mt-4' },
+      h('p', {}, error || toggleError)
+    ),
+
+    // Feed modal
+    h(FeedModal, {
+      isOpen: modalOpen,
+      onClose: () => setModalOpen(false),
+      onSave: saveFeed,
+      onTest: testFilter,
+      editFeed: editingFeed
+    }),
+
+    // Delete confirmation modal
+    deleteConfirm && h('div', {
+      className: 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50',
+      onClick: () => setDeleteConfirm(null)
+    },
+      h('div', {
+        className: 'w-full max-w-sm bg-white dark:bg-gray-800 rounded-xl shadow-xl p-6',
+        onClick: (e) => e.stopPropagation()
+      },
+        h('h3', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2' },
+          'Delete Feed?'
+        ),
+        h('p', { className: 'text-gray-600 dark:text-gray-400 mb-6' },
+          'Its matched items are deleted too. Downloads already added are kept.'
+        ),
+        h('div', { className: 'flex gap-3 justify-end' },
+          h('button', {
+            onClick: () => setDeleteConfirm(null),
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors'
+          }, 'Cancel'),
+          h('button', {
+            onClick: confirmDelete,
+            className: 'px-4 py-2 text-sm font-medium rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 transition-colors'
+          }, 'Delete')
+        )
+      )
+    )
+  );
+};
+
+export default RssView;
@@ -22,8 +22,8 @@ const SearchResultsView = () => {
   const { setAppCurrentView } = useAppState();
   const { instances, hasMultiInstance } = useStaticData();
 
-  // Instance badge for multi-instance ED2K/Kad searches
-  const isAmuleSearch = searchType === 'global' || searchType === 'kad';
+  // Instance badge for multi-instance ED2K/Kad (and combined) searches
+  const isAmuleSearch = searchType === 'global' || searchType === 'kad' || searchType === 'combined';
   const instanceInfo = isAmuleSearch && hasMultiInstance && searchInstanceId && instances?.[searchInstanceId];
   const instanceName = instanceInfo ? (instanceInfo.name || searchInstanceId) : null;
 
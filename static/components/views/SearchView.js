@@ -1,13 +1,14 @@
 /**
  * SearchView Component
  *
- * File search interface with type selection and previous results
+ * File search interface with type selection, saved searches and previous results
  * Uses contexts directly for all data and actions
  */
 
 import React from 'https://esm.sh/react@18.2.0';
 import { SearchResultsSection, Icon, AlertBox, LoadingSpinner } from '../common/index.js';
 import QuickSearchWidget from '../dashboard/QuickSearchWidget.js';
+import { SavedSearchesSection } from '../savedSearches/index.js';
 import { useSearch } from '../../contexts/SearchContext.js';
 import { useActions } from '../../contexts/ActionsContext.js';
 import { useDataFetch } from '../../contexts/DataFetchContext.js';
@@ -69,6 +70,9 @@ const SearchView = () => {
     // Search error message
     searchError && h(AlertBox, { type: 'error', className: 'mb-0' }, searchError),
 
+    // Saved searches (scheduled re-runs)
+    h(SavedSearchesSection, { searchQuery, searchType }),
+
     // Horizontal divider
     h('hr', { className: 'border-gray-200 dark:border-gray-700' }),
 
@@ -27,21 +27,26 @@ import {
   EnableToggle,
   TestSummary,
   IntegrationConfigInfo,
+  TorznabCategoryMappings,
   ClientInstanceCard,
   ClientInstanceModal,
-  UserManagement
+  UserManagement,
+  BandwidthSchedule,
+  WatchFolders,
+  BackupRestore
 } from '../settings/index.js';
 import { useAuth } from '../../contexts/AuthContext.js';
 import { CAPABILITY_LABELS, CAPABILITY_GROUPS, PRESETS, SSO_DEFAULT_CAPABILITIES, detectPreset } from '../../utils/capabilities.js';
 import { hasTestErrors as checkTestErrors, checkResultsForErrors } from '../../utils/testHelpers.js';
 import { VIEW_TITLE_STYLES } from '../../utils/index.js';
+import { getEventTypeOptions } from '../../utils/notificationServiceSchemas.js';
 
 /**
  * SettingsView component
  */
 const SettingsView = () => {
   const { setAppCurrentView } = useAppState();
-  const { instances } = useStaticData();
+  const { instances, speedProfile } = useStaticData();
   const { authEnabled: authIsActive, username: currentUsername } = useAuth();
   const onClose = () => setAppCurrentView('home');
 
@@ -75,11 +80,11 @@ const SettingsView = () => {
   const [scriptTestResult, setScriptTestResult] = useState(null);
   const [openSections, setOpenSections] = useState({
     server: false, users: false, clients: false,
-    integrations: false, directories: false, history: false, eventScripting: false
+    integrations: false, directories: false, bandwidth: false, downloadTargets: false, watchFolders: false, history: false, eventMonitor: false, eventScripting: false, backup: false
   });
   const closeAllSections = () => setOpenSections({
     server: false, users: false, clients: false,
-    integrations: false, directories: false, history: false, eventScripting: false
+    integrations: false, directories: false, bandwidth: false, downloadTargets: false, watchFolders: false, history: false, eventMonitor: false, eventScripting: false, backup: false
   });
   // Accordion toggle: opening one section closes all others
   const toggleSection = (key, value) => {
@@ -771,6 +776,7 @@ const SettingsView = () => {
               className: 'w-full text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded px-3 py-2'
             },
               h('option', { value: '' }, 'Auto (first connected)'),
+              h('option', { value: 'auto' }, 'Auto (download target policy)'),
               ...amuleClients.map(c => {
                 const id = c.id || `${c.type}-${c.host}-${c.port}`;
                 return h('option', { key: id, value: id }, c.name || `aMule (${c.host}:${c.port})`);
@@ -785,11 +791,40 @@ const SettingsView = () => {
         port: formData.server.port,
         authEnabled: formData.server.auth?.enabled,
         amuleEnabled: formData.clients.some(c => c.type === 'amule' && c.enabled !== false),
+        amuleInstances: formData.clients
+          .filter(c => c.type === 'amule' && c.enabled !== false)
+          .map(c => ({ id: c.id || `${c.type}-${c.host}-${c.port}`, name: c.name || `aMule (${c.host}:${c.port})` })),
         apiKey: adminApiKey,
         username: currentUsername,
         className: 'mb-6'
       }),
 
+      // Torznab category mappings (one indexer per aMule instance)
+      (() => {
+        const amuleClients = formData.clients
+          .filter(c => c.type === 'amule' && c.enabled !== false)
+          .map(c => ({ id: c.id || `${c.type}-${c.host}-${c.port}`, name: c.name || `aMule (${c.host}:${c.port})` }));
+        return amuleClients.length > 0 && h('div', { className: 'mb-6' },
+          h(ConfigField, {
+            label: 'Torznab Category Mappings',
+            description: 'Map *arr categories to ED2K file types, e.g. TV/Anime (5070) to mkv videos'
+          },
+            h(TorznabCategoryMappings, {
+              amuleClients,
+              mappings: formData.integrations.torznab?.categoryMappings || {},
+              onChange: (categoryMappings) => {
+                setFormData(prev => ({
+                  ...prev,
+                  integrations: { ...prev.integrations, torznab: { ...prev.integrations.torznab, categoryMappings } }
+                }));
+                setHasChanges(true);
+                setSaveSuccess(false);
+              }
+            })
+          )
+        );
+      })(),
+
       // Sonarr scheduler
       h('div', { className: 'mb-6' },
         h(EnableToggle, {
@@ -967,6 +1002,67 @@ const SettingsView = () => {
       )
     ),
 
+    // Bandwidth Schedule (saved independently via its own API)
+    h(ConfigSection, {
+      title: 'Bandwidth Schedule',
+      description: 'Speed profiles and weekly schedule for all clients',
+      defaultOpen: false,
+      open: openSections.bandwidth,
+      onToggle: (value) => toggleSection('bandwidth', value),
+      icon: 'clock',
+
+      badge: speedProfile ? pill(speedProfile.name) : null
+    },
+      h(BandwidthSchedule)
+    ),
+
+    // Download Targets (instance picked for downloads added with "Auto")
+    h(ConfigSection, {
+      title: 'Download Targets',
+      description: 'Which instance gets downloads added with "Auto" when several clients share a network',
+      defaultOpen: false,
+      open: openSections.downloadTargets,
+      onToggle: (value) => toggleSection('downloadTargets', value),
+      icon: 'zap'
+    },
+      h('div', { className: 'space-y-4' },
+        h(ConfigField, {
+          label: 'Target Policy',
+          description: 'Applies to the add dialog, REST API, Prowlarr results and the qBittorrent-compatible API (aMule instance "Auto (download target policy)")'
+        },
+          h('select', {
+            value: formData.downloadTargets?.policy || 'first',
+            onChange: (e) => updateField('downloadTargets', 'policy', e.target.value),
+            className: 'w-full text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded px-3 py-2'
+          },
+            h('option', { value: 'first' }, 'First connected instance'),
+            h('option', { value: 'least-active' }, 'Fewest active downloads'),
+            h('option', { value: 'free-space' }, 'Most free disk space at the category path'),
+            h('option', { value: 'round-robin' }, 'Round-robin'),
+            h('option', { value: 'category' }, 'Category-pinned instance')
+          )
+        ),
+        h(AlertBox, { type: 'info' },
+          h('p', { className: 'text-sm' },
+            'Only connected instances of the download\'s network are considered. ',
+            'Pin an instance to a category on the Categories page; categories without a pin (or whose pinned instance is offline or on another network) use the fewest active downloads.'
+          )
+        )
+      )
+    ),
+
+    // Watch Folders (saved independently via its own API)
+    h(ConfigSection, {
+      title: 'Watch Folders',
+      description: 'Import .torrent files and link lists dropped into folders',
+      defaultOpen: false,
+      open: openSections.watchFolders,
+      onToggle: (value) => toggleSection('watchFolders', value),
+      icon: 'folderSync'
+    },
+      h(WatchFolders)
+    ),
+
     // Download History Configuration
     h(ConfigSection, {
       title: 'Download History',
@@ -1007,6 +1103,65 @@ const SettingsView = () => {
       )
     ),
 
+    // Event Detection thresholds (shared by scripts and notifications)
+    h(ConfigSection, {
+      title: 'Event Detection',
+      description: 'Thresholds for stalled downloads, missing seeds, disk space, ratio and failed logins',
+      defaultOpen: false,
+      open: openSections.eventMonitor,
+      onToggle: (value) => toggleSection('eventMonitor', value),
+      icon: 'activity'
+    },
+      h('div', { className: 'space-y-4' },
+        h(ConfigField, {
+          label: 'Stalled Download (minutes)',
+          description: 'Emit "Download Stalled" when an active download has no download speed for this long. 0 disables it.',
+          value: formData.eventMonitor?.stalledMinutes ?? 30,
+          onChange: (value) => updateField('eventMonitor', 'stalledMinutes', Math.max(0, parseInt(value) || 0)),
+          type: 'number',
+          placeholder: '30'
+        }),
+        h(ConfigField, {
+          label: 'No Seeds (minutes)',
+          description: 'Emit "No Seeds Available" when an active download has no seeds (ED2K: sources) for this long. 0 disables it.',
+          value: formData.eventMonitor?.noSeedsMinutes ?? 60,
+          onChange: (value) => updateField('eventMonitor', 'noSeedsMinutes', Math.max(0, parseInt(value) || 0)),
+          type: 'number',
+          placeholder: '60'
+        }),
+        h(ConfigField, {
+          label: 'Low Disk Space (GB)',
+          description: 'Emit "Low Disk Space" when free space drops below this. 0 disables it.',
+          value: formData.eventMonitor?.lowDiskSpaceGB ?? 10,
+          onChange: (value) => updateField('eventMonitor', 'lowDiskSpaceGB', Math.max(0, parseFloat(value) || 0)),
+          type: 'number',
+          placeholder: '10'
+        }),
+        h(ConfigField, {
+          label: 'Ratio Target',
+          description: 'Emit "Ratio Target Reached" when a completed torrent reaches this share ratio. 0 disables it.',
+          value: formData.eventMonitor?.ratioTarget ?? 2,
+          onChange: (value) => updateField('eventMonitor', 'ratioTarget', Math.max(0, parseFloat(value) || 0)),
+          type: 'number',
+          placeholder: '2'
+        }),
+        h(ConfigField, {
+          label: 'Failed Logins',
+          description: 'Emit "Failed Logins" when this many logins from one IP fail within 15 minutes. 0 disables it.',
+          value: formData.eventMonitor?.failedLoginThreshold ?? 5,
+          onChange: (value) => updateField('eventMonitor', 'failedLoginThreshold', Math.max(0, parseInt(value) || 0)),
+          type: 'number',
+          placeholder: '5'
+        }),
+        h(AlertBox, { type: 'info' },
+          h('p', { className: 'text-sm' },
+            'Each event fires once when its condition starts and again only after it has cleared. ',
+            'Choose which events notify you on the Notifications page, and which run your script below.'
+          )
+        )
+      )
+    ),
+
     // Event Scripting Configuration (Advanced)
     h(ConfigSection, {
       title: 'Custom Event Script',
@@ -1081,6 +1236,21 @@ const SettingsView = () => {
           label: 'Event Script Test'
         }),
 
+        h('div', {},
+          h('p', { className: 'text-sm font-medium text-gray-700 dark:text-gray-300 mb-1' }, 'Events'),
+          h('div', { className: 'divide-y divide-gray-200 dark:divide-gray-700' },
+            getEventTypeOptions().map(event =>
+              h(EnableToggle, {
+                key: event.key,
+                enabled: formData.eventScripting?.events?.[event.key] !== false,
+                onChange: (value) => updateField('eventScripting', 'events', { ...formData.eventScripting?.events, [event.key]: value }),
+                label: event.label,
+                description: `${event.description} (${event.key})`
+              })
+            )
+          )
+        ),
+
         h(AlertBox, { type: 'info', className: 'mt-4' },
           h('div', {},
             h('p', { className: 'font-medium mb-2' }, 'Script Interface:'),
@@ -1089,20 +1259,24 @@ const SettingsView = () => {
               h('li', {}, 'Environment variables: ', h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'EVENT_TYPE'), ', ', h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'EVENT_HASH'), ', ', h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'EVENT_FILENAME'), ', ', h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'EVENT_CLIENT_TYPE')),
               h('li', {}, 'Full event data as JSON via stdin')
             ),
-            h('p', { className: 'mt-3 font-medium mb-1' }, 'Supported Events:'),
-            h('ul', { className: 'list-disc list-inside space-y-1 text-sm text-gray-600 dark:text-gray-400' },
-              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'downloadAdded'), ' - A new download is started'),
-              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'downloadFinished'), ' - A download completes'),
-              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'categoryChanged'), ' - A file\'s category is changed'),
-              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'fileMoved'), ' - A file is moved'),
-              h('li', {}, h('code', { className: 'bg-white dark:bg-gray-800 px-1 rounded' }, 'fileDeleted'), ' - A file is deleted')
-            ),
             h('p', { className: 'mt-2 text-sm' }, 'Script execution is non-blocking (fire-and-forget). Errors are logged but don\'t affect the operation.')
           )
         )
       )
     ),
 
+    // Backup & Restore (uses its own API, restore applies on restart)
+    h(ConfigSection, {
+      title: 'Backup & Restore',
+      description: 'Export or import configuration, categories, users and history',
+      defaultOpen: false,
+      open: openSections.backup,
+      onToggle: (value) => toggleSection('backup', value),
+      icon: 'harddrive'
+    },
+      h(BackupRestore)
+    ),
+
     // Script file browser modal
     h(DirectoryBrowserModal, {
       show: showScriptBrowser,
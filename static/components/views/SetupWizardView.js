@@ -101,6 +101,12 @@ const SetupWizardView = ({ onComplete }) => {
           // Disabled by default unless explicitly enabled via env var
           enabled: meta?.fromEnv?.transmissionEnabled ? defaults.transmission.enabled : false
         },
+        aria2: {
+          mode: 'http',
+          ...defaults.aria2,
+          // Disabled by default unless explicitly enabled via env var
+          enabled: meta?.fromEnv?.aria2Enabled ? defaults.aria2.enabled : false
+        },
         directories: { ...defaults.directories },
         integrations: {
           sonarr: { ...defaults.integrations.sonarr },
@@ -234,14 +240,20 @@ const SetupWizardView = ({ onComplete }) => {
           if (!formData.transmission.port && !meta?.fromEnv.transmissionPort) errors.push('Transmission port is required');
         }
 
+        // Validate aria2 if enabled
+        if (formData.aria2?.enabled) {
+          if (!formData.aria2.host && !meta?.fromEnv.aria2Host) errors.push('aria2 host is required');
+          if (!formData.aria2.port && !meta?.fromEnv.aria2Port) errors.push('aria2 port is required');
+        }
+
         if (errors.length > 0) {
           setStepValidationError(errors.join(', '));
           return;
         }
 
         // Cross-validation: at least one client must be enabled
-        if (formData.amule.enabled === false && !formData.rtorrent.enabled && !formData.qbittorrent?.enabled && !formData.deluge?.enabled && !formData.transmission?.enabled) {
-          setStepValidationError('At least one download client (aMule, rTorrent, qBittorrent, Deluge, or Transmission) must be enabled');
+        if (formData.amule.enabled === false && !formData.rtorrent.enabled && !formData.qbittorrent?.enabled && !formData.deluge?.enabled && !formData.transmission?.enabled && !formData.aria2?.enabled) {
+          setStepValidationError('At least one download client (aMule, rTorrent, qBittorrent, Deluge, Transmission, or aria2) must be enabled');
           return;
         }
         setStepValidationError(null);
@@ -333,6 +345,9 @@ const SetupWizardView = ({ onComplete }) => {
         if (formData.transmission?.enabled) {
           testPayload.transmission = formData.transmission;
         }
+        if (formData.aria2?.enabled) {
+          testPayload.aria2 = formData.aria2;
+        }
         if (Object.keys(testPayload).length > 0) {
           const data = await testConfig(testPayload);
           const newResults = {};
@@ -348,6 +363,9 @@ const SetupWizardView = ({ onComplete }) => {
           if (data?.results?.transmission) {
             newResults.transmission = { ...data.results.transmission, _label: 'Transmission Connection' };
           }
+          if (data?.results?.aria2) {
+            newResults.aria2 = { ...data.results.aria2, _label: 'aria2 Connection' };
+          }
           setClientTestResults(prev => ({ ...prev, ...newResults }));
         }
       } else if (currentStep === 4) {
@@ -392,6 +410,7 @@ const SetupWizardView = ({ onComplete }) => {
       if (data?.results?.qbittorrent) newClientResults.qbittorrent = { ...data.results.qbittorrent, _label: 'qBittorrent Connection' };
       if (data?.results?.deluge) newClientResults.deluge = { ...data.results.deluge, _label: 'Deluge Connection' };
       if (data?.results?.transmission) newClientResults.transmission = { ...data.results.transmission, _label: 'Transmission Connection' };
+      if (data?.results?.aria2) newClientResults.aria2 = { ...data.results.aria2, _label: 'aria2 Connection' };
       setClientTestResults(newClientResults);
     } catch (err) {
       // Error handled by useConfig
@@ -436,6 +455,7 @@ const SetupWizardView = ({ onComplete }) => {
       if (results?.results?.qbittorrent) newClientResults.qbittorrent = { ...results.results.qbittorrent, _label: 'qBittorrent Connection' };
       if (results?.results?.deluge) newClientResults.deluge = { ...results.results.deluge, _label: 'Deluge Connection' };
       if (results?.results?.transmission) newClientResults.transmission = { ...results.results.transmission, _label: 'Transmission Connection' };
+      if (results?.results?.aria2) newClientResults.aria2 = { ...results.results.aria2, _label: 'aria2 Connection' };
       setClientTestResults(newClientResults);
 
       // Check results directly from the return value
@@ -530,6 +550,12 @@ const SetupWizardView = ({ onComplete }) => {
       if (meta?.fromEnv.transmissionHost) entry.source = 'env';
       clients.push(entry);
     }
+    if (formData.aria2?.enabled) {
+      const { enabled, ...fields } = formData.aria2;
+      const entry = { type: 'aria2', enabled, ...fields };
+      if (meta?.fromEnv.aria2Host) entry.source = 'env';
+      clients.push(entry);
+    }
     return clients;
   };
 
@@ -821,7 +847,7 @@ const SetupWizardView = ({ onComplete }) => {
   );
 
   const BitTorrentStep = () => {
-    const hasAnyBitTorrentClient = formData.rtorrent.enabled || formData.qbittorrent?.enabled || formData.deluge?.enabled || formData.transmission?.enabled;
+    const hasAnyBitTorrentClient = formData.rtorrent.enabled || formData.qbittorrent?.enabled || formData.deluge?.enabled || formData.transmission?.enabled || formData.aria2?.enabled;
 
     return h('div', {},
       h('h2', { className: 'text-2xl font-bold text-gray-900 dark:text-gray-100 mb-2' }, 'BitTorrent Integration'),
@@ -1184,6 +1210,94 @@ const SetupWizardView = ({ onComplete }) => {
         )
       ),
 
+      // aria2 Section
+      h('div', { className: 'bg-white dark:bg-gray-800 rounded-lg p-4 border border-gray-200 dark:border-gray-700 mb-6' },
+        h('h3', { className: 'text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4' }, 'aria2 (JSON-RPC)'),
+
+        h(EnableToggle, {
+          label: 'Enable aria2',
+          description: 'Connect to aria2 for managing BitTorrent and HTTP/FTP downloads via JSON-RPC',
+          enabled: formData.aria2?.enabled || false,
+          onChange: (enabled) => updateField('aria2', 'enabled', enabled)
+        }),
+
+        formData.aria2?.enabled && h('div', { className: 'mt-4 space-y-4' },
+          h(ConfigField, {
+            label: 'Connection Mode',
+            description: 'HTTP: one request per call. WebSocket: keeps a single connection open.'
+          },
+            h('select', {
+              value: formData.aria2?.mode || 'http',
+              onChange: (e) => updateField('aria2', 'mode', e.target.value),
+              disabled: meta?.fromEnv.aria2Mode,
+              className: 'w-full px-3 py-2 bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50'
+            },
+              h('option', { value: 'http' }, 'HTTP'),
+              h('option', { value: 'websocket' }, 'WebSocket')
+            )
+          ),
+
+          h(ConfigField, {
+            label: 'Host',
+            description: 'aria2 RPC host address',
+            value: formData.aria2?.host || '',
+            onChange: (value) => updateField('aria2', 'host', value),
+            placeholder: '127.0.0.1',
+            required: formData.aria2?.enabled,
+            fromEnv: meta?.fromEnv.aria2Host
+          }),
+
+          h(ConfigField, {
+            label: 'Port',
+            description: 'aria2 RPC port (--rpc-listen-port, default: 6800)',
+            value: formData.aria2?.port || 6800,
+            onChange: (value) => updateField('aria2', 'port', parseInt(value, 10) || 6800),
+            type: 'number',
+            placeholder: '6800',
+            required: formData.aria2?.enabled,
+            fromEnv: meta?.fromEnv.aria2Port
+          }),
+
+          h(ConfigField, {
+            label: 'RPC Path',
+            description: 'aria2 RPC path (default: /jsonrpc)',
+            value: formData.aria2?.path || '/jsonrpc',
+            onChange: (value) => updateField('aria2', 'path', value),
+            placeholder: '/jsonrpc',
+            fromEnv: meta?.fromEnv.aria2Path
+          }),
+
+          !meta?.fromEnv.aria2Password && h(ConfigField, {
+            label: 'RPC Secret',
+            description: 'aria2 RPC secret (--rpc-secret), leave empty if not set',
+            fromEnv: meta?.fromEnv.aria2Password
+          },
+            h(PasswordField, {
+              value: formData.aria2?.password || '',
+              onChange: (value) => updateField('aria2', 'password', value),
+              placeholder: 'Enter RPC secret',
+              disabled: meta?.fromEnv.aria2Password
+            })
+          ),
+
+          meta?.fromEnv.aria2Password && h(AlertBox, { type: 'warning' },
+            h('p', {}, 'aria2 RPC secret is set via ARIA2_SECRET environment variable.')
+          ),
+
+          h(EnableToggle, {
+            label: 'Use SSL (HTTPS/WSS)',
+            description: 'Connect to aria2 using HTTPS or secure WebSocket',
+            enabled: formData.aria2?.useSsl || false,
+            onChange: (enabled) => updateField('aria2', 'useSsl', enabled)
+          }),
+
+          clientTestResults.aria2 && h(TestResultIndicator, {
+            result: clientTestResults.aria2,
+            label: 'aria2 Connection Test'
+          })
+        )
+      ),
+
       // Test button for BitTorrent clients
       hasAnyBitTorrentClient && h('div', { className: 'mb-6' },
         h(TestButton, {
@@ -1192,7 +1306,8 @@ const SetupWizardView = ({ onComplete }) => {
           disabled: (formData.rtorrent.enabled && (formData.rtorrent.mode === 'scgi-socket' ? !formData.rtorrent.socketPath : (!formData.rtorrent.host || !formData.rtorrent.port))) ||
                     (formData.qbittorrent?.enabled && (!formData.qbittorrent.host || !formData.qbittorrent.port)) ||
                     (formData.deluge?.enabled && (!formData.deluge.host || !formData.deluge.port)) ||
-                    (formData.transmission?.enabled && (!formData.transmission.host || !formData.transmission.port))
+                    (formData.transmission?.enabled && (!formData.transmission.host || !formData.transmission.port)) ||
+                    (formData.aria2?.enabled && (!formData.aria2.host || !formData.aria2.port))
         }, 'Test BitTorrent Connections')
       ),
 
@@ -1538,6 +1653,16 @@ const SetupWizardView = ({ onComplete }) => {
         formData.transmission.useSsl && h('p', { className: 'text-sm text-gray-600 dark:text-gray-400' }, 'SSL: Enabled')
       ),
 
+      // aria2
+      formData.aria2?.enabled && h('div', { className: 'bg-white dark:bg-gray-800 rounded-lg p-4 border border-gray-200 dark:border-gray-700' },
+        h('h3', { className: 'font-semibold text-gray-900 dark:text-gray-100 mb-2' }, 'aria2 Connection'),
+        h('p', { className: 'text-sm text-gray-600 dark:text-gray-400' }, `Mode: ${formData.aria2.mode === 'websocket' ? 'WebSocket' : 'HTTP'}`),
+        h('p', { className: 'text-sm text-gray-600 dark:text-gray-400' }, `Host: ${formData.aria2.host}`),
+        h('p', { className: 'text-sm text-gray-600 dark:text-gray-400' }, `Port: ${formData.aria2.port}`),
+        formData.aria2.path && h('p', { className: 'text-sm text-gray-600 dark:text-gray-400' }, `Path: ${formData.aria2.path}`),
+        formData.aria2.useSsl && h('p', { className: 'text-sm text-gray-600 dark:text-gray-400' }, 'SSL: Enabled')
+      ),
+
       // Directories
       h('div', { className: 'bg-white dark:bg-gray-800 rounded-lg p-4 border border-gray-200 dark:border-gray-700' },
         h('h3', { className: 'font-semibold text-gray-900 dark:text-gray-100 mb-2' }, 'Directories'),
@@ -183,6 +183,8 @@ const SharedView = () => {
     handlePause,
     handleResume,
     handleStop,
+    handleRecheck,
+    handleReannounce,
     handleCopyLink,
     handleBatchPause,
     handleBatchResume,
@@ -224,6 +226,8 @@ const SharedView = () => {
     onPause: handlePause,
     onResume: handleResume,
     onStop: handleStop,
+    onRecheck: handleRecheck,
+    onReannounce: handleReannounce,
     onRename: openRenameModal,
     onCopyLink: handleCopyLink,
     copiedHash,
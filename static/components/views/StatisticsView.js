@@ -61,6 +61,7 @@ const StatisticsView = () => {
     showSingleClient,
     singleNetworkType,
     singleNetworkName,
+    isUsenetEnabled,
     shouldRenderCharts
   } = useClientChartConfig();
 
@@ -279,6 +280,18 @@ const StatisticsView = () => {
             title: chartTitle(`${singleNetworkName} Data Transferred`, singleNetworkType),
             height: '225px'
           }, renderTransferChart(singleNetworkType))
+        ),
+
+        // USENET: separate download-only charts (aggregated SABnzbd + NZBGet)
+        isUsenetEnabled && h(React.Fragment, null,
+          h(DashboardChartWidget, {
+            title: chartTitle('Usenet Speed', 'usenet'),
+            height: '225px'
+          }, renderSpeedChart('usenet')),
+          h(DashboardChartWidget, {
+            title: chartTitle('Usenet Data Transferred', 'usenet'),
+            height: '225px'
+          }, renderTransferChart('usenet'))
         )
       )
     ),
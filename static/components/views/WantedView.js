@@ -0,0 +1,204 @@
+/**
+ * WantedView Component
+ *
+ * Missing and cutoff-unmet episodes and movies of the configured Sonarr/Radarr,
+ * with a manual Sonarr/Radarr or ED2K search per item
+ */
+
+import React from 'https://esm.sh/react@18.2.0';
+import { LoadingSpinner, AlertBox, Button, SegmentedControl, FilterInput } from '../common/index.js';
+import { ConfigSection } from '../settings/index.js';
+import { useWanted } from '../../hooks/useWanted.js';
+import { useCapabilities } from '../../hooks/useCapabilities.js';
+import { useSearch } from '../../contexts/SearchContext.js';
+import { useActions } from '../../contexts/ActionsContext.js';
+import { useAppState } from '../../contexts/AppStateContext.js';
+import { useStaticData } from '../../contexts/StaticDataContext.js';
+import { formatTimeAgo } from '../../utils/index.js';
+
+const { createElement: h, useState, useEffect, useMemo } = React;
+
+const SERVICES = [
+  { key: 'sonarr', title: 'Sonarr', description: 'Monitored episodes without a file or below the quality cutoff' },
+  { key: 'radarr', title: 'Radarr', description: 'Monitored movies without a file or below the quality cutoff' }
+];
+
+const REASON_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'missing', label: 'Missing' },
+  { value: 'upgrade', label: 'Cutoff Unmet' }
+];
+
+const BADGE_CLASS = 'text-xs px-2 py-0.5 rounded-full flex-shrink-0';
+
+const REASON_STYLES = {
+  missing: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300',
+  upgrade: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300'
+};
+
+/**
+ * Release status line of an item
+ * @param {Object} item - Wanted item
+ * @returns {string}
+ */
+const formatRelease = (item) => {
+  if (!item.releaseDate) return item.released ? 'Released' : 'Release date unknown';
+  const date = new Date(item.releaseDate).toLocaleDateString();
+  return item.released ? `Released ${date}` : `Releases ${date}`;
+};
+
+/**
+ * Quality line of an item ("HDTV-720p → Bluray-1080p", or the cutoff for missing items)
+ * @param {Object} item - Wanted item
+ * @returns {string|null}
+ */
+const formatQuality = (item) => {
+  if (item.currentQuality && item.cutoffQuality) return `${item.currentQuality} → ${item.cutoffQuality}`;
+  if (item.cutoffQuality) return `Cutoff ${item.cutoffQuality}`;
+  return item.currentQuality;
+};
+
+/**
+ * WantedView component
+ */
+const WantedView = () => {
+  const { services, loading, loaded, error, fetchWanted, searchItem, recordEd2kSearch } = useWanted();
+  const { hasCap } = useCapabilities();
+  const { setSearchQuery, setSearchType, searchLocked } = useSearch();
+  const actions = useActions();
+  const { handleAppNavigate } = useAppState();
+  const { isTypeConnected } = useStaticData();
+
+  const [reasonFilter, setReasonFilter] = useState('all');
+  const [textFilter, setTextFilter] = useState('');
+  const [searchingKey, setSearchingKey] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    fetchWanted();
+  }, []);
+
+  const canEd2kSearch = hasCap('search') && isTypeConnected('amule') && !searchLocked;
+
+  const filtered = useMemo(() => {
+    const text = textFilter.trim().toLowerCase();
+    const result = {};
+    for (const { key } of SERVICES) {
+      result[key] = (services[key]?.items || []).filter(item =>
+        (reasonFilter === 'all' || item.reason === reasonFilter) &&
+        (!text || `${item.title} ${item.label}`.toLowerCase().includes(text))
+      );
+    }
+    return result;
+  }, [services, reasonFilter, textFilter]);
+
+  // Ask Sonarr/Radarr to search the item
+  const handleArrSearch = async (item) => {
+    const key = `${item.service}:${item.id}`;
+    setSearchingKey(key);
+    setActionError(null);
+    try {
+      await searchItem(item.service, item.id);
+    } catch (err) {
+      setActionError(`${item.title}: ${err.message}`);
+    } finally {
+      setSearchingKey(null);
+    }
+  };
+
+  // Run an ED2K search with the item's title and switch to the search page
+  const handleEd2kSearch = (item) => {
+    setActionError(null);
+    setSearchQuery(item.query);
+    setSearchType('global');
+    actions.search.perform({ query: item.query, type: 'global' });
+    recordEd2kSearch(item.service, item.id).catch(() => {});
+    handleAppNavigate('search');
+  };
+
+  if (!loaded) {
+    return h('div', { className: 'flex items-center justify-center h-64' },
+      h(LoadingSpinner, { text: 'Loading wanted items...' })
+    );
+  }
+
+  const configured = SERVICES.filter(s => services[s.key]?.configured);
+
+  const renderItem = (item) => {
+    const key = `${item.service}:${item.id}`;
+    const quality = formatQuality(item);
+    return h('li', { key, className: 'flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-3 py-2 text-sm' },
+      h('div', { className: 'flex-1 min-w-0' },
+        h('div', { className: 'flex items-center gap-2' },
+          h('span', { className: `${BADGE_CLASS} ${REASON_STYLES[item.reason]}` }, item.reason === 'upgrade' ? 'cutoff unmet' : 'missing'),
+          item.queued && h('span', { className: `${BADGE_CLASS} bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300` }, 'queued'),
+          h('p', { className: 'text-gray-900 dark:text-gray-100 truncate', title: `${item.title} ${item.label}` },
+            item.title,
+            item.label && h('span', { className: 'text-gray-500 dark:text-gray-400' }, ` · ${item.label}`)
+          )
+        ),
+        h('p', { className: 'text-xs text-gray-500 dark:text-gray-400 mt-0.5' },
+          h('span', { className: item.released ? '' : 'text-amber-600 dark:text-amber-400' }, formatRelease(item)),
+          quality && ` · ${quality}`,
+          ` · Searched ${formatTimeAgo(item.lastSearch)}`,
+          item.lastEd2kSearch && ` · ED2K ${formatTimeAgo(item.lastEd2kSearch)}`
+        )
+      ),
+      h('div', { className: 'flex gap-2 flex-shrink-0' },
+        h(Button, {
+          variant: 'secondary',
+          icon: 'search',
+          onClick: () => handleArrSearch(item),
+          disabled: searchingKey === key || !item.released,
+          title: item.released ? `Ask ${item.service === 'sonarr' ? 'Sonarr' : 'Radarr'} to search its indexers` : 'Not released yet'
+        }, searchingKey === key ? 'Searching...' : 'Search'),
+        hasCap('search') && h(Button, {
+          variant: 'secondary',
+          icon: 'textSearch',
+          onClick: () => handleEd2kSearch(item),
+          disabled: !canEd2kSearch,
+          title: canEd2kSearch ? `Search ED2K for "${item.query}"` : 'No aMule instance connected or a search is running'
+        }, 'ED2K')
+      )
+    );
+  };
+
+  return h('div', { className: 'w-full lg:w-3/4 mx-auto px-2 py-4 sm:px-4' },
+    configured.length === 0
+      ? h(AlertBox, { type: 'info' },
+          h('p', {}, 'Configure Sonarr or Radarr in Settings → *arr Integrations to see their wanted episodes and movies.')
+        )
+      : h('div', { className: 'flex flex-col sm:flex-row gap-2 sm:items-center mb-4' },
+          h(SegmentedControl, { options: REASON_FILTERS, value: reasonFilter, onChange: setReasonFilter }),
+          h('div', { className: 'flex-1' },
+            h(FilterInput, { value: textFilter, onChange: setTextFilter, onClear: () => setTextFilter(''), placeholder: 'Filter by title...' })
+          ),
+          h(Button, { variant: 'secondary', icon: 'refresh', onClick: fetchWanted, disabled: loading },
+            loading ? 'Refreshing...' : 'Refresh')
+        ),
+
+    configured.map(({ key, title, description }) => {
+      const { items, error: serviceError } = services[key];
+      const shown = filtered[key];
+      return h(ConfigSection, {
+        key,
+        title: `${title} (${items.length})`,
+        description,
+        defaultOpen: true
+      },
+        serviceError
+          ? h(AlertBox, { type: 'error' }, h('p', {}, `Failed to load the ${title} wanted list: ${serviceError}`))
+          : shown.length === 0
+            ? h('p', { className: 'text-sm text-gray-500 dark:text-gray-400' },
+                items.length === 0 ? 'Nothing wanted.' : 'No items match the filter.')
+            : h('ul', { className: 'divide-y divide-gray-100 dark:divide-gray-700' }, shown.map(renderItem))
+      );
+    }),
+
+    (error || actionError) && h(AlertBox, { type: 'error', className: 'mt-4' },
+      h('p', {}, error || actionError)
+    )
+  );
+};
+
+export default WantedView;
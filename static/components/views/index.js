@@ -19,3 +19,6 @@ export { default as SetupWizardView } from './SetupWizardView.js';
 export { default as LoginView } from './LoginView.js';
 export { default as HistoryView } from './HistoryView.js';
 export { default as NotificationsView } from './NotificationsView.js';
+export { default as RssView } from './RssView.js';
+export { default as WantedView } from './WantedView.js';
+export { default as CrossSeedView } from './CrossSeedView.js';
@@ -42,7 +42,7 @@ const useWebSocketActions = () => {
   // CATEGORY MANAGEMENT
   // ============================================================================
 
-  const handleCreateCategory = (title, path, comment, color, priority, pathMappings = null) => {
+  const handleCreateCategory = (title, path, comment, color, priority, pathMappings = null, seedingRules = undefined, pinnedInstanceId = null) => {
     sendMessage({
       action: 'createCategory',
       title,
@@ -50,11 +50,13 @@ const useWebSocketActions = () => {
       comment,
       color,
       priority,
-      pathMappings
+      pathMappings,
+      seedingRules,
+      pinnedInstanceId
     });
   };
 
-  const handleUpdateCategory = (categoryName, title, path, comment, color, priority, pathMappings = null) => {
+  const handleUpdateCategory = (categoryName, title, path, comment, color, priority, pathMappings = null, seedingRules = undefined, pinnedInstanceId = undefined) => {
     sendMessage({
       action: 'updateCategory',
       name: categoryName,
@@ -63,7 +65,9 @@ const useWebSocketActions = () => {
       comment,
       color,
       priority,
-      pathMappings
+      pathMappings,
+      seedingRules,
+      pinnedInstanceId
     });
   };
 
@@ -118,19 +122,23 @@ const useWebSocketActions = () => {
   // SEARCH AND DOWNLOAD
   // ============================================================================
 
-  const handleSearch = async () => {
-    if (!searchQuery.trim()) return;
+  // override: { query, type } to search instead of the form state (callers that pre-fill
+  // the form can't wait for the state update)
+  const handleSearch = async (override = null) => {
+    const query = override?.query ?? searchQuery;
+    const type = override?.type ?? searchType;
+    if (!query.trim()) return;
     clearSearchError();
     setSearchLocked(true); // Lock immediately to show "Searching..." state
     setSearchPreviousResults([]); // Clear previous results when starting new search
 
     // Prowlarr uses REST API instead of WebSocket
-    if (searchType === 'prowlarr') {
+    if (type === 'prowlarr') {
       try {
         const response = await fetch('/api/prowlarr/search', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ query: searchQuery })
+          body: JSON.stringify({ query })
         });
         const data = await response.json();
         if (data.success) {
@@ -155,10 +163,42 @@ const useWebSocketActions = () => {
       return;
     }
 
+    // Combined search runs ED2K (global) and Prowlarr on the server and returns one merged list
+    if (type === 'combined') {
+      try {
+        const response = await fetch('/api/search/combined', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ query, type: 'global', ...(searchInstanceId && { instanceId: searchInstanceId }) })
+        });
+        const data = await response.json();
+        if (data.success) {
+          const results = data.results || [];
+          const failed = Object.entries(data.errors || {})
+            .map(([network, message]) => `${network === 'ed2k' ? 'ED2K' : 'Prowlarr'}: ${message}`);
+          if (results.length === 0) {
+            setSearchError(failed.length > 0 ? `No results found (${failed.join('; ')})` : 'No results found');
+          } else {
+            if (failed.length > 0) addAppError(`Part of the search failed - ${failed.join('; ')}`);
+            setSearchResults(results);
+            setAppCurrentView('search-results');
+            setAppPage(0);
+          }
+        } else {
+          setSearchError(data.message || 'Search failed');
+        }
+      } catch (err) {
+        setSearchError(`Search failed: ${err.message}`);
+      } finally {
+        setSearchLocked(false);
+      }
+      return;
+    }
+
     sendMessage({
       action: 'search',
-      query: searchQuery,
-      type: searchType,
+      query,
+      type,
       extension: null,
       ...(searchInstanceId && { instanceId: searchInstanceId })
     });
@@ -199,15 +239,18 @@ const useWebSocketActions = () => {
     });
   };
 
-  const handleAddMagnetLinks = (links, label = '', instanceId = null, clientType = 'rtorrent', savePath = null) => {
+  const handleAddMagnetLinks = (links, label = '', instanceId = null, clientType = 'rtorrent', savePath = null, networkType = null) => {
     if (!links || links.length === 0) {
       addAppError('No magnet links provided');
       return;
     }
-    sendMessage({ action: "addMagnetLinks", links, label, clientId: clientType, ...(instanceId && { instanceId }), ...(savePath && { savePath }) });
+    sendMessage({
+      action: "addMagnetLinks", links, label, clientId: clientType,
+      ...(instanceId && { instanceId }), ...(savePath && { savePath }), ...(networkType && { networkType })
+    });
   };
 
-  const handleAddTorrentFile = async (file, label = '', instanceId = null, clientType = 'rtorrent', savePath = null) => {
+  const handleAddTorrentFile = async (file, label = '', instanceId = null, clientType = 'rtorrent', savePath = null, skipFiles = []) => {
     if (!file) {
       addAppError('No torrent file provided');
       return;
@@ -225,7 +268,8 @@ const useWebSocketActions = () => {
           label,
           clientId: clientType,
           ...(instanceId && { instanceId }),
-          ...(savePath && { savePath })
+          ...(savePath && { savePath }),
+          ...(skipFiles?.length > 0 && { skipFiles })
         });
       };
       reader.onerror = () => {
@@ -237,6 +281,34 @@ const useWebSocketActions = () => {
     }
   };
 
+  const handleAddNzbFile = async (file, label = '', instanceId = null) => {
+    if (!file) {
+      addAppError('No NZB file provided');
+      return;
+    }
+
+    try {
+      // Read file as base64
+      const reader = new FileReader();
+      reader.onload = () => {
+        const base64Data = reader.result.split(',')[1]; // Remove data URL prefix
+        sendMessage({
+          action: "addNzbFile",
+          fileData: base64Data,
+          fileName: file.name,
+          label,
+          ...(instanceId && { instanceId })
+        });
+      };
+      reader.onerror = () => {
+        addAppError('Failed to read NZB file');
+      };
+      reader.readAsDataURL(file);
+    } catch (err) {
+      addAppError(`Failed to process NZB file: ${err.message}`);
+    }
+  };
+
   // Add Prowlarr torrent to BitTorrent client
   const handleAddProwlarrTorrent = async (item, label = '', instanceId = null, clientType = 'rtorrent') => {
     try {
@@ -262,7 +334,8 @@ const useWebSocketActions = () => {
         addAppError(data.error || 'Failed to add torrent');
         return null;
       }
-      return data.hash || true;
+      // instanceId is the client the torrent went to (resolved server-side for "auto")
+      return { hash: data.hash || null, instanceId: data.instanceId || instanceId };
     } catch (err) {
       addAppError(`Failed to add torrent: ${err.message}`);
       return null;
@@ -294,6 +367,28 @@ const useWebSocketActions = () => {
     sendMessage({ action: 'batchStop', items });
   };
 
+  const handleRecheck = (itemsOrHash, clientType = 'qbittorrent', fileName = null, instanceId = null) => {
+    const items = Array.isArray(itemsOrHash)
+      ? itemsOrHash
+      : [{ fileHash: itemsOrHash, clientType, fileName, instanceId }];
+    sendMessage({ action: 'batchRecheck', items });
+  };
+
+  const handleReannounce = (itemsOrHash, clientType = 'qbittorrent', fileName = null, instanceId = null) => {
+    const items = Array.isArray(itemsOrHash)
+      ? itemsOrHash
+      : [{ fileHash: itemsOrHash, clientType, fileName, instanceId }];
+    sendMessage({ action: 'batchReannounce', items });
+  };
+
+  const handleSetSequentialDownload = (items, enabled) => {
+    sendMessage({ action: 'batchSetSequentialDownload', items, enabled });
+  };
+
+  const handleSetFirstLastPiecePriority = (items, enabled) => {
+    sendMessage({ action: 'batchSetFirstLastPiecePriority', items, enabled });
+  };
+
   const handleDeleteFile = (itemsOrHash, clientType = 'amule', deleteFiles = false, source = 'downloads', fileName = null, instanceId = null) => {
     const items = Array.isArray(itemsOrHash)
       ? itemsOrHash
@@ -322,12 +417,17 @@ const useWebSocketActions = () => {
       addEd2kLinks: handleAddEd2kLinks,
       addMagnetLinks: handleAddMagnetLinks,
       addTorrentFile: handleAddTorrentFile,
+      addNzbFile: handleAddNzbFile,
       addProwlarrTorrent: handleAddProwlarrTorrent
     },
     files: {
       pause: handlePauseDownload,
       resume: handleResumeDownload,
       stop: handleStopDownload,
+      recheck: handleRecheck,
+      reannounce: handleReannounce,
+      setSequentialDownload: handleSetSequentialDownload,
+      setFirstLastPiecePriority: handleSetFirstLastPiecePriority,
       deleteFile: handleDeleteFile,
       renameFile: handleRenameFile
     }
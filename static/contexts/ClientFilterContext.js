@@ -6,11 +6,11 @@
  * Persists to localStorage.
  *
  * The filter operates on a single concept: disabledInstances (Set of instance IDs).
- * - ED2K/BT labels act as batch toggles (disable/enable all instances of that network type)
+ * - ED2K/BT/Usenet labels act as batch toggles (disable/enable all instances of that network type)
  * - Individual instance chips toggle a single instance
  * - When all instances of a network type are disabled, clicking one instance enables only that one
  *
- * Derived convenience booleans (isEd2kEnabled, isBittorrentEnabled) combine:
+ * Derived convenience booleans (isEd2kEnabled, isBittorrentEnabled, isUsenetEnabled) combine:
  * - User preference (not in disabledInstances)
  * - Connection status (instance.connected)
  */
@@ -81,6 +81,7 @@ export const ClientFilterProvider = ({ children }) => {
   // Pure connection status (not affected by user filter preference)
   const ed2kConnected = isNetworkTypeConnected('ed2k');
   const bittorrentConnected = isNetworkTypeConnected('bittorrent');
+  const usenetConnected = isNetworkTypeConnected('usenet');
 
   // Single source of truth: Set of disabled instance IDs
   const [disabledInstances, setDisabledInstances] = useState(() => {
@@ -138,14 +139,13 @@ export const ClientFilterProvider = ({ children }) => {
         // Disable all of this type
         for (const id of typeIds) next.add(id);
 
-        // Safety: don't disable ALL connected instances — enable the other type
+        // Safety: don't disable ALL connected instances — enable the other types
         const allConnectedIds = Object.entries(instances)
           .filter(([, inst]) => inst.connected)
           .map(([id]) => id);
         if (allConnectedIds.every(id => next.has(id))) {
-          const otherType = networkType === 'ed2k' ? 'bittorrent' : 'ed2k';
           const otherIds = Object.entries(instances)
-            .filter(([, inst]) => inst.networkType === otherType && inst.connected)
+            .filter(([, inst]) => inst.networkType !== networkType && inst.connected)
             .map(([id]) => id);
           for (const id of otherIds) next.delete(id);
         }
@@ -208,6 +208,12 @@ export const ClientFilterProvider = ({ children }) => {
     );
   }, [instances, disabledInstances]);
 
+  const isUsenetEnabled = useMemo(() => {
+    return Object.entries(instances).some(([id, inst]) =>
+      inst.networkType === 'usenet' && inst.connected && !disabledInstances.has(id)
+    );
+  }, [instances, disabledInstances]);
+
   // Memoize context value
   const value = useMemo(() => ({
     // Network type batch toggle
@@ -222,14 +228,16 @@ export const ClientFilterProvider = ({ children }) => {
     // Connection state (pure, not affected by filter preference)
     ed2kConnected,
     bittorrentConnected,
+    usenetConnected,
 
     // Convenience booleans: user preference AND connected
     isEd2kEnabled,
     isBittorrentEnabled,
+    isUsenetEnabled,
     allClientsEnabled: isEd2kEnabled && isBittorrentEnabled
   }), [toggleNetworkType, filterByEnabledClients,
     disabledInstances, toggleInstance, isInstanceEnabled,
-    ed2kConnected, bittorrentConnected, isEd2kEnabled, isBittorrentEnabled]);
+    ed2kConnected, bittorrentConnected, usenetConnected, isEd2kEnabled, isBittorrentEnabled, isUsenetEnabled]);
 
   return h(ClientFilterContext.Provider, { value }, children);
 };
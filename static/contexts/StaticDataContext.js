@@ -25,6 +25,7 @@ export const StaticDataProvider = ({ children }) => {
   const [dataCategories, setDataCategories] = useState([]);  // Unified categories (aMule + rtorrent)
   const [clientDefaultPaths, setClientDefaultPaths] = useState({});  // Default paths from clients (keyed by instanceId)
   const [prowlarrEnabled, setProwlarrEnabled] = useState(false);  // Whether prowlarr integration is enabled
+  const [speedProfile, setSpeedProfile] = useState(null);  // Active bandwidth schedule profile (null = no schedule)
   const [knownTrackers, setKnownTrackers] = useState([]);  // Known trackers from rtorrent items
   const [historyTrackUsername, setHistoryTrackUsername] = useState(false);  // Whether to track username in history
   const [hasCategoryPathWarnings, setHasCategoryPathWarnings] = useState(false);  // Whether any category has path issues
@@ -137,6 +138,7 @@ export const StaticDataProvider = ({ children }) => {
     dataCategories,
     clientDefaultPaths,
     prowlarrEnabled,
+    speedProfile,
     knownTrackers,
     historyTrackUsername,
     hasCategoryPathWarnings,
@@ -169,6 +171,7 @@ export const StaticDataProvider = ({ children }) => {
     setDataCategories,
     setClientDefaultPaths,
     setProwlarrEnabled,
+    setSpeedProfile,
     setKnownTrackers,
     setHistoryTrackUsername,
     setHasCategoryPathWarnings,
@@ -183,7 +186,7 @@ export const StaticDataProvider = ({ children }) => {
     markDataLoaded,
     resetDataLoaded
   }), [
-    dataServers, dataCategories, clientDefaultPaths, prowlarrEnabled, knownTrackers,
+    dataServers, dataCategories, clientDefaultPaths, prowlarrEnabled, speedProfile, knownTrackers,
     historyTrackUsername, hasCategoryPathWarnings, instances, multiInstanceTypes, hasMultiInstance,
     isTypeConnected, isNetworkTypeConnected, hasType, getCapabilities, hasClientConnectionWarnings, multipleClientsConnected,
     dataLogs, dataServerInfo, dataAppLogs, dataQbittorrentLogs, dataStatsTree, dataDownloadedFiles, dataServersEd2kLinks,
@@ -64,6 +64,7 @@ export const WebSocketProvider = ({ children }) => {
     setDataCategories,
     setClientDefaultPaths,
     setProwlarrEnabled,
+    setSpeedProfile,
     setKnownTrackers,
     setHistoryTrackUsername,
     setHasCategoryPathWarnings,
@@ -159,8 +160,13 @@ export const WebSocketProvider = ({ children }) => {
                           actionName === 'pause' ? 'Paused' :
                           actionName === 'resume' ? 'Resumed' :
                           actionName === 'stop' ? 'Stopped' :
+                          actionName === 'recheck' ? 'Rechecking' :
+                          actionName === 'reannounce' ? 'Reannounced' :
+                          actionName === 'sequential download' ? 'Updated sequential download for' :
+                          actionName === 'piece priority' ? 'Updated piece priority for' :
                           actionName === 'download' ? 'Downloading' :
                           actionName === 'category change' ? 'Changed category for' :
+                          actionName === 'transfer' ? 'Transferring' :
                           actionName === 'label change' ? 'Changed label for' : 'Completed';
         const instanceIds = new Set(successes.map(r => r.instanceId).filter(Boolean));
         const suffix = hasMultiInstance && instanceIds.size > 1
@@ -190,6 +196,13 @@ export const WebSocketProvider = ({ children }) => {
               return prev === next ? prev : next;
             });
           }
+          // Update active speed profile (changes on schedule boundaries only)
+          if (batch.stats.speedProfile !== undefined) {
+            setSpeedProfile(prev => {
+              const next = batch.stats.speedProfile;
+              return JSON.stringify(prev) === JSON.stringify(next) ? prev : next;
+            });
+          }
           // Update per-instance metadata (includes networkStatus)
           if (batch.stats.instances) {
             setInstances(prev => {
@@ -315,6 +328,10 @@ export const WebSocketProvider = ({ children }) => {
       'batch-pause-complete': () => handleBatchComplete('pause'),
       'batch-resume-complete': () => handleBatchComplete('resume'),
       'batch-stop-complete': () => handleBatchComplete('stop'),
+      'batch-recheck-complete': () => handleBatchComplete('recheck'),
+      'batch-reannounce-complete': () => handleBatchComplete('reannounce'),
+      'batch-sequential-complete': () => handleBatchComplete('sequential download'),
+      'batch-first-last-complete': () => handleBatchComplete('piece priority'),
       'batch-delete-complete': () => {
         handleBatchComplete('delete');
         // Remove successfully deleted hashes from downloaded files set
@@ -358,6 +375,7 @@ export const WebSocketProvider = ({ children }) => {
         const successCount = data.results?.filter(r => r.success && !r.skipped).length || 0;
         if (successCount > 0) addAppSuccess(`Moving ${successCount} file${successCount !== 1 ? 's' : ''}`);
       },
+      'batch-transfer-complete': () => handleBatchComplete('transfer'),
       'batch-label-changed': () => handleBatchComplete('label change'),
       'servers-update': () => {
         setDataServers(data.data?.EC_TAG_SERVER || []);
@@ -454,6 +472,12 @@ export const WebSocketProvider = ({ children }) => {
         }
         // Note: Server broadcasts batch-update with items after adding torrent files
       },
+      'nzb-added': () => {
+        if (data.success) {
+          addAppSuccess('Added NZB file');
+        }
+        // Note: Server broadcasts batch-update with items after adding NZB files
+      },
       'error': () => {
         addAppError(data.message || 'An error occurred');
       }
@@ -479,7 +503,7 @@ export const WebSocketProvider = ({ children }) => {
     setDataStats, setDataItems, setDataItemsFull, applyDelta,
     markLiveDataLoaded,
     // Static data setters
-    setDataServers, setDataCategories, setClientDefaultPaths, setProwlarrEnabled,
+    setDataServers, setDataCategories, setClientDefaultPaths, setProwlarrEnabled, setSpeedProfile,
     setKnownTrackers, setHistoryTrackUsername, setInstances, setDataLogs, setDataServerInfo, setDataQbittorrentLogs,
     setDataStatsTree, setDataServersEd2kLinks,
     markStaticDataLoaded, resetStaticDataLoaded,
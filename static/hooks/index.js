@@ -33,10 +33,15 @@ export { useColumnConfig, getSecondarySortConfig } from './useColumnConfig.js';
 export { useFileInfoModal } from './useFileInfoModal.js';
 export { useFileCategoryModal } from './useFileCategoryModal.js';
 export { useFileMoveModal } from './useFileMoveModal.js';
+export { useTransferModal } from './useTransferModal.js';
 export { useFileRenameModal } from './useFileRenameModal.js';
 export { useNotifications } from './useNotifications.js';
+export { useRssFeeds } from './useRssFeeds.js';
+export { useSavedSearches } from './useSavedSearches.js';
+export { useSearchHistoryMatches } from './useSearchHistoryMatches.js';
 export { useBitTorrentClientSelector } from './useBitTorrentClientSelector.js';
 export { useAmuleInstanceSelector } from './useAmuleInstanceSelector.js';
+export { useUsenetClientSelector } from './useUsenetClientSelector.js';
 export { useCapabilities } from './useCapabilities.js';
 export { useDebouncedValue } from './useDebouncedValue.js';
 export { useSettingsFormData } from './useSettingsFormData.js';
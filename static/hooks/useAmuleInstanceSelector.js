@@ -6,16 +6,20 @@
  *
  * Instance-aware: builds list from connected instances metadata.
  * Shows selection UI when 2+ ED2K instances are connected.
+ * With allowAuto, an "Auto" choice (AUTO_TARGET_ID) lets the server pick the
+ * instance using the download target policy.
  */
 
 import { useState, useMemo, useCallback } from 'https://esm.sh/react@18.2.0';
 import { useStaticData } from '../contexts/StaticDataContext.js';
+import { AUTO_TARGET_ID } from '../utils/constants.js';
 
 /**
  * Hook for aMule instance selection
  * @param {Object} [options]
  * @param {string} [options.selectedId] - Externally controlled selected ID (overrides internal state)
  * @param {Function} [options.onSelect] - External selection handler (overrides internal state)
+ * @param {boolean} [options.allowAuto=false] - Offer the "Auto" choice (2+ instances only)
  * @returns {Object} Instance selection state and helpers
  */
 export function useAmuleInstanceSelector(options = {}) {
@@ -37,6 +41,7 @@ export function useAmuleInstanceSelector(options = {}) {
 
   // Whether to show instance selector (2+ instances connected)
   const showSelector = connectedInstances.length >= 2;
+  const allowAuto = options.allowAuto === true && showSelector;
 
   // Internal selection state (used when not externally controlled)
   const [internalSelectedId, setInternalSelectedId] = useState(null);
@@ -47,11 +52,14 @@ export function useAmuleInstanceSelector(options = {}) {
 
   // Validate selection against connected instances, fall back to first
   const effectiveId = useMemo(() => {
+    if (allowAuto && selectedId === AUTO_TARGET_ID) {
+      return AUTO_TARGET_ID;
+    }
     if (selectedId && connectedInstances.some(c => c.id === selectedId)) {
       return selectedId;
     }
     return connectedInstances[0]?.id || null;
-  }, [selectedId, connectedInstances]);
+  }, [selectedId, connectedInstances, allowAuto]);
 
   // Get the selected instance object
   const selectedInstance = useMemo(() => {
@@ -66,7 +74,9 @@ export function useAmuleInstanceSelector(options = {}) {
   return {
     connectedInstances,
     showSelector,
+    allowAuto,
     selectedId: effectiveId,
+    isAuto: effectiveId === AUTO_TARGET_ID,
     selectedInstance,
     selectInstance
   };
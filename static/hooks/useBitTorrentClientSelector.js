@@ -6,17 +6,21 @@
  *
  * Instance-aware: builds list from connected instances metadata.
  * Shows selection UI when 2+ BT instances are connected (even same type).
+ * With allowAuto, an "Auto" choice (AUTO_TARGET_ID) lets the server pick the
+ * instance using the download target policy.
  */
 
 import { useState, useMemo, useCallback } from 'https://esm.sh/react@18.2.0';
 import { useStaticData } from '../contexts/StaticDataContext.js';
-import { CLIENT_NAMES } from '../utils/constants.js';
+import { CLIENT_NAMES, AUTO_TARGET_ID } from '../utils/constants.js';
 
 /**
  * Hook for BitTorrent client instance selection
+ * @param {Object} [options]
+ * @param {boolean} [options.allowAuto=false] - Offer the "Auto" choice (2+ instances only)
  * @returns {Object} Client selection state and helpers
  */
-export function useBitTorrentClientSelector() {
+export function useBitTorrentClientSelector(options = {}) {
   const { instances } = useStaticData();
 
   // Build list of connected BitTorrent instances
@@ -43,15 +47,21 @@ export function useBitTorrentClientSelector() {
   // Selected client - default to first available
   const [selectedClientId, setSelectedClientId] = useState(null);
 
+  // "Auto" only makes sense when there is more than one instance to choose from
+  const allowAuto = options.allowAuto === true && showClientSelector;
+
   // Validate selection against connected clients, fall back to first
   const effectiveClientId = useMemo(() => {
+    if (allowAuto && selectedClientId === AUTO_TARGET_ID) {
+      return AUTO_TARGET_ID;
+    }
     if (selectedClientId && connectedClients.some(c => c.id === selectedClientId)) {
       return selectedClientId;
     }
     return connectedClients[0]?.id || null;
-  }, [selectedClientId, connectedClients]);
+  }, [selectedClientId, connectedClients, allowAuto]);
 
-  // Get the selected client object
+  // Get the selected client object (null for "Auto")
   const selectedClient = useMemo(() => {
     return connectedClients.find(c => c.id === effectiveClientId) || null;
   }, [connectedClients, effectiveClientId]);
@@ -68,8 +78,12 @@ export function useBitTorrentClientSelector() {
     hasBitTorrentClient,
     // Whether to show client selector UI (2+ instances)
     showClientSelector,
-    // Currently selected instance ID (validated)
+    // Whether the "Auto" choice is offered
+    allowAuto,
+    // Currently selected instance ID (validated, AUTO_TARGET_ID for "Auto")
     selectedClientId: effectiveClientId,
+    // Whether the server picks the instance
+    isAuto: effectiveClientId === AUTO_TARGET_ID,
     // Currently selected client object (with name, type, color, etc.)
     selectedClient,
     // Function to change selection
@@ -7,6 +7,7 @@
  * Charts display by network type:
  * - aMule (ED2K/Kademlia)
  * - BitTorrent (rtorrent + qBittorrent combined)
+ * - Usenet (SABnzbd + NZBGet combined) — separate download-only charts
  */
 
 import React from 'https://esm.sh/react@18.2.0';
@@ -24,6 +25,7 @@ const { useState, useEffect } = React;
  *   - bittorrentConnected: boolean - whether any BitTorrent client is connected
  *   - isEd2kEnabled: boolean - whether ED2K network is enabled in filter
  *   - isBittorrentEnabled: boolean - whether BitTorrent is enabled in filter
+ *   - isUsenetEnabled: boolean - whether Usenet is enabled in filter
  *   - showBothCharts: boolean - show side-by-side charts for both network types
  *   - showSingleClient: boolean - show single network type charts (full width)
  *   - singleNetworkType: 'ed2k' | 'bittorrent' - which network to show when single
@@ -31,7 +33,7 @@ const { useState, useEffect } = React;
  *   - shouldRenderCharts: boolean - deferred rendering state for performance
  */
 export const useClientChartConfig = () => {
-  const { isEd2kEnabled, isBittorrentEnabled, ed2kConnected, bittorrentConnected } = useClientFilter();
+  const { isEd2kEnabled, isBittorrentEnabled, isUsenetEnabled, ed2kConnected, bittorrentConnected } = useClientFilter();
   const { dataStats } = useLiveData();
 
   // Check if we're still waiting for WebSocket data
@@ -62,6 +64,7 @@ export const useClientChartConfig = () => {
     bittorrentConnected,
     isEd2kEnabled,
     isBittorrentEnabled,
+    isUsenetEnabled,
     showBothCharts,
     showSingleClient,
     singleNetworkType,
@@ -0,0 +1,104 @@
+/**
+ * useCrossSeed Hook
+ *
+ * Manages the cross-seed finder via /api/cross-seed: starts scans, polls
+ * their progress and adds candidates to an instance
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'https://esm.sh/react@18.2.0';
+
+// Poll interval while a scan runs or added candidates are being verified
+const POLL_INTERVAL = 2000;
+
+/**
+ * Send a JSON request and return the parsed body, throwing on API errors
+ * @param {string} url - Endpoint
+ * @param {object} options - fetch options (body is JSON-encoded)
+ */
+const request = async (url, { method = 'GET', body } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.message || `HTTP ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Custom hook for the cross-seed finder
+ * @returns {object} Cross-seed state and methods
+ */
+export const useCrossSeed = () => {
+  const [scan, setScan] = useState(null);           // { running, phase, done, total, startedAt, finishedAt, error }
+  const [candidates, setCandidates] = useState([]);
+  const [prowlarrConfigured, setProwlarrConfigured] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState(null);
+  const pollRef = useRef(null);
+
+  const applyStatus = useCallback((data) => {
+    setScan(data.scan || null);
+    setCandidates(data.candidates || []);
+    setProwlarrConfigured(!!data.prowlarrConfigured);
+  }, []);
+
+  /**
+   * Fetch the scan progress and candidates
+   */
+  const fetchStatus = useCallback(async () => {
+    try {
+      setError(null);
+      applyStatus(await request('/api/cross-seed'));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoaded(true);
+    }
+  }, [applyStatus]);
+
+  /**
+   * Start a scan
+   * @param {Object} options - { prowlarr, maxSearches }
+   */
+  const startScan = useCallback(async (options) => {
+    setError(null);
+    applyStatus(await request('/api/cross-seed/scan', { method: 'POST', body: options }));
+  }, [applyStatus]);
+
+  /**
+   * Add a candidate to an instance
+   * @param {string} id - Candidate ID
+   * @param {string} targetInstanceId - Instance to add it to
+   * @param {string} mode - 'skipCheck' or 'recheck'
+   */
+  const addCandidate = useCallback(async (id, targetInstanceId, mode) => {
+    const data = await request('/api/cross-seed/add', { method: 'POST', body: { id, targetInstanceId, mode } });
+    setCandidates(prev => prev.map(c => c.id === id ? data.candidate : c));
+  }, []);
+
+  // Keep polling while there is progress to show
+  const busy = !!scan?.running || candidates.some(c => c.status === 'checking');
+  useEffect(() => {
+    if (!busy) return undefined;
+    pollRef.current = setInterval(fetchStatus, POLL_INTERVAL);
+    return () => clearInterval(pollRef.current);
+  }, [busy, fetchStatus]);
+
+  return {
+    // State
+    scan,
+    candidates,
+    prowlarrConfigured,
+    loaded,
+    error,
+
+    // Methods
+    fetchStatus,
+    startScan,
+    addCandidate
+  };
+};
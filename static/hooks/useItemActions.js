@@ -1,7 +1,8 @@
 /**
  * useItemActions Hook
  *
- * Consolidates common item actions (pause, resume, stop, copy link)
+ * Consolidates common item actions (pause, resume, stop, recheck, reannounce,
+ * piece-order toggles, copy link)
  * used across DownloadsView and SharedView.
  */
 
@@ -46,6 +47,29 @@ export function useItemActions({
     actions.files.stop(fileHash, clientType, fileName, instanceId);
   }, [actions.files]);
 
+  const handleRecheck = useCallback((fileHash, clientType = 'qbittorrent', fileName = null, instanceId = null) => {
+    actions.files.recheck(fileHash, clientType, fileName, instanceId);
+  }, [actions.files]);
+
+  const handleReannounce = useCallback((fileHash, clientType = 'qbittorrent', fileName = null, instanceId = null) => {
+    actions.files.reannounce(fileHash, clientType, fileName, instanceId);
+  }, [actions.files]);
+
+  // Toggles flip the item's current state
+  const handleToggleSequential = useCallback((item) => {
+    actions.files.setSequentialDownload(
+      [{ fileHash: item.hash, clientType: item.client, instanceId: item.instanceId, fileName: item.name }],
+      !item.sequentialDownload
+    );
+  }, [actions.files]);
+
+  const handleToggleFirstLast = useCallback((item) => {
+    actions.files.setFirstLastPiecePriority(
+      [{ fileHash: item.hash, clientType: item.client, instanceId: item.instanceId, fileName: item.name }],
+      !item.firstLastPiecePriority
+    );
+  }, [actions.files]);
+
   const handleCopyLink = useCallback(async (item) => {
     const link = getExportLink(item);
     if (link) {
@@ -111,6 +135,10 @@ export function useItemActions({
     handlePause,
     handleResume,
     handleStop,
+    handleRecheck,
+    handleReannounce,
+    handleToggleSequential,
+    handleToggleFirstLast,
     handleCopyLink,
     // Batch actions
     handleBatchPause,
@@ -21,9 +21,15 @@ import { useCapabilities } from './useCapabilities.js';
  * @param {Function} options.onDelete - Handler for deleting item (required)
  * @param {Function} options.onCategoryChange - Handler for changing category (optional - shows menu item if provided)
  * @param {Function} options.onMoveTo - Handler for moving files (optional - shows menu item if provided)
+ * @param {Function} options.onTransfer - Handler for transferring a torrent to another instance (optional - BitTorrent only)
+ * @param {Function} options.canTransfer - (instanceId) => whether another instance can take the torrent (required with onTransfer)
  * @param {Function} options.onPause - Handler for pausing item (optional)
  * @param {Function} options.onResume - Handler for resuming item (optional)
  * @param {Function} options.onStop - Handler for stopping item (optional - rtorrent only)
+ * @param {Function} options.onRecheck - Handler for force recheck (optional - shown when client has recheck capability)
+ * @param {Function} options.onReannounce - Handler for tracker reannounce (optional - shown when client has reannounce capability)
+ * @param {Function} options.onToggleSequential - Handler for toggling sequential download (optional - receives item)
+ * @param {Function} options.onToggleFirstLast - Handler for toggling first/last piece priority (optional - receives item)
  * @param {Function} options.onRename - Handler for renaming item (optional - shows menu item if provided)
  * @param {Function} options.onCopyLink - Handler for copying export link (optional)
  * @param {string|null} options.copiedHash - Hash of recently copied item for "Copied!" feedback
@@ -42,9 +48,15 @@ export const useItemContextMenu = ({
   onDelete,
   onCategoryChange,
   onMoveTo,
+  onTransfer,
+  canTransfer,
   onPause,
   onResume,
   onStop,
+  onRecheck,
+  onReannounce,
+  onToggleSequential,
+  onToggleFirstLast,
   onRename,
   onCopyLink,
   copiedHash = null,
@@ -67,6 +79,7 @@ export const useItemContextMenu = ({
 
     const caps = getCapabilities(item.instanceId);
     const isBittorrent = item.networkType === 'bittorrent';
+    const isUsenet = item.networkType === 'usenet';
     const status = getItemStatusInfo(item);
     const menuItems = [];
 
@@ -115,9 +128,25 @@ export const useItemContextMenu = ({
       });
     }
 
+    // Transfer to another BitTorrent instance (same gating as Move to...)
+    if (onTransfer && isBittorrent && canTransfer?.(item.instanceId) && hasCap('edit_downloads') && canMutate &&
+        status.key !== 'moving' && !item.transferStatus) {
+      menuItems.push({
+        label: 'Transfer to instance...',
+        icon: 'arrowRightLeft',
+        iconColor: 'text-teal-600 dark:text-teal-400',
+        onClick: () => {
+          onTransfer(item);
+          closeContextMenu?.();
+        }
+      });
+    }
+
     // Pause/Resume/Start (skip for checking/queued state, gated on ownership)
     // Clients with stopReplacesPause: only show Resume/Start (no Pause - use Stop instead)
-    const canShowPauseResume = actionsForBittorrentOnly ? isBittorrent : true;
+    // Finished Usenet jobs live in the client's history and can't be paused or resumed
+    const isFinishedJob = isUsenet && (status.key === 'completed' || status.key === 'error');
+    const canShowPauseResume = actionsForBittorrentOnly ? isBittorrent : !isFinishedJob;
     if (canShowPauseResume && onPause && onResume && hasCap('pause_resume') && canMutate && status.key !== 'checking' && status.key !== 'hashing-queued') {
       const needsResume = status.key === 'paused' || status.key === 'stopped' || status.key === 'error';
       const showPauseResumeItem = !caps.stopReplacesPause || needsResume;
@@ -151,6 +180,57 @@ export const useItemContextMenu = ({
       });
     }
 
+    // Torrent maintenance (per-client capabilities, gated on ownership)
+    const canMaintain = hasCap('pause_resume') && canMutate;
+    if (onRecheck && caps.recheck && canMaintain && status.key !== 'checking' && status.key !== 'moving') {
+      menuItems.push({
+        label: 'Force Recheck',
+        icon: 'fileCheck',
+        iconColor: 'text-blue-600 dark:text-blue-400',
+        onClick: () => {
+          onRecheck(item.hash, item.client, item.name, item.instanceId);
+          closeContextMenu?.();
+        }
+      });
+    }
+
+    if (onReannounce && caps.reannounce && canMaintain && status.key !== 'stopped') {
+      menuItems.push({
+        label: 'Reannounce',
+        icon: 'refresh',
+        iconColor: 'text-cyan-600 dark:text-cyan-400',
+        onClick: () => {
+          onReannounce(item.hash, item.client, item.name, item.instanceId);
+          closeContextMenu?.();
+        }
+      });
+    }
+
+    // Piece-order toggles only matter while the download is incomplete
+    if (onToggleSequential && caps.sequentialDownload && canMaintain && !item.complete) {
+      menuItems.push({
+        label: item.sequentialDownload ? 'Disable Sequential Download' : 'Enable Sequential Download',
+        icon: 'arrowDown',
+        iconColor: 'text-indigo-600 dark:text-indigo-400',
+        onClick: () => {
+          onToggleSequential(item);
+          closeContextMenu?.();
+        }
+      });
+    }
+
+    if (onToggleFirstLast && caps.firstLastPiecePriority && canMaintain && !item.complete) {
+      menuItems.push({
+        label: item.firstLastPiecePriority ? 'Disable First/Last Piece Priority' : 'Enable First/Last Piece Priority',
+        icon: 'chevronFirst',
+        iconColor: 'text-indigo-600 dark:text-indigo-400',
+        onClick: () => {
+          onToggleFirstLast(item);
+          closeContextMenu?.();
+        }
+      });
+    }
+
     // Rename (only for clients with renameFile capability, gated on ownership)
     if (onRename && caps.renameFile && hasCap('rename_files') && canMutate) {
       menuItems.push({
@@ -164,8 +244,8 @@ export const useItemContextMenu = ({
       });
     }
 
-    // Export link (read-only action, not gated on ownership)
-    if (onCopyLink) {
+    // Export link (read-only action, not gated on ownership; Usenet jobs have none)
+    if (onCopyLink && !isUsenet) {
       const hasExportLink = isBittorrent || !!item.ed2kLink || !!getExportLink(item);
       const isCopied = copiedHash === item.hash;
       const linkLabel = getExportLinkLabel(item);
@@ -218,9 +298,15 @@ export const useItemContextMenu = ({
     canShowInfo,
     onCategoryChange,
     onMoveTo,
+    onTransfer,
+    canTransfer,
     onPause,
     onResume,
     onStop,
+    onRecheck,
+    onReannounce,
+    onToggleSequential,
+    onToggleFirstLast,
     onRename,
     onCopyLink,
     onDelete,
@@ -17,6 +17,7 @@ export const useNotifications = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [testResult, setTestResult] = useState(null);
+  const [deliveries, setDeliveries] = useState({});
 
   /**
    * Fetch Apprise availability status
@@ -190,6 +191,24 @@ export const useNotifications = () => {
     }
   }, []);
 
+  /**
+   * Fetch recent delivery results per service
+   */
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      const response = await fetch('/api/notifications/deliveries');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const data = await response.json();
+      setDeliveries(data.deliveries || {});
+      return data.deliveries || {};
+    } catch (err) {
+      // Delivery history is informational; keep the last known state
+      return null;
+    }
+  }, []);
+
   /**
    * Test notification services
    * @param {string|null} serviceId - Service ID to test, or null for all
@@ -209,6 +228,7 @@ export const useNotifications = () => {
       }
       const data = await response.json();
       setTestResult(data);
+      fetchDeliveries();
       return data;
     } catch (err) {
       setError(err.message);
@@ -217,7 +237,7 @@ export const useNotifications = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [fetchDeliveries]);
 
   /**
    * Clear error state
@@ -241,6 +261,7 @@ export const useNotifications = () => {
     loading,
     error,
     testResult,
+    deliveries,
 
     // Methods
     fetchStatus,
@@ -251,6 +272,7 @@ export const useNotifications = () => {
     updateService,
     deleteService,
     testServices,
+    fetchDeliveries,
     clearError,
     clearTestResult
   };
@@ -0,0 +1,141 @@
+/**
+ * useRssFeeds Hook
+ *
+ * Manages RSS feeds, matched items and filter previews via /api/rss
+ */
+
+import { useState, useCallback } from 'https://esm.sh/react@18.2.0';
+
+/**
+ * Send a JSON request and return the parsed body, throwing on API errors
+ * @param {string} url - Endpoint
+ * @param {object} options - fetch options (body is JSON-encoded)
+ */
+const request = async (url, { method = 'GET', body } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.message || `HTTP ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Custom hook for RSS feed management
+ * @returns {object} RSS state and methods
+ */
+export const useRssFeeds = () => {
+  const [feeds, setFeeds] = useState([]);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch all feeds
+   */
+  const fetchFeeds = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request('/api/rss/feeds');
+      setFeeds(data.feeds || []);
+      return data.feeds || [];
+    } catch (err) {
+      setError(err.message);
+      return [];
+    } finally {
+      setLoading(false);
+      setLoaded(true);
+    }
+  }, []);
+
+  /**
+   * Fetch recent matched items
+   * @param {number|null} feedId - Only items of this feed (null = all feeds)
+   */
+  const fetchItems = useCallback(async (feedId = null) => {
+    try {
+      const data = await request(`/api/rss/items?limit=200${feedId ? `&feedId=${feedId}` : ''}`);
+      setItems(data.items || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  /**
+   * Create or update a feed (throws so the modal can show the error)
+   * @param {object} feedData - Feed fields, with id when updating
+   */
+  const saveFeed = useCallback(async ({ id, ...feedData }) => {
+    const data = id
+      ? await request(`/api/rss/feeds/${id}`, { method: 'PUT', body: feedData })
+      : await request('/api/rss/feeds', { method: 'POST', body: feedData });
+    setFeeds(prev => {
+      const next = prev.filter(f => f.id !== data.feed.id);
+      return [...next, data.feed].sort((a, b) => a.name.localeCompare(b.name));
+    });
+    return data.feed;
+  }, []);
+
+  /**
+   * Delete a feed
+   * @param {number} id - Feed id
+   */
+  const deleteFeed = useCallback(async (id) => {
+    try {
+      setError(null);
+      await request(`/api/rss/feeds/${id}`, { method: 'DELETE' });
+      setFeeds(prev => prev.filter(f => f.id !== id));
+      setItems(prev => prev.filter(item => item.feedId !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  /**
+   * Poll a feed now
+   * @param {number} id - Feed id
+   * @returns {Promise<object|null>} { added, failed, duplicates, error }
+   */
+  const refreshFeed = useCallback(async (id) => {
+    try {
+      setError(null);
+      return await request(`/api/rss/feeds/${id}/refresh`, { method: 'POST' });
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Preview which feed entries a set of filters matches (throws on error)
+   * @param {object} filter - { url, includePattern, excludePattern, dedupeEpisodes, feedId }
+   * @returns {Promise<Array>} Entries with matched/duplicate/status flags
+   */
+  const testFilter = useCallback(async (filter) => {
+    const data = await request('/api/rss/test', { method: 'POST', body: filter });
+    return data.entries || [];
+  }, []);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    feeds,
+    items,
+    loading,
+    loaded,
+    error,
+    fetchFeeds,
+    fetchItems,
+    saveFeed,
+    deleteFeed,
+    refreshFeed,
+    testFilter,
+    clearError
+  };
+};
@@ -0,0 +1,113 @@
+/**
+ * useSavedSearches Hook
+ *
+ * Manages saved searches and manual runs via /api/v1/saved-searches
+ */
+
+import { useState, useCallback } from 'https://esm.sh/react@18.2.0';
+
+/**
+ * Send a JSON request and return the parsed body, throwing on API errors
+ * @param {string} url - Endpoint
+ * @param {object} options - fetch options (body is JSON-encoded)
+ */
+const request = async (url, { method = 'GET', body } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.message || `HTTP ${response.status}`);
+  }
+  return data;
+};
+
+// Replace or add a search, keeping the list sorted by name
+const upsert = (searches, search) =>
+  [...searches.filter(s => s.id !== search.id), search].sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Custom hook for saved searches
+ * @returns {object} Saved search state and methods
+ */
+export const useSavedSearches = () => {
+  const [searches, setSearches] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the saved searches
+   */
+  const fetchSearches = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request('/api/v1/saved-searches');
+      setSearches(data.searches || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setLoaded(true);
+    }
+  }, []);
+
+  /**
+   * Create or update a search (throws so the modal can show the error)
+   * @param {object} searchData - Search fields, with id when updating
+   */
+  const saveSearch = useCallback(async ({ id, ...searchData }) => {
+    const data = id
+      ? await request(`/api/v1/saved-searches/${id}`, { method: 'PUT', body: searchData })
+      : await request('/api/v1/saved-searches', { method: 'POST', body: searchData });
+    setSearches(prev => upsert(prev, data.search));
+    return data.search;
+  }, []);
+
+  /**
+   * Delete a search
+   * @param {number} id - Search id
+   */
+  const deleteSearch = useCallback(async (id) => {
+    try {
+      setError(null);
+      await request(`/api/v1/saved-searches/${id}`, { method: 'DELETE' });
+      setSearches(prev => prev.filter(s => s.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  /**
+   * Run a search now (throws on error)
+   * @param {number} id - Search id
+   * @returns {Promise<object>} { results, newCount, added, failed, baseline }
+   */
+  const runSearch = useCallback(async (id) => {
+    try {
+      return await request(`/api/v1/saved-searches/${id}/run`, { method: 'POST' });
+    } finally {
+      // Refresh the last run status, also after a failed run
+      request('/api/v1/saved-searches')
+        .then(data => setSearches(data.searches || []))
+        .catch(() => {});
+    }
+  }, []);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    searches,
+    loading,
+    loaded,
+    error,
+    fetchSearches,
+    saveSearch,
+    deleteSearch,
+    runSearch,
+    clearError
+  };
+};
@@ -0,0 +1,39 @@
+/**
+ * useSearchHistoryMatches Hook
+ *
+ * Looks up which search results are already in the download history
+ * via /api/history/lookup (for "downloaded" badges and the history filter)
+ */
+
+import { useState, useEffect } from 'https://esm.sh/react@18.2.0';
+
+/**
+ * @param {Array} results - Search results ({ fileHash, fileName, fileSize })
+ * @param {boolean} enabled - False when the user can't view the history
+ * @returns {Object} fileHash → { status, completedAt, startedAt } of the most recent history entry
+ */
+export const useSearchHistoryMatches = (results, enabled = true) => {
+  const [matches, setMatches] = useState({});
+
+  useEffect(() => {
+    setMatches({});
+    if (!enabled || !results || results.length === 0) return;
+
+    let cancelled = false;
+    fetch('/api/history/lookup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        files: results.map(r => ({ hash: r.fileHash, name: r.fileName, size: r.fileSize }))
+      })
+    })
+      .then(res => (res.ok ? res.json() : { matches: {} }))
+      .then(data => { if (!cancelled) setMatches(data.matches || {}); })
+      // History disabled or unavailable: no badges
+      .catch(() => {});
+
+    return () => { cancelled = true; };
+  }, [results, enabled]);
+
+  return matches;
+};
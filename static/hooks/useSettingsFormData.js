@@ -18,7 +18,8 @@ const buildFormData = (cfg) => ({
     amuleInstanceId: cfg.integrations?.amuleInstanceId || null,
     sonarr: { ...cfg.integrations.sonarr },
     radarr: { ...cfg.integrations.radarr },
-    prowlarr: { ...cfg.integrations?.prowlarr || { enabled: false, url: '', apiKey: '' } }
+    prowlarr: { ...cfg.integrations?.prowlarr || { enabled: false, url: '', apiKey: '' } },
+    torznab: { categoryMappings: { ...cfg.integrations?.torznab?.categoryMappings } }
   },
   history: { ...cfg.history },
   eventScripting: { ...cfg.eventScripting || {
@@ -29,10 +30,28 @@ const buildFormData = (cfg) => ({
       downloadFinished: true,
       categoryChanged: true,
       fileMoved: true,
-      fileDeleted: true
+      fileDeleted: true,
+      speedProfileChanged: true,
+      seedingRuleApplied: true,
+      downloadStalled: true,
+      noSeeds: true,
+      lowDiskSpace: true,
+      ratioReached: true,
+      moveFailed: true,
+      loginFailed: true,
+      updateAvailable: true,
+      savedSearchResults: true
     },
     timeout: 30000
-  }}
+  }},
+  eventMonitor: { ...cfg.eventMonitor || {
+    stalledMinutes: 30,
+    noSeedsMinutes: 60,
+    lowDiskSpaceGB: 10,
+    ratioTarget: 2,
+    failedLoginThreshold: 5
+  }},
+  downloadTargets: { policy: 'first', ...cfg.downloadTargets }
 });
 
 /**
@@ -0,0 +1,121 @@
+/**
+ * useTransferModal Hook
+ *
+ * Manages TransferModal state — "Transfer to instance..." for torrents.
+ * Lists the connected BitTorrent instances that can take the items and
+ * submits the transfer via WebSocket.
+ */
+
+import React, { useState, useCallback, useMemo } from 'https://esm.sh/react@18.2.0';
+import TransferModal from '../components/modals/TransferModal.js';
+import { useStaticData } from '../contexts/StaticDataContext.js';
+import { useWebSocketConnection } from '../contexts/WebSocketContext.js';
+import { itemKey } from '../utils/itemKey.js';
+import { CLIENT_NAMES } from '../utils/constants.js';
+
+const { createElement: h } = React;
+
+/**
+ * Hook for managing TransferModal in views
+ * @param {Object} options
+ * @param {Function} options.getSelectedHashes - Function to get selected compound keys (for batch)
+ * @param {Array} options.dataArray - Data array to find items (for batch)
+ * @returns {Object} { openTransferModal, handleBatchTransfer, canTransfer, TransferModalElement }
+ */
+export const useTransferModal = ({ getSelectedHashes, dataArray }) => {
+  const { instances, getCapabilities } = useStaticData();
+  const { sendMessage } = useWebSocketConnection();
+
+  const [modalState, setModalState] = useState({
+    show: false,
+    items: [],    // [{ fileHash, instanceId, fileName }]
+    fileName: '',
+    fileCount: 0
+  });
+
+  // Connected BitTorrent instances that can recheck (the target verifies the data)
+  const targetInstances = useMemo(() =>
+    Object.entries(instances || {})
+      .filter(([id, inst]) => inst.connected && inst.networkType === 'bittorrent' && getCapabilities(id).recheck)
+      .map(([id, inst]) => ({
+        id,
+        type: inst.type,
+        name: inst.name || CLIENT_NAMES[inst.type]?.name || inst.type,
+        order: inst.order
+      }))
+      .sort((a, b) => a.order - b.order),
+    [instances, getCapabilities]
+  );
+
+  // Whether a torrent on this instance can be exported and has anywhere to go
+  const canTransfer = useCallback((instanceId) =>
+    getCapabilities(instanceId).exportTorrent === true && targetInstances.some(t => t.id !== instanceId),
+    [targetInstances, getCapabilities]
+  );
+
+  // Open modal for single item
+  const openTransferModal = useCallback((item) => {
+    setModalState({
+      show: true,
+      items: [{ fileHash: item.hash, instanceId: item.instanceId, fileName: item.name }],
+      fileName: item.name,
+      fileCount: 1
+    });
+  }, []);
+
+  // Open modal for batch (selection mode) — only torrents of clients that can export them are transferable
+  const handleBatchTransfer = useCallback(() => {
+    const selectedKeys = getSelectedHashes();
+    if (!selectedKeys || selectedKeys.size === 0) return;
+
+    const items = [];
+    for (const key of selectedKeys) {
+      const item = dataArray.find(d => itemKey(d.instanceId, d.hash) === key);
+      if (item && item.networkType === 'bittorrent' && canTransfer(item.instanceId)) {
+        items.push({ fileHash: item.hash, instanceId: item.instanceId, fileName: item.name });
+      }
+    }
+    if (items.length === 0) return;
+
+    setModalState({
+      show: true,
+      items,
+      fileName: items.length === 1 ? items[0].fileName : '',
+      fileCount: items.length
+    });
+  }, [getSelectedHashes, dataArray, canTransfer]);
+
+  const closeModal = useCallback(() => {
+    setModalState(prev => ({ ...prev, show: false }));
+  }, []);
+
+  const handleSubmit = useCallback((targetInstanceId) => {
+    sendMessage({
+      action: 'batchTransferItems',
+      items: modalState.items.filter(i => i.instanceId !== targetInstanceId),
+      targetInstanceId
+    });
+    closeModal();
+  }, [sendMessage, modalState.items, closeModal]);
+
+  // Hide the target when every item already lives there
+  const targets = useMemo(() => {
+    const sources = new Set(modalState.items.map(i => i.instanceId));
+    return targetInstances.filter(t => !(sources.size === 1 && sources.has(t.id)));
+  }, [targetInstances, modalState.items]);
+
+  const TransferModalElement = modalState.show
+    ? h(TransferModal, {
+        isOpen: true,
+        onClose: closeModal,
+        onSubmit: handleSubmit,
+        fileName: modalState.fileName,
+        fileCount: modalState.fileCount,
+        targets
+      })
+    : null;
+
+  return { openTransferModal, handleBatchTransfer, canTransfer, TransferModalElement };
+};
+
+export default useTransferModal;
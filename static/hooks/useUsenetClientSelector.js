@@ -0,0 +1,76 @@
+/**
+ * useUsenetClientSelector Hook
+ *
+ * Provides state and helpers for selecting which Usenet client instance
+ * (SABnzbd, NZBGet) receives NZB files and NZB URLs.
+ *
+ * Mirrors useBitTorrentClientSelector: shows selection UI when 2+ Usenet
+ * instances are connected, optionally with an "Auto" choice.
+ */
+
+import { useState, useMemo, useCallback } from 'https://esm.sh/react@18.2.0';
+import { useStaticData } from '../contexts/StaticDataContext.js';
+import { CLIENT_NAMES, AUTO_TARGET_ID } from '../utils/constants.js';
+
+/**
+ * Hook for Usenet client instance selection
+ * @param {Object} [options]
+ * @param {boolean} [options.allowAuto=false] - Offer the "Auto" choice (2+ instances only)
+ * @returns {Object} Client selection state and helpers
+ */
+export function useUsenetClientSelector(options = {}) {
+  const { instances } = useStaticData();
+
+  // Build list of connected Usenet instances
+  const connectedClients = useMemo(() => {
+    return Object.entries(instances || {})
+      .filter(([, inst]) => inst.connected && inst.networkType === 'usenet')
+      .map(([id, inst]) => ({
+        id,
+        type: inst.type,
+        name: inst.name || CLIENT_NAMES[inst.type]?.name || inst.type,
+        shortName: inst.name || CLIENT_NAMES[inst.type]?.shortName || inst.type,
+        color: inst.color,
+        order: inst.order
+      }))
+      .sort((a, b) => a.order - b.order);
+  }, [instances]);
+
+  const hasUsenetClient = connectedClients.length > 0;
+  const showClientSelector = connectedClients.length >= 2;
+  const allowAuto = options.allowAuto === true && showClientSelector;
+
+  const [selectedClientId, setSelectedClientId] = useState(null);
+
+  // Validate selection against connected clients, fall back to first
+  const effectiveClientId = useMemo(() => {
+    if (allowAuto && selectedClientId === AUTO_TARGET_ID) {
+      return AUTO_TARGET_ID;
+    }
+    if (selectedClientId && connectedClients.some(c => c.id === selectedClientId)) {
+      return selectedClientId;
+    }
+    return connectedClients[0]?.id || null;
+  }, [selectedClientId, connectedClients, allowAuto]);
+
+  const selectedClient = useMemo(() => {
+    return connectedClients.find(c => c.id === effectiveClientId) || null;
+  }, [connectedClients, effectiveClientId]);
+
+  const selectClient = useCallback((clientId) => {
+    setSelectedClientId(clientId);
+  }, []);
+
+  return {
+    connectedClients,
+    hasUsenetClient,
+    showClientSelector,
+    allowAuto,
+    selectedClientId: effectiveClientId,
+    isAuto: effectiveClientId === AUTO_TARGET_ID,
+    selectedClient,
+    selectClient
+  };
+}
+
+export default useUsenetClientSelector;
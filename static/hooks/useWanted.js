@@ -0,0 +1,101 @@
+/**
+ * useWanted Hook
+ *
+ * Manages the Sonarr/Radarr wanted lists and per-item searches via /api/arr
+ */
+
+import { useState, useCallback } from 'https://esm.sh/react@18.2.0';
+
+/**
+ * Send a JSON request and return the parsed body, throwing on API errors
+ * @param {string} url - Endpoint
+ * @param {object} options - fetch options (body is JSON-encoded)
+ */
+const request = async (url, { method = 'GET', body } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.message || `HTTP ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Custom hook for the wanted lists
+ * @returns {object} Wanted state and methods
+ */
+export const useWanted = () => {
+  const [services, setServices] = useState({}); // { sonarr: { configured, items, error? }, radarr: ... }
+  const [loading, setLoading] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the wanted items of both services
+   */
+  const fetchWanted = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await request('/api/arr/wanted');
+      setServices(data.services || {});
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setLoaded(true);
+    }
+  }, []);
+
+  // Apply the search times the server returned to one item
+  const applySearches = useCallback((service, id, searches) => {
+    setServices(prev => ({
+      ...prev,
+      [service]: {
+        ...prev[service],
+        items: prev[service].items.map(item => item.id !== id ? item : {
+          ...item,
+          lastSearch: searches.arr && (!item.lastSearch || searches.arr > item.lastSearch) ? searches.arr : item.lastSearch,
+          lastEd2kSearch: searches.ed2k || item.lastEd2kSearch
+        })
+      }
+    }));
+  }, []);
+
+  /**
+   * Ask Sonarr/Radarr to search one item
+   * @param {string} service - 'sonarr' or 'radarr'
+   * @param {number} id - Episode or movie ID
+   */
+  const searchItem = useCallback(async (service, id) => {
+    const data = await request(`/api/arr/wanted/${service}/${id}/search`, { method: 'POST' });
+    applySearches(service, id, data.searches);
+  }, [applySearches]);
+
+  /**
+   * Record that an ED2K search was run for one item
+   * @param {string} service - 'sonarr' or 'radarr'
+   * @param {number} id - Episode or movie ID
+   */
+  const recordEd2kSearch = useCallback(async (service, id) => {
+    const data = await request(`/api/arr/wanted/${service}/${id}/searched`, { method: 'POST', body: { source: 'ed2k' } });
+    applySearches(service, id, data.searches);
+  }, [applySearches]);
+
+  return {
+    // State
+    services,
+    loading,
+    loaded,
+    error,
+
+    // Methods
+    fetchWanted,
+    searchItem,
+    recordEd2kSearch
+  };
+};
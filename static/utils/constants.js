@@ -40,6 +40,9 @@ export const ERROR_DISPLAY_DURATION = 4000;       // ms
 // Default category ID
 export const DEFAULT_CATEGORY_ID = 0;
 
+// Instance ID that lets the server pick the target instance (download target policy)
+export const AUTO_TARGET_ID = 'auto';
+
 // Animated stripes overlay for progress bars (used when actively downloading)
 export const PROGRESS_STRIPES_STYLE = {
   backgroundImage: 'linear-gradient(-45deg, rgba(255,255,255,0.15) 25%, transparent 25%, transparent 50%, rgba(255,255,255,0.15) 50%, rgba(255,255,255,0.15) 75%, transparent 75%, transparent)',
@@ -52,7 +55,8 @@ export const SEARCH_TYPES = {
   GLOBAL: 'global',
   LOCAL: 'local',
   KAD: 'kad',
-  PROWLARR: 'prowlarr'
+  PROWLARR: 'prowlarr',
+  COMBINED: 'combined'
 };
 
 // Sort directions
@@ -243,7 +247,8 @@ export const ICON_SIZES = {
 // Network type display labels
 export const NETWORK_TYPE_LABELS = {
   ed2k: 'ED2K',
-  bittorrent: 'BitTorrent'
+  bittorrent: 'BitTorrent',
+  usenet: 'Usenet'
 };
 
 // Client display names (single source of truth for UI labels)
@@ -252,7 +257,10 @@ export const CLIENT_NAMES = {
   rtorrent: { name: 'rTorrent', shortName: 'rTor' },
   qbittorrent: { name: 'qBittorrent', shortName: 'qBit' },
   deluge: { name: 'Deluge', shortName: 'Dlg' },
-  transmission: { name: 'Transmission', shortName: 'Trn' }
+  transmission: { name: 'Transmission', shortName: 'Trn' },
+  aria2: { name: 'aria2', shortName: 'a2' },
+  sabnzbd: { name: 'SABnzbd', shortName: 'SAB' },
+  nzbget: { name: 'NZBGet', shortName: 'NZBG' }
 };
 
 // Client software types (for uploads view)
@@ -127,7 +127,10 @@ export const getItemStatusInfo = (item) => {
     const progress = item.progress || 0;
     const connectedSources = item.sources?.connected || 0;
 
-    if (item.seeding || progress >= 100) {
+    if (isUsenetClient(item)) {
+      // Usenet jobs never seed; queued jobs wait their turn rather than stall
+      key = progress >= 100 ? 'completed' : dlSpeed > 0 ? 'downloading' : 'active';
+    } else if (item.seeding || progress >= 100) {
       key = 'seeding';
     } else if (item.downloading && dlSpeed > 0) {
       key = 'downloading';
@@ -178,6 +181,15 @@ export const isBittorrentClient = (item) => {
   return item.networkType === 'bittorrent';
 };
 
+/**
+ * Check if item is from a Usenet client (SABnzbd or NZBGet)
+ * @param {Object} item - Download item
+ * @returns {boolean} True if Usenet client
+ */
+export const isUsenetClient = (item) => {
+  return item.networkType === 'usenet';
+};
+
 /**
  * Format source count display with detailed breakdown
  * Handles both aMule and BitTorrent formats via unified sources object
@@ -195,6 +207,11 @@ export const formatSourceDisplay = (item, compact = false) => {
       : `${connected} peers (${seeders} seeds)`;
   }
 
+  // Usenet: articles come from news servers, there are no peers
+  if (isUsenetClient(item)) {
+    return compact ? '—' : 'News servers';
+  }
+
   // aMule source breakdown
   const sources = item.sources || {};
   const total = sources.total || 0;
@@ -325,8 +342,11 @@ export const getIpString = (item) => {
  */
 export const getExportLink = (item) => {
   if (isBittorrentClient(item)) {
-    return generateMagnetLink(item);
+    // Server sends magnetLink: null for plain HTTP/FTP downloads (aria2)
+    return item.magnetLink !== undefined ? item.magnetLink : generateMagnetLink(item);
   }
+  // Usenet jobs have no shareable link
+  if (isUsenetClient(item)) return null;
   // ED2K: use unified ed2kLink field
   return item.ed2kLink || null;
 };
@@ -122,6 +122,52 @@ export const FIELD_LABELS = {
   'pieceCount': 'Piece Count',
   'pieceSize': 'Piece Size',
   'errorString': 'Error',
+  // aria2 fields (camelCase, only those not already covered above)
+  'gid': 'GID',
+  'infoHash': 'Info Hash',
+  'totalLength': 'Total Size',
+  'completedLength': 'Downloaded',
+  'uploadLength': 'Uploaded',
+  'verifiedLength': 'Verified',
+  'verifyIntegrityPending': 'Verification Pending',
+  'dir': 'Download Directory',
+  'connections': 'Connections',
+  'numSeeders': 'Connected Seeders',
+  'seeder': 'Seeding',
+  'numPieces': 'Piece Count',
+  'pieceLength': 'Piece Size',
+  'errorCode': 'Error Code',
+  'errorMessage': 'Error',
+  'followedBy': 'Followed By',
+  'following': 'Following',
+  'belongsTo': 'Belongs To',
+  // SABnzbd fields (snake_case, only those not already covered above)
+  'nzo_id': 'Job ID',
+  'filename': 'File Name',
+  'nzb_name': 'NZB Name',
+  'mb': 'Size (MB)',
+  'bytes': 'Size',
+  'mbleft': 'Remaining (MB)',
+  'percentage': 'Progress (%)',
+  'timeleft': 'Time Left',
+  'cat': 'Category',
+  'storage': 'Storage Path',
+  'fail_message': 'Failure Reason',
+  'download_time': 'Download Time',
+  'postproc_time': 'Post-processing Time',
+  // NZBGet fields (PascalCase)
+  'NZBID': 'NZB ID',
+  'NZBName': 'NZB Name',
+  'NZBFilename': 'NZB File Name',
+  'Category': 'Category',
+  'DestDir': 'Destination Directory',
+  'FinalDir': 'Final Directory',
+  'Status': 'Status',
+  'MaxPriority': 'Priority',
+  'DownloadTimeSec': 'Download Time',
+  'PostTotalTimeSec': 'Post-processing Time',
+  'HistoryTime': 'Finished',
+  'PostInfoText': 'Post-processing',
   // Deluge fields (snake_case, only those not already covered above)
   'active_time': 'Active Time',
   'all_time_download': 'Downloaded (All Time)',
@@ -226,6 +272,12 @@ export const FIELD_TYPES = {
   'leftUntilDone': 'bytes',
   'sizeWhenDone': 'bytes',
   'pieceSize': 'bytes',
+  'totalLength': 'bytes',
+  'completedLength': 'bytes',
+  'uploadLength': 'bytes',
+  'verifiedLength': 'bytes',
+  'pieceLength': 'bytes',
+  'bytes': 'bytes',
   // speed
   'EC_TAG_PARTFILE_SPEED': 'speed',
   'downloadSpeed': 'speed',
@@ -255,6 +307,7 @@ export const FIELD_TYPES = {
   'doneDate': 'timestamp_transmission',
   'startDate': 'timestamp_transmission',
   'dateCreated': 'timestamp_transmission',
+  'HistoryTime': 'timestamp',
   // duration
   'EC_TAG_PARTFILE_DOWNLOAD_ACTIVE': 'duration_verbose',
   'seedingTime': 'duration',
@@ -263,6 +316,10 @@ export const FIELD_TYPES = {
   'time_active': 'duration_infinity',
   'reannounce': 'duration_infinity',
   'active_time': 'duration',
+  'download_time': 'duration',
+  'postproc_time': 'duration',
+  'DownloadTimeSec': 'duration',
+  'PostTotalTimeSec': 'duration',
   // boolean
   'EC_TAG_PARTFILE_SHARED': 'boolean',
   'isActive': 'boolean',
@@ -283,6 +340,8 @@ export const FIELD_TYPES = {
   'move_on_completed': 'boolean',
   'isFinished': 'boolean',
   'isStalled': 'boolean',
+  'seeder': 'boolean',
+  'verifyIntegrityPending': 'boolean',
   // ratio
   'ratio': 'ratio',
   'uploadRatio': 'ratio',
@@ -296,6 +355,7 @@ export const FIELD_TYPES = {
   'infohash_v1': 'hash',
   'infohash_v2': 'hash',
   'hashString': 'hash',
+  'infoHash': 'hash',
   // decimal3
   'availability': 'decimal3',
   'popularity': 'decimal3',
@@ -589,6 +649,82 @@ export const FIELD_CATEGORIES = {
     'pieceCount': 'Data Integrity & Optimization',
     'pieceSize': 'Data Integrity & Optimization',
   },
+  aria2: {
+    // File Identification
+    'gid': 'File Identification',
+    'infoHash': 'File Identification',
+    'totalLength': 'File Identification',
+    'dir': 'File Identification',
+    // State & Progress
+    'status': 'State & Progress',
+    'seeder': 'State & Progress',
+    'errorCode': 'State & Progress',
+    'errorMessage': 'State & Progress',
+    'followedBy': 'State & Progress',
+    'following': 'State & Progress',
+    'belongsTo': 'State & Progress',
+    // Download Statistics
+    'completedLength': 'Download Statistics',
+    'downloadSpeed': 'Download Statistics',
+    // Upload Statistics
+    'uploadLength': 'Upload Statistics',
+    'uploadSpeed': 'Upload Statistics',
+    // Priority & Category
+    'label': 'Priority & Category',
+    // Source Information
+    'connections': 'Source Information',
+    'numSeeders': 'Source Information',
+    // Data Integrity & Optimization
+    'numPieces': 'Data Integrity & Optimization',
+    'pieceLength': 'Data Integrity & Optimization',
+    'verifiedLength': 'Data Integrity & Optimization',
+    'verifyIntegrityPending': 'Data Integrity & Optimization',
+  },
+  sabnzbd: {
+    // File Identification
+    'nzo_id': 'File Identification',
+    'filename': 'File Identification',
+    'name': 'File Identification',
+    'nzb_name': 'File Identification',
+    'mb': 'File Identification',
+    'bytes': 'File Identification',
+    'storage': 'File Identification',
+    // State & Progress
+    'status': 'State & Progress',
+    'percentage': 'State & Progress',
+    'fail_message': 'State & Progress',
+    // Download Statistics
+    'mbleft': 'Download Statistics',
+    'downloaded': 'Download Statistics',
+    'timeleft': 'Download Statistics',
+    // Timing & Activity
+    'completed': 'Timing & Activity',
+    'download_time': 'Timing & Activity',
+    'postproc_time': 'Timing & Activity',
+    // Priority & Category
+    'cat': 'Priority & Category',
+    'category': 'Priority & Category',
+    'priority': 'Priority & Category',
+  },
+  nzbget: {
+    // File Identification
+    'NZBID': 'File Identification',
+    'NZBName': 'File Identification',
+    'NZBFilename': 'File Identification',
+    'Name': 'File Identification',
+    'DestDir': 'File Identification',
+    'FinalDir': 'File Identification',
+    // State & Progress
+    'Status': 'State & Progress',
+    'PostInfoText': 'State & Progress',
+    // Timing & Activity
+    'HistoryTime': 'Timing & Activity',
+    'DownloadTimeSec': 'Timing & Activity',
+    'PostTotalTimeSec': 'Timing & Activity',
+    // Priority & Category
+    'Category': 'Priority & Category',
+    'MaxPriority': 'Priority & Category',
+  },
 };
 
 // ─── Categorize Skip ─────────────────────────────────────────────────────────
@@ -603,6 +739,7 @@ export const CATEGORIZE_SKIP = {
   deluge: new Set(['progress']),
   qbittorrent: new Set(['magnet_uri']),
   transmission: new Set(['fileStats', 'id', 'labels', 'name', 'percentDone']),
+  aria2: new Set(['bittorrent', 'hash']),
 };
 
 // ─── Categorize Conditional Skip ─────────────────────────────────────────────
@@ -611,6 +748,10 @@ export const CATEGORIZE_SKIP = {
 export const CATEGORIZE_CONDITIONAL_SKIP = {
   'infohash_v2': (v) => !v || v === '',
   'errorString': (v) => !v || v === '',
+  'errorMessage': (v) => !v || v === '',
+  'followedBy': (v) => !v || v.length === 0,
+  'following': (v) => !v,
+  'belongsTo': (v) => !v,
 };
 
 // ─── Category Order ──────────────────────────────────────────────────────────
@@ -686,4 +827,13 @@ export const TRACKER_CONFIGS = {
       return t.lastAnnounceSucceeded === false ? 'Error' : 'Active';
     },
   },
+  aria2: {
+    urlField: 'url',
+    seedsField: null,
+    leechersField: null,
+    downloadedField: null,
+    messageField: null,
+    getEnabled: () => true,
+    getStatusLabel: () => 'Active',
+  },
 };
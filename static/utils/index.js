@@ -124,6 +124,7 @@ export {
 // Download Helpers
 export {
   isBittorrentClient,
+  isUsenetClient,
   isItemPaused,
   isItemStopped,
   isItemChecking,
@@ -177,3 +178,18 @@ export {
   createTrackerFilter,
   createIndexerFilter
 } from './mobileFilterHelpers.js';
+
+// Search Result Filters
+export {
+  SEARCH_FILE_TYPES,
+  EMPTY_SEARCH_FILTERS,
+  getSearchFileType,
+  compileFilterPattern,
+  countSearchFilters,
+  filterSearchResults
+} from './searchFilters.js';
+
+// Torrent Files
+export {
+  readTorrentFileList
+} from './torrentFile.js';
@@ -7,6 +7,8 @@
 
 /**
  * Service type definitions with form fields and URL builders
+ * native: can be delivered by the server without the Apprise CLI
+ * nativeOnly (field): only used by built-in delivery
  */
 export const SERVICE_TYPES = {
   discord: {
@@ -14,6 +16,7 @@ export const SERVICE_TYPES = {
     icon: 'bell',
     logo: '/static/service-icons/discord.svg',
     color: '#5865F2',
+    native: true,
     description: 'Send notifications to a Discord channel via webhook',
     fields: [
       {
@@ -70,6 +73,7 @@ export const SERVICE_TYPES = {
     icon: 'bell',
     logo: '/static/service-icons/slack.svg',
     color: '#4A154B',
+    native: true,
     description: 'Send notifications to a Slack channel',
     fields: [
       {
@@ -142,6 +146,7 @@ export const SERVICE_TYPES = {
     icon: 'bell',
     logo: '/static/service-icons/ntfy.svg',
     color: '#57a64a',
+    native: true,
     description: 'Send notifications via ntfy.sh (self-hosted or public)',
     fields: [
       {
@@ -158,7 +163,25 @@ export const SERVICE_TYPES = {
         type: 'text',
         required: false,
         placeholder: 'ntfy.sh',
-        helpText: 'Default: ntfy.sh (leave empty for public server)'
+        helpText: 'Default: ntfy.sh (leave empty for public server). Prefix with http:// for servers without TLS'
+      },
+      {
+        key: 'token',
+        label: 'Access Token (Optional)',
+        type: 'password',
+        required: false,
+        nativeOnly: true,
+        placeholder: 'tk_...',
+        helpText: 'Needed for protected topics'
+      },
+      {
+        key: 'priority',
+        label: 'Priority (Optional)',
+        type: 'number',
+        required: false,
+        nativeOnly: true,
+        placeholder: '3',
+        helpText: '1 (min) to 5 (max)'
       }
     ],
     helpUrl: 'https://ntfy.sh/docs/',
@@ -170,6 +193,7 @@ export const SERVICE_TYPES = {
     icon: 'bell',
     logo: '/static/service-icons/gotify.svg',
     color: '#2196f3',
+    native: true,
     description: 'Send notifications to your Gotify server',
     fields: [
       {
@@ -178,7 +202,7 @@ export const SERVICE_TYPES = {
         type: 'text',
         required: true,
         placeholder: 'gotify.example.com',
-        helpText: 'Your Gotify server hostname (without https://)'
+        helpText: 'Your Gotify server hostname. Prefix with http:// for servers without TLS'
       },
       {
         key: 'token',
@@ -187,6 +211,15 @@ export const SERVICE_TYPES = {
         required: true,
         placeholder: 'Your Gotify app token',
         helpText: 'Create an application in Gotify to get a token'
+      },
+      {
+        key: 'priority',
+        label: 'Priority (Optional)',
+        type: 'number',
+        required: false,
+        nativeOnly: true,
+        placeholder: '5',
+        helpText: '0 (silent) to 10 (highest)'
       }
     ],
     helpUrl: 'https://gotify.net/docs/',
@@ -257,6 +290,7 @@ export const SERVICE_TYPES = {
     icon: 'bell',
     logo: '/static/service-icons/webhook.svg',
     color: '#6366f1',
+    native: true,
     description: 'Send JSON POST requests to a custom webhook URL',
     fields: [
       {
@@ -265,10 +299,41 @@ export const SERVICE_TYPES = {
         type: 'text',
         required: true,
         placeholder: 'https://your-webhook.example.com/notify',
-        helpText: 'URL to POST JSON notifications to'
+        helpText: 'URL to send JSON notifications to'
+      },
+      {
+        key: 'method',
+        label: 'Method',
+        type: 'select',
+        required: false,
+        nativeOnly: true,
+        options: [
+          { value: 'POST', label: 'POST' },
+          { value: 'PUT', label: 'PUT' },
+          { value: 'PATCH', label: 'PATCH' }
+        ],
+        helpText: 'HTTP method (default: POST)'
+      },
+      {
+        key: 'headers',
+        label: 'Headers (Optional)',
+        type: 'textarea',
+        required: false,
+        nativeOnly: true,
+        placeholder: 'Authorization: Bearer abc123',
+        helpText: 'One "Name: value" per line. Hidden once saved; re-enter all lines to change them'
+      },
+      {
+        key: 'body_template',
+        label: 'Body Template (Optional)',
+        type: 'textarea',
+        required: false,
+        nativeOnly: true,
+        placeholder: '{"title": "{{title}}", "message": "{{body}}", "event": "{{event}}"}',
+        helpText: 'Placeholders: {{title}}, {{body}}, {{event}}, {{timestamp}} (inserted JSON-escaped)'
       }
     ],
-    helpText: 'Notifications will be sent as JSON POST requests to your webhook endpoint.'
+    helpText: 'Notifications are sent as JSON requests to your webhook endpoint. Without a body template the payload is {"version", "title", "message", "type", "event"}.'
   },
 
   custom: {
@@ -291,6 +356,24 @@ export const SERVICE_TYPES = {
   }
 };
 
+/**
+ * Delivery options for service types that support built-in delivery
+ */
+export const DELIVERY_OPTIONS = [
+  { value: 'native', label: 'Built-in (no Apprise needed)' },
+  { value: 'apprise', label: 'Apprise CLI' }
+];
+
+/**
+ * Get how a service is delivered (mirrors NotificationManager.getDeliveryMode)
+ * @param {Object} service - Service { type, delivery }
+ * @returns {string} 'native' or 'apprise'
+ */
+export const getDeliveryMode = (service) => {
+  if (!SERVICE_TYPES[service.type]?.native) return 'apprise';
+  return service.delivery === 'apprise' ? 'apprise' : 'native';
+};
+
 /**
  * Get list of service types for selection
  * @returns {Array} Array of { value, label, description, color }
@@ -375,6 +458,46 @@ export const EVENT_TYPES = {
   clientAvailable: {
     label: 'Client Online',
     description: 'When a download client comes back online'
+  },
+  speedProfileChanged: {
+    label: 'Speed Profile Changed',
+    description: 'When the bandwidth schedule switches to another speed profile'
+  },
+  seedingRuleApplied: {
+    label: 'Seeding Rule Applied',
+    description: 'When a category ratio/seeding-time rule pauses, removes or moves a torrent'
+  },
+  downloadStalled: {
+    label: 'Download Stalled',
+    description: 'When an active download has had no download speed for a while'
+  },
+  noSeeds: {
+    label: 'No Seeds Available',
+    description: 'When an active download has had no seeds or sources for a while'
+  },
+  lowDiskSpace: {
+    label: 'Low Disk Space',
+    description: 'When free disk space drops below the threshold'
+  },
+  ratioReached: {
+    label: 'Ratio Target Reached',
+    description: 'When a completed torrent reaches the share ratio target'
+  },
+  moveFailed: {
+    label: 'Move Failed',
+    description: 'When moving a download to a new location fails'
+  },
+  loginFailed: {
+    label: 'Failed Logins',
+    description: 'When repeated failed logins come from the same IP address'
+  },
+  updateAvailable: {
+    label: 'Update Available',
+    description: 'When a new aMuTorrent version is released'
+  },
+  savedSearchResults: {
+    label: 'New Saved Search Results',
+    description: 'When a saved search finds results it has not found before'
   }
 };
 
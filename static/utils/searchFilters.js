@@ -0,0 +1,104 @@
+/**
+ * Search Result Filters
+ *
+ * Client-side filters for search results: sources, size range, file type,
+ * include/exclude patterns and hiding files already queued or in the history
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * File type groups by extension
+ */
+export const SEARCH_FILE_TYPES = [
+  { value: 'video', label: 'Video', extensions: ['avi', 'mkv', 'mp4', 'm4v', 'mov', 'wmv', 'mpg', 'mpeg', 'ts', 'webm', 'flv', 'ogm', 'divx', 'vob'] },
+  { value: 'audio', label: 'Audio', extensions: ['mp3', 'flac', 'ogg', 'm4a', 'aac', 'wav', 'wma', 'ape', 'opus', 'alac'] },
+  { value: 'archive', label: 'Archive', extensions: ['zip', 'rar', '7z', 'tar', 'gz', 'bz2', 'xz', 'tgz'] },
+  { value: 'image', label: 'Disk Image', extensions: ['iso', 'img', 'bin', 'cue', 'nrg', 'mdf', 'mds', 'dmg'] },
+  { value: 'document', label: 'Document / Ebook', extensions: ['pdf', 'epub', 'mobi', 'azw3', 'djvu', 'cbr', 'cbz', 'doc', 'docx', 'txt', 'chm'] },
+  { value: 'picture', label: 'Picture', extensions: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'tif', 'tiff'] },
+  { value: 'software', label: 'Software', extensions: ['exe', 'msi', 'apk', 'deb', 'rpm', 'appimage', 'jar'] }
+];
+
+/**
+ * Filter state with nothing filtered (numbers are '' when unset)
+ */
+export const EMPTY_SEARCH_FILTERS = {
+  minSources: '',
+  minCompleteSources: '',
+  minSizeMB: '',
+  maxSizeMB: '',
+  fileType: '',
+  include: '',
+  exclude: '',
+  hideQueued: false,
+  hideHistory: false
+};
+
+/**
+ * File type group of a file name
+ * Torrent titles usually have no extension and match no group.
+ * @param {string} fileName - File name
+ * @returns {string|null} File type value or null
+ */
+export const getSearchFileType = (fileName) => {
+  const match = /\.([a-z0-9]{1,10})$/i.exec(fileName || '');
+  if (!match) return null;
+  const ext = match[1].toLowerCase();
+  return SEARCH_FILE_TYPES.find(type => type.extensions.includes(ext))?.value || null;
+};
+
+/**
+ * Compile a user-entered pattern as a case-insensitive regular expression
+ * @param {string} pattern - Pattern text
+ * @returns {{ regex: RegExp|null, error: string|null }}
+ */
+export const compileFilterPattern = (pattern) => {
+  if (!pattern || !pattern.trim()) return { regex: null, error: null };
+  try {
+    return { regex: new RegExp(pattern.trim(), 'i'), error: null };
+  } catch (err) {
+    return { regex: null, error: err.message };
+  }
+};
+
+/**
+ * Number of active filters (for the filter buttons)
+ * @param {Object} filters - Filter state
+ * @returns {number}
+ */
+export const countSearchFilters = (filters) =>
+  Object.keys(EMPTY_SEARCH_FILTERS).filter(key => filters[key] !== EMPTY_SEARCH_FILTERS[key]).length;
+
+/**
+ * Apply the filters to search results
+ * An invalid pattern is ignored, the panel shows its error.
+ * @param {Array} results - Search results
+ * @param {Object} filters - Filter state
+ * @param {Object} options - { downloadedFiles: Map hash → Set<instanceId>, historyMatches: { hash: match } }
+ * @returns {Array} Matching results
+ */
+export const filterSearchResults = (results, filters, { downloadedFiles, historyMatches } = {}) => {
+  if (countSearchFilters(filters) === 0) return results;
+
+  const minSources = filters.minSources === '' ? null : Number(filters.minSources);
+  const minComplete = filters.minCompleteSources === '' ? null : Number(filters.minCompleteSources);
+  const minSize = filters.minSizeMB === '' ? null : Number(filters.minSizeMB) * MB;
+  const maxSize = filters.maxSizeMB === '' ? null : Number(filters.maxSizeMB) * MB;
+  const include = compileFilterPattern(filters.include).regex;
+  const exclude = compileFilterPattern(filters.exclude).regex;
+
+  return results.filter(item => {
+    if (minSources !== null && (item.sourceCount || 0) < minSources) return false;
+    // Only filter results that report complete sources
+    if (minComplete !== null && typeof item.completeSourceCount === 'number' && item.completeSourceCount < minComplete) return false;
+    if (minSize !== null && (item.fileSize || 0) < minSize) return false;
+    if (maxSize !== null && (item.fileSize || 0) > maxSize) return false;
+    if (filters.fileType && getSearchFileType(item.fileName) !== filters.fileType) return false;
+    if (include && !include.test(item.fileName || '')) return false;
+    if (exclude && exclude.test(item.fileName || '')) return false;
+    if (filters.hideQueued && downloadedFiles?.get(item.fileHash)?.size > 0) return false;
+    if (filters.hideHistory && historyMatches?.[item.fileHash]) return false;
+    return true;
+  });
+};
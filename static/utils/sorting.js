@@ -94,6 +94,10 @@ export const sortFiles = (files, sortBy, sortDirection, secondarySort = null, op
       result = aTime - bTime;
     }
 
+    // Search result fields
+    else if (sortBy === 'indexer') result = (a.indexer || '').localeCompare(b.indexer || '');
+    else if (sortBy === 'network') result = (a.network || '').localeCompare(b.network || '');
+
     // ETA field - null (complete/stalled) always sorts last regardless of direction
     // Uses pre-calculated eta field from server (in seconds)
     else if (sortBy === 'eta') {
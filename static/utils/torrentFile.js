@@ -0,0 +1,87 @@
+/**
+ * Torrent File Utilities
+ *
+ * Minimal bencode decoding for reading the file list of a .torrent
+ * in the browser (used to pick files before adding a torrent).
+ */
+
+const textDecoder = new TextDecoder('utf-8');
+
+/**
+ * Decode a bencoded value starting at `pos`
+ * Strings are returned as Uint8Array slices (decoded lazily by the caller)
+ * @param {Uint8Array} bytes - Raw data
+ * @param {number} pos - Start offset
+ * @returns {{ value: *, pos: number }} Decoded value and offset after it
+ */
+const decodeAt = (bytes, pos) => {
+  const c = bytes[pos];
+
+  // Integer: i<digits>e
+  if (c === 0x69) {
+    const end = bytes.indexOf(0x65, pos);
+    if (end === -1) throw new Error('Unterminated integer');
+    return { value: Number(textDecoder.decode(bytes.subarray(pos + 1, end))), pos: end + 1 };
+  }
+
+  // List: l<items>e
+  if (c === 0x6c) {
+    const list = [];
+    pos++;
+    while (bytes[pos] !== 0x65) {
+      if (pos >= bytes.length) throw new Error('Unterminated list');
+      const item = decodeAt(bytes, pos);
+      list.push(item.value);
+      pos = item.pos;
+    }
+    return { value: list, pos: pos + 1 };
+  }
+
+  // Dictionary: d<key><value>...e
+  if (c === 0x64) {
+    const dict = {};
+    pos++;
+    while (bytes[pos] !== 0x65) {
+      if (pos >= bytes.length) throw new Error('Unterminated dictionary');
+      const key = decodeAt(bytes, pos);
+      const value = decodeAt(bytes, key.pos);
+      dict[textDecoder.decode(key.value)] = value.value;
+      pos = value.pos;
+    }
+    return { value: dict, pos: pos + 1 };
+  }
+
+  // String: <length>:<bytes>
+  const colon = bytes.indexOf(0x3a, pos);
+  if (colon === -1) throw new Error('Invalid bencode data');
+  const length = Number(textDecoder.decode(bytes.subarray(pos, colon)));
+  if (!Number.isInteger(length) || length < 0) throw new Error('Invalid string length');
+  const start = colon + 1;
+  return { value: bytes.subarray(start, start + length), pos: start + length };
+};
+
+const toText = (value) => (value instanceof Uint8Array ? textDecoder.decode(value) : '');
+
+/**
+ * Read the file list of a .torrent file
+ * Indexes follow the order inside the torrent, which is what clients use for file priorities.
+ * @param {File|Blob} file - .torrent file
+ * @returns {Promise<Array>} [{ index, path, size }] — a single entry for single-file torrents
+ */
+export const readTorrentFileList = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const { value: torrent } = decodeAt(bytes, 0);
+  const info = torrent?.info;
+  if (!info) throw new Error('Not a valid .torrent file');
+
+  const name = toText(info['name.utf-8'] || info.name);
+
+  if (!Array.isArray(info.files)) {
+    return [{ index: 0, path: name, size: info.length || 0 }];
+  }
+
+  return info.files.map((f, index) => {
+    const parts = (f['path.utf-8'] || f.path || []).map(toText);
+    return { index, path: [name, ...parts].join('/'), size: f.length || 0 };
+  });
+};
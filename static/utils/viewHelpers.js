@@ -18,7 +18,10 @@ import {
   StatisticsView,
   SettingsView,
   HistoryView,
-  NotificationsView
+  NotificationsView,
+  RssView,
+  WantedView,
+  CrossSeedView
 } from '../components/views/index.js';
 
 /**
@@ -36,6 +39,9 @@ export const VIEW_COMPONENTS = {
   'servers': ServersView,
   'logs': LogsView,
   'statistics': StatisticsView,
+  'rss': RssView,
+  'wanted': WantedView,
+  'cross-seed': CrossSeedView,
   'notifications': NotificationsView,
   'settings': SettingsView
 };
@@ -9,7 +9,7 @@ export default defineConfig({
 	integrations: [
 		starlight({
 			title: 'aMuTorrent',
-			description: 'Unified web interface for aMule, rTorrent, qBittorrent, Deluge, and Transmission with real-time updates',
+			description: 'Unified web interface for aMule, rTorrent, qBittorrent, Deluge, Transmission, aria2, SABnzbd, and NZBGet with real-time updates',
 			logo: {
 				src: './src/assets/logo.png',
 				replacesTitle: false,
@@ -35,6 +35,9 @@ export default defineConfig({
 						{ label: 'qBittorrent Setup', slug: 'docs/qbittorrent' },
 						{ label: 'Deluge Setup', slug: 'docs/deluge' },
 						{ label: 'Transmission Setup', slug: 'docs/transmission' },
+						{ label: 'aria2 Setup', slug: 'docs/aria2' },
+						{ label: 'SABnzbd Setup', slug: 'docs/sabnzbd' },
+						{ label: 'NZBGet Setup', slug: 'docs/nzbget' },
 					],
 				},
 				{
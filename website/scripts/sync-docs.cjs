@@ -33,6 +33,9 @@ const TITLE_MAP = {
   'QBITTORRENT': 'qBittorrent',
   'DELUGE': 'Deluge',
   'TRANSMISSION': 'Transmission',
+  'ARIA2': 'aria2',
+  'SABNZBD': 'SABnzbd',
+  'NZBGET': 'NZBGet',
   'USERS': 'User Management',
   'INSTALLATION': 'Installation',
   'SCRIPTING': 'Scripting',
@@ -52,6 +55,9 @@ const DESC_MAP = {
   'QBITTORRENT': 'Connect aMuTorrent to qBittorrent via WebUI API',
   'DELUGE': 'Connect aMuTorrent to Deluge via WebUI JSON-RPC',
   'TRANSMISSION': 'Connect aMuTorrent to Transmission via RPC',
+  'ARIA2': 'Connect aMuTorrent to aria2 via JSON-RPC',
+  'SABNZBD': 'Connect aMuTorrent to SABnzbd via HTTP API',
+  'NZBGET': 'Connect aMuTorrent to NZBGet via JSON-RPC',
   'USERS': 'Multi-user authentication, capabilities, and SSO',
   'INSTALLATION': 'How to install aMuTorrent',
   'SCRIPTING': 'Custom event scripts for automation',